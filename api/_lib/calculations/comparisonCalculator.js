@@ -0,0 +1,144 @@
+/**
+ * Workout Comparison Utilities
+ *
+ * Set-by-set comparison of a workout with a baseline session (both in the getWorkoutById
+ * shape): exercises are matched by exercise, working sets by position within the exercise.
+ */
+
+import { DEFAULT_BODYWEIGHT, calculateSetVolume } from './volumeCalculator.js';
+import { getSetSides } from './unilateralCalculator.js';
+
+/**
+ * Difference between two optional numbers (null when either is missing)
+ */
+function difference(value, baseline) {
+  if (value === null || value === undefined || baseline === null || baseline === undefined) {
+    return null;
+  }
+  return Math.round((value - baseline) * 100) / 100;
+}
+
+/**
+ * Logged working sets of an exercise (warm-ups are not compared, like volume and PRs)
+ */
+function getWorkingSets(exercise) {
+  return (exercise?.sets || []).filter(set => !set.is_warmup && set.is_completed !== false);
+}
+
+/**
+ * Working-set volume of an exercise, mini sets of drop, rest-pause, myo-rep and cluster sets
+ * and both sides of unilateral sets included
+ *
+ * @param {Object} exercise - Exercise with type, load_mode, bodyweight_fraction and sets
+ * @param {number} bodyweight - Bodyweight in lbs for bodyweight load modes
+ * @returns {number} Volume in lbs
+ */
+export function calculateExerciseVolume(exercise, bodyweight = DEFAULT_BODYWEIGHT) {
+  const volume = getWorkingSets(exercise).reduce((total, set) => total + calculateSetVolume(
+    { weight: set.weight, reps: set.reps, subSets: set.sub_sets, sides: getSetSides(set) },
+    exercise.type,
+    bodyweight,
+    { loadMode: exercise.load_mode, bodyweightFraction: exercise.bodyweight_fraction }
+  ), 0);
+
+  return Math.round(volume * 100) / 100;
+}
+
+/**
+ * Pair working sets by position and diff weight, reps and RIR
+ *
+ * @param {Object|null} exercise - Exercise in the workout
+ * @param {Object|null} baseline - Same exercise in the baseline session
+ * @returns {Array<Object>} [{ set_number, current, baseline, weight_delta, reps_delta, rir_delta }]
+ *   current/baseline are { weight, reps, rir } or null when the session had fewer sets
+ */
+export function compareSets(exercise, baseline) {
+  const sets = getWorkingSets(exercise);
+  const baselineSets = getWorkingSets(baseline);
+  const pick = (set) => (set ? { weight: set.weight, reps: set.reps, rir: set.rir } : null);
+
+  return Array.from({ length: Math.max(sets.length, baselineSets.length) }, (_, i) => {
+    const current = pick(sets[i]);
+    const previous = pick(baselineSets[i]);
+
+    return {
+      set_number: i + 1,
+      current,
+      baseline: previous,
+      weight_delta: difference(current?.weight, previous?.weight),
+      reps_delta: difference(current?.reps, previous?.reps),
+      rir_delta: difference(current?.rir, previous?.rir)
+    };
+  });
+}
+
+/**
+ * Compare a workout with a baseline session
+ * Exercises only in the workout are 'added', only in the baseline 'dropped' (listed last).
+ * An exercise logged twice is matched occurrence by occurrence
+ *
+ * @param {Object} workout - Workout with total_volume, duration_seconds and exercises
+ * @param {Object} baseline - Baseline workout, same shape
+ * @param {Object} options - Optional settings
+ * @param {number} options.bodyweight - Bodyweight (lbs) on the workout's date (default: 150)
+ * @param {number} options.baselineBodyweight - Bodyweight (lbs) on the baseline's date (default: 150)
+ * @param {Array<Object>} options.prs - PRs set in the workout ({ exercise_id, ... }), attached per exercise
+ * @returns {Object} { totals, exercises }
+ */
+export function compareWorkouts(workout, baseline, {
+  bodyweight = DEFAULT_BODYWEIGHT,
+  baselineBodyweight = DEFAULT_BODYWEIGHT,
+  prs = []
+} = {}) {
+  const unmatched = [...baseline.exercises];
+
+  const summarizeExercise = (exercise, previous, status) => {
+    const volume = exercise ? calculateExerciseVolume(exercise, bodyweight) : null;
+    const baselineVolume = previous ? calculateExerciseVolume(previous, baselineBodyweight) : null;
+    const exerciseId = (exercise || previous).exercise_id;
+
+    return {
+      exercise_id: exerciseId,
+      name: (exercise || previous).name,
+      status,
+      volume,
+      baseline_volume: baselineVolume,
+      volume_delta: difference(volume, baselineVolume),
+      sets: compareSets(exercise, previous),
+      prs: exercise ? prs.filter(pr => pr.exercise_id === exerciseId) : []
+    };
+  };
+
+  const exercises = workout.exercises.map(exercise => {
+    const index = unmatched.findIndex(previous => previous.exercise_id === exercise.exercise_id);
+    if (index === -1) {
+      return summarizeExercise(exercise, null, 'added');
+    }
+
+    const [previous] = unmatched.splice(index, 1);
+    return summarizeExercise(exercise, previous, 'both');
+  });
+  exercises.push(...unmatched.map(previous => summarizeExercise(null, previous, 'dropped')));
+
+  const countSets = (session) => session.exercises.reduce((sum, exercise) => sum + getWorkingSets(exercise).length, 0);
+  const volume = workout.total_volume || 0;
+  const baselineVolume = baseline.total_volume || 0;
+  const sets = countSets(workout);
+  const baselineSets = countSets(baseline);
+
+  return {
+    totals: {
+      volume,
+      baseline_volume: baselineVolume,
+      volume_delta: difference(volume, baselineVolume),
+      volume_change_percent: baselineVolume > 0
+        ? Math.round(((volume - baselineVolume) / baselineVolume) * 1000) / 10
+        : null,
+      sets,
+      baseline_sets: baselineSets,
+      sets_delta: sets - baselineSets,
+      duration_delta_seconds: difference(workout.duration_seconds, baseline.duration_seconds)
+    },
+    exercises
+  };
+}
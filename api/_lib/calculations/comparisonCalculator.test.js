@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { calculateExerciseVolume, compareSets, compareWorkouts } from './comparisonCalculator.js';
+
+const set = (weight, reps, rir = null, overrides = {}) => ({ weight, reps, rir, is_warmup: false, is_completed: true, ...overrides });
+
+const bench = (sets) => ({ exercise_id: 'ex-bench', name: 'Bench Press', type: 'weighted', load_mode: 'external', sets });
+const row = (sets) => ({ exercise_id: 'ex-row', name: 'Barbell Row', type: 'weighted', load_mode: 'external', sets });
+const curl = (sets) => ({ exercise_id: 'ex-curl', name: 'Curl', type: 'weighted', load_mode: 'external', sets });
+
+describe('calculateExerciseVolume', () => {
+  it('sums working sets only', () => {
+    expect(calculateExerciseVolume(bench([set(135, 10, null, { is_warmup: true }), set(225, 5), set(225, 5)]))).toBe(2250);
+  });
+
+  it('uses bodyweight for bodyweight load modes', () => {
+    const pullUps = { exercise_id: 'ex-pullup', type: 'bodyweight', load_mode: 'bodyweight_plus', bodyweight_fraction: 1, sets: [set(20, 5)] };
+    expect(calculateExerciseVolume(pullUps, 180)).toBe(1000);
+  });
+});
+
+describe('compareSets', () => {
+  it('pairs working sets by position and diffs weight, reps and RIR', () => {
+    const sets = compareSets(
+      bench([set(95, 10, null, { is_warmup: true }), set(230, 5, 2), set(230, 4, 1)]),
+      bench([set(225, 5, 2), set(225, 5, 1), set(225, 4, 0)])
+    );
+
+    expect(sets).toEqual([
+      { set_number: 1, current: { weight: 230, reps: 5, rir: 2 }, baseline: { weight: 225, reps: 5, rir: 2 }, weight_delta: 5, reps_delta: 0, rir_delta: 0 },
+      { set_number: 2, current: { weight: 230, reps: 4, rir: 1 }, baseline: { weight: 225, reps: 5, rir: 1 }, weight_delta: 5, reps_delta: -1, rir_delta: 0 },
+      { set_number: 3, current: null, baseline: { weight: 225, reps: 4, rir: 0 }, weight_delta: null, reps_delta: null, rir_delta: null },
+    ]);
+  });
+
+  it('leaves the RIR delta empty when either set has none', () => {
+    const [pair] = compareSets(bench([set(225, 5, 2)]), bench([set(225, 5)]));
+    expect(pair.rir_delta).toBeNull();
+  });
+});
+
+describe('compareWorkouts', () => {
+  const baseline = {
+    total_volume: 3750,
+    duration_seconds: 3600,
+    exercises: [bench([set(225, 5), set(225, 5)]), curl([set(30, 10), set(30, 10)])],
+  };
+  const workout = {
+    total_volume: 4300,
+    duration_seconds: 3300,
+    exercises: [bench([set(235, 5), set(235, 5)]), row([set(135, 8)])],
+  };
+  const prs = [{ exercise_id: 'ex-bench', rep_range: '5RM', weight: 235, reps: 5 }];
+
+  it('matches exercises and marks added and dropped ones', () => {
+    const { exercises } = compareWorkouts(workout, baseline, { prs });
+
+    expect(exercises.map(exercise => [exercise.name, exercise.status])).toEqual([
+      ['Bench Press', 'both'],
+      ['Barbell Row', 'added'],
+      ['Curl', 'dropped'],
+    ]);
+    expect(exercises[0]).toMatchObject({ volume: 2350, baseline_volume: 2250, volume_delta: 100, prs });
+    expect(exercises[1]).toMatchObject({ volume: 1080, baseline_volume: null, volume_delta: null, prs: [] });
+    expect(exercises[2].sets[0]).toMatchObject({ current: null, baseline: { weight: 30, reps: 10, rir: null } });
+  });
+
+  it('reports workout totals from the stored volume', () => {
+    expect(compareWorkouts(workout, baseline).totals).toEqual({
+      volume: 4300,
+      baseline_volume: 3750,
+      volume_delta: 550,
+      volume_change_percent: 14.7,
+      sets: 3,
+      baseline_sets: 4,
+      sets_delta: -1,
+      duration_delta_seconds: -300,
+    });
+  });
+
+  it('matches an exercise logged twice occurrence by occurrence', () => {
+    const twice = { total_volume: 0, exercises: [bench([set(225, 5)]), bench([set(185, 8)])] };
+    const { exercises } = compareWorkouts(twice, twice);
+
+    expect(exercises.map(exercise => exercise.status)).toEqual(['both', 'both']);
+    expect(exercises[1].sets[0].baseline.weight).toBe(185);
+  });
+});
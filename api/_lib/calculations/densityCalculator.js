@@ -0,0 +1,309 @@
+/**
+ * Session Density Calculation Utilities
+ *
+ * Rest periods and session density from set completion timestamps: actual rest between sets,
+ * time per exercise, work-to-rest ratio and volume per minute, compared with the rest timer
+ * presets picked during the workout. Only set end times are logged, so work time is estimated.
+ */
+
+import { calculateSetVolume } from './volumeCalculator.js';
+import { isSubSet } from './setTypeCalculator.js';
+import { getSetSides } from './unilateralCalculator.js';
+
+/**
+ * Estimated work time of a rep-based set (timed sets use their logged duration)
+ */
+export const ESTIMATED_SECONDS_PER_REP = 3;
+
+/**
+ * Gaps shorter than this are sets logged back to back after the fact (or sets synced
+ * before timestamps were recorded, which share one time) and are not counted as rest
+ */
+export const MIN_REST_SECONDS = 10;
+
+/**
+ * A rest within this many seconds of the timer preset counts as on target
+ */
+export const REST_TIMER_TOLERANCE_SECONDS = 15;
+
+/**
+ * Upper bound on a recorded rest timer preset (must match the set.rest_timer_seconds check)
+ */
+export const MAX_REST_TIMER_SECONDS = 3600;
+
+/**
+ * Timed sessions needed before comparing slow sessions with the rest
+ */
+export const MIN_TREND_SESSIONS = 4;
+
+/**
+ * Check a rest timer preset from the client
+ *
+ * @param {*} value - Seconds
+ * @returns {boolean} True for a whole number of seconds from 1 to MAX_REST_TIMER_SECONDS
+ */
+export function isValidRestTimerSeconds(value) {
+  return Number.isInteger(value) && value > 0 && value <= MAX_REST_TIMER_SECONDS;
+}
+
+/**
+ * Estimated work time of a set (a unilateral set works each side in turn)
+ *
+ * @param {Object} row - Set row with set_duration_seconds, reps and left_reps/right_reps
+ * @returns {number} Seconds
+ */
+export function estimateWorkSeconds(row) {
+  const duration = parseInt(row.set_duration_seconds) || 0;
+  if (duration > 0) {
+    return duration;
+  }
+
+  const sides = getSetSides(row);
+  const reps = sides
+    ? sides.reduce((total, side) => total + (parseInt(side.reps) || 0), 0)
+    : parseInt(row.reps) || 0;
+
+  return reps * ESTIMATED_SECONDS_PER_REP;
+}
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const round = (value, decimals = 0) => {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Volume per minute
+ */
+const perMinute = (volume, seconds) => (seconds > 0 ? round(volume / (seconds / 60), 1) : null);
+
+/**
+ * Compare rests with the timer preset started after the previous set
+ *
+ * @param {Array<Object>} rests - [{ seconds, target }] (target null when no timer was started)
+ * @returns {Object|null} { rests, avg_target_seconds, avg_actual_seconds, over_count, under_count, excess_seconds }, null without timer picks
+ */
+export function compareRestsToTimer(rests) {
+  const timed = rests.filter(rest => rest.target);
+  if (timed.length === 0) {
+    return null;
+  }
+
+  return {
+    rests: timed.length,
+    avg_target_seconds: round(average(timed.map(rest => rest.target))),
+    avg_actual_seconds: round(average(timed.map(rest => rest.seconds))),
+    over_count: timed.filter(rest => rest.seconds > rest.target + REST_TIMER_TOLERANCE_SECONDS).length,
+    under_count: timed.filter(rest => rest.seconds < rest.target - REST_TIMER_TOLERANCE_SECONDS).length,
+    excess_seconds: round(timed.reduce((sum, rest) => sum + Math.max(rest.seconds - rest.target, 0), 0))
+  };
+}
+
+/**
+ * Rest and density metrics for one workout
+ *
+ * Rest is the gap between consecutive sets of the same exercise minus the later set's
+ * estimated work time; gaps where the exercise changes are transitions. Time per exercise
+ * runs from the start of its first set to the end of its last. Mini sets add work and volume
+ * to their parent set (they carry its log time).
+ *
+ * @param {Object} workout - { duration_seconds, started_at, completed_at }
+ * @param {Array<Object>} rows - Completed set rows: workout_exercise_id, exercise_id, exercise_name,
+ *   exercise_type, load_mode, bodyweight_fraction, bodyweight, weight, reps, set_duration_seconds,
+ *   is_warmup, parent_set_id, set_completed_at, rest_timer_seconds (in workout order)
+ * @returns {Object} Workout totals, timer comparison and per-exercise metrics; has_timing is false
+ *   when the sets carry no usable timestamps (rest, time and ratio fields are then null)
+ */
+export function analyzeWorkoutDensity(workout, rows) {
+  const durationSeconds = parseInt(workout.duration_seconds) ||
+    Math.max(Math.round((Date.parse(workout.completed_at) - Date.parse(workout.started_at)) / 1000), 0) || 0;
+
+  const exercises = [];
+  const exerciseIndex = {};
+  const sets = [];
+  let parentSet = null;
+
+  for (const row of rows) {
+    let exercise = exerciseIndex[row.workout_exercise_id];
+    if (!exercise) {
+      exercise = {
+        workout_exercise_id: row.workout_exercise_id,
+        exercise_id: row.exercise_id,
+        name: row.exercise_name,
+        sets: 0,
+        volume: 0,
+        work_seconds: 0,
+        rests: [],
+        times: []
+      };
+      exerciseIndex[row.workout_exercise_id] = exercise;
+      exercises.push(exercise);
+    }
+
+    const work = estimateWorkSeconds(row);
+    const volume = row.is_warmup ? 0 : calculateSetVolume({ ...row, sides: getSetSides(row) }, row.exercise_type, row.bodyweight, {
+      loadMode: row.load_mode,
+      bodyweightFraction: row.bodyweight_fraction
+    });
+
+    exercise.volume += volume;
+    exercise.work_seconds += work;
+
+    if (isSubSet(row)) {
+      // The parent set's log time covers its mini sets too
+      if (parentSet) parentSet.work += work;
+      continue;
+    }
+
+    exercise.sets += 1;
+    parentSet = null;
+
+    const time = Date.parse(row.set_completed_at);
+    if (Number.isFinite(time)) {
+      parentSet = { exercise, time, work, target: row.rest_timer_seconds || null };
+      sets.push(parentSet);
+    }
+  }
+
+  // Stable sort keeps workout order for sets sharing a timestamp
+  sets.sort((a, b) => a.time - b.time);
+
+  const rests = [];
+  let transitionSeconds = 0;
+  let hasTiming = false;
+
+  sets.forEach((set, i) => {
+    set.exercise.times.push(set);
+    if (i === 0) return;
+
+    const previous = sets[i - 1];
+    const gap = (set.time - previous.time) / 1000;
+    if (gap < MIN_REST_SECONDS) return;
+
+    hasTiming = true;
+    const seconds = Math.max(gap - set.work, 0);
+
+    if (previous.exercise === set.exercise) {
+      const rest = { seconds, target: previous.target };
+      rests.push(rest);
+      set.exercise.rests.push(rest);
+    } else {
+      transitionSeconds += seconds;
+    }
+  });
+
+  const summarizeExercise = (exercise) => {
+    const { times } = exercise;
+    const restSeconds = exercise.rests.reduce((sum, rest) => sum + rest.seconds, 0);
+    const timeSeconds = hasTiming && times.length > 0
+      ? (times[times.length - 1].time - times[0].time) / 1000 + times[0].work
+      : null;
+
+    return {
+      workout_exercise_id: exercise.workout_exercise_id,
+      exercise_id: exercise.exercise_id,
+      name: exercise.name,
+      sets: exercise.sets,
+      volume: round(exercise.volume, 2),
+      work_seconds: exercise.work_seconds,
+      rest_seconds: hasTiming ? round(restSeconds) : null,
+      avg_rest_seconds: round(average(exercise.rests.map(rest => rest.seconds))),
+      time_seconds: round(timeSeconds),
+      work_to_rest: restSeconds > 0 ? round(exercise.work_seconds / restSeconds, 2) : null,
+      density: timeSeconds ? perMinute(exercise.volume, timeSeconds) : null,
+      timer: compareRestsToTimer(exercise.rests)
+    };
+  };
+
+  const volume = exercises.reduce((sum, exercise) => sum + exercise.volume, 0);
+  const workSeconds = exercises.reduce((sum, exercise) => sum + exercise.work_seconds, 0);
+  const restSeconds = rests.reduce((sum, rest) => sum + rest.seconds, 0);
+  const restValues = rests.map(rest => rest.seconds);
+
+  return {
+    has_timing: hasTiming,
+    duration_seconds: durationSeconds,
+    sets: rows.length,
+    volume: round(volume, 2),
+    work_seconds: workSeconds,
+    rest_seconds: hasTiming ? round(restSeconds) : null,
+    transition_seconds: hasTiming ? round(transitionSeconds) : null,
+    avg_rest_seconds: round(average(restValues)),
+    longest_rest_seconds: restValues.length > 0 ? round(Math.max(...restValues)) : null,
+    work_to_rest: restSeconds > 0 ? round(workSeconds / restSeconds, 2) : null,
+    rest_share: hasTiming && durationSeconds > 0
+      ? round(Math.min((restSeconds + transitionSeconds) / durationSeconds, 1), 2)
+      : null,
+    density: perMinute(volume, durationSeconds),
+    timer: compareRestsToTimer(rests),
+    exercises: exercises.map(summarizeExercise)
+  };
+}
+
+/**
+ * Do long rests explain slow sessions?
+ * Splits timed sessions at the median duration and asks how much of the slower half's extra
+ * time was spent resting (between sets and changing exercises) versus doing more sets.
+ *
+ * @param {Array<Object>} sessions - analyzeWorkoutDensity results with has_timing true
+ * @returns {Object|null} { slow_sessions, extra_seconds, extra_rest_seconds, extra_sets, rest_share_of_extra, rest_explains },
+ *   null with fewer than MIN_TREND_SESSIONS sessions or no spread in duration
+ */
+export function explainSlowSessions(sessions) {
+  if (sessions.length < MIN_TREND_SESSIONS) {
+    return null;
+  }
+
+  const sorted = [...sessions].sort((a, b) => a.duration_seconds - b.duration_seconds);
+  const half = Math.floor(sorted.length / 2);
+  const faster = sorted.slice(0, half);
+  const slower = sorted.slice(sorted.length - half);
+
+  const mean = (group, pick) => average(group.map(pick));
+  const restOf = (session) => (session.rest_seconds || 0) + (session.transition_seconds || 0);
+
+  const extraSeconds = mean(slower, s => s.duration_seconds) - mean(faster, s => s.duration_seconds);
+  if (extraSeconds <= 0) {
+    return null;
+  }
+
+  const extraRestSeconds = mean(slower, restOf) - mean(faster, restOf);
+  const restShare = Math.min(Math.max(extraRestSeconds / extraSeconds, 0), 1);
+
+  return {
+    slow_sessions: slower.length,
+    extra_seconds: round(extraSeconds),
+    extra_rest_seconds: round(extraRestSeconds),
+    extra_sets: round(mean(slower, s => s.sets) - mean(faster, s => s.sets), 1),
+    rest_share_of_extra: round(restShare, 2),
+    rest_explains: restShare >= 0.5
+  };
+}
+
+/**
+ * Combine per-session timer comparisons (averages weighted by rests compared)
+ *
+ * @param {Array<Object>} sessions - analyzeWorkoutDensity results
+ * @returns {Object|null} Same shape as compareRestsToTimer
+ */
+export function combineTimerComparisons(sessions) {
+  const timers = sessions.map(session => session.timer).filter(Boolean);
+  const rests = timers.reduce((sum, timer) => sum + timer.rests, 0);
+  if (rests === 0) {
+    return null;
+  }
+
+  const weighted = (field) => round(timers.reduce((sum, timer) => sum + timer[field] * timer.rests, 0) / rests);
+  const total = (field) => timers.reduce((sum, timer) => sum + timer[field], 0);
+
+  return {
+    rests,
+    avg_target_seconds: weighted('avg_target_seconds'),
+    avg_actual_seconds: weighted('avg_actual_seconds'),
+    over_count: total('over_count'),
+    under_count: total('under_count'),
+    excess_seconds: total('excess_seconds')
+  };
+}
@@ -0,0 +1,222 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidRestTimerSeconds,
+  estimateWorkSeconds,
+  compareRestsToTimer,
+  analyzeWorkoutDensity,
+  explainSlowSessions,
+  combineTimerComparisons,
+} from './densityCalculator.js';
+
+const START = Date.parse('2024-06-03T17:00:00.000Z');
+
+/**
+ * Completed set row logged `seconds` after the workout started
+ */
+const setRow = (workoutExerciseId, seconds, overrides = {}) => ({
+  workout_exercise_id: workoutExerciseId,
+  exercise_id: `ex-${workoutExerciseId}`,
+  exercise_name: workoutExerciseId === 'we-1' ? 'Bench Press' : 'Barbell Row',
+  exercise_type: 'weighted',
+  load_mode: 'external',
+  bodyweight_fraction: null,
+  weight: '100',
+  reps: 10,
+  set_duration_seconds: null,
+  is_warmup: false,
+  set_completed_at: new Date(START + seconds * 1000).toISOString(),
+  rest_timer_seconds: null,
+  ...overrides,
+});
+
+const workout = { duration_seconds: 1200, started_at: new Date(START).toISOString() };
+
+describe('isValidRestTimerSeconds', () => {
+  it('accepts whole seconds up to an hour', () => {
+    expect(isValidRestTimerSeconds(90)).toBe(true);
+    expect(isValidRestTimerSeconds(3600)).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of [0, -30, 3601, 1.5, '90', null, undefined]) {
+      expect(isValidRestTimerSeconds(value)).toBe(false);
+    }
+  });
+});
+
+describe('estimateWorkSeconds', () => {
+  it('uses the logged duration of timed sets, or 3 seconds a rep', () => {
+    expect(estimateWorkSeconds({ set_duration_seconds: 45, reps: null })).toBe(45);
+    expect(estimateWorkSeconds({ set_duration_seconds: null, reps: 8 })).toBe(24);
+    expect(estimateWorkSeconds({})).toBe(0);
+  });
+
+  it('counts both sides of a unilateral set', () => {
+    expect(estimateWorkSeconds({ reps: 8, left_reps: 10, right_reps: 8 })).toBe(54);
+  });
+});
+
+describe('compareRestsToTimer', () => {
+  it('compares rests with the preset started before them', () => {
+    const rests = [
+      { seconds: 95, target: 90 },
+      { seconds: 150, target: 90 },
+      { seconds: 40, target: 60 },
+      { seconds: 200, target: null },
+    ];
+
+    expect(compareRestsToTimer(rests)).toEqual({
+      rests: 3,
+      avg_target_seconds: 80,
+      avg_actual_seconds: 95,
+      over_count: 1,
+      under_count: 1,
+      excess_seconds: 65,
+    });
+  });
+
+  it('returns null when no timer was used', () => {
+    expect(compareRestsToTimer([{ seconds: 120, target: null }])).toBeNull();
+  });
+});
+
+describe('analyzeWorkoutDensity', () => {
+  it('derives rest, transitions, time per exercise and density', () => {
+    const rows = [
+      setRow('we-1', 60, { rest_timer_seconds: 90 }),
+      setRow('we-1', 180, { rest_timer_seconds: 90 }),
+      setRow('we-1', 300),
+      setRow('we-2', 480, { weight: '50' }),
+      setRow('we-2', 600, { weight: '50' }),
+    ];
+
+    const result = analyzeWorkoutDensity(workout, rows);
+
+    // Gaps of 120s less 30s of work = 90s rests, 180s - 30s changing exercises
+    expect(result).toMatchObject({
+      has_timing: true,
+      duration_seconds: 1200,
+      sets: 5,
+      volume: 4000,
+      work_seconds: 150,
+      rest_seconds: 270,
+      transition_seconds: 150,
+      avg_rest_seconds: 90,
+      longest_rest_seconds: 90,
+      work_to_rest: 0.56,
+      rest_share: 0.35,
+      density: 200,
+      timer: { rests: 2, avg_target_seconds: 90, avg_actual_seconds: 90, over_count: 0, under_count: 0, excess_seconds: 0 },
+    });
+
+    expect(result.exercises[0]).toMatchObject({
+      name: 'Bench Press',
+      sets: 3,
+      volume: 3000,
+      rest_seconds: 180,
+      time_seconds: 270,
+      work_to_rest: 0.5,
+      density: 666.7,
+    });
+    expect(result.exercises[1]).toMatchObject({
+      name: 'Barbell Row',
+      time_seconds: 150,
+      timer: null,
+    });
+  });
+
+  it('excludes warm-up sets from volume but not from timing', () => {
+    const rows = [
+      setRow('we-1', 60, { is_warmup: true }),
+      setRow('we-1', 180),
+    ];
+
+    const result = analyzeWorkoutDensity(workout, rows);
+
+    expect(result.volume).toBe(1000);
+    expect(result.rest_seconds).toBe(90);
+  });
+
+  it('adds mini sets to their parent set\'s work and volume', () => {
+    const rows = [
+      setRow('we-1', 60),
+      setRow('we-1', 240),
+      setRow('we-1', 240, { parent_set_id: 'set-2' }),
+    ];
+
+    const result = analyzeWorkoutDensity(workout, rows);
+
+    expect(result.volume).toBe(3000);
+    expect(result.exercises[0].sets).toBe(2);
+    // 180 seconds apart, minus 30 seconds of work for the set and 30 for its mini set
+    expect(result.rest_seconds).toBe(120);
+  });
+
+  it('reports no timing when the sets share a timestamp', () => {
+    const rows = [setRow('we-1', 600), setRow('we-1', 600), setRow('we-2', 601)];
+
+    const result = analyzeWorkoutDensity(workout, rows);
+
+    expect(result).toMatchObject({
+      has_timing: false,
+      rest_seconds: null,
+      transition_seconds: null,
+      avg_rest_seconds: null,
+      work_to_rest: null,
+      rest_share: null,
+      density: 150,
+    });
+    expect(result.exercises[0].time_seconds).toBeNull();
+  });
+});
+
+describe('explainSlowSessions', () => {
+  const session = (duration, rest, sets) => ({ duration_seconds: duration, rest_seconds: rest, transition_seconds: 0, sets });
+
+  it('attributes the slower half\'s extra time to rest', () => {
+    const sessions = [session(3000, 1500, 15), session(3200, 1600, 15), session(4200, 2400, 16), session(4000, 2300, 15)];
+
+    expect(explainSlowSessions(sessions)).toEqual({
+      slow_sessions: 2,
+      extra_seconds: 1000,
+      extra_rest_seconds: 800,
+      extra_sets: 0.5,
+      rest_share_of_extra: 0.8,
+      rest_explains: true,
+    });
+  });
+
+  it('does not blame rest when slow sessions just have more sets', () => {
+    const sessions = [session(3000, 1500, 12), session(3000, 1500, 12), session(4200, 1600, 20), session(4200, 1600, 20)];
+
+    expect(explainSlowSessions(sessions)).toMatchObject({ rest_share_of_extra: 0.08, extra_sets: 8, rest_explains: false });
+  });
+
+  it('needs enough sessions with a spread in duration', () => {
+    expect(explainSlowSessions([session(3000, 1500, 12)])).toBeNull();
+    expect(explainSlowSessions(Array(4).fill(session(3000, 1500, 12)))).toBeNull();
+  });
+});
+
+describe('combineTimerComparisons', () => {
+  it('weights averages by the rests compared', () => {
+    const sessions = [
+      { timer: { rests: 3, avg_target_seconds: 90, avg_actual_seconds: 100, over_count: 1, under_count: 0, excess_seconds: 40 } },
+      { timer: { rests: 1, avg_target_seconds: 180, avg_actual_seconds: 260, over_count: 1, under_count: 0, excess_seconds: 80 } },
+      { timer: null },
+    ];
+
+    expect(combineTimerComparisons(sessions)).toEqual({
+      rests: 4,
+      avg_target_seconds: 113,
+      avg_actual_seconds: 140,
+      over_count: 2,
+      under_count: 0,
+      excess_seconds: 120,
+    });
+  });
+
+  it('returns null without timer picks', () => {
+    expect(combineTimerComparisons([{ timer: null }])).toBeNull();
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Endurance Calculation Utilities
+ *
+ * Progress series and PR categories for cardio (distance_meters / duration_seconds)
+ * and timed (duration_seconds) exercises, which have no weight or reps.
+ * Pace is expressed in seconds per kilometre.
+ */
+
+/**
+ * Distances tracked for "fastest" cardio PRs
+ * A set counts when it covers at least the distance; its time is prorated at the set's average pace
+ */
+export const DISTANCE_PR_TARGETS = [
+  { name: '1k', label: '1K', meters: 1000 },
+  { name: '1mi', label: '1 Mile', meters: 1609.34 },
+  { name: '5k', label: '5K', meters: 5000 },
+  { name: '10k', label: '10K', meters: 10000 },
+  { name: 'half_marathon', label: 'Half Marathon', meters: 21097.5 },
+  { name: 'marathon', label: 'Marathon', meters: 42195 }
+];
+
+/**
+ * Endurance PR categories in display order
+ * lowerIsBetter categories rank by fastest time; the rest by largest value
+ */
+export const ENDURANCE_PR_CATEGORIES = [
+  ...DISTANCE_PR_TARGETS.map(target => ({
+    name: `fastest_${target.name}`,
+    label: `Fastest ${target.label}`,
+    exerciseType: 'cardio',
+    unit: 'seconds',
+    lowerIsBetter: true
+  })),
+  { name: 'longest_distance', label: 'Longest Distance', exerciseType: 'cardio', unit: 'meters', lowerIsBetter: false },
+  { name: 'longest_duration', label: 'Longest Session', exerciseType: 'cardio', unit: 'seconds', lowerIsBetter: false },
+  { name: 'longest_hold', label: 'Longest Hold', exerciseType: 'timed', unit: 'seconds', lowerIsBetter: false }
+];
+
+/**
+ * Category name -> display order
+ */
+export const ENDURANCE_PR_ORDER = Object.fromEntries(
+  ENDURANCE_PR_CATEGORIES.map((category, index) => [category.name, index])
+);
+
+/**
+ * Exercise types tracked by duration/distance instead of weight and reps
+ */
+export const ENDURANCE_TYPES = ['cardio', 'timed'];
+
+/**
+ * Check whether an exercise type is charted by duration/distance
+ *
+ * @param {string} type - Exercise type
+ * @returns {boolean} True for cardio and timed exercises
+ */
+export function isEnduranceType(type) {
+  return ENDURANCE_TYPES.includes(type);
+}
+
+/**
+ * Parse a nullable numeric column; non-positive values count as missing
+ */
+function toPositiveNumber(value) {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+}
+
+/**
+ * Calculate pace in seconds per kilometre
+ *
+ * @param {number} durationSeconds - Time taken
+ * @param {number} distanceMeters - Distance covered
+ * @returns {number|null} Pace rounded to 1 decimal place, or null if either value is missing
+ *
+ * @example
+ * calculatePace(1500, 5000); // 300 (5:00 /km)
+ */
+export function calculatePace(durationSeconds, distanceMeters) {
+  const duration = toPositiveNumber(durationSeconds);
+  const distance = toPositiveNumber(distanceMeters);
+
+  if (duration === null || distance === null) {
+    return null;
+  }
+
+  return Math.round((duration / distance) * 1000 * 10) / 10;
+}
+
+/**
+ * Estimate the time for a target distance from a longer or equal effort
+ *
+ * @param {number} durationSeconds - Time taken for the whole set
+ * @param {number} distanceMeters - Distance covered in the set
+ * @param {number} targetMeters - Target distance
+ * @returns {number|null} Whole seconds at the set's average pace, or null if the set is too short
+ */
+export function estimateTimeForDistance(durationSeconds, distanceMeters, targetMeters) {
+  const duration = toPositiveNumber(durationSeconds);
+  const distance = toPositiveNumber(distanceMeters);
+
+  if (duration === null || distance === null || distance < targetMeters) {
+    return null;
+  }
+
+  return Math.round(duration * (targetMeters / distance));
+}
+
+/**
+ * Summarize one day's cardio sets
+ * Every set is treated as a split; best split is the fastest set pace
+ *
+ * @param {Array<Object>} sets - Sets with duration_seconds and distance_meters
+ * @returns {Object} { total_distance, total_duration, avg_pace, best_split }
+ */
+export function summarizeCardioSets(sets) {
+  let totalDistance = 0;
+  let totalDuration = 0;
+  let pacedDistance = 0;
+  let pacedDuration = 0;
+  let bestSplit = null;
+
+  for (const set of sets) {
+    const distance = toPositiveNumber(set.distance_meters);
+    const duration = toPositiveNumber(set.duration_seconds);
+
+    totalDistance += distance || 0;
+    totalDuration += duration || 0;
+
+    const pace = calculatePace(duration, distance);
+    if (pace !== null) {
+      pacedDistance += distance;
+      pacedDuration += duration;
+      if (bestSplit === null || pace < bestSplit) {
+        bestSplit = pace;
+      }
+    }
+  }
+
+  return {
+    total_distance: Math.round(totalDistance * 100) / 100,
+    total_duration: totalDuration,
+    // Average pace only counts sets where both distance and time were logged
+    avg_pace: calculatePace(pacedDuration, pacedDistance),
+    best_split: bestSplit
+  };
+}
+
+/**
+ * Summarize one day's timed sets (planks, holds, carries)
+ *
+ * @param {Array<Object>} sets - Sets with duration_seconds
+ * @returns {Object} { longest_hold, total_time_under_load }
+ */
+export function summarizeTimedSets(sets) {
+  const durations = sets
+    .map(set => toPositiveNumber(set.duration_seconds))
+    .filter(duration => duration !== null);
+
+  return {
+    longest_hold: durations.length > 0 ? Math.max(...durations) : null,
+    total_time_under_load: durations.reduce((total, duration) => total + duration, 0)
+  };
+}
+
+/**
+ * Values a set scores in each endurance PR category
+ *
+ * @param {Object} set - Set with duration_seconds and distance_meters
+ * @param {string} exerciseType - 'cardio' or 'timed'
+ * @returns {Object} Category name -> value (only categories the set qualifies for)
+ */
+export function getEndurancePRValues(set, exerciseType) {
+  const duration = toPositiveNumber(set.duration_seconds);
+  const distance = toPositiveNumber(set.distance_meters);
+  const values = {};
+
+  if (exerciseType === 'timed') {
+    if (duration !== null) values.longest_hold = duration;
+    return values;
+  }
+
+  if (exerciseType !== 'cardio') {
+    return values;
+  }
+
+  for (const target of DISTANCE_PR_TARGETS) {
+    const time = estimateTimeForDistance(duration, distance, target.meters);
+    if (time !== null) values[`fastest_${target.name}`] = time;
+  }
+  if (distance !== null) values.longest_distance = distance;
+  if (duration !== null) values.longest_duration = duration;
+
+  return values;
+}
+
+/**
+ * Find the best set per exercise and endurance PR category
+ * Ties keep the earlier set (rows should be ordered oldest first)
+ *
+ * @param {Array<Object>} sets - Rows with exercise_id, exercise_name, exercise_type,
+ *   duration_seconds, distance_meters, date, workout_id, workout_name
+ * @returns {Array<Object>} PRs sorted by exercise name, then category order
+ */
+export function findEndurancePRs(sets) {
+  const best = new Map();
+
+  for (const set of sets) {
+    const values = getEndurancePRValues(set, set.exercise_type);
+
+    for (const category of ENDURANCE_PR_CATEGORIES) {
+      const value = values[category.name];
+      if (value === undefined) continue;
+
+      const key = `${set.exercise_id}:${category.name}`;
+      const current = best.get(key);
+      const isBetter = !current || (category.lowerIsBetter ? value < current.value : value > current.value);
+
+      if (isBetter) {
+        best.set(key, {
+          exercise_id: set.exercise_id,
+          exercise_name: set.exercise_name,
+          exercise_type: set.exercise_type,
+          category: category.name,
+          label: category.label,
+          unit: category.unit,
+          value,
+          duration_seconds: toPositiveNumber(set.duration_seconds),
+          distance_meters: toPositiveNumber(set.distance_meters),
+          date: set.date,
+          workout_id: set.workout_id,
+          workout_name: set.workout_name
+        });
+      }
+    }
+  }
+
+  return [...best.values()].sort((a, b) => {
+    if (a.exercise_name !== b.exercise_name) {
+      return a.exercise_name.localeCompare(b.exercise_name);
+    }
+    return ENDURANCE_PR_ORDER[a.category] - ENDURANCE_PR_ORDER[b.category];
+  });
+}
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculatePace,
+  estimateTimeForDistance,
+  summarizeCardioSets,
+  summarizeTimedSets,
+  getEndurancePRValues,
+  findEndurancePRs,
+  isEnduranceType,
+} from './enduranceCalculator.js';
+
+describe('calculatePace', () => {
+  it('returns seconds per kilometre', () => {
+    expect(calculatePace(1500, 5000)).toBe(300); // 5:00 /km
+    expect(calculatePace('240', '800.00')).toBe(300);
+  });
+
+  it('returns null when distance or time is missing', () => {
+    expect(calculatePace(null, 5000)).toBeNull();
+    expect(calculatePace(1500, null)).toBeNull();
+    expect(calculatePace(1500, 0)).toBeNull();
+  });
+});
+
+describe('estimateTimeForDistance', () => {
+  it('prorates a longer effort at its average pace', () => {
+    // 10K in 50:00 -> 5K in 25:00
+    expect(estimateTimeForDistance(3000, 10000, 5000)).toBe(1500);
+  });
+
+  it('returns null when the set is shorter than the target', () => {
+    expect(estimateTimeForDistance(1200, 4000, 5000)).toBeNull();
+  });
+});
+
+describe('summarizeCardioSets', () => {
+  it('totals distance and time and finds the fastest split', () => {
+    const result = summarizeCardioSets([
+      { distance_meters: '1000.00', duration_seconds: 300 },
+      { distance_meters: '1000.00', duration_seconds: 270 },
+      { distance_meters: null, duration_seconds: 600 }, // time only (e.g. cooldown)
+    ]);
+
+    expect(result.total_distance).toBe(2000);
+    expect(result.total_duration).toBe(1170);
+    expect(result.avg_pace).toBe(285); // (300 + 270) s over 2 km
+    expect(result.best_split).toBe(270);
+  });
+
+  it('has no pace when no set logs both distance and time', () => {
+    const result = summarizeCardioSets([{ distance_meters: null, duration_seconds: 1800 }]);
+    expect(result.avg_pace).toBeNull();
+    expect(result.best_split).toBeNull();
+  });
+});
+
+describe('summarizeTimedSets', () => {
+  it('finds the longest hold and total time under load', () => {
+    expect(summarizeTimedSets([
+      { duration_seconds: 60 },
+      { duration_seconds: 90 },
+      { duration_seconds: 45 },
+    ])).toEqual({ longest_hold: 90, total_time_under_load: 195 });
+  });
+
+  it('handles days without durations', () => {
+    expect(summarizeTimedSets([{ duration_seconds: null }])).toEqual({ longest_hold: null, total_time_under_load: 0 });
+  });
+});
+
+describe('getEndurancePRValues', () => {
+  it('scores a cardio set in every distance it covers', () => {
+    const values = getEndurancePRValues({ distance_meters: 5000, duration_seconds: 1500 }, 'cardio');
+    expect(values).toMatchObject({
+      fastest_1k: 300,
+      fastest_5k: 1500,
+      longest_distance: 5000,
+      longest_duration: 1500,
+    });
+    expect(values.fastest_10k).toBeUndefined();
+  });
+
+  it('scores timed sets as holds only', () => {
+    expect(getEndurancePRValues({ duration_seconds: 120, distance_meters: null }, 'timed')).toEqual({ longest_hold: 120 });
+  });
+
+  it('ignores strength exercise types', () => {
+    expect(getEndurancePRValues({ duration_seconds: 120 }, 'weighted')).toEqual({});
+  });
+});
+
+describe('findEndurancePRs', () => {
+  const run = (overrides) => ({
+    exercise_id: 'ex-run',
+    exercise_name: 'Running',
+    exercise_type: 'cardio',
+    workout_id: 'w1',
+    workout_name: 'Easy Run',
+    date: '2024-06-01',
+    duration_seconds: 1500,
+    distance_meters: '5000.00',
+    ...overrides,
+  });
+
+  it('keeps the fastest time and the longest distance per exercise', () => {
+    const prs = findEndurancePRs([
+      run(),
+      run({ workout_id: 'w2', date: '2024-06-08', duration_seconds: 1440 }),
+      run({ workout_id: 'w3', date: '2024-06-15', duration_seconds: 3300, distance_meters: '10000.00' }),
+    ]);
+
+    const fastest5k = prs.find(pr => pr.category === 'fastest_5k');
+    expect(fastest5k).toMatchObject({ value: 1440, workout_id: 'w2', label: 'Fastest 5K', unit: 'seconds' });
+    expect(prs.find(pr => pr.category === 'longest_distance')).toMatchObject({ value: 10000, workout_id: 'w3' });
+    expect(prs.find(pr => pr.category === 'fastest_10k').value).toBe(3300);
+  });
+
+  it('ranks timed exercises by longest hold', () => {
+    const prs = findEndurancePRs([
+      { exercise_id: 'ex-plank', exercise_name: 'Plank', exercise_type: 'timed', duration_seconds: 90, date: '2024-06-01' },
+      { exercise_id: 'ex-plank', exercise_name: 'Plank', exercise_type: 'timed', duration_seconds: 120, date: '2024-06-08' },
+    ]);
+
+    expect(prs).toHaveLength(1);
+    expect(prs[0]).toMatchObject({ category: 'longest_hold', value: 120, date: '2024-06-08' });
+  });
+
+  it('keeps the earlier set on ties', () => {
+    const prs = findEndurancePRs([run(), run({ workout_id: 'w2' })]);
+    expect(prs.find(pr => pr.category === 'fastest_5k').workout_id).toBe('w1');
+  });
+
+  it('sorts by exercise name, then category order', () => {
+    const prs = findEndurancePRs([
+      run(),
+      { exercise_id: 'ex-plank', exercise_name: 'Plank', exercise_type: 'timed', duration_seconds: 90 },
+    ]);
+
+    expect(prs[0].exercise_name).toBe('Plank');
+    expect(prs.slice(1).map(pr => pr.category)).toEqual([
+      'fastest_1k', 'fastest_1mi', 'fastest_5k', 'longest_distance', 'longest_duration',
+    ]);
+  });
+});
+
+describe('isEnduranceType', () => {
+  it('matches cardio and timed exercises only', () => {
+    expect(isEnduranceType('cardio')).toBe(true);
+    expect(isEnduranceType('timed')).toBe(true);
+    expect(isEnduranceType('weighted')).toBe(false);
+    expect(isEnduranceType('bodyweight')).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Exercise Group Calculation Utilities
+ *
+ * Supersets, circuits and giant sets: consecutive exercises sharing a group ID, done in rotation
+ * (one set of each per round) with rest after the whole round. Checks the groups sent with
+ * templates and synced workouts.
+ */
+
+/**
+ * Group types (workout_exercise.group_type and template_exercise.group_type)
+ */
+export const EXERCISE_GROUP_TYPES = ['superset', 'circuit', 'giant_set'];
+
+/**
+ * Upper bound on planned rounds (must match the group_rounds checks)
+ */
+export const MAX_GROUP_ROUNDS = 20;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether an exercise belongs to a group
+ */
+function isGrouped(exercise) {
+  return exercise.groupId !== undefined && exercise.groupId !== null && exercise.groupId !== '';
+}
+
+/**
+ * Check planned rounds from the client
+ *
+ * @param {*} value - Rounds
+ * @returns {boolean} True for a whole number from 1 to MAX_GROUP_ROUNDS
+ */
+export function isValidGroupRounds(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_GROUP_ROUNDS;
+}
+
+/**
+ * Find problems with the groups in an exercise list
+ * Members of a group must be next to each other, share the group type and rounds, and a
+ * group needs at least 2 exercises
+ *
+ * @param {Array<Object>} exercises - Exercises in order { groupId, groupType, groupRounds }
+ * @returns {Array<Object>} [{ groupId, message }] in exercise order, empty when all groups are valid
+ */
+export function findExerciseGroupErrors(exercises) {
+  const errors = [];
+  const groups = new Map();
+
+  exercises.forEach((exercise, i) => {
+    if (!isGrouped(exercise)) return;
+
+    const { groupId, groupType } = exercise;
+    const groupRounds = exercise.groupRounds ?? null;
+    const fail = (message) => errors.push({ groupId, message: `Exercise ${i + 1}: ${message}` });
+
+    if (typeof groupId !== 'string' || !UUID_PATTERN.test(groupId)) {
+      fail('groupId must be a UUID');
+      return;
+    }
+    if (!EXERCISE_GROUP_TYPES.includes(groupType)) {
+      fail(`groupType must be one of: ${EXERCISE_GROUP_TYPES.join(', ')}`);
+      return;
+    }
+    if (groupRounds !== null && !isValidGroupRounds(groupRounds)) {
+      fail(`groupRounds must be an integer from 1 to ${MAX_GROUP_ROUNDS}`);
+      return;
+    }
+
+    const group = groups.get(groupId);
+    if (!group) {
+      groups.set(groupId, { first: i, last: i, size: 1, groupType, groupRounds });
+      return;
+    }
+
+    if (group.last !== i - 1) {
+      fail('exercises in a group must be next to each other');
+    } else if (group.groupType !== groupType || group.groupRounds !== groupRounds) {
+      fail('exercises in a group must share groupType and groupRounds');
+    }
+    group.last = i;
+    group.size += 1;
+  });
+
+  groups.forEach((group, groupId) => {
+    if (group.size < 2) {
+      errors.push({ groupId, message: `Exercise ${group.first + 1}: a group must have at least 2 exercises` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate the groups in an exercise list (templates)
+ *
+ * @param {Array<Object>} exercises - Exercises in order { groupId, groupType, groupRounds }
+ * @throws {Error} With the first problem found
+ */
+export function validateExerciseGroups(exercises) {
+  const errors = findExerciseGroupErrors(exercises);
+  if (errors.length > 0) {
+    throw new Error(errors[0].message);
+  }
+}
+
+/**
+ * Group fields to store for each exercise (synced workouts)
+ * Invalid groups are split back into standalone exercises rather than failing the sync
+ *
+ * @param {Array<Object>} exercises - Exercises in order { groupId, groupType, groupRounds }
+ * @returns {Array<Object>} [{ groupId, groupType, groupRounds }] per exercise, all null when standalone
+ */
+export function normalizeExerciseGroups(exercises) {
+  const invalidGroups = new Set(findExerciseGroupErrors(exercises).map(error => error.groupId));
+
+  return exercises.map(exercise => (
+    isGrouped(exercise) && !invalidGroups.has(exercise.groupId)
+      ? { groupId: exercise.groupId, groupType: exercise.groupType, groupRounds: exercise.groupRounds ?? null }
+      : { groupId: null, groupType: null, groupRounds: null }
+  ));
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidGroupRounds,
+  findExerciseGroupErrors,
+  validateExerciseGroups,
+  normalizeExerciseGroups,
+} from './exerciseGroupCalculator.js';
+
+const GROUP_A = '11111111-1111-4111-8111-111111111111';
+const GROUP_B = '22222222-2222-4222-8222-222222222222';
+
+const standalone = { exerciseId: 'ex-squat' };
+const member = (groupId, groupType = 'superset', groupRounds = 3) => ({ exerciseId: 'ex-bench', groupId, groupType, groupRounds });
+
+describe('isValidGroupRounds', () => {
+  it('accepts whole rounds from 1 to 20', () => {
+    expect(isValidGroupRounds(1)).toBe(true);
+    expect(isValidGroupRounds(20)).toBe(true);
+    expect(isValidGroupRounds(0)).toBe(false);
+    expect(isValidGroupRounds(21)).toBe(false);
+    expect(isValidGroupRounds(2.5)).toBe(false);
+    expect(isValidGroupRounds('3')).toBe(false);
+  });
+});
+
+describe('findExerciseGroupErrors', () => {
+  it('accepts consecutive groups and standalone exercises', () => {
+    expect(findExerciseGroupErrors([
+      standalone,
+      member(GROUP_A),
+      member(GROUP_A),
+      member(GROUP_B, 'circuit', null),
+      member(GROUP_B, 'circuit', null),
+      member(GROUP_B, 'circuit', null),
+    ])).toEqual([]);
+  });
+
+  it('rejects split, mismatched and single-exercise groups', () => {
+    expect(findExerciseGroupErrors([member(GROUP_A), standalone, member(GROUP_A)])).toEqual([
+      { groupId: GROUP_A, message: 'Exercise 3: exercises in a group must be next to each other' },
+    ]);
+    expect(findExerciseGroupErrors([member(GROUP_A), member(GROUP_A, 'circuit')])).toEqual([
+      { groupId: GROUP_A, message: 'Exercise 2: exercises in a group must share groupType and groupRounds' },
+    ]);
+    expect(findExerciseGroupErrors([standalone, member(GROUP_A)])).toEqual([
+      { groupId: GROUP_A, message: 'Exercise 2: a group must have at least 2 exercises' },
+    ]);
+  });
+
+  it('rejects bad group fields', () => {
+    expect(findExerciseGroupErrors([member('group-1'), member('group-1')])[0].message)
+      .toBe('Exercise 1: groupId must be a UUID');
+    expect(findExerciseGroupErrors([member(GROUP_A, 'pair'), member(GROUP_A, 'pair')])[0].message)
+      .toBe('Exercise 1: groupType must be one of: superset, circuit, giant_set');
+    expect(findExerciseGroupErrors([member(GROUP_A, 'superset', 0), member(GROUP_A, 'superset', 0)])[0].message)
+      .toBe('Exercise 1: groupRounds must be an integer from 1 to 20');
+  });
+});
+
+describe('validateExerciseGroups', () => {
+  it('throws the first problem', () => {
+    expect(() => validateExerciseGroups([member(GROUP_A), member(GROUP_A)])).not.toThrow();
+    expect(() => validateExerciseGroups([member(GROUP_A), standalone, member(GROUP_A)]))
+      .toThrow('Exercise 3: exercises in a group must be next to each other');
+  });
+});
+
+describe('normalizeExerciseGroups', () => {
+  it('keeps valid groups and splits invalid ones into standalone exercises', () => {
+    expect(normalizeExerciseGroups([
+      member(GROUP_A),
+      member(GROUP_A),
+      standalone,
+      member(GROUP_B, 'giant_set'),
+    ])).toEqual([
+      { groupId: GROUP_A, groupType: 'superset', groupRounds: 3 },
+      { groupId: GROUP_A, groupType: 'superset', groupRounds: 3 },
+      { groupId: null, groupType: null, groupRounds: null },
+      { groupId: null, groupType: null, groupRounds: null },
+    ]);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Goal Calculation Utilities
+ *
+ * Validation of strength, bodyweight and training goals, percent complete between the
+ * value when the goal was set and its target, and a projected hit date from the recent trend.
+ */
+
+import { addDays, parseDateKey } from '../utils/timezone.js';
+import { MUSCLE_GROUPS, MAX_WEEKLY_SET_TARGET } from './setTargetCalculator.js';
+
+/**
+ * Goal types
+ * - e1rm: estimated 1RM on an exercise (lbs)
+ * - rep_max: reps in one set on an exercise, at or above target_weight (any load if none)
+ * - bodyweight: bodyweight (lbs), to gain or to lose
+ * - weekly_workouts: workouts in a week
+ * - muscle_volume: weekly sets for a muscle
+ */
+export const GOAL_TYPES = ['e1rm', 'rep_max', 'bodyweight', 'weekly_workouts', 'muscle_volume'];
+
+export const EXERCISE_GOAL_TYPES = ['e1rm', 'rep_max'];
+export const WEEKLY_GOAL_TYPES = ['weekly_workouts', 'muscle_volume'];
+
+/**
+ * Upper bound on target_value per goal type
+ */
+export const GOAL_TARGET_LIMITS = {
+  e1rm: 2000,
+  rep_max: 100,
+  bodyweight: 1000,
+  weekly_workouts: 14,
+  muscle_volume: MAX_WEEKLY_SET_TARGET
+};
+
+/**
+ * Days of history used for a goal's current value and trend
+ */
+export const GOAL_LOOKBACK_DAYS = 90;
+
+/**
+ * Weeks reported as hit or missed for weekly goals, this week included
+ */
+export const GOAL_HISTORY_WEEKS = 8;
+
+/**
+ * Projected dates further out than this are not reported
+ */
+export const MAX_GOAL_PROJECTION_DAYS = 730;
+
+/**
+ * Fewest points a projection is fitted to
+ */
+const MIN_PROJECTION_POINTS = 3;
+
+/**
+ * Parse a positive number no larger than `max`
+ *
+ * @throws {Error} If not a positive number in range
+ */
+function parseTarget(value, max, label, { integer = false } = {}) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number <= 0 || number > max ||
+      (integer && !Number.isInteger(number))) {
+    throw new Error(`${label} must be a positive ${integer ? 'whole number' : 'number'} up to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate and normalize goal fields
+ *
+ * @param {Object} input - { type, exerciseId, muscle, targetValue, targetWeight, targetDate }
+ * @returns {Object} { type, exercise_id, muscle, target_value, target_weight, target_date }
+ * @throws {Error} If a field is missing or invalid for the goal type
+ *
+ * @example
+ * normalizeGoalInput({ type: 'rep_max', exerciseId: 'ex1', targetValue: 1, targetWeight: 315 });
+ * // => { type: 'rep_max', exercise_id: 'ex1', muscle: null, target_value: 1, target_weight: 315, target_date: null }
+ */
+export function normalizeGoalInput({ type, exerciseId = null, muscle = null, targetValue, targetWeight = null, targetDate = null }) {
+  if (!GOAL_TYPES.includes(type)) {
+    throw new Error(`Goal type must be one of: ${GOAL_TYPES.join(', ')}`);
+  }
+
+  if (EXERCISE_GOAL_TYPES.includes(type) && !exerciseId) {
+    throw new Error(`exerciseId is required for ${type} goals`);
+  }
+
+  if (type === 'muscle_volume' && !MUSCLE_GROUPS.includes(muscle)) {
+    throw new Error(`Goal muscle must be one of: ${MUSCLE_GROUPS.join(', ')}`);
+  }
+
+  const integer = type !== 'e1rm' && type !== 'bodyweight';
+  const target = parseTarget(targetValue, GOAL_TARGET_LIMITS[type], 'Target value', { integer });
+
+  const weight = type === 'rep_max' && targetWeight !== null && targetWeight !== undefined && targetWeight !== ''
+    ? parseTarget(targetWeight, GOAL_TARGET_LIMITS.e1rm, 'Target weight')
+    : null;
+
+  if (targetDate) {
+    parseDateKey(targetDate); // Validates date format
+  }
+
+  return {
+    type,
+    exercise_id: EXERCISE_GOAL_TYPES.includes(type) ? exerciseId : null,
+    muscle: type === 'muscle_volume' ? muscle : null,
+    target_value: target,
+    target_weight: weight,
+    target_date: targetDate || null
+  };
+}
+
+/**
+ * Most reps in a day's sets at or above a load
+ *
+ * @param {Object} repBests - exercise_daily_rollup rep_bests: { reps: { load, ... } }
+ * @param {number|null} minLoad - Minimum effective load (null: any load)
+ * @returns {number|null} Reps, or null if no set was heavy enough
+ */
+export function getRepsAtLoad(repBests, minLoad = null) {
+  const reps = Object.entries(repBests || {})
+    .filter(([, best]) => minLoad === null || best.load >= minLoad - 0.01)
+    .map(([count]) => parseInt(count, 10));
+
+  return reps.length > 0 ? Math.max(...reps) : null;
+}
+
+/**
+ * Whether a goal is reached by lowering the value (bodyweight goals below the starting weight)
+ *
+ * @param {Object} goal - { type, start_value, target_value }
+ * @returns {string} 'increase' | 'decrease'
+ */
+export function getGoalDirection({ type, start_value, target_value }) {
+  return type === 'bodyweight' && start_value !== null && start_value !== undefined && target_value < start_value
+    ? 'decrease'
+    : 'increase';
+}
+
+/**
+ * Percent complete between the starting value and the target
+ *
+ * @param {Object} goal - { type, start_value, target_value }
+ * @param {number|null} current - Current value
+ * @returns {Object} { percent (0-100), direction, achieved }
+ */
+export function calculateGoalProgress(goal, current) {
+  const direction = getGoalDirection(goal);
+  const target = goal.target_value;
+
+  if (current === null || current === undefined) {
+    return { percent: 0, direction, achieved: false };
+  }
+
+  const achieved = direction === 'decrease' ? current <= target : current >= target;
+  if (achieved) {
+    return { percent: 100, direction, achieved };
+  }
+
+  // Weekly goals, and goals without a baseline, count up from zero
+  const start = WEEKLY_GOAL_TYPES.includes(goal.type) ? 0 : goal.start_value ?? 0;
+  const percent = target === start ? 0 : ((current - start) / (target - start)) * 100;
+
+  return {
+    percent: Math.round(Math.min(Math.max(percent, 0), 99)),
+    direction,
+    achieved
+  };
+}
+
+/**
+ * Hit or missed per week for a weekly goal (these recur, so they are never completed)
+ * The current week is 'in_progress' until the target is hit
+ *
+ * @param {Array<Object>} series - [{ date (Monday), value }] oldest first
+ * @param {number} target - Weekly target
+ * @param {string} currentWeekStart - Monday of this week YYYY-MM-DD
+ * @returns {Array<Object>} [{ week_start, value, status: 'hit' | 'missed' | 'in_progress' }]
+ *
+ * @example
+ * summarizeGoalWeeks([{ date: '2026-10-05', value: 4 }, { date: '2026-10-12', value: 2 }], 3, '2026-10-12');
+ * // => [{ week_start: '2026-10-05', value: 4, status: 'hit' }, { week_start: '2026-10-12', value: 2, status: 'in_progress' }]
+ */
+export function summarizeGoalWeeks(series, target, currentWeekStart) {
+  return series.map(({ date, value }) => {
+    let status = 'missed';
+    if (value >= target) {
+      status = 'hit';
+    } else if (date === currentWeekStart) {
+      status = 'in_progress';
+    }
+    return { week_start: date, value, status };
+  });
+}
+
+/**
+ * Projected date the target is reached, from a linear trend over the recent values
+ *
+ * @param {Array<Object>} series - [{ date, value }] oldest first
+ * @param {number} target - Target value
+ * @param {string} direction - 'increase' | 'decrease'
+ * @param {string} todayKey - Today YYYY-MM-DD (projections are never earlier)
+ * @returns {string|null} YYYY-MM-DD, or null if there is no trend towards the target
+ */
+export function projectGoalDate(series, target, direction, todayKey) {
+  if (series.length < MIN_PROJECTION_POINTS) {
+    return null;
+  }
+
+  const startKey = series[0].date;
+  const dayIndex = (dateKey) => Math.round((parseDateKey(dateKey) - parseDateKey(startKey)) / 86400000);
+  const points = series.map(point => ({ x: dayIndex(point.date), y: point.value }));
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (sxx === 0) {
+    return null;
+  }
+
+  const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+  if (direction === 'decrease' ? slope >= 0 : slope <= 0) {
+    return null;
+  }
+
+  const intercept = meanY - slope * meanX;
+  const hitIndex = Math.ceil((target - intercept) / slope);
+  const todayIndex = dayIndex(todayKey);
+
+  if (hitIndex - todayIndex > MAX_GOAL_PROJECTION_DAYS) {
+    return null;
+  }
+
+  return addDays(startKey, Math.max(hitIndex, todayIndex));
+}
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeGoalInput,
+  getRepsAtLoad,
+  getGoalDirection,
+  calculateGoalProgress,
+  projectGoalDate,
+  summarizeGoalWeeks,
+} from './goalCalculator.js';
+
+describe('normalizeGoalInput', () => {
+  it('normalizes a rep max at a weight', () => {
+    expect(normalizeGoalInput({
+      type: 'rep_max',
+      exerciseId: 'ex1',
+      muscle: 'chest',
+      targetValue: '1',
+      targetWeight: '315',
+      targetDate: '2027-06-01',
+    })).toEqual({
+      type: 'rep_max',
+      exercise_id: 'ex1',
+      muscle: null,
+      target_value: 1,
+      target_weight: 315,
+      target_date: '2027-06-01',
+    });
+  });
+
+  it('drops fields the goal type does not use', () => {
+    expect(normalizeGoalInput({ type: 'bodyweight', exerciseId: 'ex1', targetValue: 180.5, targetWeight: 100 })).toEqual({
+      type: 'bodyweight',
+      exercise_id: null,
+      muscle: null,
+      target_value: 180.5,
+      target_weight: null,
+      target_date: null,
+    });
+  });
+
+  it('requires an exercise or muscle where the type needs one', () => {
+    expect(() => normalizeGoalInput({ type: 'e1rm', targetValue: 225 })).toThrow('exerciseId is required for e1rm goals');
+    expect(() => normalizeGoalInput({ type: 'muscle_volume', muscle: 'legs', targetValue: 12 })).toThrow('Goal muscle must be one of');
+  });
+
+  it('rejects unknown types, bad targets and bad dates', () => {
+    expect(() => normalizeGoalInput({ type: 'squat', targetValue: 1 })).toThrow('Goal type must be one of');
+    expect(() => normalizeGoalInput({ type: 'weekly_workouts', targetValue: 3.5 })).toThrow('Target value must be a positive whole number up to 14');
+    expect(() => normalizeGoalInput({ type: 'e1rm', exerciseId: 'ex1', targetValue: 0 })).toThrow('Target value must be a positive number');
+    expect(() => normalizeGoalInput({ type: 'rep_max', exerciseId: 'ex1', targetValue: 5, targetWeight: -5 })).toThrow('Target weight must be');
+    expect(() => normalizeGoalInput({ type: 'bodyweight', targetValue: 180, targetDate: 'June' })).toThrow('Invalid date format');
+  });
+});
+
+describe('getRepsAtLoad', () => {
+  const repBests = { 3: { load: 315 }, 5: { load: 295 }, 8: { load: 250 } };
+
+  it('finds the most reps at or above a load', () => {
+    expect(getRepsAtLoad(repBests, 295)).toBe(5);
+    expect(getRepsAtLoad(repBests, 300)).toBe(3);
+    expect(getRepsAtLoad(repBests, 320)).toBeNull();
+  });
+
+  it('uses every set without a load', () => {
+    expect(getRepsAtLoad(repBests)).toBe(8);
+    expect(getRepsAtLoad({})).toBeNull();
+  });
+});
+
+describe('getGoalDirection', () => {
+  it('treats bodyweight targets below the start as weight loss', () => {
+    expect(getGoalDirection({ type: 'bodyweight', start_value: 200, target_value: 185 })).toBe('decrease');
+    expect(getGoalDirection({ type: 'bodyweight', start_value: 160, target_value: 170 })).toBe('increase');
+    expect(getGoalDirection({ type: 'e1rm', start_value: 300, target_value: 250 })).toBe('increase');
+  });
+});
+
+describe('calculateGoalProgress', () => {
+  it('measures progress from the starting value', () => {
+    expect(calculateGoalProgress({ type: 'e1rm', start_value: 200, target_value: 250 }, 225)).toEqual({
+      percent: 50,
+      direction: 'increase',
+      achieved: false,
+    });
+    expect(calculateGoalProgress({ type: 'bodyweight', start_value: 200, target_value: 180 }, 195)).toEqual({
+      percent: 25,
+      direction: 'decrease',
+      achieved: false,
+    });
+  });
+
+  it('marks reached targets as achieved', () => {
+    expect(calculateGoalProgress({ type: 'rep_max', start_value: 12, target_value: 20 }, 20)).toMatchObject({ percent: 100, achieved: true });
+    expect(calculateGoalProgress({ type: 'bodyweight', start_value: 200, target_value: 180 }, 179.5)).toMatchObject({ achieved: true });
+  });
+
+  it('counts weekly goals from zero and goals without data as not started', () => {
+    expect(calculateGoalProgress({ type: 'weekly_workouts', start_value: 2, target_value: 4 }, 3).percent).toBe(75);
+    expect(calculateGoalProgress({ type: 'e1rm', start_value: null, target_value: 250 }, null).percent).toBe(0);
+    expect(calculateGoalProgress({ type: 'e1rm', start_value: 250, target_value: 300 }, 240).percent).toBe(0);
+  });
+});
+
+describe('summarizeGoalWeeks', () => {
+  it('marks past weeks hit or missed, and this week in progress until hit', () => {
+    const series = [
+      { date: '2026-09-28', value: 4 },
+      { date: '2026-10-05', value: 2 },
+      { date: '2026-10-12', value: 1 },
+    ];
+    expect(summarizeGoalWeeks(series, 3, '2026-10-12').map(week => week.status)).toEqual(['hit', 'missed', 'in_progress']);
+    expect(summarizeGoalWeeks(series, 1, '2026-10-12')[2]).toEqual({ week_start: '2026-10-12', value: 1, status: 'hit' });
+  });
+});
+
+describe('projectGoalDate', () => {
+  // +1 lb every 2 days from 200 on Jan 1
+  const series = [0, 2, 4, 6].map(day => ({ date: `2027-01-0${day + 1}`, value: 200 + day / 2 }));
+
+  it('projects the date the linear trend reaches the target', () => {
+    expect(projectGoalDate(series, 210, 'increase', '2027-01-07')).toBe('2027-01-21');
+  });
+
+  it('never projects before today', () => {
+    expect(projectGoalDate(series, 202, 'increase', '2027-01-10')).toBe('2027-01-10');
+  });
+
+  it('returns null without a trend towards the target', () => {
+    expect(projectGoalDate(series, 190, 'decrease', '2027-01-07')).toBeNull();
+    expect(projectGoalDate(series.slice(0, 2), 210, 'increase', '2027-01-07')).toBeNull();
+    expect(projectGoalDate(series, 1000, 'increase', '2027-01-07')).toBeNull();
+  });
+});
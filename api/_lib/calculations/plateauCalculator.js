@@ -0,0 +1,150 @@
+/**
+ * Plateau Detection Utilities
+ *
+ * Stall detection over an exercise's progress series (one session per local training day,
+ * see statsService.getExerciseProgress): no estimated 1RM improvement in N sessions,
+ * estimated 1RM regression across consecutive sessions, and rep drop-off at the same top load.
+ */
+
+/**
+ * Sessions without a new best estimated 1RM before a stall is reported
+ */
+export const STALL_SESSIONS = 4;
+
+/**
+ * Consecutive sessions with a falling estimated 1RM (or falling reps at the same load)
+ * before a regression / rep drop-off is reported, i.e. two drops in a row
+ */
+export const REGRESSION_SESSIONS = 3;
+export const REP_DROP_SESSIONS = 3;
+
+/**
+ * Alert types, most serious first
+ */
+export const PLATEAU_ALERT_TYPES = ['regression', 'rep_drop', 'stall'];
+
+/**
+ * Round a load for messages
+ */
+function formatLoad(value) {
+  return `${Math.round(value * 10) / 10} lbs`;
+}
+
+/**
+ * Session summary included in an alert
+ */
+function toAlertSession(session) {
+  return {
+    date: session.date,
+    estimated_1rm: session.estimated_1rm,
+    max_weight: session.max_weight,
+    top_reps: session.top_reps ?? null
+  };
+}
+
+/**
+ * No new best estimated 1RM in the last `sessions` sessions
+ *
+ * @param {Array<Object>} series - Sessions with estimated_1rm, oldest first
+ * @param {number} sessions - Sessions without improvement (default: STALL_SESSIONS)
+ * @returns {Object|null} Alert, or null if the lift is still improving
+ */
+export function detectStall(series, sessions = STALL_SESSIONS) {
+  const rated = series.filter(session => session.estimated_1rm !== null && session.estimated_1rm !== undefined);
+  if (rated.length <= sessions) {
+    return null;
+  }
+
+  const earlier = rated.slice(0, -sessions);
+  const recent = rated.slice(-sessions);
+  const best = earlier.reduce((top, session) => (session.estimated_1rm > top.estimated_1rm ? session : top));
+
+  if (recent.some(session => session.estimated_1rm > best.estimated_1rm)) {
+    return null;
+  }
+
+  return {
+    type: 'stall',
+    severity: 'info',
+    message: `No estimated 1RM improvement in ${sessions} sessions (best ${formatLoad(best.estimated_1rm)} on ${best.date})`,
+    reference: toAlertSession(best),
+    sessions: recent.map(toAlertSession)
+  };
+}
+
+/**
+ * Estimated 1RM lower than the session before in each of the last `sessions` - 1 sessions
+ *
+ * @param {Array<Object>} series - Sessions with estimated_1rm, oldest first
+ * @param {number} sessions - Sessions in the falling run (default: REGRESSION_SESSIONS)
+ * @returns {Object|null} Alert, or null if there is no regression
+ */
+export function detectRegression(series, sessions = REGRESSION_SESSIONS) {
+  const rated = series.filter(session => session.estimated_1rm !== null && session.estimated_1rm !== undefined);
+  if (rated.length < sessions) {
+    return null;
+  }
+
+  const recent = rated.slice(-sessions);
+  for (let i = 1; i < recent.length; i++) {
+    if (recent[i].estimated_1rm >= recent[i - 1].estimated_1rm) {
+      return null;
+    }
+  }
+
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+
+  return {
+    type: 'regression',
+    severity: 'warning',
+    message: `Estimated 1RM fell in ${sessions - 1} consecutive sessions ` +
+      `(${formatLoad(first.estimated_1rm)} to ${formatLoad(last.estimated_1rm)})`,
+    sessions: recent.map(toAlertSession)
+  };
+}
+
+/**
+ * Fewer reps at the same top load in each of the last `sessions` - 1 sessions
+ *
+ * @param {Array<Object>} series - Sessions with max_weight and top_reps, oldest first
+ * @param {number} sessions - Sessions in the falling run (default: REP_DROP_SESSIONS)
+ * @returns {Object|null} Alert, or null if there is no drop-off
+ */
+export function detectRepDropOff(series, sessions = REP_DROP_SESSIONS) {
+  const loaded = series.filter(session => session.max_weight > 0 && session.top_reps > 0);
+  if (loaded.length < sessions) {
+    return null;
+  }
+
+  const recent = loaded.slice(-sessions);
+  const load = recent[0].max_weight;
+
+  for (let i = 1; i < recent.length; i++) {
+    if (Math.abs(recent[i].max_weight - load) > 0.01 || recent[i].top_reps >= recent[i - 1].top_reps) {
+      return null;
+    }
+  }
+
+  return {
+    type: 'rep_drop',
+    severity: 'warning',
+    message: `Reps at ${formatLoad(load)} dropped in ${sessions - 1} consecutive sessions ` +
+      `(${recent[0].top_reps} to ${recent[recent.length - 1].top_reps})`,
+    sessions: recent.map(toAlertSession)
+  };
+}
+
+/**
+ * Run every detector over an exercise's progress series
+ *
+ * @param {Array<Object>} series - Sessions { date, estimated_1rm, max_weight, top_reps }, oldest first
+ * @returns {Array<Object>} Alerts { type, severity, message, sessions, reference? }, most serious first
+ *
+ * @example
+ * detectPlateaus(progress);
+ * // => [{ type: 'stall', severity: 'info', message: 'No estimated 1RM improvement in 4 sessions (...)', ... }]
+ */
+export function detectPlateaus(series) {
+  return [detectRegression(series), detectRepDropOff(series), detectStall(series)].filter(Boolean);
+}
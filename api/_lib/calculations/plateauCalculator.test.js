@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectStall,
+  detectRegression,
+  detectRepDropOff,
+  detectPlateaus,
+} from './plateauCalculator.js';
+
+// Progress entries as returned by getExerciseProgress, one per training day
+const series = (entries) => entries.map(([estimated_1rm, max_weight = 200, top_reps = 5], i) => ({
+  date: `2024-06-${String(i + 1).padStart(2, '0')}`,
+  estimated_1rm,
+  max_weight,
+  top_reps,
+}));
+
+describe('detectStall', () => {
+  it('reports no new best in the last 4 sessions, with the best it failed to beat', () => {
+    const alert = detectStall(series([[200], [220], [215], [220], [210], [218]]));
+
+    expect(alert).toMatchObject({ type: 'stall', severity: 'info' });
+    expect(alert.message).toBe('No estimated 1RM improvement in 4 sessions (best 220 lbs on 2024-06-02)');
+    expect(alert.reference.date).toBe('2024-06-02');
+    expect(alert.sessions.map(session => session.date)).toEqual(['2024-06-03', '2024-06-04', '2024-06-05', '2024-06-06']);
+  });
+
+  it('ignores a lift that set a new best recently', () => {
+    expect(detectStall(series([[200], [220], [215], [221], [210], [218]]))).toBeNull();
+  });
+
+  it('needs more sessions than the stall window', () => {
+    expect(detectStall(series([[220], [210], [200], [190]]))).toBeNull();
+    expect(detectStall(series([[220], [null], [210], [200], [190]]))).toBeNull();
+  });
+});
+
+describe('detectRegression', () => {
+  it('reports an estimated 1RM that fell two sessions in a row', () => {
+    const alert = detectRegression(series([[200], [230], [225.04], [219.96]]));
+
+    expect(alert).toMatchObject({ type: 'regression', severity: 'warning' });
+    expect(alert.message).toBe('Estimated 1RM fell in 2 consecutive sessions (230 lbs to 220 lbs)');
+    expect(alert.sessions).toHaveLength(3);
+  });
+
+  it('ignores a single drop or a flat session', () => {
+    expect(detectRegression(series([[230], [235], [225]]))).toBeNull();
+    expect(detectRegression(series([[230], [225], [225]]))).toBeNull();
+  });
+});
+
+describe('detectRepDropOff', () => {
+  it('reports fewer reps at the same top load', () => {
+    const alert = detectRepDropOff(series([[233, 200, 5], [240, 200, 8], [233, 200, 7], [227, 200, 6]]));
+
+    expect(alert).toMatchObject({ type: 'rep_drop', severity: 'warning' });
+    expect(alert.message).toBe('Reps at 200 lbs dropped in 2 consecutive sessions (8 to 6)');
+    expect(alert.sessions.map(session => session.top_reps)).toEqual([8, 7, 6]);
+  });
+
+  it('ignores fewer reps after a load increase', () => {
+    expect(detectRepDropOff(series([[240, 200, 8], [240, 205, 7], [240, 205, 6]]))).toBeNull();
+  });
+});
+
+describe('detectPlateaus', () => {
+  it('returns every alert, most serious first', () => {
+    const alerts = detectPlateaus(series([[250, 200, 10], [240, 200, 8], [233, 200, 7], [227, 200, 6], [220, 200, 5]]));
+    expect(alerts.map(alert => alert.type)).toEqual(['regression', 'rep_drop', 'stall']);
+  });
+
+  it('returns nothing for a progressing lift', () => {
+    expect(detectPlateaus(series([[200], [205], [210], [215], [220]]))).toEqual([]);
+  });
+});
@@ -1,64 +1,104 @@
 /**
  * Personal Record (PR) Calculation Utilities
  *
- * Uses Brzycki formula for 1RM estimation
+ * Supports several 1RM estimation formulas. The formula is a per-user
+ * setting (see settingsService); Brzycki remains the default.
+ * PRs compare effective load (see volumeCalculator), so weighted pull-ups and
+ * assisted dips are ranked by the load actually moved.
+ * PR rep-range buckets are also per user (defaults: 1RM, 3RM, 5RM, 10RM).
  */
 
+import { calculateSetLoad } from './volumeCalculator.js';
+
+/**
+ * Supported 1RM estimation formulas
+ * Each estimator takes (weight, reps) and returns the raw estimate or null
+ */
+const E1RM_ESTIMATORS = {
+  // 1RM = weight / (1.0278 - 0.0278 × reps)
+  // Denominator reaches 0 at ~37 reps, negative beyond that
+  brzycki: (weight, reps) => {
+    const denominator = 1.0278 - 0.0278 * reps;
+    return denominator > 0 ? weight / denominator : null;
+  },
+  // 1RM = weight × (1 + reps / 30)
+  epley: (weight, reps) => weight * (1 + reps / 30),
+  // 1RM = weight × reps^0.10
+  lombardi: (weight, reps) => weight * Math.pow(reps, 0.1),
+  // 1RM = 100 × weight / (48.8 + 53.8 × e^(-0.075 × reps))
+  wathan: (weight, reps) => (100 * weight) / (48.8 + 53.8 * Math.exp(-0.075 * reps)),
+  // 1RM = 100 × weight / (52.2 + 41.9 × e^(-0.055 × reps))
+  mayhew: (weight, reps) => (100 * weight) / (52.2 + 41.9 * Math.exp(-0.055 * reps))
+};
+
+/**
+ * Valid formula names ('average' = mean of all individual formulas)
+ */
+export const E1RM_FORMULAS = [...Object.keys(E1RM_ESTIMATORS), 'average'];
+
+/**
+ * Formula used when the user has not chosen one
+ */
+export const DEFAULT_E1RM_FORMULA = 'brzycki';
+
+/**
+ * Check whether a formula name is supported
+ *
+ * @param {string} formula - Formula name
+ * @returns {boolean} True if supported
+ */
+export function isValidE1RMFormula(formula) {
+  return E1RM_FORMULAS.includes(formula);
+}
+
 /**
- * Calculate estimated 1RM using Brzycki formula
+ * Calculate estimated 1RM using the given formula
  *
- * Formula: 1RM = weight / (1.0278 - 0.0278 × reps)
+ * A single rep is treated as a true 1RM for every formula.
  *
  * @param {number} weight - Weight lifted in lbs
  * @param {number} reps - Number of repetitions
+ * @param {string} formula - Formula name (default: 'brzycki')
  * @returns {number|null} Estimated 1RM, rounded to 2 decimal places, or null if invalid input
  *
  * @example
- * const oneRM = calculateEstimated1RM(225, 5); // ~248.63 lbs
+ * const oneRM = calculateEstimated1RM(225, 5); // ~253.16 lbs (Brzycki)
+ * const epley = calculateEstimated1RM(225, 5, 'epley'); // 262.5 lbs
  */
-export function calculateEstimated1RM(weight, reps) {
+export function calculateEstimated1RM(weight, reps, formula = DEFAULT_E1RM_FORMULA) {
   if (!weight || !reps || reps <= 0) {
     return null;
   }
 
-  // Guard against division by zero/negative denominator
-  // Brzycki denominator = 0 at ~37 reps, negative beyond that
-  const denominator = 1.0278 - 0.0278 * reps;
-  if (denominator <= 0) {
+  if (!isValidE1RMFormula(formula)) {
+    throw new Error(`Unknown 1RM formula: ${formula}`);
+  }
+
+  const numericWeight = parseFloat(weight);
+
+  if (reps === 1) {
+    return Math.round(numericWeight * 100) / 100;
+  }
+
+  let estimated;
+  if (formula === 'average') {
+    const estimates = Object.values(E1RM_ESTIMATORS)
+      .map(estimate => estimate(numericWeight, reps))
+      .filter(value => value !== null);
+    estimated = estimates.reduce((sum, value) => sum + value, 0) / estimates.length;
+  } else {
+    estimated = E1RM_ESTIMATORS[formula](numericWeight, reps);
+  }
+
+  if (estimated === null || !Number.isFinite(estimated) || estimated <= 0) {
     return null;
   }
 
-  const estimated = weight / denominator;
   return Math.round(estimated * 100) / 100; // Round to 2 decimal places
 }
 
 /**
- * Returns SQL expression for calculating estimated 1RM
- * Use this in SELECT clauses
- *
- * @returns {string} SQL CASE expression for Brzycki formula
- *
- * @example
- * const query = sql`
- *   SELECT
- *     s.weight,
- *     s.reps,
- *     ${sql.raw(calculateEstimated1RMSQL())} as estimated_1rm
- *   FROM "set" s
- * `;
- */
-export function calculateEstimated1RMSQL() {
-  return `
-    CASE
-      WHEN s.reps > 0 AND s.weight IS NOT NULL THEN
-        ROUND(s.weight / (1.0278 - 0.0278 * s.reps), 2)
-      ELSE NULL
-    END
-  `;
-}
-
-/**
- * Standard rep ranges for PR tracking
+ * Standard rep ranges for PR tracking (used when the user has not chosen their own)
  */
 export const REP_RANGES = [
   { name: '1RM', min: 1, max: 1 },
@@ -68,21 +108,203 @@ export const REP_RANGES = [
 ];
 
 /**
- * Order for sorting rep ranges
+ * Order for sorting the standard rep ranges
  */
 export const REP_RANGE_ORDER = { '1RM': 1, '3RM': 2, '5RM': 3, '10RM': 4 };
 
+/**
+ * Highest rep count a PR bucket can cover (matches the set reps constraint)
+ */
+export const MAX_PR_REPS = 100;
+
+/**
+ * Most buckets a user can define
+ */
+export const MAX_REP_RANGES = 20;
+
+/**
+ * Named rep range presets (user setting)
+ * exact = one bucket per rep count from 1 to 20
+ */
+export const REP_RANGE_PRESETS = {
+  default: REP_RANGES,
+  exact: Array.from({ length: 20 }, (_, index) => ({ name: `${index + 1}RM`, min: index + 1, max: index + 1 }))
+};
+
+/**
+ * Default bucket name for a custom range: "15RM" for exact ranges, "13-15RM" otherwise
+ *
+ * @param {number} min - Lowest rep count (inclusive)
+ * @param {number} max - Highest rep count (inclusive)
+ * @returns {string} Bucket name
+ */
+export function getRepRangeName(min, max) {
+  return min === max ? `${min}RM` : `${min}-${max}RM`;
+}
+
+/**
+ * Validate and normalize PR rep ranges from user input
+ * Accepts a preset name or an array of { min, max, name? }; ranges are sorted by min
+ *
+ * @param {string|Array<Object>} input - Preset name or custom ranges
+ * @returns {Array<Object>} Ranges: { name, min, max }
+ * @throws {Error} If ranges are invalid or overlap
+ *
+ * @example
+ * normalizeRepRanges([{ min: 13, max: 15 }, { min: 20, max: 20 }]);
+ * // => [{ name: '13-15RM', min: 13, max: 15 }, { name: '20RM', min: 20, max: 20 }]
+ */
+export function normalizeRepRanges(input) {
+  if (typeof input === 'string') {
+    if (!REP_RANGE_PRESETS[input]) {
+      throw new Error(`prRepRanges preset must be one of: ${Object.keys(REP_RANGE_PRESETS).join(', ')}`);
+    }
+    return REP_RANGE_PRESETS[input].map(range => ({ ...range }));
+  }
+
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_REP_RANGES) {
+    throw new Error(`prRepRanges must be a preset name or a list of 1-${MAX_REP_RANGES} rep ranges`);
+  }
+
+  const ranges = input.map(range => {
+    const min = Number(range?.min);
+    const max = Number(range?.max ?? range?.min);
+
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max > MAX_PR_REPS || min > max) {
+      throw new Error(`Rep range bounds must be whole numbers with 1 <= min <= max <= ${MAX_PR_REPS}`);
+    }
+
+    const name = range.name ? String(range.name).trim() : getRepRangeName(min, max);
+    if (!name || name.length > 20) {
+      throw new Error('Rep range name must be 1-20 characters');
+    }
+
+    return { name, min, max };
+  });
+
+  ranges.sort((a, b) => a.min - b.min);
+
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].min <= ranges[i - 1].max) {
+      throw new Error(`Rep ranges must be non-overlapping (${ranges[i - 1].name} and ${ranges[i].name})`);
+    }
+  }
+
+  if (new Set(ranges.map(range => range.name)).size !== ranges.length) {
+    throw new Error('Rep range names must be unique');
+  }
+
+  return ranges;
+}
+
+/**
+ * Build a name -> position map for sorting PRs by rep range
+ *
+ * @param {Array<Object>} ranges - Rep ranges (default: REP_RANGES)
+ * @returns {Object} Range name -> 1-based order
+ */
+export function getRepRangeOrder(ranges = REP_RANGES) {
+  return Object.fromEntries(ranges.map((range, index) => [range.name, index + 1]));
+}
+
 /**
  * Find which rep range a given rep count falls into
  *
  * @param {number} reps - Number of repetitions
- * @returns {string|null} Rep range name ('1RM', '3RM', '5RM', '10RM') or null if outside all ranges
+ * @param {Array<Object>} ranges - Rep ranges to match against (default: REP_RANGES)
+ * @returns {string|null} Rep range name (e.g. '5RM') or null if outside all ranges
  */
-export function findRepRange(reps) {
-  for (const range of REP_RANGES) {
+export function findRepRange(reps, ranges = REP_RANGES) {
+  for (const range of ranges) {
     if (reps >= range.min && reps <= range.max) {
       return range.name;
     }
   }
   return null;
 }
+
+/**
+ * Build the PR history timeline from working sets in chronological order
+ * A new entry is recorded each time a rep range's best effective load is beaten
+ *
+ * @param {Array<Object>} sets - Sets ordered oldest first ({ weight, reps, ...extra });
+ *   bodyweight-loaded sets also carry load_mode, bodyweight_fraction and bodyweight
+ * @param {Array<Object>} ranges - The user's PR rep ranges (default: REP_RANGES)
+ * @returns {Array<Object>} Timeline entries: { rep_range, weight, reps, previous_weight, ...extra }
+ *
+ * @example
+ * buildPRTimeline([{ weight: 200, reps: 5 }, { weight: 210, reps: 5 }]);
+ * // => two 5RM entries, the second with previous_weight 200
+ */
+export function buildPRTimeline(sets, ranges = REP_RANGES) {
+  const bestByRange = {};
+  const timeline = [];
+
+  for (const set of sets) {
+    const weight = calculateSetLoad(set);
+    const repRange = findRepRange(set.reps, ranges);
+
+    if (!repRange || !weight || weight <= 0) {
+      continue;
+    }
+
+    const previous = bestByRange[repRange];
+    if (previous !== undefined && weight <= previous) {
+      continue;
+    }
+
+    bestByRange[repRange] = weight;
+    timeline.push({
+      ...set,
+      rep_range: repRange,
+      weight,
+      previous_weight: previous !== undefined ? previous : null
+    });
+  }
+
+  return timeline;
+}
+
+/**
+ * Find warm-up sets that beat the working-set record at the time (spec 4.5.1)
+ * These are "suspected mislabelled PRs": likely working sets logged as warm-ups
+ *
+ * @param {Array<Object>} sets - Sets ordered oldest first ({ weight, reps, is_warmup, ...extra });
+ *   bodyweight-loaded sets also carry load_mode, bodyweight_fraction and bodyweight
+ * @param {Array<Object>} ranges - The user's PR rep ranges (default: REP_RANGES)
+ * @returns {Array<Object>} Candidates: { rep_range, weight, reps, record_weight, ...extra }
+ */
+export function findWarmupPRCandidates(sets, ranges = REP_RANGES) {
+  const bestByRange = {};
+  const candidates = [];
+
+  for (const set of sets) {
+    const weight = calculateSetLoad(set);
+    const repRange = findRepRange(set.reps, ranges);
+
+    if (!repRange || !weight || weight <= 0) {
+      continue;
+    }
+
+    const record = bestByRange[repRange];
+
+    if (set.is_warmup) {
+      // Only flag when there is a working record to beat
+      if (record !== undefined && weight > record) {
+        candidates.push({
+          ...set,
+          rep_range: repRange,
+          weight,
+          record_weight: record
+        });
+      }
+      continue;
+    }
+
+    if (record === undefined || weight > record) {
+      bestByRange[repRange] = weight;
+    }
+  }
+
+  return candidates;
+}
@@ -1,10 +1,17 @@
 import { describe, it, expect } from 'vitest';
 import {
   calculateEstimated1RM,
-  calculateEstimated1RMSQL,
+  E1RM_FORMULAS,
+  DEFAULT_E1RM_FORMULA,
+  isValidE1RMFormula,
   REP_RANGES,
   REP_RANGE_ORDER,
   findRepRange,
+  REP_RANGE_PRESETS,
+  normalizeRepRanges,
+  getRepRangeOrder,
+  buildPRTimeline,
+  findWarmupPRCandidates,
 } from './prCalculator.js';
 
 describe('calculateEstimated1RM', () => {
@@ -77,24 +84,62 @@ describe('calculateEstimated1RM', () => {
   });
 });
 
-describe('calculateEstimated1RMSQL', () => {
-  it('returns a SQL string', () => {
-    const sql = calculateEstimated1RMSQL();
-    expect(typeof sql).toBe('string');
-    expect(sql).toContain('CASE');
-    expect(sql).toContain('1.0278');
-    expect(sql).toContain('0.0278');
-    expect(sql).toContain('ROUND');
+describe('calculateEstimated1RM with alternate formulas', () => {
+  it('defaults to Brzycki', () => {
+    expect(DEFAULT_E1RM_FORMULA).toBe('brzycki');
+    expect(calculateEstimated1RM(225, 5)).toBe(calculateEstimated1RM(225, 5, 'brzycki'));
   });
 
-  it('handles null weight in SQL', () => {
-    const sql = calculateEstimated1RMSQL();
-    expect(sql).toContain('s.weight IS NOT NULL');
+  it('calculates Epley (225 x 5)', () => {
+    // 225 * (1 + 5/30) = 262.5
+    expect(calculateEstimated1RM(225, 5, 'epley')).toBe(262.5);
   });
 
-  it('handles zero reps in SQL', () => {
-    const sql = calculateEstimated1RMSQL();
-    expect(sql).toContain('s.reps > 0');
+  it('calculates Lombardi (225 x 5)', () => {
+    // 225 * 5^0.1 ≈ 264.29
+    expect(calculateEstimated1RM(225, 5, 'lombardi')).toBeCloseTo(264.29, 1);
+  });
+
+  it('calculates Wathan (225 x 5)', () => {
+    // 100 * 225 / (48.8 + 53.8 * e^-0.375) ≈ 262.31
+    expect(calculateEstimated1RM(225, 5, 'wathan')).toBeCloseTo(262.31, 1);
+  });
+
+  it('calculates Mayhew (225 x 5)', () => {
+    // 100 * 225 / (52.2 + 41.9 * e^-0.275) ≈ 267.77
+    expect(calculateEstimated1RM(225, 5, 'mayhew')).toBeCloseTo(267.77, 1);
+  });
+
+  it('averages all formulas', () => {
+    const individual = E1RM_FORMULAS
+      .filter(f => f !== 'average')
+      .map(f => calculateEstimated1RM(225, 5, f));
+    const mean = individual.reduce((a, b) => a + b, 0) / individual.length;
+    expect(calculateEstimated1RM(225, 5, 'average')).toBeCloseTo(mean, 1);
+  });
+
+  it('skips formulas that are undefined at high reps when averaging', () => {
+    // Brzycki is undefined at 40 reps; the others still produce a value
+    const result = calculateEstimated1RM(100, 40, 'average');
+    expect(result).toBeGreaterThan(0);
+    expect(Number.isFinite(result)).toBe(true);
+  });
+
+  it('returns the weight itself for 1 rep with every formula', () => {
+    E1RM_FORMULAS.forEach(formula => {
+      expect(calculateEstimated1RM(225, 1, formula)).toBe(225);
+    });
+  });
+
+  it('throws for unknown formula', () => {
+    expect(() => calculateEstimated1RM(225, 5, 'magic')).toThrow('Unknown 1RM formula');
+  });
+
+  it('validates formula names', () => {
+    expect(isValidE1RMFormula('epley')).toBe(true);
+    expect(isValidE1RMFormula('average')).toBe(true);
+    expect(isValidE1RMFormula('magic')).toBe(false);
+    expect(isValidE1RMFormula(undefined)).toBe(false);
   });
 });
 
@@ -161,4 +206,163 @@ describe('findRepRange', () => {
   it('returns null for negative reps', () => {
     expect(findRepRange(-1)).toBeNull();
   });
+
+  it('uses custom ranges when given', () => {
+    const ranges = normalizeRepRanges([{ min: 13, max: 15 }, { min: 20, max: 20 }]);
+    expect(findRepRange(14, ranges)).toBe('13-15RM');
+    expect(findRepRange(20, ranges)).toBe('20RM');
+    expect(findRepRange(5, ranges)).toBeNull();
+  });
+});
+
+describe('normalizeRepRanges', () => {
+  it('expands presets', () => {
+    expect(normalizeRepRanges('default')).toEqual(REP_RANGES);
+    const exact = normalizeRepRanges('exact');
+    expect(exact).toHaveLength(20);
+    expect(exact[0]).toEqual({ name: '1RM', min: 1, max: 1 });
+    expect(exact[19]).toEqual({ name: '20RM', min: 20, max: 20 });
+  });
+
+  it('sorts custom ranges and keeps given names', () => {
+    expect(normalizeRepRanges([
+      { name: 'Pump', min: 16, max: 25 },
+      { min: 1, max: 1 },
+    ])).toEqual([
+      { name: '1RM', min: 1, max: 1 },
+      { name: 'Pump', min: 16, max: 25 },
+    ]);
+  });
+
+  it('treats a range without max as a single rep count', () => {
+    expect(normalizeRepRanges([{ min: 15 }])).toEqual([{ name: '15RM', min: 15, max: 15 }]);
+  });
+
+  it('rejects invalid input', () => {
+    expect(() => normalizeRepRanges('powerlifting')).toThrow('preset must be one of');
+    expect(() => normalizeRepRanges([])).toThrow('prRepRanges must be');
+    expect(() => normalizeRepRanges([{ min: 0, max: 3 }])).toThrow('Rep range bounds must be');
+    expect(() => normalizeRepRanges([{ min: 8, max: 5 }])).toThrow('Rep range bounds must be');
+    expect(() => normalizeRepRanges([{ min: 1, max: 5 }, { min: 5, max: 8 }])).toThrow('non-overlapping');
+    expect(() => normalizeRepRanges([{ name: 'A', min: 1, max: 1 }, { name: 'A', min: 2, max: 2 }])).toThrow('unique');
+  });
+});
+
+describe('getRepRangeOrder', () => {
+  it('orders ranges by position', () => {
+    expect(getRepRangeOrder()).toEqual(REP_RANGE_ORDER);
+    expect(getRepRangeOrder(REP_RANGE_PRESETS.exact)['20RM']).toBe(20);
+  });
+});
+
+describe('buildPRTimeline', () => {
+  it('records the first set in each rep range', () => {
+    const timeline = buildPRTimeline([
+      { weight: '225', reps: 5, workout_id: 'w1' },
+      { weight: '185', reps: 10, workout_id: 'w1' },
+    ]);
+    expect(timeline).toHaveLength(2);
+    expect(timeline[0]).toMatchObject({ rep_range: '5RM', weight: 225, previous_weight: null, workout_id: 'w1' });
+    expect(timeline[1]).toMatchObject({ rep_range: '10RM', weight: 185, previous_weight: null });
+  });
+
+  it('adds an entry each time the best weight is beaten', () => {
+    const timeline = buildPRTimeline([
+      { weight: 200, reps: 5 },
+      { weight: 210, reps: 4 },
+      { weight: 230, reps: 6 },
+    ]);
+    expect(timeline.map(e => e.weight)).toEqual([200, 210, 230]);
+    expect(timeline.map(e => e.previous_weight)).toEqual([null, 200, 210]);
+  });
+
+  it('ignores sets that tie or fall short of the record', () => {
+    const timeline = buildPRTimeline([
+      { weight: 200, reps: 5 },
+      { weight: 200, reps: 5 },
+      { weight: 190, reps: 6 },
+    ]);
+    expect(timeline).toHaveLength(1);
+  });
+
+  it('skips reps outside every rep range and empty weights', () => {
+    const timeline = buildPRTimeline([
+      { weight: 100, reps: 20 },
+      { weight: null, reps: 5 },
+      { weight: 0, reps: 3 },
+    ]);
+    expect(timeline).toEqual([]);
+  });
+
+  it('ranks bodyweight-loaded sets by effective load', () => {
+    const pullUp = { load_mode: 'bodyweight_plus', bodyweight_fraction: '0.95', bodyweight: 180 };
+    const timeline = buildPRTimeline([
+      { ...pullUp, weight: null, reps: 5 },
+      { ...pullUp, weight: '25', reps: 5 },
+      { ...pullUp, weight: '10', reps: 5, bodyweight: 200 },
+    ]);
+    expect(timeline.map(e => e.weight)).toEqual([171, 196, 200]);
+    expect(timeline[1].previous_weight).toBe(171);
+  });
+
+  it('treats less assistance as a heavier assisted set', () => {
+    const assistedDip = { load_mode: 'assisted', bodyweight_fraction: '0.95', bodyweight: 180 };
+    const timeline = buildPRTimeline([
+      { ...assistedDip, weight: '70', reps: 8 },
+      { ...assistedDip, weight: '50', reps: 8 },
+      { ...assistedDip, weight: '60', reps: 8 },
+    ]);
+    expect(timeline.map(e => e.weight)).toEqual([101, 121]);
+  });
+});
+
+describe('buildPRTimeline with custom rep ranges', () => {
+  it('tracks high-rep PRs that the defaults drop', () => {
+    const ranges = normalizeRepRanges('exact');
+    const timeline = buildPRTimeline([
+      { weight: 100, reps: 15 },
+      { weight: 95, reps: 20 },
+      { weight: 105, reps: 15 },
+    ], ranges);
+
+    expect(timeline.map(entry => [entry.rep_range, entry.weight])).toEqual([
+      ['15RM', 100],
+      ['20RM', 95],
+      ['15RM', 105],
+    ]);
+    expect(buildPRTimeline([{ weight: 100, reps: 15 }])).toEqual([]);
+  });
+});
+
+describe('findWarmupPRCandidates', () => {
+  it('flags warm-up sets heavier than the working record', () => {
+    const candidates = findWarmupPRCandidates([
+      { weight: 200, reps: 5, is_warmup: false },
+      { weight: 215, reps: 5, is_warmup: true, set_id: 's2' },
+    ]);
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({ set_id: 's2', rep_range: '5RM', weight: 215, record_weight: 200 });
+  });
+
+  it('ignores warm-up sets at or below the record', () => {
+    const candidates = findWarmupPRCandidates([
+      { weight: 200, reps: 5, is_warmup: false },
+      { weight: 135, reps: 5, is_warmup: true },
+      { weight: 200, reps: 4, is_warmup: true },
+    ]);
+    expect(candidates).toEqual([]);
+  });
+
+  it('ignores warm-up sets when no working record exists yet', () => {
+    expect(findWarmupPRCandidates([{ weight: 135, reps: 5, is_warmup: true }])).toEqual([]);
+  });
+
+  it('does not let warm-up sets raise the record', () => {
+    const candidates = findWarmupPRCandidates([
+      { weight: 200, reps: 5, is_warmup: false },
+      { weight: 220, reps: 5, is_warmup: true },
+      { weight: 210, reps: 5, is_warmup: true },
+    ]);
+    expect(candidates.map(c => c.weight)).toEqual([220, 210]);
+  });
 });
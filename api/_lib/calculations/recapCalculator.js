@@ -0,0 +1,256 @@
+/**
+ * Recap Calculation Utilities
+ *
+ * Monthly and yearly training recaps assembled from stats already kept elsewhere: daily
+ * rollup totals (range stats by day), per-exercise daily rollups and the PR ledger.
+ */
+
+import { addDays, getWeekStart, parseDateKey } from '../utils/timezone.js';
+import { calculateDayStreaks, calculateWeekStreaks } from './streakCalculator.js';
+
+/**
+ * Recap periods (GET /api/stats/recap?period=)
+ */
+export const RECAP_PERIODS = ['month', 'year'];
+
+/**
+ * Entries kept in the ranked recap lists (muscles, exercises, PR jumps)
+ */
+export const RECAP_TOP_MUSCLES = 5;
+export const RECAP_TOP_EXERCISES = 5;
+export const RECAP_TOP_PR_JUMPS = 3;
+
+/**
+ * Round to the given number of decimal places
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Resolve the dates covered by a recap
+ * The month or year defaults to the one containing today (a recap in progress)
+ *
+ * @param {string} period - 'month' | 'year'
+ * @param {string|null} date - 'YYYY-MM' for a month, 'YYYY' for a year (optional)
+ * @param {string} todayKey - Today YYYY-MM-DD in the user's timezone
+ * @returns {Object} { period, key, start, end, in_progress }
+ * @throws {Error} If the period or date is invalid
+ */
+export function resolveRecapPeriod(period, date, todayKey) {
+  if (!RECAP_PERIODS.includes(period)) {
+    throw new Error(`period must be one of: ${RECAP_PERIODS.join(', ')}`);
+  }
+
+  const key = date ? String(date) : todayKey.slice(0, period === 'month' ? 7 : 4);
+  let start;
+  let end;
+
+  if (period === 'month') {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(key)) {
+      throw new Error('date must be a month (YYYY-MM) for a monthly recap');
+    }
+    start = `${key}-01`;
+    const nextMonth = parseDateKey(start);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    end = addDays(nextMonth.toISOString().split('T')[0], -1);
+  } else {
+    if (!/^\d{4}$/.test(key)) {
+      throw new Error('date must be a year (YYYY) for a yearly recap');
+    }
+    start = `${key}-01-01`;
+    end = `${key}-12-31`;
+  }
+
+  return { period, key, start, end, in_progress: todayKey >= start && todayKey <= end };
+}
+
+/**
+ * Group day buckets into Monday-start weeks
+ * Weeks straddling the start or end of the period only count its days
+ *
+ * @param {Array<Object>} days - Day buckets { start, total_volume, total_sets, total_workouts }, oldest first
+ * @returns {Array<Object>} [{ week_start, total_volume, total_sets, workout_count }] oldest first
+ */
+export function groupDaysIntoWeeks(days) {
+  const weeks = [];
+  const byStart = {};
+
+  for (const day of days) {
+    const weekStart = getWeekStart(day.start);
+    if (!byStart[weekStart]) {
+      byStart[weekStart] = { week_start: weekStart, total_volume: 0, total_sets: 0, workout_count: 0 };
+      weeks.push(byStart[weekStart]);
+    }
+    byStart[weekStart].total_volume = round(byStart[weekStart].total_volume + day.total_volume);
+    byStart[weekStart].total_sets += day.total_sets;
+    byStart[weekStart].workout_count += day.total_workouts;
+  }
+
+  return weeks;
+}
+
+/**
+ * Heaviest week by volume (most workouts breaks ties for cardio-only weeks, then the earliest)
+ *
+ * @param {Array<Object>} weeks - Weeks from groupDaysIntoWeeks
+ * @returns {Object|null} { week_start, week_end, total_volume, total_sets, workout_count } or null without workouts
+ */
+export function findBestWeek(weeks) {
+  const best = weeks
+    .filter(week => week.workout_count > 0)
+    .reduce((top, week) => (
+      !top || week.total_volume > top.total_volume ||
+      (week.total_volume === top.total_volume && week.workout_count > top.workout_count)
+        ? week
+        : top
+    ), null);
+
+  return best ? { ...best, week_end: addDays(best.week_start, 6) } : null;
+}
+
+/**
+ * Most-trained muscles by working sets (volume breaks ties)
+ *
+ * @param {Object} setsByMuscle - Muscle => sets
+ * @param {Object} volumeByMuscle - Muscle => volume (lbs)
+ * @param {number} limit - Muscles to keep
+ * @returns {Array<Object>} [{ muscle, sets, volume }]
+ */
+export function rankMuscles(setsByMuscle = {}, volumeByMuscle = {}, limit = RECAP_TOP_MUSCLES) {
+  return Object.entries(setsByMuscle)
+    .map(([muscle, sets]) => ({ muscle, sets, volume: volumeByMuscle[muscle] || 0 }))
+    .filter(muscle => muscle.sets > 0)
+    .sort((a, b) => b.sets - a.sets || b.volume - a.volume || a.muscle.localeCompare(b.muscle))
+    .slice(0, limit);
+}
+
+/**
+ * Top exercises by working sets (volume breaks ties)
+ *
+ * @param {Array<Object>} rows - Exercise daily rollups { exercise_id, exercise_name, total_sets, total_volume, top_weight }
+ * @param {number} limit - Exercises to keep
+ * @returns {Array<Object>} [{ exercise_id, exercise_name, days, sets, volume, top_weight }]
+ */
+export function rankExercises(rows, limit = RECAP_TOP_EXERCISES) {
+  const byExercise = {};
+
+  for (const row of rows) {
+    if (!byExercise[row.exercise_id]) {
+      byExercise[row.exercise_id] = {
+        exercise_id: row.exercise_id,
+        exercise_name: row.exercise_name,
+        days: 0,
+        sets: 0,
+        volume: 0,
+        top_weight: null
+      };
+    }
+    const exercise = byExercise[row.exercise_id];
+    const topWeight = row.top_weight === null || row.top_weight === undefined ? null : parseFloat(row.top_weight);
+
+    exercise.days += 1;
+    exercise.sets += Number(row.total_sets) || 0;
+    exercise.volume = round(exercise.volume + (parseFloat(row.total_volume) || 0));
+    if (topWeight !== null && (exercise.top_weight === null || topWeight > exercise.top_weight)) {
+      exercise.top_weight = topWeight;
+    }
+  }
+
+  return Object.values(byExercise)
+    .filter(exercise => exercise.sets > 0)
+    .sort((a, b) => b.sets - a.sets || b.volume - a.volume || a.exercise_name.localeCompare(b.exercise_name))
+    .slice(0, limit);
+}
+
+/**
+ * Count the PRs set in a period and find the biggest jumps
+ * A jump runs from the record standing before the period's first PR to the period's best,
+ * per exercise and rep range. First-ever records have nothing to jump from and count separately
+ *
+ * @param {Array<Object>} prs - Ledger entries { exercise_id, exercise_name, rep_range, weight, reps, previous_weight }, oldest first
+ * @param {number} limit - Jumps to keep
+ * @returns {Object} { count, first_records, biggest_jumps: [{ exercise_id, exercise_name, rep_range, from_weight, weight, reps, jump, jump_percent }] }
+ */
+export function summarizeRecapPRs(prs, limit = RECAP_TOP_PR_JUMPS) {
+  const byRecord = {};
+  let count = 0;
+  let firstRecords = 0;
+
+  for (const pr of prs) {
+    const weight = parseFloat(pr.weight);
+    const previousWeight = pr.previous_weight === null || pr.previous_weight === undefined
+      ? null
+      : parseFloat(pr.previous_weight);
+
+    if (previousWeight === null) {
+      firstRecords += 1;
+    } else {
+      count += 1;
+    }
+
+    const key = `${pr.exercise_id}:${pr.rep_range}`;
+    if (!byRecord[key]) {
+      byRecord[key] = {
+        exercise_id: pr.exercise_id,
+        exercise_name: pr.exercise_name,
+        rep_range: pr.rep_range,
+        from_weight: previousWeight,
+        weight,
+        reps: pr.reps
+      };
+    } else if (weight >= byRecord[key].weight) {
+      byRecord[key].weight = weight;
+      byRecord[key].reps = pr.reps;
+    }
+  }
+
+  const biggestJumps = Object.values(byRecord)
+    .filter(record => record.from_weight !== null)
+    .map(record => ({
+      ...record,
+      jump: round(record.weight - record.from_weight),
+      jump_percent: record.from_weight > 0 ? round(((record.weight - record.from_weight) / record.from_weight) * 100, 1) : null
+    }))
+    .filter(record => record.jump > 0)
+    .sort((a, b) => b.jump - a.jump || a.exercise_name.localeCompare(b.exercise_name))
+    .slice(0, limit);
+
+  return { count, first_records: firstRecords, biggest_jumps: biggestJumps };
+}
+
+/**
+ * Assemble a recap
+ *
+ * @param {Object} range - Period from resolveRecapPeriod
+ * @param {Object} data - Stats for the period
+ * @param {Object} data.stats - Range stats bucketed by day (getRangeStats)
+ * @param {Array<Object>} data.exerciseDays - Exercise daily rollups in the period (see rankExercises)
+ * @param {Array<Object>} data.prs - PR ledger entries in the period, oldest first (see summarizeRecapPRs)
+ * @param {number} data.workoutsPerWeek - Workouts a week needs to extend the weekly streak
+ * @returns {Object} { period, key, start, end, in_progress, total_workouts, training_days, hours_trained, total_volume,
+ *   total_sets, top_muscles, top_exercises, prs, longest_streak, best_week }
+ */
+export function buildRecap(range, { stats, exerciseDays, prs, workoutsPerWeek }) {
+  const trainingDays = stats.buckets.filter(day => day.total_workouts > 0).map(day => day.start);
+  const weeks = groupDaysIntoWeeks(stats.buckets);
+
+  return {
+    ...range,
+    total_workouts: stats.total_workouts,
+    training_days: trainingDays.length,
+    hours_trained: round((stats.total_duration_seconds || 0) / 3600, 1),
+    total_volume: stats.total_volume,
+    total_sets: stats.total_sets,
+    top_muscles: rankMuscles(stats.sets_by_muscle, stats.volume_by_muscle),
+    top_exercises: rankExercises(exerciseDays),
+    prs: summarizeRecapPRs(prs),
+    longest_streak: {
+      days: calculateDayStreaks(trainingDays, range.end).longest,
+      weeks: calculateWeekStreaks(weeks, workoutsPerWeek, getWeekStart(range.end)).longest,
+      workouts_per_week: workoutsPerWeek
+    },
+    best_week: findBestWeek(weeks)
+  };
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveRecapPeriod,
+  groupDaysIntoWeeks,
+  findBestWeek,
+  rankMuscles,
+  rankExercises,
+  summarizeRecapPRs,
+  buildRecap,
+} from './recapCalculator.js';
+
+const day = (start, total_volume = 0, total_workouts = 0, total_sets = 0) => ({ start, total_volume, total_workouts, total_sets });
+
+describe('resolveRecapPeriod', () => {
+  it('covers the whole month or year', () => {
+    expect(resolveRecapPeriod('month', '2024-02', '2024-06-12')).toEqual({
+      period: 'month', key: '2024-02', start: '2024-02-01', end: '2024-02-29', in_progress: false,
+    });
+    expect(resolveRecapPeriod('month', '2024-12', '2024-06-12').end).toBe('2024-12-31');
+    expect(resolveRecapPeriod('year', '2023', '2024-06-12')).toMatchObject({ start: '2023-01-01', end: '2023-12-31' });
+  });
+
+  it('defaults to the period containing today', () => {
+    expect(resolveRecapPeriod('month', null, '2024-06-12')).toMatchObject({ key: '2024-06', in_progress: true });
+    expect(resolveRecapPeriod('year', null, '2024-06-12')).toMatchObject({ key: '2024', in_progress: true });
+  });
+
+  it('rejects unknown periods and mismatched dates', () => {
+    expect(() => resolveRecapPeriod('week', null, '2024-06-12')).toThrow('period must be one of: month, year');
+    expect(() => resolveRecapPeriod('month', '2024', '2024-06-12')).toThrow('date must be a month (YYYY-MM)');
+    expect(() => resolveRecapPeriod('month', '2024-13', '2024-06-12')).toThrow('date must be a month (YYYY-MM)');
+    expect(() => resolveRecapPeriod('year', '2024-06', '2024-06-12')).toThrow('date must be a year (YYYY)');
+  });
+});
+
+describe('groupDaysIntoWeeks and findBestWeek', () => {
+  // Sat Jun 1 falls in the week of Mon May 27
+  const days = [
+    day('2024-06-01', 500, 1, 5),
+    day('2024-06-03', 1000, 1, 10),
+    day('2024-06-05', 1500, 1, 12),
+    day('2024-06-10', 2000, 1, 15),
+  ];
+
+  it('groups days into Monday-start weeks', () => {
+    expect(groupDaysIntoWeeks(days)).toEqual([
+      { week_start: '2024-05-27', total_volume: 500, total_sets: 5, workout_count: 1 },
+      { week_start: '2024-06-03', total_volume: 2500, total_sets: 22, workout_count: 2 },
+      { week_start: '2024-06-10', total_volume: 2000, total_sets: 15, workout_count: 1 },
+    ]);
+  });
+
+  it('picks the heaviest week', () => {
+    expect(findBestWeek(groupDaysIntoWeeks(days))).toEqual({
+      week_start: '2024-06-03', week_end: '2024-06-09', total_volume: 2500, total_sets: 22, workout_count: 2,
+    });
+    expect(findBestWeek(groupDaysIntoWeeks([day('2024-06-03')]))).toBeNull();
+  });
+});
+
+describe('rankMuscles', () => {
+  it('orders muscles by sets, then volume', () => {
+    expect(rankMuscles({ chest: 12, back: 12, biceps: 6, calves: 0 }, { chest: 9000, back: 10000, biceps: 1200 }, 2)).toEqual([
+      { muscle: 'back', sets: 12, volume: 10000 },
+      { muscle: 'chest', sets: 12, volume: 9000 },
+    ]);
+  });
+});
+
+describe('rankExercises', () => {
+  it('adds up exercise days and orders by sets', () => {
+    const rows = [
+      { exercise_id: 'ex-bench', exercise_name: 'Bench Press', total_sets: 4, total_volume: '4000.00', top_weight: '225.00' },
+      { exercise_id: 'ex-squat', exercise_name: 'Squat', total_sets: 5, total_volume: '6000.00', top_weight: '275.00' },
+      { exercise_id: 'ex-bench', exercise_name: 'Bench Press', total_sets: 4, total_volume: '4200.00', top_weight: '230.00' },
+      { exercise_id: 'ex-run', exercise_name: 'Running', total_sets: 0, total_volume: '0', top_weight: null },
+    ];
+
+    expect(rankExercises(rows)).toEqual([
+      { exercise_id: 'ex-bench', exercise_name: 'Bench Press', days: 2, sets: 8, volume: 8200, top_weight: 230 },
+      { exercise_id: 'ex-squat', exercise_name: 'Squat', days: 1, sets: 5, volume: 6000, top_weight: 275 },
+    ]);
+  });
+});
+
+describe('summarizeRecapPRs', () => {
+  const pr = (exercise_id, rep_range, weight, previous_weight, reps = 5) => ({
+    exercise_id, exercise_name: exercise_id === 'ex-bench' ? 'Bench Press' : 'Squat', rep_range, weight: String(weight),
+    previous_weight: previous_weight === null ? null : String(previous_weight), reps,
+  });
+
+  it('counts PRs and measures jumps from the record before the period', () => {
+    const result = summarizeRecapPRs([
+      pr('ex-bench', '5RM', 205, 200),
+      pr('ex-squat', '5RM', 275, 265),
+      pr('ex-bench', '5RM', 215, 205),
+      pr('ex-squat', '1RM', 315, null, 1),
+    ]);
+
+    expect(result.count).toBe(3);
+    expect(result.first_records).toBe(1);
+    expect(result.biggest_jumps).toEqual([
+      { exercise_id: 'ex-bench', exercise_name: 'Bench Press', rep_range: '5RM', from_weight: 200, weight: 215, reps: 5, jump: 15, jump_percent: 7.5 },
+      { exercise_id: 'ex-squat', exercise_name: 'Squat', rep_range: '5RM', from_weight: 265, weight: 275, reps: 5, jump: 10, jump_percent: 3.8 },
+    ]);
+  });
+});
+
+describe('buildRecap', () => {
+  it('assembles totals, rankings, streaks and the best week', () => {
+    const range = resolveRecapPeriod('month', '2024-06', '2024-07-02');
+    const buckets = Array.from({ length: 30 }, (_, i) => day(`2024-06-${String(i + 1).padStart(2, '0')}`));
+    buckets[2] = day('2024-06-03', 1000, 1, 10);
+    buckets[3] = day('2024-06-04', 1200, 1, 12);
+    buckets[4] = day('2024-06-05', 800, 1, 8);
+    buckets[10] = day('2024-06-11', 3500, 2, 20);
+
+    const recap = buildRecap(range, {
+      stats: {
+        buckets,
+        total_workouts: 5,
+        total_volume: 6500,
+        total_sets: 50,
+        total_duration_seconds: 16200,
+        sets_by_muscle: { chest: 30, triceps: 15 },
+        volume_by_muscle: { chest: 6500, triceps: 3000 },
+      },
+      exerciseDays: [],
+      prs: [],
+      workoutsPerWeek: 2,
+    });
+
+    expect(recap).toMatchObject({
+      period: 'month',
+      start: '2024-06-01',
+      end: '2024-06-30',
+      in_progress: false,
+      total_workouts: 5,
+      training_days: 4,
+      hours_trained: 4.5,
+      total_volume: 6500,
+      top_muscles: [{ muscle: 'chest', sets: 30 }, { muscle: 'triceps', sets: 15 }],
+      top_exercises: [],
+      prs: { count: 0, first_records: 0, biggest_jumps: [] },
+      longest_streak: { days: 3, weeks: 2, workouts_per_week: 2 },
+      best_week: { week_start: '2024-06-10', total_volume: 3500 },
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Set Target Calculation Utilities
+ *
+ * Per-muscle weekly set targets built from volume landmarks (MEV/MAV/MRV), and comparison
+ * of a week's sets_by_muscle (1 set per primary muscle, 0.5 per secondary) against them.
+ */
+
+/**
+ * Muscle groups (must match client MUSCLE_GROUPS)
+ */
+export const MUSCLE_GROUPS = [
+  'chest',
+  'back',
+  'shoulders',
+  'biceps',
+  'triceps',
+  'forearms',
+  'abs',
+  'obliques',
+  'quads',
+  'hamstrings',
+  'glutes',
+  'calves',
+  'traps',
+  'lats'
+];
+
+/**
+ * Weekly working-set landmarks per muscle, starting points for an intermediate lifter
+ * mev: minimum effective volume, mav: [low, high] maximum adaptive range,
+ * mrv: maximum recoverable volume. An MEV of 0 means compound work usually covers it
+ */
+export const VOLUME_LANDMARKS = {
+  chest: { mev: 10, mav: [12, 20], mrv: 22 },
+  back: { mev: 10, mav: [14, 22], mrv: 25 },
+  shoulders: { mev: 8, mav: [16, 22], mrv: 26 },
+  biceps: { mev: 8, mav: [14, 20], mrv: 26 },
+  triceps: { mev: 6, mav: [10, 14], mrv: 18 },
+  forearms: { mev: 2, mav: [10, 20], mrv: 25 },
+  abs: { mev: 0, mav: [16, 20], mrv: 25 },
+  obliques: { mev: 0, mav: [8, 16], mrv: 20 },
+  quads: { mev: 8, mav: [12, 18], mrv: 20 },
+  hamstrings: { mev: 6, mav: [10, 16], mrv: 20 },
+  glutes: { mev: 0, mav: [4, 12], mrv: 16 },
+  calves: { mev: 8, mav: [12, 16], mrv: 20 },
+  traps: { mev: 0, mav: [12, 20], mrv: 26 },
+  lats: { mev: 10, mav: [14, 22], mrv: 25 }
+};
+
+/**
+ * Build a muscle -> { min, max } target map from the landmarks
+ */
+function buildPreset(getTarget) {
+  return Object.fromEntries(
+    Object.entries(VOLUME_LANDMARKS).map(([muscle, landmarks]) => [muscle, getTarget(landmarks)])
+  );
+}
+
+/**
+ * Target presets (user setting `muscleSetTargets`)
+ * - mev: at least the minimum effective volume, up to the top of the adaptive range
+ * - mav: within the maximum adaptive range
+ * - mrv: from the top of the adaptive range up to the maximum recoverable volume (overreaching block)
+ */
+export const SET_TARGET_PRESETS = {
+  mev: buildPreset(({ mev, mav }) => ({ min: mev, max: mav[1] })),
+  mav: buildPreset(({ mav }) => ({ min: mav[0], max: mav[1] })),
+  mrv: buildPreset(({ mav, mrv }) => ({ min: mav[1], max: mrv }))
+};
+
+export const DEFAULT_SET_TARGET_PRESET = 'mev';
+
+/**
+ * Default targets, used when the user has not chosen any
+ */
+export const SET_TARGETS = SET_TARGET_PRESETS[DEFAULT_SET_TARGET_PRESET];
+
+/**
+ * Upper bound on a weekly set target
+ */
+export const MAX_WEEKLY_SET_TARGET = 50;
+
+/**
+ * Validate and normalize set targets from a preset name or custom per-muscle targets
+ * Muscles left out of custom targets have no target
+ *
+ * @param {string|Object} input - Preset name ('mev', 'mav', 'mrv') or { muscle: { min, max } }
+ * @returns {Object} Targets: { muscle: { min, max } }
+ * @throws {Error} If the preset, a muscle or a bound is invalid
+ *
+ * @example
+ * normalizeSetTargets({ chest: { min: 12, max: 16 } });
+ * // => { chest: { min: 12, max: 16 } }
+ */
+export function normalizeSetTargets(input) {
+  if (typeof input === 'string') {
+    if (!SET_TARGET_PRESETS[input]) {
+      throw new Error(`muscleSetTargets preset must be one of: ${Object.keys(SET_TARGET_PRESETS).join(', ')}`);
+    }
+    return Object.fromEntries(
+      Object.entries(SET_TARGET_PRESETS[input]).map(([muscle, target]) => [muscle, { ...target }])
+    );
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input) || Object.keys(input).length === 0) {
+    throw new Error('muscleSetTargets must be a preset name or targets for at least one muscle');
+  }
+
+  const targets = {};
+  for (const muscle of MUSCLE_GROUPS) {
+    const target = input[muscle];
+    if (target === undefined || target === null) continue;
+
+    const min = Number(target.min);
+    const max = Number(target.max);
+
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > MAX_WEEKLY_SET_TARGET || min > max) {
+      throw new Error(`Set targets must be whole numbers with 0 <= min <= max <= ${MAX_WEEKLY_SET_TARGET} (${muscle})`);
+    }
+
+    targets[muscle] = { min, max };
+  }
+
+  const unknown = Object.keys(input).filter(muscle => !MUSCLE_GROUPS.includes(muscle));
+  if (unknown.length > 0) {
+    throw new Error(`Set target muscles must be one of: ${MUSCLE_GROUPS.join(', ')}`);
+  }
+
+  if (Object.keys(targets).length === 0) {
+    throw new Error('muscleSetTargets must be a preset name or targets for at least one muscle');
+  }
+
+  return targets;
+}
+
+/**
+ * Name the preset a target map matches
+ *
+ * @param {Object} targets - { muscle: { min, max } }
+ * @returns {string} 'mev' | 'mav' | 'mrv' | 'custom'
+ */
+export function getSetTargetPreset(targets) {
+  const matches = (preset) => MUSCLE_GROUPS.every(muscle =>
+    targets[muscle]?.min === preset[muscle].min && targets[muscle]?.max === preset[muscle].max
+  ) && Object.keys(targets).length === MUSCLE_GROUPS.length;
+
+  const match = Object.entries(SET_TARGET_PRESETS).find(([, preset]) => matches(preset));
+  return match ? match[0] : 'custom';
+}
+
+/**
+ * Classify a weekly set count against a target
+ *
+ * @param {number} sets - Weekly sets
+ * @param {Object} target - { min, max }
+ * @returns {string} 'under' | 'within' | 'over'
+ */
+export function getSetTargetStatus(sets, { min, max }) {
+  if (sets < min) return 'under';
+  if (sets > max) return 'over';
+  return 'within';
+}
+
+/**
+ * Compare a week's sets by muscle against the targets
+ *
+ * @param {Object} setsByMuscle - { muscle: sets } (e.g. getWeeklyStats sets_by_muscle)
+ * @param {Object} targets - { muscle: { min, max } } (default: SET_TARGETS)
+ * @returns {Array<Object>} [{ muscle, sets, min, max, status, sets_needed }] in MUSCLE_GROUPS order
+ */
+export function compareSetsToTargets(setsByMuscle, targets = SET_TARGETS) {
+  return MUSCLE_GROUPS
+    .filter(muscle => targets[muscle])
+    .map(muscle => {
+      const sets = setsByMuscle?.[muscle] || 0;
+      const { min, max } = targets[muscle];
+
+      return {
+        muscle,
+        sets,
+        min,
+        max,
+        status: getSetTargetStatus(sets, targets[muscle]),
+        sets_needed: parseFloat(Math.max(0, min - sets).toFixed(1))
+      };
+    });
+}
+
+/**
+ * Muscles below their target, furthest behind (smallest share of the minimum done) first
+ *
+ * @param {Array<Object>} comparison - Result of compareSetsToTargets
+ * @returns {Array<Object>} Entries with status 'under'
+ */
+export function getLaggingMuscles(comparison) {
+  return comparison
+    .filter(entry => entry.status === 'under')
+    .sort((a, b) => a.sets / a.min - b.sets / b.min || b.sets_needed - a.sets_needed);
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MUSCLE_GROUPS,
+  SET_TARGETS,
+  SET_TARGET_PRESETS,
+  normalizeSetTargets,
+  getSetTargetPreset,
+  getSetTargetStatus,
+  compareSetsToTargets,
+  getLaggingMuscles,
+} from './setTargetCalculator.js';
+
+describe('SET_TARGET_PRESETS', () => {
+  it('covers every muscle group with min <= max', () => {
+    for (const preset of Object.values(SET_TARGET_PRESETS)) {
+      expect(Object.keys(preset)).toEqual(MUSCLE_GROUPS);
+      for (const { min, max } of Object.values(preset)) {
+        expect(min).toBeLessThanOrEqual(max);
+      }
+    }
+  });
+
+  it('steps up from MEV to MRV', () => {
+    expect(SET_TARGET_PRESETS.mev.chest).toEqual({ min: 10, max: 20 });
+    expect(SET_TARGET_PRESETS.mav.chest).toEqual({ min: 12, max: 20 });
+    expect(SET_TARGET_PRESETS.mrv.chest).toEqual({ min: 20, max: 22 });
+  });
+});
+
+describe('normalizeSetTargets', () => {
+  it('expands a preset name into a copy of its targets', () => {
+    const targets = normalizeSetTargets('mav');
+    expect(targets).toEqual(SET_TARGET_PRESETS.mav);
+
+    targets.chest.min = 0;
+    expect(SET_TARGET_PRESETS.mav.chest.min).toBe(12);
+  });
+
+  it('keeps only the muscles given in custom targets', () => {
+    expect(normalizeSetTargets({ chest: { min: '12', max: 16 }, calves: null })).toEqual({
+      chest: { min: 12, max: 16 }
+    });
+  });
+
+  it('rejects unknown presets and empty targets', () => {
+    expect(() => normalizeSetTargets('max')).toThrow('muscleSetTargets preset must be one of: mev, mav, mrv');
+    expect(() => normalizeSetTargets({})).toThrow('muscleSetTargets must be a preset name');
+    expect(() => normalizeSetTargets([])).toThrow('muscleSetTargets must be a preset name');
+  });
+
+  it('rejects invalid bounds and muscles', () => {
+    expect(() => normalizeSetTargets({ chest: { min: 12, max: 8 } })).toThrow('Set targets must be whole numbers');
+    expect(() => normalizeSetTargets({ chest: { min: 1.5, max: 8 } })).toThrow('Set targets must be whole numbers');
+    expect(() => normalizeSetTargets({ chest: { min: 0, max: 60 } })).toThrow('max <= 50 (chest)');
+    expect(() => normalizeSetTargets({ legs: { min: 10, max: 20 } })).toThrow('Set target muscles must be one of');
+  });
+});
+
+describe('getSetTargetPreset', () => {
+  it('names matching presets', () => {
+    expect(getSetTargetPreset(SET_TARGETS)).toBe('mev');
+    expect(getSetTargetPreset(normalizeSetTargets('mrv'))).toBe('mrv');
+  });
+
+  it('treats edited or partial targets as custom', () => {
+    expect(getSetTargetPreset({ ...SET_TARGETS, chest: { min: 10, max: 18 } })).toBe('custom');
+    expect(getSetTargetPreset({ chest: { min: 10, max: 20 } })).toBe('custom');
+  });
+});
+
+describe('getSetTargetStatus', () => {
+  it('classifies sets against the range (bounds inclusive)', () => {
+    expect(getSetTargetStatus(9.5, { min: 10, max: 20 })).toBe('under');
+    expect(getSetTargetStatus(10, { min: 10, max: 20 })).toBe('within');
+    expect(getSetTargetStatus(20, { min: 10, max: 20 })).toBe('within');
+    expect(getSetTargetStatus(20.5, { min: 10, max: 20 })).toBe('over');
+  });
+});
+
+describe('compareSetsToTargets', () => {
+  it('reports every targeted muscle, including untrained ones', () => {
+    const targets = { chest: { min: 10, max: 20 }, triceps: { min: 6, max: 14 }, quads: { min: 8, max: 18 } };
+    const result = compareSetsToTargets({ chest: 12, triceps: 16, lats: 4 }, targets);
+
+    expect(result).toEqual([
+      { muscle: 'chest', sets: 12, min: 10, max: 20, status: 'within', sets_needed: 0 },
+      { muscle: 'triceps', sets: 16, min: 6, max: 14, status: 'over', sets_needed: 0 },
+      { muscle: 'quads', sets: 0, min: 8, max: 18, status: 'under', sets_needed: 8 }
+    ]);
+  });
+
+  it('uses the default targets', () => {
+    expect(compareSetsToTargets({})).toHaveLength(MUSCLE_GROUPS.length);
+  });
+});
+
+describe('getLaggingMuscles', () => {
+  it('lists muscles under target, furthest behind first', () => {
+    const comparison = compareSetsToTargets(
+      { chest: 8, back: 2.5, biceps: 9 },
+      { chest: { min: 10, max: 20 }, back: { min: 10, max: 22 }, biceps: { min: 8, max: 20 }, quads: { min: 8, max: 18 } }
+    );
+
+    expect(getLaggingMuscles(comparison).map(entry => [entry.muscle, entry.sets_needed])).toEqual([
+      ['quads', 8],
+      ['back', 7.5],
+      ['chest', 2]
+    ]);
+  });
+});
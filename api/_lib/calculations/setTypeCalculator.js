@@ -0,0 +1,66 @@
+/**
+ * Set Type Calculation Utilities
+ *
+ * Drop sets, rest-pause, myo-reps and cluster sets log their mini sets as sub-sets of the
+ * first (parent) set. Sub-sets count toward volume like any set, but the parent alone is the
+ * set: set counts, rep bests, e1RM and rep-range PRs skip sub-sets, so a 20-rep drop-set
+ * total never passes as a 20RM. AMRAP and failure sets are single sets that mark the effort.
+ */
+
+/**
+ * Set types (set.set_type)
+ */
+export const SET_TYPES = ['standard', 'drop', 'rest_pause', 'myo_rep', 'cluster', 'amrap', 'failure'];
+
+/**
+ * Set types logged with mini sets after the parent set
+ */
+export const SUB_SET_TYPES = ['drop', 'rest_pause', 'myo_rep', 'cluster'];
+
+/**
+ * Upper bound on mini sets per set (must match the sub_set_number check)
+ */
+export const MAX_SUB_SETS = 10;
+
+/**
+ * Check a set type from the client
+ *
+ * @param {*} value - Set type
+ * @returns {boolean} True for one of SET_TYPES
+ */
+export function isValidSetType(value) {
+  return SET_TYPES.includes(value);
+}
+
+/**
+ * Check whether a set row is a mini set of another set
+ *
+ * @param {Object} row - Set row with parent_set_id
+ * @returns {boolean} True for a sub-set
+ */
+export function isSubSet(row) {
+  return row.parent_set_id !== null && row.parent_set_id !== undefined;
+}
+
+/**
+ * Clean the mini sets sent with a synced set
+ * Sets of other types get none, mini sets without positive whole reps are dropped and at most
+ * MAX_SUB_SETS are kept, rather than failing the sync
+ *
+ * @param {string} setType - Parent set type
+ * @param {*} subSets - Mini sets from the client [{ weight, reps }]
+ * @returns {Array<Object>} [{ weight, reps }] in order (weight null when missing)
+ */
+export function normalizeSubSets(setType, subSets) {
+  if (!SUB_SET_TYPES.includes(setType) || !Array.isArray(subSets)) {
+    return [];
+  }
+
+  return subSets
+    .filter(subSet => subSet && Number.isInteger(subSet.reps) && subSet.reps > 0)
+    .slice(0, MAX_SUB_SETS)
+    .map(subSet => ({
+      weight: typeof subSet.weight === 'number' && subSet.weight >= 0 ? subSet.weight : null,
+      reps: subSet.reps
+    }));
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidSetType,
+  isSubSet,
+  normalizeSubSets,
+  MAX_SUB_SETS,
+} from './setTypeCalculator.js';
+
+describe('isValidSetType', () => {
+  it('accepts the known set types only', () => {
+    expect(isValidSetType('standard')).toBe(true);
+    expect(isValidSetType('rest_pause')).toBe(true);
+    expect(isValidSetType('amrap')).toBe(true);
+    expect(isValidSetType('rest-pause')).toBe(false);
+    expect(isValidSetType(null)).toBe(false);
+  });
+});
+
+describe('isSubSet', () => {
+  it('is true for rows linked to a parent set', () => {
+    expect(isSubSet({ parent_set_id: 'set-1' })).toBe(true);
+    expect(isSubSet({ parent_set_id: null })).toBe(false);
+    expect(isSubSet({})).toBe(false);
+  });
+});
+
+describe('normalizeSubSets', () => {
+  it('keeps mini sets with reps and drops the rest', () => {
+    expect(normalizeSubSets('drop', [
+      { weight: 135, reps: 8 },
+      { weight: 95, reps: 0 },
+      { weight: -5, reps: 6 },
+      null,
+    ])).toEqual([
+      { weight: 135, reps: 8 },
+      { weight: null, reps: 6 },
+    ]);
+  });
+
+  it('ignores mini sets on set types without them', () => {
+    expect(normalizeSubSets('amrap', [{ weight: 135, reps: 8 }])).toEqual([]);
+    expect(normalizeSubSets('myo_rep', 'invalid')).toEqual([]);
+  });
+
+  it('keeps at most MAX_SUB_SETS', () => {
+    const subSets = Array.from({ length: MAX_SUB_SETS + 3 }, () => ({ weight: 100, reps: 3 }));
+    expect(normalizeSubSets('cluster', subSets)).toHaveLength(MAX_SUB_SETS);
+  });
+});
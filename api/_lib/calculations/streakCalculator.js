@@ -0,0 +1,106 @@
+/**
+ * Streak Calculation Utilities
+ *
+ * Training streaks by day (consecutive local days with a workout) and by week (consecutive
+ * Monday-start weeks with at least N workouts), and volume intensity levels for the calendar.
+ */
+
+import { addDays } from '../utils/timezone.js';
+
+/**
+ * Workouts a week needs to extend the weekly streak (user setting `streakWorkoutsPerWeek`)
+ */
+export const DEFAULT_STREAK_WORKOUTS_PER_WEEK = 1;
+export const MAX_STREAK_WORKOUTS_PER_WEEK = 7;
+
+/**
+ * Calendar intensity levels for training days (0 = rest day)
+ */
+export const CALENDAR_INTENSITY_LEVELS = 4;
+
+/**
+ * Validate the weekly streak rule
+ *
+ * @param {*} value - Workouts per week
+ * @returns {number} Whole number 1-7
+ * @throws {Error} If not a whole number in range
+ */
+export function normalizeStreakWorkoutsPerWeek(value) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isInteger(number) || number < 1 || number > MAX_STREAK_WORKOUTS_PER_WEEK) {
+    throw new Error(`streakWorkoutsPerWeek must be a whole number from 1 to ${MAX_STREAK_WORKOUTS_PER_WEEK}`);
+  }
+  return number;
+}
+
+/**
+ * Longest run of consecutive keys, and the run ending at the last key
+ *
+ * @param {Array<string>} keys - Date keys, oldest first, no duplicates
+ * @param {number} step - Days between consecutive keys (1 for days, 7 for weeks)
+ * @returns {Object} { longest, last, lastKey }
+ */
+function findRuns(keys, step) {
+  let longest = 0;
+  let run = 0;
+
+  keys.forEach((key, i) => {
+    run = i > 0 && addDays(keys[i - 1], step) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  return { longest, last: run, lastKey: keys[keys.length - 1] ?? null };
+}
+
+/**
+ * Current and longest streak of consecutive training days
+ * A streak stays current until a full day is missed (today not trained yet keeps yesterday's)
+ *
+ * @param {Array<string>} dateKeys - Training days YYYY-MM-DD, oldest first
+ * @param {string} todayKey - Today YYYY-MM-DD in the user's timezone
+ * @returns {Object} { current, longest }
+ *
+ * @example
+ * calculateDayStreaks(['2024-06-01', '2024-06-03', '2024-06-04'], '2024-06-05');
+ * // => { current: 2, longest: 2 }
+ */
+export function calculateDayStreaks(dateKeys, todayKey) {
+  const { longest, last, lastKey } = findRuns(dateKeys, 1);
+  const isCurrent = lastKey === todayKey || lastKey === addDays(todayKey, -1);
+
+  return { current: isCurrent ? last : 0, longest };
+}
+
+/**
+ * Current and longest streak of consecutive weeks with at least `workoutsPerWeek` workouts
+ * The current week counts once it qualifies; until then it does not break the streak
+ *
+ * @param {Array<Object>} weeks - [{ week_start, workout_count }] oldest first
+ * @param {number} workoutsPerWeek - Workouts a week needs
+ * @param {string} currentWeekStart - Monday of the current week YYYY-MM-DD
+ * @returns {Object} { current, longest }
+ */
+export function calculateWeekStreaks(weeks, workoutsPerWeek, currentWeekStart) {
+  const qualifying = weeks
+    .filter(week => week.workout_count >= workoutsPerWeek)
+    .map(week => week.week_start);
+  const { longest, last, lastKey } = findRuns(qualifying, 7);
+  const isCurrent = lastKey === currentWeekStart || lastKey === addDays(currentWeekStart, -7);
+
+  return { current: isCurrent ? last : 0, longest };
+}
+
+/**
+ * Calendar intensity of a training day, relative to the heaviest day shown
+ * Training days are at least level 1 (cardio-only days have no volume)
+ *
+ * @param {number} volume - Day's volume (lbs)
+ * @param {number} maxVolume - Highest day volume in the calendar
+ * @returns {number} 1-4
+ */
+export function getVolumeIntensity(volume, maxVolume) {
+  if (maxVolume <= 0 || volume <= 0) {
+    return 1;
+  }
+  return Math.max(1, Math.ceil((volume / maxVolume) * CALENDAR_INTENSITY_LEVELS));
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeStreakWorkoutsPerWeek,
+  calculateDayStreaks,
+  calculateWeekStreaks,
+  getVolumeIntensity,
+} from './streakCalculator.js';
+
+describe('normalizeStreakWorkoutsPerWeek', () => {
+  it('accepts whole numbers from 1 to 7', () => {
+    expect(normalizeStreakWorkoutsPerWeek(3)).toBe(3);
+    expect(normalizeStreakWorkoutsPerWeek('7')).toBe(7);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of [0, 8, 2.5, null, '', 'three']) {
+      expect(() => normalizeStreakWorkoutsPerWeek(value)).toThrow('streakWorkoutsPerWeek must be a whole number from 1 to 7');
+    }
+  });
+});
+
+describe('calculateDayStreaks', () => {
+  const days = ['2024-05-01', '2024-05-02', '2024-05-03', '2024-06-03', '2024-06-04'];
+
+  it('counts the run ending today or yesterday as current', () => {
+    expect(calculateDayStreaks(days, '2024-06-04')).toEqual({ current: 2, longest: 3 });
+    expect(calculateDayStreaks(days, '2024-06-05')).toEqual({ current: 2, longest: 3 });
+  });
+
+  it('resets the current streak after a missed day', () => {
+    expect(calculateDayStreaks(days, '2024-06-06')).toEqual({ current: 0, longest: 3 });
+  });
+
+  it('handles no training days', () => {
+    expect(calculateDayStreaks([], '2024-06-06')).toEqual({ current: 0, longest: 0 });
+  });
+});
+
+describe('calculateWeekStreaks', () => {
+  const weeks = [
+    { week_start: '2024-05-06', workout_count: 3 },
+    { week_start: '2024-05-13', workout_count: 4 },
+    { week_start: '2024-05-20', workout_count: 2 },
+    { week_start: '2024-05-27', workout_count: 3 },
+    { week_start: '2024-06-03', workout_count: 3 },
+  ];
+
+  it('only counts weeks that meet the workouts per week rule', () => {
+    expect(calculateWeekStreaks(weeks, 3, '2024-06-03')).toEqual({ current: 2, longest: 2 });
+    expect(calculateWeekStreaks(weeks, 1, '2024-06-03')).toEqual({ current: 5, longest: 5 });
+  });
+
+  it('keeps last week\'s streak while the current week is still short', () => {
+    expect(calculateWeekStreaks(weeks.slice(0, 4), 3, '2024-06-03')).toEqual({ current: 1, longest: 2 });
+    expect(calculateWeekStreaks(weeks, 3, '2024-06-17')).toEqual({ current: 0, longest: 2 });
+  });
+});
+
+describe('getVolumeIntensity', () => {
+  it('scales volume against the heaviest day in quarters', () => {
+    expect(getVolumeIntensity(10000, 10000)).toBe(4);
+    expect(getVolumeIntensity(5000, 10000)).toBe(2);
+    expect(getVolumeIntensity(5001, 10000)).toBe(3);
+  });
+
+  it('gives training days without volume the lowest level', () => {
+    expect(getVolumeIntensity(0, 10000)).toBe(1);
+    expect(getVolumeIntensity(0, 0)).toBe(1);
+  });
+});
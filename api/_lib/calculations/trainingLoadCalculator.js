@@ -0,0 +1,270 @@
+/**
+ * Training Load Calculation Utilities
+ *
+ * Daily training load from working-set volume, weighted by proximity to failure (RIR)
+ * and the optional session RPE, plus the acute:chronic workload ratio (7-day vs 28-day
+ * average daily load) and a per-muscle fatigue estimate.
+ */
+
+import { addDays, parseDateKey } from '../utils/timezone.js';
+
+/**
+ * Rolling window lengths in days
+ */
+export const ACUTE_WINDOW_DAYS = 7;
+export const CHRONIC_WINDOW_DAYS = 28;
+
+/**
+ * Acute:chronic ratios inside this band are considered a safe progression;
+ * above HIGH_RISK_WORKLOAD_RATIO the spike is large enough to flag as high risk
+ */
+export const SAFE_WORKLOAD_RATIO = { min: 0.8, max: 1.3 };
+export const HIGH_RISK_WORKLOAD_RATIO = 1.5;
+
+/**
+ * Weeks of history needed before the ratio is meaningful
+ * (with less, the chronic average is diluted by days before the user started logging)
+ */
+export const MIN_HISTORY_DAYS = 21;
+
+/**
+ * Session RPE bounds; RPE 7 (hard but not maximal) leaves the load unchanged
+ */
+export const MIN_SESSION_RPE = 1;
+export const MAX_SESSION_RPE = 10;
+export const BASELINE_SESSION_RPE = 7;
+
+/**
+ * Muscle fatigue decays with a 48h half-life (typical recovery window)
+ */
+export const MUSCLE_FATIGUE_HALF_LIFE_DAYS = 2;
+
+/**
+ * Training days a muscle needs before the acute window (days 7-27 back) to have a
+ * fatigue baseline; muscles with fewer are reported as 'insufficient_data'
+ */
+export const MIN_MUSCLE_BASELINE_DAYS = 2;
+
+/**
+ * RIR weighting: 3 RIR counts as-is, each rep closer to failure adds 10%,
+ * each rep further away removes 10% (RIR above 5 counts as 5)
+ */
+const BASELINE_RIR = 3;
+const MAX_WEIGHTED_RIR = 5;
+const RIR_LOAD_STEP = 0.1;
+
+/**
+ * Check a session RPE value
+ *
+ * @param {*} rpe - Session RPE
+ * @returns {boolean} True for integers 1-10
+ */
+export function isValidSessionRPE(rpe) {
+  return Number.isInteger(rpe) && rpe >= MIN_SESSION_RPE && rpe <= MAX_SESSION_RPE;
+}
+
+/**
+ * Load multiplier for a set's reps in reserve
+ *
+ * @param {number|null} rir - Reps in reserve (null when not logged)
+ * @returns {number} Multiplier (1.3 at failure, 1 at 3 RIR, 0.8 at 5+ RIR, 1 when unknown)
+ *
+ * @example
+ * getRIRLoadFactor(0); // 1.3
+ * getRIRLoadFactor(null); // 1
+ */
+export function getRIRLoadFactor(rir) {
+  const value = parseInt(rir, 10);
+  if (isNaN(value)) {
+    return 1;
+  }
+
+  const clamped = Math.min(Math.max(value, 0), MAX_WEIGHTED_RIR);
+  return Math.round((1 + (BASELINE_RIR - clamped) * RIR_LOAD_STEP) * 100) / 100;
+}
+
+/**
+ * Load multiplier for a workout's session RPE
+ *
+ * @param {number|null} sessionRpe - Session RPE 1-10 (null when not logged)
+ * @returns {number} Multiplier relative to RPE 7 (1 when not logged)
+ */
+export function getSessionRPEFactor(sessionRpe) {
+  const value = parseInt(sessionRpe, 10);
+  return isValidSessionRPE(value) ? value / BASELINE_SESSION_RPE : 1;
+}
+
+/**
+ * Training load of a single working set
+ *
+ * @param {number} volume - Set volume (effective load × reps)
+ * @param {number|null} rir - Reps in reserve
+ * @param {number|null} sessionRpe - Session RPE of the workout
+ * @returns {number} Training load
+ */
+export function calculateSetTrainingLoad(volume, rir, sessionRpe) {
+  return volume * getRIRLoadFactor(rir) * getSessionRPEFactor(sessionRpe);
+}
+
+/**
+ * Whole days from one date key to another
+ */
+function getDaysBetween(fromKey, toKey) {
+  return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / 86400000);
+}
+
+/**
+ * Round to 2 decimal places
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Average daily load over the window ending on a date (rest days count as zero)
+ *
+ * @param {Map<string, number>} loadsByDate - Date key -> training load
+ * @param {string} endDateKey - Last day of the window
+ * @param {number} windowDays - Window length
+ * @returns {number} Average daily load
+ */
+function averageDailyLoad(loadsByDate, endDateKey, windowDays) {
+  let total = 0;
+  for (let i = 0; i < windowDays; i++) {
+    total += loadsByDate.get(addDays(endDateKey, -i)) || 0;
+  }
+  return total / windowDays;
+}
+
+/**
+ * Classify an acute:chronic ratio
+ *
+ * @param {number|null} ratio - Acute:chronic workload ratio
+ * @returns {string} 'insufficient_data' | 'low' | 'optimal' | 'elevated' | 'high'
+ */
+export function getWorkloadStatus(ratio) {
+  if (ratio === null) return 'insufficient_data';
+  if (ratio < SAFE_WORKLOAD_RATIO.min) return 'low';
+  if (ratio <= SAFE_WORKLOAD_RATIO.max) return 'optimal';
+  if (ratio <= HIGH_RISK_WORKLOAD_RATIO) return 'elevated';
+  return 'high';
+}
+
+/**
+ * Acute and chronic load and their ratio on a date
+ *
+ * @param {Map<string, number>} loadsByDate - Date key -> training load
+ * @param {string} dateKey - Day to evaluate
+ * @returns {Object} { acute_load, chronic_load, ratio }
+ */
+export function calculateWorkloadRatio(loadsByDate, dateKey) {
+  const acute = averageDailyLoad(loadsByDate, dateKey, ACUTE_WINDOW_DAYS);
+  const chronic = averageDailyLoad(loadsByDate, dateKey, CHRONIC_WINDOW_DAYS);
+
+  return {
+    acute_load: round(acute),
+    chronic_load: round(chronic),
+    ratio: chronic > 0 ? round(acute / chronic) : null
+  };
+}
+
+/**
+ * Per-muscle fatigue: recent load decayed by MUSCLE_FATIGUE_HALF_LIFE_DAYS, relative to
+ * what training at the muscle's usual daily load would leave. The usual load is the chronic
+ * average before the acute window, so this week's sessions do not set their own baseline.
+ * 1 = usual fatigue for that muscle; above SAFE_WORKLOAD_RATIO.max it is 'fatigued', below
+ * the min 'fresh'. Muscles without MIN_MUSCLE_BASELINE_DAYS of earlier training have no
+ * fatigue value and are 'insufficient_data'
+ *
+ * @param {Array<Object>} days - Rows with date and load_by_muscle
+ * @param {string} endDateKey - Day to evaluate
+ * @returns {Array<Object>} [{ muscle, fatigue, level, last_trained }] most fatigued first
+ */
+export function calculateMuscleFatigue(days, endDateKey) {
+  const decayed = {};
+  const baselineTotals = {};
+  const baselineDays = {};
+  const lastTrained = {};
+
+  for (const day of days) {
+    const daysAgo = getDaysBetween(day.date, endDateKey);
+    if (daysAgo < 0 || daysAgo >= CHRONIC_WINDOW_DAYS) continue;
+
+    const decay = Math.pow(0.5, daysAgo / MUSCLE_FATIGUE_HALF_LIFE_DAYS);
+    for (const [muscle, load] of Object.entries(day.load_by_muscle || {})) {
+      if (!(load > 0)) continue;
+
+      decayed[muscle] = (decayed[muscle] || 0) + load * decay;
+      if (daysAgo >= ACUTE_WINDOW_DAYS) {
+        baselineTotals[muscle] = (baselineTotals[muscle] || 0) + load;
+        baselineDays[muscle] = (baselineDays[muscle] || 0) + 1;
+      }
+      if (!lastTrained[muscle] || day.date > lastTrained[muscle]) {
+        lastTrained[muscle] = day.date;
+      }
+    }
+  }
+
+  // Decayed load left by training every day at the chronic average
+  let steadyStateWeight = 0;
+  for (let i = 0; i < CHRONIC_WINDOW_DAYS; i++) {
+    steadyStateWeight += Math.pow(0.5, i / MUSCLE_FATIGUE_HALF_LIFE_DAYS);
+  }
+
+  return Object.keys(decayed)
+    .map(muscle => {
+      if ((baselineDays[muscle] || 0) < MIN_MUSCLE_BASELINE_DAYS) {
+        return { muscle, fatigue: null, level: 'insufficient_data', last_trained: lastTrained[muscle] };
+      }
+
+      const usualDailyLoad = baselineTotals[muscle] / (CHRONIC_WINDOW_DAYS - ACUTE_WINDOW_DAYS);
+      const fatigue = round(decayed[muscle] / (usualDailyLoad * steadyStateWeight));
+
+      let level = 'normal';
+      if (fatigue > SAFE_WORKLOAD_RATIO.max) level = 'fatigued';
+      else if (fatigue < SAFE_WORKLOAD_RATIO.min) level = 'fresh';
+
+      return { muscle, fatigue, level, last_trained: lastTrained[muscle] };
+    })
+    .sort((a, b) => (b.fatigue ?? -1) - (a.fatigue ?? -1) || a.muscle.localeCompare(b.muscle));
+}
+
+/**
+ * Build the training load report for a date
+ *
+ * @param {Array<Object>} days - Daily rollup rows { date, training_load, load_by_muscle }
+ *   covering at least the CHRONIC_WINDOW_DAYS + seriesDays - 1 days up to endDateKey
+ * @param {string} endDateKey - Day to report on
+ * @param {number} seriesDays - Days of history in the series (default: 28)
+ * @returns {Object} { date, acute_load, chronic_load, ratio, status, safe_range, series, muscle_fatigue }
+ */
+export function buildTrainingLoadReport(days, endDateKey, seriesDays = CHRONIC_WINDOW_DAYS) {
+  const loadsByDate = new Map();
+  let firstDate = null;
+
+  for (const day of days) {
+    const load = parseFloat(day.training_load) || 0;
+    if (load <= 0) continue;
+
+    loadsByDate.set(day.date, load);
+    if (!firstDate || day.date < firstDate) firstDate = day.date;
+  }
+
+  const series = [];
+  for (let i = seriesDays - 1; i >= 0; i--) {
+    const date = addDays(endDateKey, -i);
+    series.push({ date, load: round(loadsByDate.get(date) || 0), ...calculateWorkloadRatio(loadsByDate, date) });
+  }
+
+  const current = calculateWorkloadRatio(loadsByDate, endDateKey);
+  const hasHistory = firstDate !== null && getDaysBetween(firstDate, endDateKey) >= MIN_HISTORY_DAYS;
+
+  return {
+    date: endDateKey,
+    ...current,
+    status: hasHistory ? getWorkloadStatus(current.ratio) : 'insufficient_data',
+    safe_range: SAFE_WORKLOAD_RATIO,
+    series,
+    muscle_fatigue: calculateMuscleFatigue(days, endDateKey)
+  };
+}
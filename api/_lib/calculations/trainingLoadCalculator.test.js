@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getRIRLoadFactor,
+  getSessionRPEFactor,
+  calculateSetTrainingLoad,
+  isValidSessionRPE,
+  getWorkloadStatus,
+  calculateMuscleFatigue,
+  buildTrainingLoadReport,
+} from './trainingLoadCalculator.js';
+import { addDays } from '../utils/timezone.js';
+
+// Daily rollup rows ending on endKey, oldest first
+const dailyLoads = (endKey, loads, loadByMuscle = {}) => loads.map((load, i) => ({
+  date: addDays(endKey, i - loads.length + 1),
+  training_load: String(load),
+  load_by_muscle: loadByMuscle
+}));
+
+describe('getRIRLoadFactor', () => {
+  it('weights sets closer to failure more heavily', () => {
+    expect(getRIRLoadFactor(0)).toBe(1.3);
+    expect(getRIRLoadFactor(3)).toBe(1);
+    expect(getRIRLoadFactor(5)).toBe(0.8);
+    expect(getRIRLoadFactor(8)).toBe(0.8);
+  });
+
+  it('leaves sets without RIR unweighted', () => {
+    expect(getRIRLoadFactor(null)).toBe(1);
+    expect(getRIRLoadFactor(undefined)).toBe(1);
+  });
+});
+
+describe('getSessionRPEFactor', () => {
+  it('scales around RPE 7', () => {
+    expect(getSessionRPEFactor(7)).toBe(1);
+    expect(getSessionRPEFactor(10)).toBeCloseTo(1.4286, 4);
+    expect(getSessionRPEFactor(3.5)).toBeCloseTo(0.4286, 4); // parsed as 3
+  });
+
+  it('ignores missing or out-of-range values', () => {
+    expect(getSessionRPEFactor(null)).toBe(1);
+    expect(getSessionRPEFactor(11)).toBe(1);
+    expect(getSessionRPEFactor(0)).toBe(1);
+  });
+});
+
+describe('calculateSetTrainingLoad', () => {
+  it('combines volume, RIR and session RPE', () => {
+    expect(calculateSetTrainingLoad(1000, 0, 7)).toBe(1300);
+    expect(calculateSetTrainingLoad(1000, null, null)).toBe(1000);
+    expect(calculateSetTrainingLoad(0, 0, 10)).toBe(0);
+  });
+});
+
+describe('isValidSessionRPE', () => {
+  it('accepts integers from 1 to 10', () => {
+    expect(isValidSessionRPE(1)).toBe(true);
+    expect(isValidSessionRPE(10)).toBe(true);
+    expect(isValidSessionRPE(0)).toBe(false);
+    expect(isValidSessionRPE(7.5)).toBe(false);
+    expect(isValidSessionRPE('7')).toBe(false);
+  });
+});
+
+describe('getWorkloadStatus', () => {
+  it('classifies the ratio against the safe band', () => {
+    expect(getWorkloadStatus(null)).toBe('insufficient_data');
+    expect(getWorkloadStatus(0.5)).toBe('low');
+    expect(getWorkloadStatus(0.8)).toBe('optimal');
+    expect(getWorkloadStatus(1.3)).toBe('optimal');
+    expect(getWorkloadStatus(1.4)).toBe('elevated');
+    expect(getWorkloadStatus(1.6)).toBe('high');
+  });
+});
+
+describe('calculateMuscleFatigue', () => {
+  it('rates muscles against their usual load before the last week', () => {
+    const fatigue = calculateMuscleFatigue([
+      { date: '2024-06-08', load_by_muscle: { quads: 100 } },
+      { date: '2024-06-10', load_by_muscle: { chest: 100 } },
+      { date: '2024-06-15', load_by_muscle: { quads: 100 } },
+      { date: '2024-06-17', load_by_muscle: { chest: 100 } },
+      { date: '2024-06-28', load_by_muscle: { chest: 200, triceps: 50 } }
+    ], '2024-06-28');
+
+    expect(fatigue.map(({ muscle, level, last_trained }) => [muscle, level, last_trained])).toEqual([
+      ['chest', 'fatigued', '2024-06-28'],
+      ['quads', 'fresh', '2024-06-15'],
+      ['triceps', 'insufficient_data', '2024-06-28']
+    ]);
+  });
+
+  it('does not rate a first session against itself', () => {
+    // Normalizing by the muscle's own 28-day total would put one session at ~8 ('fatigued')
+    expect(calculateMuscleFatigue([
+      { date: '2024-06-28', load_by_muscle: { chest: 5000 } }
+    ], '2024-06-28')).toEqual([
+      { muscle: 'chest', fatigue: null, level: 'insufficient_data', last_trained: '2024-06-28' }
+    ]);
+
+    // Sessions inside the acute window are not a baseline either
+    expect(calculateMuscleFatigue([
+      { date: '2024-06-24', load_by_muscle: { chest: 5000 } },
+      { date: '2024-06-26', load_by_muscle: { chest: 5000 } }
+    ], '2024-06-28')[0].level).toBe('insufficient_data');
+  });
+
+  it('rates steady daily training as normal', () => {
+    const days = dailyLoads('2024-06-28', Array(28).fill(100), { chest: 100 });
+
+    expect(calculateMuscleFatigue(days, '2024-06-28')).toEqual([
+      { muscle: 'chest', fatigue: 1, level: 'normal', last_trained: '2024-06-28' }
+    ]);
+  });
+
+  it('ignores days outside the chronic window', () => {
+    const days = [{ date: '2024-05-01', load_by_muscle: { chest: 100 } }];
+    expect(calculateMuscleFatigue(days, '2024-06-28')).toEqual([]);
+  });
+});
+
+describe('buildTrainingLoadReport', () => {
+  it('reports a steady workload as optimal', () => {
+    const report = buildTrainingLoadReport(dailyLoads('2024-06-28', Array(28).fill(1000)), '2024-06-28');
+
+    expect(report).toMatchObject({
+      date: '2024-06-28',
+      acute_load: 1000,
+      chronic_load: 1000,
+      ratio: 1,
+      status: 'optimal',
+      safe_range: { min: 0.8, max: 1.3 }
+    });
+    expect(report.series).toHaveLength(28);
+    expect(report.series[27]).toEqual({ date: '2024-06-28', load: 1000, acute_load: 1000, chronic_load: 1000, ratio: 1 });
+  });
+
+  it('flags a spike in the last week', () => {
+    const loads = [...Array(21).fill(1000), ...Array(7).fill(2000)];
+    const report = buildTrainingLoadReport(dailyLoads('2024-06-28', loads), '2024-06-28');
+
+    // Acute 2000 / chronic (21 * 1000 + 7 * 2000) / 28 = 1250
+    expect(report).toMatchObject({ acute_load: 2000, chronic_load: 1250, ratio: 1.6, status: 'high' });
+  });
+
+  it('counts rest days as zero load', () => {
+    const days = dailyLoads('2024-06-28', Array(28).fill(1000)).filter((_, i) => i % 2 === 0);
+    const report = buildTrainingLoadReport(days, '2024-06-28');
+
+    // Training every other day: 3 of the last 7 days, 14 of 28
+    expect(report.acute_load).toBe(428.57);
+    expect(report.chronic_load).toBe(500);
+    expect(report.status).toBe('optimal');
+  });
+
+  it('needs three weeks of history before rating the ratio', () => {
+    const report = buildTrainingLoadReport(dailyLoads('2024-06-28', Array(7).fill(1000)), '2024-06-28');
+
+    expect(report.ratio).toBe(4);
+    expect(report.status).toBe('insufficient_data');
+  });
+
+  it('returns an empty report without training', () => {
+    const report = buildTrainingLoadReport([], '2024-06-28', 7);
+
+    expect(report).toMatchObject({ acute_load: 0, chronic_load: 0, ratio: null, status: 'insufficient_data', muscle_fatigue: [] });
+    expect(report.series.map(point => point.date)).toEqual([
+      '2024-06-22', '2024-06-23', '2024-06-24', '2024-06-25', '2024-06-26', '2024-06-27', '2024-06-28'
+    ]);
+  });
+});
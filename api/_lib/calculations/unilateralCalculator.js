@@ -0,0 +1,184 @@
+/**
+ * Unilateral Calculation Utilities
+ *
+ * Unilateral exercises (exercise.is_unilateral) train one arm or leg at a time, and their sets
+ * log the weight and reps of each side. The set's own weight and reps are the weaker side, the
+ * set both sides achieved, so e1RMs, PRs and rep bests read them unchanged. Volume adds both
+ * sides (see volumeCalculator.js), and the imbalance report compares the sides per session.
+ */
+
+import { calculateSetLoad } from './volumeCalculator.js';
+
+/**
+ * Average gap between the sides (% of the stronger side's volume) flagged as an imbalance
+ */
+export const IMBALANCE_THRESHOLD_PERCENT = 10;
+
+/**
+ * Clean one side of a synced set
+ *
+ * @param {*} weight - Side weight
+ * @param {*} reps - Side reps
+ * @returns {Object|null} { weight, reps } (weight null when missing), null without positive whole reps
+ */
+function normalizeSide(weight, reps) {
+  if (!Number.isInteger(reps) || reps <= 0) {
+    return null;
+  }
+
+  return {
+    weight: typeof weight === 'number' && weight >= 0 ? weight : null,
+    reps
+  };
+}
+
+/**
+ * Clean the sides sent with a synced set
+ * A set is only unilateral with reps logged for both sides; otherwise the sides are dropped
+ * and the set's own weight and reps are kept, rather than failing the sync
+ *
+ * @param {Object} set - Synced set with leftWeight, leftReps, rightWeight and rightReps
+ * @returns {Object|null} { left: { weight, reps }, right: { weight, reps } } or null
+ */
+export function normalizeSides(set) {
+  const left = normalizeSide(set.leftWeight, set.leftReps);
+  const right = normalizeSide(set.rightWeight, set.rightReps);
+
+  return left && right ? { left, right } : null;
+}
+
+/**
+ * Find the weaker side of a set: fewer reps, then the lighter weight
+ *
+ * @param {Object} left - { weight, reps }
+ * @param {Object} right - { weight, reps }
+ * @returns {string|null} 'left', 'right' or null when both sides match
+ *
+ * @example
+ * getWeakerSide({ weight: 50, reps: 10 }, { weight: 50, reps: 8 }); // 'right'
+ */
+export function getWeakerSide(left, right) {
+  if (left.reps !== right.reps) {
+    return left.reps < right.reps ? 'left' : 'right';
+  }
+
+  const leftWeight = parseFloat(left.weight) || 0;
+  const rightWeight = parseFloat(right.weight) || 0;
+  if (leftWeight !== rightWeight) {
+    return leftWeight < rightWeight ? 'left' : 'right';
+  }
+
+  return null;
+}
+
+/**
+ * Get the sides of a set row or client set (left_weight, left_reps, right_weight, right_reps)
+ * for calculateSetVolume
+ *
+ * @param {Object} set - Set row or set
+ * @returns {Array<Object>|null} [left, right] as { weight, reps }, null for a set without sides
+ */
+export function getSetSides(set) {
+  if (set.left_reps === null || set.left_reps === undefined) {
+    return null;
+  }
+
+  return [
+    { weight: set.left_weight, reps: set.left_reps },
+    { weight: set.right_weight, reps: set.right_reps }
+  ];
+}
+
+/**
+ * Round a number to one decimal
+ */
+function roundTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compare the two sides of one session
+ *
+ * @param {Object} session - { workout_id, date, left_volume, right_volume, left_reps, right_reps }
+ * @returns {Object} The session with rounded volumes, imbalance_percent and weaker_side
+ */
+function summarizeSession(session) {
+  const stronger = Math.max(session.left_volume, session.right_volume);
+  const weaker = Math.min(session.left_volume, session.right_volume);
+
+  return {
+    ...session,
+    left_volume: Math.round(session.left_volume),
+    right_volume: Math.round(session.right_volume),
+    imbalance_percent: stronger > 0 ? roundTenth((stronger - weaker) / stronger * 100) : 0,
+    weaker_side: session.left_volume === session.right_volume
+      ? null
+      : session.left_volume < session.right_volume ? 'left' : 'right'
+  };
+}
+
+/**
+ * Build the side imbalance report of unilateral exercises
+ * Each side's session volume is effective load × reps over the session's working sets. The
+ * weaker side has less volume, and imbalance_percent is the gap as a share of the stronger
+ * side. Across sessions the weaker side is the one with less total volume, and an exercise is
+ * imbalanced when the average gap reaches IMBALANCE_THRESHOLD_PERCENT.
+ *
+ * @param {Array<Object>} rows - Working set rows with sides, in date order (workout_id, date,
+ *   exercise_id, exercise_name, exercise_type, load_mode, bodyweight_fraction, bodyweight,
+ *   left_weight, left_reps, right_weight, right_reps)
+ * @returns {Array<Object>} Exercises by name { exercise_id, exercise_name, sessions,
+ *   avg_imbalance_percent, weaker_side, weaker_sessions: { left, right }, is_imbalanced }
+ */
+export function buildImbalanceReport(rows) {
+  const byExercise = new Map();
+
+  for (const row of rows) {
+    if (!byExercise.has(row.exercise_id)) {
+      byExercise.set(row.exercise_id, { exercise_name: row.exercise_name, sessions: new Map() });
+    }
+
+    const { sessions } = byExercise.get(row.exercise_id);
+    if (!sessions.has(row.workout_id)) {
+      sessions.set(row.workout_id, {
+        workout_id: row.workout_id,
+        date: row.date,
+        left_volume: 0,
+        right_volume: 0,
+        left_reps: 0,
+        right_reps: 0
+      });
+    }
+
+    const session = sessions.get(row.workout_id);
+    session.left_volume += calculateSetLoad({ ...row, weight: row.left_weight }) * row.left_reps;
+    session.right_volume += calculateSetLoad({ ...row, weight: row.right_weight }) * row.right_reps;
+    session.left_reps += row.left_reps;
+    session.right_reps += row.right_reps;
+  }
+
+  const exercises = [];
+  for (const [exerciseId, { exercise_name, sessions }] of byExercise) {
+    const summaries = [...sessions.values()].map(summarizeSession);
+    const leftTotal = summaries.reduce((total, session) => total + session.left_volume, 0);
+    const rightTotal = summaries.reduce((total, session) => total + session.right_volume, 0);
+    const avgImbalance = roundTenth(
+      summaries.reduce((total, session) => total + session.imbalance_percent, 0) / summaries.length
+    );
+
+    exercises.push({
+      exercise_id: exerciseId,
+      exercise_name,
+      sessions: summaries,
+      avg_imbalance_percent: avgImbalance,
+      weaker_side: leftTotal === rightTotal ? null : leftTotal < rightTotal ? 'left' : 'right',
+      weaker_sessions: {
+        left: summaries.filter(session => session.weaker_side === 'left').length,
+        right: summaries.filter(session => session.weaker_side === 'right').length
+      },
+      is_imbalanced: avgImbalance >= IMBALANCE_THRESHOLD_PERCENT
+    });
+  }
+
+  return exercises.sort((a, b) => a.exercise_name.localeCompare(b.exercise_name));
+}
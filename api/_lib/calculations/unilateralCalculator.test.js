@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSides,
+  getWeakerSide,
+  getSetSides,
+  buildImbalanceReport
+} from './unilateralCalculator.js';
+
+describe('normalizeSides', () => {
+  it('keeps sets with reps on both sides', () => {
+    expect(normalizeSides({ leftWeight: 50, leftReps: 10, rightWeight: 'x', rightReps: 8 })).toEqual({
+      left: { weight: 50, reps: 10 },
+      right: { weight: null, reps: 8 }
+    });
+  });
+
+  it('drops sides unless both have positive whole reps', () => {
+    expect(normalizeSides({ leftWeight: 50, leftReps: 10 })).toBeNull();
+    expect(normalizeSides({ leftReps: 10, rightReps: 0 })).toBeNull();
+    expect(normalizeSides({ weight: 50, reps: 10 })).toBeNull();
+  });
+});
+
+describe('getWeakerSide', () => {
+  it('picks fewer reps, then the lighter weight', () => {
+    expect(getWeakerSide({ weight: 50, reps: 10 }, { weight: 50, reps: 8 })).toBe('right');
+    expect(getWeakerSide({ weight: 45, reps: 8 }, { weight: 50, reps: 8 })).toBe('left');
+    expect(getWeakerSide({ weight: '50.00', reps: 8 }, { weight: 50, reps: 8 })).toBeNull();
+  });
+});
+
+describe('getSetSides', () => {
+  it('returns both sides of a unilateral set', () => {
+    expect(getSetSides({ left_weight: '50.00', left_reps: 10, right_weight: '50.00', right_reps: 8 })).toEqual([
+      { weight: '50.00', reps: 10 },
+      { weight: '50.00', reps: 8 }
+    ]);
+    expect(getSetSides({ weight: 50, reps: 10, left_reps: null })).toBeNull();
+  });
+});
+
+describe('buildImbalanceReport', () => {
+  const row = (overrides) => ({
+    exercise_id: 'ex-1',
+    exercise_name: 'Bulgarian Split Squat',
+    exercise_type: 'weighted',
+    load_mode: 'external',
+    bodyweight_fraction: '1.00',
+    left_weight: '50.00',
+    right_weight: '50.00',
+    ...overrides
+  });
+
+  it('compares side volume per session and finds the weaker side over time', () => {
+    const [exercise] = buildImbalanceReport([
+      row({ workout_id: 'w-1', date: '2026-09-01', left_reps: 10, right_reps: 8 }),
+      row({ workout_id: 'w-1', date: '2026-09-01', left_reps: 10, right_reps: 8 }),
+      row({ workout_id: 'w-2', date: '2026-09-08', left_reps: 10, right_reps: 9 }),
+      row({ workout_id: 'w-3', date: '2026-09-15', left_reps: 10, right_reps: 10 })
+    ]);
+
+    expect(exercise.sessions).toEqual([
+      { workout_id: 'w-1', date: '2026-09-01', left_volume: 1000, right_volume: 800, left_reps: 20, right_reps: 16, imbalance_percent: 20, weaker_side: 'right' },
+      { workout_id: 'w-2', date: '2026-09-08', left_volume: 500, right_volume: 450, left_reps: 10, right_reps: 9, imbalance_percent: 10, weaker_side: 'right' },
+      { workout_id: 'w-3', date: '2026-09-15', left_volume: 500, right_volume: 500, left_reps: 10, right_reps: 10, imbalance_percent: 0, weaker_side: null }
+    ]);
+    expect(exercise.avg_imbalance_percent).toBe(10);
+    expect(exercise.weaker_side).toBe('right');
+    expect(exercise.weaker_sessions).toEqual({ left: 0, right: 2 });
+    expect(exercise.is_imbalanced).toBe(true);
+  });
+
+  it('uses the effective load of bodyweight exercises', () => {
+    const [exercise] = buildImbalanceReport([
+      row({
+        workout_id: 'w-1',
+        date: '2026-09-01',
+        exercise_type: 'bodyweight',
+        load_mode: 'bodyweight_plus',
+        bodyweight_fraction: '0.85',
+        bodyweight: 200,
+        left_weight: null,
+        right_weight: null,
+        left_reps: 5,
+        right_reps: 6
+      })
+    ]);
+
+    expect(exercise.sessions[0].left_volume).toBe(850);
+    expect(exercise.sessions[0].right_volume).toBe(1020);
+    expect(exercise.weaker_side).toBe('left');
+    expect(exercise.is_imbalanced).toBe(true);
+  });
+});
@@ -1,74 +1,296 @@
 /**
  * Volume Calculation Utilities
  *
- * Single source of truth for volume calculations across the codebase.
- * Volume = weight × reps (for weighted and bodyweight exercises, excluding warmup sets)
+ * Single source of truth for volume and effective load calculations across the codebase.
+ * Volume = effective load × reps for weighted and bodyweight exercises (excluding
+ * warmup sets). Effective load depends on the exercise's load mode:
+ *   external        = weight
+ *   bodyweight_plus = bodyweight × bodyweight_fraction + weight (added weight)
+ *   assisted        = bodyweight × bodyweight_fraction - weight (assistance)
+ * Bodyweight is the user's logged entry closest to the workout date, falling back
+ * to DEFAULT_BODYWEIGHT when nothing is logged.
+ * The mini sets of drop, rest-pause, myo-rep and cluster sets (sub-sets, see
+ * setTypeCalculator.js) count toward volume: they are rows of their own in SQL and
+ * set.subSets when nested under the parent set.
+ * Unilateral sets add both sides: left_reps × left load + right_reps × right load in SQL,
+ * set.sides otherwise (see unilateralCalculator.js).
  */
 
+import { getDateKey } from '../utils/timezone.js';
+
+/**
+ * Bodyweight (lbs) used when the user has no bodyweight entries
+ */
+export const DEFAULT_BODYWEIGHT = 150;
+
+/**
+ * Valid exercise load modes (exercise.load_mode)
+ */
+export const LOAD_MODES = ['external', 'bodyweight_plus', 'assisted'];
+
 /**
- * Returns SQL fragment for volume calculation
- * Use this in SELECT clauses or aggregate queries
+ * Load mode for an exercise type when none is stored (drafts, older rows)
  *
- * @returns {string} SQL expression for calculating volume
+ * @param {string} exerciseType - Exercise type
+ * @returns {string} 'bodyweight_plus' for bodyweight exercises, otherwise 'external'
+ */
+export function getDefaultLoadMode(exerciseType) {
+  return exerciseType === 'bodyweight' ? 'bodyweight_plus' : 'external';
+}
+
+/**
+ * Check whether a load mode depends on the user's bodyweight
+ *
+ * @param {string} loadMode - Load mode
+ * @returns {boolean} True for bodyweight_plus and assisted
+ */
+export function usesBodyweight(loadMode) {
+  return loadMode === 'bodyweight_plus' || loadMode === 'assisted';
+}
+
+/**
+ * Calculate the effective load moved per rep
+ *
+ * @param {number} weight - Logged weight in lbs (external, added or assistance depending on mode)
+ * @param {Object} options - Load profile
+ * @param {string} options.loadMode - 'external', 'bodyweight_plus' or 'assisted' (default: 'external')
+ * @param {number} options.bodyweightFraction - Share of bodyweight moved, 0-1 (default: 1)
+ * @param {number} options.bodyweight - User's bodyweight in lbs (default: 150)
+ * @returns {number} Effective load in lbs (never negative)
  *
  * @example
- * const query = sql`
- *   SELECT COALESCE(SUM(${sql.raw(calculateVolumeSQL())}), 0) as total_volume
- *   FROM set s
- *   JOIN workout_exercise we ON s.workout_exercise_id = we.id
- *   JOIN exercise e ON we.exercise_id = e.id
- *   WHERE we.workout_id = ${workoutId}
- * `;
+ * calculateEffectiveLoad(25, { loadMode: 'bodyweight_plus', bodyweightFraction: 0.95, bodyweight: 180 }); // 196
+ * calculateEffectiveLoad(50, { loadMode: 'assisted', bodyweightFraction: 0.95, bodyweight: 180 }); // 121
+ */
+export function calculateEffectiveLoad(weight, { loadMode = 'external', bodyweightFraction = 1, bodyweight = DEFAULT_BODYWEIGHT } = {}) {
+  const logged = parseFloat(weight) || 0;
+
+  if (!usesBodyweight(loadMode)) {
+    return logged;
+  }
+
+  const fraction = bodyweightFraction === null || bodyweightFraction === undefined
+    ? 1
+    : parseFloat(bodyweightFraction);
+  const bodyLoad = (parseFloat(bodyweight) || DEFAULT_BODYWEIGHT) * fraction;
+  const load = loadMode === 'assisted' ? Math.max(bodyLoad - logged, 0) : bodyLoad + logged;
+
+  return Math.round(load * 100) / 100;
+}
+
+/**
+ * Calculate the effective load of a set row from the database
+ * Rows carry exercise_type, load_mode, bodyweight_fraction and (see attachBodyweights) bodyweight
+ *
+ * @param {Object} row - Set row
+ * @returns {number} Effective load in lbs
  */
-export function calculateVolumeSQL() {
-  return `
-    CASE
-      WHEN e.type IN ('weighted', 'bodyweight') AND s.is_warmup = false
-      THEN COALESCE(s.weight, 0) * COALESCE(s.reps, 0)
-      ELSE 0
-    END
+export function calculateSetLoad(row) {
+  return calculateEffectiveLoad(row.weight, {
+    loadMode: row.load_mode || getDefaultLoadMode(row.exercise_type),
+    bodyweightFraction: row.bodyweight_fraction,
+    bodyweight: row.bodyweight
+  });
+}
+
+/**
+ * Query total volume per workout, for one workout or all of a user's workouts
+ * The only SQL copy of the volume expression: calculateWorkoutVolume and
+ * recalculateBodyweightVolumes both read it. Bodyweight-loaded sets use the
+ * owner's bodyweight entry closest to the workout's local date (ties go to the
+ * earlier entry)
+ *
+ * @param {import('@neondatabase/serverless').NeonQueryFunction<false, false>} sql - Neon SQL template function
+ * @param {Object} scope - Exactly one of workoutId or userId
+ * @param {string} scope.workoutId - Workout UUID
+ * @param {string} scope.userId - User UUID
+ * @returns {Promise<Array<Object>>} Rows { workout_id, total_volume, uses_bodyweight } for workouts with sets
+ */
+async function queryWorkoutVolumes(sql, { workoutId = null, userId = null }) {
+  return await sql`
+    SELECT
+      w.id as workout_id,
+      COALESCE(SUM(
+        CASE
+          WHEN s.is_warmup = false AND e.type IN ('weighted', 'bodyweight')
+          THEN CASE
+            WHEN s.left_reps IS NULL THEN COALESCE(s.reps, 0) * CASE e.load_mode
+              WHEN 'bodyweight_plus' THEN COALESCE(bw.weight, ${DEFAULT_BODYWEIGHT}) * e.bodyweight_fraction + COALESCE(s.weight, 0)
+              WHEN 'assisted' THEN GREATEST(COALESCE(bw.weight, ${DEFAULT_BODYWEIGHT}) * e.bodyweight_fraction - COALESCE(s.weight, 0), 0)
+              ELSE COALESCE(s.weight, 0)
+            END
+            ELSE s.left_reps * CASE e.load_mode
+              WHEN 'bodyweight_plus' THEN COALESCE(bw.weight, ${DEFAULT_BODYWEIGHT}) * e.bodyweight_fraction + COALESCE(s.left_weight, 0)
+              WHEN 'assisted' THEN GREATEST(COALESCE(bw.weight, ${DEFAULT_BODYWEIGHT}) * e.bodyweight_fraction - COALESCE(s.left_weight, 0), 0)
+              ELSE COALESCE(s.left_weight, 0)
+            END
+              + s.right_reps * CASE e.load_mode
+                WHEN 'bodyweight_plus' THEN COALESCE(bw.weight, ${DEFAULT_BODYWEIGHT}) * e.bodyweight_fraction + COALESCE(s.right_weight, 0)
+                WHEN 'assisted' THEN GREATEST(COALESCE(bw.weight, ${DEFAULT_BODYWEIGHT}) * e.bodyweight_fraction - COALESCE(s.right_weight, 0), 0)
+                ELSE COALESCE(s.right_weight, 0)
+              END
+          END
+          ELSE 0
+        END
+      ), 0) as total_volume,
+      bool_or(e.load_mode <> 'external') as uses_bodyweight
+    FROM workout w
+    JOIN "user" u ON w.user_id = u.id
+    JOIN workout_exercise we ON we.workout_id = w.id
+    JOIN exercise e ON we.exercise_id = e.id
+    JOIN "set" s ON s.workout_exercise_id = we.id
+    LEFT JOIN LATERAL (
+      SELECT be.weight
+      FROM bodyweight_entry be
+      WHERE be.user_id = w.user_id
+      ORDER BY
+        ABS(be.recorded_on - DATE(COALESCE(w.completed_at, w.started_at) AT TIME ZONE u.timezone)),
+        be.recorded_on ASC
+      LIMIT 1
+    ) bw ON true
+    WHERE (${workoutId}::uuid IS NULL OR w.id = ${workoutId}::uuid)
+    AND (${userId}::uuid IS NULL OR w.user_id = ${userId}::uuid)
+    GROUP BY w.id
   `;
 }
 
 /**
- * Returns full SQL query for calculating workout total volume
+ * Calculate a workout's total volume
  *
  * @param {import('@neondatabase/serverless').NeonQueryFunction<false, false>} sql - Neon SQL template function
  * @param {string} workoutId - Workout UUID
- * @returns {Promise<number>} Total volume in lbs
+ * @returns {Promise<number>} Total volume in lbs (0 for a workout without sets)
  *
  * @example
  * const volume = await calculateWorkoutVolume(sql, workoutId);
  */
 export async function calculateWorkoutVolume(sql, workoutId) {
+  const [row] = await queryWorkoutVolumes(sql, { workoutId });
+
+  return row ? parseFloat(row.total_volume) : 0;
+}
+
+/**
+ * Recalculate stored total_volume for a user's workouts that contain bodyweight-loaded sets
+ * Call after the bodyweight log changes so stored totals match the closest entry
+ *
+ * @param {import('@neondatabase/serverless').NeonQueryFunction<false, false>} sql - Neon SQL template function
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} Number of workouts updated
+ */
+export async function recalculateBodyweightVolumes(sql, userId) {
+  const volumes = (await queryWorkoutVolumes(sql, { userId }))
+    .filter(row => row.uses_bodyweight)
+    .map(row => ({ workout_id: row.workout_id, total_volume: parseFloat(row.total_volume) }));
+
+  if (volumes.length === 0) {
+    return 0;
+  }
+
   const result = await sql`
-    SELECT COALESCE(SUM(
-      CASE
-        WHEN e.type IN ('weighted', 'bodyweight') AND s.is_warmup = false
-        THEN COALESCE(s.weight, 0) * COALESCE(s.reps, 0)
-        ELSE 0
-      END
-    ), 0) as total_volume
-    FROM set s
-    JOIN workout_exercise we ON s.workout_exercise_id = we.id
-    JOIN exercise e ON we.exercise_id = e.id
-    WHERE we.workout_id = ${workoutId}
+    UPDATE workout
+    SET total_volume = v.total_volume
+    FROM jsonb_to_recordset(${JSON.stringify(volumes)}::jsonb) AS v(workout_id UUID, total_volume DECIMAL)
+    WHERE workout.id = v.workout_id
+    AND workout.user_id = ${userId}
+    RETURNING workout.id
+  `;
+
+  return result.length;
+}
+
+/**
+ * Find the bodyweight entry closest to a date (ties go to the earlier entry)
+ *
+ * @param {Array<Object>} entries - Bodyweight entries ({ recorded_on: 'YYYY-MM-DD', weight })
+ * @param {string} dateKey - Date 'YYYY-MM-DD'
+ * @returns {number} Bodyweight in lbs, or DEFAULT_BODYWEIGHT if there are no entries
+ *
+ * @example
+ * findClosestBodyweight([{ recorded_on: '2024-06-01', weight: '182.5' }], '2024-06-10'); // 182.5
+ */
+export function findClosestBodyweight(entries, dateKey) {
+  const target = Date.parse(dateKey);
+  let closest = null;
+  let closestDistance = Infinity;
+
+  for (const entry of entries || []) {
+    const recorded = Date.parse(entry.recorded_on);
+    const distance = Math.abs(recorded - target);
+
+    if (
+      distance < closestDistance ||
+      (distance === closestDistance && recorded < Date.parse(closest.recorded_on))
+    ) {
+      closest = entry;
+      closestDistance = distance;
+    }
+  }
+
+  return closest ? parseFloat(closest.weight) : DEFAULT_BODYWEIGHT;
+}
+
+/**
+ * Get all of a user's bodyweight entries as { recorded_on, weight } (oldest first)
+ * Used with findClosestBodyweight to resolve bodyweight for many workouts at once
+ *
+ * @param {import('@neondatabase/serverless').NeonQueryFunction<false, false>} sql - Neon SQL template function
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array<Object>>} Entries
+ */
+export async function getBodyweightHistory(sql, userId) {
+  return await sql`
+    SELECT recorded_on::text as recorded_on, weight
+    FROM bodyweight_entry
+    WHERE user_id = ${userId}
+    ORDER BY recorded_on ASC
   `;
+}
 
-  return parseFloat(result[0].total_volume);
+/**
+ * Set row.bodyweight to the user's bodyweight closest to each row's local date
+ * Only rows whose load mode uses bodyweight are touched, and the bodyweight log
+ * is only queried when there are such rows
+ *
+ * @param {import('@neondatabase/serverless').NeonQueryFunction<false, false>} sql - Neon SQL template function
+ * @param {string} userId - User UUID
+ * @param {Array<Object>} rows - Set rows with exercise_type, load_mode and a date (mutated)
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone for the row's local date (default: 'UTC')
+ * @param {string} options.dateField - Row field holding the workout instant (default: 'completed_at')
+ * @returns {Promise<Array<Object>>} The same rows
+ */
+export async function attachBodyweights(sql, userId, rows, { timezone = 'UTC', dateField = 'completed_at' } = {}) {
+  const loadedRows = rows.filter(row => usesBodyweight(row.load_mode || getDefaultLoadMode(row.exercise_type)));
+  if (loadedRows.length === 0) {
+    return rows;
+  }
+
+  const entries = await getBodyweightHistory(sql, userId);
+  for (const row of loadedRows) {
+    row.bodyweight = findClosestBodyweight(entries, getDateKey(row[dateField], timezone));
+  }
+
+  return rows;
 }
 
 /**
  * Calculate volume for a single set (client-side calculation)
  *
  * @param {Object} set - Set object
- * @param {number} set.weight - Weight in lbs
+ * @param {number} set.weight - Weight in lbs (added weight or assistance for bodyweight load modes)
  * @param {number} set.reps - Number of reps
  * @param {boolean} set.isWarmup - Whether this is a warmup set
- * @param {string} exerciseType - Exercise type ('weighted', 'bodyweight', 'cardio', 'duration')
- * @returns {number} Volume in lbs (0 for cardio/duration or warmup sets)
+ * @param {Array<Object>} set.subSets - Mini sets of the set ({ weight, reps }), added to its volume
+ * @param {Array<Object>} set.sides - Left and right of a unilateral set ({ weight, reps }), counted instead of weight × reps
+ * @param {string} exerciseType - Exercise type ('weighted', 'bodyweight', 'cardio', 'timed')
+ * @param {number} bodyweight - User's bodyweight in lbs for bodyweight load modes (default: 150)
+ * @param {Object} loadProfile - Exercise load profile
+ * @param {string} loadProfile.loadMode - Load mode (default: by exercise type)
+ * @param {number} loadProfile.bodyweightFraction - Share of bodyweight moved (default: 1)
+ * @returns {number} Volume in lbs (0 for cardio/timed or warmup sets)
  */
-export function calculateSetVolume(set, exerciseType) {
+export function calculateSetVolume(set, exerciseType, bodyweight = DEFAULT_BODYWEIGHT, { loadMode, bodyweightFraction } = {}) {
   // Skip warmup sets
   if (set.isWarmup) return 0;
 
@@ -77,10 +299,23 @@ export function calculateSetVolume(set, exerciseType) {
     return 0;
   }
 
-  const weight = parseFloat(set.weight) || 0;
+  if (set.sides) {
+    return set.sides.reduce((total, side) => total + calculateSetVolume(
+      side, exerciseType, bodyweight, { loadMode, bodyweightFraction }
+    ), 0);
+  }
+
+  const load = calculateEffectiveLoad(set.weight, {
+    loadMode: loadMode || getDefaultLoadMode(exerciseType),
+    bodyweightFraction,
+    bodyweight
+  });
   const reps = parseInt(set.reps) || 0;
+  const subSetVolume = (set.subSets || []).reduce((total, subSet) => total + calculateSetVolume(
+    subSet, exerciseType, bodyweight, { loadMode, bodyweightFraction }
+  ), 0);
 
-  return weight * reps;
+  return load * reps + subSetVolume;
 }
 
 /**
@@ -88,10 +323,12 @@ export function calculateSetVolume(set, exerciseType) {
  *
  * @param {Array} sets - Array of set objects
  * @param {string} exerciseType - Exercise type
+ * @param {number} bodyweight - User's bodyweight in lbs for bodyweight load modes (default: 150)
+ * @param {Object} loadProfile - Exercise load profile ({ loadMode, bodyweightFraction })
  * @returns {number} Total volume in lbs
  */
-export function calculateSetsVolume(sets, exerciseType) {
+export function calculateSetsVolume(sets, exerciseType, bodyweight = DEFAULT_BODYWEIGHT, loadProfile = {}) {
   return sets.reduce((total, set) => {
-    return total + calculateSetVolume(set, exerciseType);
+    return total + calculateSetVolume(set, exerciseType, bodyweight, loadProfile);
   }, 0);
 }
@@ -1,6 +1,12 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import {
-  calculateVolumeSQL,
+  DEFAULT_BODYWEIGHT,
+  calculateWorkoutVolume,
+  recalculateBodyweightVolumes,
+  calculateEffectiveLoad,
+  calculateSetLoad,
+  findClosestBodyweight,
+  attachBodyweights,
   calculateSetVolume,
   calculateSetsVolume,
 } from './volumeCalculator.js';
@@ -11,9 +17,39 @@ describe('calculateSetVolume', () => {
     expect(calculateSetVolume(set, 'weighted')).toBe(1125);
   });
 
-  it('calculates volume for a bodyweight exercise set', () => {
+  it('uses the default bodyweight for a bodyweight exercise set', () => {
     const set = { weight: 0, reps: 10, isWarmup: false };
-    expect(calculateSetVolume(set, 'bodyweight')).toBe(0);
+    expect(calculateSetVolume(set, 'bodyweight')).toBe(DEFAULT_BODYWEIGHT * 10);
+  });
+
+  it('uses the given bodyweight for bodyweight exercises', () => {
+    const set = { weight: null, reps: 10, isWarmup: false };
+    expect(calculateSetVolume(set, 'bodyweight', 182.5)).toBe(1825);
+  });
+
+  it('adds logged weight to bodyweight for weighted bodyweight movements', () => {
+    const set = { weight: 25, reps: 10, isWarmup: false };
+    expect(calculateSetVolume(set, 'bodyweight', 182.5)).toBe(2075);
+  });
+
+  it('applies the exercise load profile', () => {
+    const set = { weight: 50, reps: 10, isWarmup: false };
+    const assisted = { loadMode: 'assisted', bodyweightFraction: 0.95 };
+    expect(calculateSetVolume(set, 'weighted', 180, assisted)).toBe(1210);
+    expect(calculateSetVolume({ weight: null, reps: 10 }, 'bodyweight', 200, { bodyweightFraction: 0.64 })).toBe(1280);
+  });
+
+  it('adds the mini sets of a drop set', () => {
+    const set = { weight: 225, reps: 8, isWarmup: false, subSets: [{ weight: 185, reps: 6 }, { weight: 135, reps: 8 }] };
+    expect(calculateSetVolume(set, 'weighted')).toBe(1800 + 1110 + 1080);
+  });
+
+  it('adds both sides of a unilateral set', () => {
+    const set = { weight: 50, reps: 8, sides: [{ weight: 50, reps: 10 }, { weight: 50, reps: 8 }] };
+    expect(calculateSetVolume(set, 'weighted')).toBe(900);
+
+    const pistol = { weight: null, reps: 5, sides: [{ weight: null, reps: 6 }, { weight: null, reps: 5 }] };
+    expect(calculateSetVolume(pistol, 'bodyweight', 200, { bodyweightFraction: 0.85 })).toBe(1870);
   });
 
   it('returns 0 for warmup sets', () => {
@@ -89,19 +125,161 @@ describe('calculateSetsVolume', () => {
   });
 });
 
-describe('calculateVolumeSQL', () => {
-  it('returns a valid SQL CASE expression', () => {
-    const sql = calculateVolumeSQL();
-    expect(typeof sql).toBe('string');
-    expect(sql).toContain('CASE');
-    expect(sql).toContain('weighted');
-    expect(sql).toContain('bodyweight');
-    expect(sql).toContain('is_warmup');
-    expect(sql).toContain('COALESCE');
+describe('calculateEffectiveLoad', () => {
+  it('returns the logged weight for external loads', () => {
+    expect(calculateEffectiveLoad(225)).toBe(225);
+    expect(calculateEffectiveLoad('135.5', { loadMode: 'external', bodyweight: 180 })).toBe(135.5);
+    expect(calculateEffectiveLoad(null)).toBe(0);
+  });
+
+  it('adds added weight to the bodyweight share', () => {
+    const profile = { loadMode: 'bodyweight_plus', bodyweightFraction: 0.95, bodyweight: 180 };
+    expect(calculateEffectiveLoad(null, profile)).toBe(171);
+    expect(calculateEffectiveLoad(25, profile)).toBe(196);
+  });
+
+  it('subtracts assistance from the bodyweight share', () => {
+    const profile = { loadMode: 'assisted', bodyweightFraction: 0.95, bodyweight: 180 };
+    expect(calculateEffectiveLoad(50, profile)).toBe(121);
+    expect(calculateEffectiveLoad(300, profile)).toBe(0);
+  });
+
+  it('falls back to the default bodyweight and a full fraction', () => {
+    expect(calculateEffectiveLoad(0, { loadMode: 'bodyweight_plus' })).toBe(DEFAULT_BODYWEIGHT);
+    expect(calculateEffectiveLoad(0, { loadMode: 'bodyweight_plus', bodyweightFraction: null, bodyweight: null })).toBe(DEFAULT_BODYWEIGHT);
+  });
+});
+
+describe('calculateSetLoad', () => {
+  it('reads the load profile from a set row', () => {
+    expect(calculateSetLoad({ weight: '20', exercise_type: 'bodyweight', load_mode: 'bodyweight_plus', bodyweight_fraction: '0.95', bodyweight: 200 })).toBe(210);
+  });
+
+  it('defaults the load mode from the exercise type', () => {
+    expect(calculateSetLoad({ weight: null, exercise_type: 'bodyweight', bodyweight: 180 })).toBe(180);
+    expect(calculateSetLoad({ weight: '225', exercise_type: 'weighted' })).toBe(225);
+  });
+});
+
+describe('findClosestBodyweight', () => {
+  const entries = [
+    { recorded_on: '2024-06-01', weight: '180.00' },
+    { recorded_on: '2024-06-11', weight: '184.00' },
+  ];
+
+  it('returns the entry closest to the date', () => {
+    expect(findClosestBodyweight(entries, '2024-06-03')).toBe(180);
+    expect(findClosestBodyweight(entries, '2024-06-09')).toBe(184);
+  });
+
+  it('prefers the earlier entry on a tie', () => {
+    expect(findClosestBodyweight(entries, '2024-06-06')).toBe(180);
+  });
+
+  it('uses the nearest entry for dates outside the logged range', () => {
+    expect(findClosestBodyweight(entries, '2023-01-01')).toBe(180);
+    expect(findClosestBodyweight(entries, '2025-01-01')).toBe(184);
+  });
+
+  it('falls back to the default when nothing is logged', () => {
+    expect(findClosestBodyweight([], '2024-06-03')).toBe(DEFAULT_BODYWEIGHT);
+    expect(findClosestBodyweight(null, '2024-06-03')).toBe(DEFAULT_BODYWEIGHT);
+  });
+});
+
+describe('calculateWorkoutVolume', () => {
+  it('looks up the closest bodyweight entry for the workout', async () => {
+    const sql = vi.fn().mockResolvedValue([{ workout_id: 'workout-1', total_volume: '3250.00', uses_bodyweight: true }]);
+
+    const volume = await calculateWorkoutVolume(sql, 'workout-1');
+    expect(volume).toBe(3250);
+
+    const [strings, ...values] = sql.mock.calls[0];
+    expect(strings.join('?')).toContain('bodyweight_entry');
+    expect(strings.join('?')).toContain('s.is_warmup = false');
+    expect(strings.join('?')).toContain('e.load_mode');
+    expect(strings.join('?')).toContain('s.right_reps *');
+    expect(values).toContain('workout-1');
+    expect(values).toContain(DEFAULT_BODYWEIGHT);
   });
 
-  it('excludes warmup sets in SQL', () => {
-    const sql = calculateVolumeSQL();
-    expect(sql).toContain('s.is_warmup = false');
+  it('returns 0 for a workout without sets', async () => {
+    const sql = vi.fn().mockResolvedValue([]);
+
+    expect(await calculateWorkoutVolume(sql, 'workout-1')).toBe(0);
+  });
+});
+
+describe('recalculateBodyweightVolumes', () => {
+  // Stand-in database: the volume query is answered from these workouts, scoped by
+  // its workout or user parameter; anything else is the UPDATE and returns its ids.
+  // w-dips logs bodyweight_plus sets, w-pullups assisted ones and w-bench external ones
+  const workouts = [
+    { workout_id: 'w-dips', user_id: 'user-A', total_volume: '2075.00', uses_bodyweight: true },
+    { workout_id: 'w-pullups', user_id: 'user-A', total_volume: '1210.00', uses_bodyweight: true },
+    { workout_id: 'w-bench', user_id: 'user-A', total_volume: '1125.00', uses_bodyweight: false },
+  ];
+  const mockDatabase = () => vi.fn((strings, ...values) => {
+    if (strings.join('?').includes('as uses_bodyweight')) {
+      return Promise.resolve(workouts.filter(workout => values.includes(workout.workout_id) || values.includes(workout.user_id)));
+    }
+    const written = JSON.parse(values.find(value => typeof value === 'string' && value.startsWith('[')));
+    return Promise.resolve(written.map(volume => ({ id: volume.workout_id })));
+  });
+
+  it('writes the same volumes calculateWorkoutVolume returns for bodyweight_plus and assisted workouts', async () => {
+    const sql = mockDatabase();
+
+    const dips = await calculateWorkoutVolume(sql, 'w-dips');
+    const pullups = await calculateWorkoutVolume(sql, 'w-pullups');
+    const updated = await recalculateBodyweightVolumes(sql, 'user-A');
+
+    // Both paths run the one volume query
+    const [perWorkout, , perUser, update] = sql.mock.calls;
+    expect(perUser[0]).toBe(perWorkout[0]);
+
+    expect(updated).toBe(2);
+    const written = JSON.parse(update.find(value => typeof value === 'string' && value.startsWith('[')));
+    expect(written).toEqual([
+      { workout_id: 'w-dips', total_volume: dips },
+      { workout_id: 'w-pullups', total_volume: pullups },
+    ]);
+    expect(update).toContain('user-A');
+  });
+
+  it('skips the update when no workout has bodyweight-loaded sets', async () => {
+    const sql = vi.fn().mockResolvedValue([{ workout_id: 'w-bench', total_volume: '1125.00', uses_bodyweight: false }]);
+
+    expect(await recalculateBodyweightVolumes(sql, 'user-A')).toBe(0);
+    expect(sql).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('attachBodyweights', () => {
+  it('sets the closest bodyweight on bodyweight-loaded rows only', async () => {
+    const sql = vi.fn().mockResolvedValue([
+      { recorded_on: '2024-06-01', weight: '180.00' },
+      { recorded_on: '2024-06-09', weight: '184.00' },
+    ]);
+    const rows = [
+      { exercise_type: 'bodyweight', load_mode: 'bodyweight_plus', completed_at: '2024-06-03T10:00:00Z' },
+      { exercise_type: 'weighted', load_mode: 'assisted', completed_at: '2024-06-10T03:00:00Z' },
+      { exercise_type: 'weighted', load_mode: 'external', completed_at: '2024-06-10T03:00:00Z' },
+    ];
+
+    await attachBodyweights(sql, 'user-A', rows, { timezone: 'America/Los_Angeles' });
+
+    expect(rows[0].bodyweight).toBe(180);
+    expect(rows[1].bodyweight).toBe(184); // June 9 in Los Angeles
+    expect(rows[2].bodyweight).toBeUndefined();
+    expect(sql.mock.calls[0]).toContain('user-A');
+  });
+
+  it('skips the bodyweight query when no rows need it', async () => {
+    const sql = vi.fn();
+    const rows = [{ exercise_type: 'weighted', weight: 225, achieved_at: '2024-06-03T10:00:00Z' }];
+
+    await attachBodyweights(sql, 'user-A', rows, { dateField: 'achieved_at' });
+    expect(sql).not.toHaveBeenCalled();
   });
 });
@@ -0,0 +1,68 @@
+/**
+ * Warm-up Calculation Utilities
+ *
+ * Warm-up schemes ramp up to the first working set of an exercise (user setting `warmupScheme`).
+ * Each step is a share of the working weight and a rep count; 0% is the empty bar, or the
+ * lightest load for dumbbells and cables. The client builds the warm-up sets from the scheme
+ * and rounds them to the active equipment profile (src/lib/warmups.js).
+ */
+
+/**
+ * Default ramp: bar x 10, 40% x 5, 60% x 3, 80% x 1
+ */
+export const WARMUP_SCHEME = [
+  { percent: 0, reps: 10 },
+  { percent: 40, reps: 5 },
+  { percent: 60, reps: 3 },
+  { percent: 80, reps: 1 }
+];
+
+export const MAX_WARMUP_STEPS = 8;
+export const MAX_WARMUP_PERCENT = 95;
+export const MAX_WARMUP_REPS = 20;
+
+/**
+ * Validate and normalize a warm-up scheme from user input
+ * Accepts 'default' or an array of { percent, reps }; steps are sorted by percent
+ *
+ * @param {string|Array<Object>} input - 'default' or custom steps
+ * @returns {Array<Object>} Steps: { percent, reps }
+ * @throws {Error} If steps are invalid or repeat a percent
+ *
+ * @example
+ * normalizeWarmupScheme([{ percent: 70, reps: 2 }, { percent: 50, reps: 5 }]);
+ * // => [{ percent: 50, reps: 5 }, { percent: 70, reps: 2 }]
+ */
+export function normalizeWarmupScheme(input) {
+  if (input === 'default') {
+    return WARMUP_SCHEME.map(step => ({ ...step }));
+  }
+
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_WARMUP_STEPS) {
+    throw new Error(`warmupScheme must be 'default' or a list of 1-${MAX_WARMUP_STEPS} steps`);
+  }
+
+  const steps = input.map(step => {
+    const percent = Number(step?.percent);
+    const reps = Number(step?.reps);
+
+    if (!Number.isInteger(percent) || percent < 0 || percent > MAX_WARMUP_PERCENT) {
+      throw new Error(`Warm-up percent must be a whole number from 0 to ${MAX_WARMUP_PERCENT}`);
+    }
+    if (!Number.isInteger(reps) || reps < 1 || reps > MAX_WARMUP_REPS) {
+      throw new Error(`Warm-up reps must be a whole number from 1 to ${MAX_WARMUP_REPS}`);
+    }
+
+    return { percent, reps };
+  });
+
+  steps.sort((a, b) => a.percent - b.percent);
+
+  for (let i = 1; i < steps.length; i++) {
+    if (steps[i].percent === steps[i - 1].percent) {
+      throw new Error(`Warm-up step percents must be different (${steps[i].percent}% repeats)`);
+    }
+  }
+
+  return steps;
+}
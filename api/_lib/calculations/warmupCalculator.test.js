@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { WARMUP_SCHEME, normalizeWarmupScheme } from './warmupCalculator.js';
+
+describe('normalizeWarmupScheme', () => {
+  it('returns a copy of the default scheme', () => {
+    const scheme = normalizeWarmupScheme('default');
+    expect(scheme).toEqual(WARMUP_SCHEME);
+    expect(scheme).not.toBe(WARMUP_SCHEME);
+  });
+
+  it('sorts custom steps by percent', () => {
+    expect(normalizeWarmupScheme([{ percent: '70', reps: 2 }, { percent: 50, reps: '5' }])).toEqual([
+      { percent: 50, reps: 5 },
+      { percent: 70, reps: 2 }
+    ]);
+  });
+
+  it('rejects malformed schemes', () => {
+    expect(() => normalizeWarmupScheme('heavy')).toThrow("warmupScheme must be 'default' or a list of 1-8 steps");
+    expect(() => normalizeWarmupScheme([])).toThrow('warmupScheme must be');
+    expect(() => normalizeWarmupScheme([{ percent: 100, reps: 1 }])).toThrow('Warm-up percent must be');
+    expect(() => normalizeWarmupScheme([{ percent: 50, reps: 0 }])).toThrow('Warm-up reps must be');
+    expect(() => normalizeWarmupScheme([{ percent: 50, reps: 5 }, { percent: 50, reps: 3 }]))
+      .toThrow('Warm-up step percents must be different (50% repeats)');
+  });
+});
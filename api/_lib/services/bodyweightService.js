@@ -0,0 +1,235 @@
+/**
+ * Bodyweight Service
+ *
+ * Business logic for the bodyweight log (CRUD). Bodyweight-loaded exercises use
+ * the entry closest to each workout, so stored workout volumes, stats rollups and
+ * PRs are recalculated whenever the log changes. New and edited entries can reach goals.
+ */
+
+import { sql } from '../db.js';
+import { recalculateBodyweightVolumes } from '../calculations/volumeCalculator.js';
+import { refreshBodyweightPRs } from './personalRecordService.js';
+import { refreshUserStatsRollups } from './statsRollupService.js';
+import { checkGoalCompletion } from './goalService.js';
+import { DEFAULT_E1RM_FORMULA } from '../calculations/prCalculator.js';
+import { DEFAULT_TIMEZONE, getDateKey, parseDateKey } from '../utils/timezone.js';
+
+/**
+ * Bodyweight limits in lbs
+ */
+const MIN_BODYWEIGHT = 50;
+const MAX_BODYWEIGHT = 1000;
+
+/**
+ * Map a bodyweight_entry row to the API shape
+ *
+ * @param {Object} row - bodyweight_entry row
+ * @returns {Object} Entry
+ */
+function formatEntry(row) {
+  return {
+    id: row.id,
+    weight: parseFloat(row.weight),
+    recorded_on: row.recorded_on,
+    notes: row.notes,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Validate a bodyweight value
+ *
+ * @param {*} weight - Weight in lbs
+ * @returns {number} Parsed weight
+ * @throws {Error} If out of range
+ */
+function validateWeight(weight) {
+  const value = parseFloat(weight);
+  if (isNaN(value) || value < MIN_BODYWEIGHT || value > MAX_BODYWEIGHT) {
+    throw new Error(`Bodyweight must be between ${MIN_BODYWEIGHT} and ${MAX_BODYWEIGHT} lbs`);
+  }
+  return value;
+}
+
+/**
+ * Recalculate stored workout volumes, stats rollups and PRs after the bodyweight log changes
+ * Best-effort: a failure here must not fail the bodyweight change itself
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} True if volumes, rollups and PRs were recalculated
+ */
+async function refreshBodyweightVolumes(userId) {
+  try {
+    await recalculateBodyweightVolumes(sql, userId);
+  } catch (error) {
+    console.error('Failed to recalculate bodyweight volumes:', error);
+    return false;
+  }
+
+  const rollupsRefreshed = await refreshUserStatsRollups(userId);
+  const prsRefreshed = await refreshBodyweightPRs(userId);
+
+  return rollupsRefreshed && prsRefreshed;
+}
+
+/**
+ * Get bodyweight entries, newest first
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Optional filters
+ * @param {string} options.from - Earliest date YYYY-MM-DD (inclusive)
+ * @param {string} options.to - Latest date YYYY-MM-DD (inclusive)
+ * @param {number} options.limit - Max entries to return
+ * @returns {Promise<Object>} { entries, total }
+ */
+export async function getBodyweightEntries(userId, { from = null, to = null, limit = null } = {}) {
+  if (from) parseDateKey(from);
+  if (to) parseDateKey(to);
+
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('Limit must be a positive integer');
+  }
+
+  const entries = await sql`
+    SELECT id, weight, recorded_on::text as recorded_on, notes, created_at, updated_at
+    FROM bodyweight_entry
+    WHERE user_id = ${userId}
+    AND (${from}::date IS NULL OR recorded_on >= ${from}::date)
+    AND (${to}::date IS NULL OR recorded_on <= ${to}::date)
+    ORDER BY recorded_on DESC
+    LIMIT ${limit}
+  `;
+
+  return {
+    entries: entries.map(formatEntry),
+    total: entries.length
+  };
+}
+
+/**
+ * Log bodyweight for a date (replaces an existing entry for the same date)
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} data - Entry data
+ * @param {number} data.weight - Bodyweight in lbs
+ * @param {string} [data.recordedOn] - Date YYYY-MM-DD (default: today in the user's timezone)
+ * @param {string} [data.notes] - Optional notes
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone, used for the default date and goal progress
+ * @param {string} options.formula - 1RM formula, for goal progress (default: 'brzycki')
+ * @returns {Promise<Object>} Saved entry, with completedGoals
+ */
+export async function createBodyweightEntry(userId, { weight, recordedOn, notes = null }, {
+  timezone = DEFAULT_TIMEZONE,
+  formula = DEFAULT_E1RM_FORMULA
+} = {}) {
+  const value = validateWeight(weight);
+  const date = recordedOn || getDateKey(new Date(), timezone);
+  parseDateKey(date);
+
+  const result = await sql`
+    INSERT INTO bodyweight_entry (user_id, weight, recorded_on, notes)
+    VALUES (${userId}, ${value}, ${date}, ${notes})
+    ON CONFLICT (user_id, recorded_on)
+    DO UPDATE SET weight = EXCLUDED.weight, notes = EXCLUDED.notes, updated_at = NOW()
+    RETURNING id, weight, recorded_on::text as recorded_on, notes, created_at, updated_at
+  `;
+
+  await refreshBodyweightVolumes(userId);
+  const completedGoals = await checkGoalCompletion(userId, { formula, timezone });
+
+  return { ...formatEntry(result[0]), completedGoals };
+}
+
+/**
+ * Verify a bodyweight entry exists and belongs to the user
+ *
+ * @throws {Error} If not found or owned by another user
+ */
+async function verifyEntryOwnership(userId, entryId) {
+  const existing = await sql`
+    SELECT id, user_id
+    FROM bodyweight_entry
+    WHERE id = ${entryId}
+  `;
+
+  if (existing.length === 0) {
+    throw new Error('Bodyweight entry not found');
+  }
+
+  if (existing[0].user_id !== userId) {
+    throw new Error('Unauthorized');
+  }
+}
+
+/**
+ * Update a bodyweight entry (only provided fields change)
+ *
+ * @param {string} userId - User UUID
+ * @param {string} entryId - Entry UUID
+ * @param {Object} updates - { weight, recordedOn, notes }
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone, for goal progress (default: 'UTC')
+ * @param {string} options.formula - 1RM formula, for goal progress (default: 'brzycki')
+ * @returns {Promise<Object>} Updated entry, with completedGoals
+ * @throws {Error} If validation fails, not found, unauthorized or the date is taken
+ */
+export async function updateBodyweightEntry(userId, entryId, { weight, recordedOn, notes } = {}, {
+  timezone = DEFAULT_TIMEZONE,
+  formula = DEFAULT_E1RM_FORMULA
+} = {}) {
+  if (weight === undefined && recordedOn === undefined && notes === undefined) {
+    throw new Error('No fields to update');
+  }
+
+  const value = weight !== undefined ? validateWeight(weight) : null;
+  if (recordedOn !== undefined) parseDateKey(recordedOn);
+
+  await verifyEntryOwnership(userId, entryId);
+
+  let result;
+  try {
+    result = await sql`
+      UPDATE bodyweight_entry
+      SET
+        weight = COALESCE(${value}, weight),
+        recorded_on = COALESCE(${recordedOn ?? null}::date, recorded_on),
+        notes = CASE WHEN ${notes !== undefined} THEN ${notes ?? null} ELSE notes END,
+        updated_at = NOW()
+      WHERE id = ${entryId}
+      RETURNING id, weight, recorded_on::text as recorded_on, notes, created_at, updated_at
+    `;
+  } catch (error) {
+    // Unique (user_id, recorded_on) violation
+    if (error.code === '23505') {
+      throw new Error('Bodyweight already logged for this date');
+    }
+    throw error;
+  }
+
+  await refreshBodyweightVolumes(userId);
+  const completedGoals = await checkGoalCompletion(userId, { formula, timezone });
+
+  return { ...formatEntry(result[0]), completedGoals };
+}
+
+/**
+ * Delete a bodyweight entry
+ *
+ * @param {string} userId - User UUID
+ * @param {string} entryId - Entry UUID
+ * @returns {Promise<Object>} { success, message }
+ */
+export async function deleteBodyweightEntry(userId, entryId) {
+  await verifyEntryOwnership(userId, entryId);
+
+  await sql`DELETE FROM bodyweight_entry WHERE id = ${entryId}`;
+
+  await refreshBodyweightVolumes(userId);
+
+  return {
+    success: true,
+    message: 'Bodyweight entry deleted successfully'
+  };
+}
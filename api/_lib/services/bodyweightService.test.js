@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the database
+vi.mock('../db.js', () => {
+  const mockSql = vi.fn();
+  mockSql.mockImplementation(() => []);
+  return { sql: mockSql };
+});
+
+// Mock volume, rollup and PR recalculation (covered in their own tests)
+vi.mock('../calculations/volumeCalculator.js', () => ({
+  recalculateBodyweightVolumes: vi.fn().mockResolvedValue(0)
+}));
+
+vi.mock('./personalRecordService.js', () => ({
+  refreshBodyweightPRs: vi.fn().mockResolvedValue(true)
+}));
+
+vi.mock('./goalService.js', () => ({
+  checkGoalCompletion: vi.fn().mockResolvedValue([])
+}));
+
+vi.mock('./statsRollupService.js', () => ({
+  refreshUserStatsRollups: vi.fn().mockResolvedValue(true)
+}));
+
+import {
+  getBodyweightEntries,
+  createBodyweightEntry,
+  updateBodyweightEntry,
+  deleteBodyweightEntry
+} from './bodyweightService.js';
+import { recalculateBodyweightVolumes } from '../calculations/volumeCalculator.js';
+import { refreshBodyweightPRs } from './personalRecordService.js';
+import { refreshUserStatsRollups } from './statsRollupService.js';
+import { checkGoalCompletion } from './goalService.js';
+import { sql } from '../db.js';
+
+const entryRow = (overrides) => ({
+  id: 'bw-1',
+  weight: '182.50',
+  recorded_on: '2024-06-03',
+  notes: null,
+  created_at: '2024-06-03T08:00:00Z',
+  updated_at: '2024-06-03T08:00:00Z',
+  ...overrides
+});
+
+describe('Bodyweight Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getBodyweightEntries', () => {
+    it('returns formatted entries', async () => {
+      sql.mockResolvedValueOnce([entryRow()]);
+
+      const result = await getBodyweightEntries('user-A');
+      expect(result.total).toBe(1);
+      expect(result.entries[0]).toMatchObject({ id: 'bw-1', weight: 182.5, recorded_on: '2024-06-03' });
+    });
+
+    it('rejects invalid filters', async () => {
+      await expect(getBodyweightEntries('user-A', { from: 'yesterday' })).rejects.toThrow('Invalid date format');
+      await expect(getBodyweightEntries('user-A', { limit: 0 })).rejects.toThrow('Limit must be a positive integer');
+      expect(sql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createBodyweightEntry', () => {
+    it('saves the entry and recalculates workout volumes, stats and PRs', async () => {
+      sql.mockResolvedValueOnce([entryRow()]);
+
+      const result = await createBodyweightEntry('user-A', { weight: 182.5, recordedOn: '2024-06-03' });
+      expect(result.weight).toBe(182.5);
+      expect(recalculateBodyweightVolumes).toHaveBeenCalledWith(sql, 'user-A');
+      expect(refreshUserStatsRollups).toHaveBeenCalledWith('user-A');
+      expect(refreshBodyweightPRs).toHaveBeenCalledWith('user-A');
+      expect(checkGoalCompletion).toHaveBeenCalledWith('user-A', { formula: 'brzycki', timezone: 'UTC' });
+      expect(result.completedGoals).toEqual([]);
+    });
+
+    it('defaults to today in the user timezone', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-06-10T03:00:00Z')); // Sunday evening in Los Angeles
+      sql.mockResolvedValueOnce([entryRow({ recorded_on: '2024-06-09' })]);
+
+      await createBodyweightEntry('user-A', { weight: 180 }, { timezone: 'America/Los_Angeles' });
+      expect(sql.mock.calls[0]).toContain('2024-06-09');
+
+      vi.useRealTimers();
+    });
+
+    it('rejects out-of-range weights', async () => {
+      await expect(createBodyweightEntry('user-A', { weight: 20 })).rejects.toThrow('Bodyweight must be between');
+      await expect(createBodyweightEntry('user-A', { weight: 'heavy' })).rejects.toThrow('Bodyweight must be between');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('still saves when volume recalculation fails', async () => {
+      sql.mockResolvedValueOnce([entryRow()]);
+      recalculateBodyweightVolumes.mockRejectedValueOnce(new Error('connection lost'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await createBodyweightEntry('user-A', { weight: 182.5, recordedOn: '2024-06-03' });
+      expect(result.id).toBe('bw-1');
+    });
+  });
+
+  describe('updateBodyweightEntry', () => {
+    it('throws when there is nothing to update', async () => {
+      await expect(updateBodyweightEntry('user-A', 'bw-1', {})).rejects.toThrow('No fields to update');
+    });
+
+    it('throws when entry not found', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(updateBodyweightEntry('user-A', 'bw-9', { weight: 180 })).rejects.toThrow('Bodyweight entry not found');
+    });
+
+    it('throws when entry belongs to another user', async () => {
+      sql.mockResolvedValueOnce([{ id: 'bw-1', user_id: 'user-B' }]);
+
+      await expect(updateBodyweightEntry('user-A', 'bw-1', { weight: 180 })).rejects.toThrow('Unauthorized');
+    });
+
+    it('reports a date that is already logged', async () => {
+      sql.mockResolvedValueOnce([{ id: 'bw-1', user_id: 'user-A' }]);
+      sql.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(
+        updateBodyweightEntry('user-A', 'bw-1', { recordedOn: '2024-06-04' })
+      ).rejects.toThrow('Bodyweight already logged for this date');
+    });
+
+    it('updates the entry and recalculates workout volumes', async () => {
+      sql.mockResolvedValueOnce([{ id: 'bw-1', user_id: 'user-A' }]);
+      sql.mockResolvedValueOnce([entryRow({ weight: '180.00' })]);
+
+      const result = await updateBodyweightEntry('user-A', 'bw-1', { weight: 180 });
+      expect(result.weight).toBe(180);
+      expect(recalculateBodyweightVolumes).toHaveBeenCalledTimes(1);
+      expect(checkGoalCompletion).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('deleteBodyweightEntry', () => {
+    it('deletes an owned entry and recalculates workout volumes', async () => {
+      sql.mockResolvedValueOnce([{ id: 'bw-1', user_id: 'user-A' }]);
+
+      const result = await deleteBodyweightEntry('user-A', 'bw-1');
+      expect(result.success).toBe(true);
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(recalculateBodyweightVolumes).toHaveBeenCalledWith(sql, 'user-A');
+    });
+
+    it('throws when entry belongs to another user', async () => {
+      sql.mockResolvedValueOnce([{ id: 'bw-1', user_id: 'user-B' }]);
+
+      await expect(deleteBodyweightEntry('user-A', 'bw-1')).rejects.toThrow('Unauthorized');
+      expect(recalculateBodyweightVolumes).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,442 @@
+/**
+ * Equipment Service
+ *
+ * Business logic for equipment profiles (CRUD): the bars, plate pairs, dumbbells and cable
+ * stack a user trains with. The client builds plate breakdowns and rounds suggested weights
+ * to loads the active profile can build (src/lib/plates.js). At most one profile is active,
+ * and without one the standard commercial gym below is used.
+ */
+
+import { sql } from '../db.js';
+
+/**
+ * Standard commercial gym, used when the user has no active profile (weights in lbs)
+ */
+export const DEFAULT_EQUIPMENT_PROFILE = {
+  id: null,
+  name: 'Standard gym',
+  is_active: true,
+  bar_weights: [45],
+  plates: [
+    { weight: 45, pairs: 8 },
+    { weight: 35, pairs: 2 },
+    { weight: 25, pairs: 2 },
+    { weight: 10, pairs: 2 },
+    { weight: 5, pairs: 2 },
+    { weight: 2.5, pairs: 2 }
+  ],
+  dumbbells: Array.from({ length: 30 }, (_, i) => (i + 1) * 5),
+  cable_increment: 5,
+  cable_max: null
+};
+
+/**
+ * Profile limits in lbs
+ */
+const MAX_NAME_LENGTH = 50;
+const MAX_BARS = 5;
+const MAX_BAR_WEIGHT = 100;
+const MAX_PLATE_TYPES = 12;
+const MAX_PLATE_WEIGHT = 100;
+const MAX_PLATE_PAIRS = 20;
+const MAX_DUMBBELLS = 100;
+const MAX_DUMBBELL_WEIGHT = 300;
+const MAX_CABLE_INCREMENT = 50;
+const MAX_CABLE_WEIGHT = 1500;
+
+/**
+ * Plate weights are whole quarter pounds (1.25 lb change plates, 0.25 lb fractional plates)
+ */
+const PLATE_STEP = 0.25;
+
+/**
+ * Map an equipment_profile row to the API shape
+ *
+ * @param {Object} row - equipment_profile row
+ * @returns {Object} Profile
+ */
+function formatProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    is_active: row.is_active,
+    bar_weights: row.bar_weights,
+    plates: row.plates,
+    dumbbells: row.dumbbells,
+    cable_increment: parseFloat(row.cable_increment),
+    cable_max: row.cable_max === null ? null : parseFloat(row.cable_max),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Validate a list of weights, returned sorted lightest first without duplicates
+ *
+ * @param {*} weights - Weights in lbs
+ * @param {string} field - Field name for error messages
+ * @param {Object} limits - { min, max } entries and maxWeight
+ * @returns {Array<number>} Weights
+ * @throws {Error} If not a list of weights within the limits
+ */
+function validateWeightList(weights, field, { min, max, maxWeight }) {
+  if (!Array.isArray(weights) || weights.length < min || weights.length > max) {
+    throw new Error(`${field} must be a list of ${min}-${max} weights`);
+  }
+
+  if (weights.some(weight => typeof weight !== 'number' || !(weight > 0) || weight > maxWeight)) {
+    throw new Error(`${field} must be between 0 and ${maxWeight} lbs`);
+  }
+
+  return [...new Set(weights)].sort((a, b) => a - b);
+}
+
+/**
+ * Validate the bars of a profile
+ *
+ * @param {*} barWeights - Bar weights in lbs, the first is the default bar
+ * @returns {Array<number>} The default bar, then the others lightest first
+ * @throws {Error} If not a list of bar weights
+ */
+function validateBars(barWeights) {
+  const bars = validateWeightList(barWeights, 'barWeights', { min: 1, max: MAX_BARS, maxWeight: MAX_BAR_WEIGHT });
+
+  return [barWeights[0], ...bars.filter(bar => bar !== barWeights[0])];
+}
+
+/**
+ * Validate the dumbbells of a profile
+ *
+ * @param {*} dumbbells - Dumbbell weights in lbs
+ * @returns {Array<number>} Dumbbells lightest first
+ * @throws {Error} If not a list of dumbbell weights
+ */
+function validateDumbbells(dumbbells) {
+  return validateWeightList(dumbbells, 'dumbbells', { min: 0, max: MAX_DUMBBELLS, maxWeight: MAX_DUMBBELL_WEIGHT });
+}
+
+/**
+ * Validate the plates of a profile
+ *
+ * @param {*} plates - [{ weight, pairs }]
+ * @returns {Array<Object>} Plates heaviest first
+ * @throws {Error} If a plate is invalid or listed twice
+ */
+function validatePlates(plates) {
+  if (!Array.isArray(plates) || plates.length < 1 || plates.length > MAX_PLATE_TYPES) {
+    throw new Error(`plates must be a list of 1-${MAX_PLATE_TYPES} plates`);
+  }
+
+  for (const plate of plates) {
+    const { weight, pairs } = plate || {};
+    if (typeof weight !== 'number' || !(weight > 0) || weight > MAX_PLATE_WEIGHT) {
+      throw new Error(`Plate weights must be between 0 and ${MAX_PLATE_WEIGHT} lbs`);
+    }
+    if (!Number.isInteger(weight / PLATE_STEP)) {
+      throw new Error(`Plate weights must be multiples of ${PLATE_STEP} lbs`);
+    }
+    if (!Number.isInteger(pairs) || pairs < 1 || pairs > MAX_PLATE_PAIRS) {
+      throw new Error(`Plate pairs must be between 1 and ${MAX_PLATE_PAIRS}`);
+    }
+  }
+
+  if (new Set(plates.map(plate => plate.weight)).size !== plates.length) {
+    throw new Error('Invalid plates: each plate weight must be listed once');
+  }
+
+  return plates
+    .map(({ weight, pairs }) => ({ weight, pairs }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Validate the cable stack
+ *
+ * @param {*} increment - Weight step in lbs
+ * @param {*} max - Heaviest setting in lbs, or null
+ * @returns {Object} { increment, max }
+ * @throws {Error} If out of range
+ */
+function validateCable(increment, max) {
+  if (typeof increment !== 'number' || !(increment > 0) || increment > MAX_CABLE_INCREMENT) {
+    throw new Error(`cableIncrement must be between 0 and ${MAX_CABLE_INCREMENT} lbs`);
+  }
+
+  if (max !== null && (typeof max !== 'number' || max < increment || max > MAX_CABLE_WEIGHT)) {
+    throw new Error(`cableMax must be between cableIncrement and ${MAX_CABLE_WEIGHT} lbs`);
+  }
+
+  return { increment, max };
+}
+
+/**
+ * Validate a profile name
+ *
+ * @param {*} name - Profile name
+ * @returns {string} Trimmed name
+ * @throws {Error} If missing or too long
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    throw new Error('Profile name is required');
+  }
+
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new Error(`Profile name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  return name.trim();
+}
+
+/**
+ * Map a unique name violation to a readable error
+ *
+ * @param {Error} error - Database error
+ * @returns {Error} Error to throw
+ */
+function toNameConflict(error) {
+  return error.code === '23505'
+    ? new Error('An equipment profile with this name already exists')
+    : error;
+}
+
+/**
+ * Check no other profile of the user has the name
+ * Runs before the active profile is cleared, so a taken name leaves the user's active profile in place
+ *
+ * @param {string} userId - User UUID
+ * @param {string} name - Validated profile name
+ * @param {string|null} profileId - Profile being renamed (excluded from the check)
+ * @returns {Promise<void>}
+ * @throws {Error} If the name is taken
+ */
+async function assertNameAvailable(userId, name, profileId = null) {
+  const taken = await sql`
+    SELECT id
+    FROM equipment_profile
+    WHERE user_id = ${userId}
+    AND name = ${name}
+    AND (${profileId}::uuid IS NULL OR id <> ${profileId})
+  `;
+
+  if (taken.length > 0) {
+    throw toNameConflict({ code: '23505' });
+  }
+}
+
+/**
+ * Clear the user's active profile (before activating another)
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<void>}
+ */
+async function clearActiveProfile(userId) {
+  await sql`
+    UPDATE equipment_profile
+    SET is_active = false, updated_at = NOW()
+    WHERE user_id = ${userId} AND is_active
+  `;
+}
+
+/**
+ * Verify an equipment profile exists and belongs to the user
+ *
+ * @returns {Promise<Object>} Profile row (id, user_id, cable_increment, cable_max)
+ * @throws {Error} If not found or owned by another user
+ */
+async function verifyProfileOwnership(userId, profileId) {
+  const existing = await sql`
+    SELECT id, user_id, cable_increment, cable_max
+    FROM equipment_profile
+    WHERE id = ${profileId}
+  `;
+
+  if (existing.length === 0) {
+    throw new Error('Equipment profile not found');
+  }
+
+  if (existing[0].user_id !== userId) {
+    throw new Error('Unauthorized');
+  }
+
+  return existing[0];
+}
+
+/**
+ * Get the user's equipment profiles and the one in use
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { profiles, active } where active is the active profile,
+ *   or DEFAULT_EQUIPMENT_PROFILE when none is active
+ */
+export async function getEquipmentProfiles(userId) {
+  const rows = await sql`
+    SELECT id, name, is_active, bar_weights, plates, dumbbells, cable_increment, cable_max, created_at, updated_at
+    FROM equipment_profile
+    WHERE user_id = ${userId}
+    ORDER BY created_at
+  `;
+
+  const profiles = rows.map(formatProfile);
+
+  return {
+    profiles,
+    active: profiles.find(profile => profile.is_active) || DEFAULT_EQUIPMENT_PROFILE
+  };
+}
+
+/**
+ * Create an equipment profile
+ * The user's first profile becomes active
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} data - Profile data
+ * @param {string} data.name - Profile name (unique per user)
+ * @param {Array<number>} data.barWeights - Bar weights in lbs, the first is the default bar
+ * @param {Array<Object>} data.plates - Plates [{ weight, pairs }]
+ * @param {Array<number>} [data.dumbbells] - Dumbbell weights in lbs
+ * @param {number} data.cableIncrement - Cable stack step in lbs
+ * @param {number} [data.cableMax] - Heaviest cable stack setting in lbs
+ * @param {boolean} [data.isActive] - Make this the active profile
+ * @returns {Promise<Object>} Created profile
+ * @throws {Error} If validation fails or the name is taken
+ */
+export async function createEquipmentProfile(userId, {
+  name,
+  barWeights,
+  plates,
+  dumbbells = [],
+  cableIncrement,
+  cableMax = null,
+  isActive
+} = {}) {
+  const profileName = validateName(name);
+  const barList = validateBars(barWeights);
+  const plateList = validatePlates(plates);
+  const dumbbellList = validateDumbbells(dumbbells);
+  const cable = validateCable(cableIncrement, cableMax);
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    throw new Error('isActive must be a boolean');
+  }
+
+  const existing = await sql`
+    SELECT COUNT(*)::int as count
+    FROM equipment_profile
+    WHERE user_id = ${userId}
+  `;
+  const activate = isActive ?? existing[0].count === 0;
+
+  if (activate) {
+    await assertNameAvailable(userId, profileName);
+    await clearActiveProfile(userId);
+  }
+
+  let result;
+  try {
+    result = await sql`
+      INSERT INTO equipment_profile (user_id, name, is_active, bar_weights, plates, dumbbells, cable_increment, cable_max)
+      VALUES (
+        ${userId},
+        ${profileName},
+        ${activate},
+        ${JSON.stringify(barList)}::jsonb,
+        ${JSON.stringify(plateList)}::jsonb,
+        ${JSON.stringify(dumbbellList)}::jsonb,
+        ${cable.increment},
+        ${cable.max}
+      )
+      RETURNING id, name, is_active, bar_weights, plates, dumbbells, cable_increment, cable_max, created_at, updated_at
+    `;
+  } catch (error) {
+    throw toNameConflict(error);
+  }
+
+  return formatProfile(result[0]);
+}
+
+/**
+ * Update an equipment profile (only provided fields change)
+ * Setting isActive makes it the active profile, clearing it falls back to the standard gym
+ *
+ * @param {string} userId - User UUID
+ * @param {string} profileId - Profile UUID
+ * @param {Object} updates - { name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive }
+ * @returns {Promise<Object>} Updated profile
+ * @throws {Error} If validation fails, not found, unauthorized or the name is taken
+ */
+export async function updateEquipmentProfile(userId, profileId, updates = {}) {
+  const { name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive } = updates;
+
+  if (Object.values({ name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive }).every(value => value === undefined)) {
+    throw new Error('No fields to update');
+  }
+
+  const profileName = name !== undefined ? validateName(name) : null;
+  const barList = barWeights !== undefined ? validateBars(barWeights) : null;
+  const plateList = plates !== undefined ? validatePlates(plates) : null;
+  const dumbbellList = dumbbells !== undefined ? validateDumbbells(dumbbells) : null;
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    throw new Error('isActive must be a boolean');
+  }
+
+  const current = await verifyProfileOwnership(userId, profileId);
+
+  // The cable limits are checked together, against the stored value of the one not sent
+  let cable = null;
+  if (cableIncrement !== undefined || cableMax !== undefined) {
+    cable = validateCable(
+      cableIncrement ?? parseFloat(current.cable_increment),
+      cableMax !== undefined ? cableMax : current.cable_max === null ? null : parseFloat(current.cable_max)
+    );
+  }
+
+  if (isActive === true) {
+    if (profileName) {
+      await assertNameAvailable(userId, profileName, profileId);
+    }
+    await clearActiveProfile(userId);
+  }
+
+  let result;
+  try {
+    result = await sql`
+      UPDATE equipment_profile
+      SET
+        name = COALESCE(${profileName}, name),
+        is_active = COALESCE(${isActive ?? null}, is_active),
+        bar_weights = COALESCE(${barList ? JSON.stringify(barList) : null}::jsonb, bar_weights),
+        plates = COALESCE(${plateList ? JSON.stringify(plateList) : null}::jsonb, plates),
+        dumbbells = COALESCE(${dumbbellList ? JSON.stringify(dumbbellList) : null}::jsonb, dumbbells),
+        cable_increment = COALESCE(${cable?.increment ?? null}, cable_increment),
+        cable_max = CASE WHEN ${cable !== null} THEN ${cable?.max ?? null} ELSE cable_max END,
+        updated_at = NOW()
+      WHERE id = ${profileId}
+      RETURNING id, name, is_active, bar_weights, plates, dumbbells, cable_increment, cable_max, created_at, updated_at
+    `;
+  } catch (error) {
+    throw toNameConflict(error);
+  }
+
+  return formatProfile(result[0]);
+}
+
+/**
+ * Delete an equipment profile
+ * Deleting the active profile falls back to the standard gym
+ *
+ * @param {string} userId - User UUID
+ * @param {string} profileId - Profile UUID
+ * @returns {Promise<Object>} { success, message }
+ */
+export async function deleteEquipmentProfile(userId, profileId) {
+  await verifyProfileOwnership(userId, profileId);
+
+  await sql`DELETE FROM equipment_profile WHERE id = ${profileId}`;
+
+  return {
+    success: true,
+    message: 'Equipment profile deleted successfully'
+  };
+}
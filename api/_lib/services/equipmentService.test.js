@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the database
+vi.mock('../db.js', () => {
+  const mockSql = vi.fn();
+  mockSql.mockImplementation(() => []);
+  return { sql: mockSql };
+});
+
+import {
+  DEFAULT_EQUIPMENT_PROFILE,
+  getEquipmentProfiles,
+  createEquipmentProfile,
+  updateEquipmentProfile,
+  deleteEquipmentProfile
+} from './equipmentService.js';
+import { sql } from '../db.js';
+
+const profileRow = (overrides) => ({
+  id: 'eq-1',
+  user_id: 'user-A',
+  name: 'Home',
+  is_active: true,
+  bar_weights: [45],
+  plates: [{ weight: 45, pairs: 2 }, { weight: 5, pairs: 2 }],
+  dumbbells: [10, 20],
+  cable_increment: '5.00',
+  cable_max: null,
+  created_at: '2026-10-01T08:00:00Z',
+  updated_at: '2026-10-01T08:00:00Z',
+  ...overrides
+});
+
+const homeGym = {
+  name: ' Home ',
+  barWeights: [45, 15],
+  plates: [{ weight: 5, pairs: 2 }, { weight: 45, pairs: 2 }],
+  dumbbells: [20, 10, 20],
+  cableIncrement: 5
+};
+
+describe('Equipment Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getEquipmentProfiles', () => {
+    it('returns profiles and the active one', async () => {
+      sql.mockResolvedValueOnce([profileRow({ id: 'eq-0', name: 'Gym', is_active: false }), profileRow()]);
+
+      const result = await getEquipmentProfiles('user-A');
+      expect(result.profiles).toHaveLength(2);
+      expect(result.active).toMatchObject({ id: 'eq-1', name: 'Home', cable_increment: 5, cable_max: null });
+    });
+
+    it('falls back to the standard gym without an active profile', async () => {
+      sql.mockResolvedValueOnce([profileRow({ is_active: false })]);
+
+      const result = await getEquipmentProfiles('user-A');
+      expect(result.active).toBe(DEFAULT_EQUIPMENT_PROFILE);
+    });
+  });
+
+  describe('createEquipmentProfile', () => {
+    it('stores sorted equipment and activates the first profile', async () => {
+      sql.mockResolvedValueOnce([{ count: 0 }]); // existing profiles
+      sql.mockResolvedValueOnce([]); // name check
+      sql.mockResolvedValueOnce([]); // clear active
+      sql.mockResolvedValueOnce([profileRow()]);
+
+      await createEquipmentProfile('user-A', homeGym);
+
+      const insertValues = sql.mock.calls[3].slice(1);
+      expect(insertValues).toEqual([
+        'user-A',
+        'Home',
+        true,
+        JSON.stringify([45, 15]),
+        JSON.stringify([{ weight: 45, pairs: 2 }, { weight: 5, pairs: 2 }]),
+        JSON.stringify([10, 20]),
+        5,
+        null
+      ]);
+    });
+
+    it('leaves later profiles inactive unless asked', async () => {
+      sql.mockResolvedValueOnce([{ count: 1 }]);
+      sql.mockResolvedValueOnce([profileRow({ is_active: false })]);
+
+      await createEquipmentProfile('user-A', homeGym);
+
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(sql.mock.calls[1][3]).toBe(false);
+    });
+
+    it('rejects equipment that cannot be loaded', async () => {
+      await expect(createEquipmentProfile('user-A', { ...homeGym, name: '' })).rejects.toThrow('Profile name is required');
+      await expect(createEquipmentProfile('user-A', { ...homeGym, barWeights: [] })).rejects.toThrow('barWeights must be a list of 1-5 weights');
+      await expect(createEquipmentProfile('user-A', { ...homeGym, plates: [{ weight: 1.1, pairs: 2 }] }))
+        .rejects.toThrow('Plate weights must be multiples of 0.25 lbs');
+      await expect(createEquipmentProfile('user-A', { ...homeGym, plates: [{ weight: 45, pairs: 0 }] }))
+        .rejects.toThrow('Plate pairs must be between 1 and 20');
+      await expect(createEquipmentProfile('user-A', { ...homeGym, plates: [{ weight: 45, pairs: 1 }, { weight: 45, pairs: 2 }] }))
+        .rejects.toThrow('each plate weight must be listed once');
+      await expect(createEquipmentProfile('user-A', { ...homeGym, cableMax: 2 })).rejects.toThrow('cableMax must be between');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('reports a taken name', async () => {
+      sql.mockResolvedValueOnce([{ count: 1 }]);
+      sql.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(createEquipmentProfile('user-A', homeGym)).rejects.toThrow('already exists');
+    });
+
+    it('keeps the active profile when activating a taken name', async () => {
+      sql.mockResolvedValueOnce([{ count: 1 }]);
+      sql.mockResolvedValueOnce([{ id: 'eq-1' }]); // name check
+
+      await expect(createEquipmentProfile('user-A', { ...homeGym, isActive: true })).rejects.toThrow('already exists');
+      expect(sql).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('updateEquipmentProfile', () => {
+    it('activates a profile after clearing the active one', async () => {
+      sql.mockResolvedValueOnce([profileRow({ is_active: false })]); // ownership
+      sql.mockResolvedValueOnce([]); // clear active
+      sql.mockResolvedValueOnce([profileRow()]);
+
+      const profile = await updateEquipmentProfile('user-A', 'eq-1', { isActive: true });
+      expect(profile.is_active).toBe(true);
+      expect(sql.mock.calls[1][0].join('')).toContain('SET is_active = false');
+    });
+
+    it('checks a new name before clearing the active profile', async () => {
+      sql.mockResolvedValueOnce([profileRow({ is_active: false })]); // ownership
+      sql.mockResolvedValueOnce([{ id: 'eq-2' }]); // name check
+
+      await expect(updateEquipmentProfile('user-A', 'eq-1', { name: 'Gym', isActive: true })).rejects.toThrow('already exists');
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(sql.mock.calls[1].slice(1)).toEqual(['user-A', 'Gym', 'eq-1', 'eq-1']);
+    });
+
+    it('checks the cable limits against the stored stack', async () => {
+      sql.mockResolvedValueOnce([profileRow()]);
+      await expect(updateEquipmentProfile('user-A', 'eq-1', { cableMax: 2 })).rejects.toThrow('cableMax must be between');
+
+      sql.mockResolvedValueOnce([profileRow({ cable_max: '100.00' })]);
+      sql.mockResolvedValueOnce([profileRow({ cable_increment: '10.00', cable_max: '100.00' })]);
+      const profile = await updateEquipmentProfile('user-A', 'eq-1', { cableIncrement: 10 });
+      expect(profile).toMatchObject({ cable_increment: 10, cable_max: 100 });
+      expect(sql.mock.calls[2]).toContain(100);
+    });
+
+    it('rejects empty updates and other users\' profiles', async () => {
+      await expect(updateEquipmentProfile('user-A', 'eq-1', {})).rejects.toThrow('No fields to update');
+
+      sql.mockResolvedValueOnce([profileRow({ user_id: 'user-B' })]);
+      await expect(updateEquipmentProfile('user-A', 'eq-1', { name: 'Garage' })).rejects.toThrow('Unauthorized');
+    });
+  });
+
+  describe('deleteEquipmentProfile', () => {
+    it('deletes an owned profile', async () => {
+      sql.mockResolvedValueOnce([profileRow()]);
+
+      const result = await deleteEquipmentProfile('user-A', 'eq-1');
+      expect(result.success).toBe(true);
+    });
+
+    it('throws when the profile does not exist', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(deleteEquipmentProfile('user-A', 'eq-9')).rejects.toThrow('Equipment profile not found');
+    });
+  });
+});
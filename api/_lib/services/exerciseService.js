@@ -6,6 +6,7 @@
 
 import { sql } from '../db.js';
 import { checkForDuplicates } from '../fuzzyMatch.js';
+import { LOAD_MODES, getDefaultLoadMode } from '../calculations/volumeCalculator.js';
 
 /**
  * Get exercise library (all non-archived exercises)
@@ -29,7 +30,7 @@ export async function getExercises(userId = null, filters = {}) {
     allExercises = await sql`
       SELECT
         id, name, type, equipment, primary_muscles, secondary_muscles,
-        is_custom, is_archived, created_by
+        load_mode, bodyweight_fraction, is_unilateral, is_custom, is_archived, created_by
       FROM exercise
       WHERE is_archived = false
         AND (created_by IS NULL OR created_by = ${userId})
@@ -42,7 +43,7 @@ export async function getExercises(userId = null, filters = {}) {
     allExercises = await sql`
       SELECT
         id, name, type, equipment, primary_muscles, secondary_muscles,
-        is_custom, is_archived, created_by
+        load_mode, bodyweight_fraction, is_unilateral, is_custom, is_archived, created_by
       FROM exercise
       WHERE is_archived = false
         AND created_by IS NULL
@@ -79,6 +80,9 @@ export async function getExercises(userId = null, filters = {}) {
     equipment: ex.equipment,
     primaryMuscles: ex.primary_muscles || [],
     secondaryMuscles: ex.secondary_muscles || [],
+    loadMode: ex.load_mode,
+    bodyweightFraction: parseFloat(ex.bodyweight_fraction),
+    isUnilateral: ex.is_unilateral,
     isCustom: ex.is_custom,
     isArchived: ex.is_archived,
     createdBy: ex.created_by
@@ -98,6 +102,9 @@ export async function getExercises(userId = null, filters = {}) {
  * @param {string} exerciseData.equipment - Equipment type
  * @param {Array<string>} exerciseData.primaryMuscles - Primary muscle groups
  * @param {Array<string>} exerciseData.secondaryMuscles - Secondary muscle groups
+ * @param {string} exerciseData.loadMode - external, bodyweight_plus or assisted (default: by type)
+ * @param {number} exerciseData.bodyweightFraction - Share of bodyweight moved, 0-1 (default: 1)
+ * @param {boolean} exerciseData.isUnilateral - One arm or leg at a time, logged per side (default: false)
  * @param {boolean} exerciseData.skipDuplicateCheck - Skip duplicate check
  * @param {string} userId - User UUID
  * @returns {Promise<Object>} { proceed: true, exercise } or { proceed: false, suggestions }
@@ -109,6 +116,9 @@ export async function createExercise(exerciseData, userId) {
     equipment,
     primaryMuscles = [],
     secondaryMuscles = [],
+    loadMode = getDefaultLoadMode(type),
+    bodyweightFraction = 1,
+    isUnilateral = false,
     skipDuplicateCheck = false
   } = exerciseData;
 
@@ -135,6 +145,19 @@ export async function createExercise(exerciseData, userId) {
     throw new Error('Secondary muscles must be an array');
   }
 
+  if (!LOAD_MODES.includes(loadMode)) {
+    throw new Error(`Load mode must be one of: ${LOAD_MODES.join(', ')}`);
+  }
+
+  const fraction = parseFloat(bodyweightFraction);
+  if (isNaN(fraction) || fraction < 0 || fraction > 1) {
+    throw new Error('Bodyweight fraction must be between 0 and 1');
+  }
+
+  if (typeof isUnilateral !== 'boolean') {
+    throw new Error('isUnilateral must be a boolean');
+  }
+
   // Check for duplicates unless user explicitly confirmed
   if (!skipDuplicateCheck) {
     // Fetch all non-archived exercises
@@ -162,6 +185,9 @@ export async function createExercise(exerciseData, userId) {
       equipment,
       primary_muscles,
       secondary_muscles,
+      load_mode,
+      bodyweight_fraction,
+      is_unilateral,
       is_custom,
       is_archived,
       created_by
@@ -172,6 +198,9 @@ export async function createExercise(exerciseData, userId) {
       ${equipment},
       ${primaryMuscles},
       ${secondaryMuscles},
+      ${loadMode},
+      ${fraction},
+      ${isUnilateral},
       true,
       false,
       ${userId}
@@ -190,6 +219,9 @@ export async function createExercise(exerciseData, userId) {
       equipment: exercise.equipment,
       primaryMuscles: exercise.primary_muscles,
       secondaryMuscles: exercise.secondary_muscles,
+      loadMode: exercise.load_mode,
+      bodyweightFraction: parseFloat(exercise.bodyweight_fraction),
+      isUnilateral: exercise.is_unilateral,
       isCustom: exercise.is_custom,
       isArchived: exercise.is_archived,
       createdBy: exercise.created_by
@@ -326,7 +358,7 @@ export async function getExerciseById(exerciseId, userId = null) {
 
   const exercise = await sql`
     SELECT id, name, type, equipment, primary_muscles, secondary_muscles,
-           is_custom, is_archived, created_by
+           load_mode, bodyweight_fraction, is_unilateral, is_custom, is_archived, created_by
     FROM exercise
     WHERE id = ${exerciseId}
     AND (created_by IS NULL OR created_by = ${userId})
@@ -345,6 +377,9 @@ export async function getExerciseById(exerciseId, userId = null) {
     equipment: ex.equipment,
     primaryMuscles: ex.primary_muscles || [],
     secondaryMuscles: ex.secondary_muscles || [],
+    loadMode: ex.load_mode,
+    bodyweightFraction: parseFloat(ex.bodyweight_fraction),
+    isUnilateral: ex.is_unilateral,
     isCustom: ex.is_custom,
     isArchived: ex.is_archived,
     createdBy: ex.created_by
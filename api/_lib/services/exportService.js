@@ -0,0 +1,279 @@
+/**
+ * Export Service
+ *
+ * Builds the JSON export of everything a user owns: workouts, templates, custom
+ * exercises, settings, the bodyweight log, goals and equipment profiles.
+ * Derived data (stats rollups, the PR ledger) is left out because it is rebuilt
+ * from the logged sets. New user-owned tables and columns belong in this export.
+ */
+
+import { sql } from '../db.js';
+import { getUserSettings } from './settingsService.js';
+
+/**
+ * Parse an optional DECIMAL column
+ *
+ * @param {string|null} value - Column value
+ * @returns {number|null} Number, or null when unset
+ */
+function toNullableNumber(value) {
+  return value === null ? null : parseFloat(value);
+}
+
+/**
+ * Export all data owned by a user
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} { exportedAt, user, settings, workouts, templates, customExercises,
+ *   bodyweightEntries, goals, equipmentProfiles, stats }
+ * @throws {Error} If user not found
+ */
+export async function exportUserData(userId) {
+  // 1. Get all workouts with exercises and sets
+  const workouts = await sql`
+    SELECT
+      w.id,
+      w.name,
+      w.started_at,
+      w.completed_at,
+      w.duration_seconds,
+      w.total_volume,
+      w.notes,
+      w.template_id,
+      w.session_rpe,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'id', we.id,
+            'exerciseId', we.exercise_id,
+            'exerciseName', e.name,
+            'exerciseType', e.type,
+            'orderIndex', we.order_index,
+            'isCompleted', we.is_completed,
+            'groupId', we.group_id,
+            'groupType', we.group_type,
+            'groupRounds', we.group_rounds,
+            'notes', we.notes,
+            'sets', (
+              SELECT COALESCE(json_agg(
+                json_build_object(
+                  'id', s.id,
+                  'setNumber', s.set_number,
+                  'weight', s.weight,
+                  'reps', s.reps,
+                  'leftWeight', s.left_weight,
+                  'leftReps', s.left_reps,
+                  'rightWeight', s.right_weight,
+                  'rightReps', s.right_reps,
+                  'rir', s.rir,
+                  'durationSeconds', s.duration_seconds,
+                  'distanceMeters', s.distance_meters,
+                  'restTimerSeconds', s.rest_timer_seconds,
+                  'notes', s.notes,
+                  'isWarmup', s.is_warmup,
+                  'isCompleted', s.is_completed,
+                  'setType', s.set_type,
+                  'completedAt', s.completed_at,
+                  'subSets', (
+                    SELECT COALESCE(json_agg(
+                      json_build_object('weight', sub.weight, 'reps', sub.reps, 'completedAt', sub.completed_at)
+                      ORDER BY sub.sub_set_number
+                    ), '[]'::json)
+                    FROM "set" sub
+                    WHERE sub.parent_set_id = s.id
+                  )
+                ) ORDER BY s.set_number
+              ), '[]'::json)
+              FROM "set" s
+              WHERE s.workout_exercise_id = we.id
+              AND s.parent_set_id IS NULL
+            )
+          ) ORDER BY we.order_index
+        ) FILTER (WHERE we.id IS NOT NULL),
+        '[]'::json
+      ) as exercises
+    FROM workout w
+    LEFT JOIN workout_exercise we ON w.id = we.workout_id
+    LEFT JOIN exercise e ON we.exercise_id = e.id
+    WHERE w.user_id = ${userId}
+    GROUP BY w.id
+    ORDER BY w.started_at DESC
+  `;
+
+  // 2. Get all custom exercises
+  const customExercises = await sql`
+    SELECT
+      id,
+      name,
+      type,
+      equipment,
+      primary_muscles,
+      secondary_muscles,
+      load_mode,
+      bodyweight_fraction,
+      is_unilateral,
+      created_at
+    FROM exercise
+    WHERE created_by = ${userId}
+      AND is_archived = false
+    ORDER BY name ASC
+  `;
+
+  // 3. Get all templates with exercises
+  const templates = await sql`
+    SELECT
+      t.id,
+      t.name,
+      t.description,
+      t.created_at,
+      t.updated_at,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'id', te.id,
+            'exerciseId', te.exercise_id,
+            'exerciseName', e.name,
+            'exerciseType', e.type,
+            'orderIndex', te.order_index,
+            'targetSets', te.target_sets,
+            'targetRepsMin', te.target_reps_min,
+            'targetRepsMax', te.target_reps_max,
+            'notes', te.notes,
+            'groupId', te.group_id,
+            'groupType', te.group_type,
+            'groupRounds', te.group_rounds,
+            'autoWarmup', te.auto_warmup
+          ) ORDER BY te.order_index
+        ) FILTER (WHERE te.id IS NOT NULL),
+        '[]'::json
+      ) as exercises
+    FROM template t
+    LEFT JOIN template_exercise te ON t.id = te.template_id
+    LEFT JOIN exercise e ON te.exercise_id = e.id
+    WHERE t.user_id = ${userId}
+    GROUP BY t.id
+    ORDER BY t.updated_at DESC
+  `;
+
+  // 4. Get the bodyweight log
+  const bodyweightEntries = await sql`
+    SELECT id, weight, recorded_on::text as recorded_on, notes, created_at, updated_at
+    FROM bodyweight_entry
+    WHERE user_id = ${userId}
+    ORDER BY recorded_on ASC
+  `;
+
+  // 5. Get all goals, active and completed
+  const goals = await sql`
+    SELECT
+      id,
+      type,
+      exercise_id,
+      muscle,
+      target_value,
+      target_weight,
+      start_value,
+      target_date::text as target_date,
+      notes,
+      completed_at,
+      created_at,
+      updated_at
+    FROM goal
+    WHERE user_id = ${userId}
+    ORDER BY created_at ASC
+  `;
+
+  // 6. Get equipment profiles
+  const equipmentProfiles = await sql`
+    SELECT id, name, is_active, bar_weights, plates, dumbbells, cable_increment, cable_max, created_at, updated_at
+    FROM equipment_profile
+    WHERE user_id = ${userId}
+    ORDER BY created_at ASC
+  `;
+
+  // 7. Get settings
+  const settings = await getUserSettings(userId);
+
+  // 8. Format response
+  return {
+    exportedAt: new Date().toISOString(),
+    user: {
+      id: userId,
+    },
+    settings,
+    workouts: workouts.map(w => ({
+      id: w.id,
+      name: w.name,
+      startedAt: w.started_at,
+      completedAt: w.completed_at,
+      durationSeconds: w.duration_seconds,
+      totalVolume: w.total_volume ? parseFloat(w.total_volume) : 0,
+      notes: w.notes,
+      templateId: w.template_id,
+      sessionRpe: w.session_rpe,
+      exercises: w.exercises
+    })),
+    templates: templates.map(t => ({
+      id: t.id,
+      name: t.name,
+      description: t.description,
+      createdAt: t.created_at,
+      updatedAt: t.updated_at,
+      exercises: t.exercises
+    })),
+    customExercises: customExercises.map(e => ({
+      id: e.id,
+      name: e.name,
+      type: e.type,
+      equipment: e.equipment,
+      primaryMuscles: e.primary_muscles || [],
+      secondaryMuscles: e.secondary_muscles || [],
+      loadMode: e.load_mode,
+      bodyweightFraction: parseFloat(e.bodyweight_fraction),
+      isUnilateral: e.is_unilateral,
+      createdAt: e.created_at
+    })),
+    bodyweightEntries: bodyweightEntries.map(entry => ({
+      id: entry.id,
+      weight: parseFloat(entry.weight),
+      recordedOn: entry.recorded_on,
+      notes: entry.notes,
+      createdAt: entry.created_at,
+      updatedAt: entry.updated_at
+    })),
+    goals: goals.map(goal => ({
+      id: goal.id,
+      type: goal.type,
+      exerciseId: goal.exercise_id,
+      muscle: goal.muscle,
+      targetValue: parseFloat(goal.target_value),
+      targetWeight: toNullableNumber(goal.target_weight),
+      startValue: toNullableNumber(goal.start_value),
+      targetDate: goal.target_date,
+      notes: goal.notes,
+      completedAt: goal.completed_at,
+      createdAt: goal.created_at,
+      updatedAt: goal.updated_at
+    })),
+    equipmentProfiles: equipmentProfiles.map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      isActive: profile.is_active,
+      barWeights: profile.bar_weights,
+      plates: profile.plates,
+      dumbbells: profile.dumbbells,
+      cableIncrement: parseFloat(profile.cable_increment),
+      cableMax: toNullableNumber(profile.cable_max),
+      createdAt: profile.created_at,
+      updatedAt: profile.updated_at
+    })),
+    stats: {
+      totalWorkouts: workouts.length,
+      totalTemplates: templates.length,
+      totalCustomExercises: customExercises.length,
+      totalBodyweightEntries: bodyweightEntries.length,
+      totalGoals: goals.length,
+      totalEquipmentProfiles: equipmentProfiles.length
+    }
+  };
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the database
+vi.mock('../db.js', () => {
+  const mockSql = vi.fn();
+  mockSql.mockImplementation(() => []);
+  return { sql: mockSql };
+});
+
+import { exportUserData } from './exportService.js';
+import { sql } from '../db.js';
+
+const settingsRow = {
+  e1rm_formula: 'epley',
+  timezone: 'America/New_York',
+  pr_rep_ranges: [{ name: '5RM', min: 4, max: 7 }],
+  muscle_set_targets: null,
+  streak_workouts_per_week: 3,
+  warmup_scheme: [{ percent: 50, reps: 8 }]
+};
+
+// Queries in export order: workouts, custom exercises, templates, bodyweight, goals, equipment, settings
+const mockExport = ({
+  workouts = [],
+  customExercises = [],
+  templates = [],
+  bodyweightEntries = [],
+  goals = [],
+  equipmentProfiles = [],
+  settings = settingsRow
+} = {}) => {
+  sql.mockResolvedValueOnce(workouts);
+  sql.mockResolvedValueOnce(customExercises);
+  sql.mockResolvedValueOnce(templates);
+  sql.mockResolvedValueOnce(bodyweightEntries);
+  sql.mockResolvedValueOnce(goals);
+  sql.mockResolvedValueOnce(equipmentProfiles);
+  sql.mockResolvedValueOnce([settings]);
+};
+
+describe('Export Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sql.mockImplementation(() => []);
+  });
+
+  describe('exportUserData', () => {
+    it('scopes every query to the user', async () => {
+      mockExport();
+
+      await exportUserData('user-A');
+
+      expect(sql).toHaveBeenCalledTimes(7);
+      sql.mock.calls.forEach(call => {
+        expect(call.slice(1)).toContain('user-A');
+      });
+    });
+
+    it('exports workouts with session RPE and every set column', async () => {
+      mockExport({
+        workouts: [{
+          id: 'w1', name: 'Push', started_at: '2026-10-01T10:00:00Z', completed_at: '2026-10-01T11:00:00Z',
+          duration_seconds: 3600, total_volume: '5000.00', notes: null, template_id: 't1', session_rpe: 8,
+          exercises: []
+        }]
+      });
+
+      const result = await exportUserData('user-A');
+
+      expect(result.workouts[0]).toMatchObject({ id: 'w1', totalVolume: 5000, templateId: 't1', sessionRpe: 8 });
+      const query = sql.mock.calls[0][0].join('');
+      expect(query).toContain('w.session_rpe');
+      expect(query).toContain("'notes', we.notes");
+      expect(query).toContain("'restTimerSeconds', s.rest_timer_seconds");
+      expect(query).toContain("'completedAt', s.completed_at");
+    });
+
+    it('exports custom exercise load modes and unilateral flags', async () => {
+      mockExport({
+        customExercises: [{
+          id: 'ex1', name: 'Weighted Dip', type: 'weight', equipment: 'bodyweight',
+          primary_muscles: ['chest'], secondary_muscles: null,
+          load_mode: 'bodyweight_plus', bodyweight_fraction: '0.90', is_unilateral: false,
+          created_at: '2026-09-01T08:00:00Z'
+        }]
+      });
+
+      const result = await exportUserData('user-A');
+
+      expect(result.customExercises).toEqual([{
+        id: 'ex1',
+        name: 'Weighted Dip',
+        type: 'weight',
+        equipment: 'bodyweight',
+        primaryMuscles: ['chest'],
+        secondaryMuscles: [],
+        loadMode: 'bodyweight_plus',
+        bodyweightFraction: 0.9,
+        isUnilateral: false,
+        createdAt: '2026-09-01T08:00:00Z'
+      }]);
+    });
+
+    it('exports settings, the bodyweight log, goals and equipment profiles', async () => {
+      mockExport({
+        bodyweightEntries: [{
+          id: 'bw1', weight: '180.50', recorded_on: '2026-10-01', notes: 'Morning',
+          created_at: '2026-10-01T07:00:00Z', updated_at: '2026-10-01T07:00:00Z'
+        }],
+        goals: [{
+          id: 'g1', type: 'rep_max', exercise_id: 'ex1', muscle: null,
+          target_value: '5', target_weight: '225.00', start_value: null, target_date: '2026-12-31',
+          notes: null, completed_at: null, created_at: '2026-10-01T07:00:00Z', updated_at: '2026-10-01T07:00:00Z'
+        }],
+        equipmentProfiles: [{
+          id: 'eq1', name: 'Home', is_active: true, bar_weights: [45], plates: [{ weight: 45, pairs: 2 }],
+          dumbbells: [], cable_increment: '5.00', cable_max: null,
+          created_at: '2026-10-01T07:00:00Z', updated_at: '2026-10-01T07:00:00Z'
+        }]
+      });
+
+      const result = await exportUserData('user-A');
+
+      expect(result.settings).toMatchObject({
+        e1rmFormula: 'epley',
+        timezone: 'America/New_York',
+        prRepRanges: [{ name: '5RM', min: 4, max: 7 }],
+        streakWorkoutsPerWeek: 3,
+        warmupScheme: [{ percent: 50, reps: 8 }]
+      });
+      expect(result.settings.muscleSetTargets).toBeDefined();
+      expect(result.bodyweightEntries).toEqual([{
+        id: 'bw1', weight: 180.5, recordedOn: '2026-10-01', notes: 'Morning',
+        createdAt: '2026-10-01T07:00:00Z', updatedAt: '2026-10-01T07:00:00Z'
+      }]);
+      expect(result.goals[0]).toMatchObject({
+        id: 'g1', type: 'rep_max', exerciseId: 'ex1', targetValue: 5, targetWeight: 225,
+        startValue: null, targetDate: '2026-12-31', completedAt: null
+      });
+      expect(result.equipmentProfiles[0]).toMatchObject({
+        id: 'eq1', name: 'Home', isActive: true, barWeights: [45], cableIncrement: 5, cableMax: null
+      });
+      expect(result.stats).toEqual({
+        totalWorkouts: 0,
+        totalTemplates: 0,
+        totalCustomExercises: 0,
+        totalBodyweightEntries: 1,
+        totalGoals: 1,
+        totalEquipmentProfiles: 1
+      });
+    });
+
+    it('fails when the user does not exist', async () => {
+      // Every query returns no rows, including the settings lookup
+      await expect(exportUserData('user-A')).rejects.toThrow('User not found');
+    });
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * Goal Service
+ *
+ * Business logic for user goals (CRUD). Progress is computed from the stats rollups
+ * (statsService.getGoalMetrics), and goals are marked completed when a saved workout or
+ * bodyweight entry reaches them. Weekly goals recur: each week is reported as hit or missed
+ * and they are never completed.
+ */
+
+import { sql } from '../db.js';
+import { getGoalMetrics } from './statsService.js';
+import {
+  normalizeGoalInput,
+  calculateGoalProgress,
+  projectGoalDate,
+  summarizeGoalWeeks,
+  WEEKLY_GOAL_TYPES
+} from '../calculations/goalCalculator.js';
+import { DEFAULT_E1RM_FORMULA } from '../calculations/prCalculator.js';
+import { DEFAULT_TIMEZONE, getDateKey, getWeekStart } from '../utils/timezone.js';
+
+/**
+ * Goal list filters
+ */
+export const GOAL_STATUSES = ['active', 'completed', 'all'];
+
+/**
+ * Parse a DECIMAL column (returned as a string by the driver), keeping NULL
+ */
+function toNullableNumber(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+/**
+ * Map a goal row to the API shape
+ *
+ * @param {Object} row - goal row joined with the exercise name
+ * @returns {Object} Goal
+ */
+function formatGoal(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    exercise_id: row.exercise_id,
+    exercise_name: row.exercise_name ?? null,
+    muscle: row.muscle,
+    target_value: parseFloat(row.target_value),
+    target_weight: toNullableNumber(row.target_weight),
+    start_value: toNullableNumber(row.start_value),
+    target_date: row.target_date,
+    notes: row.notes,
+    completed_at: row.completed_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Attach progress to goals: { current, percent, direction, achieved, projected_date }
+ * Weekly goals reset every Monday, so they have no projected date; they report
+ * weeks: [{ week_start, value, status }] instead
+ *
+ * @param {string} userId - User UUID
+ * @param {Array<Object>} goals - Formatted goals
+ * @param {Object} options - { formula, timezone }
+ * @returns {Promise<Array<Object>>} Goals with progress
+ */
+async function withProgress(userId, goals, { formula, timezone }) {
+  if (goals.length === 0) {
+    return [];
+  }
+
+  const metrics = await getGoalMetrics(userId, goals, { formula, timezone });
+  const todayKey = getDateKey(new Date(), timezone);
+
+  return goals.map(goal => {
+    const { current, series } = metrics.get(goal.id);
+
+    if (WEEKLY_GOAL_TYPES.includes(goal.type)) {
+      return {
+        ...goal,
+        progress: {
+          current,
+          ...calculateGoalProgress(goal, current),
+          projected_date: null,
+          weeks: summarizeGoalWeeks(series, goal.target_value, getWeekStart(todayKey))
+        }
+      };
+    }
+
+    // Goals set before any data use the first value logged since as the baseline
+    const progress = calculateGoalProgress({ ...goal, start_value: goal.start_value ?? series[0]?.value ?? null }, current);
+    const projectedDate = progress.achieved
+      ? null
+      : projectGoalDate(series, goal.target_value, progress.direction, todayKey);
+
+    return {
+      ...goal,
+      progress: {
+        current,
+        ...progress,
+        projected_date: projectedDate
+      }
+    };
+  });
+}
+
+/**
+ * Fetch a goal row with its exercise name
+ *
+ * @throws {Error} If not found or owned by another user
+ */
+async function getOwnedGoal(userId, goalId) {
+  const result = await sql`
+    SELECT
+      g.id, g.user_id, g.type, g.exercise_id, g.muscle, g.target_value, g.target_weight, g.start_value,
+      g.target_date::text as target_date, g.notes, g.completed_at, g.created_at, g.updated_at,
+      e.name as exercise_name
+    FROM goal g
+    LEFT JOIN exercise e ON g.exercise_id = e.id
+    WHERE g.id = ${goalId}
+  `;
+
+  if (result.length === 0) {
+    throw new Error('Goal not found');
+  }
+
+  if (result[0].user_id !== userId) {
+    throw new Error('Unauthorized');
+  }
+
+  return formatGoal(result[0]);
+}
+
+/**
+ * Get the user's goals with progress, oldest first
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Optional settings
+ * @param {string} options.status - 'active' (default), 'completed' or 'all'
+ * @param {string} options.formula - 1RM formula for e1rm goals (default: 'brzycki')
+ * @param {string} options.timezone - User's IANA timezone (default: 'UTC')
+ * @returns {Promise<Object>} { goals, total }
+ */
+export async function getGoals(userId, { status = 'active', formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
+  if (!GOAL_STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${GOAL_STATUSES.join(', ')}`);
+  }
+
+  const rows = await sql`
+    SELECT
+      g.id, g.user_id, g.type, g.exercise_id, g.muscle, g.target_value, g.target_weight, g.start_value,
+      g.target_date::text as target_date, g.notes, g.completed_at, g.created_at, g.updated_at,
+      e.name as exercise_name
+    FROM goal g
+    LEFT JOIN exercise e ON g.exercise_id = e.id
+    WHERE g.user_id = ${userId}
+    AND (
+      ${status} = 'all'
+      OR (${status} = 'active' AND g.completed_at IS NULL)
+      OR (${status} = 'completed' AND g.completed_at IS NOT NULL)
+    )
+    ORDER BY g.created_at ASC
+  `;
+
+  const goals = await withProgress(userId, rows.map(formatGoal), { formula, timezone });
+
+  return {
+    goals,
+    total: goals.length
+  };
+}
+
+/**
+ * Get a goal with progress
+ *
+ * @param {string} userId - User UUID
+ * @param {string} goalId - Goal UUID
+ * @param {Object} options - { formula, timezone }
+ * @returns {Promise<Object>} Goal
+ */
+export async function getGoalById(userId, goalId, { formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
+  const goal = await getOwnedGoal(userId, goalId);
+  const [withData] = await withProgress(userId, [goal], { formula, timezone });
+  return withData;
+}
+
+/**
+ * Create a goal. The current value is stored as the baseline for percent complete
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} data - { type, exerciseId, muscle, targetValue, targetWeight, targetDate, notes }
+ * @param {Object} options - { formula, timezone }
+ * @returns {Promise<Object>} Created goal with progress
+ * @throws {Error} If validation fails or the exercise does not exist
+ */
+export async function createGoal(userId, data, { formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
+  const goal = normalizeGoalInput(data);
+
+  if (goal.exercise_id) {
+    const exercise = await sql`
+      SELECT id
+      FROM exercise
+      WHERE id = ${goal.exercise_id}
+      AND (created_by IS NULL OR created_by = ${userId})
+      AND is_archived = false
+    `;
+
+    if (exercise.length === 0) {
+      throw new Error('Exercise not found');
+    }
+  }
+
+  // Weekly goals count from zero every week, so they have no baseline
+  const startValue = WEEKLY_GOAL_TYPES.includes(goal.type)
+    ? null
+    : (await getGoalMetrics(userId, [{ ...goal, id: 'new' }], { formula, timezone })).get('new').current;
+
+  const result = await sql`
+    INSERT INTO goal (user_id, type, exercise_id, muscle, target_value, target_weight, start_value, target_date, notes)
+    VALUES (
+      ${userId}, ${goal.type}, ${goal.exercise_id}, ${goal.muscle}, ${goal.target_value},
+      ${goal.target_weight}, ${startValue}, ${goal.target_date}, ${data.notes || null}
+    )
+    RETURNING id
+  `;
+
+  return getGoalById(userId, result[0].id, { formula, timezone });
+}
+
+/**
+ * Update a goal's target, deadline or notes (only provided fields change)
+ * Changing the target reopens a completed goal until a workout reaches the new target
+ *
+ * @param {string} userId - User UUID
+ * @param {string} goalId - Goal UUID
+ * @param {Object} updates - { targetValue, targetWeight, targetDate, notes }
+ * @param {Object} options - { formula, timezone }
+ * @returns {Promise<Object>} Updated goal with progress
+ * @throws {Error} If validation fails, not found or unauthorized
+ */
+export async function updateGoal(userId, goalId, { targetValue, targetWeight, targetDate, notes } = {}, {
+  formula = DEFAULT_E1RM_FORMULA,
+  timezone = DEFAULT_TIMEZONE
+} = {}) {
+  if (targetValue === undefined && targetWeight === undefined && targetDate === undefined && notes === undefined) {
+    throw new Error('No fields to update');
+  }
+
+  const existing = await getOwnedGoal(userId, goalId);
+
+  // Validate the goal as it will be after the update
+  const goal = normalizeGoalInput({
+    type: existing.type,
+    exerciseId: existing.exercise_id,
+    muscle: existing.muscle,
+    targetValue: targetValue !== undefined ? targetValue : existing.target_value,
+    targetWeight: targetWeight !== undefined ? targetWeight : existing.target_weight,
+    targetDate: targetDate !== undefined ? targetDate : existing.target_date
+  });
+
+  const targetChanged = goal.target_value !== existing.target_value || goal.target_weight !== existing.target_weight;
+
+  await sql`
+    UPDATE goal
+    SET
+      target_value = ${goal.target_value},
+      target_weight = ${goal.target_weight},
+      target_date = ${goal.target_date},
+      notes = CASE WHEN ${notes !== undefined} THEN ${notes ?? null} ELSE notes END,
+      completed_at = CASE WHEN ${targetChanged} THEN NULL ELSE completed_at END,
+      updated_at = NOW()
+    WHERE id = ${goalId}
+  `;
+
+  return getGoalById(userId, goalId, { formula, timezone });
+}
+
+/**
+ * Delete a goal
+ *
+ * @param {string} userId - User UUID
+ * @param {string} goalId - Goal UUID
+ * @returns {Promise<Object>} { success, message }
+ */
+export async function deleteGoal(userId, goalId) {
+  await getOwnedGoal(userId, goalId);
+
+  await sql`DELETE FROM goal WHERE id = ${goalId}`;
+
+  return {
+    success: true,
+    message: 'Goal deleted successfully'
+  };
+}
+
+/**
+ * Mark active goals that are now reached as completed
+ * Called after every save that can move a goal: workout sync and edits, set reclassification
+ * and bodyweight entries. Weekly goals recur, so they are left active
+ * Best-effort: a failure here must not fail the save
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - { formula, timezone }
+ * @returns {Promise<Array<Object>>} Goals completed by this check
+ */
+export async function checkGoalCompletion(userId, { formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
+  try {
+    const { goals } = await getGoals(userId, { status: 'active', formula, timezone });
+    const reached = goals.filter(goal => goal.progress.achieved && !WEEKLY_GOAL_TYPES.includes(goal.type));
+
+    for (const goal of reached) {
+      await sql`
+        UPDATE goal
+        SET completed_at = NOW(), updated_at = NOW()
+        WHERE id = ${goal.id}
+        AND completed_at IS NULL
+      `;
+    }
+
+    return reached;
+  } catch (error) {
+    console.error('Failed to check goal completion:', error);
+    return [];
+  }
+}
@@ -0,0 +1,231 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the database
+vi.mock('../db.js', () => {
+  const mockSql = vi.fn();
+  mockSql.mockImplementation(() => []);
+  return { sql: mockSql };
+});
+
+// Mock goal metrics (covered in statsService tests)
+vi.mock('./statsService.js', () => ({
+  getGoalMetrics: vi.fn()
+}));
+
+import {
+  getGoals,
+  getGoalById,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  checkGoalCompletion
+} from './goalService.js';
+import { getGoalMetrics } from './statsService.js';
+import { sql } from '../db.js';
+
+const goalRow = (overrides) => ({
+  id: 'goal-1',
+  user_id: 'user-A',
+  type: 'e1rm',
+  exercise_id: 'ex1',
+  exercise_name: 'Squat',
+  muscle: null,
+  target_value: '315.00',
+  target_weight: null,
+  start_value: '275.00',
+  target_date: '2027-06-01',
+  notes: null,
+  completed_at: null,
+  created_at: '2026-10-01T08:00:00Z',
+  updated_at: '2026-10-01T08:00:00Z',
+  ...overrides
+});
+
+// Mock metrics for goals by id
+const mockMetrics = (byId) => {
+  getGoalMetrics.mockResolvedValueOnce(new Map(Object.entries(byId)));
+};
+
+describe('Goal Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getGoals', () => {
+    it('returns goals with percent complete and projected date', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2027-01-15T12:00:00Z'));
+      sql.mockResolvedValueOnce([goalRow()]);
+      mockMetrics({
+        'goal-1': {
+          current: 295,
+          series: [
+            { date: '2027-01-01', value: 285 },
+            { date: '2027-01-08', value: 290 },
+            { date: '2027-01-15', value: 295 }
+          ]
+        }
+      });
+
+      const result = await getGoals('user-A', { formula: 'epley', timezone: 'UTC' });
+      vi.useRealTimers();
+
+      expect(result.total).toBe(1);
+      expect(result.goals[0]).toMatchObject({
+        id: 'goal-1',
+        exercise_name: 'Squat',
+        target_value: 315,
+        start_value: 275,
+        progress: { current: 295, percent: 50, direction: 'increase', achieved: false, projected_date: '2027-02-12' }
+      });
+      expect(getGoalMetrics).toHaveBeenCalledWith('user-A', [expect.objectContaining({ id: 'goal-1', start_value: 275 })], {
+        formula: 'epley',
+        timezone: 'UTC'
+      });
+    });
+
+    it('filters by status', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await getGoals('user-A', { status: 'completed' });
+      expect(sql.mock.calls[0].slice(1)).toEqual(['user-A', 'completed', 'completed', 'completed']);
+      expect(getGoalMetrics).not.toHaveBeenCalled();
+
+      await expect(getGoals('user-A', { status: 'done' })).rejects.toThrow('Status must be one of');
+    });
+
+    it('gives weekly goals no projected date, and reports each week as hit or missed', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2027-01-15T12:00:00Z'));
+      sql.mockResolvedValueOnce([goalRow({ type: 'weekly_workouts', exercise_id: null, target_value: '4.00', start_value: null })]);
+      mockMetrics({
+        'goal-1': {
+          current: 3,
+          series: [{ date: '2026-12-28', value: 4 }, { date: '2027-01-04', value: 2 }, { date: '2027-01-11', value: 3 }]
+        }
+      });
+
+      const [goal] = (await getGoals('user-A')).goals;
+      expect(goal.progress).toMatchObject({ current: 3, percent: 75, projected_date: null });
+      expect(goal.progress.weeks.map(week => week.status)).toEqual(['hit', 'missed', 'in_progress']);
+
+      vi.useRealTimers();
+    });
+  });
+
+  describe('getGoalById', () => {
+    it('rejects missing and foreign goals', async () => {
+      sql.mockResolvedValueOnce([]);
+      await expect(getGoalById('user-A', 'goal-9')).rejects.toThrow('Goal not found');
+
+      sql.mockResolvedValueOnce([goalRow({ user_id: 'user-B' })]);
+      await expect(getGoalById('user-A', 'goal-1')).rejects.toThrow('Unauthorized');
+    });
+  });
+
+  describe('createGoal', () => {
+    it('stores the current value as the baseline', async () => {
+      sql.mockResolvedValueOnce([{ id: 'ex1' }]); // exercise lookup
+      mockMetrics({ new: { current: 275, series: [] } });
+      sql.mockResolvedValueOnce([{ id: 'goal-1' }]); // insert
+      sql.mockResolvedValueOnce([goalRow()]); // re-read
+      mockMetrics({ 'goal-1': { current: 275, series: [] } });
+
+      const goal = await createGoal('user-A', { type: 'e1rm', exerciseId: 'ex1', targetValue: 315, targetDate: '2027-06-01' });
+
+      const values = sql.mock.calls[1].slice(1);
+      expect(values).toEqual(['user-A', 'e1rm', 'ex1', null, 315, null, 275, '2027-06-01', null]);
+      expect(goal.progress.percent).toBe(0);
+    });
+
+    it('rejects invalid goals and unknown exercises', async () => {
+      await expect(createGoal('user-A', { type: 'e1rm', targetValue: 315 })).rejects.toThrow('exerciseId is required');
+
+      sql.mockResolvedValueOnce([]);
+      await expect(createGoal('user-A', { type: 'e1rm', exerciseId: 'ex9', targetValue: 315 })).rejects.toThrow('Exercise not found');
+    });
+
+    it('stores no baseline for weekly goals', async () => {
+      sql.mockResolvedValueOnce([{ id: 'goal-1' }]);
+      sql.mockResolvedValueOnce([goalRow({ type: 'muscle_volume', exercise_id: null, muscle: 'chest', target_value: '12.00', start_value: null })]);
+      mockMetrics({ 'goal-1': { current: 6, series: [] } });
+
+      await createGoal('user-A', { type: 'muscle_volume', muscle: 'chest', targetValue: 12 });
+      expect(sql.mock.calls[0].slice(1)).toEqual(['user-A', 'muscle_volume', null, 'chest', 12, null, null, null, null]);
+      expect(getGoalMetrics).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('updateGoal', () => {
+    it('reopens a completed goal when the target changes', async () => {
+      sql.mockResolvedValueOnce([goalRow({ completed_at: '2026-10-10T08:00:00Z' })]);
+      sql.mockResolvedValueOnce([]); // update
+      sql.mockResolvedValueOnce([goalRow({ target_value: '335.00' })]);
+      mockMetrics({ 'goal-1': { current: 315, series: [] } });
+
+      const goal = await updateGoal('user-A', 'goal-1', { targetValue: 335 });
+
+      const [strings, ...values] = sql.mock.calls[1];
+      expect(strings.join('?')).toContain('completed_at = CASE WHEN');
+      expect(values).toEqual([335, null, '2027-06-01', false, null, true, 'goal-1']);
+      expect(goal.target_value).toBe(335);
+    });
+
+    it('validates the updated goal', async () => {
+      await expect(updateGoal('user-A', 'goal-1', {})).rejects.toThrow('No fields to update');
+
+      sql.mockResolvedValueOnce([goalRow()]);
+      await expect(updateGoal('user-A', 'goal-1', { targetValue: -1 })).rejects.toThrow('Target value must be');
+    });
+  });
+
+  describe('deleteGoal', () => {
+    it('deletes an owned goal', async () => {
+      sql.mockResolvedValueOnce([goalRow()]);
+
+      const result = await deleteGoal('user-A', 'goal-1');
+      expect(result.success).toBe(true);
+      expect(sql.mock.calls[1][0].join('?')).toContain('DELETE FROM goal');
+    });
+  });
+
+  describe('checkGoalCompletion', () => {
+    it('marks reached goals as completed and returns them', async () => {
+      sql.mockResolvedValueOnce([
+        goalRow(),
+        goalRow({ id: 'goal-2', type: 'bodyweight', exercise_id: null, exercise_name: null, target_value: '180.00', start_value: '190.00' })
+      ]);
+      mockMetrics({
+        'goal-1': { current: 300, series: [] },
+        'goal-2': { current: 179.5, series: [] }
+      });
+
+      const completed = await checkGoalCompletion('user-A');
+
+      expect(completed.map(goal => goal.id)).toEqual(['goal-2']);
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(sql.mock.calls[1].slice(1)).toEqual(['goal-2']);
+    });
+
+    it('leaves weekly goals active when this week is hit', async () => {
+      sql.mockResolvedValueOnce([
+        goalRow({ type: 'weekly_workouts', exercise_id: null, target_value: '3.00', start_value: null }),
+        goalRow({ id: 'goal-2', type: 'muscle_volume', exercise_id: null, muscle: 'chest', target_value: '10.00', start_value: null })
+      ]);
+      mockMetrics({
+        'goal-1': { current: 4, series: [{ date: '2026-10-19', value: 4 }] },
+        'goal-2': { current: 12, series: [{ date: '2026-10-19', value: 12 }] }
+      });
+
+      await expect(checkGoalCompletion('user-A')).resolves.toEqual([]);
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('never fails the caller', async () => {
+      sql.mockRejectedValueOnce(new Error('connection lost'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(checkGoalCompletion('user-A')).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,478 @@
+/**
+ * Personal Record Service
+ *
+ * Maintains the personal_record ledger (history of every rep-range PR)
+ * and serves the PR history timeline. Ledger weights are effective loads,
+ * so bodyweight-loaded exercises depend on the bodyweight log; rep ranges
+ * are the user's PR buckets, so the ledger is rebuilt when they change.
+ *
+ * The ledger answers "when was each PR set" (PRs earned by a workout, the
+ * history timeline, recaps). Current bests are not read from it: the PRs
+ * table, estimated 1RMs and goals read exercise_daily_rollup.rep_bests
+ * (statsService.getPRs), which is authoritative. Both derive from the
+ * logged sets and are rebuilt from them.
+ */
+
+import { sql } from '../db.js';
+import {
+  DEFAULT_E1RM_FORMULA,
+  buildPRTimeline,
+  findWarmupPRCandidates,
+  calculateEstimated1RM
+} from '../calculations/prCalculator.js';
+import { attachBodyweights } from '../calculations/volumeCalculator.js';
+import { getUserSettings } from './settingsService.js';
+
+/**
+ * Get the distinct exercise IDs logged in a workout
+ *
+ * @param {string} workoutId - Workout UUID
+ * @returns {Promise<Array<string>>} Exercise UUIDs
+ */
+export async function getWorkoutExerciseIds(workoutId) {
+  const rows = await sql`
+    SELECT DISTINCT exercise_id
+    FROM workout_exercise
+    WHERE workout_id = ${workoutId}
+  `;
+
+  return rows.map(row => row.exercise_id);
+}
+
+/**
+ * Get the user's PR rep ranges and attach the closest logged bodyweight to
+ * bodyweight-loaded sets. Settings are only looked up when there are sets to rank
+ *
+ * @param {string} userId - User UUID
+ * @param {Array<Object>} sets - Set rows with load_mode (mutated)
+ * @param {string} dateField - Row field holding the workout instant
+ * @param {Object} settings - Already-loaded user settings (skips the lookup)
+ * @returns {Promise<Array<Object>>} Rep ranges to bucket the sets by
+ */
+async function prepareRankedSets(userId, sets, dateField, settings = null) {
+  if (sets.length === 0) {
+    return [];
+  }
+
+  const { timezone, prRepRanges } = settings || await getUserSettings(userId);
+  await attachBodyweights(sql, userId, sets, { timezone, dateField });
+  return prRepRanges;
+}
+
+/**
+ * Rebuild the PR ledger for one exercise from the user's working sets
+ *
+ * @param {string} userId - User UUID
+ * @param {string} exerciseId - Exercise UUID
+ * @param {Object} settings - Optional user settings (looked up when omitted)
+ * @returns {Promise<number>} Number of ledger entries written
+ */
+export async function rebuildExercisePRs(userId, exerciseId, settings = null) {
+  const sets = await sql`
+    SELECT
+      s.id as set_id,
+      s.weight,
+      s.reps,
+      e.type as exercise_type,
+      e.load_mode,
+      e.bodyweight_fraction,
+      w.id as workout_id,
+      COALESCE(w.completed_at, w.started_at) as achieved_at
+    FROM "set" s
+    INNER JOIN workout_exercise we ON s.workout_exercise_id = we.id
+    INNER JOIN workout w ON we.workout_id = w.id
+    INNER JOIN exercise e ON we.exercise_id = e.id
+    WHERE w.user_id = ${userId}
+    AND we.exercise_id = ${exerciseId}
+    AND s.is_warmup = false
+    AND s.is_completed = true
+    AND s.parent_set_id IS NULL
+    AND (s.weight IS NOT NULL OR e.load_mode <> 'external')
+    AND s.reps IS NOT NULL
+    AND s.reps > 0
+    ORDER BY COALESCE(w.completed_at, w.started_at) ASC, we.order_index ASC, s.set_number ASC
+  `;
+
+  const repRanges = await prepareRankedSets(userId, sets, 'achieved_at', settings);
+  const timeline = buildPRTimeline(sets, repRanges);
+
+  // Clear and refill in one statement, so a failed rebuild keeps the previous entries
+  await sql`
+    WITH cleared AS (
+      DELETE FROM personal_record
+      WHERE user_id = ${userId}
+      AND exercise_id = ${exerciseId}
+    )
+    INSERT INTO personal_record (
+      user_id, exercise_id, rep_range, weight, reps,
+      previous_weight, workout_id, set_id, achieved_at
+    )
+    SELECT
+      ${userId}, ${exerciseId}, r.rep_range, r.weight, r.reps,
+      r.previous_weight, r.workout_id, r.set_id, r.achieved_at
+    FROM jsonb_to_recordset(${JSON.stringify(timeline)}::jsonb) AS r(
+      rep_range VARCHAR(20), weight DECIMAL, reps INTEGER, previous_weight DECIMAL,
+      workout_id UUID, set_id UUID, achieved_at TIMESTAMPTZ
+    )
+  `;
+
+  return timeline.length;
+}
+
+/**
+ * Refresh the PR ledger after workouts change
+ * Best-effort: the ledger is derived data and can be rebuilt at any time
+ * (scripts/rebuild-pr-ledger.js), so failures are logged instead of failing the save
+ *
+ * @param {string} userId - User UUID
+ * @param {Array<string>} exerciseIds - Exercises whose sets changed
+ * @returns {Promise<boolean>} True if every exercise was rebuilt
+ */
+export async function refreshPRLedger(userId, exerciseIds) {
+  try {
+    for (const exerciseId of new Set(exerciseIds)) {
+      await rebuildExercisePRs(userId, exerciseId);
+    }
+    return true;
+  } catch (error) {
+    console.error('Failed to refresh PR ledger:', error);
+    return false;
+  }
+}
+
+/**
+ * Refresh the PR ledger for a user's bodyweight-loaded exercises
+ * Call after the bodyweight log changes; best-effort like refreshPRLedger
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} True if every exercise was rebuilt
+ */
+export async function refreshBodyweightPRs(userId) {
+  try {
+    const rows = await sql`
+      SELECT DISTINCT we.exercise_id
+      FROM workout_exercise we
+      INNER JOIN workout w ON we.workout_id = w.id
+      INNER JOIN exercise e ON we.exercise_id = e.id
+      WHERE w.user_id = ${userId}
+      AND e.load_mode <> 'external'
+    `;
+
+    return await refreshPRLedger(userId, rows.map(row => row.exercise_id));
+  } catch (error) {
+    console.error('Failed to refresh bodyweight PRs:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the PRs set in a workout (ledger entries pointing at it)
+ * Call after refreshPRLedger so the ledger reflects the saved sets
+ *
+ * A session that beats the same rep range twice has one ledger entry per
+ * improvement; they collapse to one PR with the session's best weight and the
+ * record from before the session. First-ever records are not PRs and are left out.
+ *
+ * @param {string} userId - User UUID
+ * @param {string} workoutId - Workout UUID
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula used for estimated_1rm (default: 'brzycki')
+ * @returns {Promise<Array<Object>>} PRs hit: { exercise_id, exercise_name, rep_range, previous_weight, weight, reps, estimated_1rm }
+ */
+export async function getWorkoutPRs(userId, workoutId, { formula = DEFAULT_E1RM_FORMULA } = {}) {
+  const rows = await sql`
+    SELECT
+      pr.exercise_id,
+      e.name as exercise_name,
+      pr.rep_range,
+      pr.previous_weight,
+      pr.weight,
+      pr.reps
+    FROM personal_record pr
+    INNER JOIN exercise e ON pr.exercise_id = e.id
+    WHERE pr.user_id = ${userId}
+    AND pr.workout_id = ${workoutId}
+    ORDER BY e.name ASC, pr.achieved_at ASC, pr.weight ASC
+  `;
+
+  // Rows arrive oldest first, so the first entry holds the pre-session record
+  // and each later one beats the one before it
+  const sessionPRs = new Map();
+  for (const row of rows) {
+    const key = `${row.exercise_id}-${row.rep_range}`;
+    const earliest = sessionPRs.get(key);
+    sessionPRs.set(key, {
+      ...row,
+      previous_weight: earliest ? earliest.previous_weight : row.previous_weight
+    });
+  }
+
+  return [...sessionPRs.values()]
+    .filter(row => row.previous_weight !== null)
+    .map(row => {
+      const weight = parseFloat(row.weight);
+      return {
+        exercise_id: row.exercise_id,
+        exercise_name: row.exercise_name,
+        rep_range: row.rep_range,
+        previous_weight: parseFloat(row.previous_weight),
+        weight,
+        reps: row.reps,
+        estimated_1rm: calculateEstimated1RM(weight, row.reps, formula)
+      };
+    })
+    .sort((a, b) => {
+      if (a.exercise_name !== b.exercise_name) {
+        return a.exercise_name.localeCompare(b.exercise_name);
+      }
+      // Rep ranges never overlap, so rep count orders them
+      return a.reps - b.reps;
+    });
+}
+
+/**
+ * Refresh the ledger for a saved workout and return the PRs it set
+ * Best-effort like refreshPRLedger: returns [] instead of failing the save
+ *
+ * @param {string} userId - User UUID
+ * @param {string} workoutId - Workout UUID
+ * @param {Array<string>} exerciseIds - Exercises logged in the workout
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula used for estimated_1rm (default: 'brzycki')
+ * @returns {Promise<Array<Object>>} PRs hit (see getWorkoutPRs)
+ */
+export async function recordWorkoutPRs(userId, workoutId, exerciseIds, options = {}) {
+  const ledgerUpdated = await refreshPRLedger(userId, exerciseIds);
+  if (!ledgerUpdated) {
+    return [];
+  }
+
+  try {
+    return await getWorkoutPRs(userId, workoutId, options);
+  } catch (error) {
+    console.error('Failed to load workout PRs:', error);
+    return [];
+  }
+}
+
+/**
+ * Rebuild the whole PR ledger for a user (every exercise they have logged)
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} Number of exercises rebuilt
+ */
+export async function rebuildUserPRLedger(userId) {
+  const rows = await sql`
+    SELECT DISTINCT we.exercise_id
+    FROM workout_exercise we
+    INNER JOIN workout w ON we.workout_id = w.id
+    WHERE w.user_id = ${userId}
+  `;
+
+  // Clear entries for exercises that no longer appear in any workout
+  // (the others are replaced exercise by exercise below)
+  await sql`
+    DELETE FROM personal_record
+    WHERE user_id = ${userId}
+    AND exercise_id NOT IN (
+      SELECT we.exercise_id
+      FROM workout_exercise we
+      INNER JOIN workout w ON we.workout_id = w.id
+      WHERE w.user_id = ${userId}
+    )
+  `;
+
+  const settings = await getUserSettings(userId);
+  for (const row of rows) {
+    await rebuildExercisePRs(userId, row.exercise_id, settings);
+  }
+
+  return rows.length;
+}
+
+/**
+ * Rebuild the PR ledger if a rep range change marked it stale (see updateUserSettings)
+ * Called before stats reads. Best-effort like refreshPRLedger: the mark stays until a rebuild
+ * succeeds, so a failure is retried on the next read
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} True if the ledger is up to date
+ */
+export async function refreshStalePRLedger(userId) {
+  try {
+    const [user] = await sql`
+      SELECT pr_ledger_stale_at::text as stale_at
+      FROM "user"
+      WHERE id = ${userId}
+    `;
+
+    if (!user?.stale_at) {
+      return true;
+    }
+
+    await rebuildUserPRLedger(userId);
+    await sql`
+      UPDATE "user"
+      SET pr_ledger_stale_at = NULL
+      WHERE id = ${userId}
+      AND pr_ledger_stale_at = ${user.stale_at}::timestamptz
+    `;
+    return true;
+  } catch (error) {
+    console.error('Failed to rebuild stale PR ledger:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the PR history timeline for an exercise
+ *
+ * @param {string} userId - User UUID
+ * @param {string} exerciseId - Exercise UUID
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula used for estimated_1rm (default: 'brzycki')
+ * @returns {Promise<Object>} { exercise_id, exercise_name, history, total, formula }
+ */
+export async function getPRHistory(userId, exerciseId, { formula = DEFAULT_E1RM_FORMULA } = {}) {
+  if (!exerciseId) {
+    throw new Error('exerciseId is required');
+  }
+
+  const exerciseResult = await sql`
+    SELECT id, name
+    FROM exercise
+    WHERE id = ${exerciseId}
+    AND (created_by IS NULL OR created_by = ${userId})
+  `;
+
+  if (exerciseResult.length === 0) {
+    throw new Error('Exercise not found');
+  }
+
+  const rows = await sql`
+    SELECT
+      pr.rep_range,
+      pr.weight,
+      pr.reps,
+      pr.previous_weight,
+      pr.achieved_at,
+      pr.workout_id,
+      w.name as workout_name
+    FROM personal_record pr
+    INNER JOIN workout w ON pr.workout_id = w.id
+    WHERE pr.user_id = ${userId}
+    AND pr.exercise_id = ${exerciseId}
+    ORDER BY pr.achieved_at ASC
+  `;
+
+  const history = rows
+    .map(row => {
+      const weight = parseFloat(row.weight);
+      return {
+        rep_range: row.rep_range,
+        weight,
+        reps: row.reps,
+        previous_weight: row.previous_weight !== null ? parseFloat(row.previous_weight) : null,
+        estimated_1rm: calculateEstimated1RM(weight, row.reps, formula),
+        date: row.achieved_at,
+        workout_id: row.workout_id,
+        workout_name: row.workout_name
+      };
+    })
+    .sort((a, b) => {
+      const byDate = new Date(a.date) - new Date(b.date);
+      if (byDate !== 0) return byDate;
+      return a.reps - b.reps;
+    });
+
+  return {
+    exercise_id: exerciseResult[0].id,
+    exercise_name: exerciseResult[0].name,
+    history,
+    total: history.length,
+    formula
+  };
+}
+
+/**
+ * List a workout's warm-up sets that beat the working-set record at the time (spec 4.5.1)
+ * Confirming a candidate reclassifies it as a working set (see workoutService.updateSet)
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Filters
+ * @param {string} options.workoutId - Workout to return candidates from (required)
+ * @returns {Promise<Object>} { candidates, total }
+ * @throws {Error} If workoutId is missing
+ */
+export async function getWarmupPRCandidates(userId, { workoutId = null } = {}) {
+  if (!workoutId) {
+    throw new Error('workoutId is required');
+  }
+
+  // Records depend on earlier workouts, so scan the workout's exercises up to its date
+  const sets = await sql`
+    SELECT
+      s.id as set_id,
+      s.weight,
+      s.reps,
+      s.is_warmup,
+      e.type as exercise_type,
+      e.load_mode,
+      e.bodyweight_fraction,
+      w.id as workout_id,
+      w.name as workout_name,
+      COALESCE(w.completed_at, w.started_at) as date,
+      e.id as exercise_id,
+      e.name as exercise_name
+    FROM "set" s
+    INNER JOIN workout_exercise we ON s.workout_exercise_id = we.id
+    INNER JOIN workout w ON we.workout_id = w.id
+    INNER JOIN exercise e ON we.exercise_id = e.id
+    WHERE w.user_id = ${userId}
+    AND we.exercise_id IN (
+      SELECT exercise_id FROM workout_exercise WHERE workout_id = ${workoutId}
+    )
+    AND COALESCE(w.completed_at, w.started_at) <= (
+      SELECT COALESCE(completed_at, started_at) FROM workout WHERE id = ${workoutId} AND user_id = ${userId}
+    )
+    AND s.is_completed = true
+    AND s.parent_set_id IS NULL
+    AND (s.weight IS NOT NULL OR e.load_mode <> 'external')
+    AND s.reps IS NOT NULL
+    AND s.reps > 0
+    ORDER BY e.id, COALESCE(w.completed_at, w.started_at) ASC, we.order_index ASC, s.set_number ASC
+  `;
+
+  const repRanges = await prepareRankedSets(userId, sets, 'date');
+
+  // Group by exercise (rows are already ordered chronologically within each exercise)
+  const setsByExercise = {};
+  for (const set of sets) {
+    if (!setsByExercise[set.exercise_id]) {
+      setsByExercise[set.exercise_id] = [];
+    }
+    setsByExercise[set.exercise_id].push(set);
+  }
+
+  const candidates = Object.values(setsByExercise)
+    .flatMap(exerciseSets => findWarmupPRCandidates(exerciseSets, repRanges))
+    .filter(candidate => candidate.workout_id === workoutId)
+    .map(candidate => ({
+      set_id: candidate.set_id,
+      workout_id: candidate.workout_id,
+      workout_name: candidate.workout_name,
+      date: candidate.date,
+      exercise_id: candidate.exercise_id,
+      exercise_name: candidate.exercise_name,
+      rep_range: candidate.rep_range,
+      weight: candidate.weight,
+      reps: candidate.reps,
+      record_weight: candidate.record_weight
+    }))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return {
+    candidates,
+    total: candidates.length
+  };
+}
@@ -0,0 +1,344 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the database
+vi.mock('../db.js', () => {
+  const mockSql = vi.fn();
+  mockSql.mockImplementation(() => []);
+  return { sql: mockSql };
+});
+
+import {
+  rebuildExercisePRs,
+  refreshPRLedger,
+  getWorkoutPRs,
+  recordWorkoutPRs,
+  getPRHistory,
+  getWarmupPRCandidates,
+  refreshBodyweightPRs,
+  refreshStalePRLedger
+} from './personalRecordService.js';
+import { REP_RANGES } from '../calculations/prCalculator.js';
+import { sql } from '../db.js';
+
+const settingsRow = { e1rm_formula: 'brzycki', timezone: 'UTC', pr_rep_ranges: null };
+
+// Ledger entries written by the clear-and-refill statement
+const writtenEntries = (call) => JSON.parse(call.find(value => typeof value === 'string' && value.startsWith('[')));
+
+describe('Personal Record Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sql.mockImplementation(() => []);
+  });
+
+  describe('rebuildExercisePRs', () => {
+    it('replaces the ledger with one entry per PR broken', async () => {
+      sql.mockResolvedValueOnce([
+        { set_id: 's1', weight: '200', reps: 5, workout_id: 'w1', achieved_at: '2024-06-01T10:00:00Z' },
+        { set_id: 's2', weight: '190', reps: 5, workout_id: 'w2', achieved_at: '2024-06-08T10:00:00Z' },
+        { set_id: 's3', weight: '210', reps: 5, workout_id: 'w3', achieved_at: '2024-06-15T10:00:00Z' },
+      ]);
+      sql.mockResolvedValueOnce([settingsRow]);
+
+      const written = await rebuildExercisePRs('user-A', 'ex1');
+
+      expect(written).toBe(2);
+      // select + settings + one statement clearing and refilling the ledger
+      expect(sql).toHaveBeenCalledTimes(3);
+      const write = sql.mock.calls[2];
+      expect(write[0].join('')).toMatch(/DELETE FROM personal_record[\s\S]*INSERT INTO personal_record/);
+      expect(writtenEntries(write).map(entry => [entry.set_id, entry.previous_weight])).toEqual([['s1', null], ['s3', 200]]);
+    });
+
+    it('ranks parent sets only, not drop-set or cluster mini sets', async () => {
+      await rebuildExercisePRs('user-A', 'ex1');
+
+      expect(sql.mock.calls[0][0].join('')).toContain('s.parent_set_id IS NULL');
+    });
+
+    it('buckets PRs by the user\'s rep ranges', async () => {
+      sql.mockResolvedValueOnce([
+        { set_id: 's1', weight: '100', reps: 15, workout_id: 'w1', achieved_at: '2024-06-01T10:00:00Z' },
+        { set_id: 's2', weight: '90', reps: 20, workout_id: 'w2', achieved_at: '2024-06-08T10:00:00Z' },
+      ]);
+      sql.mockResolvedValueOnce([{
+        ...settingsRow,
+        pr_rep_ranges: [{ name: '15RM', min: 13, max: 15 }, { name: '20RM', min: 16, max: 20 }],
+      }]);
+
+      const written = await rebuildExercisePRs('user-A', 'ex1');
+
+      expect(written).toBe(2);
+      expect(writtenEntries(sql.mock.calls[2]).map(entry => entry.rep_range)).toEqual(['15RM', '20RM']);
+    });
+
+    it('skips the settings lookup when settings are passed in', async () => {
+      sql.mockResolvedValueOnce([
+        { set_id: 's1', weight: '200', reps: 5, workout_id: 'w1', achieved_at: '2024-06-01T10:00:00Z' },
+      ]);
+
+      await rebuildExercisePRs('user-A', 'ex1', { timezone: 'UTC', prRepRanges: REP_RANGES });
+
+      // select + clear and refill
+      expect(sql).toHaveBeenCalledTimes(2);
+    });
+
+    it('records effective load for bodyweight-loaded sets', async () => {
+      const pullUp = { load_mode: 'bodyweight_plus', bodyweight_fraction: '0.95', exercise_type: 'bodyweight' };
+      sql.mockResolvedValueOnce([
+        { ...pullUp, set_id: 's1', weight: null, reps: 5, workout_id: 'w1', achieved_at: '2024-06-01T10:00:00Z' },
+        { ...pullUp, set_id: 's2', weight: '25', reps: 5, workout_id: 'w2', achieved_at: '2024-06-08T10:00:00Z' },
+      ]);
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'brzycki', timezone: 'UTC' }]);
+      sql.mockResolvedValueOnce([{ recorded_on: '2024-06-01', weight: '180.00' }]);
+
+      const written = await rebuildExercisePRs('user-A', 'ex1');
+
+      expect(written).toBe(2);
+      // select + settings + bodyweight log + clear and refill
+      expect(sql).toHaveBeenCalledTimes(4);
+      expect(writtenEntries(sql.mock.calls[3]).map(entry => entry.weight)).toEqual([171, 196]);
+    });
+
+    it('clears the ledger when no working sets remain', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      const written = await rebuildExercisePRs('user-A', 'ex1');
+
+      expect(written).toBe(0);
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(writtenEntries(sql.mock.calls[1])).toEqual([]);
+    });
+  });
+
+  describe('refreshPRLedger', () => {
+    it('rebuilds each exercise once', async () => {
+      const result = await refreshPRLedger('user-A', ['ex1', 'ex1', 'ex2']);
+
+      expect(result).toBe(true);
+      // select + delete per exercise, no sets to insert
+      expect(sql).toHaveBeenCalledTimes(4);
+    });
+
+    it('logs and swallows database errors', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      sql.mockRejectedValueOnce(new Error('DB error'));
+
+      const result = await refreshPRLedger('user-A', ['ex1']);
+
+      expect(result).toBe(false);
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('refreshBodyweightPRs', () => {
+    it('rebuilds only bodyweight-loaded exercises', async () => {
+      sql.mockResolvedValueOnce([{ exercise_id: 'pull-up' }]);
+
+      const result = await refreshBodyweightPRs('user-A');
+
+      expect(result).toBe(true);
+      // exercise lookup + select + delete
+      expect(sql).toHaveBeenCalledTimes(3);
+      expect(sql.mock.calls[1]).toContain('pull-up');
+    });
+
+    it('logs and swallows database errors', async () => {
+      sql.mockRejectedValueOnce(new Error('connection lost'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await refreshBodyweightPRs('user-A')).toBe(false);
+    });
+  });
+
+  describe('refreshStalePRLedger', () => {
+    it('does nothing when the ledger is up to date', async () => {
+      sql.mockResolvedValueOnce([{ stale_at: null }]);
+
+      expect(await refreshStalePRLedger('user-A')).toBe(true);
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('rebuilds every exercise, then clears the mark it read', async () => {
+      const staleAt = '2024-06-03 10:00:00.123456+00';
+      sql.mockResolvedValueOnce([{ stale_at: staleAt }]);
+      sql.mockResolvedValueOnce([{ exercise_id: 'ex1' }]);
+      sql.mockResolvedValueOnce([]); // stale exercises
+      sql.mockResolvedValueOnce([settingsRow]);
+
+      expect(await refreshStalePRLedger('user-A')).toBe(true);
+
+      const clear = sql.mock.calls[sql.mock.calls.length - 1];
+      expect(clear[0].join('?')).toContain('SET pr_ledger_stale_at = NULL');
+      expect(clear.slice(1)).toEqual(['user-A', staleAt]);
+    });
+
+    it('keeps the mark when the rebuild fails', async () => {
+      sql.mockResolvedValueOnce([{ stale_at: '2024-06-03 10:00:00+00' }]);
+      sql.mockRejectedValueOnce(new Error('statement timeout'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await refreshStalePRLedger('user-A')).toBe(false);
+      expect(sql).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getWorkoutPRs', () => {
+    it('returns PRs set in the workout with old and new values', async () => {
+      sql.mockResolvedValueOnce([
+        { exercise_id: 'ex1', exercise_name: 'Bench Press', rep_range: '5RM', previous_weight: '215', weight: '225', reps: 5 },
+        { exercise_id: 'ex1', exercise_name: 'Bench Press', rep_range: '1RM', previous_weight: '240', weight: '250', reps: 1 },
+      ]);
+
+      const prs = await getWorkoutPRs('user-A', 'w1');
+
+      expect(prs).toHaveLength(2);
+      // Sorted by rep range within an exercise
+      expect(prs[0]).toMatchObject({ rep_range: '1RM', previous_weight: 240, weight: 250, estimated_1rm: 250 });
+      expect(prs[1]).toMatchObject({ rep_range: '5RM', previous_weight: 215, weight: 225 });
+      expect(prs[1].estimated_1rm).toBeCloseTo(253.15, 1);
+    });
+
+    it('collapses two improvements in one workout to the best weight over the pre-session record', async () => {
+      sql.mockResolvedValueOnce([
+        { exercise_id: 'ex1', exercise_name: 'Bench Press', rep_range: '5RM', previous_weight: '215', weight: '220', reps: 5 },
+        { exercise_id: 'ex1', exercise_name: 'Bench Press', rep_range: '5RM', previous_weight: '220', weight: '225', reps: 5 },
+      ]);
+
+      const prs = await getWorkoutPRs('user-A', 'w1');
+
+      expect(sql.mock.calls[0][0].join('')).toContain('pr.achieved_at ASC');
+      expect(prs).toHaveLength(1);
+      expect(prs[0]).toMatchObject({ exercise_id: 'ex1', rep_range: '5RM', previous_weight: 215, weight: 225 });
+    });
+
+    it('leaves out first-ever records, including ones improved later in the session', async () => {
+      sql.mockResolvedValueOnce([
+        { exercise_id: 'ex1', exercise_name: 'Bench Press', rep_range: '1RM', previous_weight: null, weight: '240', reps: 1 },
+        { exercise_id: 'ex1', exercise_name: 'Bench Press', rep_range: '1RM', previous_weight: '240', weight: '250', reps: 1 },
+        { exercise_id: 'ex2', exercise_name: 'Squat', rep_range: '5RM', previous_weight: null, weight: '300', reps: 5 },
+      ]);
+
+      const prs = await getWorkoutPRs('user-A', 'w1');
+
+      expect(prs).toEqual([]);
+    });
+  });
+
+  describe('recordWorkoutPRs', () => {
+    it('returns an empty list when the ledger refresh fails', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      sql.mockRejectedValueOnce(new Error('DB error'));
+
+      const prs = await recordWorkoutPRs('user-A', 'w1', ['ex1']);
+
+      expect(prs).toEqual([]);
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('getPRHistory', () => {
+    it('throws when exerciseId is missing', async () => {
+      await expect(getPRHistory('user-A', null)).rejects.toThrow('exerciseId is required');
+    });
+
+    it('throws when exercise not found', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(getPRHistory('user-A', 'ex-999')).rejects.toThrow('Exercise not found');
+    });
+
+    it('returns the timeline oldest first with estimated 1RM', async () => {
+      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'Bench Press' }]);
+      sql.mockResolvedValueOnce([
+        {
+          rep_range: '5RM',
+          weight: '200',
+          reps: 5,
+          previous_weight: null,
+          achieved_at: '2024-06-01T10:00:00Z',
+          workout_id: 'w1',
+          workout_name: 'Push Day',
+        },
+        {
+          rep_range: '5RM',
+          weight: '210',
+          reps: 5,
+          previous_weight: '200',
+          achieved_at: '2024-06-15T10:00:00Z',
+          workout_id: 'w3',
+          workout_name: 'Push Day',
+        },
+      ]);
+
+      const result = await getPRHistory('user-A', 'ex1', { formula: 'epley' });
+
+      expect(result.exercise_name).toBe('Bench Press');
+      expect(result.total).toBe(2);
+      expect(result.formula).toBe('epley');
+      expect(result.history[1]).toMatchObject({
+        rep_range: '5RM',
+        weight: 210,
+        previous_weight: 200,
+        estimated_1rm: 245,
+      });
+    });
+  });
+
+  describe('getWarmupPRCandidates', () => {
+    const row = (overrides) => ({
+      weight: '200',
+      reps: 5,
+      is_warmup: false,
+      workout_name: 'Push Day',
+      exercise_id: 'ex1',
+      exercise_name: 'Bench Press',
+      ...overrides,
+    });
+
+    it('lists warm-up sets that beat the working record', async () => {
+      sql.mockResolvedValueOnce([
+        row({ set_id: 's1', workout_id: 'w1', date: '2024-06-01T10:00:00Z' }),
+        row({ set_id: 's2', workout_id: 'w2', date: '2024-06-08T10:00:00Z', weight: '215', is_warmup: true }),
+      ]);
+      sql.mockResolvedValueOnce([settingsRow]);
+
+      const result = await getWarmupPRCandidates('user-A', { workoutId: 'w2' });
+
+      expect(result.total).toBe(1);
+      expect(result.candidates[0]).toMatchObject({
+        set_id: 's2',
+        workout_id: 'w2',
+        rep_range: '5RM',
+        weight: 215,
+        record_weight: 200,
+      });
+    });
+
+    it('limits candidates to the requested workout', async () => {
+      sql.mockResolvedValueOnce([
+        row({ set_id: 's1', workout_id: 'w1', date: '2024-06-01T10:00:00Z' }),
+        row({ set_id: 's2', workout_id: 'w2', date: '2024-06-08T10:00:00Z', weight: '215', is_warmup: true }),
+        row({ set_id: 's3', workout_id: 'w3', date: '2024-06-15T10:00:00Z', weight: '220', is_warmup: true }),
+      ]);
+      sql.mockResolvedValueOnce([settingsRow]);
+
+      const result = await getWarmupPRCandidates('user-A', { workoutId: 'w3' });
+
+      expect(result.candidates.map(c => c.set_id)).toEqual(['s3']);
+    });
+
+    it('requires a workout, and scans its exercises only up to its date', async () => {
+      await expect(getWarmupPRCandidates('user-A')).rejects.toThrow('workoutId is required');
+      expect(sql).not.toHaveBeenCalled();
+
+      sql.mockResolvedValueOnce([]);
+      sql.mockResolvedValueOnce([settingsRow]);
+      await getWarmupPRCandidates('user-A', { workoutId: 'w3' });
+
+      const query = sql.mock.calls[0][0].join('?');
+      expect(query).toContain('SELECT exercise_id FROM workout_exercise WHERE workout_id = ?');
+      expect(query).toContain('COALESCE(w.completed_at, w.started_at) <= (');
+    });
+  });
+});
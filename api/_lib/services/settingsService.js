@@ -0,0 +1,157 @@
+/**
+ * Settings Service
+ *
+ * Per-user preferences stored on the user row (e.g. 1RM formula, timezone, PR rep ranges, set targets, streak rule,
+ * warm-up scheme)
+ */
+
+import { sql } from '../db.js';
+import {
+  E1RM_FORMULAS,
+  DEFAULT_E1RM_FORMULA,
+  REP_RANGES,
+  isValidE1RMFormula,
+  normalizeRepRanges
+} from '../calculations/prCalculator.js';
+import { SET_TARGETS, getSetTargetPreset, normalizeSetTargets } from '../calculations/setTargetCalculator.js';
+import { DEFAULT_STREAK_WORKOUTS_PER_WEEK, normalizeStreakWorkoutsPerWeek } from '../calculations/streakCalculator.js';
+import { WARMUP_SCHEME, normalizeWarmupScheme } from '../calculations/warmupCalculator.js';
+import { DEFAULT_TIMEZONE, isValidTimezone } from '../utils/timezone.js';
+
+/**
+ * Default settings, used when the user row has no value
+ */
+export const DEFAULT_SETTINGS = {
+  e1rmFormula: DEFAULT_E1RM_FORMULA,
+  timezone: DEFAULT_TIMEZONE,
+  prRepRanges: REP_RANGES,
+  muscleSetTargets: SET_TARGETS,
+  streakWorkoutsPerWeek: DEFAULT_STREAK_WORKOUTS_PER_WEEK,
+  warmupScheme: WARMUP_SCHEME
+};
+
+/**
+ * Map a user row to the settings object returned by the API
+ *
+ * @param {Object} row - User row
+ * @returns {Object} Settings object
+ */
+function formatSettings(row) {
+  const muscleSetTargets = row.muscle_set_targets || DEFAULT_SETTINGS.muscleSetTargets;
+
+  return {
+    e1rmFormula: row.e1rm_formula || DEFAULT_SETTINGS.e1rmFormula,
+    timezone: row.timezone || DEFAULT_SETTINGS.timezone,
+    prRepRanges: row.pr_rep_ranges || DEFAULT_SETTINGS.prRepRanges,
+    muscleSetTargets,
+    muscleSetTargetPreset: getSetTargetPreset(muscleSetTargets),
+    streakWorkoutsPerWeek: row.streak_workouts_per_week || DEFAULT_SETTINGS.streakWorkoutsPerWeek,
+    warmupScheme: row.warmup_scheme || DEFAULT_SETTINGS.warmupScheme
+  };
+}
+
+/**
+ * Get user settings
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} Settings object
+ * @throws {Error} If user not found
+ */
+export async function getUserSettings(userId) {
+  const result = await sql`
+    SELECT e1rm_formula, timezone, pr_rep_ranges, muscle_set_targets, streak_workouts_per_week, warmup_scheme
+    FROM "user"
+    WHERE id = ${userId}
+  `;
+
+  if (result.length === 0) {
+    throw new Error('User not found');
+  }
+
+  return formatSettings(result[0]);
+}
+
+/**
+ * Update user settings
+ * Only provided fields are changed
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} updates - Settings to update
+ * @param {string} [updates.e1rmFormula] - 1RM formula name
+ * @param {string} [updates.timezone] - IANA timezone (e.g. 'America/New_York')
+ * @param {string|Array<Object>} [updates.prRepRanges] - Preset name ('default', 'exact') or
+ *   custom ranges [{ min, max, name? }]
+ * @param {string|Object} [updates.muscleSetTargets] - Preset name ('mev', 'mav', 'mrv') or
+ *   custom weekly set targets { muscle: { min, max } }
+ * @param {number} [updates.streakWorkoutsPerWeek] - Workouts a week needs to extend the weekly streak (1-7)
+ * @param {string|Array<Object>} [updates.warmupScheme] - 'default' or warm-up steps [{ percent, reps }]
+ * @returns {Promise<Object>} Updated settings object, plus pendingRebuilds: the derived data
+ *   ('stats_rollups', 'pr_ledger') left stale by a timezone or rep range change, rebuilt on the next stats read
+ * @throws {Error} If validation fails or user not found
+ */
+export async function updateUserSettings(userId, updates = {}) {
+  const { e1rmFormula, timezone, prRepRanges, muscleSetTargets, streakWorkoutsPerWeek, warmupScheme } = updates;
+
+  if (
+    e1rmFormula === undefined && timezone === undefined &&
+    prRepRanges === undefined && muscleSetTargets === undefined &&
+    streakWorkoutsPerWeek === undefined && warmupScheme === undefined
+  ) {
+    throw new Error('No settings to update');
+  }
+
+  if (e1rmFormula !== undefined && !isValidE1RMFormula(e1rmFormula)) {
+    throw new Error(`e1rmFormula must be one of: ${E1RM_FORMULAS.join(', ')}`);
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new Error('timezone must be a valid IANA timezone');
+  }
+
+  const repRanges = prRepRanges !== undefined ? normalizeRepRanges(prRepRanges) : null;
+  const setTargets = muscleSetTargets !== undefined ? normalizeSetTargets(muscleSetTargets) : null;
+  const streakRule = streakWorkoutsPerWeek !== undefined ? normalizeStreakWorkoutsPerWeek(streakWorkoutsPerWeek) : null;
+  const warmupSteps = warmupScheme !== undefined ? normalizeWarmupScheme(warmupScheme) : null;
+
+  // Omitted settings keep their current value. A new timezone moves workouts between local days
+  // and new rep ranges re-bucket every PR, so real changes mark the rollups or ledger stale
+  // (SET expressions see the old column values)
+  const result = await sql`
+    UPDATE "user"
+    SET
+      stats_rollups_stale_at = CASE
+        WHEN ${timezone ?? null}::text IS NOT NULL
+          AND ${timezone ?? null}::text IS DISTINCT FROM COALESCE(timezone, ${DEFAULT_TIMEZONE})
+        THEN NOW()
+        ELSE stats_rollups_stale_at
+      END,
+      pr_ledger_stale_at = CASE
+        WHEN ${repRanges ? JSON.stringify(repRanges) : null}::jsonb IS NOT NULL
+          AND ${repRanges ? JSON.stringify(repRanges) : null}::jsonb IS DISTINCT FROM COALESCE(pr_rep_ranges, ${JSON.stringify(REP_RANGES)}::jsonb)
+        THEN NOW()
+        ELSE pr_ledger_stale_at
+      END,
+      e1rm_formula = COALESCE(${e1rmFormula ?? null}, e1rm_formula),
+      timezone = COALESCE(${timezone ?? null}, timezone),
+      pr_rep_ranges = COALESCE(${repRanges ? JSON.stringify(repRanges) : null}::jsonb, pr_rep_ranges),
+      muscle_set_targets = COALESCE(${setTargets ? JSON.stringify(setTargets) : null}::jsonb, muscle_set_targets),
+      streak_workouts_per_week = COALESCE(${streakRule}, streak_workouts_per_week),
+      warmup_scheme = COALESCE(${warmupSteps ? JSON.stringify(warmupSteps) : null}::jsonb, warmup_scheme)
+    WHERE id = ${userId}
+    RETURNING e1rm_formula, timezone, pr_rep_ranges, muscle_set_targets, streak_workouts_per_week, warmup_scheme,
+      stats_rollups_stale_at, pr_ledger_stale_at
+  `;
+
+  if (result.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const row = result[0];
+  return {
+    ...formatSettings(row),
+    pendingRebuilds: [
+      row.stats_rollups_stale_at && 'stats_rollups',
+      row.pr_ledger_stale_at && 'pr_ledger'
+    ].filter(Boolean)
+  };
+}
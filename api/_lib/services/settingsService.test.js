@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the database
+vi.mock('../db.js', () => {
+  const mockSql = vi.fn();
+  mockSql.mockImplementation(() => []);
+  return { sql: mockSql };
+});
+
+import { getUserSettings, updateUserSettings } from './settingsService.js';
+import { REP_RANGES } from '../calculations/prCalculator.js';
+import { SET_TARGETS } from '../calculations/setTargetCalculator.js';
+import { WARMUP_SCHEME } from '../calculations/warmupCalculator.js';
+import { sql } from '../db.js';
+
+describe('Settings Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getUserSettings', () => {
+    it('returns settings for the user', async () => {
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'epley', timezone: 'America/New_York' }]);
+
+      const result = await getUserSettings('user-A');
+      expect(result).toEqual({
+        e1rmFormula: 'epley',
+        timezone: 'America/New_York',
+        prRepRanges: REP_RANGES,
+        muscleSetTargets: SET_TARGETS,
+        muscleSetTargetPreset: 'mev',
+        streakWorkoutsPerWeek: 1,
+        warmupScheme: WARMUP_SCHEME
+      });
+    });
+
+    it('names custom set targets', async () => {
+      const targets = { chest: { min: 12, max: 16 } };
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'epley', timezone: 'UTC', muscle_set_targets: targets }]);
+
+      const result = await getUserSettings('user-A');
+      expect(result.muscleSetTargets).toEqual(targets);
+      expect(result.muscleSetTargetPreset).toBe('custom');
+    });
+
+    it('returns stored PR rep ranges', async () => {
+      const ranges = [{ name: '15RM', min: 13, max: 15 }];
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'epley', timezone: 'UTC', pr_rep_ranges: ranges }]);
+
+      const result = await getUserSettings('user-A');
+      expect(result.prRepRanges).toEqual(ranges);
+    });
+
+    it('defaults to UTC when no timezone is stored', async () => {
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'epley', timezone: null }]);
+
+      const result = await getUserSettings('user-A');
+      expect(result.timezone).toBe('UTC');
+    });
+
+    it('defaults to Brzycki when no formula is stored', async () => {
+      sql.mockResolvedValueOnce([{ e1rm_formula: null }]);
+
+      const result = await getUserSettings('user-A');
+      expect(result.e1rmFormula).toBe('brzycki');
+    });
+
+    it('throws when user not found', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(getUserSettings('user-X')).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('updateUserSettings', () => {
+    it('updates the 1RM formula', async () => {
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'wathan' }]);
+
+      const result = await updateUserSettings('user-A', { e1rmFormula: 'wathan' });
+      expect(result.e1rmFormula).toBe('wathan');
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('updates the timezone without touching the formula', async () => {
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'epley', timezone: 'Pacific/Auckland' }]);
+
+      const result = await updateUserSettings('user-A', { timezone: 'Pacific/Auckland' });
+      expect(result).toMatchObject({ e1rmFormula: 'epley', timezone: 'Pacific/Auckland' });
+      // Formula parameter is null so COALESCE keeps the stored value
+      expect(sql.mock.calls[0]).toContain(null);
+    });
+
+    it('marks the rollups and PR ledger stale only when timezone or rep ranges change', async () => {
+      sql.mockResolvedValueOnce([{ timezone: 'Pacific/Auckland', stats_rollups_stale_at: new Date('2024-06-03T10:00:00Z') }]);
+
+      const result = await updateUserSettings('user-A', { timezone: 'Pacific/Auckland' });
+      expect(result.pendingRebuilds).toEqual(['stats_rollups']);
+      expect(result).not.toHaveProperty('stats_rollups_stale_at');
+
+      // The new value is compared with the stored one (UTC when unset) in the same UPDATE
+      const [strings, ...values] = sql.mock.calls[0];
+      expect(strings.join('?')).toContain('IS DISTINCT FROM COALESCE(timezone, ?)');
+      expect(strings.join('?')).toContain('IS DISTINCT FROM COALESCE(pr_rep_ranges, ?::jsonb)');
+      expect(values.slice(0, 3)).toEqual(['Pacific/Auckland', 'Pacific/Auckland', 'UTC']);
+    });
+
+    it('reports no pending rebuilds when nothing is stale', async () => {
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'wathan', stats_rollups_stale_at: null, pr_ledger_stale_at: null }]);
+
+      const result = await updateUserSettings('user-A', { e1rmFormula: 'wathan' });
+      expect(result.pendingRebuilds).toEqual([]);
+    });
+
+    it('rejects invalid timezones', async () => {
+      await expect(
+        updateUserSettings('user-A', { timezone: 'Mars/Olympus_Mons' })
+      ).rejects.toThrow('timezone must be a valid IANA timezone');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown formulas', async () => {
+      await expect(
+        updateUserSettings('user-A', { e1rmFormula: 'magic' })
+      ).rejects.toThrow('e1rmFormula must be one of');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('stores a PR rep range preset as explicit ranges', async () => {
+      sql.mockImplementationOnce((strings, ...values) => [{
+        e1rm_formula: 'brzycki',
+        timezone: 'UTC',
+        pr_rep_ranges: JSON.parse(values.find(value => typeof value === 'string' && value.startsWith('['))),
+      }]);
+
+      const result = await updateUserSettings('user-A', { prRepRanges: 'exact' });
+      expect(result.prRepRanges).toHaveLength(20);
+      expect(result.prRepRanges[14]).toEqual({ name: '15RM', min: 15, max: 15 });
+    });
+
+    it('rejects overlapping PR rep ranges', async () => {
+      await expect(
+        updateUserSettings('user-A', { prRepRanges: [{ min: 1, max: 5 }, { min: 5, max: 8 }] })
+      ).rejects.toThrow('Rep ranges must be non-overlapping');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('stores a set target preset as explicit targets', async () => {
+      sql.mockImplementationOnce((strings, ...values) => [{
+        e1rm_formula: 'brzycki',
+        timezone: 'UTC',
+        muscle_set_targets: JSON.parse(values.find(value => typeof value === 'string' && value.startsWith('{'))),
+      }]);
+
+      const result = await updateUserSettings('user-A', { muscleSetTargets: 'mrv' });
+      expect(result.muscleSetTargets.chest).toEqual({ min: 20, max: 22 });
+      expect(result.muscleSetTargetPreset).toBe('mrv');
+    });
+
+    it('rejects set targets for unknown muscles', async () => {
+      await expect(
+        updateUserSettings('user-A', { muscleSetTargets: { wings: { min: 1, max: 2 } } })
+      ).rejects.toThrow('Set target muscles must be one of');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('updates the weekly streak rule', async () => {
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'brzycki', streak_workouts_per_week: 3 }]);
+
+      const result = await updateUserSettings('user-A', { streakWorkoutsPerWeek: 3 });
+      expect(result.streakWorkoutsPerWeek).toBe(3);
+      expect(sql.mock.calls[0].slice(1)).toContain(3);
+
+      await expect(updateUserSettings('user-A', { streakWorkoutsPerWeek: 8 })).rejects.toThrow('streakWorkoutsPerWeek must be');
+    });
+
+    it('updates the warm-up scheme', async () => {
+      const scheme = [{ percent: 50, reps: 5 }, { percent: 75, reps: 2 }];
+      sql.mockResolvedValueOnce([{ e1rm_formula: 'brzycki', warmup_scheme: scheme }]);
+
+      const result = await updateUserSettings('user-A', { warmupScheme: [scheme[1], scheme[0]] });
+      expect(result.warmupScheme).toEqual(scheme);
+      expect(sql.mock.calls[0].slice(1)).toContain(JSON.stringify(scheme));
+
+      await expect(updateUserSettings('user-A', { warmupScheme: [] })).rejects.toThrow('warmupScheme must be');
+    });
+
+    it('throws when there is nothing to update', async () => {
+      await expect(updateUserSettings('user-A', {})).rejects.toThrow('No settings to update');
+    });
+
+    it('throws when user not found', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(
+        updateUserSettings('user-X', { e1rmFormula: 'epley' })
+      ).rejects.toThrow('User not found');
+    });
+  });
+});
@@ -0,0 +1,585 @@
+/**
+ * Stats Rollup Service
+ *
+ * Maintains the per-user daily/weekly stats rollups and per-exercise daily bests
+ * (migrations 012-013) that the stats endpoints read instead of scanning every logged set.
+ * Rollups are derived data: workout changes refresh the affected weeks, and
+ * scripts/rebuild-stats-rollups.js rebuilds them from scratch.
+ */
+
+import { sql } from '../db.js';
+import {
+  attachBodyweights,
+  calculateSetLoad,
+  calculateSetVolume,
+  getDefaultLoadMode,
+  usesBodyweight
+} from '../calculations/volumeCalculator.js';
+import {
+  ENDURANCE_PR_CATEGORIES,
+  getEndurancePRValues,
+  isEnduranceType,
+  summarizeCardioSets,
+  summarizeTimedSets
+} from '../calculations/enduranceCalculator.js';
+import { isSubSet } from '../calculations/setTypeCalculator.js';
+import { getSetSides } from '../calculations/unilateralCalculator.js';
+import { calculateSetTrainingLoad } from '../calculations/trainingLoadCalculator.js';
+import { addDays, getDateKey, getStartOfDay, getWeekStart } from '../utils/timezone.js';
+import { getUserSettings } from './settingsService.js';
+
+/**
+ * Volume contributed by a single set row
+ * Bodyweight-loaded sets use row.bodyweight (see attachBodyweights), unilateral sets add both sides
+ *
+ * @param {Object} row - Set row with exercise_type, load_mode, bodyweight_fraction, weight, reps, sides, bodyweight
+ * @returns {number} Set volume in lbs (0 when not applicable)
+ */
+function calculateRowVolume(row) {
+  return calculateSetVolume({ ...row, sides: getSetSides(row) }, row.exercise_type, row.bodyweight, {
+    loadMode: row.load_mode,
+    bodyweightFraction: row.bodyweight_fraction
+  });
+}
+
+/**
+ * Add an amount to each muscle the set's exercise trains
+ * Primary muscles get the full amount, secondary muscles 50%
+ *
+ * @param {Object} totals - Muscle => running total (mutated)
+ * @param {Object} row - Set row with primary_muscles, secondary_muscles
+ * @param {number} amount - Amount to attribute
+ */
+function attributeToMuscles(totals, row, amount) {
+  if (row.primary_muscles && Array.isArray(row.primary_muscles)) {
+    for (const muscle of row.primary_muscles) {
+      totals[muscle] = (totals[muscle] || 0) + amount;
+    }
+  }
+
+  if (row.secondary_muscles && Array.isArray(row.secondary_muscles)) {
+    for (const muscle of row.secondary_muscles) {
+      totals[muscle] = (totals[muscle] || 0) + amount * 0.5;
+    }
+  }
+}
+
+/**
+ * Round every value of a muscle => total map
+ */
+function roundTotals(totals, decimals) {
+  const rounded = {};
+  for (const [muscle, total] of Object.entries(totals)) {
+    rounded[muscle] = parseFloat(total.toFixed(decimals));
+  }
+  return rounded;
+}
+
+/**
+ * Summarize a group of set rows (one day or one week)
+ *
+ * @param {Array<Object>} rows - Set rows for the period
+ * @returns {Object} { total_volume, total_sets, workout_count, total_duration_seconds,
+ *   volume_by_muscle, sets_by_muscle }
+ */
+function summarizePeriod(rows) {
+  const durations = new Map();
+  const volumeTotals = {};
+  const setTotals = {};
+  let totalVolume = 0;
+  let totalSets = 0;
+
+  for (const row of rows) {
+    durations.set(row.workout_id, row.duration_seconds || 0);
+
+    // Warm-up sets don't count towards volume or set totals
+    if (row.is_warmup) continue;
+
+    const setVolume = calculateRowVolume(row);
+    totalVolume += setVolume;
+
+    // Mini sets add volume to their parent set but are not sets of their own
+    if (!isSubSet(row)) {
+      totalSets++;
+      attributeToMuscles(setTotals, row, 1);
+    }
+
+    if (setVolume > 0) {
+      attributeToMuscles(volumeTotals, row, setVolume);
+    }
+  }
+
+  return {
+    total_volume: parseFloat(totalVolume.toFixed(2)),
+    total_sets: totalSets,
+    workout_count: durations.size,
+    total_duration_seconds: [...durations.values()].reduce((sum, seconds) => sum + seconds, 0),
+    volume_by_muscle: roundTotals(volumeTotals, 2),
+    sets_by_muscle: roundTotals(setTotals, 1)
+  };
+}
+
+/**
+ * Muscles trained with working volume (frequency heatmap)
+ *
+ * @param {Array<Object>} rows - Set rows for the day
+ * @returns {Array<string>} Distinct muscles, primary and secondary
+ */
+function getTrainedMuscles(rows) {
+  const muscles = new Set();
+
+  for (const row of rows) {
+    if (row.is_warmup || calculateRowVolume(row) <= 0) continue;
+
+    for (const muscle of [...(row.primary_muscles || []), ...(row.secondary_muscles || [])]) {
+      muscles.add(muscle);
+    }
+  }
+
+  return [...muscles];
+}
+
+/**
+ * Training load for a day: working-set volume weighted by RIR and session RPE
+ * (see trainingLoadCalculator.js), in total and by muscle
+ *
+ * @param {Array<Object>} rows - Set rows for the day
+ * @returns {Object} { training_load, load_by_muscle }
+ */
+function summarizeTrainingLoad(rows) {
+  const loadTotals = {};
+  let totalLoad = 0;
+
+  for (const row of rows) {
+    if (row.is_warmup) continue;
+
+    const setLoad = calculateSetTrainingLoad(calculateRowVolume(row), row.rir, row.session_rpe);
+    if (setLoad <= 0) continue;
+
+    totalLoad += setLoad;
+    attributeToMuscles(loadTotals, row, setLoad);
+  }
+
+  return {
+    training_load: parseFloat(totalLoad.toFixed(2)),
+    load_by_muscle: roundTotals(loadTotals, 2)
+  };
+}
+
+/**
+ * Check whether a working set can be ranked by load (reps plus a weight, or bodyweight)
+ */
+function isLoadedSet(row) {
+  const loadMode = row.load_mode || getDefaultLoadMode(row.exercise_type);
+  return row.reps > 0 && (row.weight !== null || usesBodyweight(loadMode));
+}
+
+/**
+ * Build one exercise's rollup for a day from its working sets
+ * Strength: top load, volume and the heaviest load per rep count (ties keep the later set);
+ * mini sets only add volume, and unilateral sets add both sides' volume but rank by the weaker side
+ * Endurance: the day's summary and every set that was the day's best in a PR category
+ *
+ * @param {Array<Object>} rows - The exercise's working sets that day, oldest first
+ * @returns {Object|null} Rollup fields, or null if no set qualifies
+ */
+function summarizeExerciseDay(rows) {
+  const exerciseType = rows[0].exercise_type;
+
+  if (isEnduranceType(exerciseType)) {
+    const sets = rows
+      .filter(row => row.set_duration_seconds !== null || row.distance_meters !== null)
+      .map(row => ({
+        workout_id: row.workout_id,
+        workout_name: row.workout_name,
+        completed_at: row.completed_at,
+        duration_seconds: row.set_duration_seconds,
+        distance_meters: row.distance_meters
+      }));
+
+    if (sets.length === 0) {
+      return null;
+    }
+
+    const bestByCategory = {};
+    for (const set of sets) {
+      const values = getEndurancePRValues(set, exerciseType);
+      for (const category of ENDURANCE_PR_CATEGORIES) {
+        const value = values[category.name];
+        const current = bestByCategory[category.name];
+        if (value === undefined) continue;
+
+        if (!current || (category.lowerIsBetter ? value < current.value : value > current.value)) {
+          bestByCategory[category.name] = { value, set };
+        }
+      }
+    }
+
+    const bestSets = new Set(Object.values(bestByCategory).map(best => best.set));
+    const summarize = exerciseType === 'cardio' ? summarizeCardioSets : summarizeTimedSets;
+
+    return {
+      top_weight: null,
+      total_volume: 0,
+      total_sets: sets.length,
+      rep_bests: {},
+      endurance_summary: summarize(sets),
+      endurance_bests: sets.filter(set => bestSets.has(set))
+    };
+  }
+
+  const sets = rows.filter(isLoadedSet);
+  if (sets.length === 0) {
+    return null;
+  }
+
+  const repBests = {};
+  let topWeight = null;
+  let totalVolume = 0;
+  let totalSets = 0;
+
+  for (const row of sets) {
+    const load = calculateSetLoad(row);
+    totalVolume += calculateRowVolume(row);
+    if (isSubSet(row)) continue;
+
+    totalSets++;
+    topWeight = topWeight === null ? load : Math.max(topWeight, load);
+
+    const current = repBests[row.reps];
+    if (!current || load >= current.load) {
+      repBests[row.reps] = {
+        load,
+        rir: row.rir ?? null,
+        workout_id: row.workout_id,
+        workout_name: row.workout_name,
+        completed_at: row.completed_at
+      };
+    }
+  }
+
+  return {
+    top_weight: topWeight,
+    total_volume: parseFloat(totalVolume.toFixed(2)),
+    total_sets: totalSets,
+    rep_bests: repBests,
+    endurance_summary: null,
+    endurance_bests: []
+  };
+}
+
+/**
+ * Group rows into a Map by key, keeping row order
+ */
+function groupBy(rows, getKey) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = getKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Build daily, weekly and per-exercise rollups from completed set rows
+ * Days and weeks follow the user's timezone; weeks start on Monday
+ *
+ * @param {Array<Object>} rows - Completed set rows (see scanCompletedSets), oldest first,
+ *   with bodyweight attached to bodyweight-loaded sets
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone (default: 'UTC')
+ * @returns {Object} { daily, weekly, exercises }
+ */
+export function buildStatsRollups(rows, { timezone = 'UTC' } = {}) {
+  const rowsByDate = groupBy(rows, row => getDateKey(row.completed_at, timezone));
+
+  const daily = [...rowsByDate.entries()].map(([date, dayRows]) => ({
+    date,
+    ...summarizePeriod(dayRows),
+    trained_muscles: getTrainedMuscles(dayRows),
+    ...summarizeTrainingLoad(dayRows)
+  }));
+
+  const weekly = [...groupBy(rows, row => getWeekStart(getDateKey(row.completed_at, timezone))).entries()]
+    .map(([weekStart, weekRows]) => ({
+      week_start: weekStart,
+      ...summarizePeriod(weekRows)
+    }));
+
+  const exercises = [];
+  for (const [date, dayRows] of rowsByDate) {
+    const workingSets = dayRows.filter(row => !row.is_warmup);
+
+    for (const [exerciseId, exerciseRows] of groupBy(workingSets, row => row.exercise_id)) {
+      const summary = summarizeExerciseDay(exerciseRows);
+      if (summary) {
+        exercises.push({ exercise_id: exerciseId, date, ...summary });
+      }
+    }
+  }
+
+  return { daily, weekly, exercises };
+}
+
+/**
+ * Query a user's completed sets, optionally limited to [from, to) instants
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - { from, to, timezone }
+ * @returns {Promise<Array<Object>>} Set rows, oldest first, with bodyweight attached
+ */
+async function scanCompletedSets(userId, { from = null, to = null, timezone }) {
+  const rows = await sql`
+    SELECT
+      w.id as workout_id,
+      w.name as workout_name,
+      w.completed_at,
+      w.duration_seconds,
+      w.session_rpe,
+      e.id as exercise_id,
+      e.primary_muscles,
+      e.secondary_muscles,
+      e.type as exercise_type,
+      e.load_mode,
+      e.bodyweight_fraction,
+      s.weight,
+      s.reps,
+      s.rir,
+      s.duration_seconds as set_duration_seconds,
+      s.distance_meters,
+      s.is_warmup,
+      s.parent_set_id,
+      s.left_weight,
+      s.left_reps,
+      s.right_weight,
+      s.right_reps
+    FROM workout w
+    INNER JOIN workout_exercise we ON w.id = we.workout_id
+    INNER JOIN exercise e ON we.exercise_id = e.id
+    INNER JOIN "set" s ON we.id = s.workout_exercise_id
+    WHERE w.user_id = ${userId}
+    AND w.completed_at IS NOT NULL
+    AND (${from}::timestamptz IS NULL OR w.completed_at >= ${from}::timestamptz)
+    AND (${to}::timestamptz IS NULL OR w.completed_at < ${to}::timestamptz)
+    AND s.is_completed = true
+    ORDER BY w.completed_at, we.order_index, s.set_number, s.sub_set_number NULLS FIRST
+  `;
+
+  await attachBodyweights(sql, userId, rows, { timezone });
+
+  return rows;
+}
+
+/**
+ * Replace a user's rollups between two local dates (all rollups when no dates are given)
+ * Each table is replaced in one statement: the new rows are upserted, then rows in the window
+ * that were not rebuilt are deleted. A failed write leaves that table's previous rows in place
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} rollups - { daily, weekly, exercises } from buildStatsRollups
+ * @param {Object} window - { fromKey, toKey } inclusive dates; fromKey must be a Monday
+ */
+async function replaceStatsRollups(userId, { daily, weekly, exercises }, { fromKey = null, toKey = null } = {}) {
+  await sql`
+    WITH written AS (
+      INSERT INTO daily_stats_rollup (
+        user_id, date, total_volume, total_sets, workout_count,
+        total_duration_seconds, volume_by_muscle, sets_by_muscle, trained_muscles,
+        training_load, load_by_muscle
+      )
+      SELECT
+        ${userId}, r.date, r.total_volume, r.total_sets, r.workout_count,
+        r.total_duration_seconds, r.volume_by_muscle, r.sets_by_muscle, r.trained_muscles,
+        r.training_load, r.load_by_muscle
+      FROM jsonb_to_recordset(${JSON.stringify(daily)}::jsonb) AS r(
+        date DATE, total_volume DECIMAL, total_sets INTEGER, workout_count INTEGER,
+        total_duration_seconds INTEGER, volume_by_muscle JSONB, sets_by_muscle JSONB, trained_muscles JSONB,
+        training_load DECIMAL, load_by_muscle JSONB
+      )
+      ON CONFLICT (user_id, date) DO UPDATE SET
+        total_volume = EXCLUDED.total_volume,
+        total_sets = EXCLUDED.total_sets,
+        workout_count = EXCLUDED.workout_count,
+        total_duration_seconds = EXCLUDED.total_duration_seconds,
+        volume_by_muscle = EXCLUDED.volume_by_muscle,
+        sets_by_muscle = EXCLUDED.sets_by_muscle,
+        trained_muscles = EXCLUDED.trained_muscles,
+        training_load = EXCLUDED.training_load,
+        load_by_muscle = EXCLUDED.load_by_muscle,
+        updated_at = NOW()
+      RETURNING date
+    )
+    DELETE FROM daily_stats_rollup
+    WHERE user_id = ${userId}
+    AND (${fromKey}::date IS NULL OR date >= ${fromKey}::date)
+    AND (${toKey}::date IS NULL OR date <= ${toKey}::date)
+    AND date NOT IN (SELECT date FROM written)
+  `;
+
+  await sql`
+    WITH written AS (
+      INSERT INTO weekly_stats_rollup (
+        user_id, week_start, total_volume, total_sets, workout_count,
+        total_duration_seconds, volume_by_muscle, sets_by_muscle
+      )
+      SELECT
+        ${userId}, r.week_start, r.total_volume, r.total_sets, r.workout_count,
+        r.total_duration_seconds, r.volume_by_muscle, r.sets_by_muscle
+      FROM jsonb_to_recordset(${JSON.stringify(weekly)}::jsonb) AS r(
+        week_start DATE, total_volume DECIMAL, total_sets INTEGER, workout_count INTEGER,
+        total_duration_seconds INTEGER, volume_by_muscle JSONB, sets_by_muscle JSONB
+      )
+      ON CONFLICT (user_id, week_start) DO UPDATE SET
+        total_volume = EXCLUDED.total_volume,
+        total_sets = EXCLUDED.total_sets,
+        workout_count = EXCLUDED.workout_count,
+        total_duration_seconds = EXCLUDED.total_duration_seconds,
+        volume_by_muscle = EXCLUDED.volume_by_muscle,
+        sets_by_muscle = EXCLUDED.sets_by_muscle,
+        updated_at = NOW()
+      RETURNING week_start
+    )
+    DELETE FROM weekly_stats_rollup
+    WHERE user_id = ${userId}
+    AND (${fromKey}::date IS NULL OR week_start >= ${fromKey}::date)
+    AND (${toKey}::date IS NULL OR week_start <= ${toKey}::date)
+    AND week_start NOT IN (SELECT week_start FROM written)
+  `;
+
+  await sql`
+    WITH written AS (
+      INSERT INTO exercise_daily_rollup (
+        user_id, exercise_id, date, top_weight, total_volume, total_sets,
+        rep_bests, endurance_summary, endurance_bests
+      )
+      SELECT
+        ${userId}, r.exercise_id, r.date, r.top_weight, r.total_volume, r.total_sets,
+        r.rep_bests, r.endurance_summary, r.endurance_bests
+      FROM jsonb_to_recordset(${JSON.stringify(exercises)}::jsonb) AS r(
+        exercise_id UUID, date DATE, top_weight DECIMAL, total_volume DECIMAL, total_sets INTEGER,
+        rep_bests JSONB, endurance_summary JSONB, endurance_bests JSONB
+      )
+      ON CONFLICT (user_id, exercise_id, date) DO UPDATE SET
+        top_weight = EXCLUDED.top_weight,
+        total_volume = EXCLUDED.total_volume,
+        total_sets = EXCLUDED.total_sets,
+        rep_bests = EXCLUDED.rep_bests,
+        endurance_summary = EXCLUDED.endurance_summary,
+        endurance_bests = EXCLUDED.endurance_bests,
+        updated_at = NOW()
+      RETURNING exercise_id, date
+    )
+    DELETE FROM exercise_daily_rollup
+    WHERE user_id = ${userId}
+    AND (${fromKey}::date IS NULL OR date >= ${fromKey}::date)
+    AND (${toKey}::date IS NULL OR date <= ${toKey}::date)
+    AND (exercise_id, date) NOT IN (SELECT exercise_id, date FROM written)
+  `;
+}
+
+/**
+ * Recompute the rollups for the weeks containing the given workout completion times
+ * Pass both the old and new completion time when a workout moves.
+ * Best-effort: rollups can be rebuilt at any time (scripts/rebuild-stats-rollups.js),
+ * so failures are logged instead of failing the save
+ *
+ * @param {string} userId - User UUID
+ * @param {Array<Date|string|null>} completedAts - Completion instants of changed workouts (nulls ignored)
+ * @returns {Promise<boolean>} True if the rollups were refreshed
+ */
+export async function refreshStatsRollups(userId, completedAts) {
+  const instants = completedAts.filter(Boolean);
+  if (instants.length === 0) {
+    return true;
+  }
+
+  try {
+    const { timezone } = await getUserSettings(userId);
+
+    // Whole weeks, so the weekly rollup is rebuilt from complete data
+    const dateKeys = instants.map(instant => getDateKey(instant, timezone)).sort();
+    const fromKey = getWeekStart(dateKeys[0]);
+    const toKey = addDays(getWeekStart(dateKeys[dateKeys.length - 1]), 6);
+
+    const rows = await scanCompletedSets(userId, {
+      from: getStartOfDay(fromKey, timezone).toISOString(),
+      to: getStartOfDay(addDays(toKey, 1), timezone).toISOString(),
+      timezone
+    });
+
+    await replaceStatsRollups(userId, buildStatsRollups(rows, { timezone }), { fromKey, toKey });
+    return true;
+  } catch (error) {
+    console.error('Failed to refresh stats rollups:', error);
+    return false;
+  }
+}
+
+/**
+ * Rebuild all of a user's rollups from their logged sets
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} Number of training days rolled up
+ */
+export async function rebuildUserStatsRollups(userId) {
+  const { timezone } = await getUserSettings(userId);
+  const rows = await scanCompletedSets(userId, { timezone });
+  const rollups = buildStatsRollups(rows, { timezone });
+
+  await replaceStatsRollups(userId, rollups);
+
+  return rollups.daily.length;
+}
+
+/**
+ * Rebuild all of a user's rollups after a change that affects every day
+ * (bodyweight log, timezone). Best-effort like refreshStatsRollups
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} True if the rollups were rebuilt
+ */
+export async function refreshUserStatsRollups(userId) {
+  try {
+    await rebuildUserStatsRollups(userId);
+    return true;
+  } catch (error) {
+    console.error('Failed to rebuild stats rollups:', error);
+    return false;
+  }
+}
+
+/**
+ * Rebuild the rollups if a timezone change marked them stale (see updateUserSettings)
+ * Called before stats reads. Best-effort: the mark is only cleared after a successful rebuild,
+ * and only if no newer change marked the rollups stale meanwhile, so a failure is retried next read
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} True if the rollups are up to date
+ */
+export async function refreshStaleStatsRollups(userId) {
+  try {
+    // Text keeps the microseconds a JS Date would drop, so the mark compares exactly
+    const [user] = await sql`
+      SELECT stats_rollups_stale_at::text as stale_at
+      FROM "user"
+      WHERE id = ${userId}
+    `;
+
+    if (!user?.stale_at) {
+      return true;
+    }
+
+    await rebuildUserStatsRollups(userId);
+    await sql`
+      UPDATE "user"
+      SET stats_rollups_stale_at = NULL
+      WHERE id = ${userId}
+      AND stats_rollups_stale_at = ${user.stale_at}::timestamptz
+    `;
+    return true;
+  } catch (error) {
+    console.error('Failed to rebuild stale stats rollups:', error);
+    return false;
+  }
+}
@@ -0,0 +1,355 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the database
+vi.mock('../db.js', () => {
+  const mockSql = vi.fn();
+  mockSql.mockImplementation(() => []);
+  return { sql: mockSql };
+});
+
+vi.mock('./settingsService.js', () => ({
+  getUserSettings: vi.fn().mockResolvedValue({ timezone: 'UTC' })
+}));
+
+import {
+  buildStatsRollups,
+  refreshStatsRollups,
+  rebuildUserStatsRollups,
+  refreshUserStatsRollups,
+  refreshStaleStatsRollups
+} from './statsRollupService.js';
+import { getUserSettings } from './settingsService.js';
+import { sql } from '../db.js';
+
+// A completed set row as returned by the scan query
+const setRow = (overrides) => ({
+  workout_id: 'w1',
+  workout_name: 'Push Day',
+  completed_at: '2024-06-03T10:00:00Z',
+  duration_seconds: 3600,
+  exercise_id: 'ex-bench',
+  primary_muscles: ['chest'],
+  secondary_muscles: ['triceps'],
+  exercise_type: 'weighted',
+  load_mode: 'external',
+  bodyweight_fraction: '1.00',
+  weight: '100',
+  reps: 10,
+  rir: 2,
+  session_rpe: null,
+  set_duration_seconds: null,
+  distance_meters: null,
+  is_warmup: false,
+  ...overrides
+});
+
+describe('Stats Rollup Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('buildStatsRollups', () => {
+    it('returns no rollups for no sets', () => {
+      expect(buildStatsRollups([])).toEqual({ daily: [], weekly: [], exercises: [] });
+    });
+
+    it('calculates volume for weighted exercises with 50% secondary attribution', () => {
+      const { daily, weekly } = buildStatsRollups([setRow({ weight: '225' })]);
+
+      expect(daily).toEqual([{
+        date: '2024-06-03',
+        total_volume: 2250,
+        total_sets: 1,
+        workout_count: 1,
+        total_duration_seconds: 3600,
+        volume_by_muscle: { chest: 2250, triceps: 1125 },
+        sets_by_muscle: { chest: 1, triceps: 0.5 },
+        trained_muscles: ['chest', 'triceps'],
+        // 2 RIR adds 10%
+        training_load: 2475,
+        load_by_muscle: { chest: 2475, triceps: 1237.5 }
+      }]);
+      expect(weekly).toEqual([{
+        week_start: '2024-06-03',
+        total_volume: 2250,
+        total_sets: 1,
+        workout_count: 1,
+        total_duration_seconds: 3600,
+        volume_by_muscle: { chest: 2250, triceps: 1125 },
+        sets_by_muscle: { chest: 1, triceps: 0.5 }
+      }]);
+    });
+
+    it('excludes warm-up sets but still counts the workout', () => {
+      const { daily, exercises } = buildStatsRollups([setRow({ weight: '135', is_warmup: true })]);
+
+      expect(daily[0]).toMatchObject({ total_volume: 0, total_sets: 0, workout_count: 1, trained_muscles: [] });
+      expect(exercises).toEqual([]);
+    });
+
+    it('uses the attached bodyweight (150 lbs when none is logged)', () => {
+      const pullUp = { exercise_type: 'bodyweight', load_mode: 'bodyweight_plus', primary_muscles: ['lats'], secondary_muscles: [], weight: null };
+
+      expect(buildStatsRollups([setRow(pullUp)]).daily[0].total_volume).toBe(1500);
+      expect(buildStatsRollups([setRow({ ...pullUp, bodyweight: 182.5 })]).daily[0].volume_by_muscle).toEqual({ lats: 1825 });
+    });
+
+    it('applies the exercise load mode to bodyweight volume', () => {
+      const { daily } = buildStatsRollups([
+        setRow({ exercise_type: 'bodyweight', load_mode: 'bodyweight_plus', bodyweight_fraction: '0.64', weight: null, bodyweight: 200 }),
+        setRow({ exercise_type: 'weighted', load_mode: 'assisted', bodyweight_fraction: '0.95', weight: '50', bodyweight: 200 })
+      ]);
+
+      // Push-ups: 200 * 0.64 * 10 = 1280; assisted dips: (200 * 0.95 - 50) * 10 = 1400
+      expect(daily[0].total_volume).toBe(2680);
+    });
+
+    it('puts an evening workout in the Americas on the local day and week', () => {
+      const { daily, weekly } = buildStatsRollups(
+        [setRow({ completed_at: '2024-06-10T03:00:00Z' })], // Sunday 8pm PDT, Monday in UTC
+        { timezone: 'America/Los_Angeles' }
+      );
+
+      expect(daily[0].date).toBe('2024-06-09');
+      expect(weekly[0].week_start).toBe('2024-06-03');
+    });
+
+    it('buckets by local date across a DST change', () => {
+      const { daily } = buildStatsRollups([
+        // Sat Mar 9 11pm EST (Sunday in UTC)
+        setRow({ workout_id: 'w1', completed_at: '2024-03-10T04:00:00Z', reps: 1 }),
+        // Sun Mar 10 11pm EDT (Monday in UTC)
+        setRow({ workout_id: 'w2', completed_at: '2024-03-11T03:00:00Z', reps: 2 })
+      ], { timezone: 'America/New_York' });
+
+      expect(daily.map(day => [day.date, day.total_volume])).toEqual([
+        ['2024-03-09', 100],
+        ['2024-03-10', 200]
+      ]);
+    });
+
+    it('weights daily training load by RIR and session RPE', () => {
+      const { daily } = buildStatsRollups([
+        setRow({ workout_id: 'w1', rir: 0, session_rpe: 7 }), // 1000 * 1.3
+        setRow({ workout_id: 'w1', rir: 5, session_rpe: 7 }), // 1000 * 0.8
+        setRow({ workout_id: 'w2', rir: null, session_rpe: 9, secondary_muscles: [] }), // 1000 * 9/7
+        setRow({ workout_id: 'w2', rir: 0, is_warmup: true })
+      ]);
+
+      expect(daily[0].training_load).toBe(3385.71);
+      expect(daily[0].load_by_muscle).toEqual({ chest: 3385.71, triceps: 1050 });
+    });
+
+    it('totals workouts and durations per week', () => {
+      const { weekly } = buildStatsRollups([
+        setRow({ workout_id: 'w1', completed_at: '2024-06-04T18:00:00Z' }),
+        setRow({ workout_id: 'w1', completed_at: '2024-06-04T18:00:00Z', is_warmup: true, weight: '50' }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-06T18:00:00Z', duration_seconds: 1800, weight: '200', reps: 5 })
+      ]);
+
+      expect(weekly).toHaveLength(1);
+      expect(weekly[0]).toMatchObject({
+        total_volume: 2000,
+        total_sets: 2,
+        workout_count: 2,
+        total_duration_seconds: 5400,
+        volume_by_muscle: { chest: 2000, triceps: 1000 },
+        sets_by_muscle: { chest: 2, triceps: 1 }
+      });
+    });
+
+    it('keeps the heaviest load per rep count for each exercise and day', () => {
+      const { exercises } = buildStatsRollups([
+        setRow({ weight: '225', reps: 5, rir: 2 }),
+        setRow({ weight: '235', reps: 5, rir: 0 }),
+        setRow({ weight: '185', reps: 10, rir: 1 })
+      ]);
+
+      expect(exercises).toEqual([{
+        exercise_id: 'ex-bench',
+        date: '2024-06-03',
+        top_weight: 235,
+        total_volume: 4150,
+        total_sets: 3,
+        rep_bests: {
+          5: { load: 235, rir: 0, workout_id: 'w1', workout_name: 'Push Day', completed_at: '2024-06-03T10:00:00Z' },
+          10: { load: 185, rir: 1, workout_id: 'w1', workout_name: 'Push Day', completed_at: '2024-06-03T10:00:00Z' }
+        },
+        endurance_summary: null,
+        endurance_bests: []
+      }]);
+    });
+
+    it('counts drop-set mini sets toward volume but not sets or rep bests', () => {
+      const { daily, exercises } = buildStatsRollups([
+        setRow({ weight: '225', reps: 8 }),
+        setRow({ weight: '185', reps: 6, parent_set_id: 'set-1' }),
+        setRow({ weight: '135', reps: 8, parent_set_id: 'set-1' })
+      ]);
+
+      expect(daily[0]).toMatchObject({ total_volume: 3990, total_sets: 1, sets_by_muscle: { chest: 1, triceps: 0.5 } });
+      expect(exercises[0]).toMatchObject({ top_weight: 225, total_volume: 3990, total_sets: 1 });
+      expect(Object.keys(exercises[0].rep_bests)).toEqual(['8']);
+      expect(exercises[0].rep_bests[8].load).toBe(225);
+    });
+
+    it('adds both sides of unilateral sets and ranks them by the weaker side', () => {
+      const { daily, exercises } = buildStatsRollups([
+        setRow({ weight: '50', reps: 8, left_weight: '50', left_reps: 10, right_weight: '50', right_reps: 8 })
+      ]);
+
+      expect(daily[0]).toMatchObject({ total_volume: 900, total_sets: 1 });
+      expect(exercises[0]).toMatchObject({ top_weight: 50, total_volume: 900, total_sets: 1 });
+      expect(Object.keys(exercises[0].rep_bests)).toEqual(['8']);
+    });
+
+    it('ranks bodyweight-loaded sets by effective load', () => {
+      const pullUp = { exercise_id: 'ex-pull', exercise_type: 'bodyweight', load_mode: 'bodyweight_plus', bodyweight_fraction: '0.95', reps: 5, bodyweight: 180 };
+      const { exercises } = buildStatsRollups([
+        setRow({ ...pullUp, weight: '10' }),
+        setRow({ ...pullUp, weight: '25' }),
+        setRow({ ...pullUp, weight: null })
+      ]);
+
+      expect(exercises[0].top_weight).toBe(196); // 180 * 0.95 + 25
+      expect(exercises[0].rep_bests[5].load).toBe(196);
+    });
+
+    it('summarizes endurance exercises and keeps each category best', () => {
+      const run = { exercise_id: 'ex-run', exercise_type: 'cardio', primary_muscles: [], secondary_muscles: [], weight: null, reps: null };
+      const { exercises } = buildStatsRollups([
+        setRow({ ...run, set_duration_seconds: 300, distance_meters: '1000.00' }),
+        setRow({ ...run, set_duration_seconds: 270, distance_meters: '1000.00' }),
+        setRow({ ...run, set_duration_seconds: 600, distance_meters: null }) // cooldown
+      ]);
+
+      expect(exercises[0]).toMatchObject({
+        exercise_id: 'ex-run',
+        top_weight: null,
+        total_sets: 3,
+        endurance_summary: { total_distance: 2000, total_duration: 1170, avg_pace: 285, best_split: 270 }
+      });
+      // Longest distance ties keep the first split, fastest 1K is the 270s split, longest session the cooldown
+      expect(exercises[0].endurance_bests.map(set => set.duration_seconds)).toEqual([300, 270, 600]);
+    });
+  });
+
+  describe('refreshStatsRollups', () => {
+    it('does nothing without completion times', async () => {
+      expect(await refreshStatsRollups('user-A', [null])).toBe(true);
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('rescans and replaces the whole weeks containing the given workouts', async () => {
+      getUserSettings.mockResolvedValueOnce({ timezone: 'America/Los_Angeles' });
+      sql.mockResolvedValueOnce([setRow({ completed_at: '2024-06-05T18:00:00Z' })]);
+
+      // Old date Sunday evening Jun 9 PDT, new date Wednesday Jun 12
+      const result = await refreshStatsRollups('user-A', ['2024-06-10T03:00:00Z', '2024-06-12T18:00:00Z']);
+      expect(result).toBe(true);
+
+      // Scan runs from Monday Jun 3 00:00 PDT to Monday Jun 17 00:00 PDT
+      const scanValues = sql.mock.calls[0].slice(1);
+      expect(scanValues).toContain('2024-06-03T07:00:00.000Z');
+      expect(scanValues).toContain('2024-06-17T07:00:00.000Z');
+      // Endurance sets are read from the columns sync writes
+      expect(sql.mock.calls[0][0].join('')).toMatch(/s\.duration_seconds as set_duration_seconds,\s+s\.distance_meters/);
+
+      // One replace statement per table over the window
+      expect(sql).toHaveBeenCalledTimes(4);
+      expect(sql.mock.calls[1]).toContain('2024-06-03');
+      expect(sql.mock.calls[1]).toContain('2024-06-16');
+
+      const dailyInsert = sql.mock.calls[1].find(value => typeof value === 'string' && value.startsWith('['));
+      expect(JSON.parse(dailyInsert)[0]).toMatchObject({ date: '2024-06-05', total_volume: 1000 });
+    });
+
+    it('still clears the window when no sets remain', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await refreshStatsRollups('user-A', ['2024-06-05T18:00:00Z']);
+      // Scan and three replaces with nothing to write, which clear the window
+      expect(sql).toHaveBeenCalledTimes(4);
+      sql.mock.calls.slice(1).forEach(call => expect(call).toContain('[]'));
+    });
+
+    it('keeps the existing rows when writing the new ones fails', async () => {
+      sql.mockResolvedValueOnce([setRow({ completed_at: '2024-06-05T18:00:00Z' })]);
+      sql.mockRejectedValueOnce(new Error('value too long'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await refreshStatsRollups('user-A', ['2024-06-05T18:00:00Z'])).toBe(false);
+
+      // Nothing was deleted ahead of the failed write: stale rows are only removed by the
+      // statement that writes their replacements, and only when it succeeds
+      expect(sql).toHaveBeenCalledTimes(2);
+      const replace = sql.mock.calls[1][0].join('?');
+      expect(replace).toMatch(/INSERT INTO daily_stats_rollup[\s\S]*DELETE FROM daily_stats_rollup/);
+      expect(replace).toContain('NOT IN (SELECT date FROM written)');
+    });
+
+    it('logs and reports failures instead of throwing', async () => {
+      sql.mockRejectedValueOnce(new Error('connection lost'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await refreshStatsRollups('user-A', ['2024-06-05T18:00:00Z'])).toBe(false);
+    });
+  });
+
+  describe('rebuildUserStatsRollups', () => {
+    it('scans every workout and replaces all rollups', async () => {
+      sql.mockResolvedValueOnce([
+        setRow({ workout_id: 'w1', completed_at: '2024-06-03T10:00:00Z' }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-05T10:00:00Z' })
+      ]);
+
+      expect(await rebuildUserStatsRollups('user-A')).toBe(2);
+
+      // No window bounds on the scan or the replaces
+      expect(sql.mock.calls[0].slice(1)).toEqual(['user-A', null, null, null, null]);
+      expect(sql.mock.calls[1].slice(4)).toEqual([null, null, null, null]);
+    });
+  });
+
+  describe('refreshUserStatsRollups', () => {
+    it('logs and reports failures instead of throwing', async () => {
+      getUserSettings.mockRejectedValueOnce(new Error('User not found'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await refreshUserStatsRollups('user-A')).toBe(false);
+    });
+  });
+
+  describe('refreshStaleStatsRollups', () => {
+    const staleAt = '2024-06-03 10:00:00.123456+00';
+
+    it('does nothing when the rollups are up to date', async () => {
+      sql.mockResolvedValueOnce([{ stale_at: null }]);
+
+      expect(await refreshStaleStatsRollups('user-A')).toBe(true);
+      expect(sql).toHaveBeenCalledTimes(1);
+    });
+
+    it('rebuilds, then clears the mark it read', async () => {
+      sql.mockResolvedValueOnce([{ stale_at: staleAt }]);
+
+      expect(await refreshStaleStatsRollups('user-A')).toBe(true);
+
+      // Mark lookup, full scan, three replaces, then the clear
+      expect(sql).toHaveBeenCalledTimes(6);
+      const clear = sql.mock.calls[5];
+      expect(clear[0].join('?')).toContain('SET stats_rollups_stale_at = NULL');
+      // A newer mark set during the rebuild does not match, so it is kept
+      expect(clear.slice(1)).toEqual(['user-A', staleAt]);
+    });
+
+    it('keeps the mark when the rebuild fails', async () => {
+      sql.mockResolvedValueOnce([{ stale_at: staleAt }]);
+      sql.mockRejectedValueOnce(new Error('statement timeout'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await refreshStaleStatsRollups('user-A')).toBe(false);
+      expect(sql.mock.calls.some(([strings]) => strings.join('').includes('stats_rollups_stale_at = NULL'))).toBe(false);
+    });
+  });
+});
@@ -1,112 +1,221 @@
 /**
  * Stats Service
  *
- * Business logic for workout statistics and performance tracking
+ * Business logic for workout statistics and performance tracking.
+ * Reads the stats rollup tables kept current by statsRollupService
  */
 
 import { sql } from '../db.js';
-import { REP_RANGES, REP_RANGE_ORDER } from '../calculations/prCalculator.js';
+import {
+  REP_RANGES,
+  DEFAULT_E1RM_FORMULA,
+  calculateEstimated1RM,
+  getRepRangeOrder
+} from '../calculations/prCalculator.js';
+import {
+  DEFAULT_TIMEZONE,
+  getDateKey,
+  getStartOfDay,
+  parseDateKey,
+  addDays,
+  getWeekStart
+} from '../utils/timezone.js';
+import { attachBodyweights } from '../calculations/volumeCalculator.js';
+import { findEndurancePRs, isEnduranceType } from '../calculations/enduranceCalculator.js';
+import { CHRONIC_WINDOW_DAYS, buildTrainingLoadReport } from '../calculations/trainingLoadCalculator.js';
+import { SET_TARGETS, compareSetsToTargets, getLaggingMuscles } from '../calculations/setTargetCalculator.js';
+import { PLATEAU_ALERT_TYPES, detectPlateaus } from '../calculations/plateauCalculator.js';
+import { GOAL_LOOKBACK_DAYS, GOAL_HISTORY_WEEKS, WEEKLY_GOAL_TYPES, getRepsAtLoad } from '../calculations/goalCalculator.js';
+import {
+  DEFAULT_STREAK_WORKOUTS_PER_WEEK,
+  calculateDayStreaks,
+  calculateWeekStreaks,
+  getVolumeIntensity
+} from '../calculations/streakCalculator.js';
+import { resolveRecapPeriod, buildRecap } from '../calculations/recapCalculator.js';
+import { buildImbalanceReport } from '../calculations/unilateralCalculator.js';
+import {
+  analyzeWorkoutDensity,
+  explainSlowSessions,
+  combineTimerComparisons
+} from '../calculations/densityCalculator.js';
+
+/**
+ * Valid bucket sizes for range stats
+ */
+export const RANGE_GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Upper bound on buckets per range request (a year of days)
+ */
+const MAX_RANGE_BUCKETS = 366;
+
+/**
+ * Insights look at the last ~6 months of sessions, for exercises trained in the last 4 weeks
+ */
+const INSIGHT_LOOKBACK_DAYS = 182;
+const INSIGHT_ACTIVE_DAYS = 28;
+
+/**
+ * Parse a rollup DECIMAL/INTEGER column (returned as a string by the driver)
+ */
+function toNumber(value) {
+  return parseFloat(value) || 0;
+}
+
+/**
+ * Summarize workout totals for a group of daily/weekly rollup rows
+ *
+ * @param {Array<Object>} rows - Rollup rows with total_volume, total_sets, workout_count, total_duration_seconds
+ * @returns {Object} { total_volume, total_sets, total_workouts, total_duration_seconds, avg_duration_minutes }
+ */
+function summarizeRollups(rows) {
+  let totalVolume = 0;
+  let totalSets = 0;
+  let totalWorkouts = 0;
+  let totalDuration = 0;
+
+  for (const row of rows) {
+    totalVolume += toNumber(row.total_volume);
+    totalSets += toNumber(row.total_sets);
+    totalWorkouts += toNumber(row.workout_count);
+    totalDuration += toNumber(row.total_duration_seconds);
+  }
+
+  return {
+    total_volume: parseFloat(totalVolume.toFixed(2)),
+    total_sets: totalSets,
+    total_workouts: totalWorkouts,
+    total_duration_seconds: totalDuration,
+    avg_duration_minutes: totalWorkouts > 0
+      ? Math.round(totalDuration / totalWorkouts / 60)
+      : null
+  };
+}
+
+/**
+ * Add up per-muscle breakdowns of rollup rows
+ *
+ * @param {Array<Object>} rows - Rollup rows
+ * @param {string} field - 'volume_by_muscle' or 'sets_by_muscle'
+ * @param {number} decimals - Decimal places to round to
+ * @returns {Object} Muscle => total
+ */
+function sumMuscleTotals(rows, field, decimals) {
+  const totals = {};
+  for (const row of rows) {
+    for (const [muscle, amount] of Object.entries(row[field] || {})) {
+      totals[muscle] = (totals[muscle] || 0) + amount;
+    }
+  }
+
+  const rounded = {};
+  for (const [muscle, total] of Object.entries(totals)) {
+    rounded[muscle] = parseFloat(total.toFixed(decimals));
+  }
+  return rounded;
+}
+
+/**
+ * Get the start of the bucket containing a date (weeks start on Monday)
+ *
+ * @param {string} dateKey - Date 'YYYY-MM-DD'
+ * @param {string} granularity - 'day' | 'week' | 'month'
+ * @returns {string} Bucket start date key
+ */
+function getBucketStart(dateKey, granularity) {
+  if (granularity === 'week') {
+    return getWeekStart(dateKey);
+  }
+  if (granularity === 'month') {
+    return `${dateKey.slice(0, 8)}01`;
+  }
+  return dateKey;
+}
+
+/**
+ * Get the start of the bucket following the given bucket start
+ */
+function getNextBucketStart(startKey, granularity) {
+  if (granularity === 'day') {
+    return addDays(startKey, 1);
+  }
+  if (granularity === 'week') {
+    return addDays(startKey, 7);
+  }
+  const next = parseDateKey(startKey);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  return next.toISOString().split('T')[0];
+}
 
 /**
  * Get all Personal Records (PRs) for the user
- * Calculates PRs by exercise and rep range (1RM, 3RM, 5RM, 10RM)
+ * Calculates PRs by exercise and the user's rep ranges (default 1RM, 3RM, 5RM, 10RM), plus
+ * endurance PRs (fastest 5K, longest hold, ...) for cardio and timed exercises.
+ * Reads the per-exercise daily bests (exercise_daily_rollup) instead of every logged set.
+ * These are the source of truth for current PRs; the personal_record ledger only dates them
  *
  * @param {string} userId - User UUID
  * @param {string} exerciseId - Optional exercise ID to filter PRs
- * @returns {Promise<Object>} { prs, total }
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula used for estimated_1rm (default: 'brzycki')
+ * @param {Array<Object>} options.repRanges - User's PR rep ranges (default: REP_RANGES)
+ * @returns {Promise<Object>} { prs, total, endurance_prs, rep_ranges, formula }
  */
-export async function getPRs(userId, exerciseId = null) {
-  // Query to get all working sets with estimated 1RM
-  const allSets = exerciseId
-    ? await sql`
-        SELECT
-          e.id as exercise_id,
-          e.name as exercise_name,
-          w.id as workout_id,
-          w.name as workout_name,
-          w.completed_at as date,
-          s.weight,
-          s.reps,
-          s.rir,
-          -- Calculate estimated 1RM using Brzycki formula
-          CASE
-            WHEN s.reps > 0 AND s.weight IS NOT NULL THEN
-              ROUND(s.weight / (1.0278 - 0.0278 * s.reps), 2)
-            ELSE NULL
-          END as estimated_1rm
-        FROM "set" s
-        INNER JOIN workout_exercise we ON s.workout_exercise_id = we.id
-        INNER JOIN workout w ON we.workout_id = w.id
-        INNER JOIN exercise e ON we.exercise_id = e.id
-        WHERE w.user_id = ${userId}
-        AND we.exercise_id = ${exerciseId}
-        AND s.is_warmup = false
-        AND s.is_completed = true
-        AND s.weight IS NOT NULL
-        AND s.reps IS NOT NULL
-        AND s.reps > 0
-        ORDER BY e.id, s.weight DESC, w.completed_at DESC
-      `
-    : await sql`
-        SELECT
-          e.id as exercise_id,
-          e.name as exercise_name,
-          w.id as workout_id,
-          w.name as workout_name,
-          w.completed_at as date,
-          s.weight,
-          s.reps,
-          s.rir,
-          -- Calculate estimated 1RM using Brzycki formula
-          CASE
-            WHEN s.reps > 0 AND s.weight IS NOT NULL THEN
-              ROUND(s.weight / (1.0278 - 0.0278 * s.reps), 2)
-            ELSE NULL
-          END as estimated_1rm
-        FROM "set" s
-        INNER JOIN workout_exercise we ON s.workout_exercise_id = we.id
-        INNER JOIN workout w ON we.workout_id = w.id
-        INNER JOIN exercise e ON we.exercise_id = e.id
-        WHERE w.user_id = ${userId}
-        AND s.is_warmup = false
-        AND s.is_completed = true
-        AND s.weight IS NOT NULL
-        AND s.reps IS NOT NULL
-        AND s.reps > 0
-        ORDER BY e.id, s.weight DESC, w.completed_at DESC
-      `;
-
-  // Group PRs by exercise and rep range
+export async function getPRs(userId, exerciseId = null, {
+  formula = DEFAULT_E1RM_FORMULA,
+  repRanges = REP_RANGES
+} = {}) {
+  // One row per exercise and training day, oldest first
+  const days = await sql`
+    SELECT
+      r.exercise_id,
+      e.name as exercise_name,
+      e.type as exercise_type,
+      r.rep_bests,
+      r.endurance_bests
+    FROM exercise_daily_rollup r
+    INNER JOIN exercise e ON r.exercise_id = e.id
+    WHERE r.user_id = ${userId}
+    AND (${exerciseId}::uuid IS NULL OR r.exercise_id = ${exerciseId})
+    ORDER BY r.date ASC
+  `;
+
+  // Group PRs by exercise and rep range (compared by effective load)
   const prsByExercise = {};
 
-  for (const set of allSets) {
-    const exerciseKey = set.exercise_id;
+  for (const day of days) {
+    const exerciseKey = day.exercise_id;
 
-    if (!prsByExercise[exerciseKey]) {
-      prsByExercise[exerciseKey] = {
-        exercise_id: set.exercise_id,
-        exercise_name: set.exercise_name,
-        repRanges: {}
-      };
-    }
+    for (const [repsKey, best] of Object.entries(day.rep_bests || {})) {
+      const reps = parseInt(repsKey, 10);
 
-    // Check which rep range this set falls into
-    for (const range of REP_RANGES) {
-      if (set.reps >= range.min && set.reps <= range.max) {
-        const currentPR = prsByExercise[exerciseKey].repRanges[range.name];
-
-        // Update PR if this is heavier weight (or first record for this range)
-        if (!currentPR || set.weight > currentPR.max_weight) {
-          prsByExercise[exerciseKey].repRanges[range.name] = {
-            rep_range: range.name,
-            max_weight: parseFloat(set.weight),
-            reps: set.reps,
-            rir: set.rir,
-            estimated_1rm: set.estimated_1rm ? parseFloat(set.estimated_1rm) : null,
-            date: set.date,
-            workout_id: set.workout_id,
-            workout_name: set.workout_name
-          };
+      if (!prsByExercise[exerciseKey]) {
+        prsByExercise[exerciseKey] = {
+          exercise_id: day.exercise_id,
+          exercise_name: day.exercise_name,
+          repRanges: {}
+        };
+      }
+
+      // Check which rep range this rep count falls into
+      for (const range of repRanges) {
+        if (reps >= range.min && reps <= range.max) {
+          const currentPR = prsByExercise[exerciseKey].repRanges[range.name];
+
+          // Days are oldest first, so equal loads keep the most recent set
+          if (!currentPR || best.load >= currentPR.max_weight) {
+            prsByExercise[exerciseKey].repRanges[range.name] = {
+              rep_range: range.name,
+              max_weight: best.load,
+              reps,
+              rir: best.rir,
+              estimated_1rm: calculateEstimated1RM(best.load, reps, formula),
+              date: best.completed_at,
+              workout_id: best.workout_id,
+              workout_name: best.workout_name
+            };
+          }
         }
       }
     }
@@ -126,236 +235,596 @@ export async function getPRs(userId, exerciseId = null) {
   }
 
   // Sort by exercise name, then by rep range
+  const rangeOrder = getRepRangeOrder(repRanges);
   prs.sort((a, b) => {
     if (a.exercise_name !== b.exercise_name) {
       return a.exercise_name.localeCompare(b.exercise_name);
     }
-    return REP_RANGE_ORDER[a.rep_range] - REP_RANGE_ORDER[b.rep_range];
+    return rangeOrder[a.rep_range] - rangeOrder[b.rep_range];
   });
 
+  // Cardio and timed sets have no weight/reps; they are ranked by time and distance
+  // (each day keeps the sets that were that day's best in some category)
+  const enduranceSets = days.flatMap(day => (day.endurance_bests || []).map(set => ({
+    exercise_id: day.exercise_id,
+    exercise_name: day.exercise_name,
+    exercise_type: day.exercise_type,
+    workout_id: set.workout_id,
+    workout_name: set.workout_name,
+    date: set.completed_at,
+    duration_seconds: set.duration_seconds,
+    distance_meters: set.distance_meters
+  })));
+
   return {
     prs,
-    total: prs.length
+    total: prs.length,
+    endurance_prs: findEndurancePRs(enduranceSets),
+    rep_ranges: repRanges,
+    formula
   };
 }
 
+/**
+ * Monday of the requested week, or of the current week in the user's timezone
+ *
+ * @param {string|null} weekDate - Monday date YYYY-MM-DD (optional)
+ * @param {string} timezone - User's IANA timezone
+ * @returns {string} Week start date key
+ * @throws {Error} If weekDate is not a valid date
+ */
+function resolveWeekStart(weekDate, timezone) {
+  if (!weekDate) {
+    return getWeekStart(getDateKey(new Date(), timezone));
+  }
+
+  const weekStartKey = String(weekDate).slice(0, 10);
+  parseDateKey(weekStartKey); // Validates date format
+  return weekStartKey;
+}
+
 /**
  * Get weekly workout statistics including volume by muscle group and frequency heatmap
+ * Week boundaries and heatmap days follow the user's timezone (rollups are keyed by local date)
+ *
+ * @param {string} userId - User UUID
+ * @param {string} weekDate - Monday date of the week in YYYY-MM-DD format (optional)
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone, used for the current week (default: 'UTC')
+ * @param {Object} options.setTargets - Weekly set targets { muscle: { min, max } } (default: MEV preset)
+ * @returns {Promise<Object>} { week, totalVolume, totalWorkouts, volumeByMuscle, frequencyHeatmap, set_targets }
+ */
+export async function getWeeklyStats(userId, weekDate = null, { timezone = DEFAULT_TIMEZONE, setTargets = SET_TARGETS } = {}) {
+  const weekStartKey = resolveWeekStart(weekDate, timezone);
+  const weekEndKey = addDays(weekStartKey, 6);
+
+  const weeks = await sql`
+    SELECT total_volume, total_sets, workout_count, total_duration_seconds, volume_by_muscle, sets_by_muscle
+    FROM weekly_stats_rollup
+    WHERE user_id = ${userId}
+    AND week_start = ${weekStartKey}::date
+  `;
+
+  // Training days and trained muscles for the heatmap
+  const days = await sql`
+    SELECT date::text as date, workout_count, trained_muscles
+    FROM daily_stats_rollup
+    WHERE user_id = ${userId}
+    AND date >= ${weekStartKey}::date
+    AND date <= ${weekEndKey}::date
+  `;
+
+  const daysByDate = Object.fromEntries(days.map(day => [day.date, day]));
+  const setsByMuscle = sumMuscleTotals(weeks, 'sets_by_muscle', 1);
+
+  // Build frequency heatmap (all 7 days of the week)
+  const frequencyHeatmap = [];
+  for (let i = 0; i < 7; i++) {
+    const dateKey = addDays(weekStartKey, i);
+    const day = daysByDate[dateKey];
+
+    frequencyHeatmap.push({
+      date: dateKey,
+      muscles: day ? day.trained_muscles || [] : [],
+      workoutCount: day ? toNumber(day.workout_count) : 0
+    });
+  }
+
+  return {
+    week: {
+      start: weekStartKey,
+      end: weekEndKey
+    },
+    ...summarizeRollups(weeks),
+    volume_by_muscle: sumMuscleTotals(weeks, 'volume_by_muscle', 2),
+    sets_by_muscle: setsByMuscle,
+    frequency_heatmap: frequencyHeatmap,
+    set_targets: compareSetsToTargets(setsByMuscle, setTargets)
+  };
+}
+
+/**
+ * Get the muscles below their weekly set target
  *
  * @param {string} userId - User UUID
  * @param {string} weekDate - Monday date of the week in YYYY-MM-DD format (optional)
- * @returns {Promise<Object>} { week, totalVolume, totalWorkouts, volumeByMuscle, frequencyHeatmap }
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone, used for the current week (default: 'UTC')
+ * @param {Object} options.setTargets - Weekly set targets { muscle: { min, max } } (default: MEV preset)
+ * @returns {Promise<Object>} { week, lagging, set_targets }; lagging is furthest behind first
  */
-export async function getWeeklyStats(userId, weekDate = null) {
-  // Parse the week date or use current week's Monday
-  let weekStart;
-  if (weekDate) {
-    weekStart = new Date(weekDate);
-    // Validate date format
-    if (isNaN(weekStart.getTime())) {
-      throw new Error('Invalid date format. Use YYYY-MM-DD');
+export async function getLaggingMuscleStats(userId, weekDate = null, { timezone = DEFAULT_TIMEZONE, setTargets = SET_TARGETS } = {}) {
+  const weekStartKey = resolveWeekStart(weekDate, timezone);
+
+  const weeks = await sql`
+    SELECT sets_by_muscle
+    FROM weekly_stats_rollup
+    WHERE user_id = ${userId}
+    AND week_start = ${weekStartKey}::date
+  `;
+
+  const comparison = compareSetsToTargets(sumMuscleTotals(weeks, 'sets_by_muscle', 1), setTargets);
+
+  return {
+    week: {
+      start: weekStartKey,
+      end: addDays(weekStartKey, 6)
+    },
+    lagging: getLaggingMuscles(comparison),
+    set_targets: comparison
+  };
+}
+
+/**
+ * Get workout statistics over an arbitrary date range, bucketed by day, week or month
+ * Every bucket in the range is returned (empty buckets have zero totals) so charts stay continuous
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Range options
+ * @param {string} options.from - Start date YYYY-MM-DD (default: 12 weeks before `to`)
+ * @param {string} options.to - End date YYYY-MM-DD, inclusive (default: today)
+ * @param {string} options.granularity - 'day' | 'week' | 'month' (default: 'week')
+ * @param {string} options.timezone - User's IANA timezone; buckets follow local dates (default: 'UTC')
+ * @returns {Promise<Object>} { range, buckets, total_volume, total_sets, total_workouts, total_duration_seconds, avg_duration_minutes, volume_by_muscle, sets_by_muscle }
+ */
+export async function getRangeStats(userId, { from = null, to = null, granularity = 'week', timezone = DEFAULT_TIMEZONE } = {}) {
+  if (!RANGE_GRANULARITIES.includes(granularity)) {
+    throw new Error(`granularity must be one of: ${RANGE_GRANULARITIES.join(', ')}`);
+  }
+
+  const toKey = to || getDateKey(new Date(), timezone);
+  const fromKey = from || addDays(toKey, -83);
+
+  if (parseDateKey(fromKey) > parseDateKey(toKey)) {
+    throw new Error('from must be on or before to');
+  }
+
+  // Build the (empty) buckets covering the range
+  const buckets = [];
+  const bucketIndex = {};
+  for (
+    let start = getBucketStart(fromKey, granularity);
+    start <= toKey;
+    start = getNextBucketStart(start, granularity)
+  ) {
+    if (buckets.length >= MAX_RANGE_BUCKETS) {
+      throw new Error(`Range must be at most ${MAX_RANGE_BUCKETS} ${granularity}s. Use a coarser granularity`);
     }
-  } else {
-    // Get current week's Monday
-    const now = new Date();
-    const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const daysToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek; // If Sunday, go back 6 days
-    weekStart = new Date(now);
-    weekStart.setDate(now.getDate() + daysToMonday);
+
+    bucketIndex[start] = buckets.length;
+    buckets.push({ start, end: addDays(getNextBucketStart(start, granularity), -1), rows: [] });
   }
 
-  // Set to start of day (midnight)
-  weekStart.setHours(0, 0, 0, 0);
+  // Daily rollups are keyed by the user's local date
+  const rows = await sql`
+    SELECT
+      date::text as date,
+      total_volume,
+      total_sets,
+      workout_count,
+      total_duration_seconds,
+      volume_by_muscle,
+      sets_by_muscle
+    FROM daily_stats_rollup
+    WHERE user_id = ${userId}
+    AND date >= ${fromKey}::date
+    AND date <= ${toKey}::date
+    ORDER BY date
+  `;
 
-  // Calculate week end (Sunday at 23:59:59)
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekStart.getDate() + 6);
-  weekEnd.setHours(23, 59, 59, 999);
+  for (const row of rows) {
+    const index = bucketIndex[getBucketStart(row.date, granularity)];
+    if (index !== undefined) {
+      buckets[index].rows.push(row);
+    }
+  }
 
-  // Convert to ISO strings for database query (UTC)
-  const weekStartISO = weekStart.toISOString();
-  const weekEndISO = weekEnd.toISOString();
+  return {
+    range: {
+      from: fromKey,
+      to: toKey,
+      granularity
+    },
+    buckets: buckets.map(({ start, end, rows: bucketRows }) => ({
+      start,
+      end,
+      ...summarizeRollups(bucketRows)
+    })),
+    ...summarizeRollups(rows),
+    volume_by_muscle: sumMuscleTotals(rows, 'volume_by_muscle', 2),
+    sets_by_muscle: sumMuscleTotals(rows, 'sets_by_muscle', 1)
+  };
+}
 
-  // Query workouts for the week with exercises and sets
-  const workouts = await sql`
+/**
+ * Get a year of training days for the consistency calendar, with current and longest streaks
+ * Streaks cover all history up to today, whichever year is shown
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Optional settings
+ * @param {string|number} options.year - Calendar year YYYY (default: current year)
+ * @param {string} options.timezone - User's IANA timezone, used for today (default: 'UTC')
+ * @param {number} options.workoutsPerWeek - Workouts a week needs to extend the weekly streak (default: 1)
+ * @returns {Promise<Object>} { year, days, total_days, total_workouts, streaks }
+ * @throws {Error} If year is not a four-digit year
+ */
+export async function getCalendar(userId, {
+  year = null,
+  timezone = DEFAULT_TIMEZONE,
+  workoutsPerWeek = DEFAULT_STREAK_WORKOUTS_PER_WEEK
+} = {}) {
+  const todayKey = getDateKey(new Date(), timezone);
+  const calendarYear = year === null || year === undefined || year === '' ? todayKey.slice(0, 4) : String(year);
+
+  if (!/^\d{4}$/.test(calendarYear)) {
+    throw new Error('Year must be a four-digit year (YYYY)');
+  }
+
+  const days = await sql`
+    SELECT date::text as date, workout_count, total_volume, total_sets, trained_muscles
+    FROM daily_stats_rollup
+    WHERE user_id = ${userId}
+    AND date >= ${`${calendarYear}-01-01`}::date
+    AND date <= ${`${calendarYear}-12-31`}::date
+    AND workout_count > 0
+    ORDER BY date
+  `;
+
+  // Streaks need every training day and week, not just this year's
+  const trainingDays = await sql`
+    SELECT date::text as date
+    FROM daily_stats_rollup
+    WHERE user_id = ${userId}
+    AND workout_count > 0
+    ORDER BY date
+  `;
+
+  const trainingWeeks = await sql`
+    SELECT week_start::text as week_start, workout_count
+    FROM weekly_stats_rollup
+    WHERE user_id = ${userId}
+    AND workout_count > 0
+    ORDER BY week_start
+  `;
+
+  const maxVolume = Math.max(0, ...days.map(day => toNumber(day.total_volume)));
+
+  return {
+    year: Number(calendarYear),
+    days: days.map(day => ({
+      date: day.date,
+      workout_count: toNumber(day.workout_count),
+      total_volume: toNumber(day.total_volume),
+      total_sets: toNumber(day.total_sets),
+      muscles: day.trained_muscles || [],
+      intensity: getVolumeIntensity(toNumber(day.total_volume), maxVolume)
+    })),
+    total_days: days.length,
+    total_workouts: days.reduce((sum, day) => sum + toNumber(day.workout_count), 0),
+    streaks: {
+      days: calculateDayStreaks(trainingDays.map(day => day.date), todayKey),
+      weeks: {
+        ...calculateWeekStreaks(
+          trainingWeeks.map(week => ({ week_start: week.week_start, workout_count: toNumber(week.workout_count) })),
+          workoutsPerWeek,
+          getWeekStart(todayKey)
+        ),
+        workouts_per_week: workoutsPerWeek
+      }
+    }
+  };
+}
+
+/**
+ * Get a monthly or yearly recap: workouts, hours, tonnage, most-trained muscles, top exercises,
+ * PRs with the biggest jumps, longest streaks and best week
+ * Assembled from the daily range stats, exercise daily rollups and PR ledger for the period
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Optional settings
+ * @param {string} options.period - 'month' | 'year' (default: 'month')
+ * @param {string} options.date - 'YYYY-MM' for a month, 'YYYY' for a year (default: the current one)
+ * @param {string} options.timezone - User's IANA timezone; days follow local dates (default: 'UTC')
+ * @param {number} options.workoutsPerWeek - Workouts a week needs to extend the weekly streak (default: 1)
+ * @returns {Promise<Object>} Recap (see buildRecap)
+ * @throws {Error} If the period or date is invalid
+ */
+export async function getRecap(userId, {
+  period = 'month',
+  date = null,
+  timezone = DEFAULT_TIMEZONE,
+  workoutsPerWeek = DEFAULT_STREAK_WORKOUTS_PER_WEEK
+} = {}) {
+  const range = resolveRecapPeriod(period, date, getDateKey(new Date(), timezone));
+
+  const stats = await getRangeStats(userId, { from: range.start, to: range.end, granularity: 'day', timezone });
+
+  const exerciseDays = await sql`
+    SELECT r.exercise_id, e.name as exercise_name, r.total_sets, r.total_volume, r.top_weight
+    FROM exercise_daily_rollup r
+    INNER JOIN exercise e ON r.exercise_id = e.id
+    WHERE r.user_id = ${userId}
+    AND r.date >= ${range.start}::date
+    AND r.date <= ${range.end}::date
+  `;
+
+  // The ledger is keyed by instant, so the period runs from local midnight to local midnight
+  const prs = await sql`
+    SELECT pr.exercise_id, e.name as exercise_name, pr.rep_range, pr.weight, pr.reps, pr.previous_weight
+    FROM personal_record pr
+    INNER JOIN exercise e ON pr.exercise_id = e.id
+    WHERE pr.user_id = ${userId}
+    AND pr.achieved_at >= ${getStartOfDay(range.start, timezone).toISOString()}
+    AND pr.achieved_at < ${getStartOfDay(addDays(range.end, 1), timezone).toISOString()}
+    ORDER BY pr.achieved_at ASC
+  `;
+
+  return buildRecap(range, { stats, exerciseDays, prs, workoutsPerWeek });
+}
+
+/**
+ * Get the acute:chronic workload ratio and per-muscle fatigue for a day
+ * Daily training load comes from the daily rollups (see trainingLoadCalculator.js)
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Optional settings
+ * @param {string} options.date - Day to report on, YYYY-MM-DD (default: today)
+ * @param {string} options.timezone - User's IANA timezone, used for today (default: 'UTC')
+ * @returns {Promise<Object>} { date, acute_load, chronic_load, ratio, status, safe_range, series, muscle_fatigue }
+ */
+export async function getTrainingLoad(userId, { date = null, timezone = DEFAULT_TIMEZONE } = {}) {
+  const dateKey = date ? String(date).slice(0, 10) : getDateKey(new Date(), timezone);
+  parseDateKey(dateKey); // Validates date format
+
+  // The oldest point of the 28-day series needs its own 28-day chronic window
+  const fromKey = addDays(dateKey, -(2 * CHRONIC_WINDOW_DAYS - 2));
+
+  const days = await sql`
+    SELECT date::text as date, training_load, load_by_muscle
+    FROM daily_stats_rollup
+    WHERE user_id = ${userId}
+    AND date >= ${fromKey}::date
+    AND date <= ${dateKey}::date
+    ORDER BY date
+  `;
+
+  return buildTrainingLoadReport(days, dateKey);
+}
+
+/**
+ * Load the completed sets of a user's workouts with their log times, for density analytics
+ * Either one workout or the workouts completed between two instants
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} filter - { workoutId } or { from, to } (ISO instants, to exclusive)
+ * @param {string} timezone - User's IANA timezone, for bodyweight lookups
+ * @returns {Promise<Array<Object>>} Set rows in workout, exercise and set order
+ */
+async function scanTimedSets(userId, { workoutId = null, from = null, to = null }, timezone) {
+  const rows = await sql`
     SELECT
       w.id as workout_id,
       w.name as workout_name,
+      w.started_at,
       w.completed_at,
       w.duration_seconds,
-      DATE(w.completed_at) as workout_date,
+      we.id as workout_exercise_id,
       e.id as exercise_id,
       e.name as exercise_name,
-      e.primary_muscles,
-      e.secondary_muscles,
       e.type as exercise_type,
+      e.load_mode,
+      e.bodyweight_fraction,
       s.weight,
       s.reps,
-      s.is_warmup
+      s.duration_seconds as set_duration_seconds,
+      s.is_warmup,
+      s.parent_set_id,
+      s.left_weight,
+      s.left_reps,
+      s.right_weight,
+      s.right_reps,
+      s.completed_at as set_completed_at,
+      s.rest_timer_seconds
     FROM workout w
     INNER JOIN workout_exercise we ON w.id = we.workout_id
     INNER JOIN exercise e ON we.exercise_id = e.id
     INNER JOIN "set" s ON we.id = s.workout_exercise_id
     WHERE w.user_id = ${userId}
-    AND w.completed_at >= ${weekStartISO}
-    AND w.completed_at <= ${weekEndISO}
+    AND w.completed_at IS NOT NULL
+    AND (${workoutId}::uuid IS NULL OR w.id = ${workoutId}::uuid)
+    AND (${from}::timestamptz IS NULL OR w.completed_at >= ${from}::timestamptz)
+    AND (${to}::timestamptz IS NULL OR w.completed_at < ${to}::timestamptz)
     AND s.is_completed = true
-    ORDER BY w.completed_at, we.order_index, s.set_number
+    ORDER BY w.completed_at, we.order_index, s.set_number, s.sub_set_number NULLS FIRST
   `;
 
-  // Calculate total volume and volume by muscle group
-  const volumeByMuscle = {};
-  let totalVolume = 0;
-  const workoutsByDate = {};
-  const musclesByDate = {};
-
-  for (const row of workouts) {
-    // Track workouts by date for frequency heatmap
-    const dateKey = row.workout_date;
-    if (!workoutsByDate[dateKey]) {
-      workoutsByDate[dateKey] = new Set();
-      musclesByDate[dateKey] = new Set();
-    }
-    workoutsByDate[dateKey].add(row.workout_id);
-
-    // Skip warm-up sets for volume calculation
-    if (row.is_warmup) continue;
-
-    // Calculate volume for weighted and bodyweight exercises only
-    // NOTE: This uses JavaScript calculation for bodyweight (150 lbs estimate)
-    // which differs from the SQL-only calculation in volumeCalculator
-    let setVolume = 0;
-    if (row.exercise_type === 'weighted' && row.weight && row.reps) {
-      setVolume = parseFloat(row.weight) * row.reps;
-    } else if (row.exercise_type === 'bodyweight' && row.reps) {
-      // Use 150 lbs estimate for bodyweight exercises
-      setVolume = 150 * row.reps;
-    }
+  await attachBodyweights(sql, userId, rows, { timezone });
 
-    if (setVolume > 0) {
-      totalVolume += setVolume;
+  return rows;
+}
 
-      // Add volume to primary muscles
-      if (row.primary_muscles && Array.isArray(row.primary_muscles)) {
-        for (const muscle of row.primary_muscles) {
-          if (!volumeByMuscle[muscle]) {
-            volumeByMuscle[muscle] = 0;
-          }
-          volumeByMuscle[muscle] += setVolume;
-          musclesByDate[dateKey].add(muscle);
-        }
-      }
+/**
+ * Get rest periods, time per exercise, work-to-rest ratio and density for one workout
+ *
+ * @param {string} workoutId - Workout UUID
+ * @param {string} userId - User UUID (for ownership verification)
+ * @param {Object} options - Optional settings
+ * @param {string} options.timezone - User's IANA timezone, for bodyweight lookups (default: 'UTC')
+ * @returns {Promise<Object>} { workout_id, ...analyzeWorkoutDensity }
+ * @throws {Error} If workout not found or unauthorized
+ */
+export async function getWorkoutDensity(workoutId, userId, { timezone = DEFAULT_TIMEZONE } = {}) {
+  const workouts = await sql`
+    SELECT id, user_id, started_at, completed_at, duration_seconds
+    FROM workout
+    WHERE id = ${workoutId}
+  `;
 
-      // Add half volume to secondary muscles
-      if (row.secondary_muscles && Array.isArray(row.secondary_muscles)) {
-        for (const muscle of row.secondary_muscles) {
-          if (!volumeByMuscle[muscle]) {
-            volumeByMuscle[muscle] = 0;
-          }
-          volumeByMuscle[muscle] += setVolume * 0.5; // 50% attribution to secondary muscles
-          musclesByDate[dateKey].add(muscle);
-        }
-      }
-    }
+  if (workouts.length === 0) {
+    throw new Error('Workout not found');
   }
 
-  // Format volume by muscle (keep as object for frontend compatibility)
-  const volumeByMuscleFormatted = {};
-  for (const [muscle, volume] of Object.entries(volumeByMuscle)) {
-    volumeByMuscleFormatted[muscle] = parseFloat(volume.toFixed(2));
+  const workout = workouts[0];
+  if (workout.user_id !== userId) {
+    throw new Error('Unauthorized');
   }
 
-  // Build frequency heatmap (all 7 days of the week)
-  const frequencyHeatmap = [];
-  for (let i = 0; i < 7; i++) {
-    const date = new Date(weekStart);
-    date.setDate(weekStart.getDate() + i);
-    const dateKey = date.toISOString().split('T')[0];
+  const rows = await scanTimedSets(userId, { workoutId }, timezone);
 
-    frequencyHeatmap.push({
-      date: dateKey,
-      muscles: musclesByDate[dateKey] ? Array.from(musclesByDate[dateKey]) : [],
-      workoutCount: workoutsByDate[dateKey] ? workoutsByDate[dateKey].size : 0
-    });
-  }
+  return {
+    workout_id: workout.id,
+    ...analyzeWorkoutDensity(workout, rows)
+  };
+}
 
-  // Calculate sets by muscle group (same attribution as volume)
-  const setsByMuscle = {};
+/**
+ * Get rest and density trends per session for a date range, with the rest timer comparison
+ * and whether long rests explain the slower sessions
+ * Sessions logged before set timestamps were recorded are counted but not charted
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Range options
+ * @param {string} options.from - Start date YYYY-MM-DD (default: 12 weeks before `to`)
+ * @param {string} options.to - End date YYYY-MM-DD, inclusive (default: today)
+ * @param {string} options.timezone - User's IANA timezone; sessions fall on local dates (default: 'UTC')
+ * @returns {Promise<Object>} { range, sessions, untimed_sessions, avg_rest_seconds, avg_density, avg_work_to_rest, timer, slow_sessions }
+ */
+export async function getDensityTrends(userId, { from = null, to = null, timezone = DEFAULT_TIMEZONE } = {}) {
+  const toKey = to || getDateKey(new Date(), timezone);
+  const fromKey = from || addDays(toKey, -83);
 
-  for (const row of workouts) {
-    if (row.is_warmup) continue;
+  if (parseDateKey(fromKey) > parseDateKey(toKey)) {
+    throw new Error('from must be on or before to');
+  }
 
-    // Add to primary muscles (1.0 set)
-    if (row.primary_muscles && Array.isArray(row.primary_muscles)) {
-      for (const muscle of row.primary_muscles) {
-        if (!setsByMuscle[muscle]) setsByMuscle[muscle] = 0;
-        setsByMuscle[muscle] += 1;
-      }
-    }
+  const rows = await scanTimedSets(userId, {
+    from: getStartOfDay(fromKey, timezone).toISOString(),
+    to: getStartOfDay(addDays(toKey, 1), timezone).toISOString()
+  }, timezone);
 
-    // Add to secondary muscles (0.5 set)
-    if (row.secondary_muscles && Array.isArray(row.secondary_muscles)) {
-      for (const muscle of row.secondary_muscles) {
-        if (!setsByMuscle[muscle]) setsByMuscle[muscle] = 0;
-        setsByMuscle[muscle] += 0.5;
-      }
+  // Rows arrive grouped by workout (ordered by completion)
+  const workouts = [];
+  for (const row of rows) {
+    const last = workouts[workouts.length - 1];
+    if (last && last.workout.workout_id === row.workout_id) {
+      last.rows.push(row);
+    } else {
+      workouts.push({ workout: row, rows: [row] });
     }
   }
 
-  // Format sets by muscle
-  const setsByMuscleFormatted = {};
-  for (const [muscle, sets] of Object.entries(setsByMuscle)) {
-    setsByMuscleFormatted[muscle] = parseFloat(sets.toFixed(1));
-  }
+  const analyses = workouts.map(({ workout, rows: workoutRows }) => ({
+    workout_id: workout.workout_id,
+    name: workout.workout_name,
+    date: getDateKey(workout.completed_at, timezone),
+    ...analyzeWorkoutDensity(workout, workoutRows)
+  }));
+  const timed = analyses.filter(session => session.has_timing);
 
-  // Count unique workouts
-  const totalWorkouts = new Set(workouts.map(w => w.workout_id)).size;
+  const averageOf = (field, decimals) => {
+    const values = timed.map(session => session[field]).filter(value => value !== null);
+    if (values.length === 0) return null;
+    const factor = 10 ** decimals;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * factor) / factor;
+  };
 
-  // Calculate total sets (count non-warmup sets)
-  const totalSets = workouts.filter(row => !row.is_warmup).length;
+  return {
+    range: {
+      from: fromKey,
+      to: toKey
+    },
+    sessions: timed.map(session => ({
+      workout_id: session.workout_id,
+      name: session.name,
+      date: session.date,
+      duration_seconds: session.duration_seconds,
+      sets: session.sets,
+      avg_rest_seconds: session.avg_rest_seconds,
+      rest_share: session.rest_share,
+      work_to_rest: session.work_to_rest,
+      density: session.density
+    })),
+    untimed_sessions: analyses.length - timed.length,
+    avg_rest_seconds: averageOf('avg_rest_seconds', 0),
+    avg_density: averageOf('density', 1),
+    avg_work_to_rest: averageOf('work_to_rest', 2),
+    timer: combineTimerComparisons(timed),
+    slow_sessions: explainSlowSessions(timed)
+  };
+}
+
+/**
+ * Best estimated 1RM of a day's rep bests
+ */
+function getBestEstimated1RM(repBests, formula) {
+  const estimates = Object.entries(repBests || {})
+    .map(([reps, best]) => calculateEstimated1RM(best.load, parseInt(reps, 10), formula))
+    .filter(value => value !== null);
+
+  return estimates.length > 0 ? Math.max(...estimates) : null;
+}
 
-  // Calculate average duration
-  const workoutIds = [...new Set(workouts.map(w => w.workout_id))];
-  const totalDuration = workouts
-    .filter((row, idx, arr) =>
-      arr.findIndex(r => r.workout_id === row.workout_id) === idx
-    )
-    .reduce((sum, row) => sum + (row.duration_seconds || 0), 0);
-  const avgDurationMinutes = workoutIds.length > 0
-    ? Math.round(totalDuration / workoutIds.length / 60)
-    : null;
+/**
+ * Progress entry for a strength exercise's daily rollup
+ * Best estimated 1RM of the day is calculated here so the user's formula applies
+ *
+ * @param {Object} day - exercise_daily_rollup row (date, top_weight, total_volume, rep_bests)
+ * @param {string} formula - 1RM formula
+ * @returns {Object} { date, max_weight, total_volume, estimated_1rm, top_reps }
+ */
+function summarizeStrengthDay(day, formula) {
+  const maxWeight = toNumber(day.top_weight);
 
   return {
-    week: {
-      start: weekStart.toISOString().split('T')[0],
-      end: weekEnd.toISOString().split('T')[0]
-    },
-    total_volume: parseFloat(totalVolume.toFixed(2)),
-    total_workouts: totalWorkouts,
-    total_sets: totalSets,
-    avg_duration_minutes: avgDurationMinutes,
-    volume_by_muscle: volumeByMuscleFormatted,
-    sets_by_muscle: setsByMuscleFormatted,
-    frequency_heatmap: frequencyHeatmap
+    date: day.date,
+    max_weight: maxWeight,
+    total_volume: toNumber(day.total_volume),
+    estimated_1rm: getBestEstimated1RM(day.rep_bests, formula),
+    // Most reps done with the day's top load
+    top_reps: getRepsAtLoad(day.rep_bests, maxWeight)
   };
 }
 
 /**
- * Get exercise progress data for a specific exercise
- * Returns time-series data of all sets across all user's workouts
+ * Get exercise progress data for a specific exercise (one entry per local training day)
+ * Strength: max_weight, total_volume, estimated_1rm (effective loads)
+ * Cardio: total_distance, total_duration, avg_pace, best_split (pace in seconds per km)
+ * Timed: longest_hold, total_time_under_load (seconds)
  *
  * @param {string} exerciseId - Exercise UUID
  * @param {string} userId - User UUID
- * @returns {Promise<Object>} { exerciseId, exerciseName, data, totalSets }
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula used for estimated_1rm (default: 'brzycki')
+ * @returns {Promise<Object>} { exercise_id, exercise_name, exercise_type, progress, total_entries, formula }
  */
-export async function getExerciseProgress(exerciseId, userId) {
+export async function getExerciseProgress(exerciseId, userId, { formula = DEFAULT_E1RM_FORMULA } = {}) {
   if (!exerciseId) {
     throw new Error('Exercise ID is required');
   }
 
   // First, verify the exercise exists
   const exerciseResult = await sql`
-    SELECT id, name
+    SELECT id, name, type
     FROM exercise
     WHERE id = ${exerciseId}
     AND (created_by IS NULL OR created_by = ${userId})
@@ -368,38 +837,254 @@ export async function getExerciseProgress(exerciseId, userId) {
 
   const exercise = exerciseResult[0];
 
-  // Query aggregated data by date (one entry per date)
-  const progressData = await sql`
-    SELECT
-      DATE(w.completed_at) as date,
-      MAX(s.weight) as max_weight,
-      SUM(s.weight * s.reps) as total_volume,
-      MAX(ROUND(s.weight / (1.0278 - 0.0278 * s.reps), 2)) as estimated_1rm
-    FROM "set" s
-    INNER JOIN workout_exercise we ON s.workout_exercise_id = we.id
-    INNER JOIN workout w ON we.workout_id = w.id
-    WHERE we.exercise_id = ${exerciseId}
-    AND w.user_id = ${userId}
-    AND s.is_warmup = false
-    AND s.is_completed = true
-    AND s.weight IS NOT NULL
-    AND s.reps IS NOT NULL
-    GROUP BY DATE(w.completed_at)
-    ORDER BY DATE(w.completed_at) ASC
+  const days = await sql`
+    SELECT date::text as date, top_weight, total_volume, rep_bests, endurance_summary
+    FROM exercise_daily_rollup
+    WHERE user_id = ${userId}
+    AND exercise_id = ${exerciseId}
+    ORDER BY date ASC
   `;
 
-  // Transform the results to snake_case
-  const formattedData = progressData.map(row => ({
-    date: row.date,
-    max_weight: parseFloat(row.max_weight),
-    total_volume: parseFloat(row.total_volume),
-    estimated_1rm: row.estimated_1rm ? parseFloat(row.estimated_1rm) : null
-  }));
+  const progress = isEnduranceType(exercise.type)
+    ? days.map(day => ({ date: day.date, ...day.endurance_summary }))
+    : days.map(day => summarizeStrengthDay(day, formula));
 
   return {
     exercise_id: exercise.id,
     exercise_name: exercise.name,
-    progress: formattedData,
-    total_entries: formattedData.length
+    exercise_type: exercise.type,
+    progress,
+    total_entries: progress.length,
+    formula
+  };
+}
+
+/**
+ * Get plateau alerts for the user's strength exercises (see plateauCalculator.js)
+ * Only exercises trained in the last 4 weeks are checked, over their last ~6 months of sessions
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Optional settings
+ * @param {string} options.exerciseId - Only check this exercise (optional)
+ * @param {string} options.formula - 1RM formula used for estimated_1rm (default: 'brzycki')
+ * @param {string} options.timezone - User's IANA timezone, used for today (default: 'UTC')
+ * @returns {Promise<Object>} { insights, total, formula }
+ *   Each insight: { exercise_id, exercise_name, type, severity, message, sessions, reference?, detected_on }
+ */
+export async function getInsights(userId, {
+  exerciseId = null,
+  formula = DEFAULT_E1RM_FORMULA,
+  timezone = DEFAULT_TIMEZONE
+} = {}) {
+  const todayKey = getDateKey(new Date(), timezone);
+  const fromKey = addDays(todayKey, -INSIGHT_LOOKBACK_DAYS);
+  const activeKey = addDays(todayKey, -INSIGHT_ACTIVE_DAYS);
+
+  const days = await sql`
+    SELECT
+      r.exercise_id,
+      e.name as exercise_name,
+      e.type as exercise_type,
+      r.date::text as date,
+      r.top_weight,
+      r.total_volume,
+      r.rep_bests
+    FROM exercise_daily_rollup r
+    INNER JOIN exercise e ON r.exercise_id = e.id
+    WHERE r.user_id = ${userId}
+    AND (${exerciseId}::uuid IS NULL OR r.exercise_id = ${exerciseId})
+    AND r.date >= ${fromKey}::date
+    ORDER BY r.date ASC
+  `;
+
+  const seriesByExercise = new Map();
+  for (const day of days) {
+    if (isEnduranceType(day.exercise_type)) continue;
+
+    if (!seriesByExercise.has(day.exercise_id)) {
+      seriesByExercise.set(day.exercise_id, { exercise_name: day.exercise_name, series: [] });
+    }
+    seriesByExercise.get(day.exercise_id).series.push(summarizeStrengthDay(day, formula));
+  }
+
+  const insights = [];
+  for (const [id, { exercise_name, series }] of seriesByExercise) {
+    const lastDate = series[series.length - 1].date;
+    if (lastDate < activeKey) continue;
+
+    for (const alert of detectPlateaus(series)) {
+      insights.push({ exercise_id: id, exercise_name, ...alert, detected_on: lastDate });
+    }
+  }
+
+  // Most serious first, then by exercise name
+  insights.sort((a, b) =>
+    PLATEAU_ALERT_TYPES.indexOf(a.type) - PLATEAU_ALERT_TYPES.indexOf(b.type) ||
+    a.exercise_name.localeCompare(b.exercise_name)
+  );
+
+  return {
+    insights,
+    total: insights.length,
+    formula
   };
 }
+
+/**
+ * Get the left/right imbalance of unilateral exercises per session (see unilateralCalculator.js)
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} options - Optional settings
+ * @param {string} options.exerciseId - Only this exercise (default: every unilateral exercise)
+ * @param {string} options.from - Start date YYYY-MM-DD (default: 12 weeks before `to`)
+ * @param {string} options.to - End date YYYY-MM-DD, inclusive (default: today)
+ * @param {string} options.timezone - User's IANA timezone; sessions fall on local dates (default: 'UTC')
+ * @returns {Promise<Object>} { range, exercises }
+ */
+export async function getImbalanceReport(userId, {
+  exerciseId = null,
+  from = null,
+  to = null,
+  timezone = DEFAULT_TIMEZONE
+} = {}) {
+  const toKey = to || getDateKey(new Date(), timezone);
+  const fromKey = from || addDays(toKey, -83);
+
+  if (parseDateKey(fromKey) > parseDateKey(toKey)) {
+    throw new Error('from must be on or before to');
+  }
+
+  const rows = await sql`
+    SELECT
+      w.id as workout_id,
+      w.completed_at,
+      e.id as exercise_id,
+      e.name as exercise_name,
+      e.type as exercise_type,
+      e.load_mode,
+      e.bodyweight_fraction,
+      s.left_weight,
+      s.left_reps,
+      s.right_weight,
+      s.right_reps
+    FROM workout w
+    INNER JOIN workout_exercise we ON w.id = we.workout_id
+    INNER JOIN exercise e ON we.exercise_id = e.id
+    INNER JOIN "set" s ON we.id = s.workout_exercise_id
+    WHERE w.user_id = ${userId}
+    AND w.completed_at IS NOT NULL
+    AND w.completed_at >= ${getStartOfDay(fromKey, timezone).toISOString()}::timestamptz
+    AND w.completed_at < ${getStartOfDay(addDays(toKey, 1), timezone).toISOString()}::timestamptz
+    AND (${exerciseId}::uuid IS NULL OR e.id = ${exerciseId}::uuid)
+    AND s.is_completed = true
+    AND s.is_warmup = false
+    AND s.left_reps IS NOT NULL
+    ORDER BY w.completed_at, we.order_index, s.set_number
+  `;
+
+  await attachBodyweights(sql, userId, rows, { timezone });
+  for (const row of rows) {
+    row.date = getDateKey(row.completed_at, timezone);
+  }
+
+  return {
+    range: {
+      from: fromKey,
+      to: toKey
+    },
+    exercises: buildImbalanceReport(rows)
+  };
+}
+
+/**
+ * Get the current value and recent daily values behind each goal (see goalCalculator.js)
+ * - e1rm / rep_max: best estimated 1RM / most reps at the target weight over the last 90 days
+ * - bodyweight: latest bodyweight entry in the last 90 days
+ * - weekly_workouts / muscle_volume: workouts / the muscle's sets this week, with one point per
+ *   week since the goal was set (up to GOAL_HISTORY_WEEKS)
+ *
+ * @param {string} userId - User UUID
+ * @param {Array<Object>} goals - Goals { id, type, exercise_id, muscle, target_weight, created_at }
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula used for e1rm goals (default: 'brzycki')
+ * @param {string} options.timezone - User's IANA timezone, used for today (default: 'UTC')
+ * @returns {Promise<Map>} Goal id => { current, series: [{ date, value }] }
+ */
+export async function getGoalMetrics(userId, goals, { formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
+  const todayKey = getDateKey(new Date(), timezone);
+  const fromKey = addDays(todayKey, -GOAL_LOOKBACK_DAYS);
+  const metrics = new Map();
+
+  // Exercise rollups, read once per exercise
+  const exerciseDays = new Map();
+  for (const exerciseId of new Set(goals.map(goal => goal.exercise_id).filter(Boolean))) {
+    exerciseDays.set(exerciseId, await sql`
+      SELECT date::text as date, rep_bests
+      FROM exercise_daily_rollup
+      WHERE user_id = ${userId}
+      AND exercise_id = ${exerciseId}
+      AND date >= ${fromKey}::date
+      ORDER BY date ASC
+    `);
+  }
+
+  const bodyweights = goals.some(goal => goal.type === 'bodyweight')
+    ? await sql`
+      SELECT recorded_on::text as date, weight
+      FROM bodyweight_entry
+      WHERE user_id = ${userId}
+      AND recorded_on >= ${fromKey}::date
+      ORDER BY recorded_on ASC
+    `
+    : [];
+
+  // Weekly goals report the recent weeks as hit or missed, back to the week each goal was set
+  const currentWeekKey = getWeekStart(todayKey);
+  const firstWeekKey = addDays(currentWeekKey, -7 * (GOAL_HISTORY_WEEKS - 1));
+  const weekRows = goals.some(goal => WEEKLY_GOAL_TYPES.includes(goal.type))
+    ? await sql`
+      SELECT week_start::text as week_start, workout_count, sets_by_muscle
+      FROM weekly_stats_rollup
+      WHERE user_id = ${userId}
+      AND week_start >= ${firstWeekKey}::date
+      ORDER BY week_start ASC
+    `
+    : [];
+  const weeksByStart = new Map(weekRows.map(row => [row.week_start, row]));
+
+  for (const goal of goals) {
+    let series = [];
+    let current = null;
+
+    if (goal.type === 'e1rm' || goal.type === 'rep_max') {
+      const minLoad = goal.target_weight === null || goal.target_weight === undefined ? null : toNumber(goal.target_weight);
+      series = (exerciseDays.get(goal.exercise_id) || [])
+        .map(day => ({
+          date: day.date,
+          value: goal.type === 'e1rm' ? getBestEstimated1RM(day.rep_bests, formula) : getRepsAtLoad(day.rep_bests, minLoad)
+        }))
+        .filter(point => point.value !== null);
+      current = series.length > 0 ? Math.max(...series.map(point => point.value)) : null;
+    } else if (goal.type === 'bodyweight') {
+      series = bodyweights.map(entry => ({ date: entry.date, value: toNumber(entry.weight) }));
+      current = series.length > 0 ? series[series.length - 1].value : null;
+    } else {
+      const setWeekKey = goal.created_at ? getWeekStart(getDateKey(goal.created_at, timezone)) : firstWeekKey;
+      let weekKey = setWeekKey > firstWeekKey ? setWeekKey : firstWeekKey;
+      for (; weekKey <= currentWeekKey; weekKey = addDays(weekKey, 7)) {
+        const week = weeksByStart.get(weekKey);
+        series.push({
+          date: weekKey,
+          value: goal.type === 'weekly_workouts'
+            ? week?.workout_count || 0
+            : toNumber(week?.sets_by_muscle?.[goal.muscle])
+        });
+      }
+      current = series[series.length - 1].value;
+    }
+
+    metrics.set(goal.id, { current, series });
+  }
+
+  return metrics;
+}
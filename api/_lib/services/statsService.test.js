@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 // Mock the database
 vi.mock('../db.js', () => {
@@ -7,9 +7,104 @@ vi.mock('../db.js', () => {
   return { sql: mockSql };
 });
 
-import { getPRs, getWeeklyStats, getExerciseProgress } from './statsService.js';
+import {
+  getPRs,
+  getWeeklyStats,
+  getLaggingMuscleStats,
+  getRangeStats,
+  getTrainingLoad,
+  getWorkoutDensity,
+  getDensityTrends,
+  getCalendar,
+  getRecap,
+  getInsights,
+  getImbalanceReport,
+  getGoalMetrics,
+  getExerciseProgress,
+} from './statsService.js';
+import { buildStatsRollups } from './statsRollupService.js';
 import { sql } from '../db.js';
 
+// A completed set row as scanned by statsRollupService
+const setRow = (overrides) => ({
+  workout_id: 'w1',
+  workout_name: 'Push Day',
+  completed_at: '2024-06-03T10:00:00Z',
+  duration_seconds: 3600,
+  exercise_id: 'ex1',
+  exercise_name: 'Bench Press',
+  primary_muscles: ['chest'],
+  secondary_muscles: ['triceps'],
+  exercise_type: 'weighted',
+  load_mode: 'external',
+  bodyweight_fraction: '1.00',
+  weight: '100',
+  reps: 10,
+  rir: 1,
+  set_duration_seconds: null,
+  distance_meters: null,
+  is_warmup: false,
+  ...overrides,
+});
+
+// Roll set rows up with the real rollup builder (DECIMAL columns come back as strings)
+function rollUp(rows, timezone = 'UTC') {
+  const { daily, weekly, exercises } = buildStatsRollups(rows, { timezone });
+  const stored = row => ({ ...row, total_volume: String(row.total_volume) });
+
+  return {
+    daily: daily.map(stored),
+    weekly: weekly.map(stored),
+    exercises: exercises.map(day => {
+      const row = rows.find(set => set.exercise_id === day.exercise_id);
+      return {
+        ...stored(day),
+        top_weight: day.top_weight === null ? null : String(day.top_weight),
+        exercise_name: row.exercise_name,
+        exercise_type: row.exercise_type,
+      };
+    }),
+  };
+}
+
+// Stored rollup rows for the getPRs and getWeeklyStats tests, written out by hand so the reads are
+// checked against the numbers the old full-history scans reported, not against buildStatsRollups
+const repBest = (load, overrides) => ({
+  load,
+  rir: 1,
+  workout_id: 'w1',
+  workout_name: 'Push Day',
+  completed_at: '2024-06-03T10:00:00Z',
+  ...overrides,
+});
+
+const exerciseDay = (overrides) => ({
+  exercise_id: 'ex1',
+  exercise_name: 'Bench Press',
+  exercise_type: 'weighted',
+  rep_bests: {},
+  endurance_bests: [],
+  ...overrides,
+});
+
+const weekRow = (overrides) => ({
+  total_volume: '0.00',
+  total_sets: 0,
+  workout_count: 1,
+  total_duration_seconds: 3600,
+  volume_by_muscle: {},
+  sets_by_muscle: {},
+  ...overrides,
+});
+
+const dayRow = (overrides) => ({ date: '2024-06-03', workout_count: 1, trained_muscles: ['chest', 'triceps'], ...overrides });
+
+// Mock the weekly rollup query, then the daily rollup query
+function mockWeek(weeks, days = []) {
+  sql.mockResolvedValueOnce(weeks);
+  sql.mockResolvedValueOnce(days);
+}
+
 describe('Stats Service', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -22,38 +117,87 @@ describe('Stats Service', () => {
       const result = await getPRs('user-A');
       expect(result.prs).toEqual([]);
       expect(result.total).toBe(0);
+      expect(result.endurance_prs).toEqual([]);
     });
 
     it('groups PRs by exercise and rep range', async () => {
       sql.mockResolvedValueOnce([
-        {
-          exercise_id: 'ex1',
-          exercise_name: 'Bench Press',
-          workout_id: 'w1',
-          workout_name: 'Push Day',
-          date: '2024-06-01',
-          weight: '225',
-          reps: 5,
-          rir: 2,
-          estimated_1rm: '253.16',
-        },
-        {
-          exercise_id: 'ex1',
-          exercise_name: 'Bench Press',
-          workout_id: 'w2',
-          workout_name: 'Push Day 2',
-          date: '2024-06-08',
-          weight: '200',
-          reps: 10,
-          rir: 1,
-          estimated_1rm: '266.67',
-        },
+        exerciseDay({ rep_bests: { 5: repBest(225, { rir: 2 }) } }),
+        exerciseDay({ rep_bests: { 10: repBest(200, { workout_id: 'w2', completed_at: '2024-06-08T10:00:00Z' }) } }),
       ]);
 
       const result = await getPRs('user-A');
       expect(result.prs.length).toBe(2);
       // Both should be for Bench Press but different rep ranges
       expect(result.prs.every(pr => pr.exercise_name === 'Bench Press')).toBe(true);
+      expect(result.prs[0]).toMatchObject({
+        rep_range: '5RM',
+        max_weight: 225,
+        reps: 5,
+        rir: 2,
+        date: '2024-06-03T10:00:00Z',
+        workout_id: 'w1',
+        workout_name: 'Push Day',
+      });
+      expect(result.prs[1]).toMatchObject({ rep_range: '10RM', max_weight: 200, reps: 10, workout_id: 'w2' });
+    });
+
+    it('buckets PRs by the requested rep ranges', async () => {
+      sql.mockResolvedValueOnce([
+        exerciseDay({
+          exercise_name: 'Leg Press',
+          rep_bests: { 5: repBest(400), 15: repBest(340), 20: repBest(300) },
+        }),
+      ]);
+      const repRanges = [{ name: '15RM', min: 13, max: 15 }, { name: '20RM', min: 16, max: 20 }];
+
+      const result = await getPRs('user-A', null, { repRanges });
+      expect(result.rep_ranges).toEqual(repRanges);
+      expect(result.prs.map(pr => [pr.rep_range, pr.max_weight])).toEqual([
+        ['15RM', 340],
+        ['20RM', 300],
+      ]);
+    });
+
+    it('reports endurance PRs for cardio and timed exercises', async () => {
+      sql.mockResolvedValueOnce([
+        exerciseDay({
+          exercise_id: 'ex-run',
+          exercise_name: 'Running',
+          exercise_type: 'cardio',
+          endurance_bests: [{
+            workout_id: 'w1',
+            workout_name: 'Tempo Run',
+            completed_at: '2024-06-03T10:00:00Z',
+            duration_seconds: 1450,
+            distance_meters: '5000.00',
+          }],
+        }),
+        exerciseDay({
+          exercise_id: 'ex-plank',
+          exercise_name: 'Plank',
+          exercise_type: 'timed',
+          endurance_bests: [{
+            workout_id: 'w2',
+            workout_name: 'Core',
+            completed_at: '2024-06-04T10:00:00Z',
+            duration_seconds: 150,
+            distance_meters: null,
+          }],
+        }),
+      ]);
+
+      const result = await getPRs('user-A');
+      expect(result.prs).toEqual([]);
+      expect(result.endurance_prs.find(pr => pr.category === 'fastest_5k')).toMatchObject({
+        exercise_name: 'Running',
+        value: 1450,
+        workout_name: 'Tempo Run',
+      });
+      expect(result.endurance_prs.find(pr => pr.category === 'longest_hold')).toMatchObject({
+        exercise_name: 'Plank',
+        value: 150,
+      });
     });
 
     it('filters by exerciseId when provided', async () => {
@@ -61,34 +205,15 @@ describe('Stats Service', () => {
 
       await getPRs('user-A', 'exercise-123');
 
-      // The first sql call should be the exerciseId-filtered query
+      // Strength and endurance PRs come from the same rollup query
       expect(sql).toHaveBeenCalledTimes(1);
+      expect(sql.mock.calls[0]).toContain('exercise-123');
     });
 
     it('picks heavier weight as PR for same rep range', async () => {
       sql.mockResolvedValueOnce([
-        {
-          exercise_id: 'ex1',
-          exercise_name: 'Squat',
-          workout_id: 'w1',
-          workout_name: 'Leg Day',
-          date: '2024-06-01',
-          weight: '315',
-          reps: 1,
-          rir: 0,
-          estimated_1rm: '315',
-        },
-        {
-          exercise_id: 'ex1',
-          exercise_name: 'Squat',
-          workout_id: 'w2',
-          workout_name: 'Leg Day 2',
-          date: '2024-06-08',
-          weight: '300',
-          reps: 1,
-          rir: 0,
-          estimated_1rm: '300',
-        },
+        exerciseDay({ exercise_name: 'Squat', rep_bests: { 1: repBest(315) } }),
+        exerciseDay({ exercise_name: 'Squat', rep_bests: { 1: repBest(300, { workout_id: 'w2', completed_at: '2024-06-08T10:00:00Z' }) } }),
       ]);
 
       const result = await getPRs('user-A');
@@ -96,30 +221,20 @@ describe('Stats Service', () => {
       expect(result.prs[0].max_weight).toBe(315);
     });
 
+    it('keeps the most recent set when loads tie', async () => {
+      sql.mockResolvedValueOnce([
+        exerciseDay({ rep_bests: { 5: repBest(225) } }),
+        exerciseDay({ rep_bests: { 5: repBest(225, { workout_id: 'w2', completed_at: '2024-06-08T10:00:00Z' }) } }),
+      ]);
+
+      const result = await getPRs('user-A');
+      expect(result.prs[0].workout_id).toBe('w2');
+    });
+
     it('sorts PRs by exercise name then rep range', async () => {
       sql.mockResolvedValueOnce([
-        {
-          exercise_id: 'ex2',
-          exercise_name: 'Squat',
-          workout_id: 'w1',
-          workout_name: 'Leg Day',
-          date: '2024-06-01',
-          weight: '315',
-          reps: 1,
-          rir: 0,
-          estimated_1rm: '315',
-        },
-        {
-          exercise_id: 'ex1',
-          exercise_name: 'Bench Press',
-          workout_id: 'w1',
-          workout_name: 'Push Day',
-          date: '2024-06-01',
-          weight: '225',
-          reps: 1,
-          rir: 0,
-          estimated_1rm: '225',
-        },
+        exerciseDay({ exercise_id: 'ex2', exercise_name: 'Squat', rep_bests: { 1: repBest(315) } }),
+        exerciseDay({ exercise_id: 'ex1', exercise_name: 'Bench Press', rep_bests: { 1: repBest(225) } }),
       ]);
 
       const result = await getPRs('user-A');
@@ -127,29 +242,47 @@ describe('Stats Service', () => {
       expect(result.prs[1].exercise_name).toBe('Squat');
     });
 
-    it('handles null estimated_1rm gracefully', async () => {
+    it('handles zero weight with null estimated_1rm', async () => {
+      sql.mockResolvedValueOnce([exerciseDay({ rep_bests: { 1: repBest(0) } })]);
+
+      const result = await getPRs('user-A');
+      expect(result.prs[0].estimated_1rm).toBeNull();
+    });
+
+    it('uses Brzycki by default and reports the formula', async () => {
+      sql.mockResolvedValueOnce([exerciseDay({ rep_bests: { 5: repBest(225) } })]);
+
+      const result = await getPRs('user-A');
+      expect(result.formula).toBe('brzycki');
+      // 225 / (1.0278 - 0.0278 * 5)
+      expect(result.prs[0].estimated_1rm).toBeCloseTo(253.15, 1);
+    });
+
+    it('calculates estimated_1rm with the requested formula', async () => {
+      sql.mockResolvedValueOnce([exerciseDay({ rep_bests: { 5: repBest(225) } })]);
+
+      const result = await getPRs('user-A', null, { formula: 'epley' });
+      expect(result.formula).toBe('epley');
+      // 225 * (1 + 5 / 30)
+      expect(result.prs[0].estimated_1rm).toBe(262.5);
+    });
+
+    it('compares bodyweight-loaded sets by effective load', async () => {
+      const pullUp = { exercise_id: 'ex2', exercise_name: 'Pull-Up', exercise_type: 'bodyweight' };
       sql.mockResolvedValueOnce([
-        {
-          exercise_id: 'ex1',
-          exercise_name: 'Bench Press',
-          workout_id: 'w1',
-          workout_name: 'Push Day',
-          date: '2024-06-01',
-          weight: '225',
-          reps: 1,
-          rir: 0,
-          estimated_1rm: null,
-        },
+        exerciseDay({ ...pullUp, rep_bests: { 5: repBest(196) } }), // 180 * 0.95 + 25
+        exerciseDay({ ...pullUp, rep_bests: { 5: repBest(181, { workout_id: 'w2', completed_at: '2024-06-08T10:00:00Z' }) } }), // + 10
       ]);
 
       const result = await getPRs('user-A');
-      expect(result.prs[0].estimated_1rm).toBeNull();
+      expect(result.prs).toHaveLength(1);
+      expect(result.prs[0].max_weight).toBe(196);
     });
   });
 
   describe('getWeeklyStats', () => {
     it('returns empty stats for a week with no workouts', async () => {
-      sql.mockResolvedValueOnce([]);
+      mockWeek([], []);
 
       const result = await getWeeklyStats('user-A', '2024-06-03');
       expect(result.total_workouts).toBe(0);
@@ -164,79 +297,54 @@ describe('Stats Service', () => {
     });
 
     it('calculates volume correctly for weighted exercises', async () => {
-      sql.mockResolvedValueOnce([
-        {
-          workout_id: 'w1',
-          workout_name: 'Push Day',
-          completed_at: '2024-06-03T10:00:00Z',
-          duration_seconds: 3600,
-          workout_date: '2024-06-03',
-          exercise_id: 'ex1',
-          exercise_name: 'Bench Press',
-          primary_muscles: ['chest'],
-          secondary_muscles: ['triceps'],
-          exercise_type: 'weighted',
-          weight: '225',
-          reps: 10,
-          is_warmup: false,
-        },
-      ]);
+      // One 225 × 10 bench set: chest gets it all, triceps half
+      mockWeek([weekRow({
+        total_volume: '2250.00',
+        total_sets: 1,
+        volume_by_muscle: { chest: 2250, triceps: 1125 },
+        sets_by_muscle: { chest: 1, triceps: 0.5 },
+      })], [dayRow()]);
 
       const result = await getWeeklyStats('user-A', '2024-06-03');
       expect(result.total_volume).toBe(2250);
+      expect(result.total_sets).toBe(1);
+      expect(result.total_workouts).toBe(1);
+      expect(result.avg_duration_minutes).toBe(60);
       expect(result.volume_by_muscle.chest).toBe(2250);
       // Secondary muscles get 50% attribution
       expect(result.volume_by_muscle.triceps).toBe(1125);
+      expect(result.sets_by_muscle).toEqual({ chest: 1, triceps: 0.5 });
     });
 
-    it('excludes warmup sets from volume calculation', async () => {
-      sql.mockResolvedValueOnce([
-        {
-          workout_id: 'w1',
-          workout_name: 'Push Day',
-          completed_at: '2024-06-03T10:00:00Z',
-          duration_seconds: 3600,
-          workout_date: '2024-06-03',
-          exercise_id: 'ex1',
-          exercise_name: 'Bench Press',
-          primary_muscles: ['chest'],
-          secondary_muscles: [],
-          exercise_type: 'weighted',
-          weight: '135',
-          reps: 10,
-          is_warmup: true,
-        },
-      ]);
+    it('counts a warm-up-only workout without volume', async () => {
+      mockWeek([weekRow()], [dayRow({ trained_muscles: [] })]);
 
       const result = await getWeeklyStats('user-A', '2024-06-03');
       expect(result.total_volume).toBe(0);
+      expect(result.total_workouts).toBe(1);
+      expect(result.frequency_heatmap[0]).toEqual({ date: '2024-06-03', muscles: [], workoutCount: 1 });
     });
 
-    it('uses 150 lbs estimate for bodyweight exercises', async () => {
-      sql.mockResolvedValueOnce([
-        {
-          workout_id: 'w1',
-          workout_name: 'Calisthenics',
-          completed_at: '2024-06-03T10:00:00Z',
-          duration_seconds: 1800,
-          workout_date: '2024-06-03',
-          exercise_id: 'ex1',
-          exercise_name: 'Pull-ups',
-          primary_muscles: ['lats'],
-          secondary_muscles: ['biceps'],
-          exercise_type: 'bodyweight',
-          weight: null,
-          reps: 10,
-          is_warmup: false,
-        },
-      ]);
+    it('reports bodyweight volume from the stored totals', async () => {
+      // Pull-ups × 10 at the 150 lbs default
+      mockWeek([weekRow({ total_volume: '1500.00', total_sets: 1, volume_by_muscle: { lats: 1500, biceps: 750 } })]);
+
+      const result = await getWeeklyStats('user-A', '2024-06-03');
+      expect(result.total_volume).toBe(1500);
+      expect(result.volume_by_muscle).toEqual({ lats: 1500, biceps: 750 });
+    });
+
+    it('applies the exercise load mode to bodyweight volume', async () => {
+      // Push-ups: 200 * 0.64 * 10 = 1280; assisted dips: (200 * 0.95 - 50) * 10 = 1400
+      mockWeek([weekRow({ total_volume: '2680.00', total_sets: 2, volume_by_muscle: { chest: 2680, triceps: 1340 } })]);
 
       const result = await getWeeklyStats('user-A', '2024-06-03');
-      expect(result.total_volume).toBe(1500); // 150 * 10
+      expect(result.total_volume).toBe(2680);
+      expect(result.volume_by_muscle).toEqual({ chest: 2680, triceps: 1340 });
     });
 
     it('builds frequency heatmap for all 7 days', async () => {
-      sql.mockResolvedValueOnce([]);
+      mockWeek([weekRow()], [dayRow({ date: '2024-06-05' })]);
 
       const result = await getWeeklyStats('user-A', '2024-06-03');
       expect(result.frequency_heatmap).toHaveLength(7);
@@ -245,14 +353,563 @@ describe('Stats Service', () => {
         expect(day).toHaveProperty('muscles');
         expect(day).toHaveProperty('workoutCount');
       });
+      expect(result.frequency_heatmap[2]).toEqual({ date: '2024-06-05', muscles: ['chest', 'triceps'], workoutCount: 1 });
+      expect(result.frequency_heatmap[0]).toEqual({ date: '2024-06-03', muscles: [], workoutCount: 0 });
+    });
+
+    it('reads the rollups for the requested local week', async () => {
+      mockWeek([], []);
+
+      const result = await getWeeklyStats('user-A', '2024-06-03', { timezone: 'America/Los_Angeles' });
+      expect(result.week).toEqual({ start: '2024-06-03', end: '2024-06-09' });
+
+      expect(sql.mock.calls[0]).toContain('2024-06-03');
+      expect(sql.mock.calls[1]).toContain('2024-06-03');
+      expect(sql.mock.calls[1]).toContain('2024-06-09');
+    });
+
+    it('puts an evening workout in the Americas on the local day of the heatmap', async () => {
+      // Completed 2024-06-10T03:00Z, Sunday 8pm PDT, so the rollup is keyed to June 9
+      mockWeek([weekRow()], [dayRow({ date: '2024-06-09', trained_muscles: ['chest'] })]);
+
+      const result = await getWeeklyStats('user-A', '2024-06-03', { timezone: 'America/Los_Angeles' });
+      const sunday = result.frequency_heatmap.find(day => day.date === '2024-06-09');
+      expect(sunday.workoutCount).toBe(1);
+      expect(sunday.muscles).toEqual(['chest']);
+    });
+
+    it('defaults to the current local week', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-06-10T03:00:00Z')); // Sunday evening in Los Angeles
+      mockWeek([], []);
+
+      const result = await getWeeklyStats('user-A', null, { timezone: 'America/Los_Angeles' });
+      expect(result.week).toEqual({ start: '2024-06-03', end: '2024-06-09' });
+
+      vi.useRealTimers();
     });
 
-    it('defaults to current week when no weekDate provided', async () => {
+    it('compares sets by muscle against the set targets', async () => {
+      // Two bench sets: 2 chest, 2 × 0.5 triceps
+      mockWeek([weekRow({ total_sets: 2, sets_by_muscle: { chest: 2, triceps: 1 } })]);
+
+      const setTargets = { chest: { min: 2, max: 4 }, triceps: { min: 2, max: 6 } };
+      const result = await getWeeklyStats('user-A', '2024-06-03', { setTargets });
+
+      expect(result.set_targets).toEqual([
+        { muscle: 'chest', sets: 2, min: 2, max: 4, status: 'within', sets_needed: 0 },
+        { muscle: 'triceps', sets: 1, min: 2, max: 6, status: 'under', sets_needed: 1 }
+      ]);
+    });
+
+    it('uses the MEV preset without set targets', async () => {
+      mockWeek([], []);
+
+      const result = await getWeeklyStats('user-A', '2024-06-03');
+      expect(result.set_targets.find(target => target.muscle === 'chest')).toMatchObject({ min: 10, max: 20, status: 'under' });
+    });
+  });
+
+  describe('getLaggingMuscleStats', () => {
+    it('lists the muscles under target, furthest behind first', async () => {
+      sql.mockResolvedValueOnce(rollUp([
+        ...Array(6).fill(setRow({ workout_id: 'w1' })),
+        setRow({ workout_id: 'w1', exercise_id: 'ex2', primary_muscles: ['quads'], secondary_muscles: ['glutes'] }),
+      ]).weekly);
+
+      const setTargets = {
+        chest: { min: 10, max: 20 },
+        triceps: { min: 6, max: 14 },
+        quads: { min: 8, max: 18 },
+        glutes: { min: 0, max: 12 }
+      };
+      const result = await getLaggingMuscleStats('user-A', '2024-06-03', { setTargets });
+
+      expect(result.week).toEqual({ start: '2024-06-03', end: '2024-06-09' });
+      expect(result.lagging.map(entry => [entry.muscle, entry.sets_needed])).toEqual([
+        ['quads', 7],
+        ['triceps', 3],
+        ['chest', 4]
+      ]);
+      expect(result.set_targets).toHaveLength(4);
+    });
+
+    it('throws on invalid date format', async () => {
+      await expect(getLaggingMuscleStats('user-A', 'not-a-date')).rejects.toThrow('Invalid date format');
+    });
+  });
+
+  describe('getRangeStats', () => {
+    const row = (overrides) => setRow({ completed_at: '2024-06-04T18:00:00.000Z', ...overrides });
+
+    it('rejects an unknown granularity', async () => {
+      await expect(getRangeStats('user-A', { granularity: 'year' }))
+        .rejects.toThrow('granularity must be one of: day, week, month');
+    });
+
+    it('rejects invalid dates and reversed ranges', async () => {
+      await expect(getRangeStats('user-A', { from: '2024-13-40', to: '2024-06-30' }))
+        .rejects.toThrow('Invalid date format');
+      await expect(getRangeStats('user-A', { from: '2024-07-01', to: '2024-06-01' }))
+        .rejects.toThrow('from must be on or before to');
+    });
+
+    it('rejects ranges with too many buckets', async () => {
+      await expect(getRangeStats('user-A', { from: '2022-01-01', to: '2024-01-01', granularity: 'day' }))
+        .rejects.toThrow('Range must be at most 366 days');
+    });
+
+    it('returns every bucket in the range, including empty ones', async () => {
       sql.mockResolvedValueOnce([]);
 
-      const result = await getWeeklyStats('user-A');
-      expect(result.week).toHaveProperty('start');
-      expect(result.week).toHaveProperty('end');
+      const result = await getRangeStats('user-A', { from: '2024-06-05', to: '2024-06-20', granularity: 'week' });
+      // Weeks start on Monday: Jun 3, 10, 17
+      expect(result.buckets.map(b => b.start)).toEqual(['2024-06-03', '2024-06-10', '2024-06-17']);
+      expect(result.buckets[0].end).toBe('2024-06-09');
+      expect(result.buckets[0].total_workouts).toBe(0);
+      expect(result.range).toEqual({ from: '2024-06-05', to: '2024-06-20', granularity: 'week' });
+    });
+
+    it('aggregates totals per bucket and for the whole range', async () => {
+      sql.mockResolvedValueOnce(rollUp([
+        row({ workout_id: 'w1', completed_at: '2024-06-04T18:00:00.000Z' }),
+        row({ workout_id: 'w1', completed_at: '2024-06-04T18:00:00.000Z', is_warmup: true, weight: '50' }),
+        row({ workout_id: 'w2', completed_at: '2024-07-02T18:00:00.000Z', duration_seconds: 1800, weight: '200', reps: 5 })
+      ]).daily);
+
+      const result = await getRangeStats('user-A', { from: '2024-06-01', to: '2024-07-31', granularity: 'month' });
+
+      expect(result.buckets).toHaveLength(2);
+      expect(result.buckets[0]).toMatchObject({
+        start: '2024-06-01',
+        end: '2024-06-30',
+        total_volume: 1000,
+        total_sets: 1,
+        total_workouts: 1,
+        avg_duration_minutes: 60
+      });
+      expect(result.buckets[1]).toMatchObject({ start: '2024-07-01', total_volume: 1000, total_workouts: 1 });
+
+      expect(result.total_volume).toBe(2000);
+      expect(result.total_sets).toBe(2);
+      expect(result.total_workouts).toBe(2);
+      expect(result.avg_duration_minutes).toBe(45);
+      expect(result.volume_by_muscle).toEqual({ chest: 2000, triceps: 1000 });
+      expect(result.sets_by_muscle).toEqual({ chest: 2, triceps: 1 });
+    });
+  });
+
+  describe('getRangeStats timezone handling', () => {
+    it('buckets by local date across a DST change', async () => {
+      sql.mockResolvedValueOnce(rollUp([
+        // Sat Mar 9 11pm EST (Sunday in UTC)
+        setRow({ workout_id: 'w1', completed_at: '2024-03-10T04:00:00Z', duration_seconds: 600, reps: 1 }),
+        // Sun Mar 10 11pm EDT (Monday in UTC)
+        setRow({ workout_id: 'w2', completed_at: '2024-03-11T03:00:00Z', duration_seconds: 600, reps: 2 })
+      ], 'America/New_York').daily);
+
+      const result = await getRangeStats('user-A', {
+        from: '2024-03-09',
+        to: '2024-03-11',
+        granularity: 'day',
+        timezone: 'America/New_York'
+      });
+
+      expect(result.buckets.map(b => [b.start, b.total_volume])).toEqual([
+        ['2024-03-09', 100],
+        ['2024-03-10', 200],
+        ['2024-03-11', 0]
+      ]);
+
+      // Daily rollups are already keyed by local date
+      const values = sql.mock.calls[0].slice(1);
+      expect(values).toContain('2024-03-09');
+      expect(values).toContain('2024-03-11');
+    });
+  });
+
+  describe('getCalendar', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-06-12T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('returns the year\'s training days with intensity and streaks', async () => {
+      const { daily, weekly } = rollUp([
+        setRow({ workout_id: 'w1', completed_at: '2024-06-03T10:00:00Z', reps: 10 }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-10T10:00:00Z', reps: 5 }),
+        setRow({ workout_id: 'w3', completed_at: '2024-06-11T10:00:00Z', reps: 3 }),
+      ]);
+      sql.mockResolvedValueOnce(daily);
+      sql.mockResolvedValueOnce(daily.map(day => ({ date: day.date })));
+      sql.mockResolvedValueOnce(weekly.map(week => ({ week_start: week.week_start, workout_count: week.workout_count })));
+
+      const result = await getCalendar('user-A', { year: 2024, workoutsPerWeek: 2 });
+
+      expect(sql.mock.calls[0].slice(1)).toEqual(['user-A', '2024-01-01', '2024-12-31']);
+      expect(result).toMatchObject({ year: 2024, total_days: 3, total_workouts: 3 });
+      expect(result.days[0]).toEqual({
+        date: '2024-06-03',
+        workout_count: 1,
+        total_volume: 1000,
+        total_sets: 1,
+        muscles: ['chest', 'triceps'],
+        intensity: 4,
+      });
+      expect(result.days.map(day => day.intensity)).toEqual([4, 2, 2]);
+      expect(result.streaks).toEqual({
+        days: { current: 2, longest: 2 },
+        weeks: { current: 1, longest: 1, workouts_per_week: 2 },
+      });
+    });
+
+    it('defaults to the current year and rejects invalid years', async () => {
+      await getCalendar('user-A');
+      expect(sql.mock.calls[0].slice(1)).toEqual(['user-A', '2024-01-01', '2024-12-31']);
+
+      await expect(getCalendar('user-A', { year: '24' })).rejects.toThrow('Year must be a four-digit year');
+    });
+  });
+
+  describe('getRecap', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-06-12T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('assembles the recap from daily stats, exercise rollups and the PR ledger', async () => {
+      const { daily, exercises } = rollUp([
+        setRow({ workout_id: 'w1', completed_at: '2024-06-03T10:00:00Z' }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-04T10:00:00Z', duration_seconds: 1800, weight: '110' }),
+      ]);
+      sql.mockResolvedValueOnce(daily);
+      sql.mockResolvedValueOnce(exercises);
+      sql.mockResolvedValueOnce([
+        { exercise_id: 'ex1', exercise_name: 'Bench Press', rep_range: '10RM', weight: '110.00', reps: 10, previous_weight: '100.00' },
+      ]);
+
+      const result = await getRecap('user-A', { period: 'month', timezone: 'America/New_York' });
+
+      expect(result).toMatchObject({
+        period: 'month',
+        start: '2024-06-01',
+        end: '2024-06-30',
+        in_progress: true,
+        total_workouts: 2,
+        training_days: 2,
+        hours_trained: 1.5,
+        total_volume: 2100,
+        top_muscles: [{ muscle: 'chest', sets: 2 }, { muscle: 'triceps', sets: 1 }],
+        top_exercises: [{ exercise_id: 'ex1', exercise_name: 'Bench Press', days: 2, sets: 2, top_weight: 110 }],
+        prs: { count: 1, first_records: 0, biggest_jumps: [{ rep_range: '10RM', jump: 10 }] },
+        longest_streak: { days: 2, weeks: 1, workouts_per_week: 1 },
+        best_week: { week_start: '2024-06-03', workout_count: 2 },
+      });
+
+      // PRs are bounded by local midnight (EDT) at both ends of the month
+      expect(sql.mock.calls[2].slice(1)).toEqual(['user-A', '2024-06-01T04:00:00.000Z', '2024-07-01T04:00:00.000Z']);
+    });
+
+    it('rejects an invalid period', async () => {
+      await expect(getRecap('user-A', { period: 'week' })).rejects.toThrow('period must be one of: month, year');
+    });
+  });
+
+  describe('getTrainingLoad', () => {
+    it('rejects an invalid date', async () => {
+      await expect(getTrainingLoad('user-A', { date: '2024-13-40' })).rejects.toThrow('Invalid date');
+    });
+
+    it('reads enough daily rollups for the 28-day series and its chronic windows', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      const result = await getTrainingLoad('user-A', { date: '2024-06-28' });
+
+      const values = sql.mock.calls[0].slice(1);
+      expect(values).toEqual(['user-A', '2024-05-05', '2024-06-28']);
+      expect(result).toMatchObject({ date: '2024-06-28', ratio: null, status: 'insufficient_data' });
+      expect(result.series).toHaveLength(28);
+    });
+
+    it('reports the workload ratio from stored daily loads', async () => {
+      const days = [];
+      for (let day = 1; day <= 28; day++) {
+        const date = `2024-06-${String(day).padStart(2, '0')}`;
+        // Three heavier sessions in the last week
+        const reps = day >= 24 && day % 2 === 0 ? 20 : 10;
+        days.push(setRow({ workout_id: `w${day}`, completed_at: `${date}T10:00:00Z`, rir: 3, reps }));
+      }
+      const daily = rollUp(days).daily.map(day => ({ ...day, training_load: String(day.training_load) }));
+      sql.mockResolvedValueOnce(daily);
+
+      const result = await getTrainingLoad('user-A', { date: '2024-06-28' });
+
+      // Acute (4 * 1000 + 3 * 2000) / 7, chronic (25 * 1000 + 3 * 2000) / 28
+      expect(result).toMatchObject({ acute_load: 1428.57, chronic_load: 1107.14, ratio: 1.29, status: 'optimal' });
+      expect(result.muscle_fatigue.map(muscle => muscle.muscle)).toEqual(['chest', 'triceps']);
+    });
+  });
+
+  describe('getWorkoutDensity', () => {
+    it('throws when the workout is missing or belongs to someone else', async () => {
+      sql.mockResolvedValueOnce([]);
+      await expect(getWorkoutDensity('w1', 'user-A')).rejects.toThrow('Workout not found');
+
+      sql.mockResolvedValueOnce([{ id: 'w1', user_id: 'user-B' }]);
+      await expect(getWorkoutDensity('w1', 'user-A')).rejects.toThrow('Unauthorized');
+    });
+
+    it('analyzes the workout\'s set log times', async () => {
+      sql.mockResolvedValueOnce([{ id: 'w1', user_id: 'user-A', duration_seconds: 600 }]);
+      sql.mockResolvedValueOnce([
+        setRow({ workout_exercise_id: 'we1', set_completed_at: '2024-06-03T09:52:00Z', rest_timer_seconds: 120 }),
+        setRow({ workout_exercise_id: 'we1', set_completed_at: '2024-06-03T09:55:00Z' }),
+      ]);
+
+      const result = await getWorkoutDensity('w1', 'user-A');
+
+      expect(sql.mock.calls[1].slice(1, 3)).toEqual(['user-A', 'w1']);
+      // 180s gap less 30s of work, against a 2 minute timer
+      expect(result).toMatchObject({
+        workout_id: 'w1',
+        has_timing: true,
+        rest_seconds: 150,
+        volume: 2000,
+        density: 200,
+        timer: { rests: 1, over_count: 1, excess_seconds: 30 },
+      });
+    });
+  });
+
+  describe('getDensityTrends', () => {
+    it('rejects a range that ends before it starts', async () => {
+      await expect(getDensityTrends('user-A', { from: '2024-06-10', to: '2024-06-01' }))
+        .rejects.toThrow('from must be on or before to');
+    });
+
+    it('charts timed sessions on local dates and counts untimed ones', async () => {
+      const timedSet = (minute) => setRow({
+        workout_exercise_id: 'we1',
+        set_completed_at: `2024-06-03T09:${minute}:00Z`,
+      });
+      sql.mockResolvedValueOnce([
+        timedSet(50),
+        timedSet(53),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-05T10:00:00Z', workout_exercise_id: 'we2', set_completed_at: '2024-06-05T10:00:00Z' }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-05T10:00:00Z', workout_exercise_id: 'we2', set_completed_at: '2024-06-05T10:00:00Z' }),
+      ]);
+
+      const result = await getDensityTrends('user-A', { from: '2024-06-01', to: '2024-06-07', timezone: 'America/New_York' });
+
+      expect(sql.mock.calls[0].slice(-2)).toEqual(['2024-06-08T04:00:00.000Z', '2024-06-08T04:00:00.000Z']);
+      expect(result.range).toEqual({ from: '2024-06-01', to: '2024-06-07' });
+      expect(result.sessions).toEqual([{
+        workout_id: 'w1',
+        name: 'Push Day',
+        date: '2024-06-03',
+        duration_seconds: 3600,
+        sets: 2,
+        avg_rest_seconds: 150,
+        rest_share: 0.04,
+        work_to_rest: 0.4,
+        density: 33.3,
+      }]);
+      expect(result).toMatchObject({ untimed_sessions: 1, avg_rest_seconds: 150, timer: null, slow_sessions: null });
+    });
+  });
+
+  describe('getInsights', () => {
+    // One heaviest set per day for an exercise
+    const sessions = (exercise, days) => days.map(([date, weight, reps]) => setRow({
+      ...exercise,
+      workout_id: `w-${date}`,
+      completed_at: `${date}T10:00:00Z`,
+      weight: String(weight),
+      reps,
+    }));
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-06-30T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('reads the last six months of exercise rollups', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      const result = await getInsights('user-A', { exerciseId: 'ex1' });
+
+      const [strings, ...values] = sql.mock.calls[0];
+      expect(strings.join('?')).toContain('exercise_daily_rollup');
+      expect(values).toEqual(['user-A', 'ex1', 'ex1', '2023-12-31']);
+      expect(result).toEqual({ insights: [], total: 0, formula: 'brzycki' });
+    });
+
+    it('reports stalls and regressions with the sessions that triggered them', async () => {
+      const bench = sessions({}, [
+        ['2024-06-03', 200, 7], ['2024-06-10', 200, 8], ['2024-06-13', 200, 7],
+        ['2024-06-17', 200, 6], ['2024-06-24', 200, 5], ['2024-06-27', 190, 5],
+      ]);
+      const squat = sessions({ exercise_id: 'ex2', exercise_name: 'Squat' }, [
+        ['2024-06-03', 300, 5], ['2024-06-10', 305, 5], ['2024-06-17', 310, 5], ['2024-06-24', 315, 5], ['2024-06-28', 320, 5],
+      ]);
+      sql.mockResolvedValueOnce(rollUp([...bench, ...squat]).exercises);
+
+      const result = await getInsights('user-A');
+
+      expect(result.insights.map(insight => [insight.exercise_name, insight.type])).toEqual([
+        ['Bench Press', 'regression'],
+        ['Bench Press', 'stall'],
+      ]);
+      expect(result.insights[0]).toMatchObject({ exercise_id: 'ex1', severity: 'warning', detected_on: '2024-06-27' });
+      expect(result.insights[0].sessions.map(session => [session.date, session.max_weight, session.top_reps])).toEqual([
+        ['2024-06-17', 200, 6],
+        ['2024-06-24', 200, 5],
+        ['2024-06-27', 190, 5],
+      ]);
+      expect(result.insights[1].reference.date).toBe('2024-06-10');
+      expect(result.total).toBe(2);
+    });
+
+    it('flags rep drop-off at the same top load', async () => {
+      sql.mockResolvedValueOnce(rollUp(sessions({}, [
+        ['2024-06-10', 200, 8], ['2024-06-17', 200, 7], ['2024-06-24', 200, 6],
+      ])).exercises);
+
+      const result = await getInsights('user-A');
+      expect(result.insights.map(insight => insight.type)).toEqual(['regression', 'rep_drop']);
+      expect(result.insights[1].message).toBe('Reps at 200 lbs dropped in 2 consecutive sessions (8 to 6)');
+    });
+
+    it('skips exercises not trained in the last four weeks and endurance exercises', async () => {
+      const stale = sessions({}, [['2024-05-01', 200, 8], ['2024-05-08', 200, 7], ['2024-05-15', 200, 6]]);
+      const run = { exercise_id: 'ex-run', exercise_name: 'Running', exercise_type: 'cardio', weight: null, reps: null };
+      const runs = ['2024-06-20', '2024-06-24', '2024-06-28'].map(date => setRow({
+        ...run,
+        completed_at: `${date}T10:00:00Z`,
+        set_duration_seconds: 1500,
+        distance_meters: '5000.00',
+      }));
+      sql.mockResolvedValueOnce(rollUp([...stale, ...runs]).exercises);
+
+      const result = await getInsights('user-A');
+      expect(result.insights).toEqual([]);
+    });
+  });
+
+  describe('getImbalanceReport', () => {
+    it('compares the sides of unilateral sets per local session date', async () => {
+      const sideRow = (overrides) => setRow({
+        exercise_name: 'Bulgarian Split Squat',
+        weight: '50',
+        reps: 8,
+        left_weight: '50',
+        left_reps: 10,
+        right_weight: '50',
+        right_reps: 8,
+        ...overrides,
+      });
+      sql.mockResolvedValueOnce([
+        sideRow({ completed_at: '2024-06-04T02:00:00Z' }),
+        sideRow({ workout_id: 'w2', completed_at: '2024-06-06T10:00:00Z', right_reps: 10 }),
+      ]);
+
+      const result = await getImbalanceReport('user-A', { from: '2024-06-01', to: '2024-06-07', timezone: 'America/New_York' });
+
+      expect(result.range).toEqual({ from: '2024-06-01', to: '2024-06-07' });
+      expect(result.exercises).toHaveLength(1);
+      expect(result.exercises[0].sessions.map(session => [session.date, session.weaker_side, session.imbalance_percent]))
+        .toEqual([['2024-06-03', 'right', 20], ['2024-06-06', null, 0]]);
+      expect(result.exercises[0]).toMatchObject({ weaker_side: 'right', avg_imbalance_percent: 10, is_imbalanced: true });
+    });
+  });
+
+  describe('getGoalMetrics', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-06-12T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('reads each exercise once and derives e1RM and rep max values per day', async () => {
+      sql.mockResolvedValueOnce(rollUp([
+        setRow({ weight: '300', reps: 1 }),
+        setRow({ weight: '225', reps: 8 }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-10T10:00:00Z', weight: '240', reps: 10 }),
+      ]).exercises);
+
+      const metrics = await getGoalMetrics('user-A', [
+        { id: 'g1', type: 'e1rm', exercise_id: 'ex1' },
+        { id: 'g2', type: 'rep_max', exercise_id: 'ex1', target_weight: '225.00' },
+      ], { formula: 'epley' });
+
+      expect(sql).toHaveBeenCalledTimes(1);
+      expect(sql.mock.calls[0].slice(1)).toEqual(['user-A', 'ex1', '2024-03-14']);
+      // Day 1: 300 x 1 beats 225 x 8 (285). Day 2: 240 * (1 + 10/30) = 320
+      expect(metrics.get('g1')).toEqual({
+        current: 320,
+        series: [{ date: '2024-06-03', value: 300 }, { date: '2024-06-10', value: 320 }],
+      });
+      expect(metrics.get('g2').current).toBe(10);
+    });
+
+    it('uses the latest bodyweight and this week\'s workouts and sets', async () => {
+      sql.mockResolvedValueOnce([
+        { date: '2024-06-01', weight: '190.00' },
+        { date: '2024-06-08', weight: '188.50' },
+      ]);
+      sql.mockResolvedValueOnce([
+        { week_start: '2024-05-27', workout_count: 4, sets_by_muscle: { chest: 12 } },
+        { week_start: '2024-06-10', workout_count: 3, sets_by_muscle: { chest: 9.5 } },
+      ]);
+
+      const metrics = await getGoalMetrics('user-A', [
+        { id: 'g1', type: 'bodyweight' },
+        { id: 'g2', type: 'weekly_workouts', created_at: '2024-05-29T09:00:00Z' },
+        { id: 'g3', type: 'muscle_volume', muscle: 'chest', created_at: '2024-06-11T09:00:00Z' },
+        { id: 'g4', type: 'muscle_volume', muscle: 'calves', created_at: '2024-06-11T09:00:00Z' },
+      ]);
+
+      // Weekly goals read back 8 weeks, this one included
+      expect(sql.mock.calls[1].slice(1)).toEqual(['user-A', '2024-04-22']);
+      expect(metrics.get('g1').current).toBe(188.5);
+      expect(metrics.get('g2').current).toBe(3);
+      expect(metrics.get('g3').current).toBe(9.5);
+      expect(metrics.get('g4').current).toBe(0);
+    });
+
+    it('lists weekly goal values from the week each goal was set, with weeks missing as 0', async () => {
+      sql.mockResolvedValueOnce([
+        { week_start: '2024-05-27', workout_count: 4, sets_by_muscle: {} },
+        { week_start: '2024-06-10', workout_count: 3, sets_by_muscle: {} },
+      ]);
+
+      const metrics = await getGoalMetrics('user-A', [
+        { id: 'g1', type: 'weekly_workouts', created_at: '2024-05-29T09:00:00Z' },
+        { id: 'g2', type: 'weekly_workouts', created_at: '2023-01-02T09:00:00Z' },
+      ]);
+
+      expect(metrics.get('g1').series).toEqual([
+        { date: '2024-05-27', value: 4 },
+        { date: '2024-06-03', value: 0 },
+        { date: '2024-06-10', value: 3 },
+      ]);
+      expect(metrics.get('g2').series).toHaveLength(8);
+      expect(metrics.get('g2').series[0]).toEqual({ date: '2024-04-22', value: 0 });
     });
   });
 
@@ -270,23 +927,36 @@ describe('Stats Service', () => {
 
     it('returns progress data for valid exercise', async () => {
       // Exercise exists
-      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'Bench Press' }]);
-      // Progress data
-      sql.mockResolvedValueOnce([
-        { date: '2024-06-01', max_weight: '225', total_volume: '4500', estimated_1rm: '253.16' },
-        { date: '2024-06-08', max_weight: '230', total_volume: '4600', estimated_1rm: '258.78' },
-      ]);
+      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'Bench Press', type: 'weighted' }]);
+      // Daily rollups
+      sql.mockResolvedValueOnce(rollUp([
+        setRow({ weight: '225', reps: 10 }),
+        setRow({ weight: '225', reps: 10 }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-10T10:00:00Z', weight: '230', reps: 10 }),
+        setRow({ workout_id: 'w2', completed_at: '2024-06-10T10:00:00Z', weight: '230', reps: 10 }),
+      ]).exercises);
 
       const result = await getExerciseProgress('ex1', 'user-A');
       expect(result.exercise_id).toBe('ex1');
       expect(result.exercise_name).toBe('Bench Press');
       expect(result.progress).toHaveLength(2);
       expect(result.total_entries).toBe(2);
-      expect(result.progress[0].max_weight).toBe(225);
+      expect(result.progress[0]).toMatchObject({ date: '2024-06-03', max_weight: 225, total_volume: 4500 });
+      expect(result.progress[1]).toMatchObject({ date: '2024-06-10', max_weight: 230, total_volume: 4600 });
+    });
+
+    it('reads the exercise rollups for the user', async () => {
+      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'Bench Press', type: 'weighted' }]);
+      sql.mockResolvedValueOnce([]);
+
+      await getExerciseProgress('ex1', 'user-A');
+      const [strings, ...values] = sql.mock.calls[1];
+      expect(strings.join('?')).toContain('exercise_daily_rollup');
+      expect(values).toEqual(['user-A', 'ex1']);
     });
 
     it('returns empty progress for exercise with no workout data', async () => {
-      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'New Exercise' }]);
+      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'New Exercise', type: 'weighted' }]);
       sql.mockResolvedValueOnce([]);
 
       const result = await getExerciseProgress('ex1', 'user-A');
@@ -294,11 +964,73 @@ describe('Stats Service', () => {
       expect(result.total_entries).toBe(0);
     });
 
-    it('handles null estimated_1rm in progress data', async () => {
-      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'Bench Press' }]);
-      sql.mockResolvedValueOnce([
-        { date: '2024-06-01', max_weight: '225', total_volume: '4500', estimated_1rm: null },
+    it('picks the best estimated 1RM of the day with the requested formula', async () => {
+      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'Bench Press', type: 'weighted' }]);
+      sql.mockResolvedValueOnce(rollUp([
+        setRow({ weight: '225', reps: 5 }),
+        setRow({ weight: '200', reps: 3 }),
+      ]).exercises);
+
+      const result = await getExerciseProgress('ex1', 'user-A', { formula: 'epley' });
+      expect(result.formula).toBe('epley');
+      // 225 * (1 + 5/30) = 262.5 beats 200 * (1 + 3/30) = 220
+      expect(result.progress[0].estimated_1rm).toBe(262.5);
+    });
+
+    it('uses effective load for bodyweight-loaded exercises', async () => {
+      const dip = { exercise_id: 'ex2', exercise_type: 'weighted', load_mode: 'assisted', bodyweight_fraction: '0.95', bodyweight: 180, reps: 8 };
+      sql.mockResolvedValueOnce([{ id: 'ex2', name: 'Assisted Dip', type: 'weighted' }]);
+      sql.mockResolvedValueOnce(rollUp([
+        setRow({ ...dip, weight: '50' }),
+        setRow({ ...dip, weight: '70' }),
+      ]).exercises);
+
+      const result = await getExerciseProgress('ex2', 'user-A', { formula: 'epley' });
+      // Less assistance is the heavier set: 180 * 0.95 - 50 = 121
+      expect(result.progress[0].max_weight).toBe(121);
+      expect(result.progress[0].total_volume).toBe(121 * 8 + 101 * 8);
+      expect(result.progress[0].estimated_1rm).toBeCloseTo(121 * (1 + 8 / 30), 1);
+    });
+
+    it('charts distance, time and pace for cardio exercises', async () => {
+      const run = { exercise_id: 'ex-run', exercise_type: 'cardio', weight: null, reps: null };
+      sql.mockResolvedValueOnce([{ id: 'ex-run', name: 'Running', type: 'cardio' }]);
+      sql.mockResolvedValueOnce(rollUp([
+        setRow({ ...run, set_duration_seconds: 300, distance_meters: '1000.00' }),
+        setRow({ ...run, set_duration_seconds: 280, distance_meters: '1000.00' }),
+        setRow({ ...run, completed_at: '2024-06-05T10:00:00Z', set_duration_seconds: 1500, distance_meters: '5000.00' }),
+      ]).exercises);
+
+      const result = await getExerciseProgress('ex-run', 'user-A');
+      expect(result.exercise_type).toBe('cardio');
+      expect(result.total_entries).toBe(2);
+      expect(result.progress[0]).toEqual({
+        date: '2024-06-03',
+        total_distance: 2000,
+        total_duration: 580,
+        avg_pace: 290,
+        best_split: 280,
+      });
+      expect(result.progress[1].total_distance).toBe(5000);
+    });
+
+    it('charts longest hold and time under load for timed exercises', async () => {
+      const plank = { exercise_id: 'ex-plank', exercise_type: 'timed', weight: null, reps: null };
+      sql.mockResolvedValueOnce([{ id: 'ex-plank', name: 'Plank', type: 'timed' }]);
+      sql.mockResolvedValueOnce(rollUp([
+        setRow({ ...plank, set_duration_seconds: 60 }),
+        setRow({ ...plank, set_duration_seconds: 75 }),
+      ]).exercises);
+
+      const result = await getExerciseProgress('ex-plank', 'user-A');
+      expect(result.progress).toEqual([
+        { date: '2024-06-03', longest_hold: 75, total_time_under_load: 135 },
       ]);
+    });
+
+    it('handles null estimated_1rm in progress data', async () => {
+      sql.mockResolvedValueOnce([{ id: 'ex1', name: 'Bench Press', type: 'weighted' }]);
+      sql.mockResolvedValueOnce(rollUp([setRow({ weight: '0', reps: 5 })]).exercises);
 
       const result = await getExerciseProgress('ex1', 'user-A');
       expect(result.progress[0].estimated_1rm).toBeNull();
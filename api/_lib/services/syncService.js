@@ -7,6 +7,27 @@
 import { sql } from '../db.js';
 import { calculateWorkoutVolume } from '../calculations/volumeCalculator.js';
 import { bulkDeleteDrafts } from './draftService.js';
+import { recordWorkoutPRs } from './personalRecordService.js';
+import { refreshStatsRollups } from './statsRollupService.js';
+import { checkGoalCompletion } from './goalService.js';
+import { DEFAULT_E1RM_FORMULA } from '../calculations/prCalculator.js';
+import { isValidSessionRPE } from '../calculations/trainingLoadCalculator.js';
+import { isValidRestTimerSeconds } from '../calculations/densityCalculator.js';
+import { normalizeExerciseGroups } from '../calculations/exerciseGroupCalculator.js';
+import { isValidSetType, normalizeSubSets } from '../calculations/setTypeCalculator.js';
+import { normalizeSides, getWeakerSide } from '../calculations/unilateralCalculator.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+/**
+ * When a set was logged on the client (ISO timestamp), or null to use the sync time
+ *
+ * @param {*} value - Client timestamp
+ * @returns {string|null} ISO timestamp
+ */
+function parseSetCompletedAt(value) {
+  const completedAt = value ? new Date(value) : null;
+  return completedAt && !isNaN(completedAt.getTime()) ? completedAt.toISOString() : null;
+}
 
 /**
  * Sync offline workouts to server
@@ -16,9 +37,12 @@ import { bulkDeleteDrafts } from './draftService.js';
  * @param {Array<Object>} syncData.completedWorkouts - Array of completed workouts
  * @param {Array<string>} syncData.deleteDraftIds - Array of draft IDs to delete
  * @param {string} userId - User UUID
- * @returns {Promise<Object>} { success, syncedWorkouts, deletedDrafts }
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula for estimated_1rm on PRs hit (default: 'brzycki')
+ * @param {string} options.timezone - User's IANA timezone, for weekly goals (default: 'UTC')
+ * @returns {Promise<Object>} { success, syncedWorkouts (each with prs hit), deletedDrafts, completedGoals }
  */
-export async function syncWorkouts(syncData, userId) {
+export async function syncWorkouts(syncData, userId, { formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
   const { completedWorkouts = [], deleteDraftIds = [] } = syncData;
 
   // Validate inputs
@@ -31,6 +55,7 @@ export async function syncWorkouts(syncData, userId) {
   }
 
   const syncedWorkouts = [];
+  const syncedCompletedAts = [];
 
   // Process each workout
   for (const workout of completedWorkouts) {
@@ -50,6 +75,9 @@ export async function syncWorkouts(syncData, userId) {
         durationSeconds = Math.floor((completedAt - startedAt) / 1000);
       }
 
+      // Optional session RPE; anything outside 1-10 is dropped rather than failing the sync
+      const sessionRpe = isValidSessionRPE(workout.sessionRpe) ? workout.sessionRpe : null;
+
       // Insert workout (use client-provided ID if available)
       let workoutResult;
 
@@ -58,7 +86,7 @@ export async function syncWorkouts(syncData, userId) {
         workoutResult = await sql`
           INSERT INTO workout (
             id, user_id, name, started_at, completed_at,
-            duration_seconds, notes, template_id
+            duration_seconds, notes, session_rpe, template_id
           )
           VALUES (
             ${workout.id},
@@ -68,6 +96,7 @@ export async function syncWorkouts(syncData, userId) {
             ${completedAt ? completedAt.toISOString() : null},
             ${durationSeconds},
             ${workout.notes || null},
+            ${sessionRpe},
             ${workout.templateId || null}
           )
           RETURNING id
@@ -77,7 +106,7 @@ export async function syncWorkouts(syncData, userId) {
         workoutResult = await sql`
           INSERT INTO workout (
             user_id, name, started_at, completed_at,
-            duration_seconds, notes, template_id
+            duration_seconds, notes, session_rpe, template_id
           )
           VALUES (
             ${userId},
@@ -86,6 +115,7 @@ export async function syncWorkouts(syncData, userId) {
             ${completedAt ? completedAt.toISOString() : null},
             ${durationSeconds},
             ${workout.notes || null},
+            ${sessionRpe},
             ${workout.templateId || null}
           )
           RETURNING id
@@ -96,21 +126,29 @@ export async function syncWorkouts(syncData, userId) {
 
       // Insert exercises
       if (workout.exercises && Array.isArray(workout.exercises)) {
-        for (const exercise of workout.exercises) {
+        // Supersets, circuits and giant sets; invalid groups are split up rather than failing the sync
+        const exerciseGroups = normalizeExerciseGroups(workout.exercises);
+
+        for (const [exerciseIndex, exercise] of workout.exercises.entries()) {
+          const { groupId, groupType, groupRounds } = exerciseGroups[exerciseIndex];
           let exerciseResult;
 
           if (exercise.id) {
             // Use client-provided UUID
             exerciseResult = await sql`
               INSERT INTO workout_exercise (
-                id, workout_id, exercise_id, order_index, is_completed
+                id, workout_id, exercise_id, order_index, is_completed,
+                group_id, group_type, group_rounds
               )
               VALUES (
                 ${exercise.id},
                 ${insertedWorkoutId},
                 ${exercise.exerciseId},
                 ${exercise.orderIndex || 0},
-                ${exercise.isCompleted !== false}
+                ${exercise.isCompleted !== false},
+                ${groupId},
+                ${groupType},
+                ${groupRounds}
               )
               RETURNING id
             `;
@@ -118,13 +156,17 @@ export async function syncWorkouts(syncData, userId) {
             // Let database generate UUID
             exerciseResult = await sql`
               INSERT INTO workout_exercise (
-                workout_id, exercise_id, order_index, is_completed
+                workout_id, exercise_id, order_index, is_completed,
+                group_id, group_type, group_rounds
               )
               VALUES (
                 ${insertedWorkoutId},
                 ${exercise.exerciseId},
                 ${exercise.orderIndex || 0},
-                ${exercise.isCompleted !== false}
+                ${exercise.isCompleted !== false},
+                ${groupId},
+                ${groupType},
+                ${groupRounds}
               )
               RETURNING id
             `;
@@ -135,45 +177,100 @@ export async function syncWorkouts(syncData, userId) {
           // Insert sets
           if (exercise.sets && Array.isArray(exercise.sets)) {
             for (const set of exercise.sets) {
+              // Client log time and rest timer pick feed rest and density analytics
+              const setCompletedAt = parseSetCompletedAt(set.completedAt);
+              const restTimerSeconds = isValidRestTimerSeconds(set.restTimerSeconds) ? set.restTimerSeconds : null;
+              const setType = isValidSetType(set.setType) ? set.setType : 'standard';
+              // Unilateral sets log both sides and take the weaker side as their weight and reps
+              const sides = normalizeSides(set);
+              const weakerSide = sides ? sides[getWeakerSide(sides.left, sides.right) || 'left'] : null;
+              const weight = weakerSide ? weakerSide.weight : set.weight || null;
+              const reps = weakerSide ? weakerSide.reps : set.reps || null;
+              let setResult;
+
               if (set.id) {
                 // Use client-provided UUID
-                await sql`
+                setResult = await sql`
                   INSERT INTO "set" (
                     id, workout_exercise_id, set_number, weight, reps, rir,
-                    duration_seconds, distance, notes, is_warmup, is_completed
+                    left_weight, left_reps, right_weight, right_reps,
+                    duration_seconds, distance_meters, notes, is_warmup, is_completed,
+                    set_type, completed_at, rest_timer_seconds
                   )
                   VALUES (
                     ${set.id},
                     ${insertedExerciseId},
                     ${set.setNumber || 1},
-                    ${set.weight || null},
-                    ${set.reps || null},
-                    ${set.rir || null},
+                    ${weight},
+                    ${reps},
+                    ${set.rir ?? null},
+                    ${sides ? sides.left.weight : null},
+                    ${sides ? sides.left.reps : null},
+                    ${sides ? sides.right.weight : null},
+                    ${sides ? sides.right.reps : null},
                     ${set.durationSeconds || null},
-                    ${set.distance || null},
+                    ${set.distanceMeters || null},
                     ${set.notes || null},
                     ${set.isWarmup || false},
-                    ${set.isCompleted !== false}
+                    ${set.isCompleted !== false},
+                    ${setType},
+                    COALESCE(${setCompletedAt}::timestamptz, NOW()),
+                    ${restTimerSeconds}
                   )
+                  RETURNING id, completed_at
                 `;
               } else {
                 // Let database generate UUID
-                await sql`
+                setResult = await sql`
                   INSERT INTO "set" (
                     workout_exercise_id, set_number, weight, reps, rir,
-                    duration_seconds, distance, notes, is_warmup, is_completed
+                    left_weight, left_reps, right_weight, right_reps,
+                    duration_seconds, distance_meters, notes, is_warmup, is_completed,
+                    set_type, completed_at, rest_timer_seconds
                   )
                   VALUES (
                     ${insertedExerciseId},
                     ${set.setNumber || 1},
-                    ${set.weight || null},
-                    ${set.reps || null},
-                    ${set.rir || null},
+                    ${weight},
+                    ${reps},
+                    ${set.rir ?? null},
+                    ${sides ? sides.left.weight : null},
+                    ${sides ? sides.left.reps : null},
+                    ${sides ? sides.right.weight : null},
+                    ${sides ? sides.right.reps : null},
                     ${set.durationSeconds || null},
-                    ${set.distance || null},
+                    ${set.distanceMeters || null},
                     ${set.notes || null},
                     ${set.isWarmup || false},
-                    ${set.isCompleted !== false}
+                    ${set.isCompleted !== false},
+                    ${setType},
+                    COALESCE(${setCompletedAt}::timestamptz, NOW()),
+                    ${restTimerSeconds}
+                  )
+                  RETURNING id, completed_at
+                `;
+              }
+
+              // Drop, rest-pause, myo-rep and cluster mini sets share the parent's number, type,
+              // warm-up flag and log time (unilateral sets have none)
+              const subSets = sides ? [] : normalizeSubSets(setType, set.subSets);
+              for (const [subSetIndex, subSet] of subSets.entries()) {
+                await sql`
+                  INSERT INTO "set" (
+                    workout_exercise_id, set_number, weight, reps, is_warmup, is_completed,
+                    set_type, parent_set_id, sub_set_number, completed_at
+                  )
+                  VALUES (
+                    ${insertedExerciseId},
+                    ${set.setNumber || 1},
+                    ${subSet.weight},
+                    ${subSet.reps},
+                    ${set.isWarmup || false},
+                    ${set.isCompleted !== false},
+                    ${setType},
+                    ${setResult[0].id},
+                    ${subSetIndex + 1},
+                    ${setResult[0].completed_at}
                   )
                 `;
               }
@@ -192,10 +289,16 @@ export async function syncWorkouts(syncData, userId) {
         WHERE id = ${insertedWorkoutId}
       `;
 
+      // Record PRs set in this workout and report them back to the client
+      const exerciseIds = (workout.exercises || []).map(exercise => exercise.exerciseId);
+      const prs = await recordWorkoutPRs(userId, insertedWorkoutId, exerciseIds, { formula });
+
+      syncedCompletedAts.push(completedAt);
       syncedWorkouts.push({
         clientId: workout.id || null,
         serverId: insertedWorkoutId,
-        name: workout.name
+        name: workout.name,
+        prs
       });
 
     } catch (workoutError) {
@@ -204,12 +307,19 @@ export async function syncWorkouts(syncData, userId) {
     }
   }
 
+  // One rollup refresh covering every synced workout's week
+  await refreshStatsRollups(userId, syncedCompletedAts);
+
+  // Goals reached by these workouts (progress reads the rollups refreshed above)
+  const completedGoals = syncedWorkouts.length > 0 ? await checkGoalCompletion(userId, { formula, timezone }) : [];
+
   // Delete drafts (CRITICAL for preventing zombie drafts)
   const deletedDraftsCount = await bulkDeleteDrafts(deleteDraftIds, userId);
 
   return {
     success: true,
     syncedWorkouts,
-    deletedDrafts: deletedDraftsCount
+    deletedDrafts: deletedDraftsCount,
+    completedGoals
   };
 }
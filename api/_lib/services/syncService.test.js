@@ -16,10 +16,25 @@ vi.mock('./draftService.js', () => ({
   bulkDeleteDrafts: vi.fn().mockResolvedValue(1),
 }));
 
+vi.mock('./personalRecordService.js', () => ({
+  recordWorkoutPRs: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock('./statsRollupService.js', () => ({
+  refreshStatsRollups: vi.fn().mockResolvedValue(true),
+}));
+
+vi.mock('./goalService.js', () => ({
+  checkGoalCompletion: vi.fn().mockResolvedValue([]),
+}));
+
 import { syncWorkouts } from './syncService.js';
 import { sql } from '../db.js';
 import { calculateWorkoutVolume } from '../calculations/volumeCalculator.js';
 import { bulkDeleteDrafts } from './draftService.js';
+import { recordWorkoutPRs } from './personalRecordService.js';
+import { refreshStatsRollups } from './statsRollupService.js';
+import { checkGoalCompletion } from './goalService.js';
 
 describe('syncWorkouts', () => {
   beforeEach(() => {
@@ -62,6 +77,186 @@ describe('syncWorkouts', () => {
     expect(result.syncedWorkouts[0].name).toBe('Push Day');
     expect(bulkDeleteDrafts).toHaveBeenCalledWith(['draft-1'], 'user-1');
     expect(calculateWorkoutVolume).toHaveBeenCalled();
+    expect(recordWorkoutPRs).toHaveBeenCalledWith(
+      'user-1', 'server-workout-id', ['exercise-bench'], { formula: 'brzycki' }
+    );
+    expect(refreshStatsRollups).toHaveBeenCalledWith('user-1', [new Date('2026-02-01T11:00:00Z')]);
+  });
+
+  it('stores when each set was logged and the rest timer picked after it', async () => {
+    await syncWorkouts({
+      completedWorkouts: [{
+        id: 'client-id-1',
+        name: 'Push Day',
+        startedAt: '2026-02-01T10:00:00Z',
+        completedAt: '2026-02-01T11:00:00Z',
+        exercises: [{
+          id: 'ex-1',
+          exerciseId: 'exercise-bench',
+          sets: [
+            { id: 'set-1', setNumber: 1, weight: 225, reps: 5, completedAt: '2026-02-01T10:05:00Z', restTimerSeconds: 180 },
+            { id: 'set-2', setNumber: 2, weight: 225, reps: 5, completedAt: 'not a date', restTimerSeconds: 99999 },
+          ],
+        }],
+      }],
+    }, 'user-1');
+
+    // Calls: workout, exercise, then one insert per set ([strings, ...values])
+    expect(sql.mock.calls[2].slice(-2)).toEqual(['2026-02-01T10:05:00.000Z', 180]);
+    expect(sql.mock.calls[3].slice(-2)).toEqual([null, null]);
+  });
+
+  it('stores drop-set mini sets linked to their parent set', async () => {
+    sql.mockImplementation(() => [{ id: 'server-id', completed_at: '2026-02-01T10:05:00.000Z' }]);
+
+    await syncWorkouts({
+      completedWorkouts: [{
+        id: 'client-id-1',
+        name: 'Push Day',
+        startedAt: '2026-02-01T10:00:00Z',
+        completedAt: '2026-02-01T11:00:00Z',
+        exercises: [{
+          id: 'ex-1',
+          exerciseId: 'exercise-bench',
+          sets: [
+            { id: 'set-1', setNumber: 1, weight: 225, reps: 8, setType: 'drop', subSets: [{ weight: 185, reps: 6 }, { weight: 135, reps: 0 }] },
+            { id: 'set-2', setNumber: 2, weight: 185, reps: 12, setType: 'to_the_moon', subSets: [{ weight: 135, reps: 6 }] },
+          ],
+        }],
+      }],
+    }, 'user-1');
+
+    const setInserts = sql.mock.calls.filter(([strings]) => strings.join('').includes('INSERT INTO "set"'));
+    expect(setInserts).toHaveLength(3);
+    expect(setInserts[0]).toContain('drop');
+    // Mini set: set_number, weight, reps, is_warmup, is_completed, set_type, parent, position, log time
+    expect(setInserts[1].slice(2)).toEqual([1, 185, 6, false, true, 'drop', 'server-id', 1, '2026-02-01T10:05:00.000Z']);
+    expect(setInserts[2]).toContain('standard');
+  });
+
+  it('stores both sides of unilateral sets with the weaker side as the set', async () => {
+    sql.mockImplementation(() => [{ id: 'server-id', completed_at: '2026-02-01T10:05:00.000Z' }]);
+
+    await syncWorkouts({
+      completedWorkouts: [{
+        id: 'client-id-1',
+        name: 'Leg Day',
+        startedAt: '2026-02-01T10:00:00Z',
+        completedAt: '2026-02-01T11:00:00Z',
+        exercises: [{
+          id: 'ex-1',
+          exerciseId: 'exercise-split-squat',
+          sets: [
+            { id: 'set-1', setNumber: 1, leftWeight: 50, leftReps: 10, rightWeight: 50, rightReps: 8, setType: 'drop', subSets: [{ weight: 40, reps: 6 }] },
+            { id: 'set-2', setNumber: 2, weight: 50, reps: 9, rir: 0, leftReps: 9 },
+          ],
+        }],
+      }],
+    }, 'user-1');
+
+    const setInserts = sql.mock.calls.filter(([strings]) => strings.join('').includes('INSERT INTO "set"'));
+    expect(setInserts).toHaveLength(2);
+    // id, exercise, set_number, weight, reps, rir, left weight and reps, right weight and reps
+    expect(setInserts[0].slice(1, 11)).toEqual(['set-1', 'server-id', 1, 50, 8, null, 50, 10, 50, 8]);
+    // One side only is kept as a regular set, and RIR 0 (to failure) is kept
+    expect(setInserts[1].slice(1, 11)).toEqual(['set-2', 'server-id', 2, 50, 9, 0, null, null, null, null]);
+  });
+
+  it('stores cardio time and distance and refreshes rollups and PRs for them', async () => {
+    sql.mockImplementation(() => [{ id: 'server-id', completed_at: '2024-06-03T10:00:00.000Z' }]);
+
+    await syncWorkouts({
+      completedWorkouts: [{
+        id: 'client-run',
+        name: 'Run',
+        startedAt: '2024-06-03T09:30:00Z',
+        completedAt: '2024-06-03T10:00:00Z',
+        exercises: [{
+          id: 'ex-1',
+          exerciseId: 'exercise-run',
+          sets: [
+            { id: 'set-a', setNumber: 1, durationSeconds: 300, distanceMeters: 1000, isCompleted: true },
+            { id: 'set-b', setNumber: 2, durationSeconds: 270, distanceMeters: 1000, isCompleted: true },
+          ],
+        }],
+      }],
+    }, 'user-1');
+
+    const setInserts = sql.mock.calls.filter(([strings]) => strings.join('').includes('INSERT INTO "set"'));
+    expect(setInserts).toHaveLength(2);
+    // The columns the rollup scan reads endurance sets from
+    expect(setInserts[0][0].join('')).toMatch(/duration_seconds, distance_meters/);
+    // id, exercise, set_number, weight, reps, rir, both sides, then duration and distance
+    expect(setInserts[0].slice(11, 13)).toEqual([300, 1000]);
+    expect(setInserts[1].slice(11, 13)).toEqual([270, 1000]);
+    expect(refreshStatsRollups).toHaveBeenCalledWith('user-1', [new Date('2024-06-03T10:00:00Z')]);
+    expect(recordWorkoutPRs).toHaveBeenCalledWith('user-1', 'server-id', ['exercise-run'], { formula: 'brzycki' });
+  });
+
+  it('keeps exercise groups and splits up invalid ones', async () => {
+    const groupId = '11111111-1111-4111-8111-111111111111';
+    const strayGroupId = '22222222-2222-4222-8222-222222222222';
+
+    await syncWorkouts({
+      completedWorkouts: [{
+        id: 'client-id-1',
+        name: 'Push Day',
+        startedAt: '2026-02-01T10:00:00Z',
+        completedAt: '2026-02-01T11:00:00Z',
+        exercises: [
+          { id: 'ex-1', exerciseId: 'exercise-bench', orderIndex: 0, groupId, groupType: 'superset', groupRounds: 3 },
+          { id: 'ex-2', exerciseId: 'exercise-row', orderIndex: 1, groupId, groupType: 'superset', groupRounds: 3 },
+          { id: 'ex-3', exerciseId: 'exercise-curl', orderIndex: 2, groupId: strayGroupId, groupType: 'circuit' },
+        ],
+      }],
+    }, 'user-1');
+
+    // Exercise inserts end with group_id, group_type, group_rounds ([strings, ...values])
+    const exerciseInserts = sql.mock.calls.filter(([strings]) => strings.join('').includes('INSERT INTO workout_exercise'));
+    expect(exerciseInserts.map(call => call.slice(-3))).toEqual([
+      [groupId, 'superset', 3],
+      [groupId, 'superset', 3],
+      [null, null, null],
+    ]);
+  });
+
+  it('returns PRs hit for each synced workout', async () => {
+    const benchPR = {
+      exercise_id: 'exercise-bench',
+      exercise_name: 'Bench Press',
+      rep_range: '5RM',
+      previous_weight: 215,
+      weight: 225,
+      reps: 5,
+      estimated_1rm: 262.5,
+    };
+    recordWorkoutPRs.mockResolvedValueOnce([benchPR]);
+
+    const result = await syncWorkouts({
+      completedWorkouts: [{
+        id: 'client-id-1',
+        name: 'Push Day',
+        startedAt: '2026-02-01T10:00:00Z',
+        exercises: [{ exerciseId: 'exercise-bench', sets: [] }],
+      }],
+    }, 'user-1', { formula: 'epley' });
+
+    expect(result.syncedWorkouts[0].prs).toEqual([benchPR]);
+    expect(recordWorkoutPRs).toHaveBeenCalledWith(
+      'user-1', 'server-workout-id', ['exercise-bench'], { formula: 'epley' }
+    );
+  });
+
+  it('reports goals completed by the synced workouts', async () => {
+    const goal = { id: 'goal-1', type: 'e1rm', exercise_name: 'Bench Press', target_value: 250 };
+    checkGoalCompletion.mockResolvedValueOnce([goal]);
+
+    const result = await syncWorkouts({
+      completedWorkouts: [{ name: 'Push Day', startedAt: '2026-02-01T10:00:00Z' }],
+    }, 'user-1', { formula: 'epley', timezone: 'America/New_York' });
+
+    expect(result.completedGoals).toEqual([goal]);
+    expect(checkGoalCompletion).toHaveBeenCalledWith('user-1', { formula: 'epley', timezone: 'America/New_York' });
   });
 
   it('handles empty completedWorkouts array', async () => {
@@ -69,6 +264,8 @@ describe('syncWorkouts', () => {
 
     expect(result.success).toBe(true);
     expect(result.syncedWorkouts).toHaveLength(0);
+    expect(result.completedGoals).toEqual([]);
+    expect(checkGoalCompletion).not.toHaveBeenCalled();
   });
 
   it('handles missing completedWorkouts (defaults to empty)', async () => {
@@ -134,6 +331,22 @@ describe('syncWorkouts', () => {
     expect(sql).toHaveBeenCalled();
   });
 
+  it('stores a valid session RPE and drops an invalid one', async () => {
+    const syncData = {
+      completedWorkouts: [
+        { name: 'Hard', startedAt: '2026-02-01T10:00:00Z', completedAt: '2026-02-01T11:00:00Z', sessionRpe: 9 },
+        { name: 'Typo', startedAt: '2026-02-02T10:00:00Z', completedAt: '2026-02-02T11:00:00Z', sessionRpe: 90 },
+      ],
+      deleteDraftIds: [],
+    };
+
+    await syncWorkouts(syncData, 'user-1');
+
+    const workoutInserts = sql.mock.calls.filter(([strings]) => strings.join('').includes('INSERT INTO workout ('));
+    expect(workoutInserts[0]).toContain(9);
+    expect(workoutInserts[1]).not.toContain(90);
+  });
+
   it('handles workout without exercises', async () => {
     const syncData = {
       completedWorkouts: [{
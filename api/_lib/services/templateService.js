@@ -5,6 +5,7 @@
  */
 
 import { sql } from '../db.js';
+import { validateExerciseGroups } from '../calculations/exerciseGroupCalculator.js';
 
 /**
  * Get all templates for authenticated user
@@ -82,6 +83,10 @@ export async function getTemplateById(templateId, userId) {
       te.target_reps_min,
       te.target_reps_max,
       te.notes,
+      te.group_id,
+      te.group_type,
+      te.group_rounds,
+      te.auto_warmup,
       e.name as exercise_name,
       e.type as exercise_type,
       e.equipment as exercise_equipment,
@@ -111,7 +116,11 @@ export async function getTemplateById(templateId, userId) {
       targetSets: ex.target_sets,
       targetRepsMin: ex.target_reps_min,
       targetRepsMax: ex.target_reps_max,
-      notes: ex.notes
+      notes: ex.notes,
+      groupId: ex.group_id,
+      groupType: ex.group_type,
+      groupRounds: ex.group_rounds,
+      autoWarmup: ex.auto_warmup
     }))
   };
 }
@@ -157,6 +166,10 @@ export async function getTemplateExercises(templateId, userId) {
       te.target_reps_min,
       te.target_reps_max,
       te.notes,
+      te.group_id,
+      te.group_type,
+      te.group_rounds,
+      te.auto_warmup,
       e.name as exercise_name,
       e.type as exercise_type,
       e.equipment as exercise_equipment,
@@ -185,7 +198,11 @@ export async function getTemplateExercises(templateId, userId) {
       targetSets: ex.target_sets,
       targetRepsMin: ex.target_reps_min,
       targetRepsMax: ex.target_reps_max,
-      notes: ex.notes
+      notes: ex.notes,
+      groupId: ex.group_id,
+      groupType: ex.group_type,
+      groupRounds: ex.group_rounds,
+      autoWarmup: ex.auto_warmup
     }))
   };
 }
@@ -196,7 +213,7 @@ export async function getTemplateExercises(templateId, userId) {
  * @param {Object} templateData - Template data
  * @param {string} templateData.name - Template name (1-100 characters)
  * @param {string} templateData.description - Template description (optional)
- * @param {Array<Object>} templateData.exercises - Array of exercises
+ * @param {Array<Object>} templateData.exercises - Array of exercises (a shared groupId, groupType and groupRounds link a superset, circuit or giant set; autoWarmup adds warm-up sets when a workout starts from it)
  * @param {string} userId - User UUID
  * @returns {Promise<Object>} Created template
  */
@@ -250,8 +267,15 @@ export async function createTemplate(templateData, userId) {
     if (exercise.notes !== undefined && exercise.notes !== null && typeof exercise.notes !== 'string') {
       throw new Error(`Exercise ${i + 1}: notes must be a string`);
     }
+
+    if (exercise.autoWarmup !== undefined && typeof exercise.autoWarmup !== 'boolean') {
+      throw new Error(`Exercise ${i + 1}: autoWarmup must be a boolean`);
+    }
   }
 
+  // Supersets, circuits and giant sets
+  validateExerciseGroups(exercises);
+
   // Check if template with same name already exists for this user
   const existingTemplate = await sql`
     SELECT id FROM template
@@ -282,7 +306,11 @@ export async function createTemplate(templateData, userId) {
         target_sets,
         target_reps_min,
         target_reps_max,
-        notes
+        notes,
+        group_id,
+        group_type,
+        group_rounds,
+        auto_warmup
       )
       VALUES (
         ${template.id},
@@ -291,7 +319,11 @@ export async function createTemplate(templateData, userId) {
         ${exercise.targetSets || null},
         ${exercise.targetRepsMin || null},
         ${exercise.targetRepsMax || null},
-        ${exercise.notes || null}
+        ${exercise.notes || null},
+        ${exercise.groupId || null},
+        ${exercise.groupId ? exercise.groupType : null},
+        ${exercise.groupId ? exercise.groupRounds ?? null : null},
+        ${exercise.autoWarmup === true}
       )
     `;
   }
@@ -420,8 +452,14 @@ export async function updateTemplate(templateId, updates, userId) {
       if (exercise.notes !== undefined && exercise.notes !== null && typeof exercise.notes !== 'string') {
         throw new Error(`Exercise ${i + 1}: notes must be a string`);
       }
+
+      if (exercise.autoWarmup !== undefined && typeof exercise.autoWarmup !== 'boolean') {
+        throw new Error(`Exercise ${i + 1}: autoWarmup must be a boolean`);
+      }
     }
 
+    validateExerciseGroups(exercises);
+
     // Delete existing exercises
     await sql`
       DELETE FROM template_exercise
@@ -439,7 +477,11 @@ export async function updateTemplate(templateId, updates, userId) {
           target_sets,
           target_reps_min,
           target_reps_max,
-          notes
+          notes,
+          group_id,
+          group_type,
+          group_rounds,
+          auto_warmup
         )
         VALUES (
           ${templateId},
@@ -448,7 +490,11 @@ export async function updateTemplate(templateId, updates, userId) {
           ${exercise.targetSets || null},
           ${exercise.targetRepsMin || null},
           ${exercise.targetRepsMax || null},
-          ${exercise.notes || null}
+          ${exercise.notes || null},
+          ${exercise.groupId || null},
+          ${exercise.groupId ? exercise.groupType : null},
+          ${exercise.groupId ? exercise.groupRounds ?? null : null},
+          ${exercise.autoWarmup === true}
         )
       `;
     }
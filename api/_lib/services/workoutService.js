@@ -5,7 +5,20 @@
  */
 
 import { sql } from '../db.js';
-import { calculateWorkoutVolume } from '../calculations/volumeCalculator.js';
+import {
+  calculateWorkoutVolume,
+  findClosestBodyweight,
+  getBodyweightHistory,
+  getDefaultLoadMode,
+  usesBodyweight
+} from '../calculations/volumeCalculator.js';
+import { getWorkoutExerciseIds, refreshPRLedger, recordWorkoutPRs, getWorkoutPRs } from './personalRecordService.js';
+import { refreshStatsRollups } from './statsRollupService.js';
+import { checkGoalCompletion } from './goalService.js';
+import { DEFAULT_E1RM_FORMULA } from '../calculations/prCalculator.js';
+import { isValidSessionRPE } from '../calculations/trainingLoadCalculator.js';
+import { compareWorkouts } from '../calculations/comparisonCalculator.js';
+import { DEFAULT_TIMEZONE, getDateKey } from '../utils/timezone.js';
 
 /**
  * Get workouts with exercises and sets (OPTIMIZED - single query with JSON aggregation)
@@ -45,6 +58,7 @@ export async function getWorkouts(userId, { limit = 50, offset = 0 } = {}) {
       w.duration_seconds,
       w.total_volume,
       w.notes,
+      w.session_rpe,
       w.template_id,
       COALESCE(
         json_agg(
@@ -53,8 +67,14 @@ export async function getWorkouts(userId, { limit = 50, offset = 0 } = {}) {
             'exerciseId', we.exercise_id,
             'exerciseName', e.name,
             'exerciseType', e.type,
+            'loadMode', e.load_mode,
+            'bodyweightFraction', e.bodyweight_fraction,
+            'isUnilateral', e.is_unilateral,
             'orderIndex', we.order_index,
             'isCompleted', we.is_completed,
+            'groupId', we.group_id,
+            'groupType', we.group_type,
+            'groupRounds', we.group_rounds,
             'sets', (
               SELECT COALESCE(json_agg(
                 json_build_object(
@@ -62,16 +82,30 @@ export async function getWorkouts(userId, { limit = 50, offset = 0 } = {}) {
                   'setNumber', s.set_number,
                   'weight', s.weight,
                   'reps', s.reps,
+                  'leftWeight', s.left_weight,
+                  'leftReps', s.left_reps,
+                  'rightWeight', s.right_weight,
+                  'rightReps', s.right_reps,
                   'rir', s.rir,
                   'durationSeconds', s.duration_seconds,
-                  'distance', s.distance,
+                  'distanceMeters', s.distance_meters,
                   'notes', s.notes,
                   'isWarmup', s.is_warmup,
-                  'isCompleted', s.is_completed
+                  'isCompleted', s.is_completed,
+                  'setType', s.set_type,
+                  'subSets', (
+                    SELECT COALESCE(json_agg(
+                      json_build_object('id', sub.id, 'weight', sub.weight, 'reps', sub.reps)
+                      ORDER BY sub.sub_set_number
+                    ), '[]'::json)
+                    FROM "set" sub
+                    WHERE sub.parent_set_id = s.id
+                  )
                 ) ORDER BY s.set_number
               ), '[]'::json)
               FROM "set" s
               WHERE s.workout_exercise_id = we.id
+              AND s.parent_set_id IS NULL
             )
           ) ORDER BY we.order_index
         ) FILTER (WHERE we.id IS NOT NULL),
@@ -96,6 +130,7 @@ export async function getWorkouts(userId, { limit = 50, offset = 0 } = {}) {
     duration_seconds: workout.duration_seconds,
     total_volume: workout.total_volume ? parseFloat(workout.total_volume) : 0,
     notes: workout.notes,
+    session_rpe: workout.session_rpe,
     template_id: workout.template_id,
     exercises: workout.exercises.map(ex => ({
       id: ex.id,
@@ -104,19 +139,35 @@ export async function getWorkouts(userId, { limit = 50, offset = 0 } = {}) {
       exercise_name: ex.exerciseName,
       type: ex.exerciseType,
       exercise_type: ex.exerciseType,
+      load_mode: ex.loadMode,
+      bodyweight_fraction: ex.bodyweightFraction !== null ? parseFloat(ex.bodyweightFraction) : null,
+      is_unilateral: ex.isUnilateral === true,
       order_index: ex.orderIndex,
       is_completed: ex.isCompleted,
+      group_id: ex.groupId,
+      group_type: ex.groupType,
+      group_rounds: ex.groupRounds,
       sets: ex.sets.map(set => ({
         id: set.id,
         set_number: set.setNumber,
         weight: set.weight ? parseFloat(set.weight) : null,
         reps: set.reps,
+        left_weight: set.leftWeight ? parseFloat(set.leftWeight) : null,
+        left_reps: set.leftReps,
+        right_weight: set.rightWeight ? parseFloat(set.rightWeight) : null,
+        right_reps: set.rightReps,
         rir: set.rir,
         duration_seconds: set.durationSeconds,
-        distance: set.distance ? parseFloat(set.distance) : null,
+        distance_meters: set.distanceMeters ? parseFloat(set.distanceMeters) : null,
         notes: set.notes,
         is_warmup: set.isWarmup,
-        is_completed: set.isCompleted
+        is_completed: set.isCompleted,
+        set_type: set.setType,
+        sub_sets: (set.subSets || []).map(subSet => ({
+          id: subSet.id,
+          weight: subSet.weight ? parseFloat(subSet.weight) : null,
+          reps: subSet.reps
+        }))
       }))
     }))
   }));
@@ -146,6 +197,7 @@ export async function getWorkoutById(workoutId, userId) {
       w.duration_seconds,
       w.total_volume,
       w.notes,
+      w.session_rpe,
       w.template_id,
       w.user_id,
       COALESCE(
@@ -155,8 +207,14 @@ export async function getWorkoutById(workoutId, userId) {
             'exerciseId', we.exercise_id,
             'exerciseName', e.name,
             'exerciseType', e.type,
+            'loadMode', e.load_mode,
+            'bodyweightFraction', e.bodyweight_fraction,
+            'isUnilateral', e.is_unilateral,
             'orderIndex', we.order_index,
             'isCompleted', we.is_completed,
+            'groupId', we.group_id,
+            'groupType', we.group_type,
+            'groupRounds', we.group_rounds,
             'sets', (
               SELECT COALESCE(json_agg(
                 json_build_object(
@@ -164,16 +222,30 @@ export async function getWorkoutById(workoutId, userId) {
                   'setNumber', s.set_number,
                   'weight', s.weight,
                   'reps', s.reps,
+                  'leftWeight', s.left_weight,
+                  'leftReps', s.left_reps,
+                  'rightWeight', s.right_weight,
+                  'rightReps', s.right_reps,
                   'rir', s.rir,
                   'durationSeconds', s.duration_seconds,
-                  'distance', s.distance,
+                  'distanceMeters', s.distance_meters,
                   'notes', s.notes,
                   'isWarmup', s.is_warmup,
-                  'isCompleted', s.is_completed
+                  'isCompleted', s.is_completed,
+                  'setType', s.set_type,
+                  'subSets', (
+                    SELECT COALESCE(json_agg(
+                      json_build_object('id', sub.id, 'weight', sub.weight, 'reps', sub.reps)
+                      ORDER BY sub.sub_set_number
+                    ), '[]'::json)
+                    FROM "set" sub
+                    WHERE sub.parent_set_id = s.id
+                  )
                 ) ORDER BY s.set_number
               ), '[]'::json)
               FROM "set" s
               WHERE s.workout_exercise_id = we.id
+              AND s.parent_set_id IS NULL
             )
           ) ORDER BY we.order_index
         ) FILTER (WHERE we.id IS NOT NULL),
@@ -205,6 +277,7 @@ export async function getWorkoutById(workoutId, userId) {
     duration_seconds: workout.duration_seconds,
     total_volume: workout.total_volume ? parseFloat(workout.total_volume) : 0,
     notes: workout.notes,
+    session_rpe: workout.session_rpe,
     template_id: workout.template_id,
     exercises: workout.exercises.map(ex => ({
       id: ex.id,
@@ -213,24 +286,142 @@ export async function getWorkoutById(workoutId, userId) {
       exercise_name: ex.exerciseName,
       type: ex.exerciseType,
       exercise_type: ex.exerciseType,
+      load_mode: ex.loadMode,
+      bodyweight_fraction: ex.bodyweightFraction !== null ? parseFloat(ex.bodyweightFraction) : null,
+      is_unilateral: ex.isUnilateral === true,
       order_index: ex.orderIndex,
       is_completed: ex.isCompleted,
+      group_id: ex.groupId,
+      group_type: ex.groupType,
+      group_rounds: ex.groupRounds,
       sets: ex.sets.map(set => ({
         id: set.id,
         set_number: set.setNumber,
         weight: set.weight ? parseFloat(set.weight) : null,
         reps: set.reps,
+        left_weight: set.leftWeight ? parseFloat(set.leftWeight) : null,
+        left_reps: set.leftReps,
+        right_weight: set.rightWeight ? parseFloat(set.rightWeight) : null,
+        right_reps: set.rightReps,
         rir: set.rir,
         duration_seconds: set.durationSeconds,
-        distance: set.distance ? parseFloat(set.distance) : null,
+        distance_meters: set.distanceMeters ? parseFloat(set.distanceMeters) : null,
         notes: set.notes,
         is_warmup: set.isWarmup,
-        is_completed: set.isCompleted
+        is_completed: set.isCompleted,
+        set_type: set.setType,
+        sub_sets: (set.subSets || []).map(subSet => ({
+          id: subSet.id,
+          weight: subSet.weight ? parseFloat(subSet.weight) : null,
+          reps: subSet.reps
+        }))
       }))
     }))
   };
 }
 
+/**
+ * Header fields of a workout in a comparison
+ */
+function summarizeForComparison(workout) {
+  return {
+    id: workout.id,
+    name: workout.name,
+    started_at: workout.started_at,
+    completed_at: workout.completed_at,
+    duration_seconds: workout.duration_seconds,
+    total_volume: workout.total_volume,
+    template_id: workout.template_id
+  };
+}
+
+/**
+ * Compare a workout with a baseline session: set-by-set weight, reps and RIR differences,
+ * volume deltas and the PRs the workout set
+ * The baseline is the workout given as `withId`, else the previous completed session of the
+ * same template. Without either, baseline is null and there is nothing to compare
+ *
+ * @param {string} workoutId - Workout UUID
+ * @param {string} userId - User UUID (for ownership verification)
+ * @param {Object} options - Optional settings
+ * @param {string} options.withId - Baseline workout UUID (default: previous session of the template)
+ * @param {string} options.formula - 1RM formula for estimated_1rm on PRs (default: 'brzycki')
+ * @param {string} options.timezone - User's IANA timezone, for bodyweight lookups (default: 'UTC')
+ * @returns {Promise<Object>} { workout, baseline, baseline_source: 'selected'|'template'|null, totals, exercises, prs }
+ * @throws {Error} If either workout is not found or unauthorized, or withId is the workout itself
+ */
+export async function compareWorkout(workoutId, userId, {
+  withId = null,
+  formula = DEFAULT_E1RM_FORMULA,
+  timezone = DEFAULT_TIMEZONE
+} = {}) {
+  if (withId && withId === workoutId) {
+    throw new Error('with must be a different workout');
+  }
+
+  const workout = await getWorkoutById(workoutId, userId);
+  const prs = await getWorkoutPRs(userId, workoutId, { formula });
+
+  let baselineId = withId;
+  let baselineSource = withId ? 'selected' : null;
+
+  if (!baselineId && workout.template_id) {
+    const previous = await sql`
+      SELECT id
+      FROM workout
+      WHERE user_id = ${userId}
+      AND template_id = ${workout.template_id}
+      AND id <> ${workoutId}
+      AND completed_at IS NOT NULL
+      AND started_at < ${workout.started_at}
+      ORDER BY started_at DESC
+      LIMIT 1
+    `;
+
+    if (previous.length > 0) {
+      baselineId = previous[0].id;
+      baselineSource = 'template';
+    }
+  }
+
+  if (!baselineId) {
+    return {
+      workout: summarizeForComparison(workout),
+      baseline: null,
+      baseline_source: null,
+      totals: null,
+      exercises: [],
+      prs
+    };
+  }
+
+  const baseline = await getWorkoutById(baselineId, userId);
+
+  // Bodyweight exercise volume uses the bodyweight closest to each session
+  const bodyweights = {};
+  const needsBodyweight = [workout, baseline].some(session => session.exercises.some(exercise =>
+    usesBodyweight(exercise.load_mode || getDefaultLoadMode(exercise.type))
+  ));
+  if (needsBodyweight) {
+    const entries = await getBodyweightHistory(sql, userId);
+    for (const session of [workout, baseline]) {
+      bodyweights[session.id] = findClosestBodyweight(entries, getDateKey(session.completed_at || session.started_at, timezone));
+    }
+  }
+
+  return {
+    workout: summarizeForComparison(workout),
+    baseline: summarizeForComparison(baseline),
+    baseline_source: baselineSource,
+    ...compareWorkouts(workout, baseline, {
+      bodyweight: bodyweights[workout.id],
+      baselineBodyweight: bodyweights[baseline.id],
+      prs
+    }),
+    prs
+  };
+}
+
 /**
  * Create a new workout
  *
@@ -280,16 +471,20 @@ export async function createWorkout(workoutData, userId) {
  * @param {Object} updates - Fields to update
  * @param {string} updates.name - Workout name (optional)
  * @param {string} updates.notes - Workout notes (optional)
+ * @param {number|null} updates.sessionRpe - Whole-session effort 1-10, null to clear (optional)
  * @param {string} updates.completedAt - Completion timestamp (optional)
  * @param {string} userId - User UUID (for ownership verification)
- * @returns {Promise<Object>} Updated workout
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula for estimated_1rm on PRs hit (default: 'brzycki')
+ * @param {string} options.timezone - User's IANA timezone, for goal progress (default: 'UTC')
+ * @returns {Promise<Object>} Updated workout, with prs hit in this workout and completedGoals
  */
-export async function updateWorkout(workoutId, updates, userId) {
-  const { name, notes, completedAt } = updates;
+export async function updateWorkout(workoutId, updates, userId, { formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
+  const { name, notes, sessionRpe, completedAt } = updates;
 
   // Verify workout exists and belongs to user
   const existing = await sql`
-    SELECT id, user_id, started_at
+    SELECT id, user_id, started_at, completed_at
     FROM workout
     WHERE id = ${workoutId}
   `;
@@ -316,6 +511,13 @@ export async function updateWorkout(workoutId, updates, userId) {
     updateFields.notes = notes;
   }
 
+  if (sessionRpe !== undefined) {
+    if (sessionRpe !== null && !isValidSessionRPE(sessionRpe)) {
+      throw new Error('Session RPE must be an integer from 1 to 10');
+    }
+    updateFields.session_rpe = sessionRpe;
+  }
+
   if (completedAt !== undefined) {
     const completedDate = new Date(completedAt);
     if (isNaN(completedDate.getTime())) {
@@ -342,6 +544,9 @@ export async function updateWorkout(workoutId, updates, userId) {
   if (updateFields.notes !== undefined) {
     await sql`UPDATE workout SET notes = ${updateFields.notes} WHERE id = ${workoutId}`;
   }
+  if (updateFields.session_rpe !== undefined) {
+    await sql`UPDATE workout SET session_rpe = ${updateFields.session_rpe} WHERE id = ${workoutId}`;
+  }
   if (updateFields.completed_at !== undefined) {
     await sql`UPDATE workout SET completed_at = ${updateFields.completed_at} WHERE id = ${workoutId}`;
   }
@@ -352,8 +557,82 @@ export async function updateWorkout(workoutId, updates, userId) {
     await sql`UPDATE workout SET total_volume = ${updateFields.total_volume} WHERE id = ${workoutId}`;
   }
 
+  // Refresh PR history (completion date decides when a PR was set)
+  const exerciseIds = await getWorkoutExerciseIds(workoutId);
+  const prs = await recordWorkoutPRs(userId, workoutId, exerciseIds, { formula });
+
+  // Refresh stats for the week the workout left as well as the one it moved to
+  await refreshStatsRollups(userId, [existing[0].completed_at, updateFields.completed_at]);
+
+  // Goals reached by the edit (progress reads the rollups refreshed above)
+  const completedGoals = await checkGoalCompletion(userId, { formula, timezone });
+
   // Fetch and return updated workout
-  return getWorkoutById(workoutId, userId);
+  const workout = await getWorkoutById(workoutId, userId);
+
+  return { ...workout, prs, completedGoals };
+}
+
+/**
+ * Update a logged set
+ * Currently supports reclassifying warm-up/working sets (spec 4.5.1),
+ * which retroactively updates total_volume and PR history
+ *
+ * @param {string} workoutId - Workout UUID
+ * @param {string} setId - Set UUID
+ * @param {Object} updates - Fields to update
+ * @param {boolean} updates.isWarmup - Warm-up flag
+ * @param {string} userId - User UUID (for ownership verification)
+ * @param {Object} options - Optional settings
+ * @param {string} options.formula - 1RM formula for estimated_1rm on PRs hit (default: 'brzycki')
+ * @param {string} options.timezone - User's IANA timezone, for goal progress (default: 'UTC')
+ * @returns {Promise<Object>} Updated workout, with prs hit in this workout and completedGoals
+ */
+export async function updateSet(workoutId, setId, updates, userId, { formula = DEFAULT_E1RM_FORMULA, timezone = DEFAULT_TIMEZONE } = {}) {
+  const { isWarmup } = updates;
+
+  if (typeof isWarmup !== 'boolean') {
+    throw new Error('isWarmup must be a boolean');
+  }
+
+  // Verify set belongs to this workout and the workout belongs to user
+  const existing = await sql`
+    SELECT s.id, s.parent_set_id, we.exercise_id, w.user_id, w.completed_at
+    FROM "set" s
+    INNER JOIN workout_exercise we ON s.workout_exercise_id = we.id
+    INNER JOIN workout w ON we.workout_id = w.id
+    WHERE s.id = ${setId}
+    AND w.id = ${workoutId}
+  `;
+
+  if (existing.length === 0) {
+    throw new Error('Set not found');
+  }
+
+  if (existing[0].user_id !== userId) {
+    throw new Error('Unauthorized');
+  }
+
+  // Mini sets follow their parent set
+  if (existing[0].parent_set_id) {
+    throw new Error('isWarmup must be set on the parent set');
+  }
+
+  await sql`UPDATE "set" SET is_warmup = ${isWarmup} WHERE id = ${setId} OR parent_set_id = ${setId}`;
+
+  // Warm-up sets are excluded from volume, so recalculate
+  const totalVolume = await calculateWorkoutVolume(sql, workoutId);
+  await sql`UPDATE workout SET total_volume = ${totalVolume} WHERE id = ${workoutId}`;
+
+  const prs = await recordWorkoutPRs(userId, workoutId, [existing[0].exercise_id], { formula });
+  await refreshStatsRollups(userId, [existing[0].completed_at]);
+
+  // A warm-up counted as a working set can reach a goal
+  const completedGoals = await checkGoalCompletion(userId, { formula, timezone });
+
+  const workout = await getWorkoutById(workoutId, userId);
+
+  return { ...workout, prs, completedGoals };
 }
 
 /**
@@ -366,7 +645,7 @@ export async function updateWorkout(workoutId, updates, userId) {
 export async function deleteWorkout(workoutId, userId) {
   // Verify workout exists and belongs to user
   const existing = await sql`
-    SELECT id, user_id
+    SELECT id, user_id, completed_at
     FROM workout
     WHERE id = ${workoutId}
   `;
@@ -379,6 +658,9 @@ export async function deleteWorkout(workoutId, userId) {
     throw new Error('Unauthorized');
   }
 
+  // Remember which exercises were logged so their PR history can be rebuilt
+  const exerciseIds = await getWorkoutExerciseIds(workoutId);
+
   // Delete sets first
   await sql`
     DELETE FROM set
@@ -399,6 +681,10 @@ export async function deleteWorkout(workoutId, userId) {
     WHERE id = ${workoutId}
   `;
 
+  // PRs from this workout are gone; later sets may now hold the record
+  await refreshPRLedger(userId, exerciseIds);
+  await refreshStatsRollups(userId, [existing[0].completed_at]);
+
   return {
     success: true,
     workoutId
@@ -7,12 +7,31 @@ vi.mock('../db.js', () => {
   return { sql: mockSql };
 });
 
-vi.mock('../calculations/volumeCalculator.js', () => ({
+vi.mock('../calculations/volumeCalculator.js', async (importOriginal) => ({
+  ...await importOriginal(),
   calculateWorkoutVolume: vi.fn().mockResolvedValue(0),
 }));
 
-import { getWorkouts, getWorkoutById, updateWorkout, deleteWorkout } from './workoutService.js';
+vi.mock('./personalRecordService.js', () => ({
+  getWorkoutExerciseIds: vi.fn().mockResolvedValue(['exercise-bench']),
+  refreshPRLedger: vi.fn().mockResolvedValue(true),
+  recordWorkoutPRs: vi.fn().mockResolvedValue([]),
+  getWorkoutPRs: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock('./statsRollupService.js', () => ({
+  refreshStatsRollups: vi.fn().mockResolvedValue(true),
+}));
+
+vi.mock('./goalService.js', () => ({
+  checkGoalCompletion: vi.fn().mockResolvedValue([]),
+}));
+
+import { getWorkouts, getWorkoutById, compareWorkout, updateWorkout, updateSet, deleteWorkout } from './workoutService.js';
 import { sql } from '../db.js';
+import { refreshPRLedger, recordWorkoutPRs, getWorkoutPRs } from './personalRecordService.js';
+import { refreshStatsRollups } from './statsRollupService.js';
+import { checkGoalCompletion } from './goalService.js';
 
 describe('Ownership / Authorization Tests', () => {
   beforeEach(() => {
@@ -78,6 +97,84 @@ describe('Ownership / Authorization Tests', () => {
     });
   });
 
+  describe('compareWorkout', () => {
+    // A workout row as returned by the getWorkoutById query
+    const workoutRow = (id, { userId = 'user-A', templateId = 'template-1', weight = 225, volume = '2250' } = {}) => ({
+      id,
+      name: 'Push Day',
+      user_id: userId,
+      started_at: '2024-06-03T10:00:00Z',
+      completed_at: '2024-06-03T11:00:00Z',
+      duration_seconds: 3600,
+      total_volume: volume,
+      template_id: templateId,
+      exercises: [{
+        id: `${id}-we`,
+        exerciseId: 'exercise-bench',
+        exerciseName: 'Bench Press',
+        exerciseType: 'weighted',
+        loadMode: 'external',
+        bodyweightFraction: null,
+        sets: [
+          { id: `${id}-s1`, setNumber: 1, weight: String(weight), reps: 5, rir: 2, isWarmup: false, isCompleted: true },
+          { id: `${id}-s2`, setNumber: 2, weight: String(weight), reps: 5, rir: 1, isWarmup: false, isCompleted: true },
+        ],
+      }],
+    });
+
+    it('rejects comparing a workout with itself', async () => {
+      await expect(compareWorkout('workout-1', 'user-A', { withId: 'workout-1' }))
+        .rejects.toThrow('with must be a different workout');
+    });
+
+    it('compares with the previous session of the same template by default', async () => {
+      const benchPR = { exercise_id: 'exercise-bench', rep_range: '5RM', previous_weight: 225, weight: 235, reps: 5 };
+      getWorkoutPRs.mockResolvedValueOnce([benchPR]);
+      sql.mockResolvedValueOnce([workoutRow('workout-2', { weight: 235, volume: '2350' })]);
+      sql.mockResolvedValueOnce([{ id: 'workout-1' }]); // previous template session
+      sql.mockResolvedValueOnce([workoutRow('workout-1')]);
+
+      const result = await compareWorkout('workout-2', 'user-A');
+
+      expect(sql.mock.calls[1].slice(1)).toEqual(['user-A', 'template-1', 'workout-2', '2024-06-03T10:00:00Z']);
+      expect(result.baseline_source).toBe('template');
+      expect(result.baseline.id).toBe('workout-1');
+      expect(result.totals).toMatchObject({ volume_delta: 100, volume_change_percent: 4.4, sets_delta: 0 });
+      expect(result.exercises[0]).toMatchObject({ name: 'Bench Press', status: 'both', volume_delta: 100, prs: [benchPR] });
+      expect(result.exercises[0].sets[1]).toMatchObject({ weight_delta: 10, reps_delta: 0, rir_delta: 0 });
+      expect(result.prs).toEqual([benchPR]);
+    });
+
+    it('compares with the chosen workout', async () => {
+      sql.mockResolvedValueOnce([workoutRow('workout-2', { templateId: null })]);
+      sql.mockResolvedValueOnce([workoutRow('workout-9', { templateId: null })]);
+
+      const result = await compareWorkout('workout-2', 'user-A', { withId: 'workout-9' });
+
+      expect(sql).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ baseline_source: 'selected', baseline: { id: 'workout-9' } });
+    });
+
+    it('has no baseline for a first template session or a workout without a template', async () => {
+      sql.mockResolvedValueOnce([workoutRow('workout-2')]);
+      sql.mockResolvedValueOnce([]);
+
+      const first = await compareWorkout('workout-2', 'user-A');
+      expect(first).toMatchObject({ baseline: null, baseline_source: null, totals: null, exercises: [] });
+
+      sql.mockResolvedValueOnce([workoutRow('workout-3', { templateId: null })]);
+      const adHoc = await compareWorkout('workout-3', 'user-A');
+      expect(adHoc.baseline).toBeNull();
+    });
+
+    it('throws "Unauthorized" when comparing with another users workout', async () => {
+      sql.mockResolvedValueOnce([workoutRow('workout-2')]);
+      sql.mockResolvedValueOnce([workoutRow('workout-9', { userId: 'user-B' })]);
+
+      await expect(compareWorkout('workout-2', 'user-A', { withId: 'workout-9' })).rejects.toThrow('Unauthorized');
+    });
+  });
+
   describe('updateWorkout', () => {
     it('throws "Workout not found" when workout does not exist', async () => {
       sql.mockResolvedValueOnce([]);
@@ -90,6 +187,125 @@ describe('Ownership / Authorization Tests', () => {
 
       await expect(updateWorkout('workout-1', { name: 'Hacked' }, 'user-A')).rejects.toThrow('Unauthorized');
     });
+
+    it('returns PRs hit in the updated workout', async () => {
+      const squatPR = { exercise_id: 'exercise-squat', rep_range: '1RM', previous_weight: 305, weight: 315, reps: 1 };
+      recordWorkoutPRs.mockResolvedValueOnce([squatPR]);
+      sql.mockResolvedValueOnce([{ id: 'workout-1', user_id: 'user-A', started_at: '2024-01-01T00:00:00Z' }]);
+      sql.mockResolvedValueOnce([]); // name update
+      sql.mockResolvedValueOnce([]); // total_volume update
+      sql.mockResolvedValueOnce([{
+        id: 'workout-1',
+        name: 'Leg Day',
+        user_id: 'user-A',
+        total_volume: '0',
+        exercises: [],
+      }]);
+
+      const result = await updateWorkout('workout-1', { name: 'Leg Day' }, 'user-A');
+      expect(result.name).toBe('Leg Day');
+      expect(result.prs).toEqual([squatPR]);
+      expect(recordWorkoutPRs).toHaveBeenCalledWith(
+        'user-A', 'workout-1', ['exercise-bench'], { formula: 'brzycki' }
+      );
+    });
+
+    it('rejects a session RPE outside 1-10', async () => {
+      sql.mockResolvedValueOnce([{ id: 'workout-1', user_id: 'user-A', started_at: '2024-01-01T00:00:00Z' }]);
+
+      await expect(updateWorkout('workout-1', { sessionRpe: 11 }, 'user-A'))
+        .rejects.toThrow('Session RPE must be an integer from 1 to 10');
+    });
+
+    it('saves the session RPE', async () => {
+      sql.mockResolvedValueOnce([{ id: 'workout-1', user_id: 'user-A', started_at: '2024-01-01T00:00:00Z' }]);
+      sql.mockResolvedValueOnce([]); // session_rpe update
+      sql.mockResolvedValueOnce([]); // total_volume update
+      sql.mockResolvedValueOnce([{ id: 'workout-1', name: 'Leg Day', user_id: 'user-A', session_rpe: 8, exercises: [] }]);
+
+      const result = await updateWorkout('workout-1', { sessionRpe: 8 }, 'user-A');
+      expect(sql.mock.calls[1].slice(1)).toEqual([8, 'workout-1']);
+      expect(result.session_rpe).toBe(8);
+    });
+
+    it('clears the session RPE with null', async () => {
+      sql.mockResolvedValueOnce([{ id: 'workout-1', user_id: 'user-A', started_at: '2024-01-01T00:00:00Z' }]);
+      sql.mockResolvedValueOnce([]); // session_rpe update
+      sql.mockResolvedValueOnce([]); // total_volume update
+      sql.mockResolvedValueOnce([{ id: 'workout-1', name: 'Leg Day', user_id: 'user-A', session_rpe: null, exercises: [] }]);
+
+      await updateWorkout('workout-1', { sessionRpe: null }, 'user-A');
+      expect(sql.mock.calls[1].slice(1)).toEqual([null, 'workout-1']);
+    });
+
+    it('refreshes stats for both the old and new completion dates', async () => {
+      sql.mockResolvedValueOnce([{
+        id: 'workout-1',
+        user_id: 'user-A',
+        started_at: '2024-06-03T10:00:00Z',
+        completed_at: '2024-06-03T11:00:00Z'
+      }]);
+      sql.mockResolvedValueOnce([]); // completed_at update
+      sql.mockResolvedValueOnce([]); // duration update
+      sql.mockResolvedValueOnce([]); // total_volume update
+      sql.mockResolvedValueOnce([{ id: 'workout-1', name: 'Push Day', user_id: 'user-A', exercises: [] }]);
+
+      await updateWorkout('workout-1', { completedAt: '2024-06-11T11:00:00Z' }, 'user-A');
+      expect(refreshStatsRollups).toHaveBeenCalledWith(
+        'user-A', ['2024-06-03T11:00:00Z', '2024-06-11T11:00:00.000Z']
+      );
+    });
+  });
+
+  describe('updateSet', () => {
+    it('requires a boolean isWarmup', async () => {
+      await expect(updateSet('workout-1', 'set-1', { isWarmup: 'no' }, 'user-A')).rejects.toThrow('isWarmup must be a boolean');
+      expect(sql).not.toHaveBeenCalled();
+    });
+
+    it('throws "Set not found" when set is not in the workout', async () => {
+      sql.mockResolvedValueOnce([]);
+
+      await expect(updateSet('workout-1', 'set-x', { isWarmup: false }, 'user-A')).rejects.toThrow('Set not found');
+    });
+
+    it('throws "Unauthorized" when set belongs to another users workout', async () => {
+      sql.mockResolvedValueOnce([{ id: 'set-1', exercise_id: 'exercise-bench', user_id: 'user-B' }]);
+
+      await expect(updateSet('workout-1', 'set-1', { isWarmup: false }, 'user-A')).rejects.toThrow('Unauthorized');
+    });
+
+    it('only reclassifies parent sets, taking their mini sets along', async () => {
+      sql.mockResolvedValueOnce([{ id: 'sub-1', parent_set_id: 'set-1', exercise_id: 'exercise-bench', user_id: 'user-A' }]);
+
+      await expect(updateSet('workout-1', 'sub-1', { isWarmup: false }, 'user-A')).rejects.toThrow('must be set on the parent set');
+    });
+
+    it('reclassifies a warm-up set and returns PRs it now sets', async () => {
+      const benchPR = { exercise_id: 'exercise-bench', rep_range: '5RM', previous_weight: 215, weight: 225, reps: 5 };
+      recordWorkoutPRs.mockResolvedValueOnce([benchPR]);
+      sql.mockResolvedValueOnce([{ id: 'set-1', exercise_id: 'exercise-bench', user_id: 'user-A' }]);
+      sql.mockResolvedValueOnce([]); // set update
+      sql.mockResolvedValueOnce([]); // total_volume update
+      sql.mockResolvedValueOnce([{
+        id: 'workout-1',
+        name: 'Push Day',
+        user_id: 'user-A',
+        total_volume: '1125',
+        exercises: [],
+      }]);
+
+      const goal = { id: 'goal-1', type: 'e1rm' };
+      checkGoalCompletion.mockResolvedValueOnce([goal]);
+
+      const result = await updateSet('workout-1', 'set-1', { isWarmup: false }, 'user-A', { timezone: 'Europe/London' });
+      expect(result.prs).toEqual([benchPR]);
+      expect(result.completedGoals).toEqual([goal]);
+      expect(recordWorkoutPRs).toHaveBeenCalledWith(
+        'user-A', 'workout-1', ['exercise-bench'], { formula: 'brzycki' }
+      );
+      expect(checkGoalCompletion).toHaveBeenCalledWith('user-A', { formula: 'brzycki', timezone: 'Europe/London' });
+    });
   });
 
   describe('deleteWorkout', () => {
@@ -103,6 +319,15 @@ describe('Ownership / Authorization Tests', () => {
       sql.mockResolvedValueOnce([{ id: 'workout-1', user_id: 'user-B' }]);
 
       await expect(deleteWorkout('workout-1', 'user-A')).rejects.toThrow('Unauthorized');
+      expect(refreshPRLedger).not.toHaveBeenCalled();
+    });
+
+    it('rebuilds PR history and stats for the deleted workout', async () => {
+      sql.mockResolvedValueOnce([{ id: 'workout-1', user_id: 'user-A', completed_at: '2024-06-03T11:00:00Z' }]);
+
+      await deleteWorkout('workout-1', 'user-A');
+      expect(refreshPRLedger).toHaveBeenCalledWith('user-A', ['exercise-bench']);
+      expect(refreshStatsRollups).toHaveBeenCalledWith('user-A', ['2024-06-03T11:00:00Z']);
     });
   });
 });
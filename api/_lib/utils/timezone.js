@@ -0,0 +1,141 @@
+/**
+ * Timezone Utilities
+ *
+ * Calendar-date helpers for a user's IANA timezone (e.g. 'America/Los_Angeles').
+ * Dates are handled as 'YYYY-MM-DD' keys so day/week/month bucketing follows the
+ * user's wall clock rather than the server's or UTC. Uses Intl only (no tz library).
+ */
+
+/**
+ * Timezone used when the user has not set one
+ */
+export const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * Check whether a string is a valid IANA timezone
+ *
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if Intl recognises the timezone
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ *
+ * @param {Date|string} instant - Point in time
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Date key 'YYYY-MM-DD'
+ *
+ * @example
+ * getDateKey('2024-06-04T02:00:00Z', 'America/New_York'); // '2024-06-03'
+ */
+export function getDateKey(instant, timezone = DEFAULT_TIMEZONE) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(instant));
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getOffsetMs(instant, timezone) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant)) {
+    parts[type] = value;
+  }
+
+  const wallClockAsUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return wallClockAsUTC - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Get the instant a calendar date starts (local midnight) in a timezone
+ * Handles DST: the offset is re-checked at the candidate instant
+ *
+ * @param {string} dateKey - Date 'YYYY-MM-DD'
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} UTC instant of local midnight
+ *
+ * @example
+ * getStartOfDay('2024-06-03', 'America/New_York'); // 2024-06-03T04:00:00.000Z
+ */
+export function getStartOfDay(dateKey, timezone = DEFAULT_TIMEZONE) {
+  const midnightAsUTC = parseDateKey(dateKey).getTime();
+
+  let instant = midnightAsUTC - getOffsetMs(new Date(midnightAsUTC), timezone);
+  // Second pass corrects for an offset change between UTC midnight and local midnight
+  instant = midnightAsUTC - getOffsetMs(new Date(instant), timezone);
+
+  return new Date(instant);
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' key as UTC midnight (for calendar arithmetic only)
+ *
+ * @param {string} dateKey - Date 'YYYY-MM-DD'
+ * @returns {Date} Date at UTC midnight
+ * @throws {Error} If the key is not a valid date
+ */
+export function parseDateKey(dateKey) {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || isNaN(date.getTime())) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+  return date;
+}
+
+/**
+ * Add calendar days to a date key
+ *
+ * @param {string} dateKey - Date 'YYYY-MM-DD'
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date key
+ */
+export function addDays(dateKey, days) {
+  const date = parseDateKey(dateKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the Monday of the week containing a date key
+ *
+ * @param {string} dateKey - Date 'YYYY-MM-DD'
+ * @returns {string} Monday date key
+ */
+export function getWeekStart(dateKey) {
+  const dayOfWeek = parseDateKey(dateKey).getUTCDay(); // 0 = Sunday
+  return addDays(dateKey, -((dayOfWeek + 6) % 7));
+}
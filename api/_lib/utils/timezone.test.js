@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidTimezone,
+  getDateKey,
+  getStartOfDay,
+  parseDateKey,
+  addDays,
+  getWeekStart
+} from './timezone.js';
+
+describe('Timezone Utilities', () => {
+  describe('isValidTimezone', () => {
+    it('accepts IANA timezones', () => {
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('America/Los_Angeles')).toBe(true);
+      expect(isValidTimezone('Pacific/Kiritimati')).toBe(true);
+    });
+
+    it('rejects unknown or empty values', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(null)).toBe(false);
+    });
+  });
+
+  describe('getDateKey', () => {
+    it('puts an evening workout in the Americas on the local day', () => {
+      // 8pm Sunday in Los Angeles is already Monday in UTC
+      expect(getDateKey('2024-06-10T03:00:00Z', 'UTC')).toBe('2024-06-10');
+      expect(getDateKey('2024-06-10T03:00:00Z', 'America/Los_Angeles')).toBe('2024-06-09');
+    });
+
+    it('handles timezones far ahead of UTC', () => {
+      // UTC+14: local date is a day ahead for most of the UTC day
+      expect(getDateKey('2024-06-09T11:00:00Z', 'Pacific/Kiritimati')).toBe('2024-06-10');
+      expect(getDateKey('2024-06-09T11:00:00Z', 'Pacific/Pago_Pago')).toBe('2024-06-09');
+    });
+  });
+
+  describe('getStartOfDay', () => {
+    it('returns local midnight as a UTC instant', () => {
+      expect(getStartOfDay('2024-06-03', 'UTC').toISOString()).toBe('2024-06-03T00:00:00.000Z');
+      expect(getStartOfDay('2024-06-03', 'America/New_York').toISOString()).toBe('2024-06-03T04:00:00.000Z');
+      expect(getStartOfDay('2024-06-03', 'Asia/Kolkata').toISOString()).toBe('2024-06-02T18:30:00.000Z');
+    });
+
+    it('uses the correct offset on DST transition days', () => {
+      // US spring forward (Mar 10, 2024): midnight is still EST (-5)
+      expect(getStartOfDay('2024-03-10', 'America/New_York').toISOString()).toBe('2024-03-10T05:00:00.000Z');
+      // Next day is EDT (-4)
+      expect(getStartOfDay('2024-03-11', 'America/New_York').toISOString()).toBe('2024-03-11T04:00:00.000Z');
+      // US fall back (Nov 3, 2024): midnight is still EDT (-4)
+      expect(getStartOfDay('2024-11-03', 'America/New_York').toISOString()).toBe('2024-11-03T04:00:00.000Z');
+      expect(getStartOfDay('2024-11-04', 'America/New_York').toISOString()).toBe('2024-11-04T05:00:00.000Z');
+    });
+
+    it('handles southern hemisphere DST', () => {
+      // Auckland NZDT (+13) ends Apr 7, 2024 -> NZST (+12)
+      expect(getStartOfDay('2024-04-07', 'Pacific/Auckland').toISOString()).toBe('2024-04-06T11:00:00.000Z');
+      expect(getStartOfDay('2024-04-08', 'Pacific/Auckland').toISOString()).toBe('2024-04-07T12:00:00.000Z');
+    });
+
+    it('round-trips with getDateKey', () => {
+      for (const timezone of ['America/Los_Angeles', 'Europe/London', 'Australia/Lord_Howe', 'Pacific/Kiritimati']) {
+        expect(getDateKey(getStartOfDay('2024-10-06', timezone), timezone)).toBe('2024-10-06');
+      }
+    });
+  });
+
+  describe('date key arithmetic', () => {
+    it('parses valid keys and rejects invalid ones', () => {
+      expect(parseDateKey('2024-02-29').toISOString()).toBe('2024-02-29T00:00:00.000Z');
+      expect(() => parseDateKey('not-a-date')).toThrow('Invalid date format');
+      expect(() => parseDateKey('2024-13-01')).toThrow('Invalid date format');
+    });
+
+    it('adds days across month and year boundaries', () => {
+      expect(addDays('2024-12-30', 3)).toBe('2025-01-02');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    it('finds the Monday of the week', () => {
+      expect(getWeekStart('2024-06-03')).toBe('2024-06-03'); // Monday
+      expect(getWeekStart('2024-06-09')).toBe('2024-06-03'); // Sunday
+      expect(getWeekStart('2024-06-12')).toBe('2024-06-10'); // Wednesday
+    });
+  });
+});
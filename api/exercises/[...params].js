@@ -46,10 +46,20 @@ const handlers = {
     '': async (req, res) => {
       try {
         const userId = req.user.userId;
-        const { name, type, equipment, primaryMuscles, secondaryMuscles, skipDuplicateCheck } = req.body;
+        const {
+          name,
+          type,
+          equipment,
+          primaryMuscles,
+          secondaryMuscles,
+          loadMode,
+          bodyweightFraction,
+          isUnilateral,
+          skipDuplicateCheck
+        } = req.body;
 
         const result = await createExercise(
-          { name, type, equipment, primaryMuscles, secondaryMuscles, skipDuplicateCheck },
+          { name, type, equipment, primaryMuscles, secondaryMuscles, loadMode, bodyweightFraction, isUnilateral, skipDuplicateCheck },
           userId
         );
 
@@ -0,0 +1,193 @@
+/**
+ * Goals Catch-All Route Handler
+ * Consolidates 5 routes into a single serverless function
+ *
+ * Routes:
+ * - GET /api/goals?status=active|completed|all => List goals with progress
+ * - POST /api/goals => Create goal
+ * - GET /api/goals/[id] => Get goal with progress
+ * - PUT /api/goals/[id] => Update goal target, deadline or notes
+ * - DELETE /api/goals/[id] => Delete goal
+ */
+
+import { requireAuth } from '../_lib/middleware/auth.js';
+import {
+  getGoals,
+  getGoalById,
+  createGoal,
+  updateGoal,
+  deleteGoal
+} from '../_lib/services/goalService.js';
+import { getUserSettings } from '../_lib/services/settingsService.js';
+import { refreshStaleStatsRollups } from '../_lib/services/statsRollupService.js';
+
+/**
+ * Map goal service errors to HTTP responses
+ *
+ * @param {Object} res - Response object
+ * @param {Error} error - Service error
+ * @param {string} fallback - Error message for unexpected failures
+ * @returns {Object} Response
+ */
+function sendGoalError(res, error, fallback) {
+  if (error.message === 'Goal not found' || error.message === 'Exercise not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Unauthorized') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (
+    error.message.includes('must be') ||
+    error.message.includes('required') ||
+    error.message.includes('Invalid') ||
+    error.message.startsWith('No fields')
+  ) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+}
+
+/**
+ * Route handlers
+ */
+const handlers = {
+  GET: {
+    // GET /api/goals - List goals
+    '': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { status } = req.query;
+        // Progress reads the stats rollups, which a timezone change may have left stale
+        await refreshStaleStatsRollups(userId);
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
+
+        const result = await getGoals(userId, { status: status || 'active', formula: e1rmFormula, timezone });
+
+        return res.status(200).json(result);
+      } catch (error) {
+        console.error('Get goals error:', error);
+        return sendGoalError(res, error, 'Failed to fetch goals');
+      }
+    },
+
+    // GET /api/goals/[id] - Get goal by ID
+    '[id]': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        // Progress reads the stats rollups, which a timezone change may have left stale
+        await refreshStaleStatsRollups(userId);
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
+
+        const goal = await getGoalById(userId, req.params.id, { formula: e1rmFormula, timezone });
+
+        return res.status(200).json({ goal });
+      } catch (error) {
+        console.error('Get goal error:', error);
+        return sendGoalError(res, error, 'Failed to fetch goal');
+      }
+    }
+  },
+
+  POST: {
+    // POST /api/goals - Create goal
+    '': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { type, exerciseId, muscle, targetValue, targetWeight, targetDate, notes } = req.body || {};
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
+
+        const goal = await createGoal(
+          userId,
+          { type, exerciseId, muscle, targetValue, targetWeight, targetDate, notes },
+          { formula: e1rmFormula, timezone }
+        );
+
+        return res.status(201).json({ goal });
+      } catch (error) {
+        console.error('Create goal error:', error);
+        return sendGoalError(res, error, 'Failed to create goal');
+      }
+    }
+  },
+
+  PUT: {
+    // PUT /api/goals/[id] - Update goal
+    '[id]': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { targetValue, targetWeight, targetDate, notes } = req.body || {};
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
+
+        const goal = await updateGoal(
+          userId,
+          req.params.id,
+          { targetValue, targetWeight, targetDate, notes },
+          { formula: e1rmFormula, timezone }
+        );
+
+        return res.status(200).json({ goal });
+      } catch (error) {
+        console.error('Update goal error:', error);
+        return sendGoalError(res, error, 'Failed to update goal');
+      }
+    }
+  },
+
+  DELETE: {
+    // DELETE /api/goals/[id] - Delete goal
+    '[id]': async (req, res) => {
+      try {
+        const result = await deleteGoal(req.user.userId, req.params.id);
+
+        return res.status(200).json(result);
+      } catch (error) {
+        console.error('Delete goal error:', error);
+        return sendGoalError(res, error, 'Failed to delete goal');
+      }
+    }
+  }
+};
+
+/**
+ * Main handler - routes requests based on slug and method
+ */
+export default async function handler(req, res) {
+  // Parse path segments from URL (req.query may not populate for POST in Vercel)
+  const slug = req.url.split('?')[0].replace(/^\/api\/goals\/?/, '').split('/').filter(Boolean);
+  const { method } = req;
+
+  // Build route key from slug
+  let routeKey, params = {};
+
+  if (slug.length === 0) {
+    // Root route: /api/goals
+    routeKey = '';
+  } else if (slug.length === 1) {
+    // Single ID route: /api/goals/[id]
+    routeKey = '[id]';
+    params.id = slug[0];
+  } else {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  // Find handler
+  const methodHandlers = handlers[method];
+  if (!methodHandlers) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const routeHandler = methodHandlers[routeKey];
+  if (!routeHandler) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  // Attach params to request
+  req.params = params;
+
+  // All goal routes require authentication
+  return requireAuth(routeHandler)(req, res);
+}
@@ -0,0 +1,3 @@
+// Root route handler for /api/goals
+// Re-exports the catch-all handler which parses paths from req.url
+export { default } from './[...params].js';
@@ -1,10 +1,21 @@
 /**
  * Stats Catch-All Route Handler
- * Consolidates 3 routes into a single serverless function
+ * Consolidates 14 routes into a single serverless function
  *
  * Routes:
  * - GET /api/stats/prs => Get personal records
+ * - GET /api/stats/prs/history?exerciseId= => Get PR history timeline
+ * - GET /api/stats/prs/warmup-candidates?workoutId= => Warm-up sets that beat a PR (suspected mislabelled)
  * - GET /api/stats/weekly => Get weekly stats
+ * - GET /api/stats/lagging?week= => Muscles below their weekly set target
+ * - GET /api/stats/range?from=&to=&granularity=day|week|month => Get bucketed stats for a date range
+ * - GET /api/stats/load?date= => Get acute:chronic workload ratio and muscle fatigue
+ * - GET /api/stats/calendar?year= => Training days for a year with day and week streaks
+ * - GET /api/stats/recap?period=month|year&date= => Monthly or yearly recap (workouts, tonnage, top lifts, PRs, streaks)
+ * - GET /api/stats/density?from=&to= => Rest and density trends per session, with the rest timer comparison
+ * - GET /api/stats/density/[workoutId] => Rest periods, time per exercise and density for a workout
+ * - GET /api/stats/insights?exerciseId= => Plateau and stall alerts per exercise
+ * - GET /api/stats/imbalance?exerciseId=&from=&to= => Left/right imbalance of unilateral exercises per session
  * - GET /api/stats/progress/[exerciseId] => Get exercise progress
  *
  * Note: Also consolidates /api/prs and /api/progress/[exerciseId] under stats
@@ -14,8 +25,30 @@ import { requireAuth } from '../_lib/middleware/auth.js';
 import {
   getPRs,
   getWeeklyStats,
+  getLaggingMuscleStats,
+  getRangeStats,
+  getTrainingLoad,
+  getCalendar,
+  getRecap,
+  getDensityTrends,
+  getWorkoutDensity,
+  getInsights,
+  getImbalanceReport,
   getExerciseProgress
 } from '../_lib/services/statsService.js';
+import { getPRHistory, getWarmupPRCandidates, refreshStalePRLedger } from '../_lib/services/personalRecordService.js';
+import { refreshStaleStatsRollups } from '../_lib/services/statsRollupService.js';
+import { getUserSettings } from '../_lib/services/settingsService.js';
+
+/**
+ * Rebuild the rollups and PR ledger a settings change left stale before the route reads them
+ * (see PUT /api/user/settings). Failures are logged and retried on the next read
+ */
+const withFreshDerivedData = (routeHandler) => async (req, res) => {
+  await refreshStaleStatsRollups(req.user.userId);
+  await refreshStalePRLedger(req.user.userId);
+  return routeHandler(req, res);
+};
 
 /**
  * Route handlers
@@ -27,8 +60,9 @@ const handlers = {
       try {
         const userId = req.user.userId;
         const { exerciseId } = req.query;
+        const { e1rmFormula, prRepRanges } = await getUserSettings(userId);
 
-        const result = await getPRs(userId, exerciseId);
+        const result = await getPRs(userId, exerciseId, { formula: e1rmFormula, repRanges: prRepRanges });
 
         return res.status(200).json(result);
       } catch (error) {
@@ -40,13 +74,64 @@ const handlers = {
       }
     },
 
+    // GET /api/stats/prs/history - Get PR history timeline for an exercise
+    'prs/history': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { exerciseId } = req.query;
+        const { e1rmFormula } = await getUserSettings(userId);
+
+        const result = await getPRHistory(userId, exerciseId, { formula: e1rmFormula });
+
+        return res.status(200).json(result);
+      } catch (error) {
+        console.error('Error fetching PR history:', error);
+
+        if (error.message === 'Exercise not found') {
+          return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('required')) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        return res.status(500).json({
+          error: 'Failed to fetch PR history',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/prs/warmup-candidates - Suspected mislabelled PRs (spec 4.5.1)
+    'prs/warmup-candidates': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { workoutId } = req.query;
+
+        const result = await getWarmupPRCandidates(userId, { workoutId });
+
+        return res.status(200).json(result);
+      } catch (error) {
+        console.error('Error fetching warm-up PR candidates:', error);
+
+        if (error.message.includes('required')) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        return res.status(500).json({
+          error: 'Failed to fetch warm-up PR candidates',
+          message: error.message
+        });
+      }
+    },
+
     // GET /api/stats/weekly - Get weekly stats
     'weekly': async (req, res) => {
       try {
         const userId = req.user.userId;
         const { week } = req.query;
+        const { timezone, muscleSetTargets } = await getUserSettings(userId);
 
-        const result = await getWeeklyStats(userId, week);
+        const result = await getWeeklyStats(userId, week, { timezone, setTargets: muscleSetTargets });
 
         return res.status(200).json({ stats: result });
       } catch (error) {
@@ -61,13 +146,213 @@ const handlers = {
       }
     },
 
+    // GET /api/stats/lagging - Get muscles below their weekly set target
+    'lagging': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { week } = req.query;
+        const { timezone, muscleSetTargets } = await getUserSettings(userId);
+
+        const result = await getLaggingMuscleStats(userId, week, { timezone, setTargets: muscleSetTargets });
+
+        return res.status(200).json(result);
+      } catch (error) {
+        console.error('Error fetching lagging muscles:', error);
+
+        const statusCode = error.message.includes('Invalid date') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to fetch lagging muscles',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/range - Get stats for a date range, bucketed by day/week/month
+    'range': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { from, to, granularity } = req.query;
+        const { timezone } = await getUserSettings(userId);
+
+        const result = await getRangeStats(userId, { from, to, granularity, timezone });
+
+        return res.status(200).json({ stats: result });
+      } catch (error) {
+        console.error('Error fetching range stats:', error);
+
+        const statusCode = error.message.includes('Invalid date') || error.message.includes('must be') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to fetch range stats',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/load - Get acute:chronic workload ratio and per-muscle fatigue
+    'load': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { date } = req.query;
+        const { timezone } = await getUserSettings(userId);
+
+        const result = await getTrainingLoad(userId, { date, timezone });
+
+        return res.status(200).json({ load: result });
+      } catch (error) {
+        console.error('Error fetching training load:', error);
+
+        const statusCode = error.message.includes('Invalid date') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to fetch training load',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/calendar - Get a year of training days with current and longest streaks
+    'calendar': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { year } = req.query;
+        const { timezone, streakWorkoutsPerWeek } = await getUserSettings(userId);
+
+        const result = await getCalendar(userId, { year, timezone, workoutsPerWeek: streakWorkoutsPerWeek });
+
+        return res.status(200).json({ calendar: result });
+      } catch (error) {
+        console.error('Error fetching calendar:', error);
+
+        const statusCode = error.message.includes('must be') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to fetch calendar',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/recap - Get a monthly or yearly recap
+    'recap': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { period, date } = req.query;
+        const { timezone, streakWorkoutsPerWeek } = await getUserSettings(userId);
+
+        const result = await getRecap(userId, { period, date, timezone, workoutsPerWeek: streakWorkoutsPerWeek });
+
+        return res.status(200).json({ recap: result });
+      } catch (error) {
+        console.error('Error fetching recap:', error);
+
+        const statusCode = error.message.includes('must be') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to fetch recap',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/density - Get rest and density trends per session for a date range
+    'density': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { from, to } = req.query;
+        const { timezone } = await getUserSettings(userId);
+
+        const result = await getDensityTrends(userId, { from, to, timezone });
+
+        return res.status(200).json({ density: result });
+      } catch (error) {
+        console.error('Error fetching density trends:', error);
+
+        const statusCode = error.message.includes('Invalid date') || error.message.includes('must be') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to fetch density trends',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/density/[workoutId] - Get rest periods and density for a workout
+    'density/[workoutId]': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { timezone } = await getUserSettings(userId);
+
+        const result = await getWorkoutDensity(req.params.workoutId, userId, { timezone });
+
+        return res.status(200).json({ density: result });
+      } catch (error) {
+        console.error('Error fetching workout density:', error);
+
+        if (error.message === 'Workout not found') {
+          return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Unauthorized') {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+
+        return res.status(500).json({
+          error: 'Failed to fetch workout density',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/insights - Get plateau and stall alerts
+    'insights': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { exerciseId } = req.query;
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
+
+        const result = await getInsights(userId, { exerciseId, formula: e1rmFormula, timezone });
+
+        return res.status(200).json(result);
+      } catch (error) {
+        console.error('Error fetching insights:', error);
+        return res.status(500).json({
+          error: 'Failed to fetch insights',
+          message: error.message
+        });
+      }
+    },
+
+    // GET /api/stats/imbalance - Get the left/right imbalance of unilateral exercises
+    'imbalance': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { exerciseId, from, to } = req.query;
+        const { timezone } = await getUserSettings(userId);
+
+        const result = await getImbalanceReport(userId, { exerciseId, from, to, timezone });
+
+        return res.status(200).json({ imbalance: result });
+      } catch (error) {
+        console.error('Error fetching imbalance report:', error);
+
+        const statusCode = error.message.includes('Invalid date') || error.message.includes('must be') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to fetch imbalance report',
+          message: error.message
+        });
+      }
+    },
+
     // GET /api/stats/progress/[exerciseId] - Get exercise progress
     'progress/[exerciseId]': async (req, res) => {
       try {
         const userId = req.user.userId;
         const exerciseId = req.params.exerciseId;
+        const { e1rmFormula } = await getUserSettings(userId);
 
-        const result = await getExerciseProgress(exerciseId, userId);
+        const result = await getExerciseProgress(exerciseId, userId, { formula: e1rmFormula });
 
         return res.status(200).json({ progress: result.data, ...result });
       } catch (error) {
@@ -104,8 +389,16 @@ export default async function handler(req, res) {
     // No valid root route for /api/stats
     return res.status(404).json({ error: 'Not found' });
   } else if (slug.length === 1) {
-    // Single segment routes: /api/stats/prs or /api/stats/weekly
+    // Single segment routes: /api/stats/prs, /api/stats/weekly, /api/stats/lagging, /api/stats/range, /api/stats/load,
+    // /api/stats/calendar, /api/stats/recap, /api/stats/density, /api/stats/insights
     routeKey = slug[0];
+  } else if (slug.length === 2 && slug[0] === 'prs' && ['history', 'warmup-candidates'].includes(slug[1])) {
+    // Nested routes: /api/stats/prs/history, /api/stats/prs/warmup-candidates
+    routeKey = `prs/${slug[1]}`;
+  } else if (slug.length === 2 && slug[0] === 'density') {
+    // Nested route: /api/stats/density/[workoutId]
+    routeKey = 'density/[workoutId]';
+    params.workoutId = slug[1];
   } else if (slug.length === 2 && slug[0] === 'progress') {
     // Nested route: /api/stats/progress/[exerciseId]
     routeKey = 'progress/[exerciseId]';
@@ -129,5 +422,5 @@ export default async function handler(req, res) {
   req.params = params;
 
   // All stats routes require authentication
-  return requireAuth(routeHandler)(req, res);
+  return requireAuth(withFreshDerivedData(routeHandler))(req, res);
 }
@@ -3,15 +3,38 @@
  *
  * Routes:
  * - GET /api/user/export => Export all user data
+ * - GET /api/user/settings => Get user settings
+ * - PUT /api/user/settings => Update user settings
+ * - GET /api/user/bodyweight?from=&to=&limit= => List bodyweight entries
+ * - POST /api/user/bodyweight => Log bodyweight (replaces same-date entry)
+ * - PUT /api/user/bodyweight/[id] => Update bodyweight entry
+ * - DELETE /api/user/bodyweight/[id] => Delete bodyweight entry
+ * - GET /api/user/equipment => List equipment profiles and the active one
+ * - POST /api/user/equipment => Create equipment profile
+ * - PUT /api/user/equipment/[id] => Update or activate equipment profile
+ * - DELETE /api/user/equipment/[id] => Delete equipment profile
  * - DELETE /api/user/delete => Delete user account permanently
  */
 
 import { requireAuth } from '../_lib/middleware/auth.js';
-import { sql } from '../_lib/db.js';
 import { deleteAccount } from '../_lib/services/userService.js';
+import { exportUserData } from '../_lib/services/exportService.js';
+import { getUserSettings, updateUserSettings } from '../_lib/services/settingsService.js';
+import {
+  getBodyweightEntries,
+  createBodyweightEntry,
+  updateBodyweightEntry,
+  deleteBodyweightEntry
+} from '../_lib/services/bodyweightService.js';
+import {
+  getEquipmentProfiles,
+  createEquipmentProfile,
+  updateEquipmentProfile,
+  deleteEquipmentProfile
+} from '../_lib/services/equipmentService.js';
 
 /**
- * Export all user data (workouts, templates, custom exercises)
+ * Export all user data
  *
  * @param {Object} req - Request object with authenticated user
  * @param {Object} res - Response object
@@ -21,144 +44,7 @@ async function handleExport(req, res) {
   try {
     const userId = req.user.userId;
 
-    // 1. Get all workouts with exercises and sets
-    const workouts = await sql`
-      SELECT
-        w.id,
-        w.name,
-        w.started_at,
-        w.completed_at,
-        w.duration_seconds,
-        w.total_volume,
-        w.notes,
-        w.template_id,
-        COALESCE(
-          json_agg(
-            json_build_object(
-              'id', we.id,
-              'exerciseId', we.exercise_id,
-              'exerciseName', e.name,
-              'exerciseType', e.type,
-              'orderIndex', we.order_index,
-              'isCompleted', we.is_completed,
-              'sets', (
-                SELECT COALESCE(json_agg(
-                  json_build_object(
-                    'id', s.id,
-                    'setNumber', s.set_number,
-                    'weight', s.weight,
-                    'reps', s.reps,
-                    'rir', s.rir,
-                    'durationSeconds', s.duration_seconds,
-                    'distance', s.distance,
-                    'notes', s.notes,
-                    'isWarmup', s.is_warmup,
-                    'isCompleted', s.is_completed
-                  ) ORDER BY s.set_number
-                ), '[]'::json)
-                FROM "set" s
-                WHERE s.workout_exercise_id = we.id
-              )
-            ) ORDER BY we.order_index
-          ) FILTER (WHERE we.id IS NOT NULL),
-          '[]'::json
-        ) as exercises
-      FROM workout w
-      LEFT JOIN workout_exercise we ON w.id = we.workout_id
-      LEFT JOIN exercise e ON we.exercise_id = e.id
-      WHERE w.user_id = ${userId}
-      GROUP BY w.id
-      ORDER BY w.started_at DESC
-    `;
-
-    // 2. Get all custom exercises
-    const customExercises = await sql`
-      SELECT
-        id,
-        name,
-        type,
-        equipment,
-        primary_muscles,
-        secondary_muscles,
-        created_at
-      FROM exercise
-      WHERE created_by = ${userId}
-        AND is_archived = false
-      ORDER BY name ASC
-    `;
-
-    // 3. Get all templates with exercises
-    const templates = await sql`
-      SELECT
-        t.id,
-        t.name,
-        t.description,
-        t.created_at,
-        t.updated_at,
-        COALESCE(
-          json_agg(
-            json_build_object(
-              'id', te.id,
-              'exerciseId', te.exercise_id,
-              'exerciseName', e.name,
-              'exerciseType', e.type,
-              'orderIndex', te.order_index,
-              'targetSets', te.target_sets,
-              'targetRepsMin', te.target_reps_min,
-              'targetRepsMax', te.target_reps_max,
-              'notes', te.notes
-            ) ORDER BY te.order_index
-          ) FILTER (WHERE te.id IS NOT NULL),
-          '[]'::json
-        ) as exercises
-      FROM template t
-      LEFT JOIN template_exercise te ON t.id = te.template_id
-      LEFT JOIN exercise e ON te.exercise_id = e.id
-      WHERE t.user_id = ${userId}
-      GROUP BY t.id
-      ORDER BY t.updated_at DESC
-    `;
-
-    // 4. Format response
-    const exportData = {
-      exportedAt: new Date().toISOString(),
-      user: {
-        id: userId,
-      },
-      workouts: workouts.map(w => ({
-        id: w.id,
-        name: w.name,
-        startedAt: w.started_at,
-        completedAt: w.completed_at,
-        durationSeconds: w.duration_seconds,
-        totalVolume: w.total_volume ? parseFloat(w.total_volume) : 0,
-        notes: w.notes,
-        templateId: w.template_id,
-        exercises: w.exercises
-      })),
-      templates: templates.map(t => ({
-        id: t.id,
-        name: t.name,
-        description: t.description,
-        createdAt: t.created_at,
-        updatedAt: t.updated_at,
-        exercises: t.exercises
-      })),
-      customExercises: customExercises.map(e => ({
-        id: e.id,
-        name: e.name,
-        type: e.type,
-        equipment: e.equipment,
-        primaryMuscles: e.primary_muscles || [],
-        secondaryMuscles: e.secondary_muscles || [],
-        createdAt: e.created_at
-      })),
-      stats: {
-        totalWorkouts: workouts.length,
-        totalTemplates: templates.length,
-        totalCustomExercises: customExercises.length
-      }
-    };
+    const exportData = await exportUserData(userId);
 
     return res.status(200).json(exportData);
   } catch (error) {
@@ -214,17 +100,337 @@ async function handleDelete(req, res) {
   }
 }
 
+/**
+ * Get user settings
+ *
+ * @param {Object} req - Request object with authenticated user
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleGetSettings(req, res) {
+  try {
+    const settings = await getUserSettings(req.user.userId);
+
+    return res.status(200).json({ settings });
+  } catch (error) {
+    console.error('Get settings error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to get settings',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Update user settings
+ *
+ * @param {Object} req - Request object with authenticated user and settings in body
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleUpdateSettings(req, res) {
+  try {
+    // Timezone and rep range changes leave the rollups or PR ledger stale; they are rebuilt on
+    // the next stats read rather than here, and pendingRebuilds says which are still waiting
+    const { pendingRebuilds, ...settings } = await updateUserSettings(req.user.userId, req.body || {});
+
+    return res.status(200).json({ settings, pendingRebuilds });
+  } catch (error) {
+    console.error('Update settings error:', error);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (error.message.includes('must be') || error.message.startsWith('No settings')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to update settings',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Map bodyweight service errors to HTTP responses
+ *
+ * @param {Object} res - Response object
+ * @param {Error} error - Service error
+ * @param {string} fallback - Error message for unexpected failures
+ * @returns {Object} Response
+ */
+function sendBodyweightError(res, error, fallback) {
+  if (error.message === 'Bodyweight entry not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Unauthorized') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (error.message.includes('already logged')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (
+    error.message.includes('must be') ||
+    error.message.includes('Invalid') ||
+    error.message.startsWith('No fields')
+  ) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+}
+
+/**
+ * List bodyweight entries
+ *
+ * @param {Object} req - Request object with authenticated user and optional from/to/limit query
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleListBodyweight(req, res) {
+  try {
+    const { from, to, limit } = req.query;
+
+    const result = await getBodyweightEntries(req.user.userId, {
+      from: from || null,
+      to: to || null,
+      limit: limit ? parseInt(limit) : null
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('List bodyweight error:', error);
+    return sendBodyweightError(res, error, 'Failed to fetch bodyweight entries');
+  }
+}
+
+/**
+ * Log bodyweight
+ *
+ * @param {Object} req - Request object with authenticated user and { weight, recordedOn, notes } body
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleCreateBodyweight(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { weight, recordedOn, notes } = req.body || {};
+    const { timezone, e1rmFormula } = await getUserSettings(userId);
+
+    const { completedGoals, ...entry } = await createBodyweightEntry(userId, { weight, recordedOn, notes }, {
+      timezone,
+      formula: e1rmFormula
+    });
+
+    return res.status(201).json({ entry, completedGoals });
+  } catch (error) {
+    console.error('Create bodyweight error:', error);
+    return sendBodyweightError(res, error, 'Failed to log bodyweight');
+  }
+}
+
+/**
+ * Update a bodyweight entry
+ *
+ * @param {Object} req - Request object with authenticated user, entry id param and updates body
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleUpdateBodyweight(req, res) {
+  try {
+    const userId = req.user.userId;
+    const { weight, recordedOn, notes } = req.body || {};
+    const { timezone, e1rmFormula } = await getUserSettings(userId);
+
+    const { completedGoals, ...entry } = await updateBodyweightEntry(userId, req.params.id, { weight, recordedOn, notes }, {
+      timezone,
+      formula: e1rmFormula
+    });
+
+    return res.status(200).json({ entry, completedGoals });
+  } catch (error) {
+    console.error('Update bodyweight error:', error);
+    return sendBodyweightError(res, error, 'Failed to update bodyweight entry');
+  }
+}
+
+/**
+ * Delete a bodyweight entry
+ *
+ * @param {Object} req - Request object with authenticated user and entry id param
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleDeleteBodyweight(req, res) {
+  try {
+    const result = await deleteBodyweightEntry(req.user.userId, req.params.id);
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Delete bodyweight error:', error);
+    return sendBodyweightError(res, error, 'Failed to delete bodyweight entry');
+  }
+}
+
+/**
+ * Map equipment service errors to HTTP responses
+ *
+ * @param {Object} res - Response object
+ * @param {Error} error - Service error
+ * @param {string} fallback - Error message for unexpected failures
+ * @returns {Object} Response
+ */
+function sendEquipmentError(res, error, fallback) {
+  if (error.message === 'Equipment profile not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Unauthorized') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (
+    error.message.includes('must be') ||
+    error.message.includes('required') ||
+    error.message.includes('Invalid') ||
+    error.message.startsWith('No fields')
+  ) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+}
+
+/**
+ * List equipment profiles
+ *
+ * @param {Object} req - Request object with authenticated user
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleListEquipment(req, res) {
+  try {
+    const result = await getEquipmentProfiles(req.user.userId);
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('List equipment profiles error:', error);
+    return sendEquipmentError(res, error, 'Failed to fetch equipment profiles');
+  }
+}
+
+/**
+ * Create an equipment profile
+ *
+ * @param {Object} req - Request object with authenticated user and
+ *   { name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive } body
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleCreateEquipment(req, res) {
+  try {
+    const { name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive } = req.body || {};
+
+    const profile = await createEquipmentProfile(req.user.userId, {
+      name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive
+    });
+
+    return res.status(201).json({ profile });
+  } catch (error) {
+    console.error('Create equipment profile error:', error);
+    return sendEquipmentError(res, error, 'Failed to create equipment profile');
+  }
+}
+
+/**
+ * Update an equipment profile
+ *
+ * @param {Object} req - Request object with authenticated user, profile id param and updates body
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleUpdateEquipment(req, res) {
+  try {
+    const { name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive } = req.body || {};
+
+    const profile = await updateEquipmentProfile(req.user.userId, req.params.id, {
+      name, barWeights, plates, dumbbells, cableIncrement, cableMax, isActive
+    });
+
+    return res.status(200).json({ profile });
+  } catch (error) {
+    console.error('Update equipment profile error:', error);
+    return sendEquipmentError(res, error, 'Failed to update equipment profile');
+  }
+}
+
+/**
+ * Delete an equipment profile
+ *
+ * @param {Object} req - Request object with authenticated user and profile id param
+ * @param {Object} res - Response object
+ * @returns {Promise<void>}
+ */
+async function handleDeleteEquipment(req, res) {
+  try {
+    const result = await deleteEquipmentProfile(req.user.userId, req.params.id);
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Delete equipment profile error:', error);
+    return sendEquipmentError(res, error, 'Failed to delete equipment profile');
+  }
+}
+
 /**
  * Route handlers
  */
 const handlers = {
   GET: {
     // GET /api/user/export - Export all user data
-    'export': handleExport
+    'export': handleExport,
+    // GET /api/user/settings - Get user settings
+    'settings': handleGetSettings,
+    // GET /api/user/bodyweight - List bodyweight entries
+    'bodyweight': handleListBodyweight,
+    // GET /api/user/equipment - List equipment profiles
+    'equipment': handleListEquipment
+  },
+  POST: {
+    // POST /api/user/bodyweight - Log bodyweight
+    'bodyweight': handleCreateBodyweight,
+    // POST /api/user/equipment - Create equipment profile
+    'equipment': handleCreateEquipment
+  },
+  PUT: {
+    // PUT /api/user/settings - Update user settings
+    'settings': handleUpdateSettings,
+    // PUT /api/user/bodyweight/[id] - Update bodyweight entry
+    'bodyweight/[id]': handleUpdateBodyweight,
+    // PUT /api/user/equipment/[id] - Update equipment profile
+    'equipment/[id]': handleUpdateEquipment
   },
   DELETE: {
     // DELETE /api/user/delete - Delete user account
-    'delete': handleDelete
+    'delete': handleDelete,
+    // DELETE /api/user/bodyweight/[id] - Delete bodyweight entry
+    'bodyweight/[id]': handleDeleteBodyweight,
+    // DELETE /api/user/equipment/[id] - Delete equipment profile
+    'equipment/[id]': handleDeleteEquipment
   }
 };
 
@@ -237,10 +443,14 @@ export default async function handler(req, res) {
   const { method } = req;
 
   // Build route key from slug
-  let routeKey;
+  let routeKey, params = {};
 
-  if (slug.length === 1 && (slug[0] === 'export' || slug[0] === 'delete')) {
+  if (slug.length === 1 && ['export', 'delete', 'settings', 'bodyweight', 'equipment'].includes(slug[0])) {
     routeKey = slug[0];
+  } else if (slug.length === 2 && ['bodyweight', 'equipment'].includes(slug[0])) {
+    // Nested routes: /api/user/bodyweight/[id], /api/user/equipment/[id]
+    routeKey = `${slug[0]}/[id]`;
+    params.id = slug[1];
   } else {
     return res.status(404).json({ error: 'Not found' });
   }
@@ -256,6 +466,9 @@ export default async function handler(req, res) {
     return res.status(404).json({ error: 'Not found' });
   }
 
+  // Attach params to request
+  req.params = params;
+
   // All user routes require authentication
   return requireAuth(routeHandler)(req, res);
 }
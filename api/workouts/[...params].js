@@ -6,8 +6,10 @@
  * - GET /api/workouts => List workouts
  * - POST /api/workouts => Create workout
  * - GET /api/workouts/[id] => Get workout by ID
+ * - GET /api/workouts/[id]/compare?with= => Compare with a workout (default: previous session of its template)
  * - PUT /api/workouts/[id] => Update workout
  * - DELETE /api/workouts/[id] => Delete workout
+ * - PUT /api/workouts/[id]/sets/[setId] => Update set (warm-up reclassification)
  * - GET /api/workouts/draft => Get draft
  * - POST /api/workouts/draft => Save draft
  * - DELETE /api/workouts/draft => Delete draft
@@ -18,8 +20,10 @@ import { requireAuth } from '../_lib/middleware/auth.js';
 import {
   getWorkouts,
   getWorkoutById,
+  compareWorkout,
   createWorkout,
   updateWorkout,
+  updateSet,
   deleteWorkout
 } from '../_lib/services/workoutService.js';
 import {
@@ -28,6 +32,7 @@ import {
   deleteDraft
 } from '../_lib/services/draftService.js';
 import { syncWorkouts } from '../_lib/services/syncService.js';
+import { getUserSettings } from '../_lib/services/settingsService.js';
 
 /**
  * Route handlers
@@ -82,6 +87,40 @@ const handlers = {
       }
     },
 
+    // GET /api/workouts/[id]/compare - Compare with another workout or the previous template session
+    '[id]/compare': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const workoutId = req.params.id;
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
+
+        const comparison = await compareWorkout(workoutId, userId, {
+          withId: req.query.with || null,
+          formula: e1rmFormula,
+          timezone
+        });
+
+        return res.status(200).json({ comparison });
+      } catch (error) {
+        console.error('Compare workouts error:', error);
+
+        if (error.message === 'Workout not found') {
+          return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Unauthorized') {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+        if (error.message.includes('must be')) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        return res.status(500).json({
+          error: 'Failed to compare workouts',
+          message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+      }
+    },
+
     // GET /api/workouts/draft - Get draft
     'draft': async (req, res) => {
       try {
@@ -148,8 +187,9 @@ const handlers = {
       try {
         const userId = req.user.userId;
         const { completedWorkouts, deleteDraftIds } = req.body;
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
 
-        const result = await syncWorkouts({ completedWorkouts, deleteDraftIds }, userId);
+        const result = await syncWorkouts({ completedWorkouts, deleteDraftIds }, userId, { formula: e1rmFormula, timezone });
 
         return res.status(200).json(result);
       } catch (error) {
@@ -171,11 +211,15 @@ const handlers = {
       try {
         const userId = req.user.userId;
         const workoutId = req.params.id;
-        const { name, notes, completedAt } = req.body;
+        const { name, notes, sessionRpe, completedAt } = req.body;
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
 
-        const workout = await updateWorkout(workoutId, { name, notes, completedAt }, userId);
+        const { prs, completedGoals, ...workout } = await updateWorkout(workoutId, { name, notes, sessionRpe, completedAt }, userId, {
+          formula: e1rmFormula,
+          timezone
+        });
 
-        return res.status(200).json({ workout });
+        return res.status(200).json({ workout, prs, completedGoals });
       } catch (error) {
         console.error('Update workout error:', error);
 
@@ -193,6 +237,39 @@ const handlers = {
           message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
         });
       }
+    },
+
+    // PUT /api/workouts/[id]/sets/[setId] - Update set (e.g. confirm warm-up PR as working set)
+    '[id]/sets/[setId]': async (req, res) => {
+      try {
+        const userId = req.user.userId;
+        const { id: workoutId, setId } = req.params;
+        const { isWarmup } = req.body;
+        const { e1rmFormula, timezone } = await getUserSettings(userId);
+
+        const { prs, completedGoals, ...workout } = await updateSet(workoutId, setId, { isWarmup }, userId, {
+          formula: e1rmFormula,
+          timezone
+        });
+
+        return res.status(200).json({ workout, prs, completedGoals });
+      } catch (error) {
+        console.error('Update set error:', error);
+
+        if (error.message === 'Set not found') {
+          return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Unauthorized') {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const statusCode = error.message.includes('must be') ? 400 : 500;
+
+        return res.status(statusCode).json({
+          error: error.message || 'Failed to update set',
+          message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+      }
     }
   },
 
@@ -276,6 +353,15 @@ export default async function handler(req, res) {
       routeKey = '[id]';
       params.id = segment;
     }
+  } else if (slug.length === 2 && slug[1] === 'compare') {
+    // Nested route: /api/workouts/[id]/compare
+    routeKey = '[id]/compare';
+    params.id = slug[0];
+  } else if (slug.length === 3 && slug[1] === 'sets') {
+    // Nested route: /api/workouts/[id]/sets/[setId]
+    routeKey = '[id]/sets/[setId]';
+    params.id = slug[0];
+    params.setId = slug[2];
   } else {
     return res.status(404).json({ error: 'Not found' });
   }
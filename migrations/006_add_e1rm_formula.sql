@@ -0,0 +1,10 @@
+-- Migration 006: Add 1RM Formula Setting
+-- Purpose: Let each user choose the formula used for estimated 1RM
+-- Date: 2026-10-19
+
+-- Add e1rm_formula to user table (Brzycki remains the default)
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS e1rm_formula VARCHAR(20) DEFAULT 'brzycki' NOT NULL
+CHECK (e1rm_formula IN ('brzycki', 'epley', 'lombardi', 'wathan', 'mayhew', 'average'));
+
+COMMENT ON COLUMN "user".e1rm_formula IS 'Estimated 1RM formula: brzycki, epley, lombardi, wathan, mayhew, or average (mean of all)';
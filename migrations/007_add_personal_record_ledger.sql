@@ -0,0 +1,24 @@
+-- Migration 007: Add Personal Record Ledger
+-- Purpose: Keep a history of every rep-range PR (when it was set and what it beat)
+-- Maintained by workout update/delete and sync; rebuild with scripts/rebuild-pr-ledger.js
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS personal_record (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  exercise_id UUID NOT NULL REFERENCES exercise(id) ON DELETE CASCADE,
+  rep_range VARCHAR(20) NOT NULL,
+  weight DECIMAL(6,2) NOT NULL,
+  reps INTEGER NOT NULL,
+  previous_weight DECIMAL(6,2),
+  workout_id UUID NOT NULL REFERENCES workout(id) ON DELETE CASCADE,
+  set_id UUID REFERENCES "set"(id) ON DELETE SET NULL,
+  achieved_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+-- Timeline lookups per exercise
+CREATE INDEX IF NOT EXISTS idx_personal_record_user_exercise ON personal_record(user_id, exercise_id, achieved_at);
+
+COMMENT ON TABLE personal_record IS 'PR history: one row each time a rep-range best weight was beaten';
+COMMENT ON COLUMN personal_record.previous_weight IS 'Best weight for this rep range before this PR (NULL for the first record)';
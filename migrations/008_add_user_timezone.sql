@@ -0,0 +1,9 @@
+-- Migration 008: Add User Timezone
+-- Purpose: Bucket stats by the user's local calendar date instead of UTC
+-- Date: 2026-10-19
+
+-- IANA timezone name (e.g. 'America/New_York'), sent by the client
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC' NOT NULL;
+
+COMMENT ON COLUMN "user".timezone IS 'IANA timezone used for day/week/month boundaries in stats';
@@ -0,0 +1,20 @@
+-- Migration 009: Add Bodyweight Log
+-- Purpose: Track bodyweight over time; bodyweight exercise volume uses the entry closest to each workout
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS bodyweight_entry (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  weight DECIMAL(5,2) NOT NULL,
+  recorded_on DATE NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+
+  -- Constraints
+  CONSTRAINT bodyweight_positive CHECK (weight > 0),
+  CONSTRAINT bodyweight_one_per_day UNIQUE (user_id, recorded_on)
+);
+
+COMMENT ON TABLE bodyweight_entry IS 'Bodyweight log (lbs), at most one entry per user per local date';
+COMMENT ON COLUMN bodyweight_entry.recorded_on IS 'Local calendar date in the user''s timezone';
@@ -0,0 +1,121 @@
+-- Migration 010: Add Exercise Load Coefficients
+-- Purpose: Per-exercise share of bodyweight moved and how the logged weight combines with it,
+--          so push-ups, weighted pull-ups and assisted dips get correct volume, e1RMs and PRs
+-- Date: 2026-10-19
+--
+-- Effective load per rep:
+--   external        = weight
+--   bodyweight_plus = bodyweight × bodyweight_fraction + weight (added weight, e.g. dip belt)
+--   assisted        = bodyweight × bodyweight_fraction - weight (assistance, e.g. machine counterweight)
+--
+-- After running, rebuild PRs with: node scripts/rebuild-pr-ledger.js
+
+ALTER TABLE exercise
+ADD COLUMN IF NOT EXISTS load_mode VARCHAR(20) DEFAULT 'external' NOT NULL
+CHECK (load_mode IN ('external', 'bodyweight_plus', 'assisted'));
+
+ALTER TABLE exercise
+ADD COLUMN IF NOT EXISTS bodyweight_fraction DECIMAL(3, 2) DEFAULT 1.00 NOT NULL
+CHECK (bodyweight_fraction >= 0 AND bodyweight_fraction <= 1);
+
+COMMENT ON COLUMN exercise.load_mode IS 'How the logged weight combines with bodyweight: external, bodyweight_plus, or assisted';
+COMMENT ON COLUMN exercise.bodyweight_fraction IS 'Share of bodyweight moved per rep (0-1), used when load_mode is not external';
+
+-- Bodyweight exercises (including custom ones) keep the previous full-bodyweight behaviour
+UPDATE exercise
+SET load_mode = 'bodyweight_plus'
+WHERE type = 'bodyweight'
+AND load_mode = 'external';
+
+-- =============================================================================
+-- LIBRARY COEFFICIENTS (002_seed_exercises.sql)
+-- Approximate share of bodyweight moved per rep; good enough for trend and PR comparison
+-- =============================================================================
+
+UPDATE exercise
+SET bodyweight_fraction = coefficients.fraction
+FROM (
+  VALUES
+    ('Push-Up', 0.64),
+    ('Incline Push-Up', 0.45),
+    ('Dip', 0.95),
+    ('Tricep Dip', 0.95),
+    ('Pull-Up', 0.95),
+    ('Chin-Up', 0.95),
+    ('Inverted Row', 0.60),
+    ('Hyperextension', 0.50),
+    ('Reverse Hyperextension', 0.35),
+    ('Handstand Push-Up', 0.90),
+    ('Pike Push-Up', 0.70),
+    ('Pistol Squat', 0.85),
+    ('Sissy Squat', 0.75),
+    ('Box Jump', 1.00),
+    ('Jump Squat', 0.85),
+    ('Glute Bridge', 0.45),
+    ('Glute Ham Raise', 0.55),
+    ('Nordic Hamstring Curl', 0.65),
+    ('Crunch', 0.30),
+    ('Reverse Crunch', 0.30),
+    ('Decline Sit-Up', 0.40),
+    ('Leg Raise', 0.30),
+    ('Hanging Knee Raise', 0.30),
+    ('Hanging Leg Raise', 0.35),
+    ('Ab Wheel Rollout', 0.50),
+    ('Dead Bug', 0.15),
+    ('Bird Dog', 0.15),
+    ('Flutter Kicks', 0.20)
+) AS coefficients (name, fraction)
+WHERE exercise.name = coefficients.name
+AND exercise.created_by IS NULL;
+
+-- Assisted Pull-Up logs the machine's counterweight
+UPDATE exercise
+SET load_mode = 'assisted', bodyweight_fraction = 0.95
+WHERE name = 'Assisted Pull-Up'
+AND created_by IS NULL;
+
+INSERT INTO exercise (name, type, equipment, primary_muscles, secondary_muscles, is_custom, is_archived, created_by, load_mode, bodyweight_fraction)
+SELECT 'Assisted Dip', 'weighted', 'machine', '{"chest", "triceps"}', '{"shoulders"}', FALSE, FALSE, NULL, 'assisted', 0.95
+WHERE NOT EXISTS (
+  SELECT 1 FROM exercise WHERE name = 'Assisted Dip' AND created_by IS NULL
+);
+
+-- =============================================================================
+-- STORED VOLUMES
+-- Recalculate workouts that contain bodyweight-loaded sets (see volumeCalculator.js)
+-- =============================================================================
+
+UPDATE workout
+SET total_volume = volumes.total_volume
+FROM (
+  SELECT
+    w.id as workout_id,
+    COALESCE(SUM(
+      CASE
+        WHEN s.is_warmup = false AND e.type IN ('weighted', 'bodyweight')
+        THEN COALESCE(s.reps, 0) * CASE e.load_mode
+          WHEN 'bodyweight_plus' THEN COALESCE(bw.weight, 150) * e.bodyweight_fraction + COALESCE(s.weight, 0)
+          WHEN 'assisted' THEN GREATEST(COALESCE(bw.weight, 150) * e.bodyweight_fraction - COALESCE(s.weight, 0), 0)
+          ELSE COALESCE(s.weight, 0)
+        END
+        ELSE 0
+      END
+    ), 0) as total_volume
+  FROM workout w
+  JOIN "user" u ON w.user_id = u.id
+  JOIN workout_exercise we ON we.workout_id = w.id
+  JOIN exercise e ON we.exercise_id = e.id
+  JOIN "set" s ON s.workout_exercise_id = we.id
+  LEFT JOIN LATERAL (
+    SELECT be.weight
+    FROM bodyweight_entry be
+    WHERE be.user_id = w.user_id
+    ORDER BY
+      ABS(be.recorded_on - DATE(COALESCE(w.completed_at, w.started_at) AT TIME ZONE u.timezone)),
+      be.recorded_on ASC
+    LIMIT 1
+  ) bw ON true
+  GROUP BY w.id
+  HAVING bool_or(e.load_mode <> 'external')
+) volumes
+WHERE workout.id = volumes.workout_id;
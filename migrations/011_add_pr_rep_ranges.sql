@@ -0,0 +1,12 @@
+-- Migration 011: Add PR Rep Ranges
+-- Purpose: Let users choose their own PR buckets (exact reps 1-20, custom ranges, or the defaults)
+-- Date: 2026-10-19
+--
+-- NULL = default buckets (1RM, 3RM 2-3, 5RM 4-7, 10RM 8-12; see prCalculator.js REP_RANGES)
+-- Otherwise a JSON array of { "name": "15RM", "min": 13, "max": 15 }, sorted and non-overlapping
+-- The personal_record ledger is rebuilt when a user changes their buckets
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS pr_rep_ranges JSONB;
+
+COMMENT ON COLUMN "user".pr_rep_ranges IS 'PR rep-range buckets [{name, min, max}], NULL for the default 1RM/3RM/5RM/10RM';
@@ -0,0 +1,61 @@
+-- Migration 012: Add Stats Rollups
+-- Purpose: Per-user daily/weekly aggregates so stats endpoints stop scanning every logged set
+-- Maintained by workout update/delete, sync, bodyweight and timezone changes
+-- Rebuild with scripts/rebuild-stats-rollups.js
+-- Date: 2026-10-19
+--
+-- Dates are local dates in the user's timezone, weeks start on Monday
+-- Volumes use effective loads (bodyweight-loaded sets use the closest logged bodyweight)
+-- Muscle breakdowns attribute 100% to primary and 50% to secondary muscles
+
+CREATE TABLE IF NOT EXISTS daily_stats_rollup (
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  total_volume DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  total_sets INTEGER NOT NULL DEFAULT 0,
+  workout_count INTEGER NOT NULL DEFAULT 0,
+  total_duration_seconds INTEGER NOT NULL DEFAULT 0,
+  volume_by_muscle JSONB NOT NULL DEFAULT '{}',
+  sets_by_muscle JSONB NOT NULL DEFAULT '{}',
+  trained_muscles JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  PRIMARY KEY (user_id, date)
+);
+
+CREATE TABLE IF NOT EXISTS weekly_stats_rollup (
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  week_start DATE NOT NULL,
+  total_volume DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  total_sets INTEGER NOT NULL DEFAULT 0,
+  workout_count INTEGER NOT NULL DEFAULT 0,
+  total_duration_seconds INTEGER NOT NULL DEFAULT 0,
+  volume_by_muscle JSONB NOT NULL DEFAULT '{}',
+  sets_by_muscle JSONB NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  PRIMARY KEY (user_id, week_start)
+);
+
+CREATE TABLE IF NOT EXISTS exercise_daily_rollup (
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  exercise_id UUID NOT NULL REFERENCES exercise(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  top_weight DECIMAL(8, 2),
+  total_volume DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  total_sets INTEGER NOT NULL DEFAULT 0,
+  rep_bests JSONB NOT NULL DEFAULT '{}',
+  endurance_summary JSONB,
+  endurance_bests JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  PRIMARY KEY (user_id, exercise_id, date)
+);
+
+-- Per-user PR lookups across all exercises
+CREATE INDEX IF NOT EXISTS idx_exercise_daily_rollup_user ON exercise_daily_rollup(user_id, date);
+
+COMMENT ON TABLE daily_stats_rollup IS 'Working-set totals per user and local date (warm-ups excluded)';
+COMMENT ON TABLE weekly_stats_rollup IS 'Working-set totals per user and local week (Monday start)';
+COMMENT ON TABLE exercise_daily_rollup IS 'Per-exercise daily bests used for PRs and progress charts';
+COMMENT ON COLUMN daily_stats_rollup.trained_muscles IS 'Muscles with working volume that day (frequency heatmap)';
+COMMENT ON COLUMN exercise_daily_rollup.rep_bests IS 'Reps -> heaviest effective load at that rep count {load, rir, workout_id, workout_name, completed_at}, e1RM and rep-range PRs derive from it';
+COMMENT ON COLUMN exercise_daily_rollup.endurance_summary IS 'Cardio: total_distance, total_duration, avg_pace, best_split. Timed: longest_hold, total_time_under_load. NULL for strength exercises';
+COMMENT ON COLUMN exercise_daily_rollup.endurance_bests IS 'Sets that were the day''s best in any endurance PR category';
@@ -0,0 +1,19 @@
+-- Migration 013: Add Training Load
+-- Purpose: Optional session RPE per workout and a daily training load in the stats rollups
+-- (acute:chronic workload ratio and per-muscle fatigue, see trainingLoadCalculator.js)
+-- Date: 2026-10-19
+--
+-- Run scripts/rebuild-stats-rollups.js afterwards so existing days get their training load
+
+ALTER TABLE workout
+ADD COLUMN IF NOT EXISTS session_rpe SMALLINT CHECK (session_rpe IS NULL OR (session_rpe >= 1 AND session_rpe <= 10));
+
+ALTER TABLE daily_stats_rollup
+ADD COLUMN IF NOT EXISTS training_load DECIMAL(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE daily_stats_rollup
+ADD COLUMN IF NOT EXISTS load_by_muscle JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN workout.session_rpe IS 'Whole-session effort 1-10 (optional), scales the workout training load around RPE 7';
+COMMENT ON COLUMN daily_stats_rollup.training_load IS 'Working-set volume weighted by RIR and session RPE';
+COMMENT ON COLUMN daily_stats_rollup.load_by_muscle IS 'Training load by muscle (100% primary, 50% secondary)';
@@ -0,0 +1,11 @@
+-- Migration 014: Add Muscle Set Targets
+-- Purpose: Per-user weekly set targets per muscle (MEV/MAV/MRV presets or custom)
+-- Date: 2026-10-19
+--
+-- NULL = the default 'mev' preset (see setTargetCalculator.js SET_TARGET_PRESETS)
+-- Otherwise a JSON object of { "chest": { "min": 10, "max": 20 } }. Muscles left out have no target
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS muscle_set_targets JSONB;
+
+COMMENT ON COLUMN "user".muscle_set_targets IS 'Weekly set targets {muscle: {min, max}}, NULL for the default MEV preset';
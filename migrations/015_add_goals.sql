@@ -0,0 +1,32 @@
+-- Migration 015: Add Goals
+-- Purpose: Strength, bodyweight and training goals with optional deadlines. Progress is computed from the stats rollups
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS goal (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL,
+  exercise_id UUID REFERENCES exercise(id) ON DELETE CASCADE,
+  muscle VARCHAR(20),
+  target_value DECIMAL(7,2) NOT NULL,
+  target_weight DECIMAL(7,2),
+  start_value DECIMAL(7,2),
+  target_date DATE,
+  notes TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+
+  -- Constraints
+  CONSTRAINT goal_type_valid CHECK (type IN ('e1rm', 'rep_max', 'bodyweight', 'weekly_workouts', 'muscle_volume')),
+  CONSTRAINT goal_target_positive CHECK (target_value > 0),
+  CONSTRAINT goal_exercise_required CHECK (type NOT IN ('e1rm', 'rep_max') OR exercise_id IS NOT NULL),
+  CONSTRAINT goal_muscle_required CHECK (type <> 'muscle_volume' OR muscle IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_goal_user_completed ON goal(user_id, completed_at);
+
+COMMENT ON TABLE goal IS 'User goals (e1RM, rep max at a weight, bodyweight, weekly workouts, weekly muscle sets)';
+COMMENT ON COLUMN goal.target_weight IS 'rep_max goals: minimum effective load in lbs (NULL for any load)';
+COMMENT ON COLUMN goal.start_value IS 'Value when the goal was set, the baseline for percent complete';
+COMMENT ON COLUMN goal.completed_at IS 'Set when a saved workout first reaches the target';
@@ -0,0 +1,11 @@
+-- Migration 016: Add Streak Rule
+-- Purpose: Per-user "N workouts per week" rule for weekly training streaks
+-- Date: 2026-10-19
+--
+-- NULL = the default of 1 workout per week (see streakCalculator.js)
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS streak_workouts_per_week SMALLINT
+CHECK (streak_workouts_per_week IS NULL OR (streak_workouts_per_week >= 1 AND streak_workouts_per_week <= 7));
+
+COMMENT ON COLUMN "user".streak_workouts_per_week IS 'Workouts a week needs to extend the weekly streak, NULL for the default of 1';
@@ -0,0 +1,12 @@
+-- Migration 017: Add Rest Timer Picks
+-- Purpose: Record the rest timer preset started after each set, for rest and session density analytics
+-- Date: 2026-10-19
+--
+-- set.completed_at (001) is stamped by the client when a set is logged, so the gap between
+-- consecutive sets is the actual rest. NULL = no timer was started after the set.
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS rest_timer_seconds INTEGER
+CHECK (rest_timer_seconds IS NULL OR (rest_timer_seconds > 0 AND rest_timer_seconds <= 3600));
+
+COMMENT ON COLUMN "set".rest_timer_seconds IS 'Rest timer preset started after this set (seconds), NULL when no timer was used';
@@ -0,0 +1,39 @@
+-- Migration 018: Add Exercise Groups
+-- Purpose: Supersets, circuits and giant sets in workouts and templates
+-- (replaces the superset_id planned in the spec but never created)
+-- Date: 2026-10-19
+--
+-- Exercises sharing a group_id are done in rotation, one set each per round, with rest after
+-- the whole round. Group members are consecutive by order_index and share group_type and
+-- group_rounds (see exerciseGroupCalculator.js). NULL group_id = a standalone exercise.
+
+ALTER TABLE workout_exercise
+ADD COLUMN IF NOT EXISTS group_id UUID;
+
+ALTER TABLE workout_exercise
+ADD COLUMN IF NOT EXISTS group_type VARCHAR(20)
+CHECK (group_type IN ('superset', 'circuit', 'giant_set'));
+
+ALTER TABLE workout_exercise
+ADD COLUMN IF NOT EXISTS group_rounds SMALLINT
+CHECK (group_rounds IS NULL OR (group_rounds >= 1 AND group_rounds <= 20));
+
+ALTER TABLE template_exercise
+ADD COLUMN IF NOT EXISTS group_id UUID;
+
+ALTER TABLE template_exercise
+ADD COLUMN IF NOT EXISTS group_type VARCHAR(20)
+CHECK (group_type IN ('superset', 'circuit', 'giant_set'));
+
+ALTER TABLE template_exercise
+ADD COLUMN IF NOT EXISTS group_rounds SMALLINT
+CHECK (group_rounds IS NULL OR (group_rounds >= 1 AND group_rounds <= 20));
+
+CREATE INDEX IF NOT EXISTS idx_workout_exercise_group ON workout_exercise(group_id) WHERE group_id IS NOT NULL;
+
+COMMENT ON COLUMN workout_exercise.group_id IS 'Shared by the exercises of a superset, circuit or giant set, NULL when standalone';
+COMMENT ON COLUMN workout_exercise.group_type IS 'superset, circuit or giant_set (set together with group_id)';
+COMMENT ON COLUMN workout_exercise.group_rounds IS 'Planned rounds through the group (1-20), NULL when open-ended';
+COMMENT ON COLUMN template_exercise.group_id IS 'Shared by the exercises of a superset, circuit or giant set, NULL when standalone';
+COMMENT ON COLUMN template_exercise.group_type IS 'superset, circuit or giant_set (set together with group_id)';
+COMMENT ON COLUMN template_exercise.group_rounds IS 'Planned rounds through the group (1-20), NULL when open-ended';
@@ -0,0 +1,38 @@
+-- Migration 019: Add Set Types
+-- Purpose: Drop sets, rest-pause, myo-reps, cluster sets, AMRAP and sets to failure
+-- Date: 2026-10-19
+--
+-- The mini sets of a drop, rest-pause, myo-rep or cluster set are sub-sets: rows linked to
+-- the parent set by parent_set_id, sharing its set_number, set_type and is_warmup, and
+-- numbered 1, 2, 3... by sub_set_number. Sub-sets count toward volume but not toward set
+-- counts or PRs (see setTypeCalculator.js). Existing sets become standard sets.
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS set_type VARCHAR(20) NOT NULL DEFAULT 'standard'
+CHECK (set_type IN ('standard', 'drop', 'rest_pause', 'myo_rep', 'cluster', 'amrap', 'failure'));
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS parent_set_id UUID REFERENCES "set"(id) ON DELETE CASCADE;
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS sub_set_number SMALLINT
+CHECK (sub_set_number IS NULL OR (sub_set_number >= 1 AND sub_set_number <= 10));
+
+ALTER TABLE "set"
+DROP CONSTRAINT IF EXISTS set_sub_set_has_parent;
+
+ALTER TABLE "set"
+ADD CONSTRAINT set_sub_set_has_parent CHECK ((parent_set_id IS NULL) = (sub_set_number IS NULL));
+
+-- Sub-sets share their parent's set_number, so set numbers are unique per sub-set position
+ALTER TABLE "set"
+DROP CONSTRAINT IF EXISTS set_unique_per_exercise;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_set_unique_per_exercise
+ON "set"(workout_exercise_id, set_number, COALESCE(sub_set_number, 0));
+
+CREATE INDEX IF NOT EXISTS idx_set_parent ON "set"(parent_set_id) WHERE parent_set_id IS NOT NULL;
+
+COMMENT ON COLUMN "set".set_type IS 'standard, drop, rest_pause, myo_rep, cluster, amrap or failure (sub-sets copy their parent)';
+COMMENT ON COLUMN "set".parent_set_id IS 'Parent set of a drop, rest-pause, myo-rep or cluster mini set, NULL for a set';
+COMMENT ON COLUMN "set".sub_set_number IS 'Order of a mini set within its parent (1-10), NULL for a set';
@@ -0,0 +1,65 @@
+-- Migration 020: Add Unilateral Sets
+-- Purpose: Unilateral exercises (one arm or leg at a time) log left and right reps and weight per set
+-- Date: 2026-10-19
+--
+-- A unilateral set stores both sides in left_weight/left_reps and right_weight/right_reps.
+-- Its weight and reps are the weaker side (fewer reps, then the lighter weight), the set both
+-- sides achieved, so e1RMs, PRs and rep bests keep reading weight and reps unchanged.
+-- Volume adds both sides (see unilateralCalculator.js). Existing sets have no sides.
+
+ALTER TABLE exercise
+ADD COLUMN IF NOT EXISTS is_unilateral BOOLEAN DEFAULT false NOT NULL;
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS left_weight DECIMAL(6, 2)
+CHECK (left_weight IS NULL OR (left_weight >= 0 AND left_weight <= 1500));
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS left_reps INTEGER
+CHECK (left_reps IS NULL OR (left_reps >= 1 AND left_reps <= 100));
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS right_weight DECIMAL(6, 2)
+CHECK (right_weight IS NULL OR (right_weight >= 0 AND right_weight <= 1500));
+
+ALTER TABLE "set"
+ADD COLUMN IF NOT EXISTS right_reps INTEGER
+CHECK (right_reps IS NULL OR (right_reps >= 1 AND right_reps <= 100));
+
+ALTER TABLE "set"
+DROP CONSTRAINT IF EXISTS set_sides_complete;
+
+ALTER TABLE "set"
+ADD CONSTRAINT set_sides_complete CHECK ((left_reps IS NULL) = (right_reps IS NULL));
+
+-- =============================================================================
+-- LIBRARY UNILATERAL EXERCISES (002_seed_exercises.sql)
+-- =============================================================================
+
+UPDATE exercise
+SET is_unilateral = true
+WHERE created_by IS NULL
+AND name IN (
+  'Dumbbell Row',
+  'Kroc Row',
+  'Single-Arm Lat Pulldown',
+  'One-Arm Cable Row',
+  'Single-Arm Dumbbell Overhead Press',
+  'Cable Lateral Raise',
+  'Concentration Curl',
+  'Single-Arm Tricep Pushdown',
+  'Single-Arm Overhead Tricep Extension',
+  'Bulgarian Split Squat',
+  'Dumbbell Split Squat',
+  'Reverse Lunge',
+  'Lateral Lunge',
+  'Step-Up',
+  'Pistol Squat',
+  'Single-Leg Romanian Deadlift'
+);
+
+COMMENT ON COLUMN exercise.is_unilateral IS 'One arm or leg at a time: sets log left and right reps and weight';
+COMMENT ON COLUMN "set".left_weight IS 'Left side weight of a unilateral set, NULL otherwise';
+COMMENT ON COLUMN "set".left_reps IS 'Left side reps of a unilateral set, NULL otherwise';
+COMMENT ON COLUMN "set".right_weight IS 'Right side weight of a unilateral set, NULL otherwise';
+COMMENT ON COLUMN "set".right_reps IS 'Right side reps of a unilateral set, NULL otherwise';
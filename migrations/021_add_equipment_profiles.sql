@@ -0,0 +1,39 @@
+-- Migration 021: Add Equipment Profiles
+-- Purpose: Per-user equipment (bars, plate pairs, dumbbells, cable stack) for plate breakdowns and buildable loads
+-- Date: 2026-10-19
+--
+-- A user can keep several profiles (e.g. "Home" and "Commercial gym") with at most one active.
+-- Without an active profile the app uses a standard commercial gym (see equipmentService.js).
+-- bar_weights is a JSON array of bar weights, the first being the default bar.
+-- plates is a JSON array of { "weight": 45, "pairs": 4 }, the pairs of each plate available.
+-- dumbbells is a JSON array of the dumbbell weights available.
+-- All weights are in lbs.
+
+CREATE TABLE IF NOT EXISTS equipment_profile (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  is_active BOOLEAN DEFAULT false NOT NULL,
+  bar_weights JSONB NOT NULL,
+  plates JSONB NOT NULL,
+  dumbbells JSONB NOT NULL DEFAULT '[]',
+  cable_increment DECIMAL(5,2) NOT NULL,
+  cable_max DECIMAL(6,2),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+
+  -- Constraints
+  CONSTRAINT equipment_profile_name_unique UNIQUE (user_id, name),
+  CONSTRAINT equipment_profile_cable_increment_positive CHECK (cable_increment > 0),
+  CONSTRAINT equipment_profile_cable_max_valid CHECK (cable_max IS NULL OR cable_max >= cable_increment)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_equipment_profile_one_active
+ON equipment_profile(user_id) WHERE is_active;
+
+COMMENT ON TABLE equipment_profile IS 'Equipment a user trains with, used for plate breakdowns and rounding to buildable loads';
+COMMENT ON COLUMN equipment_profile.bar_weights IS 'Bar weights in lbs, the first is the default bar';
+COMMENT ON COLUMN equipment_profile.plates IS 'Plates [{weight, pairs}] available per pair, in lbs';
+COMMENT ON COLUMN equipment_profile.dumbbells IS 'Dumbbell weights in lbs';
+COMMENT ON COLUMN equipment_profile.cable_increment IS 'Weight step of the cable stack in lbs';
+COMMENT ON COLUMN equipment_profile.cable_max IS 'Heaviest cable stack setting in lbs (NULL for no limit)';
@@ -0,0 +1,16 @@
+-- Migration 022: Add Warm-up Scheme
+-- Purpose: Per-user warm-up ramp and per-template-exercise automatic warm-ups
+-- Date: 2026-10-19
+--
+-- NULL = the default ramp of bar x 10, 40% x 5, 60% x 3, 80% x 1 (see warmupCalculator.js)
+-- Otherwise a JSON array of { "percent": 40, "reps": 5 } steps, lightest first. 0% is the empty bar
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS warmup_scheme JSONB;
+
+-- Template exercises can add the warm-up ramp when a workout starts from the template
+ALTER TABLE template_exercise
+ADD COLUMN IF NOT EXISTS auto_warmup BOOLEAN DEFAULT false NOT NULL;
+
+COMMENT ON COLUMN "user".warmup_scheme IS 'Warm-up ramp [{percent, reps}], NULL for the default scheme';
+COMMENT ON COLUMN template_exercise.auto_warmup IS 'Add warm-up sets to this exercise when a workout starts from the template';
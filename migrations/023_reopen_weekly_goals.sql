@@ -0,0 +1,12 @@
+-- Migration 023: Reopen Weekly Goals
+-- Purpose: Weekly workout and muscle volume goals recur every week, so they are never completed
+-- Date: 2026-10-19
+--
+-- Each week is reported as hit or missed from the weekly stats rollups (see goalService.js)
+
+UPDATE goal
+SET completed_at = NULL, updated_at = NOW()
+WHERE type IN ('weekly_workouts', 'muscle_volume')
+AND completed_at IS NOT NULL;
+
+COMMENT ON COLUMN goal.completed_at IS 'Set when a saved workout or bodyweight entry first reaches the target (never for weekly goals)';
@@ -0,0 +1,16 @@
+-- Migration 024: Add Stale Derived Data Marks
+-- Purpose: Rebuild stats rollups and the PR ledger after a settings change on the next read, not in the settings request
+-- Date: 2026-10-19
+--
+-- A timezone change moves workouts between local days (stats rollups) and a rep range change
+-- re-buckets every PR (PR ledger). Settings updates set the mark; stats and goal reads rebuild
+-- and clear it, keeping it when the rebuild fails so the next read retries
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS stats_rollups_stale_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS pr_ledger_stale_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN "user".stats_rollups_stale_at IS 'When a timezone change left the stats rollups stale, NULL when up to date';
+COMMENT ON COLUMN "user".pr_ledger_stale_at IS 'When a PR rep range change left the PR ledger stale, NULL when up to date';
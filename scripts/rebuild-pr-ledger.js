@@ -0,0 +1,41 @@
+/**
+ * Rebuild PR Ledger
+ *
+ * Recomputes the personal_record history table from logged sets.
+ * Run once after migrations 007 and 010, or any time the ledger looks out of date.
+ *
+ * Usage:
+ *   node scripts/rebuild-pr-ledger.js            # all users
+ *   node scripts/rebuild-pr-ledger.js <userId>   # single user
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config({ path: '.env.local' });
+
+// Imported after dotenv so DATABASE_URL is set when db.js loads
+const { sql } = await import('../api/_lib/db.js');
+const { rebuildUserPRLedger } = await import('../api/_lib/services/personalRecordService.js');
+
+async function rebuildPRLedger() {
+  try {
+    const userId = process.argv[2];
+    const users = userId
+      ? [{ id: userId }]
+      : await sql`SELECT id FROM "user" ORDER BY created_at ASC`;
+
+    console.log(`Rebuilding PR ledger for ${users.length} user(s)...`);
+
+    for (const user of users) {
+      const exerciseCount = await rebuildUserPRLedger(user.id);
+      console.log(`✓ ${user.id}: ${exerciseCount} exercise(s)`);
+    }
+
+    console.log('✓ PR ledger rebuilt');
+  } catch (error) {
+    console.error('Rebuild failed:', error.message);
+    process.exit(1);
+  }
+}
+
+rebuildPRLedger();
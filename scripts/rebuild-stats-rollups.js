@@ -0,0 +1,41 @@
+/**
+ * Rebuild Stats Rollups
+ *
+ * Recomputes the daily/weekly stats rollups and per-exercise daily bests from logged sets.
+ * Run once after migration 012 to backfill existing users, or any time stats look out of date.
+ *
+ * Usage:
+ *   node scripts/rebuild-stats-rollups.js            # all users
+ *   node scripts/rebuild-stats-rollups.js <userId>   # single user
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config({ path: '.env.local' });
+
+// Imported after dotenv so DATABASE_URL is set when db.js loads
+const { sql } = await import('../api/_lib/db.js');
+const { rebuildUserStatsRollups } = await import('../api/_lib/services/statsRollupService.js');
+
+async function rebuildStatsRollups() {
+  try {
+    const userId = process.argv[2];
+    const users = userId
+      ? [{ id: userId }]
+      : await sql`SELECT id FROM "user" ORDER BY created_at ASC`;
+
+    console.log(`Rebuilding stats rollups for ${users.length} user(s)...`);
+
+    for (const user of users) {
+      const dayCount = await rebuildUserStatsRollups(user.id);
+      console.log(`✓ ${user.id}: ${dayCount} training day(s)`);
+    }
+
+    console.log('✓ Stats rollups rebuilt');
+  } catch (error) {
+    console.error('Rebuild failed:', error.message);
+    process.exit(1);
+  }
+}
+
+rebuildStatsRollups();
@@ -31,7 +31,27 @@ const migrations = [
   '001_initial_schema.sql',
   '002_seed_exercises.sql',
   '003_add_is_completed_columns.sql',
-  '004_add_ai_request_log.sql'
+  '004_add_ai_request_log.sql',
+  '005_fix_ai_request_log_constraint.sql',
+  '006_add_e1rm_formula.sql',
+  '007_add_personal_record_ledger.sql',
+  '008_add_user_timezone.sql',
+  '009_add_bodyweight_entry.sql',
+  '010_add_exercise_load_coefficients.sql',
+  '011_add_pr_rep_ranges.sql',
+  '012_add_stats_rollups.sql',
+  '013_add_training_load.sql',
+  '014_add_muscle_set_targets.sql',
+  '015_add_goals.sql',
+  '016_add_streak_workouts_per_week.sql',
+  '017_add_set_rest_timer.sql',
+  '018_add_exercise_groups.sql',
+  '019_add_set_types.sql',
+  '020_add_unilateral_sets.sql',
+  '021_add_equipment_profiles.sql',
+  '022_add_warmup_scheme.sql',
+  '023_reopen_weekly_goals.sql',
+  '024_add_stale_derived_data.sql'
 ];
 
 /**
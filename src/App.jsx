@@ -22,6 +22,7 @@ const Plan = lazy(() => import('./pages/Plan'));
 const Workout = lazy(() => import('./pages/Workout'));
 const History = lazy(() => import('./pages/History'));
 const Progress = lazy(() => import('./pages/Progress'));
+const Recap = lazy(() => import('./pages/Recap'));
 const Library = lazy(() => import('./pages/Library'));
 const Profile = lazy(() => import('./pages/Profile'));
 
@@ -91,6 +92,16 @@ function App() {
             </PrivateRoute>
           }
         />
+        <Route
+          path="/recap"
+          element={
+            <PrivateRoute>
+              <Layout>
+                <Recap />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
         <Route
           path="/library"
           element={
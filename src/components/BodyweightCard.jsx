@@ -0,0 +1,166 @@
+/**
+ * Bodyweight Card Component
+ *
+ * Bodyweight chart for a date range, quick log form and recent entries.
+ * Logged bodyweight replaces the 150 lbs estimate in bodyweight-exercise volume.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { userAPI } from '../lib/api';
+import { formatDate, formatWeight, formatISODate, formatGoal } from '../lib/formatters';
+import { CHART_COLORS } from '../lib/constants';
+import { useToastContext } from '../contexts/ToastContext';
+import Card from './ui/Card';
+import Input from './ui/Input';
+import Button from './ui/Button';
+import { XIcon } from '../icons';
+
+const BodyweightCard = ({ from, to }) => {
+  const [entries, setEntries] = useState([]);
+  const [weightInput, setWeightInput] = useState('');
+  const [dateInput, setDateInput] = useState(() => formatISODate(new Date()));
+  const [saving, setSaving] = useState(false);
+  const { success, error: showError } = useToastContext();
+
+  const loadEntries = useCallback(async () => {
+    try {
+      const data = await userAPI.getBodyweightEntries({ from, to });
+      setEntries(data.entries || []);
+    } catch (err) {
+      console.error('Failed to load bodyweight:', err);
+    }
+  }, [from, to]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleLog = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const data = await userAPI.logBodyweight({ weight: parseFloat(weightInput), recordedOn: dateInput });
+      setWeightInput('');
+      success('Bodyweight logged');
+      (data.completedGoals || []).forEach(goal => {
+        success(`Goal reached: ${formatGoal(goal)}`);
+      });
+      await loadEntries();
+    } catch (err) {
+      console.error('Failed to log bodyweight:', err);
+      showError(err.response?.data?.error || 'Failed to log bodyweight');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    try {
+      await userAPI.deleteBodyweightEntry(entryId);
+      setEntries(prev => prev.filter(entry => entry.id !== entryId));
+    } catch (err) {
+      console.error('Failed to delete bodyweight entry:', err);
+      showError('Failed to delete entry');
+    }
+  };
+
+  // API returns newest first; charts read left to right
+  const chartData = [...entries].reverse();
+
+  return (
+    <Card>
+      <h3 className="font-display text-lg font-semibold text-text mb-4">Bodyweight</h3>
+
+      {/* Quick log */}
+      <form onSubmit={handleLog} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end mb-6">
+        <Input
+          label="Weight (lbs)"
+          type="number"
+          inputMode="decimal"
+          step="0.1"
+          value={weightInput}
+          onChange={(e) => setWeightInput(e.target.value)}
+          fullWidth
+        />
+        <Input
+          label="Date"
+          type="date"
+          value={dateInput}
+          onChange={(e) => setDateInput(e.target.value)}
+          fullWidth
+        />
+        <Button type="submit" variant="primary" disabled={saving || !weightInput}>
+          {saving ? 'Saving...' : 'Log'}
+        </Button>
+      </form>
+
+      {chartData.length === 0 ? (
+        <div className="text-center py-8 text-text-muted text-sm">
+          No bodyweight logged in this range. Bodyweight exercises use a 150 lbs estimate until you log one.
+        </div>
+      ) : (
+        <>
+          {chartData.length > 1 && (
+            <ResponsiveContainer width="100%" height={250}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                <XAxis
+                  dataKey="recorded_on"
+                  tickFormatter={(date) => formatDate(date)}
+                  stroke="var(--text-light)"
+                  style={{ fontSize: '13px', fontFamily: 'var(--font-body)' }}
+                />
+                <YAxis
+                  domain={['dataMin - 5', 'dataMax + 5']}
+                  stroke="var(--text-light)"
+                  style={{ fontSize: '13px', fontFamily: 'var(--font-body)' }}
+                />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: 'var(--surface)',
+                    border: '1px solid var(--border)',
+                    borderRadius: '8px',
+                    boxShadow: 'var(--shadow-md)',
+                    fontFamily: 'var(--font-body)'
+                  }}
+                  labelStyle={{ color: 'var(--text)', fontWeight: 500 }}
+                  labelFormatter={(date) => formatDate(date)}
+                  formatter={(value) => [formatWeight(value), 'Bodyweight']}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="weight"
+                  stroke={CHART_COLORS.weight}
+                  strokeWidth={2}
+                  dot={{ fill: CHART_COLORS.weight, r: 3 }}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+
+          {/* Recent entries */}
+          <div className="mt-4 divide-y divide-border-light">
+            {entries.slice(0, 5).map(entry => (
+              <div key={entry.id} className="flex items-center justify-between py-2 text-sm">
+                <span className="text-text-muted">{formatDate(entry.recorded_on)}</span>
+                <div className="flex items-center gap-3">
+                  <span className="font-mono text-text">{formatWeight(entry.weight)}</span>
+                  <button
+                    onClick={() => handleDelete(entry.id)}
+                    className="text-text-light hover:text-error transition-colors"
+                    aria-label={`Delete bodyweight entry for ${formatDate(entry.recorded_on)}`}
+                  >
+                    <XIcon size={16} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default BodyweightCard;
@@ -0,0 +1,138 @@
+/**
+ * Endurance Progress Charts Component
+ *
+ * Progress charts for exercises logged by time and distance instead of weight:
+ * cardio (distance, duration, pace, best split) and timed (longest hold, time under load).
+ */
+
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatDate, formatDuration, formatDistanceMeters, formatPace } from '../lib/formatters';
+import { CHART_COLORS } from '../lib/constants';
+import Card from './ui/Card';
+
+const TOOLTIP_STYLE = {
+  backgroundColor: 'var(--surface)',
+  border: '1px solid var(--border)',
+  borderRadius: '8px',
+  boxShadow: 'var(--shadow-md)',
+  fontFamily: 'var(--font-body)'
+};
+
+const AXIS_STYLE = { fontSize: '12px', fontFamily: 'var(--font-body)' };
+
+const LEGEND_STYLE = {
+  fontFamily: 'var(--font-body)',
+  fontSize: '12px',
+  color: 'var(--text-muted)'
+};
+
+/**
+ * One chart card; valueFormatter labels both the axis and the tooltip
+ */
+const ChartCard = ({ title, data, children, valueFormatter, reversed = false, bar = false, height = 250 }) => {
+  const Chart = bar ? BarChart : LineChart;
+
+  return (
+    <Card>
+      <h3 className="font-display text-lg font-semibold text-text mb-4">{title}</h3>
+      <ResponsiveContainer width="100%" height={height}>
+        <Chart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+          <XAxis
+            dataKey="date"
+            tickFormatter={(date) => formatDate(date)}
+            stroke="var(--text-light)"
+            style={AXIS_STYLE}
+          />
+          <YAxis
+            reversed={reversed}
+            tickFormatter={valueFormatter}
+            width={70}
+            stroke="var(--text-light)"
+            style={AXIS_STYLE}
+          />
+          <Tooltip
+            contentStyle={TOOLTIP_STYLE}
+            labelStyle={{ color: 'var(--text)', fontWeight: 500 }}
+            labelFormatter={(date) => formatDate(date)}
+            formatter={(value, name) => [valueFormatter(value), name]}
+          />
+          <Legend wrapperStyle={LEGEND_STYLE} />
+          {children}
+        </Chart>
+      </ResponsiveContainer>
+    </Card>
+  );
+};
+
+const CardioCharts = ({ data }) => (
+  <>
+    <ChartCard title="Distance" data={data} valueFormatter={formatDistanceMeters} height={300}>
+      <Line
+        type="monotone"
+        dataKey="total_distance"
+        stroke={CHART_COLORS.weight}
+        name="Distance"
+        strokeWidth={2}
+        dot={{ fill: CHART_COLORS.weight, r: 4 }}
+        activeDot={{ r: 6 }}
+      />
+    </ChartCard>
+
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* Faster is lower, so the axis is flipped to read "up is better" */}
+      <ChartCard title="Pace" data={data} valueFormatter={formatPace} reversed>
+        <Line
+          type="monotone"
+          dataKey="avg_pace"
+          stroke={CHART_COLORS.primary}
+          name="Average pace"
+          strokeWidth={2}
+          dot={{ fill: CHART_COLORS.primary, r: 3 }}
+          connectNulls
+        />
+        <Line
+          type="monotone"
+          dataKey="best_split"
+          stroke={CHART_COLORS.reps}
+          name="Best split"
+          strokeWidth={2}
+          dot={{ fill: CHART_COLORS.reps, r: 3 }}
+          connectNulls
+        />
+      </ChartCard>
+
+      <ChartCard title="Duration" data={data} valueFormatter={formatDuration} bar>
+        <Bar dataKey="total_duration" fill={CHART_COLORS.volume} name="Time" />
+      </ChartCard>
+    </div>
+  </>
+);
+
+const TimedCharts = ({ data }) => (
+  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+    <ChartCard title="Longest Hold" data={data} valueFormatter={formatDuration}>
+      <Line
+        type="monotone"
+        dataKey="longest_hold"
+        stroke={CHART_COLORS.weight}
+        name="Longest hold"
+        strokeWidth={2}
+        dot={{ fill: CHART_COLORS.weight, r: 3 }}
+        activeDot={{ r: 5 }}
+      />
+    </ChartCard>
+
+    <ChartCard title="Time Under Load" data={data} valueFormatter={formatDuration} bar>
+      <Bar dataKey="total_time_under_load" fill={CHART_COLORS.volume} name="Total time" />
+    </ChartCard>
+  </div>
+);
+
+const EnduranceProgressCharts = ({ type, data }) => (
+  <div className="space-y-6">
+    {type === 'cardio' ? <CardioCharts data={data} /> : <TimedCharts data={data} />}
+  </div>
+);
+
+export default EnduranceProgressCharts;
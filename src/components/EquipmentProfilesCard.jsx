@@ -0,0 +1,250 @@
+/**
+ * Equipment Profiles Card Component
+ *
+ * The bars, plate pairs, dumbbells and cable stack a user trains with, kept as named profiles
+ * (e.g. home gym and commercial gym) with one active. Barbell sets show the plates to load
+ * from the active profile, and suggested weights round to loads it can build.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { userAPI } from '../lib/api';
+import {
+  formatPlates,
+  getPlateBreakdown,
+  formatWeightListInput,
+  parseWeightListInput,
+  formatPlatesInput,
+  parsePlatesInput,
+} from '../lib/plates';
+import { formatWeight } from '../lib/formatters';
+import { DEFAULT_EQUIPMENT_PROFILE } from '../lib/constants';
+import { useToastContext } from '../contexts/ToastContext';
+import Card from './ui/Card';
+import Input from './ui/Input';
+import Button from './ui/Button';
+import Badge from './ui/Badge';
+import { EditIcon, TrashIcon } from '../icons';
+
+/**
+ * Form inputs for a profile (new profiles start from the one in use)
+ */
+const toForm = (profile, name = profile.name) => ({
+  name,
+  barWeights: formatWeightListInput(profile.bar_weights),
+  plates: formatPlatesInput(profile.plates),
+  dumbbells: formatWeightListInput(profile.dumbbells),
+  cableIncrement: String(profile.cable_increment),
+  cableMax: profile.cable_max ? String(profile.cable_max) : '',
+});
+
+const EquipmentProfilesCard = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [active, setActive] = useState(DEFAULT_EQUIPMENT_PROFILE);
+  const [editing, setEditing] = useState(null); // null, 'new' or a profile id
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { success, error: showError } = useToastContext();
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const data = await userAPI.getEquipmentProfiles();
+      setProfiles(data.profiles || []);
+      setActive(data.active || DEFAULT_EQUIPMENT_PROFILE);
+    } catch (err) {
+      console.error('Failed to load equipment profiles:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const startEditing = (profile) => {
+    setEditing(profile ? profile.id : 'new');
+    setForm(profile ? toForm(profile) : toForm(active, ''));
+  };
+
+  const stopEditing = () => {
+    setEditing(null);
+    setForm(null);
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const barWeights = parseWeightListInput(form.barWeights);
+    const plates = parsePlatesInput(form.plates);
+    const dumbbells = parseWeightListInput(form.dumbbells);
+    if (!barWeights || !plates || !dumbbells) {
+      showError('Enter weights as 45, 35 (or 5-50/5 for every 5 lbs) and plates as 45x4, 25x2');
+      return;
+    }
+
+    const profile = {
+      name: form.name,
+      barWeights,
+      plates,
+      dumbbells,
+      cableIncrement: parseFloat(form.cableIncrement),
+      cableMax: form.cableMax ? parseFloat(form.cableMax) : null,
+    };
+
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        await userAPI.createEquipmentProfile(profile);
+      } else {
+        await userAPI.updateEquipmentProfile(editing, profile);
+      }
+      success('Equipment saved');
+      stopEditing();
+      await loadProfiles();
+    } catch (err) {
+      console.error('Failed to save equipment profile:', err);
+      showError(err.response?.data?.error || 'Failed to save equipment profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleActivate = async (profileId) => {
+    try {
+      await userAPI.updateEquipmentProfile(profileId, { isActive: true });
+      await loadProfiles();
+    } catch (err) {
+      console.error('Failed to activate equipment profile:', err);
+      showError('Failed to switch equipment profile');
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete ${profile.name}?`)) return;
+
+    try {
+      await userAPI.deleteEquipmentProfile(profile.id);
+      await loadProfiles();
+    } catch (err) {
+      console.error('Failed to delete equipment profile:', err);
+      showError('Failed to delete equipment profile');
+    }
+  };
+
+  return (
+    <Card>
+      <h2 className="text-lg font-display font-semibold text-text mb-2">Equipment</h2>
+      <p className="text-text-muted text-sm mb-5 leading-relaxed">
+        Bars, plates and dumbbells you train with. Barbell sets show the plates to load on each side,
+        and suggested weights round to loads you can build. Using <strong className="text-text">{active.name}</strong>
+        {' '}(e.g. 225 lbs is {formatPlates(getPlateBreakdown(225, active))} per side).
+      </p>
+
+      {profiles.length > 0 && (
+        <div className="divide-y divide-border-light mb-4">
+          {profiles.map(profile => (
+            <div key={profile.id} className="flex items-center justify-between gap-3 py-2.5 text-sm">
+              <div className="min-w-0">
+                <div className="font-medium text-text truncate">{profile.name}</div>
+                <div className="text-xs text-text-muted truncate">
+                  {profile.bar_weights.map(formatWeight).join(', ')} bar · {formatPlatesInput(profile.plates)}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                {profile.is_active ? (
+                  <Badge variant="success" size="sm">Active</Badge>
+                ) : (
+                  <Button variant="secondary" size="sm" onClick={() => handleActivate(profile.id)}>
+                    Use
+                  </Button>
+                )}
+                <Button variant="icon" size="sm" onClick={() => startEditing(profile)} title={`Edit ${profile.name}`}>
+                  <EditIcon size={16} />
+                </Button>
+                <Button
+                  variant="icon"
+                  size="sm"
+                  onClick={() => handleDelete(profile)}
+                  className="text-error hover:bg-error/10"
+                  title={`Delete ${profile.name}`}
+                >
+                  <TrashIcon size={16} />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {form ? (
+        <form onSubmit={handleSave} className="space-y-3">
+          <Input
+            label="Name"
+            value={form.name}
+            onChange={(e) => handleChange('name', e.target.value)}
+            placeholder="Home gym"
+            maxLength={50}
+            fullWidth
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <Input
+              label="Bars (lbs, default first)"
+              value={form.barWeights}
+              onChange={(e) => handleChange('barWeights', e.target.value)}
+              placeholder="45, 35, 15"
+              fullWidth
+            />
+            <Input
+              label="Plate pairs (weight x pairs)"
+              value={form.plates}
+              onChange={(e) => handleChange('plates', e.target.value)}
+              placeholder="45x4, 25x2, 10x2, 5x2"
+              fullWidth
+            />
+          </div>
+          <Input
+            label="Dumbbells (lbs)"
+            value={form.dumbbells}
+            onChange={(e) => handleChange('dumbbells', e.target.value)}
+            placeholder="5-50/5, 60, 70"
+            fullWidth
+          />
+          <div className="grid grid-cols-2 gap-3">
+            <Input
+              label="Cable step (lbs)"
+              type="number"
+              inputMode="decimal"
+              step="0.5"
+              value={form.cableIncrement}
+              onChange={(e) => handleChange('cableIncrement', e.target.value)}
+              fullWidth
+            />
+            <Input
+              label="Cable max (lbs, optional)"
+              type="number"
+              inputMode="decimal"
+              value={form.cableMax}
+              onChange={(e) => handleChange('cableMax', e.target.value)}
+              fullWidth
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="ghost" size="sm" onClick={stopEditing}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="secondary" size="sm" disabled={saving || !form.name.trim()}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <Button variant="secondary" onClick={() => startEditing(null)}>
+          New Profile
+        </Button>
+      )}
+    </Card>
+  );
+};
+
+export default EquipmentProfilesCard;
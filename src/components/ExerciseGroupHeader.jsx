@@ -0,0 +1,47 @@
+/**
+ * Exercise Group Header Component
+ *
+ * Heading of a superset, circuit or giant set in the workout and template editors:
+ * group type, planned rounds and (during a workout) the rounds finished so far
+ */
+
+import { EXERCISE_GROUP_TYPES, MAX_GROUP_ROUNDS } from '../lib/constants';
+
+const selectClassName = 'px-2 py-1 bg-surface border border-border rounded-lg text-[13px] text-text focus:outline-none focus:ring-2 focus:ring-accent/30';
+
+const ExerciseGroupHeader = ({ groupType, groupRounds, completedRounds, onChange }) => {
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={groupType}
+        onChange={(e) => onChange({ group_type: e.target.value })}
+        className={`${selectClassName} font-semibold`}
+        aria-label="Group type"
+      >
+        {EXERCISE_GROUP_TYPES.map(type => (
+          <option key={type.value} value={type.value}>{type.label}</option>
+        ))}
+      </select>
+      <select
+        value={groupRounds ?? ''}
+        onChange={(e) => onChange({ group_rounds: e.target.value ? parseInt(e.target.value, 10) : null })}
+        className={selectClassName}
+        aria-label="Planned rounds"
+      >
+        <option value="">Open rounds</option>
+        {Array.from({ length: MAX_GROUP_ROUNDS }, (_, i) => i + 1).map(rounds => (
+          <option key={rounds} value={rounds}>{rounds} {rounds === 1 ? 'round' : 'rounds'}</option>
+        ))}
+      </select>
+      {completedRounds !== undefined && (
+        <span className="text-[13px] text-text-muted">
+          {groupRounds
+            ? `Round ${Math.min(completedRounds + 1, groupRounds)} of ${groupRounds}${completedRounds >= groupRounds ? ' · done' : ''}`
+            : `${completedRounds} ${completedRounds === 1 ? 'round' : 'rounds'} done`}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ExerciseGroupHeader;
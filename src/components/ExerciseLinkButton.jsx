@@ -0,0 +1,23 @@
+/**
+ * Exercise Link Button Component
+ *
+ * Sits between two exercises: links them into a superset, circuit or giant set,
+ * or splits their group there
+ */
+
+const ExerciseLinkButton = ({ linked, onClick, disabled = false }) => {
+  return (
+    <div className="flex justify-center">
+      <button
+        type="button"
+        onClick={onClick}
+        disabled={disabled}
+        className="px-3 py-1 text-[12px] font-medium text-text-muted hover:text-accent border border-dashed border-border hover:border-accent/40 rounded-full transition-colors disabled:opacity-50 disabled:pointer-events-none"
+      >
+        {linked ? 'Unlink' : 'Link with next'}
+      </button>
+    </div>
+  );
+};
+
+export default ExerciseLinkButton;
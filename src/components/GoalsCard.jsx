@@ -0,0 +1,277 @@
+/**
+ * Goals Card Component
+ *
+ * Active goals with percent complete, deadline and projected hit date, plus a form to
+ * add a goal. Progress comes from the goals endpoint; goals are marked completed when a
+ * saved workout or bodyweight entry reaches them. Weekly goals recur, and show each recent
+ * week as hit or missed.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { goalAPI, exerciseAPI } from '../lib/api';
+import { formatDate, formatGoal, formatGoalValue } from '../lib/formatters';
+import { GOAL_TYPES, MUSCLE_GROUPS } from '../lib/constants';
+import { useToastContext } from '../contexts/ToastContext';
+import Card from './ui/Card';
+import Badge from './ui/Badge';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import Modal from './ui/Modal';
+import ProgressBar from './ui/ProgressBar';
+import { PlusIcon, XIcon } from '../icons';
+
+const SELECT_CLASS = 'w-full px-3.5 py-2.5 bg-surface border border-border rounded-xl text-[14px] text-text focus:outline-none focus:ring-2 focus:ring-accent/20 focus:border-accent transition-all duration-200';
+
+const WEEK_STATUS_LABELS = { hit: 'hit', missed: 'missed', in_progress: 'in progress' };
+
+const EMPTY_FORM = {
+  type: 'e1rm',
+  exerciseId: '',
+  muscle: MUSCLE_GROUPS[0],
+  targetValue: '',
+  targetWeight: '',
+  targetDate: ''
+};
+
+const GoalsCard = () => {
+  const [goals, setGoals] = useState([]);
+  const [exercises, setExercises] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const { success, error: showError } = useToastContext();
+
+  const loadGoals = useCallback(async () => {
+    try {
+      const data = await goalAPI.getAll();
+      setGoals(data.goals || []);
+    } catch (err) {
+      console.error('Failed to load goals:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGoals();
+  }, [loadGoals]);
+
+  const handleOpenForm = async () => {
+    setForm({ ...EMPTY_FORM, exerciseId: exercises[0]?.id || '' });
+    setShowForm(true);
+
+    // Exercises are only needed for the form, so load them on first open
+    if (exercises.length === 0) {
+      try {
+        const data = await exerciseAPI.getAll();
+        const strengthExercises = (data.exercises || []).filter(exercise => exercise.type !== 'cardio' && exercise.type !== 'timed');
+        setExercises(strengthExercises);
+        setForm(prev => ({ ...prev, exerciseId: prev.exerciseId || strengthExercises[0]?.id || '' }));
+      } catch (err) {
+        console.error('Failed to load exercises:', err);
+        showError('Failed to load exercises');
+      }
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const goalType = GOAL_TYPES.find(type => type.value === form.type) || GOAL_TYPES[0];
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await goalAPI.create({
+        type: form.type,
+        exerciseId: goalType.needsExercise ? form.exerciseId : null,
+        muscle: form.type === 'muscle_volume' ? form.muscle : null,
+        targetValue: parseFloat(form.targetValue),
+        targetWeight: form.type === 'rep_max' && form.targetWeight ? parseFloat(form.targetWeight) : null,
+        targetDate: form.targetDate || null
+      });
+      setShowForm(false);
+      success('Goal added');
+      await loadGoals();
+    } catch (err) {
+      console.error('Failed to create goal:', err);
+      showError(err.response?.data?.error || 'Failed to add goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (goalId) => {
+    try {
+      await goalAPI.delete(goalId);
+      setGoals(prev => prev.filter(goal => goal.id !== goalId));
+    } catch (err) {
+      console.error('Failed to delete goal:', err);
+      showError('Failed to delete goal');
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-display text-lg font-semibold text-text">Goals</h3>
+        <Button variant="ghost" size="sm" onClick={handleOpenForm}>
+          <PlusIcon size={16} />
+          Add Goal
+        </Button>
+      </div>
+
+      {goals.length === 0 ? (
+        <div className="text-center py-6 text-text-muted text-sm">
+          Set a strength, bodyweight or training goal to track your progress towards it.
+        </div>
+      ) : (
+        <div className="space-y-5">
+          {goals.map(goal => {
+            const { progress } = goal;
+            const overdue = goal.target_date && progress.projected_date && progress.projected_date > goal.target_date;
+
+            return (
+              <div key={goal.id}>
+                <div className="flex items-center justify-between gap-3 mb-1.5">
+                  <span className="text-text font-medium">{formatGoal(goal)}</span>
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-text-muted">{progress.percent}%</span>
+                    <button
+                      onClick={() => handleDelete(goal.id)}
+                      className="text-text-light hover:text-error transition-colors"
+                      aria-label={`Delete goal ${formatGoal(goal)}`}
+                    >
+                      <XIcon size={16} />
+                    </button>
+                  </div>
+                </div>
+                <ProgressBar progress={progress.percent} variant={progress.achieved ? 'success' : 'default'} />
+                <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-1.5 text-xs text-text-light">
+                  <span>Now {formatGoalValue(goal.type, progress.current)}</span>
+                  {goal.target_date && <span>Due {formatDate(goal.target_date)}</span>}
+                  {progress.projected_date && <span>Projected {formatDate(progress.projected_date)}</span>}
+                  {overdue && <Badge variant="warning" size="sm">Behind</Badge>}
+                </div>
+                {progress.weeks?.length > 1 && (
+                  <div className="flex items-center gap-1 mt-1.5" aria-label="Recent weeks">
+                    {progress.weeks.map(week => (
+                      <span
+                        key={week.week_start}
+                        title={`Week of ${formatDate(week.week_start)}: ${formatGoalValue(goal.type, week.value)} (${WEEK_STATUS_LABELS[week.status]})`}
+                        className={`w-2.5 h-2.5 rounded-full ${
+                          week.status === 'hit' ? 'bg-success' : week.status === 'missed' ? 'bg-error/60' : 'bg-border'
+                        }`}
+                      />
+                    ))}
+                    <span className="ml-1 text-xs text-text-light">
+                      {progress.weeks.filter(week => week.status === 'hit').length} of {progress.weeks.length} weeks hit
+                    </span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {showForm && (
+        <Modal isOpen={true} onClose={() => setShowForm(false)} title="Add Goal">
+          <form onSubmit={handleCreate} className="space-y-5">
+            <div>
+              <label className="block text-[13px] font-semibold text-text mb-2">Goal</label>
+              <select
+                value={form.type}
+                onChange={(e) => handleChange('type', e.target.value)}
+                className={SELECT_CLASS}
+              >
+                {GOAL_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {goalType.needsExercise && (
+              <div>
+                <label className="block text-[13px] font-semibold text-text mb-2">Exercise</label>
+                <select
+                  value={form.exerciseId}
+                  onChange={(e) => handleChange('exerciseId', e.target.value)}
+                  className={SELECT_CLASS}
+                >
+                  {exercises.map(exercise => (
+                    <option key={exercise.id} value={exercise.id}>{exercise.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {form.type === 'muscle_volume' && (
+              <div>
+                <label className="block text-[13px] font-semibold text-text mb-2">Muscle</label>
+                <select
+                  value={form.muscle}
+                  onChange={(e) => handleChange('muscle', e.target.value)}
+                  className={`${SELECT_CLASS} capitalize`}
+                >
+                  {MUSCLE_GROUPS.map(muscle => (
+                    <option key={muscle} value={muscle}>{muscle}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-4">
+              <Input
+                label={`Target (${goalType.unit})`}
+                type="number"
+                inputMode="decimal"
+                min="0"
+                step={form.type === 'e1rm' || form.type === 'bodyweight' ? '0.5' : '1'}
+                value={form.targetValue}
+                onChange={(e) => handleChange('targetValue', e.target.value)}
+                fullWidth
+              />
+              {form.type === 'rep_max' && (
+                <Input
+                  label="At weight (lbs)"
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="0.5"
+                  value={form.targetWeight}
+                  onChange={(e) => handleChange('targetWeight', e.target.value)}
+                  fullWidth
+                />
+              )}
+            </div>
+
+            <Input
+              label="Deadline (optional)"
+              type="date"
+              value={form.targetDate}
+              onChange={(e) => handleChange('targetDate', e.target.value)}
+              fullWidth
+            />
+
+            <div className="flex gap-3">
+              <Button type="button" variant="ghost" fullWidth onClick={() => setShowForm(false)}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                disabled={saving || !form.targetValue || (goalType.needsExercise && !form.exerciseId)}
+              >
+                {saving ? 'Saving...' : 'Add Goal'}
+              </Button>
+            </div>
+          </form>
+        </Modal>
+      )}
+    </Card>
+  );
+};
+
+export default GoalsCard;
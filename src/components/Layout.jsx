@@ -4,10 +4,13 @@
  * Responsive app layout with:
  * - Desktop: Sticky sidebar navigation (left) + main content (right)
  * - Mobile: Header + content + bottom navigation
+ * Also keeps the account timezone in sync with the device (used for stats bucketing)
  */
 
+import { useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useNetworkStatus } from '../hooks/useNetworkStatus';
+import { userAPI } from '../lib/api';
 import {
   HomeIcon,
   DumbbellIcon,
@@ -22,6 +25,15 @@ const Layout = ({ children }) => {
   const location = useLocation();
   const { isOnline, isOffline } = useNetworkStatus();
 
+  // Send the device timezone when it changes (no-op once synced)
+  useEffect(() => {
+    if (!isOnline) return;
+
+    userAPI.syncTimezone().catch(err => {
+      console.error('Failed to sync timezone:', err);
+    });
+  }, [isOnline]);
+
   const navItems = [
     { path: '/home', label: 'Home', Icon: HomeIcon },
     { path: '/plan', label: 'Plan', Icon: DumbbellIcon },
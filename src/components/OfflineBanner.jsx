@@ -1,13 +1,25 @@
 /**
  * OfflineBanner Component - User-facing sync status
  *
- * CLIENT-SIDE ONLY - Shows offline status, sync progress, and retry option
+ * CLIENT-SIDE ONLY - Shows offline status, sync progress, and retry option.
+ * Also announces PRs from workouts that were synced later from the offline queue.
  */
 
+import { useEffect } from 'react';
 import { useSyncManager } from '../hooks/useSyncManager';
+import { useToastContext } from '../contexts/ToastContext';
+import { formatPRAchievement } from '../lib/formatters';
 
 export const OfflineBanner = () => {
-  const { pendingCount, isSyncing, isOnline, sync } = useSyncManager();
+  const { pendingCount, isSyncing, isOnline, sync, lastSyncResult } = useSyncManager();
+  const { pr: showPR } = useToastContext();
+
+  // PR toasts for queued workouts (the Workout page has already navigated away)
+  useEffect(() => {
+    (lastSyncResult?.prs || []).forEach(record => {
+      showPR(formatPRAchievement(record.exercise_name, record.weight, record.reps, record.rep_range));
+    });
+  }, [lastSyncResult, showPR]);
 
   // Hide banner when online and fully synced
   if (isOnline && pendingCount === 0 && !isSyncing) {
@@ -0,0 +1,42 @@
+/**
+ * Plate Breakdown Component
+ *
+ * Plates to load on each side of the bar for a barbell weight, from the active equipment
+ * profile. When the profile cannot build the weight, shows the nearest load it can
+ * with a button to use that instead.
+ */
+
+import { getPlateBreakdown, formatPlates } from '../lib/plates';
+import { formatWeight } from '../lib/formatters';
+import { DEFAULT_EQUIPMENT_PROFILE } from '../lib/constants';
+
+const PlateBreakdown = ({ weight, profile = DEFAULT_EQUIPMENT_PROFILE, onUseWeight }) => {
+  const breakdown = getPlateBreakdown(weight, profile);
+  if (!breakdown) return null;
+
+  return (
+    <div className="mb-3 text-sm text-text-muted">
+      {!breakdown.exact && (
+        <div className="flex flex-wrap items-center gap-2 mb-1">
+          <span>
+            Cannot build {formatWeight(parseFloat(weight))} with {profile.name}. Nearest:{' '}
+            <span className="font-mono text-text">{formatWeight(breakdown.weight)}</span>
+          </span>
+          {onUseWeight && (
+            <button
+              type="button"
+              onClick={() => onUseWeight(breakdown.weight)}
+              className="text-[13px] font-medium text-accent hover:underline"
+            >
+              Use {formatWeight(breakdown.weight)}
+            </button>
+          )}
+        </div>
+      )}
+      Per side: <span className="font-mono text-text">{formatPlates(breakdown)}</span>
+      {' '}({formatWeight(breakdown.bar)} bar)
+    </div>
+  );
+};
+
+export default PlateBreakdown;
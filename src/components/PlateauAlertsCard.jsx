@@ -0,0 +1,74 @@
+/**
+ * Plateau Alerts Card Component
+ *
+ * Stall alerts from the stats insights endpoint: no estimated 1RM improvement in several
+ * sessions, a falling estimated 1RM, or fewer reps at the same top load. Each alert lists
+ * the sessions that triggered it. Pass exerciseId to show one exercise's alerts.
+ */
+
+import { useState, useEffect } from 'react';
+import { progressAPI } from '../lib/api';
+import { formatDate, formatWeight } from '../lib/formatters';
+import Card from './ui/Card';
+import Badge from './ui/Badge';
+
+/**
+ * Badge per alert type (see server plateauCalculator)
+ */
+const ALERT_BADGES = {
+  regression: { label: 'Regression', variant: 'error' },
+  rep_drop: { label: 'Rep drop-off', variant: 'warning' },
+  stall: { label: 'Stall', variant: 'neutral' }
+};
+
+const PlateauAlertsCard = ({ exerciseId = null, title = 'Plateau Alerts' }) => {
+  const [insights, setInsights] = useState([]);
+
+  useEffect(() => {
+    const loadInsights = async () => {
+      try {
+        const data = await progressAPI.getInsights(exerciseId);
+        setInsights(data.insights || []);
+      } catch (err) {
+        console.error('Failed to load plateau alerts:', err);
+      }
+    };
+
+    loadInsights();
+  }, [exerciseId]);
+
+  if (insights.length === 0) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <h3 className="font-display text-lg font-semibold text-text mb-4">{title}</h3>
+
+      <div className="space-y-4">
+        {insights.map(insight => {
+          const badge = ALERT_BADGES[insight.type] || ALERT_BADGES.stall;
+
+          return (
+            <div key={`${insight.exercise_id}-${insight.type}`} className="bg-bg-alt rounded-lg px-4 py-3">
+              <div className="flex items-center justify-between gap-3 mb-1">
+                <span className="text-text font-medium">
+                  {exerciseId ? badge.label : insight.exercise_name}
+                </span>
+                {!exerciseId && <Badge variant={badge.variant} size="sm">{badge.label}</Badge>}
+              </div>
+              <p className="text-sm text-text-muted mb-2">{insight.message}</p>
+              <p className="text-xs text-text-light">
+                {insight.sessions
+                  .map(session => `${formatDate(session.date)}: ${formatWeight(session.max_weight)} x ${session.top_reps ?? '-'}`)
+                  .join(' · ')}
+              </p>
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+};
+
+export default PlateauAlertsCard;
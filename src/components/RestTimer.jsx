@@ -2,7 +2,10 @@
  * Rest Timer Component
  *
  * Manual start rest timer with quick-select presets
- * NO AUTO-START per spec
+ * NO AUTO-START per spec, except after a full round of a superset, circuit or giant set
+ * (the workout passes startRequest { id, seconds }, a new id starts the timer)
+ *
+ * onStart(seconds) reports the preset picked, compared with actual rest in the workout's analytics
  */
 
 import { useState, useEffect, useRef } from 'react';
@@ -13,7 +16,7 @@ import Card from './ui/Card';
 import ProgressBar from './ui/ProgressBar';
 import { ClockIcon, PlayIcon, XIcon } from '../icons';
 
-const RestTimer = ({ onComplete }) => {
+const RestTimer = ({ onStart, onComplete, startRequest }) => {
   const [timeLeft, setTimeLeft] = useState(0);
   const [targetTime, setTargetTime] = useState(0);
   const [isRunning, setIsRunning] = useState(false);
@@ -56,8 +59,15 @@ const RestTimer = ({ onComplete }) => {
     setTimeLeft(seconds);
     setTargetTime(seconds);
     setIsRunning(true);
+    onStart?.(seconds);
   };
 
+  useEffect(() => {
+    if (startRequest) {
+      startTimer(startRequest.seconds);
+    }
+  }, [startRequest?.id]);
+
   const pause = () => {
     setIsRunning(false);
   };
@@ -0,0 +1,135 @@
+/**
+ * Session Density Card Component
+ *
+ * Rest and density per session for a date range, from set log times: average rest against
+ * volume per minute, how rests compare with the rest timer presets picked, and whether long
+ * rests explain the slower sessions.
+ */
+
+import { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { progressAPI } from '../lib/api';
+import { formatDate, formatDensity, formatRestTimer, formatRestComparison, formatSlowSessions } from '../lib/formatters';
+import { CHART_COLORS } from '../lib/constants';
+import Card from './ui/Card';
+
+const AXIS_STYLE = { fontSize: '13px', fontFamily: 'var(--font-body)' };
+
+const SessionDensityCard = ({ from, to }) => {
+  const [density, setDensity] = useState(null);
+
+  useEffect(() => {
+    const loadDensity = async () => {
+      try {
+        const data = await progressAPI.getDensityTrends({ from, to });
+        setDensity(data.density || null);
+      } catch (err) {
+        console.error('Failed to load session density:', err);
+      }
+    };
+
+    loadDensity();
+  }, [from, to]);
+
+  if (!density) return null;
+
+  const chartData = density.sessions.map(session => ({
+    ...session,
+    avg_rest_minutes: session.avg_rest_seconds !== null ? Math.round(session.avg_rest_seconds / 6) / 10 : null,
+  }));
+  const timerComparison = formatRestComparison(density.timer);
+  const slowSessions = formatSlowSessions(density.slow_sessions);
+
+  return (
+    <Card>
+      <h3 className="font-display text-lg font-semibold text-text mb-4">Rest & Density</h3>
+
+      {chartData.length === 0 ? (
+        <div className="text-center py-8 text-text-muted text-sm">
+          No timed sessions in this range. Rest is measured from when each set is logged, so it shows up
+          for workouts logged set by set.
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-5">
+            <div>
+              <div className="font-display text-xl font-bold text-text">
+                {density.avg_rest_seconds !== null ? formatRestTimer(density.avg_rest_seconds) : '-'}
+              </div>
+              <div className="text-xs text-text-muted">Avg rest between sets</div>
+            </div>
+            <div>
+              <div className="font-display text-xl font-bold text-text">
+                {density.avg_work_to_rest ? `1 : ${(1 / density.avg_work_to_rest).toFixed(1)}` : '-'}
+              </div>
+              <div className="text-xs text-text-muted">Work : rest</div>
+            </div>
+            <div>
+              <div className="font-display text-xl font-bold text-text">{formatDensity(density.avg_density)}</div>
+              <div className="text-xs text-text-muted">Avg density</div>
+            </div>
+            <div>
+              <div className="font-display text-xl font-bold text-text">{chartData.length}</div>
+              <div className="text-xs text-text-muted">
+                Timed sessions{density.untimed_sessions > 0 ? ` (${density.untimed_sessions} untimed)` : ''}
+              </div>
+            </div>
+          </div>
+
+          {chartData.length > 1 && (
+            <ResponsiveContainer width="100%" height={250}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                <XAxis dataKey="date" tickFormatter={(date) => formatDate(date)} stroke="var(--text-light)" style={AXIS_STYLE} />
+                <YAxis yAxisId="rest" stroke="var(--text-light)" style={AXIS_STYLE} />
+                <YAxis yAxisId="density" orientation="right" stroke="var(--text-light)" style={AXIS_STYLE} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: 'var(--surface)',
+                    border: '1px solid var(--border)',
+                    borderRadius: '8px',
+                    boxShadow: 'var(--shadow-md)',
+                    fontFamily: 'var(--font-body)'
+                  }}
+                  labelStyle={{ color: 'var(--text)', fontWeight: 500 }}
+                  labelFormatter={(date) => formatDate(date)}
+                  formatter={(value, name) => [name === 'Density' ? formatDensity(value) : `${value} min`, name]}
+                />
+                <Legend wrapperStyle={{ fontFamily: 'var(--font-body)', fontSize: '13px', color: 'var(--text-muted)' }} />
+                <Line
+                  yAxisId="rest"
+                  type="monotone"
+                  dataKey="avg_rest_minutes"
+                  stroke={CHART_COLORS.secondary}
+                  name="Avg rest"
+                  strokeWidth={2}
+                  dot={{ fill: CHART_COLORS.secondary, r: 3 }}
+                  connectNulls
+                />
+                <Line
+                  yAxisId="density"
+                  type="monotone"
+                  dataKey="density"
+                  stroke={CHART_COLORS.primary}
+                  name="Density"
+                  strokeWidth={2}
+                  dot={{ fill: CHART_COLORS.primary, r: 3 }}
+                  connectNulls
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+
+          {(timerComparison || slowSessions) && (
+            <div className="mt-4 space-y-1 text-sm text-text-muted">
+              {timerComparison && <p>{timerComparison}.</p>}
+              {slowSessions && <p>{slowSessions}.</p>}
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default SessionDensityCard;
@@ -1,30 +1,106 @@
 /**
  * Set Entry Component
  *
- * Form for logging a single set (weight, reps, RIR, warm-up)
+ * Form for logging a single set (weight, reps, RIR, warm-up, set type)
+ * Bodyweight-loaded exercises log added weight or assistance and show the effective load
+ * Drop, rest-pause, myo-rep and cluster sets add mini sets below the first set
+ * Unilateral exercises log weight and reps for the left and right side
+ * Barbell exercises show the plates to load from the active equipment profile, and weights
+ * suggested from the previous session are rounded to loads that profile can build
+ * Planned sets (e.g. generated warm-ups) prefill the form ahead of the previous session
+ * Cardio and timed exercises log a time (and distance for cardio) instead of weight and reps
  */
 
 import { useState, useEffect } from 'react';
-import { parseWeight, parseReps, parseRIR, formatSet } from '../lib/formatters';
-import { VALIDATION_LIMITS } from '../lib/constants';
+import {
+  parseWeight,
+  parseReps,
+  parseRIR,
+  parseDuration,
+  parseDistance,
+  formatSet,
+  formatEnduranceSet,
+  formatClockTime,
+  formatWeight,
+  calculateEffectiveLoad,
+  getLoadModeWeightLabel,
+  usesBodyweight,
+} from '../lib/formatters';
+import {
+  VALIDATION_LIMITS,
+  DEFAULT_BODYWEIGHT,
+  DEFAULT_EQUIPMENT_PROFILE,
+  SET_TYPES,
+  MAX_SUB_SETS,
+  SIDES,
+  ENDURANCE_EXERCISE_TYPES,
+} from '../lib/constants';
+import { getSetTypeOption, createSubSet } from '../lib/setTypes';
+import { combineSides, formatSides, hasSides } from '../lib/unilateral';
+import { roundToEquipment, roundsToEquipment } from '../lib/plates';
+import PlateBreakdown from './PlateBreakdown';
 import Input from './ui/Input';
 import Checkbox from './ui/Checkbox';
 import Button from './ui/Button';
-import { CheckIcon, XIcon } from '../icons';
+import { CheckIcon, XIcon, PlusIcon } from '../icons';
+
+const SetEntry = ({
+  setNumber,
+  setLabel,
+  previousSet,
+  plannedSet,
+  onSave,
+  onDelete,
+  initialData,
+  exerciseType,
+  loadProfile = { loadMode: 'external', bodyweightFraction: 1, isUnilateral: false },
+  bodyweight = DEFAULT_BODYWEIGHT,
+  equipment,
+  equipmentProfile = DEFAULT_EQUIPMENT_PROFILE,
+}) => {
+  const roundLoad = (weight) => roundToEquipment(weight, equipment, equipmentProfile);
+
+  // Sides start from the set being edited or planned, then the previous set's sides or its weight and reps
+  const sideSource = initialData || plannedSet || previousSet;
+  const sideValue = (side, field) => {
+    const value = (hasSides(sideSource) ? sideSource[`${side}_${field}`] : sideSource?.[field]) ?? '';
+    return field === 'weight' && !initialData ? roundLoad(value) : value;
+  };
+
+  // Time and distance start from the set being edited, then the planned or previous set
+  const enduranceSource = initialData || plannedSet || previousSet;
 
-const SetEntry = ({ setNumber, previousSet, onSave, onDelete, initialData, exerciseType }) => {
   const [formData, setFormData] = useState({
-    weight: initialData?.weight || previousSet?.weight || '',
-    reps: initialData?.reps || previousSet?.reps || '',
+    // Weights suggested from the previous session are rounded to the equipment at hand
+    weight: initialData?.weight || plannedSet?.weight || roundLoad(previousSet?.weight) || '',
+    reps: initialData?.reps || plannedSet?.reps || previousSet?.reps || '',
     rir: initialData?.rir ?? previousSet?.rir ?? '',
-    is_warmup: initialData?.is_warmup || false,
+    is_warmup: initialData?.is_warmup || plannedSet?.is_warmup || false,
     notes: initialData?.notes || '',
+    set_type: initialData?.set_type || 'standard',
+    sub_sets: (initialData?.sub_sets || []).map(subSet => ({ weight: subSet.weight ?? '', reps: subSet.reps ?? '' })),
+    left_weight: sideValue('left', 'weight'),
+    left_reps: sideValue('left', 'reps'),
+    right_weight: sideValue('right', 'weight'),
+    right_reps: sideValue('right', 'reps'),
+    duration: enduranceSource?.duration_seconds ? formatClockTime(enduranceSource.duration_seconds) : '',
+    distance: enduranceSource?.distance_meters ?? '',
   });
 
   const [errors, setErrors] = useState({});
   const [isSaved, setIsSaved] = useState(!!initialData);
 
-  const isWeightedExercise = exerciseType === 'weighted';
+  const isBodyweightLoaded = usesBodyweight(loadProfile.loadMode);
+  const isEndurance = ENDURANCE_EXERCISE_TYPES.includes(exerciseType);
+  const isUnilateral = loadProfile.isUnilateral === true && !isEndurance;
+  const showWeightInput = exerciseType === 'weighted' || isBodyweightLoaded;
+  const effectiveLoad = isBodyweightLoaded
+    ? calculateEffectiveLoad(isUnilateral ? formData.left_weight : formData.weight, loadProfile, bodyweight)
+    : null;
+  const showPlates = equipment === 'barbell' && showWeightInput && !isBodyweightLoaded && !isUnilateral && !isSaved;
+  const setType = getSetTypeOption(formData.set_type);
+  // Mini sets are not logged per side
+  const setTypeOptions = isUnilateral ? SET_TYPES.filter(type => !type.takesSubSets) : SET_TYPES;
 
   const handleChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
@@ -32,25 +108,98 @@ const SetEntry = ({ setNumber, previousSet, onSave, onDelete, initialData, exerc
     setIsSaved(false);
   };
 
+  const handleLeftWeightChange = (value) => {
+    // The right side follows the left weight until it is changed on its own
+    setFormData((prev) => ({
+      ...prev,
+      left_weight: value,
+      right_weight: prev.right_weight === prev.left_weight ? value : prev.right_weight,
+    }));
+    setErrors((prev) => ({ ...prev, left_weight: null, right_weight: null }));
+    setIsSaved(false);
+  };
+
+  const addSubSet = (subSets, type) => {
+    const previousWeight = subSets.length > 0 ? subSets[subSets.length - 1].weight : formData.weight;
+    const next = createSubSet(type, parseWeight(previousWeight), roundsToEquipment(equipment) ? roundLoad : undefined);
+    return [...subSets, { weight: next.weight ?? '', reps: '' }];
+  };
+
+  const handleSetTypeChange = (type) => {
+    setFormData((prev) => ({
+      ...prev,
+      set_type: type,
+      // Start the first mini set right away, and a set to failure leaves no reps in reserve
+      sub_sets: getSetTypeOption(type).takesSubSets && prev.sub_sets.length === 0 ? addSubSet([], type) : prev.sub_sets,
+      rir: type === 'failure' && prev.rir === '' ? '0' : prev.rir,
+    }));
+    setErrors((prev) => ({ ...prev, sub_sets: null }));
+    setIsSaved(false);
+  };
+
+  const handleSubSetChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      sub_sets: prev.sub_sets.map((subSet, i) => (i === index ? { ...subSet, [field]: value } : subSet)),
+    }));
+    setErrors((prev) => ({ ...prev, sub_sets: null }));
+    setIsSaved(false);
+  };
+
+  const handleAddSubSet = () => {
+    setFormData((prev) => ({ ...prev, sub_sets: addSubSet(prev.sub_sets, prev.set_type) }));
+    setIsSaved(false);
+  };
+
+  const handleRemoveSubSet = (index) => {
+    setFormData((prev) => ({ ...prev, sub_sets: prev.sub_sets.filter((_, i) => i !== index) }));
+    setErrors((prev) => ({ ...prev, sub_sets: null }));
+    setIsSaved(false);
+  };
+
+  const validateEndurance = () => {
+    const newErrors = {};
+
+    if (formData.duration !== '' && parseDuration(formData.duration) === null) {
+      newErrors.duration = 'Time must be m:ss or h:mm:ss, up to 24 hours';
+    } else if (formData.duration === '' && (exerciseType === 'timed' || formData.distance === '')) {
+      newErrors.duration = exerciseType === 'timed' ? 'Time is required' : 'Time or distance is required';
+    }
+
+    if (exerciseType === 'cardio' && formData.distance !== '' && parseDistance(formData.distance) === null) {
+      newErrors.distance = `Distance must be between 0 and ${VALIDATION_LIMITS.distanceMeters.max} m`;
+    }
+
+    return newErrors;
+  };
+
   const validate = () => {
+    if (isEndurance) return validateEndurance();
+
     const newErrors = {};
+    // Unilateral sets validate weight and reps per side
+    const fields = isUnilateral
+      ? SIDES.map(side => ({ weight: `${side.value}_weight`, reps: `${side.value}_reps` }))
+      : [{ weight: 'weight', reps: 'reps' }];
 
-    // Weight validation (only for weighted exercises)
-    if (isWeightedExercise && formData.weight !== '') {
-      const weight = parseWeight(formData.weight);
-      if (weight === null) {
-        newErrors.weight = `Weight must be between ${VALIDATION_LIMITS.weight.min} and ${VALIDATION_LIMITS.weight.max} lbs`;
+    for (const field of fields) {
+      // Weight validation (weighted exercises, added weight or assistance)
+      if (showWeightInput && formData[field.weight] !== '') {
+        const weight = parseWeight(formData[field.weight]);
+        if (weight === null) {
+          newErrors[field.weight] = `Weight must be between ${VALIDATION_LIMITS.weight.min} and ${VALIDATION_LIMITS.weight.max} lbs`;
+        }
       }
-    }
 
-    // Reps validation
-    if (formData.reps !== '') {
-      const reps = parseReps(formData.reps);
-      if (reps === null) {
-        newErrors.reps = `Reps must be between ${VALIDATION_LIMITS.reps.min} and ${VALIDATION_LIMITS.reps.max}`;
+      // Reps validation
+      if (formData[field.reps] !== '') {
+        const reps = parseReps(formData[field.reps]);
+        if (reps === null) {
+          newErrors[field.reps] = `Reps must be between ${VALIDATION_LIMITS.reps.min} and ${VALIDATION_LIMITS.reps.max}`;
+        }
+      } else {
+        newErrors[field.reps] = 'Reps are required';
       }
-    } else {
-      newErrors.reps = 'Reps are required';
     }
 
     // RIR validation (optional)
@@ -61,6 +210,17 @@ const SetEntry = ({ setNumber, previousSet, onSave, onDelete, initialData, exerc
       }
     }
 
+    // Mini sets need reps, and a valid weight when one is entered
+    if (setType.takesSubSets && !isUnilateral) {
+      const invalid = formData.sub_sets.some(subSet =>
+        parseReps(subSet.reps) === null ||
+        (showWeightInput && subSet.weight !== '' && parseWeight(subSet.weight) === null)
+      );
+      if (invalid) {
+        newErrors.sub_sets = `Each ${setType.subSetLabel.toLowerCase()} needs ${VALIDATION_LIMITS.reps.min}-${VALIDATION_LIMITS.reps.max} reps`;
+      }
+    }
+
     return newErrors;
   };
 
@@ -71,14 +231,50 @@ const SetEntry = ({ setNumber, previousSet, onSave, onDelete, initialData, exerc
       return;
     }
 
+    const parseSide = (side) => ({
+      weight: showWeightInput ? parseWeight(formData[`${side}_weight`]) || null : null,
+      reps: parseReps(formData[`${side}_reps`]),
+    });
+
+    if (isEndurance) {
+      onSave({
+        set_number: setNumber,
+        weight: null,
+        reps: null,
+        rir: null,
+        duration_seconds: formData.duration !== '' ? parseDuration(formData.duration) : null,
+        distance_meters: exerciseType === 'cardio' && formData.distance !== '' ? parseDistance(formData.distance) : null,
+        is_warmup: formData.is_warmup,
+        notes: formData.notes || null,
+        is_completed: true,
+        set_type: 'standard',
+        sub_sets: [],
+      });
+      setIsSaved(true);
+      return;
+    }
+
     const setData = {
       set_number: setNumber,
-      weight: isWeightedExercise ? parseWeight(formData.weight) || null : null,
+      weight: showWeightInput ? parseWeight(formData.weight) || null : null,
       reps: parseReps(formData.reps),
+      left_weight: null,
+      left_reps: null,
+      right_weight: null,
+      right_reps: null,
+      // Both sides, with the weaker side as the set's weight and reps
+      ...(isUnilateral ? combineSides(parseSide('left'), parseSide('right')) : {}),
       rir: formData.rir !== '' ? parseRIR(formData.rir) : null,
       is_warmup: formData.is_warmup,
       notes: formData.notes || null,
       is_completed: true,
+      set_type: setType.value,
+      sub_sets: setType.takesSubSets && !isUnilateral
+        ? formData.sub_sets.map(subSet => ({
+          weight: showWeightInput ? parseWeight(subSet.weight) || null : null,
+          reps: parseReps(subSet.reps),
+        }))
+        : [],
     };
 
     onSave(setData);
@@ -99,7 +295,7 @@ const SetEntry = ({ setNumber, previousSet, onSave, onDelete, initialData, exerc
     }`}>
       <div className="flex items-center justify-between mb-3">
         <h4 className="font-display text-lg font-semibold text-text">
-          Set {setNumber}
+          Set {setLabel ?? setNumber}
         </h4>
         <div className="flex items-center gap-3">
           <Checkbox
@@ -120,59 +316,241 @@ const SetEntry = ({ setNumber, previousSet, onSave, onDelete, initialData, exerc
         </div>
       </div>
 
+      {/* Set type */}
+      {!isEndurance && (
+        <div className="flex flex-wrap gap-1.5 mb-3" role="group" aria-label="Set type">
+          {setTypeOptions.map(type => (
+            <button
+              key={type.value}
+              type="button"
+              onClick={() => handleSetTypeChange(type.value)}
+              disabled={isSaved}
+              aria-pressed={formData.set_type === type.value}
+              className={`px-2.5 py-1 rounded-lg text-[12px] font-medium border transition-colors disabled:opacity-60 ${
+                formData.set_type === type.value
+                  ? 'bg-accent text-white border-accent'
+                  : 'bg-surface text-text-muted border-border hover:text-text'
+              }`}
+            >
+              {type.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Previous performance reference */}
       {previousSet && !isSaved && (
         <div className="mb-3 text-sm text-text-muted bg-bg-alt rounded-lg p-2.5 border border-border-light">
-          <span className="font-medium">Previous:</span> <span className="font-mono">{formatSet(previousSet.weight, previousSet.reps, previousSet.rir)}</span>
+          <span className="font-medium">Previous:</span>{' '}
+          <span className="font-mono">
+            {isEndurance
+              ? formatEnduranceSet(previousSet)
+              : hasSides(previousSet) ? formatSides(previousSet) : formatSet(previousSet.weight, previousSet.reps, previousSet.rir)}
+          </span>
+        </div>
+      )}
+
+      {/* Left and right side (unilateral exercises) */}
+      {isUnilateral && (
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          {SIDES.map(side => (
+            <div key={side.value} className="rounded-lg border border-border-light p-2.5 space-y-2">
+              <p className="text-[13px] font-semibold text-text-muted">{side.label}</p>
+              {showWeightInput && (
+                <Input
+                  type="number"
+                  step="0.5"
+                  min={VALIDATION_LIMITS.weight.min}
+                  max={VALIDATION_LIMITS.weight.max}
+                  label={getLoadModeWeightLabel(loadProfile.loadMode)}
+                  value={formData[`${side.value}_weight`]}
+                  onChange={(e) => (side.value === 'left'
+                    ? handleLeftWeightChange(e.target.value)
+                    : handleChange('right_weight', e.target.value))}
+                  placeholder="0"
+                  disabled={isSaved}
+                  error={errors[`${side.value}_weight`]}
+                  className="font-mono"
+                />
+              )}
+              <Input
+                type="number"
+                min={VALIDATION_LIMITS.reps.min}
+                max={VALIDATION_LIMITS.reps.max}
+                label="Reps"
+                value={formData[`${side.value}_reps`]}
+                onChange={(e) => handleChange(`${side.value}_reps`, e.target.value)}
+                placeholder="0"
+                disabled={isSaved}
+                error={errors[`${side.value}_reps`]}
+                className="font-mono"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Time and distance (cardio and timed exercises) */}
+      {isEndurance && (
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          <Input
+            type="text"
+            inputMode="numeric"
+            label="Time (m:ss)"
+            value={formData.duration}
+            onChange={(e) => handleChange('duration', e.target.value)}
+            placeholder="0:00"
+            disabled={isSaved}
+            error={errors.duration}
+            className="font-mono"
+          />
+          {exerciseType === 'cardio' && (
+            <Input
+              type="number"
+              step="0.01"
+              min="0"
+              max={VALIDATION_LIMITS.distanceMeters.max}
+              label="Distance (m)"
+              value={formData.distance}
+              onChange={(e) => handleChange('distance', e.target.value)}
+              placeholder="0"
+              disabled={isSaved}
+              error={errors.distance}
+              className="font-mono"
+            />
+          )}
         </div>
       )}
 
-      <div className="grid grid-cols-3 gap-3 mb-3">
-        {/* Weight (only for weighted exercises) */}
-        {isWeightedExercise && (
+      {!isEndurance && (
+        <div className="grid grid-cols-3 gap-3 mb-3">
+          {/* Weight (weighted exercises, added weight or assistance) */}
+          {showWeightInput && !isUnilateral && (
+            <Input
+              type="number"
+              step="0.5"
+              min={VALIDATION_LIMITS.weight.min}
+              max={VALIDATION_LIMITS.weight.max}
+              label={getLoadModeWeightLabel(loadProfile.loadMode)}
+              value={formData.weight}
+              onChange={(e) => handleChange('weight', e.target.value)}
+              placeholder="0"
+              disabled={isSaved}
+              error={errors.weight}
+              className="font-mono"
+            />
+          )}
+
+          {/* Reps */}
+          {!isUnilateral && (
+            <Input
+              type="number"
+              min={VALIDATION_LIMITS.reps.min}
+              max={VALIDATION_LIMITS.reps.max}
+              label="Reps"
+              value={formData.reps}
+              onChange={(e) => handleChange('reps', e.target.value)}
+              placeholder="0"
+              disabled={isSaved}
+              error={errors.reps}
+              className="font-mono"
+            />
+          )}
+
+          {/* RIR */}
           <Input
             type="number"
-            step="0.5"
-            min={VALIDATION_LIMITS.weight.min}
-            max={VALIDATION_LIMITS.weight.max}
-            label="Weight (lbs)"
-            value={formData.weight}
-            onChange={(e) => handleChange('weight', e.target.value)}
-            placeholder="0"
+            min={VALIDATION_LIMITS.rir.min}
+            max={VALIDATION_LIMITS.rir.max}
+            label="RIR"
+            value={formData.rir}
+            onChange={(e) => handleChange('rir', e.target.value)}
+            placeholder="0-10"
             disabled={isSaved}
-            error={errors.weight}
+            error={errors.rir}
             className="font-mono"
           />
-        )}
+        </div>
+      )}
 
-        {/* Reps */}
-        <Input
-          type="number"
-          min={VALIDATION_LIMITS.reps.min}
-          max={VALIDATION_LIMITS.reps.max}
-          label="Reps"
-          value={formData.reps}
-          onChange={(e) => handleChange('reps', e.target.value)}
-          placeholder="0"
-          disabled={isSaved}
-          error={errors.reps}
-          className="font-mono"
-        />
+      {/* Mini sets (drops, rest-pause and myo-rep mini sets, clusters) */}
+      {setType.takesSubSets && !isUnilateral && !isEndurance && (
+        <div className="mb-3 space-y-2">
+          {formData.sub_sets.map((subSet, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <span className="w-20 shrink-0 text-[13px] font-medium text-text-muted">
+                {setType.subSetLabel} {index + 1}
+              </span>
+              {showWeightInput && (
+                <Input
+                  type="number"
+                  step="0.5"
+                  min={VALIDATION_LIMITS.weight.min}
+                  max={VALIDATION_LIMITS.weight.max}
+                  value={subSet.weight}
+                  onChange={(e) => handleSubSetChange(index, 'weight', e.target.value)}
+                  placeholder="lbs"
+                  disabled={isSaved}
+                  aria-label={`${setType.subSetLabel} ${index + 1} weight`}
+                  className="font-mono"
+                />
+              )}
+              <Input
+                type="number"
+                min={VALIDATION_LIMITS.reps.min}
+                max={VALIDATION_LIMITS.reps.max}
+                value={subSet.reps}
+                onChange={(e) => handleSubSetChange(index, 'reps', e.target.value)}
+                placeholder="reps"
+                disabled={isSaved}
+                aria-label={`${setType.subSetLabel} ${index + 1} reps`}
+                className="font-mono"
+              />
+              {!isSaved && (
+                <button
+                  type="button"
+                  onClick={() => handleRemoveSubSet(index)}
+                  className="p-1.5 text-text-muted hover:text-error rounded-lg transition-colors shrink-0"
+                  aria-label={`Remove ${setType.subSetLabel.toLowerCase()} ${index + 1}`}
+                >
+                  <XIcon size={16} strokeWidth={2} />
+                </button>
+              )}
+            </div>
+          ))}
+          {errors.sub_sets && (
+            <p className="text-[13px] text-error">{errors.sub_sets}</p>
+          )}
+          {!isSaved && formData.sub_sets.length < MAX_SUB_SETS && (
+            <button
+              type="button"
+              onClick={handleAddSubSet}
+              className="flex items-center gap-1.5 text-[13px] font-medium text-accent hover:underline"
+            >
+              <PlusIcon size={14} />
+              Add {setType.subSetLabel.toLowerCase()}
+            </button>
+          )}
+        </div>
+      )}
 
-        {/* RIR */}
-        <Input
-          type="number"
-          min={VALIDATION_LIMITS.rir.min}
-          max={VALIDATION_LIMITS.rir.max}
-          label="RIR"
-          value={formData.rir}
-          onChange={(e) => handleChange('rir', e.target.value)}
-          placeholder="0-10"
-          disabled={isSaved}
-          error={errors.rir}
-          className="font-mono"
+      {/* Plates per side (barbell exercises) */}
+      {showPlates && (
+        <PlateBreakdown
+          weight={formData.weight}
+          profile={equipmentProfile}
+          onUseWeight={(weight) => handleChange('weight', String(weight))}
         />
-      </div>
+      )}
+
+      {/* Effective load for bodyweight-loaded exercises */}
+      {isBodyweightLoaded && (
+        <div className="mb-3 text-sm text-text-muted">
+          Effective load: <span className="font-mono text-text">{formatWeight(effectiveLoad)}</span>
+          {' '}({Math.round(loadProfile.bodyweightFraction * 100)}% of {formatWeight(bodyweight || DEFAULT_BODYWEIGHT)} bodyweight
+          {loadProfile.loadMode === 'assisted' ? ' minus assistance' : ' plus added weight'})
+        </div>
+      )}
 
       {/* Notes */}
       <div className="mb-3">
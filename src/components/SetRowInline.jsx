@@ -3,22 +3,38 @@
  *
  * Compact inline display for completed sets.
  * Used in hybrid pattern: inline for saved sets, full card for active entry.
+ * Set types show as a badge, with the mini sets of drop, rest-pause, myo-rep and cluster sets below.
+ * Unilateral sets show the weaker side in the row and both sides below.
+ * Warm-up sets that beat a PR are flagged, with a one-tap switch to a working set.
+ * Cardio and timed sets show time (and distance for cardio) in place of weight, reps and RIR.
  */
 
 import { useState } from 'react';
-import { formatWeight } from '../lib/formatters';
+import { formatWeight, calculateEffectiveLoad, usesBodyweight, formatClockTime, formatDistanceMeters } from '../lib/formatters';
+import { DEFAULT_BODYWEIGHT, ENDURANCE_EXERCISE_TYPES } from '../lib/constants';
+import { getSetTypeOption, formatSubSets } from '../lib/setTypes';
+import { hasSides, formatSides } from '../lib/unilateral';
 import { CheckIcon, EditIcon, TrashIcon, NoteIcon } from '../icons';
 import Button from './ui/Button';
 
 const SetRowInline = ({
   set,
   setNumber,
+  setLabel,
   onEdit,
   onDelete,
-  exerciseType = 'weighted'
+  warmupPR,
+  onMarkWorking,
+  exerciseType = 'weighted',
+  loadProfile = { loadMode: 'external', bodyweightFraction: 1 },
+  bodyweight = DEFAULT_BODYWEIGHT
 }) => {
   const [showNotes, setShowNotes] = useState(false);
-  const isWeighted = exerciseType === 'weighted';
+  const isBodyweightLoaded = usesBodyweight(loadProfile.loadMode);
+  const isEndurance = ENDURANCE_EXERCISE_TYPES.includes(exerciseType);
+  const isWeighted = exerciseType === 'weighted' && !isBodyweightLoaded;
+  const setType = getSetTypeOption(set.set_type);
+  const subSets = setType.takesSubSets ? set.sub_sets || [] : [];
 
   return (
     <div className="group">
@@ -36,7 +52,7 @@ const SetRowInline = ({
 
         {/* Set number */}
         <span className="w-8 text-[12px] font-semibold text-text-muted shrink-0">
-          #{setNumber}
+          #{setLabel ?? setNumber}
         </span>
 
         {/* Weight (for weighted exercises) */}
@@ -51,25 +67,65 @@ const SetRowInline = ({
           </div>
         )}
 
-        {/* Reps */}
-        <div className="w-12 shrink-0">
-          <div className="text-[14px] font-mono font-semibold text-text text-center">
-            {set.reps || '—'}
+        {/* Effective load (bodyweight share ± added weight or assistance) */}
+        {isBodyweightLoaded && (
+          <div className="w-16 shrink-0">
+            <div className="text-[14px] font-mono font-semibold text-text text-center">
+              {formatWeight(calculateEffectiveLoad(set.weight, loadProfile, bodyweight))}
+            </div>
+            <div className="text-[10px] text-text-light text-center uppercase tracking-wide">
+              {set.weight
+                ? `bw ${loadProfile.loadMode === 'assisted' ? '−' : '+'} ${set.weight}`
+                : 'bw'}
+            </div>
+          </div>
+        )}
+
+        {/* Time and distance (cardio and timed exercises) */}
+        {isEndurance && (
+          <div className="w-16 shrink-0">
+            <div className="text-[14px] font-mono font-semibold text-text text-center">
+              {set.duration_seconds ? formatClockTime(set.duration_seconds) : '—'}
+            </div>
+            <div className="text-[10px] text-text-light text-center uppercase tracking-wide">
+              time
+            </div>
           </div>
-          <div className="text-[10px] text-text-light text-center uppercase tracking-wide">
-            reps
+        )}
+        {exerciseType === 'cardio' && (
+          <div className="w-16 shrink-0">
+            <div className="text-[14px] font-mono font-semibold text-text text-center">
+              {set.distance_meters ? formatDistanceMeters(parseFloat(set.distance_meters)) : '—'}
+            </div>
+            <div className="text-[10px] text-text-light text-center uppercase tracking-wide">
+              dist
+            </div>
           </div>
-        </div>
+        )}
 
-        {/* RIR */}
-        <div className="w-10 shrink-0">
-          <div className="text-[14px] font-mono font-semibold text-text text-center">
-            {set.rir !== null && set.rir !== undefined ? set.rir : '—'}
+        {/* Reps */}
+        {!isEndurance && (
+          <div className="w-12 shrink-0">
+            <div className="text-[14px] font-mono font-semibold text-text text-center">
+              {set.reps || '—'}
+            </div>
+            <div className="text-[10px] text-text-light text-center uppercase tracking-wide">
+              reps
+            </div>
           </div>
-          <div className="text-[10px] text-text-light text-center uppercase tracking-wide">
-            rir
+        )}
+
+        {/* RIR */}
+        {!isEndurance && (
+          <div className="w-10 shrink-0">
+            <div className="text-[14px] font-mono font-semibold text-text text-center">
+              {set.rir !== null && set.rir !== undefined ? set.rir : '—'}
+            </div>
+            <div className="text-[10px] text-text-light text-center uppercase tracking-wide">
+              rir
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Warm-up badge */}
         {set.is_warmup && (
@@ -78,6 +134,16 @@ const SetRowInline = ({
           </span>
         )}
 
+        {/* Set type badge */}
+        {setType.short && (
+          <span
+            className="px-2 py-0.5 bg-accent/15 text-accent text-[10px] font-semibold rounded-md uppercase tracking-wide shrink-0"
+            title={setType.label}
+          >
+            {setType.short}
+          </span>
+        )}
+
         {/* Spacer */}
         <div className="flex-1" />
 
@@ -116,6 +182,38 @@ const SetRowInline = ({
         </div>
       </div>
 
+      {/* Warm-up that beat a PR (suspected mislabelled working set) */}
+      {set.is_warmup && warmupPR && (
+        <div className="mt-1 ml-9 flex flex-wrap items-center gap-2 text-[12px] text-success">
+          <span>
+            Beats {warmupPR.rep_range} PR (<span className="font-mono">{formatWeight(warmupPR.record_weight)}</span>)
+          </span>
+          {onMarkWorking && (
+            <button
+              type="button"
+              onClick={onMarkWorking}
+              className="font-medium text-accent hover:underline"
+            >
+              Mark as working set
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Left and right side */}
+      {hasSides(set) && (
+        <div className="mt-1 ml-9 text-[12px] text-text-muted">
+          Sides: <span className="font-mono">{formatSides(set)}</span>
+        </div>
+      )}
+
+      {/* Mini sets */}
+      {subSets.length > 0 && (
+        <div className="mt-1 ml-9 text-[12px] text-text-muted">
+          {setType.subSetLabel}{subSets.length > 1 ? 's' : ''}: <span className="font-mono">{formatSubSets(subSets)}</span>
+        </div>
+      )}
+
       {/* Notes expansion */}
       {showNotes && set.notes && (
         <div className="mt-1 ml-9 p-2 bg-bg-alt rounded-lg text-[12px] text-text-muted border border-border-light">
@@ -0,0 +1,68 @@
+/**
+ * Set Targets Card Component
+ *
+ * This week's sets per muscle against the user's weekly set targets (MEV/MAV/MRV presets
+ * or custom), each marked under, within or over target. Lagging muscles are called out first.
+ */
+
+import Card from './ui/Card';
+import Badge from './ui/Badge';
+import ProgressBar from './ui/ProgressBar';
+
+const STATUS_BADGES = {
+  under: { label: 'Under', variant: 'warning' },
+  within: { label: 'On target', variant: 'success' },
+  over: { label: 'Over', variant: 'error' }
+};
+
+/**
+ * Format a set count (sets can be fractional from 50% secondary credit)
+ */
+const formatSets = (sets) => (Number.isInteger(sets) ? String(sets) : sets.toFixed(1));
+
+const SetTargetsCard = ({ targets, title = 'Weekly Sets vs Target' }) => {
+  // Muscles without a minimum only matter once they are trained
+  const rows = (targets || []).filter(target => target.min > 0 || target.sets > 0);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const lagging = rows.filter(target => target.status === 'under');
+
+  return (
+    <Card>
+      <h3 className="font-display text-lg font-semibold text-text mb-1">{title}</h3>
+      <p className="text-sm text-text-muted mb-4">
+        {lagging.length === 0
+          ? 'Every muscle has reached its minimum this week.'
+          : `Lagging: ${lagging.map(target => `${target.muscle} (${formatSets(target.sets_needed)} more)`).join(', ')}`}
+      </p>
+
+      <div className="space-y-4">
+        {rows.map(target => {
+          const badge = STATUS_BADGES[target.status];
+
+          return (
+            <div key={target.muscle}>
+              <div className="flex items-center justify-between gap-3 mb-1.5">
+                <span className="text-text font-medium capitalize">{target.muscle}</span>
+                <div className="flex items-center gap-2">
+                  <span className="text-sm text-text-muted">
+                    {formatSets(target.sets)} / {target.min}-{target.max}
+                  </span>
+                  <Badge variant={badge.variant} size="sm">{badge.label}</Badge>
+                </div>
+              </div>
+              <ProgressBar
+                progress={target.max > 0 ? (target.sets / target.max) * 100 : 100}
+                variant={target.status === 'within' ? 'success' : 'default'}
+              />
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+};
+
+export default SetTargetsCard;
@@ -0,0 +1,88 @@
+/**
+ * Side Imbalance Card Component
+ *
+ * Left and right volume per session of a unilateral exercise, from the stats imbalance
+ * endpoint, with which side is weaker on average and how often. Volume is effective load
+ * × reps of each side's working sets.
+ */
+
+import { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { progressAPI } from '../lib/api';
+import { formatDate, formatVolume, formatSideImbalance } from '../lib/formatters';
+import { CHART_COLORS } from '../lib/constants';
+import Card from './ui/Card';
+import Badge from './ui/Badge';
+
+const AXIS_STYLE = { fontSize: '13px', fontFamily: 'var(--font-body)' };
+
+const SideImbalanceCard = ({ exerciseId, title = 'Left vs Right' }) => {
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const loadImbalance = async () => {
+      try {
+        const data = await progressAPI.getImbalance({ exerciseId });
+        setReport(data.imbalance?.exercises?.[0] || null);
+      } catch (err) {
+        console.error('Failed to load side imbalance:', err);
+      }
+    };
+
+    setReport(null);
+    loadImbalance();
+  }, [exerciseId]);
+
+  if (!report) return null;
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between gap-3 mb-2">
+        <h3 className="font-display text-lg font-semibold text-text">{title}</h3>
+        {report.is_imbalanced && <Badge variant="warning" size="sm">Imbalance</Badge>}
+      </div>
+      <p className="text-sm text-text-muted mb-4">{formatSideImbalance(report)}</p>
+
+      {report.sessions.length > 1 && (
+        <ResponsiveContainer width="100%" height={250}>
+          <LineChart data={report.sessions}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+            <XAxis dataKey="date" tickFormatter={(date) => formatDate(date)} stroke="var(--text-light)" style={AXIS_STYLE} />
+            <YAxis stroke="var(--text-light)" style={AXIS_STYLE} />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: 'var(--surface)',
+                border: '1px solid var(--border)',
+                borderRadius: '8px',
+                boxShadow: 'var(--shadow-md)',
+                fontFamily: 'var(--font-body)'
+              }}
+              labelStyle={{ color: 'var(--text)', fontWeight: 500 }}
+              labelFormatter={(date) => formatDate(date)}
+              formatter={(value, name) => [formatVolume(value), name]}
+            />
+            <Legend wrapperStyle={{ fontFamily: 'var(--font-body)', fontSize: '13px', color: 'var(--text-muted)' }} />
+            <Line
+              type="monotone"
+              dataKey="left_volume"
+              stroke={CHART_COLORS.primary}
+              name="Left"
+              strokeWidth={2}
+              dot={{ fill: CHART_COLORS.primary, r: 3 }}
+            />
+            <Line
+              type="monotone"
+              dataKey="right_volume"
+              stroke={CHART_COLORS.secondary}
+              name="Right"
+              strokeWidth={2}
+              dot={{ fill: CHART_COLORS.secondary, r: 3 }}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </Card>
+  );
+};
+
+export default SideImbalanceCard;
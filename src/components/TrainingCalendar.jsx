@@ -0,0 +1,156 @@
+/**
+ * Training Calendar Component
+ *
+ * GitHub-style consistency calendar for a year (one column per Monday-start week, shaded by
+ * the day's volume relative to the heaviest day) with current and longest streaks by day and
+ * by week. The weekly streak rule (N workouts per week) is a Profile setting.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { progressAPI } from '../lib/api';
+import { buildCalendarWeeks, getMonthLabels } from '../lib/calendar';
+import { formatDate, formatVolume, formatMuscleGroups } from '../lib/formatters';
+import Card from './ui/Card';
+import { ChevronLeftIcon, ChevronRightIcon } from '../icons';
+
+/**
+ * Cell shade per intensity level (0 = rest day, 1-4 = share of the heaviest day's volume)
+ */
+const INTENSITY_CLASSES = ['bg-bg-alt', 'bg-accent/25', 'bg-accent/50', 'bg-accent/75', 'bg-accent'];
+
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+const pluralize = (count, unit) => `${count} ${count === 1 ? unit : `${unit}s`}`;
+
+/**
+ * Tooltip text for a calendar cell
+ */
+const describeCell = ({ date, day }) => {
+  if (!day) return `${formatDate(date)}: rest day`;
+
+  const volume = day.total_volume > 0 ? `, ${formatVolume(day.total_volume)}` : '';
+  const muscles = day.muscles.length > 0 ? ` (${formatMuscleGroups(day.muscles)})` : '';
+  return `${formatDate(date)}: ${pluralize(day.workout_count, 'workout')}${volume}${muscles}`;
+};
+
+const TrainingCalendar = () => {
+  const currentYear = new Date().getFullYear();
+  const [year, setYear] = useState(currentYear);
+  const [calendar, setCalendar] = useState(null);
+
+  useEffect(() => {
+    const loadCalendar = async () => {
+      try {
+        const data = await progressAPI.getCalendar(year);
+        setCalendar(data.calendar || null);
+      } catch (err) {
+        console.error('Failed to load training calendar:', err);
+      }
+    };
+
+    loadCalendar();
+  }, [year]);
+
+  const weeks = useMemo(() => buildCalendarWeeks(year, calendar?.days), [year, calendar]);
+  const monthLabels = useMemo(() => getMonthLabels(weeks), [weeks]);
+
+  const streaks = calendar?.streaks;
+  const workoutsPerWeek = streaks?.weeks.workouts_per_week ?? 1;
+  const weekRule = workoutsPerWeek === 1 ? 'Weeks with a workout' : `Weeks with ${workoutsPerWeek}+ workouts`;
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-display text-lg font-semibold text-text">Consistency</h3>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setYear(year - 1)}
+            className="p-1 rounded-lg text-text-muted hover:text-text hover:bg-bg-alt transition-colors"
+            aria-label="Previous year"
+          >
+            <ChevronLeftIcon size={18} />
+          </button>
+          <span className="font-mono text-sm text-text w-10 text-center">{year}</span>
+          <button
+            onClick={() => setYear(year + 1)}
+            disabled={year >= currentYear}
+            className="p-1 rounded-lg text-text-muted hover:text-text hover:bg-bg-alt transition-colors disabled:opacity-30 disabled:pointer-events-none"
+            aria-label="Next year"
+          >
+            <ChevronRightIcon size={18} />
+          </button>
+        </div>
+      </div>
+
+      {/* Streaks (all time, as of today) */}
+      {streaks && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-5">
+          <div>
+            <div className="font-display text-xl font-bold text-text">{pluralize(streaks.days.current, 'day')}</div>
+            <div className="text-xs text-text-muted">Current streak</div>
+          </div>
+          <div>
+            <div className="font-display text-xl font-bold text-text">{pluralize(streaks.days.longest, 'day')}</div>
+            <div className="text-xs text-text-muted">Longest streak</div>
+          </div>
+          <div>
+            <div className="font-display text-xl font-bold text-text">{pluralize(streaks.weeks.current, 'week')}</div>
+            <div className="text-xs text-text-muted">Current: {weekRule.toLowerCase()}</div>
+          </div>
+          <div>
+            <div className="font-display text-xl font-bold text-text">{pluralize(streaks.weeks.longest, 'week')}</div>
+            <div className="text-xs text-text-muted">Longest: {weekRule.toLowerCase()}</div>
+          </div>
+        </div>
+      )}
+
+      {/* Year grid */}
+      <div className="overflow-x-auto pb-2">
+        <div className="inline-flex gap-2">
+          <div className="grid grid-rows-7 gap-[3px] pt-5 text-[10px] leading-3 text-text-light">
+            {WEEKDAY_LABELS.map((label, i) => (
+              <span key={i} className="h-3">{label}</span>
+            ))}
+          </div>
+          <div>
+            <div className="relative h-4 mb-1 text-[10px] text-text-light">
+              {monthLabels.map(({ index, label }) => (
+                <span key={label} className="absolute" style={{ left: `${index * 15}px` }}>{label}</span>
+              ))}
+            </div>
+            <div className="flex gap-[3px]">
+              {weeks.map(week => (
+                <div key={week[0].date} className="grid grid-rows-7 gap-[3px]">
+                  {week.map(cell => (
+                    <div
+                      key={cell.date}
+                      title={cell.inYear ? describeCell(cell) : undefined}
+                      className={`w-3 h-3 rounded-sm ${cell.inYear ? INTENSITY_CLASSES[cell.day?.intensity ?? 0] : 'bg-transparent'}`}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between gap-3 mt-3 text-xs text-text-muted">
+        <span>
+          {calendar
+            ? `${pluralize(calendar.total_workouts, 'workout')} on ${pluralize(calendar.total_days, 'day')} in ${year}`
+            : ''}
+        </span>
+        <div className="flex items-center gap-1">
+          <span className="mr-1">Less</span>
+          {INTENSITY_CLASSES.map(shade => (
+            <span key={shade} className={`w-3 h-3 rounded-sm ${shade}`} />
+          ))}
+          <span className="ml-1">More</span>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default TrainingCalendar;
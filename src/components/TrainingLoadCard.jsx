@@ -0,0 +1,179 @@
+/**
+ * Training Load Card Component
+ *
+ * Acute:chronic workload ratio (last 7 days vs last 28 days of daily training load),
+ * a warning when it leaves the safe band, and the most fatigued muscles.
+ */
+
+import { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceArea, ResponsiveContainer } from 'recharts';
+import { progressAPI } from '../lib/api';
+import { formatDate } from '../lib/formatters';
+import { CHART_COLORS } from '../lib/constants';
+import Card from './ui/Card';
+import Badge from './ui/Badge';
+import ProgressBar from './ui/ProgressBar';
+
+/**
+ * Badge and message per workload status (see server trainingLoadCalculator)
+ */
+const WORKLOAD_STATUS = {
+  insufficient_data: {
+    label: 'Building baseline',
+    variant: 'neutral',
+    message: 'Log about three weeks of training to get a reliable workload ratio.'
+  },
+  low: {
+    label: 'Low',
+    variant: 'neutral',
+    message: 'This week is well below your usual load. Fine for a deload, but a long dip leaves you less prepared for heavy weeks.'
+  },
+  optimal: {
+    label: 'Optimal',
+    variant: 'success',
+    message: null
+  },
+  elevated: {
+    label: 'Elevated',
+    variant: 'warning',
+    message: 'Load is climbing faster than you are used to. Consider holding steady before adding more.'
+  },
+  high: {
+    label: 'High',
+    variant: 'error',
+    message: 'This week is far above your usual load. Injury risk rises with spikes like this, so consider backing off.'
+  }
+};
+
+const FATIGUE_LEVELS = {
+  fresh: { label: 'Fresh', variant: 'success' },
+  normal: { label: 'Normal', variant: 'neutral' },
+  fatigued: { label: 'Fatigued', variant: 'warning' },
+  insufficient_data: { label: 'New', variant: 'neutral' }
+};
+
+/**
+ * Muscles listed in the fatigue section
+ */
+const MAX_FATIGUE_MUSCLES = 6;
+
+const TrainingLoadCard = () => {
+  const [load, setLoad] = useState(null);
+
+  useEffect(() => {
+    const loadTrainingLoad = async () => {
+      try {
+        const data = await progressAPI.getTrainingLoad();
+        setLoad(data.load || null);
+      } catch (err) {
+        console.error('Failed to load training load:', err);
+      }
+    };
+
+    loadTrainingLoad();
+  }, []);
+
+  if (!load) {
+    return null;
+  }
+
+  const status = WORKLOAD_STATUS[load.status] || WORKLOAD_STATUS.insufficient_data;
+  const muscles = load.muscle_fatigue.slice(0, MAX_FATIGUE_MUSCLES);
+  const maxFatigue = Math.max(...muscles.map(muscle => muscle.fatigue ?? 0), 1);
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-display text-lg font-semibold text-text">Training Load</h3>
+        <Badge variant={status.variant}>{status.label}</Badge>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 text-center mb-4">
+        <div>
+          <div className="text-sm font-medium text-text-muted mb-1">Acute (7d)</div>
+          <div className="font-display text-xl font-bold text-text">
+            {Math.round(load.acute_load).toLocaleString()}
+          </div>
+        </div>
+        <div>
+          <div className="text-sm font-medium text-text-muted mb-1">Chronic (28d)</div>
+          <div className="font-display text-xl font-bold text-text">
+            {Math.round(load.chronic_load).toLocaleString()}
+          </div>
+        </div>
+        <div>
+          <div className="text-sm font-medium text-text-muted mb-1">Ratio</div>
+          <div className="font-display text-xl font-bold text-text">
+            {load.ratio !== null ? load.ratio.toFixed(2) : '-'}
+          </div>
+        </div>
+      </div>
+
+      {status.message && (
+        <div className="text-sm text-text-muted bg-bg-alt rounded-lg px-4 py-3 mb-4">
+          {status.message}
+        </div>
+      )}
+
+      {load.series.some(point => point.ratio !== null) && (
+        <ResponsiveContainer width="100%" height={200}>
+          <LineChart data={load.series}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+            {/* Safe band */}
+            <ReferenceArea y1={load.safe_range.min} y2={load.safe_range.max} fill={CHART_COLORS.weight} fillOpacity={0.08} />
+            <XAxis
+              dataKey="date"
+              tickFormatter={(date) => formatDate(date)}
+              stroke="var(--text-light)"
+              style={{ fontSize: '12px', fontFamily: 'var(--font-body)' }}
+            />
+            <YAxis
+              domain={[0, dataMax => Math.max(2, Math.ceil(dataMax * 2) / 2)]}
+              stroke="var(--text-light)"
+              style={{ fontSize: '12px', fontFamily: 'var(--font-body)' }}
+            />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: 'var(--surface)',
+                border: '1px solid var(--border)',
+                borderRadius: '8px',
+                fontFamily: 'var(--font-body)'
+              }}
+              labelFormatter={(date) => formatDate(date)}
+              formatter={(value) => [value !== null ? value.toFixed(2) : '-', 'Ratio']}
+            />
+            <Line
+              type="monotone"
+              dataKey="ratio"
+              stroke={CHART_COLORS.primary}
+              strokeWidth={2}
+              dot={false}
+              connectNulls
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+
+      {muscles.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-text mb-3">Muscle Fatigue</h4>
+          <div className="space-y-3">
+            {muscles.map(muscle => (
+              <div key={muscle.muscle}>
+                <div className="flex items-center justify-between mb-1.5">
+                  <span className="text-text font-medium capitalize">{muscle.muscle}</span>
+                  <Badge variant={FATIGUE_LEVELS[muscle.level].variant} size="sm">
+                    {FATIGUE_LEVELS[muscle.level].label}
+                  </Badge>
+                </div>
+                <ProgressBar progress={((muscle.fatigue ?? 0) / maxFatigue) * 100} size="sm" />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default TrainingLoadCard;
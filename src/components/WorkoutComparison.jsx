@@ -0,0 +1,188 @@
+/**
+ * Workout Comparison Component
+ *
+ * Set-by-set comparison of a workout with the previous session of its template, or with any
+ * workout picked from the list: weight, reps and RIR differences, volume deltas and new PRs.
+ */
+
+import { useState, useEffect } from 'react';
+import { workoutAPI } from '../lib/api';
+import { formatDate, formatDelta, formatDuration, formatWeight } from '../lib/formatters';
+import Card from './ui/Card';
+import Badge from './ui/Badge';
+
+/**
+ * Colour for a difference where more is better (weight, reps, volume)
+ */
+const deltaClass = (value) => {
+  if (!value) return 'text-text-muted';
+  return value > 0 ? 'text-success' : 'text-error';
+};
+
+const formatSetCell = (set) => {
+  if (!set) return '-';
+  const weight = set.weight ? `${set.weight} × ` : '';
+  const rir = set.rir !== null && set.rir !== undefined ? ` @ ${set.rir}` : '';
+  return `${weight}${set.reps ?? '-'}${rir}`;
+};
+
+const STATUS_BADGES = {
+  added: { label: 'New', variant: 'success' },
+  dropped: { label: 'Skipped', variant: 'warning' },
+};
+
+const WorkoutComparison = ({ workout, workouts = [] }) => {
+  const [withId, setWithId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadComparison = async () => {
+      setLoading(true);
+      try {
+        const data = await workoutAPI.compare(workout.id, withId || null);
+        setComparison(data.comparison || null);
+      } catch (err) {
+        console.error('Failed to compare workouts:', err);
+        setComparison(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadComparison();
+  }, [workout.id, withId]);
+
+  const choices = workouts.filter(other => other.id !== workout.id);
+  const baseline = comparison?.baseline;
+  const totals = comparison?.totals;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="compare-with" className="block text-sm font-semibold text-text mb-2">
+          Compare with
+        </label>
+        <select
+          id="compare-with"
+          value={withId}
+          onChange={(e) => setWithId(e.target.value)}
+          className="w-full px-3 py-2 bg-surface border border-border rounded-lg text-sm text-text focus:outline-none focus:ring-2 focus:ring-accent/30"
+        >
+          <option value="">
+            {workout.template_id ? 'Previous session of this template' : 'Choose a workout'}
+          </option>
+          {choices.map(other => (
+            <option key={other.id} value={other.id}>
+              {formatDate(other.completed_at || other.started_at)} - {other.name || 'Unnamed Workout'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loading && <p className="text-[13px] text-text-muted">Comparing...</p>}
+
+      {!loading && !baseline && (
+        <p className="text-[13px] text-text-muted">
+          {workout.template_id
+            ? 'This is the first session of its template. Choose a workout to compare with.'
+            : 'This workout was not started from a template. Choose a workout to compare with.'}
+        </p>
+      )}
+
+      {!loading && baseline && totals && (
+        <>
+          <p className="text-[13px] text-text-muted">
+            Against {baseline.name || 'Unnamed Workout'} on {formatDate(baseline.completed_at || baseline.started_at)}
+          </p>
+
+          {/* Totals */}
+          <div className="grid grid-cols-3 gap-3">
+            <Card variant="standard" padding="sm">
+              <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">Volume</div>
+              <div className={`text-[18px] font-bold font-display ${deltaClass(totals.volume_delta)}`}>
+                {formatDelta(totals.volume_delta, 'lbs')}
+              </div>
+              {totals.volume_change_percent !== null && (
+                <div className="text-[12px] text-text-muted">{formatDelta(totals.volume_change_percent)}%</div>
+              )}
+            </Card>
+            <Card variant="standard" padding="sm">
+              <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">Sets</div>
+              <div className={`text-[18px] font-bold font-display ${deltaClass(totals.sets_delta)}`}>
+                {formatDelta(totals.sets_delta)}
+              </div>
+            </Card>
+            <Card variant="standard" padding="sm">
+              <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">Duration</div>
+              <div className="text-[18px] font-bold text-text font-display">
+                {totals.duration_delta_seconds === null || totals.duration_delta_seconds === 0
+                  ? formatDelta(totals.duration_delta_seconds)
+                  : `${totals.duration_delta_seconds > 0 ? '+' : '-'}${formatDuration(Math.abs(totals.duration_delta_seconds))}`}
+              </div>
+            </Card>
+          </div>
+
+          {/* New PRs */}
+          {comparison.prs.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {comparison.prs.map(pr => (
+                <Badge key={`${pr.exercise_id}-${pr.rep_range}`} variant="success" size="sm">
+                  {pr.exercise_name} {pr.rep_range} PR: {formatWeight(pr.weight)} × {pr.reps}
+                </Badge>
+              ))}
+            </div>
+          )}
+
+          {/* Per exercise, set by set */}
+          {comparison.exercises.map((exercise, idx) => (
+            <Card key={`${exercise.exercise_id}-${idx}`} variant="standard" padding="md">
+              <div className="flex items-center justify-between gap-3 mb-3">
+                <div className="flex items-center gap-2">
+                  <h4 className="text-[15px] font-semibold text-text">{exercise.name}</h4>
+                  {STATUS_BADGES[exercise.status] && (
+                    <Badge variant={STATUS_BADGES[exercise.status].variant} size="sm">
+                      {STATUS_BADGES[exercise.status].label}
+                    </Badge>
+                  )}
+                </div>
+                {exercise.volume_delta !== null && (
+                  <span className={`text-[13px] font-medium ${deltaClass(exercise.volume_delta)}`}>
+                    {formatDelta(exercise.volume_delta, 'lbs')}
+                  </span>
+                )}
+              </div>
+
+              <table className="w-full text-[13px]">
+                <thead>
+                  <tr className="text-left text-[11px] text-text-muted uppercase tracking-wide">
+                    <th className="font-medium pb-1">Set</th>
+                    <th className="font-medium pb-1">Then</th>
+                    <th className="font-medium pb-1">Now</th>
+                    <th className="font-medium pb-1 text-right">Weight</th>
+                    <th className="font-medium pb-1 text-right">Reps</th>
+                    <th className="font-medium pb-1 text-right">RIR</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {exercise.sets.map(set => (
+                    <tr key={set.set_number} className="border-t border-border-light">
+                      <td className="py-1.5 text-text-muted">{set.set_number}</td>
+                      <td className="py-1.5 font-mono text-text-muted">{formatSetCell(set.baseline)}</td>
+                      <td className="py-1.5 font-mono text-text">{formatSetCell(set.current)}</td>
+                      <td className={`py-1.5 text-right font-mono ${deltaClass(set.weight_delta)}`}>{formatDelta(set.weight_delta)}</td>
+                      <td className={`py-1.5 text-right font-mono ${deltaClass(set.reps_delta)}`}>{formatDelta(set.reps_delta)}</td>
+                      <td className="py-1.5 text-right font-mono text-text-muted">{formatDelta(set.rir_delta)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Card>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WorkoutComparison;
@@ -43,6 +43,7 @@ const clearTokens = () => {
   localStorage.removeItem('accessToken');
   localStorage.removeItem('refreshToken');
   localStorage.removeItem('user');
+  localStorage.removeItem('syncedTimezone');
 };
 
 /**
@@ -457,6 +458,34 @@ export const workoutAPI = {
     return response.data;
   },
 
+  /**
+   * Update a logged set (online only - server recalculates volume and PRs)
+   * @param {Object} updates - e.g. { isWarmup: false } to confirm a warm-up PR
+   * @returns {Promise<{workout: Object, prs: Array, completedGoals: Array}>}
+   */
+  updateSet: async (workoutId, setId, updates) => {
+    const response = await apiClient.put(`/workouts/${workoutId}/sets/${setId}`, updates);
+
+    // Keep cached copy in sync with recalculated volume
+    await workoutDB.save({
+      ...response.data.workout,
+      sync_status: 'synced',
+    });
+
+    return response.data;
+  },
+
+  /**
+   * Compare a workout set by set with another workout (online only)
+   * @param {string} withId - Workout to compare with (default: previous session of the same template)
+   * @returns {Promise<{comparison: Object}>} comparison.baseline is null when there is nothing to compare with
+   */
+  compare: async (workoutId, withId = null) => {
+    const params = withId ? { with: withId } : {};
+    const response = await apiClient.get(`/workouts/${workoutId}/compare`, { params });
+    return response.data;
+  },
+
   /**
    * Sync offline workouts (with optimistic update)
    */
@@ -597,6 +626,22 @@ export const progressAPI = {
     return response.data;
   },
 
+  /**
+   * Get PR history timeline (every time a rep-range PR was broken)
+   */
+  getPRHistory: async (exerciseId) => {
+    const response = await apiClient.get('/stats/prs/history', { params: { exerciseId } });
+    return response.data;
+  },
+
+  /**
+   * Get a workout's warm-up sets that beat a working-set PR (suspected mislabelled PRs)
+   */
+  getWarmupPRCandidates: async (workoutId) => {
+    const response = await apiClient.get('/stats/prs/warmup-candidates', { params: { workoutId } });
+    return response.data;
+  },
+
   /**
    * Get weekly stats
    */
@@ -605,6 +650,129 @@ export const progressAPI = {
     const response = await apiClient.get('/stats/weekly', { params });
     return response.data;
   },
+
+  /**
+   * Get muscles below their weekly set target (default: current week)
+   */
+  getLaggingMuscles: async (week = null) => {
+    const params = week ? { week } : {};
+    const response = await apiClient.get('/stats/lagging', { params });
+    return response.data;
+  },
+
+  /**
+   * Get stats for a date range, bucketed by day, week or month
+   */
+  getRangeStats: async ({ from, to, granularity } = {}) => {
+    const response = await apiClient.get('/stats/range', { params: { from, to, granularity } });
+    return response.data;
+  },
+
+  /**
+   * Get acute:chronic workload ratio and per-muscle fatigue (default: today)
+   */
+  getTrainingLoad: async (date = null) => {
+    const params = date ? { date } : {};
+    const response = await apiClient.get('/stats/load', { params });
+    return response.data;
+  },
+
+  /**
+   * Get a year of training days with day and week streaks (default: current year)
+   */
+  getCalendar: async (year = null) => {
+    const params = year ? { year } : {};
+    const response = await apiClient.get('/stats/calendar', { params });
+    return response.data;
+  },
+
+  /**
+   * Get a monthly or yearly recap (date: 'YYYY-MM' or 'YYYY', default: the current one)
+   */
+  getRecap: async ({ period = 'month', date = null } = {}) => {
+    const params = date ? { period, date } : { period };
+    const response = await apiClient.get('/stats/recap', { params });
+    return response.data;
+  },
+
+  /**
+   * Get rest and density trends per session for a date range
+   */
+  getDensityTrends: async ({ from, to } = {}) => {
+    const response = await apiClient.get('/stats/density', { params: { from, to } });
+    return response.data;
+  },
+
+  /**
+   * Get rest periods, time per exercise and density for a workout
+   */
+  getWorkoutDensity: async (workoutId) => {
+    const response = await apiClient.get(`/stats/density/${workoutId}`);
+    return response.data;
+  },
+
+  /**
+   * Get plateau and stall alerts, for all recently trained exercises or one exercise
+   */
+  getInsights: async (exerciseId = null) => {
+    const params = exerciseId ? { exerciseId } : {};
+    const response = await apiClient.get('/stats/insights', { params });
+    return response.data;
+  },
+
+  /**
+   * Get the left/right imbalance of unilateral exercises per session, for all or one exercise
+   */
+  getImbalance: async ({ exerciseId = null, from, to } = {}) => {
+    const params = exerciseId ? { exerciseId, from, to } : { from, to };
+    const response = await apiClient.get('/stats/imbalance', { params });
+    return response.data;
+  },
+};
+
+/**
+ * Goals API
+ */
+export const goalAPI = {
+  /**
+   * Get goals with progress (percent complete, projected hit date)
+   * @param {string} status - 'active' (default), 'completed' or 'all'
+   * @returns {Promise<{goals: Array, total: number}>}
+   */
+  getAll: async (status = 'active') => {
+    const response = await apiClient.get('/goals', { params: { status } });
+    return response.data;
+  },
+
+  /**
+   * Create a goal
+   * @param {Object} goal - { type, exerciseId, muscle, targetValue, targetWeight, targetDate, notes }
+   * @returns {Promise<{goal: Object}>}
+   */
+  create: async (goal) => {
+    const response = await apiClient.post('/goals', goal);
+    return response.data;
+  },
+
+  /**
+   * Update a goal's target, deadline or notes
+   * @param {string} id - Goal ID
+   * @param {Object} updates - { targetValue, targetWeight, targetDate, notes }
+   * @returns {Promise<{goal: Object}>}
+   */
+  update: async (id, updates) => {
+    const response = await apiClient.put(`/goals/${id}`, updates);
+    return response.data;
+  },
+
+  /**
+   * Delete a goal
+   * @param {string} id - Goal ID
+   */
+  delete: async (id) => {
+    const response = await apiClient.delete(`/goals/${id}`);
+    return response.data;
+  },
 };
 
 /**
@@ -635,6 +803,121 @@ export const userAPI = {
     return response.data;
   },
 
+  /**
+   * Get user settings
+   * @returns {Promise<{settings: Object}>}
+   */
+  getSettings: async () => {
+    const response = await apiClient.get('/user/settings');
+    return response.data;
+  },
+
+  /**
+   * Update user settings (only provided fields change)
+   * @param {Object} updates - e.g. { e1rmFormula: 'epley' } or { timezone: 'America/New_York' }
+   * @returns {Promise<{settings: Object, pendingRebuilds: Array<string>}>} pendingRebuilds lists the
+   *   derived data ('stats_rollups', 'pr_ledger') rebuilt on the next stats read
+   */
+  updateSettings: async (updates) => {
+    const response = await apiClient.put('/user/settings', updates);
+    return response.data;
+  },
+
+  /**
+   * Get bodyweight entries (newest first)
+   * @param {Object} params - Optional { from, to, limit }
+   * @returns {Promise<{entries: Array, total: number}>}
+   */
+  getBodyweightEntries: async (params = {}) => {
+    const response = await apiClient.get('/user/bodyweight', { params });
+    return response.data;
+  },
+
+  /**
+   * Log bodyweight (replaces an existing entry for the same date)
+   * @param {Object} entry - { weight, recordedOn, notes }
+   * @returns {Promise<{entry: Object, completedGoals: Array}>}
+   */
+  logBodyweight: async (entry) => {
+    const response = await apiClient.post('/user/bodyweight', entry);
+    return response.data;
+  },
+
+  /**
+   * Update a bodyweight entry
+   * @param {string} id - Entry ID
+   * @param {Object} updates - { weight, recordedOn, notes }
+   * @returns {Promise<{entry: Object, completedGoals: Array}>}
+   */
+  updateBodyweightEntry: async (id, updates) => {
+    const response = await apiClient.put(`/user/bodyweight/${id}`, updates);
+    return response.data;
+  },
+
+  /**
+   * Delete a bodyweight entry
+   * @param {string} id - Entry ID
+   */
+  deleteBodyweightEntry: async (id) => {
+    const response = await apiClient.delete(`/user/bodyweight/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Get equipment profiles and the active one (the standard gym when none is active)
+   * @returns {Promise<{profiles: Array, active: Object}>}
+   */
+  getEquipmentProfiles: async () => {
+    const response = await apiClient.get('/user/equipment');
+    return response.data;
+  },
+
+  /**
+   * Create an equipment profile (the first one becomes active)
+   * @param {Object} profile - { name, barWeights, plates: [{ weight, pairs }], dumbbells, cableIncrement, cableMax, isActive }
+   * @returns {Promise<{profile: Object}>}
+   */
+  createEquipmentProfile: async (profile) => {
+    const response = await apiClient.post('/user/equipment', profile);
+    return response.data;
+  },
+
+  /**
+   * Update an equipment profile ({ isActive: true } makes it the active one)
+   * @param {string} id - Profile ID
+   * @param {Object} updates - Fields to change, as for createEquipmentProfile
+   * @returns {Promise<{profile: Object}>}
+   */
+  updateEquipmentProfile: async (id, updates) => {
+    const response = await apiClient.put(`/user/equipment/${id}`, updates);
+    return response.data;
+  },
+
+  /**
+   * Delete an equipment profile
+   * @param {string} id - Profile ID
+   */
+  deleteEquipmentProfile: async (id) => {
+    const response = await apiClient.delete(`/user/equipment/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Store the device's IANA timezone on the account (stats bucket by local date)
+   * Only sends a request when the timezone changed since the last sync
+   * @returns {Promise<{settings: Object, pendingRebuilds: Array<string>}|null>} null when already up to date
+   */
+  syncTimezone: async () => {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!timezone || localStorage.getItem('syncedTimezone') === timezone) {
+      return null;
+    }
+
+    const response = await apiClient.put('/user/settings', { timezone });
+    localStorage.setItem('syncedTimezone', timezone);
+    return response.data;
+  },
+
   /**
    * Delete user account permanently
    * @param {string} password - Password confirmation
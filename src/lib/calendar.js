@@ -0,0 +1,57 @@
+/**
+ * Consistency Calendar Utilities
+ *
+ * CLIENT-SIDE ONLY - Lays out a year of training days (GET /api/stats/calendar) as a
+ * GitHub-style grid: one column per Monday-start week, one row per weekday.
+ */
+
+import { addDays, format, parseISO, startOfWeek } from 'date-fns';
+
+/**
+ * Build the week columns for a calendar year
+ * Cells outside the year (first and last week) have inYear false
+ *
+ * @param {number} year - Calendar year
+ * @param {Array<Object>} days - Training days [{ date, workout_count, intensity, ... }]
+ * @returns {Array<Array<Object>>} Weeks of 7 cells { date, inYear, day } (day is null on rest days)
+ */
+export const buildCalendarWeeks = (year, days = []) => {
+  const daysByDate = Object.fromEntries(days.map(day => [day.date, day]));
+  const weeks = [];
+
+  let cursor = startOfWeek(new Date(year, 0, 1), { weekStartsOn: 1 });
+  while (cursor.getFullYear() <= year) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      const date = format(cursor, 'yyyy-MM-dd');
+      week.push({
+        date,
+        inYear: cursor.getFullYear() === year,
+        day: daysByDate[date] || null,
+      });
+      cursor = addDays(cursor, 1);
+    }
+    weeks.push(week);
+  }
+
+  return weeks;
+};
+
+/**
+ * Month labels for the week columns: the column holding each month's 1st
+ *
+ * @param {Array<Array<Object>>} weeks - From buildCalendarWeeks
+ * @returns {Array<Object>} [{ index, label }] e.g. { index: 0, label: 'Jan' }
+ */
+export const getMonthLabels = (weeks) => {
+  const labels = [];
+
+  weeks.forEach((week, index) => {
+    const first = week.find(cell => cell.inYear && cell.date.endsWith('-01'));
+    if (first) {
+      labels.push({ index, label: format(parseISO(first.date), 'MMM') });
+    }
+  });
+
+  return labels;
+};
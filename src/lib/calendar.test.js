@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendarWeeks, getMonthLabels } from './calendar';
+
+describe('buildCalendarWeeks', () => {
+  it('lays out Monday-start weeks covering the whole year', () => {
+    // 2024 starts on a Monday and ends on a Tuesday
+    const weeks = buildCalendarWeeks(2024);
+
+    expect(weeks).toHaveLength(53);
+    expect(weeks[0][0]).toEqual({ date: '2024-01-01', inYear: true, day: null });
+    expect(weeks[52].map(cell => cell.inYear)).toEqual([true, true, false, false, false, false, false]);
+  });
+
+  it('pads the first week with days from the previous year', () => {
+    // 2026 starts on a Thursday
+    const [firstWeek] = buildCalendarWeeks(2026);
+
+    expect(firstWeek[0]).toMatchObject({ date: '2025-12-29', inYear: false });
+    expect(firstWeek[3]).toMatchObject({ date: '2026-01-01', inYear: true });
+  });
+
+  it('places training days on their date', () => {
+    const day = { date: '2024-06-05', workout_count: 1, intensity: 3 };
+    const weeks = buildCalendarWeeks(2024, [day]);
+
+    // Wednesday of the 23rd week
+    expect(weeks[22][2].day).toBe(day);
+  });
+});
+
+describe('getMonthLabels', () => {
+  it('labels the column holding each month\'s first day', () => {
+    const labels = getMonthLabels(buildCalendarWeeks(2024));
+
+    expect(labels).toHaveLength(12);
+    expect(labels[0]).toEqual({ index: 0, label: 'Jan' });
+    expect(labels[1]).toEqual({ index: 4, label: 'Feb' });
+  });
+});
@@ -46,6 +46,28 @@ export const EXERCISE_TYPES = [
   { value: 'timed', label: 'Timed' },
 ];
 
+/**
+ * Exercise types logged by time and distance instead of weight and reps
+ * Must match ENDURANCE_TYPES in the server's enduranceCalculator
+ */
+export const ENDURANCE_EXERCISE_TYPES = ['cardio', 'timed'];
+
+/**
+ * Bodyweight (lbs) used for bodyweight-exercise volume until the user logs one
+ * (must match server volumeCalculator)
+ */
+export const DEFAULT_BODYWEIGHT = 150;
+
+/**
+ * Exercise load modes: how the logged weight combines with bodyweight
+ * (must match server volumeCalculator LOAD_MODES)
+ */
+export const LOAD_MODES = [
+  { value: 'external', label: 'External weight', weightLabel: 'Weight (lbs)' },
+  { value: 'bodyweight_plus', label: 'Bodyweight + added weight', weightLabel: 'Added (lbs)' },
+  { value: 'assisted', label: 'Assisted', weightLabel: 'Assistance (lbs)' },
+];
+
 /**
  * Rep ranges for PR tracking
  */
@@ -56,6 +78,117 @@ export const REP_RANGES = [
   { value: '10RM', label: '10RM', min: 8, max: 12 },
 ];
 
+/**
+ * PR rep range presets (user setting, must match server prCalculator REP_RANGE_PRESETS)
+ * custom = the user's own list of rep counts and ranges
+ */
+export const PR_REP_RANGE_PRESETS = [
+  { value: 'default', label: 'Default (1/3/5/10RM)' },
+  { value: 'exact', label: 'Every rep count (1-20RM)' },
+  { value: 'custom', label: 'Custom' },
+];
+
+/**
+ * Weekly set target presets (user setting, must match server setTargetCalculator)
+ */
+export const MUSCLE_SET_TARGET_PRESETS = [
+  { value: 'mev', label: 'Minimum effective (MEV)' },
+  { value: 'mav', label: 'Maximum adaptive (MAV)' },
+  { value: 'mrv', label: 'Maximum recoverable (MRV)' },
+  { value: 'custom', label: 'Custom' },
+];
+
+/**
+ * Upper bound on a weekly set target (must match server MAX_WEEKLY_SET_TARGET)
+ */
+export const MAX_WEEKLY_SET_TARGET = 50;
+
+/**
+ * Date range presets for the Progress trends view
+ * days = length of the range ending today; granularity = default bucket size
+ */
+export const STATS_RANGE_PRESETS = [
+  { value: '4w', label: '4 Weeks', days: 28, granularity: 'day' },
+  { value: '12w', label: '12 Weeks', days: 84, granularity: 'week' },
+  { value: '6m', label: '6 Months', days: 182, granularity: 'week' },
+  { value: '1y', label: '1 Year', days: 365, granularity: 'month' },
+];
+
+/**
+ * Bucket sizes for range stats (must match server statsService)
+ */
+export const STATS_GRANULARITIES = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+];
+
+/**
+ * Trendline models for the Progress exercise charts
+ */
+export const TREND_MODELS = [
+  { value: 'off', label: 'Off' },
+  { value: 'linear', label: 'Linear' },
+  { value: 'logarithmic', label: 'Logarithmic' },
+];
+
+/**
+ * Sessions in the moving average overlay on the Progress exercise charts
+ */
+export const MOVING_AVERAGE_SESSIONS = 5;
+
+/**
+ * Goal projections further out than this are reported as out of reach
+ */
+export const MAX_PROJECTION_DAYS = 730;
+
+/**
+ * Goal types (must match server goalCalculator GOAL_TYPES)
+ * unit labels the target value in the goal form
+ */
+export const GOAL_TYPES = [
+  { value: 'e1rm', label: 'Estimated 1RM', unit: 'lbs', needsExercise: true },
+  { value: 'rep_max', label: 'Reps at a weight', unit: 'reps', needsExercise: true },
+  { value: 'bodyweight', label: 'Bodyweight', unit: 'lbs' },
+  { value: 'weekly_workouts', label: 'Workouts per week', unit: 'workouts' },
+  { value: 'muscle_volume', label: 'Weekly sets for a muscle', unit: 'sets' },
+];
+
+/**
+ * Upper bound on the weekly streak rule, N workouts per week (user setting, must match server streakCalculator)
+ */
+export const MAX_STREAK_WORKOUTS_PER_WEEK = 7;
+
+/**
+ * Estimated 1RM formulas (user setting, must match server prCalculator)
+ */
+export const E1RM_FORMULAS = [
+  { value: 'brzycki', label: 'Brzycki' },
+  { value: 'epley', label: 'Epley' },
+  { value: 'lombardi', label: 'Lombardi' },
+  { value: 'wathan', label: 'Wathan' },
+  { value: 'mayhew', label: 'Mayhew' },
+  { value: 'average', label: 'Average of all' },
+];
+
+export const DEFAULT_E1RM_FORMULA = 'brzycki';
+
+/**
+ * Session RPE scale (whole-workout effort, must match server trainingLoadCalculator)
+ */
+export const SESSION_RPE_OPTIONS = [
+  { value: 1, label: '1 - Very easy' },
+  { value: 2, label: '2 - Easy' },
+  { value: 3, label: '3 - Moderate' },
+  { value: 4, label: '4 - Somewhat hard' },
+  { value: 5, label: '5 - Hard' },
+  { value: 6, label: '6 - Hard' },
+  { value: 7, label: '7 - Very hard' },
+  { value: 8, label: '8 - Very hard' },
+  { value: 9, label: '9 - Near maximal' },
+  { value: 10, label: '10 - Maximal' },
+];
+
 /**
  * Rest timer presets (in seconds)
  */
@@ -68,6 +201,85 @@ export const REST_TIMER_PRESETS = [
   { label: '5m', value: 300 },
 ];
 
+/**
+ * Rest started after a full round of a superset, circuit or giant set when no preset
+ * has been picked yet in the workout
+ */
+export const DEFAULT_GROUP_REST_SECONDS = 90;
+
+/**
+ * Exercise group types (must match server exerciseGroupCalculator)
+ */
+export const EXERCISE_GROUP_TYPES = [
+  { value: 'superset', label: 'Superset' },
+  { value: 'circuit', label: 'Circuit' },
+  { value: 'giant_set', label: 'Giant set' },
+];
+
+export const MAX_GROUP_ROUNDS = 20;
+
+/**
+ * Set types (must match server setTypeCalculator); takesSubSets types log mini sets
+ * after the first set, labelled by subSetLabel
+ */
+export const SET_TYPES = [
+  { value: 'standard', label: 'Standard', short: null, takesSubSets: false },
+  { value: 'drop', label: 'Drop set', short: 'D', takesSubSets: true, subSetLabel: 'Drop' },
+  { value: 'rest_pause', label: 'Rest-pause', short: 'RP', takesSubSets: true, subSetLabel: 'Pause' },
+  { value: 'myo_rep', label: 'Myo-reps', short: 'M', takesSubSets: true, subSetLabel: 'Mini set' },
+  { value: 'cluster', label: 'Cluster', short: 'C', takesSubSets: true, subSetLabel: 'Cluster' },
+  { value: 'amrap', label: 'AMRAP', short: 'A', takesSubSets: false },
+  { value: 'failure', label: 'To failure', short: 'F', takesSubSets: false },
+];
+
+export const MAX_SUB_SETS = 10;
+
+/**
+ * Weight kept for each drop of a drop set (the next drop is prefilled 20% lighter)
+ */
+export const DROP_SET_WEIGHT_RATIO = 0.8;
+
+/**
+ * Sides of a unilateral set (set.left_weight/left_reps, set.right_weight/right_reps)
+ */
+export const SIDES = [
+  { value: 'left', label: 'Left', short: 'L' },
+  { value: 'right', label: 'Right', short: 'R' },
+];
+
+/**
+ * Standard commercial gym, used until the user activates an equipment profile
+ * (must match server equipmentService DEFAULT_EQUIPMENT_PROFILE)
+ */
+export const DEFAULT_EQUIPMENT_PROFILE = {
+  id: null,
+  name: 'Standard gym',
+  is_active: true,
+  bar_weights: [45],
+  plates: [
+    { weight: 45, pairs: 8 },
+    { weight: 35, pairs: 2 },
+    { weight: 25, pairs: 2 },
+    { weight: 10, pairs: 2 },
+    { weight: 5, pairs: 2 },
+    { weight: 2.5, pairs: 2 },
+  ],
+  dumbbells: Array.from({ length: 30 }, (_, i) => (i + 1) * 5),
+  cable_increment: 5,
+  cable_max: null,
+};
+
+/**
+ * Default warm-up ramp, used until the user sets their own scheme; 0% is the empty bar
+ * (must match server warmupCalculator WARMUP_SCHEME)
+ */
+export const DEFAULT_WARMUP_SCHEME = [
+  { percent: 0, reps: 10 },
+  { percent: 40, reps: 5 },
+  { percent: 60, reps: 3 },
+  { percent: 80, reps: 1 },
+];
+
 /**
  * Input validation limits
  */
@@ -75,6 +287,8 @@ export const VALIDATION_LIMITS = {
   weight: { min: 0, max: 1500, step: 0.5 },
   reps: { min: 1, max: 100 },
   rir: { min: 0, max: 10 },
+  durationSeconds: { min: 1, max: 86400 },
+  distanceMeters: { max: 999999 },
   username: { min: 3, max: 30 },
   password: { min: 8, max: 128 },
   workoutName: { max: 100 },
@@ -148,6 +362,10 @@ export const CHART_COLORS = {
   volume: '#6b7c3f',     // Accent (olive green)
   estimated1RM: '#5a7c40', // Success (darker green) - matches weight
   reps: '#b8860b',       // Warning (gold)
+  average: '#b8860b',    // Warning (gold) - moving average overlay
+  trend: '#8b7355',      // Secondary (brown) - trendline overlay
+  // Multi-series charts (e.g. one line per rep range)
+  series: ['#5a7c40', '#b8860b', '#8b7355', '#4a6fa5', '#a0522d', '#6b7c3f'],
 };
 
 /**
@@ -237,11 +455,11 @@ export const FEATURES = {
   progressCharts: true,
   prTracking: true,
   dataExport: true,
+  frequencyCalendar: true,
+  supersets: true,
   // V2 features (disabled)
   aiPlanDesigner: false,
   workoutSharing: false,
-  frequencyCalendar: false,
-  supersets: false,
 };
 
 /**
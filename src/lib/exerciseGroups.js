@@ -0,0 +1,226 @@
+/**
+ * Exercise Group Utilities
+ *
+ * CLIENT-SIDE ONLY - Supersets, circuits and giant sets in workouts and templates. A group is
+ * a run of consecutive exercises sharing group_id (with group_type and group_rounds), done in
+ * rotation with rest after the whole round. Sets are labelled by round and position: 1A, 1B, 2A...
+ */
+
+import { generateUUID } from './formatters';
+import { EXERCISE_GROUP_TYPES } from './constants';
+
+const UNGROUPED = { group_id: null, group_type: null, group_rounds: null };
+
+/**
+ * Superset for a pair, giant set for more (circuits stay circuits at any size)
+ */
+const fitGroupType = (groupType, size) => {
+  if (groupType === 'circuit') return 'circuit';
+  return size > 2 ? 'giant_set' : 'superset';
+};
+
+/**
+ * First and last index of the group containing an exercise, or null when standalone
+ */
+const getGroupRange = (exercises, index) => {
+  const groupId = exercises[index]?.group_id;
+  if (!groupId) return null;
+
+  let start = index;
+  while (start > 0 && exercises[start - 1].group_id === groupId) start -= 1;
+  let end = index;
+  while (end < exercises.length - 1 && exercises[end + 1].group_id === groupId) end += 1;
+
+  return { start, end };
+};
+
+/**
+ * Split an exercise list into standalone exercises and groups, in order
+ *
+ * @param {Array<Object>} exercises - Exercises with group_id
+ * @returns {Array<Object>} [{ groupId, start, end }] (groupId null for a standalone exercise)
+ */
+export const getExerciseSegments = (exercises) => {
+  const segments = [];
+
+  exercises.forEach((exercise, index) => {
+    const last = segments[segments.length - 1];
+    if (exercise.group_id && last?.groupId === exercise.group_id) {
+      last.end = index;
+    } else {
+      segments.push({ groupId: exercise.group_id || null, start: index, end: index });
+    }
+  });
+
+  return segments;
+};
+
+/**
+ * Where an exercise sits in its group
+ *
+ * @param {Array<Object>} exercises - Exercises with group_id
+ * @param {number} index - Exercise index
+ * @returns {Object|null} { start, end, size, position, letter, isLast } or null when standalone
+ */
+export const getExerciseGroupInfo = (exercises, index) => {
+  const range = getGroupRange(exercises, index);
+  if (!range) return null;
+
+  const position = index - range.start;
+  return {
+    ...range,
+    size: range.end - range.start + 1,
+    position,
+    letter: String.fromCharCode(65 + position),
+    isLast: index === range.end,
+  };
+};
+
+/**
+ * Set label: '2' for a standalone exercise, '2B' for the second exercise of a group in round 2
+ *
+ * @param {Array<Object>} exercises - Exercises with group_id
+ * @param {number} index - Exercise index
+ * @param {number} setNumber - Set number (the round, in a group)
+ * @returns {string} Label
+ */
+export const getSetLabel = (exercises, index, setNumber) => {
+  const info = getExerciseGroupInfo(exercises, index);
+  return info ? `${setNumber}${info.letter}` : String(setNumber);
+};
+
+/**
+ * Rounds every exercise in a group has completed
+ *
+ * @param {Array<Object>} exercises - Exercises with group_id and sets
+ * @param {number} index - Index of any exercise in the group
+ * @returns {number} Completed rounds (0 when standalone)
+ */
+export const getCompletedRounds = (exercises, index) => {
+  const range = getGroupRange(exercises, index);
+  if (!range) return 0;
+
+  return Math.min(
+    ...exercises.slice(range.start, range.end + 1).map(exercise => exercise.sets.filter(set => set.is_completed).length)
+  );
+};
+
+/**
+ * Where to go after logging a set of a grouped exercise
+ * The last exercise of a group completes the round and goes back to the first
+ *
+ * @param {Array<Object>} exercises - Exercises with group_id
+ * @param {number} index - Exercise just logged
+ * @returns {Object|null} { nextIndex, roundComplete } or null when standalone
+ */
+export const getNextInRotation = (exercises, index) => {
+  const range = getGroupRange(exercises, index);
+  if (!range) return null;
+
+  return index < range.end
+    ? { nextIndex: index + 1, roundComplete: false }
+    : { nextIndex: range.start, roundComplete: true };
+};
+
+/**
+ * Group an exercise with the next one (joining their groups if either is grouped)
+ *
+ * @param {Array<Object>} exercises - Exercises with group fields
+ * @param {number} index - Exercise to link with index + 1
+ * @returns {Array<Object>} Updated exercises
+ */
+export const linkWithNext = (exercises, index) => {
+  if (index < 0 || index >= exercises.length - 1) return exercises;
+
+  const start = getGroupRange(exercises, index)?.start ?? index;
+  const end = getGroupRange(exercises, index + 1)?.end ?? index + 1;
+  const source = exercises[index].group_id ? exercises[index] : exercises[index + 1];
+  const group = {
+    group_id: source.group_id || generateUUID(),
+    group_type: fitGroupType(source.group_type, end - start + 1),
+    group_rounds: source.group_rounds ?? null,
+  };
+
+  return exercises.map((exercise, i) => (i >= start && i <= end ? { ...exercise, ...group } : exercise));
+};
+
+/**
+ * Split a group between an exercise and the next one
+ * A part left with one exercise becomes standalone
+ *
+ * @param {Array<Object>} exercises - Exercises with group fields
+ * @param {number} index - Exercise to unlink from index + 1
+ * @returns {Array<Object>} Updated exercises
+ */
+export const unlinkFromNext = (exercises, index) => {
+  const range = getGroupRange(exercises, index);
+  if (!range || index >= range.end) return exercises;
+
+  const { group_type: groupType, group_rounds: groupRounds } = exercises[index];
+  const lowerGroupId = generateUUID();
+
+  return exercises.map((exercise, i) => {
+    if (i < range.start || i > range.end) return exercise;
+
+    const isUpper = i <= index;
+    const size = isUpper ? index - range.start + 1 : range.end - index;
+    if (size < 2) return { ...exercise, ...UNGROUPED };
+
+    return {
+      ...exercise,
+      group_id: isUpper ? exercise.group_id : lowerGroupId,
+      group_type: fitGroupType(groupType, size),
+      group_rounds: groupRounds,
+    };
+  });
+};
+
+/**
+ * Change the type or planned rounds of a group
+ *
+ * @param {Array<Object>} exercises - Exercises with group fields
+ * @param {string} groupId - Group to update
+ * @param {Object} changes - { group_type, group_rounds }
+ * @returns {Array<Object>} Updated exercises
+ */
+export const updateExerciseGroup = (exercises, groupId, changes) =>
+  exercises.map(exercise => (exercise.group_id === groupId ? { ...exercise, ...changes } : exercise));
+
+/**
+ * Repair groups after exercises are removed or reordered
+ * A group split apart keeps its first run of 2 or more, the other exercises become standalone
+ *
+ * @param {Array<Object>} exercises - Exercises with group fields
+ * @returns {Array<Object>} Updated exercises
+ */
+export const cleanExerciseGroups = (exercises) => {
+  const seen = new Set();
+  const cleaned = exercises.map(exercise => ({ ...exercise }));
+
+  getExerciseSegments(cleaned).forEach(({ groupId, start, end }) => {
+    if (!groupId) return;
+
+    const size = end - start + 1;
+    const keep = size >= 2 && !seen.has(groupId);
+    if (keep) seen.add(groupId);
+
+    for (let i = start; i <= end; i++) {
+      Object.assign(cleaned[i], keep ? { group_type: fitGroupType(cleaned[i].group_type, size) } : UNGROUPED);
+    }
+  });
+
+  return cleaned;
+};
+
+/**
+ * Group heading: 'Superset', 'Circuit · 3 rounds'
+ *
+ * @param {string} groupType - superset | circuit | giant_set
+ * @param {number|null} groupRounds - Planned rounds
+ * @returns {string} Label
+ */
+export const formatExerciseGroup = (groupType, groupRounds) => {
+  const label = EXERCISE_GROUP_TYPES.find(type => type.value === groupType)?.label || 'Group';
+  if (!groupRounds) return label;
+  return `${label} · ${groupRounds} ${groupRounds === 1 ? 'round' : 'rounds'}`;
+};
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getExerciseSegments,
+  getExerciseGroupInfo,
+  getSetLabel,
+  getCompletedRounds,
+  getNextInRotation,
+  linkWithNext,
+  unlinkFromNext,
+  cleanExerciseGroups,
+  formatExerciseGroup,
+} from './exerciseGroups';
+
+const exercise = (name, groupId = null, groupType = null, completedSets = 0) => ({
+  name,
+  group_id: groupId,
+  group_type: groupType,
+  group_rounds: groupId ? 3 : null,
+  sets: Array.from({ length: completedSets }, (_, i) => ({ set_number: i + 1, is_completed: true })),
+});
+
+// Squat, then bench + row as a superset, then curls
+const workout = () => [
+  exercise('Squat'),
+  exercise('Bench', 'group-a', 'superset', 2),
+  exercise('Row', 'group-a', 'superset', 1),
+  exercise('Curl'),
+];
+
+describe('getExerciseSegments and getExerciseGroupInfo', () => {
+  it('splits standalone exercises and groups', () => {
+    expect(getExerciseSegments(workout())).toEqual([
+      { groupId: null, start: 0, end: 0 },
+      { groupId: 'group-a', start: 1, end: 2 },
+      { groupId: null, start: 3, end: 3 },
+    ]);
+  });
+
+  it('places an exercise in its group', () => {
+    expect(getExerciseGroupInfo(workout(), 2)).toEqual({ start: 1, end: 2, size: 2, position: 1, letter: 'B', isLast: true });
+    expect(getExerciseGroupInfo(workout(), 0)).toBeNull();
+  });
+});
+
+describe('getSetLabel and getCompletedRounds', () => {
+  it('labels grouped sets by round and position', () => {
+    expect(getSetLabel(workout(), 1, 2)).toBe('2A');
+    expect(getSetLabel(workout(), 2, 2)).toBe('2B');
+    expect(getSetLabel(workout(), 0, 2)).toBe('2');
+  });
+
+  it('counts rounds every exercise has finished', () => {
+    expect(getCompletedRounds(workout(), 1)).toBe(1);
+    expect(getCompletedRounds(workout(), 0)).toBe(0);
+  });
+});
+
+describe('getNextInRotation', () => {
+  it('moves through the group and back to the start after the round', () => {
+    expect(getNextInRotation(workout(), 1)).toEqual({ nextIndex: 2, roundComplete: false });
+    expect(getNextInRotation(workout(), 2)).toEqual({ nextIndex: 1, roundComplete: true });
+    expect(getNextInRotation(workout(), 3)).toBeNull();
+  });
+});
+
+describe('linkWithNext and unlinkFromNext', () => {
+  it('starts a superset and grows it into a giant set', () => {
+    const linked = linkWithNext(workout(), 2);
+    expect(linked.slice(1).map(ex => [ex.group_id, ex.group_type, ex.group_rounds])).toEqual([
+      ['group-a', 'giant_set', 3],
+      ['group-a', 'giant_set', 3],
+      ['group-a', 'giant_set', 3],
+    ]);
+
+    const paired = linkWithNext([exercise('Squat'), exercise('Lunge')], 0);
+    expect(paired[0].group_id).toBeTruthy();
+    expect(paired[1]).toMatchObject({ group_id: paired[0].group_id, group_type: 'superset', group_rounds: null });
+  });
+
+  it('splits a group, leaving single exercises standalone', () => {
+    const circuit = [
+      exercise('Jumps', 'group-c', 'circuit'),
+      exercise('Push-ups', 'group-c', 'circuit'),
+      exercise('Rows', 'group-c', 'circuit'),
+    ];
+
+    const split = unlinkFromNext(circuit, 1);
+    expect(split.map(ex => ex.group_id)).toEqual(['group-c', 'group-c', null]);
+    expect(split[0].group_type).toBe('circuit');
+    expect(unlinkFromNext(workout(), 0)).toEqual(workout());
+  });
+});
+
+describe('cleanExerciseGroups', () => {
+  it('dissolves groups broken up by a move or removal', () => {
+    const moved = [exercise('Bench', 'group-a', 'superset'), exercise('Squat'), exercise('Row', 'group-a', 'superset')];
+    expect(cleanExerciseGroups(moved).map(ex => ex.group_id)).toEqual([null, null, null]);
+
+    const removed = [
+      exercise('A', 'group-g', 'giant_set'),
+      exercise('B', 'group-g', 'giant_set'),
+      exercise('Curl'),
+    ];
+    expect(cleanExerciseGroups(removed).map(ex => ex.group_type)).toEqual(['superset', 'superset', null]);
+  });
+});
+
+describe('formatExerciseGroup', () => {
+  it('names the group type and planned rounds', () => {
+    expect(formatExerciseGroup('giant_set', null)).toBe('Giant set');
+    expect(formatExerciseGroup('circuit', 3)).toBe('Circuit · 3 rounds');
+    expect(formatExerciseGroup('superset', 1)).toBe('Superset · 1 round');
+  });
+});
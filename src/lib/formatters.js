@@ -4,7 +4,9 @@
  * CLIENT-SIDE ONLY - Formatting and display helpers
  */
 
-import { format, formatDistance, formatDistanceToNow, parseISO } from 'date-fns';
+import { format, formatDistance, formatDistanceToNow, parseISO, subDays } from 'date-fns';
+import { E1RM_FORMULAS, DEFAULT_BODYWEIGHT, LOAD_MODES, REP_RANGES, MAX_PROJECTION_DAYS, GOAL_TYPES, SIDES, VALIDATION_LIMITS } from './constants';
+import { getSetSides } from './unilateral';
 
 /**
  * Round weight to nearest 0.5 (per spec - weights displayed rounded to 0.5)
@@ -74,6 +76,58 @@ export const formatDuration = (seconds) => {
   return `${secs}s`;
 };
 
+/**
+ * Format a race or split time (e.g., "24:30" or "1:45:05")
+ */
+export const formatClockTime = (seconds) => {
+  if (seconds === null || seconds === undefined || seconds < 0) return '-';
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Format a distance in meters (e.g., "800 m" or "5.00 km")
+ */
+export const formatDistanceMeters = (meters) => {
+  if (meters === null || meters === undefined) return '-';
+
+  return meters >= 1000
+    ? `${(meters / 1000).toFixed(2)} km`
+    : `${Math.round(meters)} m`;
+};
+
+/**
+ * Format pace in seconds per kilometre (e.g., "5:05 /km")
+ */
+export const formatPace = (secondsPerKm) => {
+  if (!secondsPerKm) return '-';
+  return `${formatClockTime(secondsPerKm)} /km`;
+};
+
+/**
+ * Format an endurance PR value by its unit (seconds or meters)
+ */
+export const formatEndurancePR = (pr) => {
+  return pr.unit === 'meters' ? formatDistanceMeters(pr.value) : formatClockTime(pr.value);
+};
+
+/**
+ * Format a cardio or timed set (e.g., "5.00 km in 24:30", "800 m" or "1:30")
+ */
+export const formatEnduranceSet = (set) => {
+  const duration = set?.duration_seconds ? formatClockTime(set.duration_seconds) : null;
+  const distance = set?.distance_meters ? formatDistanceMeters(parseFloat(set.distance_meters)) : null;
+  if (distance && duration) return `${distance} in ${duration}`;
+  return distance || duration || '-';
+};
+
 /**
  * Format volume (weight × reps total)
  */
@@ -84,24 +138,92 @@ export const formatVolume = (volume) => {
   return `${Math.round(volume).toLocaleString()} lbs`;
 };
 
+/**
+ * Format session density (volume per minute)
+ */
+export const formatDensity = (lbsPerMinute) => {
+  if (lbsPerMinute === null || lbsPerMinute === undefined || lbsPerMinute === 0) return '-';
+
+  return `${Math.round(lbsPerMinute).toLocaleString()} lbs/min`;
+};
+
+/**
+ * Format a signed difference between two sessions (e.g. "+5 lbs", "-2 reps", "0")
+ */
+export const formatDelta = (value, unit = '') => {
+  if (value === null || value === undefined) return '-';
+
+  const rounded = Math.round(value * 10) / 10;
+  const sign = rounded > 0 ? '+' : '';
+  return `${sign}${rounded.toLocaleString()}${unit ? ` ${unit}` : ''}`;
+};
+
+/**
+ * Get an exercise's load profile (load mode, share of bodyweight moved and whether each side
+ * is logged on its own)
+ * Falls back to the type default for exercises saved before load modes existed
+ */
+export const getLoadProfile = (exercise) => {
+  const loadMode = exercise?.load_mode || exercise?.loadMode
+    || (exercise?.type === 'bodyweight' ? 'bodyweight_plus' : 'external');
+  const fraction = exercise?.bodyweight_fraction ?? exercise?.bodyweightFraction;
+
+  return {
+    loadMode,
+    bodyweightFraction: fraction === null || fraction === undefined ? 1 : parseFloat(fraction),
+    isUnilateral: (exercise?.is_unilateral ?? exercise?.isUnilateral) === true,
+  };
+};
+
+/**
+ * Check whether a load mode depends on the user's bodyweight
+ */
+export const usesBodyweight = (loadMode) => loadMode === 'bodyweight_plus' || loadMode === 'assisted';
+
+/**
+ * Calculate the effective load moved per rep (mirrors api/_lib/calculations/volumeCalculator.js)
+ * external = weight, bodyweight_plus = bodyweight share + weight, assisted = bodyweight share - weight
+ */
+export const calculateEffectiveLoad = (weight, { loadMode, bodyweightFraction = 1 } = {}, bodyweight = DEFAULT_BODYWEIGHT) => {
+  const logged = parseFloat(weight) || 0;
+  if (!usesBodyweight(loadMode)) return logged;
+
+  const bodyLoad = (bodyweight || DEFAULT_BODYWEIGHT) * bodyweightFraction;
+  const load = loadMode === 'assisted' ? Math.max(bodyLoad - logged, 0) : bodyLoad + logged;
+  return Math.round(load * 100) / 100;
+};
+
+/**
+ * Get the weight input label for a load mode (e.g. "Added (lbs)" for weighted pull-ups)
+ */
+export const getLoadModeWeightLabel = (loadMode) => {
+  const match = LOAD_MODES.find(mode => mode.value === loadMode);
+  return match ? match.weightLabel : LOAD_MODES[0].weightLabel;
+};
+
 /**
  * Calculate total volume from exercises array
- * Volume = sum of (weight × reps) for all non-warmup sets
+ * Volume = sum of (effective load × reps) for all non-warmup sets and their mini sets
+ * (set.sub_sets), or both sides of unilateral sets; bodyweight load modes use the given
+ * bodyweight and cardio/timed exercises add nothing (mirrors api/_lib/calculations/volumeCalculator.js)
  */
-export const calculateVolume = (exercises) => {
+export const calculateVolume = (exercises, bodyweight = DEFAULT_BODYWEIGHT) => {
   if (!exercises || exercises.length === 0) return 0;
 
   return exercises.reduce((total, exercise) => {
     if (!exercise.sets) return total;
+    if (exercise.type === 'cardio' || exercise.type === 'timed') return total;
 
+    const loadProfile = getLoadProfile(exercise);
     const exerciseVolume = exercise.sets.reduce((exTotal, set) => {
       // Skip warm-up sets
       if (set.is_warmup) return exTotal;
 
-      // Calculate set volume (weight × reps)
-      const weight = set.weight || 0;
-      const reps = set.reps || 0;
-      return exTotal + (weight * reps);
+      // Calculate set volume (effective load × reps), drop-set and other mini sets included
+      return (getSetSides(set) || [set, ...(set.sub_sets || [])]).reduce((setTotal, part) => {
+        const load = calculateEffectiveLoad(part.weight, loadProfile, bodyweight);
+        return setTotal + (load * (part.reps || 0));
+      }, exTotal);
     }, 0);
 
     return total + exerciseVolume;
@@ -109,22 +231,64 @@ export const calculateVolume = (exercises) => {
 };
 
 /**
- * Calculate and format estimated 1RM using Brzycki formula
- * Formula: weight / (1.0278 - 0.0278 × reps)
+ * Map the user's PR rep ranges from the API ({ name, min, max }) to REP_RANGES shape
+ */
+export const toRepRangeOptions = (ranges) => {
+  if (!Array.isArray(ranges) || ranges.length === 0) return REP_RANGES;
+  return ranges.map(({ name, min, max }) => ({ value: name, label: name, min, max }));
+};
+
+/**
+ * Which PR_REP_RANGE_PRESETS entry a stored list of rep ranges matches
+ */
+export const getRepRangePreset = (ranges) => {
+  if (typeof ranges === 'string') return ranges;
+  if (!Array.isArray(ranges)) return 'default';
+
+  const matches = (expected) => ranges.length === expected.length &&
+    ranges.every((range, index) => range.min === expected[index].min && range.max === expected[index].max);
+
+  if (matches(REP_RANGES)) return 'default';
+  if (ranges.length === 20 && ranges.every((range, index) => range.min === index + 1 && range.max === index + 1)) {
+    return 'exact';
+  }
+  return 'custom';
+};
+
+/**
+ * Format rep ranges for the custom ranges input (e.g., "1, 2-3, 13-15, 20")
+ */
+export const formatRepRangesInput = (ranges) => {
+  if (!Array.isArray(ranges)) return '';
+  return ranges.map(({ min, max }) => (min === max ? `${min}` : `${min}-${max}`)).join(', ');
+};
+
+/**
+ * Parse the custom ranges input ("1, 2-3, 13-15, 20") into [{ min, max }]
+ * Returns null for malformed input; overlap and bounds are checked by the server
  */
-export const calculateEstimated1RM = (weight, reps) => {
-  if (!weight || !reps || reps < 1 || reps > 10) return null;
+export const parseRepRangesInput = (input) => {
+  const parts = String(input || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const ranges = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) return null;
+    const min = parseInt(match[1], 10);
+    const max = match[2] ? parseInt(match[2], 10) : min;
+    ranges.push({ min, max });
+  }
 
-  const estimated1RM = weight / (1.0278 - 0.0278 * reps);
-  return roundToHalf(estimated1RM);
+  return ranges;
 };
 
 /**
- * Format estimated 1RM for display
+ * Get display label for a 1RM formula
  */
-export const formatEstimated1RM = (weight, reps) => {
-  const e1RM = calculateEstimated1RM(weight, reps);
-  return e1RM ? `${e1RM} lbs` : '-';
+export const formatE1RMFormula = (formula) => {
+  const match = E1RM_FORMULAS.find(f => f.value === formula);
+  return match ? match.label : E1RM_FORMULAS[0].label;
 };
 
 /**
@@ -137,6 +301,92 @@ export const formatDate = (date) => {
   return format(dateObj, 'MMM d, yyyy');
 };
 
+/**
+ * Format date as YYYY-MM-DD (API date params, <input type="date"> values)
+ */
+export const formatISODate = (date) => {
+  const dateObj = typeof date === 'string' ? parseISO(date) : date;
+  return format(dateObj, 'yyyy-MM-dd');
+};
+
+/**
+ * Get the { from, to } range for a preset ending today (e.g. last 84 days)
+ */
+export const getPresetDateRange = (days, today = new Date()) => ({
+  from: formatISODate(subDays(today, days - 1)),
+  to: formatISODate(today),
+});
+
+/**
+ * Format a stats bucket start date for chart axes (e.g. "Jun 3" or "Jun 2024")
+ */
+export const formatBucketLabel = (start, granularity) => {
+  if (!start) return '-';
+
+  return format(parseISO(start), granularity === 'month' ? 'MMM yyyy' : 'MMM d');
+};
+
+/**
+ * Describe a target e1RM projection (see trends.js projectTargetDate)
+ * e.g. "At this rate you'll reach 225 lbs around Mar 4, 2024 (in 6 weeks)"
+ */
+export const formatTargetProjection = (projection, target) => {
+  const weight = formatWeight(target);
+
+  switch (projection?.status) {
+    case 'reached':
+      return `You've already reached ${weight}`;
+    case 'projected': {
+      if (projection.days === 0) return `At this rate you're due to hit ${weight} next session`;
+      const wait = projection.days < 14 ? `${projection.days} days` : `${Math.round(projection.days / 7)} weeks`;
+      return `At this rate you'll reach ${weight} around ${formatDate(projection.date)} (in ${wait})`;
+    }
+    case 'not_improving':
+      return `Your estimated 1RM isn't trending up, so there's no date for ${weight} yet`;
+    case 'out_of_reach':
+      return `At this rate ${weight} is more than ${Math.round(MAX_PROJECTION_DAYS / 365)} years away`;
+    default:
+      return `Log at least 3 sessions to project a date for ${weight}`;
+  }
+};
+
+/**
+ * Describe a goal's target (e.g. "Squat e1RM 315 lbs", "Bench Press 5 reps at 225 lbs", "12 chest sets a week")
+ */
+export const formatGoal = (goal) => {
+  const target = goal.target_value;
+
+  switch (goal.type) {
+    case 'e1rm':
+      return `${goal.exercise_name} e1RM ${formatWeight(target)}`;
+    case 'rep_max': {
+      const reps = `${target} ${target === 1 ? 'rep' : 'reps'}`;
+      return goal.target_weight
+        ? `${goal.exercise_name} ${reps} at ${formatWeight(goal.target_weight)}`
+        : `${goal.exercise_name} ${reps}`;
+    }
+    case 'bodyweight':
+      return `Bodyweight ${formatWeight(target)}`;
+    case 'weekly_workouts':
+      return `${target} ${target === 1 ? 'workout' : 'workouts'} a week`;
+    case 'muscle_volume':
+      return `${target} ${goal.muscle} ${target === 1 ? 'set' : 'sets'} a week`;
+    default:
+      return '-';
+  }
+};
+
+/**
+ * Format a goal's current value in the goal's unit (e.g. "295 lbs", "8 reps", "3 workouts")
+ */
+export const formatGoalValue = (type, value) => {
+  if (value === null || value === undefined) return '-';
+  if (type === 'e1rm' || type === 'bodyweight') return formatWeight(value);
+
+  const unit = GOAL_TYPES.find(goalType => goalType.value === type)?.unit || '';
+  return `${roundToHalf(value)} ${unit}`.trim();
+};
+
 /**
  * Format date with time (e.g., "Jan 17, 2026 at 2:30 PM")
  */
@@ -246,6 +496,50 @@ export const formatRestTimer = (seconds) => {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Compare actual rests with the rest timer presets picked (GET /api/stats/density timer)
+ * e.g. "Rests averaged 2:35 against a 2:00 timer, 4 of 9 ran long"
+ */
+export const formatRestComparison = (timer) => {
+  if (!timer) return null;
+
+  const averages = `Rests averaged ${formatRestTimer(timer.avg_actual_seconds)} against a ${formatRestTimer(timer.avg_target_seconds)} timer`;
+  if (timer.over_count > 0) return `${averages}, ${timer.over_count} of ${timer.rests} ran long`;
+  if (timer.under_count > 0) return `${averages}, ${timer.under_count} of ${timer.rests} cut short`;
+  return `${averages}, all on target`;
+};
+
+/**
+ * Say whether long rests explain slow sessions (GET /api/stats/density slow_sessions)
+ * e.g. "Your 4 slowest sessions ran 16m 40s longer, 13m 20s of it resting: long rests explain most of it"
+ */
+export const formatSlowSessions = (slow) => {
+  if (!slow) return null;
+
+  const difference = `Your ${slow.slow_sessions} slowest sessions ran ${formatDuration(slow.extra_seconds)} longer, ` +
+    `${formatDuration(Math.max(slow.extra_rest_seconds, 0))} of it resting`;
+  if (slow.rest_explains) return `${difference}: long rests explain most of it`;
+  if (slow.extra_sets > 0) return `${difference}: mostly extra work (${slow.extra_sets} more sets), not rest`;
+  return `${difference}: rest explains less than half of it`;
+};
+
+/**
+ * Say which side of a unilateral exercise is weaker (GET /api/stats/imbalance exercise)
+ * e.g. "Right side 12% weaker on average over 8 sessions (weaker in 6)"
+ */
+export const formatSideImbalance = (exercise) => {
+  if (!exercise || exercise.sessions.length === 0) return null;
+
+  const sessions = `${exercise.sessions.length} session${exercise.sessions.length === 1 ? '' : 's'}`;
+  if (!exercise.is_imbalanced || !exercise.weaker_side) {
+    return `Sides within ${exercise.avg_imbalance_percent}% on average over ${sessions}`;
+  }
+
+  const side = SIDES.find(option => option.value === exercise.weaker_side).label;
+  return `${side} side ${exercise.avg_imbalance_percent}% weaker on average over ${sessions} ` +
+    `(weaker in ${exercise.weaker_sessions[exercise.weaker_side]})`;
+};
+
 /**
  * Parse weight input (handles decimal input, rounds to 0.5)
  */
@@ -266,6 +560,27 @@ export const parseReps = (input) => {
   return num;
 };
 
+/**
+ * Parse a set time ("1:30", "24:30", "1:05:00" or plain seconds) into seconds (1s-24h)
+ */
+export const parseDuration = (input) => {
+  const parts = String(input ?? '').trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+  const seconds = parts.reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  if (seconds < VALIDATION_LIMITS.durationSeconds.min || seconds > VALIDATION_LIMITS.durationSeconds.max) return null;
+  return seconds;
+};
+
+/**
+ * Parse distance input in meters (rounds to 0.01)
+ */
+export const parseDistance = (input) => {
+  const num = parseFloat(input);
+  if (isNaN(num)) return null;
+  if (num <= 0 || num > VALIDATION_LIMITS.distanceMeters.max) return null;
+  return Math.round(num * 100) / 100;
+};
+
 /**
  * Parse RIR input (integer 0-10)
  */
@@ -322,3 +637,12 @@ export const generateUUID = () => {
 export const formatPRAchievement = (exercise, weight, reps, repRange) => {
   return `New ${repRange} PR on ${exercise}: ${formatSet(weight, reps)}!`;
 };
+
+/**
+ * Collect PRs hit from a /workouts/sync response (one list across all synced workouts)
+ */
+export const collectSyncedPRs = (syncResult) => {
+  if (!syncResult || !Array.isArray(syncResult.syncedWorkouts)) return [];
+
+  return syncResult.syncedWorkouts.flatMap(workout => workout.prs || []);
+};
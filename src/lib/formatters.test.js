@@ -7,11 +7,33 @@ import {
   formatRIR,
   formatSet,
   formatDuration,
+  formatClockTime,
+  formatDistanceMeters,
+  formatPace,
+  formatEndurancePR,
+  formatEnduranceSet,
+  parseDuration,
+  parseDistance,
   formatVolume,
+  formatDensity,
+  formatDelta,
   calculateVolume,
-  calculateEstimated1RM,
-  formatEstimated1RM,
+  getLoadProfile,
+  calculateEffectiveLoad,
+  getLoadModeWeightLabel,
+  formatE1RMFormula,
+  toRepRangeOptions,
+  getRepRangePreset,
+  formatRepRangesInput,
+  parseRepRangesInput,
+  collectSyncedPRs,
   formatDate,
+  formatISODate,
+  getPresetDateRange,
+  formatBucketLabel,
+  formatTargetProjection,
+  formatGoal,
+  formatGoalValue,
   formatDateTime,
   formatRelativeTime,
   formatTime,
@@ -22,6 +44,9 @@ import {
   formatEquipment,
   formatExerciseType,
   formatRestTimer,
+  formatRestComparison,
+  formatSlowSessions,
+  formatSideImbalance,
   parseWeight,
   parseReps,
   parseRIR,
@@ -32,6 +57,7 @@ import {
   generateUUID,
   formatPRAchievement,
 } from './formatters';
+import { REP_RANGES } from './constants';
 
 // ──── Weight Functions ────
 
@@ -125,6 +151,58 @@ describe('formatVolume', () => {
   it('rounds to integer', () => expect(formatVolume(12500.7)).toBe('12,501 lbs'));
 });
 
+describe('formatDelta', () => {
+  it('signs gains and losses', () => {
+    expect(formatDelta(5, 'lbs')).toBe('+5 lbs');
+    expect(formatDelta(-2, 'reps')).toBe('-2 reps');
+    expect(formatDelta(1250.04, 'lbs')).toBe('+1,250 lbs');
+  });
+  it('shows no sign for no change', () => expect(formatDelta(0)).toBe('0'));
+  it('returns dash when there is nothing to compare', () => expect(formatDelta(null)).toBe('-'));
+});
+
+describe('formatDensity', () => {
+  it('formats volume per minute', () => expect(formatDensity(1234.6)).toBe('1,235 lbs/min'));
+  it('returns dash for null', () => expect(formatDensity(null)).toBe('-'));
+});
+
+describe('getLoadProfile', () => {
+  it('reads snake_case and camelCase fields', () => {
+    expect(getLoadProfile({ load_mode: 'assisted', bodyweight_fraction: '0.95' })).toEqual({ loadMode: 'assisted', bodyweightFraction: 0.95, isUnilateral: false });
+    expect(getLoadProfile({ loadMode: 'bodyweight_plus', bodyweightFraction: 0.64, isUnilateral: true })).toEqual({ loadMode: 'bodyweight_plus', bodyweightFraction: 0.64, isUnilateral: true });
+  });
+
+  it('defaults by exercise type', () => {
+    expect(getLoadProfile({ type: 'bodyweight' })).toEqual({ loadMode: 'bodyweight_plus', bodyweightFraction: 1, isUnilateral: false });
+    expect(getLoadProfile({ type: 'weighted', is_unilateral: true })).toEqual({ loadMode: 'external', bodyweightFraction: 1, isUnilateral: true });
+  });
+});
+
+describe('calculateEffectiveLoad', () => {
+  it('returns the logged weight for external loads', () => {
+    expect(calculateEffectiveLoad(225, { loadMode: 'external' }, 180)).toBe(225);
+    expect(calculateEffectiveLoad(null)).toBe(0);
+  });
+
+  it('adds or subtracts the logged weight from the bodyweight share', () => {
+    expect(calculateEffectiveLoad(25, { loadMode: 'bodyweight_plus', bodyweightFraction: 0.95 }, 180)).toBe(196);
+    expect(calculateEffectiveLoad(50, { loadMode: 'assisted', bodyweightFraction: 0.95 }, 180)).toBe(121);
+    expect(calculateEffectiveLoad(500, { loadMode: 'assisted', bodyweightFraction: 0.95 }, 180)).toBe(0);
+  });
+
+  it('falls back to the default bodyweight', () => {
+    expect(calculateEffectiveLoad('', { loadMode: 'bodyweight_plus' }, null)).toBe(150);
+  });
+});
+
+describe('getLoadModeWeightLabel', () => {
+  it('labels the weight input by load mode', () => {
+    expect(getLoadModeWeightLabel('assisted')).toBe('Assistance (lbs)');
+    expect(getLoadModeWeightLabel('bodyweight_plus')).toBe('Added (lbs)');
+    expect(getLoadModeWeightLabel('unknown')).toBe('Weight (lbs)');
+  });
+});
+
 describe('calculateVolume', () => {
   it('calculates total volume excluding warmups', () => {
     const exercises = [{
@@ -137,62 +215,74 @@ describe('calculateVolume', () => {
     expect(calculateVolume(exercises)).toBe(2250);
   });
 
-  it('returns 0 for empty exercises', () => {
-    expect(calculateVolume([])).toBe(0);
-  });
-
-  it('returns 0 for null input', () => {
-    expect(calculateVolume(null)).toBe(0);
+  it('includes the mini sets of drop sets', () => {
+    const exercises = [{
+      sets: [{ weight: 225, reps: 8, is_warmup: false, sub_sets: [{ weight: 180, reps: 6 }, { weight: 145, reps: 5 }] }],
+    }];
+    expect(calculateVolume(exercises)).toBe(1800 + 1080 + 725);
   });
 
-  it('handles exercises without sets', () => {
-    expect(calculateVolume([{ sets: null }])).toBe(0);
+  it('adds both sides of unilateral sets', () => {
+    const exercises = [{
+      sets: [{ weight: 50, reps: 8, is_warmup: false, left_weight: 50, left_reps: 10, right_weight: 50, right_reps: 8 }],
+    }];
+    expect(calculateVolume(exercises)).toBe(900);
   });
 
-  it('handles null weight/reps in sets', () => {
+  it('uses bodyweight for bodyweight exercises', () => {
     const exercises = [{
-      sets: [{ weight: null, reps: 5, is_warmup: false }],
+      type: 'bodyweight',
+      sets: [{ weight: null, reps: 10, is_warmup: false }],
     }];
-    expect(calculateVolume(exercises)).toBe(0);
+    expect(calculateVolume(exercises, 182.5)).toBe(1825);
+    expect(calculateVolume(exercises)).toBe(1500); // 150 lbs default
   });
-});
 
-// ──── 1RM Calculation ────
+  it('applies the exercise load mode', () => {
+    const exercises = [
+      { type: 'bodyweight', load_mode: 'bodyweight_plus', bodyweight_fraction: 0.95, sets: [{ weight: 25, reps: 5, is_warmup: false }] },
+      { type: 'weighted', load_mode: 'assisted', bodyweight_fraction: 0.95, sets: [{ weight: 50, reps: 8, is_warmup: false }] },
+    ];
+    // (180 * 0.95 + 25) * 5 + (180 * 0.95 - 50) * 8
+    expect(calculateVolume(exercises, 180)).toBe(196 * 5 + 121 * 8);
+  });
 
-describe('calculateEstimated1RM (frontend)', () => {
-  it('calculates for valid inputs', () => {
-    const result = calculateEstimated1RM(225, 5);
-    expect(result).toBeGreaterThan(225);
-    expect(result).toBeCloseTo(253, 0);
+  it('ignores cardio and timed exercises', () => {
+    const exercises = [
+      { type: 'cardio', sets: [{ weight: 0, reps: 1, is_warmup: false }] },
+      { type: 'timed', sets: [{ weight: 50, reps: 1, is_warmup: false }] },
+    ];
+    expect(calculateVolume(exercises)).toBe(0);
   });
 
-  it('returns null for reps > 10', () => {
-    expect(calculateEstimated1RM(225, 11)).toBeNull();
+  it('returns 0 for empty exercises', () => {
+    expect(calculateVolume([])).toBe(0);
   });
 
-  it('returns null for reps < 1', () => {
-    expect(calculateEstimated1RM(225, 0)).toBeNull();
+  it('returns 0 for null input', () => {
+    expect(calculateVolume(null)).toBe(0);
   });
 
-  it('returns null for null weight', () => {
-    expect(calculateEstimated1RM(null, 5)).toBeNull();
+  it('handles exercises without sets', () => {
+    expect(calculateVolume([{ sets: null }])).toBe(0);
   });
 
-  it('rounds to nearest 0.5', () => {
-    const result = calculateEstimated1RM(225, 5);
-    expect(result % 0.5).toBe(0);
+  it('handles null weight/reps in sets', () => {
+    const exercises = [{
+      sets: [{ weight: null, reps: 5, is_warmup: false }],
+    }];
+    expect(calculateVolume(exercises)).toBe(0);
   });
 });
 
-describe('formatEstimated1RM', () => {
-  it('formats valid 1RM', () => {
-    const formatted = formatEstimated1RM(225, 5);
-    expect(formatted).toContain('lbs');
-    expect(formatted).not.toBe('-');
+describe('formatE1RMFormula', () => {
+  it('returns the formula label', () => {
+    expect(formatE1RMFormula('epley')).toBe('Epley');
+    expect(formatE1RMFormula('average')).toBe('Average of all');
   });
 
-  it('returns dash for invalid inputs', () => {
-    expect(formatEstimated1RM(null, 5)).toBe('-');
+  it('defaults to Brzycki for unknown values', () => {
+    expect(formatE1RMFormula(undefined)).toBe('Brzycki');
   });
 });
 
@@ -210,6 +300,82 @@ describe('formatDuration', () => {
   it('returns 0m for null', () => expect(formatDuration(null)).toBe('0m'));
 });
 
+describe('PR rep ranges', () => {
+  const exact = Array.from({ length: 20 }, (_, i) => ({ name: `${i + 1}RM`, min: i + 1, max: i + 1 }));
+
+  it('detects the preset a stored list matches', () => {
+    expect(getRepRangePreset(REP_RANGES.map(({ value, min, max }) => ({ name: value, min, max })))).toBe('default');
+    expect(getRepRangePreset(exact)).toBe('exact');
+    expect(getRepRangePreset([{ name: '15RM', min: 13, max: 15 }])).toBe('custom');
+    expect(getRepRangePreset(undefined)).toBe('default');
+  });
+
+  it('maps API ranges to table columns, falling back to the defaults', () => {
+    expect(toRepRangeOptions([{ name: '15RM', min: 13, max: 15 }])).toEqual([
+      { value: '15RM', label: '15RM', min: 13, max: 15 },
+    ]);
+    expect(toRepRangeOptions(null)).toBe(REP_RANGES);
+  });
+
+  it('round-trips the custom ranges input', () => {
+    const ranges = parseRepRangesInput('1, 2-3, 13 - 15,20');
+    expect(ranges).toEqual([
+      { min: 1, max: 1 },
+      { min: 2, max: 3 },
+      { min: 13, max: 15 },
+      { min: 20, max: 20 },
+    ]);
+    expect(formatRepRangesInput(ranges)).toBe('1, 2-3, 13-15, 20');
+  });
+
+  it('rejects malformed input', () => {
+    expect(parseRepRangesInput('')).toBeNull();
+    expect(parseRepRangesInput('1, heavy')).toBeNull();
+    expect(parseRepRangesInput('5-')).toBeNull();
+  });
+});
+
+describe('endurance formatting', () => {
+  it('formats clock times with and without hours', () => {
+    expect(formatClockTime(1470)).toBe('24:30');
+    expect(formatClockTime(6305)).toBe('1:45:05');
+    expect(formatClockTime(null)).toBe('-');
+  });
+
+  it('formats distances in m below 1 km', () => {
+    expect(formatDistanceMeters(800)).toBe('800 m');
+    expect(formatDistanceMeters(5000)).toBe('5.00 km');
+  });
+
+  it('formats pace per kilometre', () => {
+    expect(formatPace(305)).toBe('5:05 /km');
+    expect(formatPace(null)).toBe('-');
+  });
+
+  it('formats PR values by unit', () => {
+    expect(formatEndurancePR({ unit: 'seconds', value: 1450 })).toBe('24:10');
+    expect(formatEndurancePR({ unit: 'meters', value: 10000 })).toBe('10.00 km');
+  });
+
+  it('formats cardio and timed sets', () => {
+    expect(formatEnduranceSet({ duration_seconds: 1470, distance_meters: '5000.00' })).toBe('5.00 km in 24:30');
+    expect(formatEnduranceSet({ duration_seconds: 90, distance_meters: null })).toBe('1:30');
+    expect(formatEnduranceSet({ distance_meters: 800 })).toBe('800 m');
+    expect(formatEnduranceSet({})).toBe('-');
+  });
+
+  it('parses set times and distances', () => {
+    expect(parseDuration('1:30')).toBe(90);
+    expect(parseDuration('1:05:00')).toBe(3900);
+    expect(parseDuration('45')).toBe(45);
+    expect(parseDuration('1:3a')).toBeNull();
+    expect(parseDuration('0:00')).toBeNull();
+    expect(parseDuration('25:00:00')).toBeNull();
+    expect(parseDistance('5000.456')).toBe(5000.46);
+    expect(parseDistance('0')).toBeNull();
+  });
+});
+
 describe('formatRestTimer', () => {
   it('formats 90 seconds as 1:30', () => expect(formatRestTimer(90)).toBe('1:30'));
   it('formats 5 seconds as 0:05', () => expect(formatRestTimer(5)).toBe('0:05'));
@@ -218,6 +384,48 @@ describe('formatRestTimer', () => {
   it('formats 60 as 1:00', () => expect(formatRestTimer(60)).toBe('1:00'));
 });
 
+describe('formatRestComparison', () => {
+  const timer = { rests: 9, avg_target_seconds: 120, avg_actual_seconds: 155, over_count: 4, under_count: 1 };
+
+  it('compares rests with the timer picked', () => {
+    expect(formatRestComparison(timer)).toBe('Rests averaged 2:35 against a 2:00 timer, 4 of 9 ran long');
+    expect(formatRestComparison({ ...timer, over_count: 0 })).toBe('Rests averaged 2:35 against a 2:00 timer, 1 of 9 cut short');
+    expect(formatRestComparison({ ...timer, over_count: 0, under_count: 0 })).toBe('Rests averaged 2:35 against a 2:00 timer, all on target');
+  });
+
+  it('returns null without timer picks', () => expect(formatRestComparison(null)).toBeNull());
+});
+
+describe('formatSlowSessions', () => {
+  const slow = { slow_sessions: 4, extra_seconds: 1000, extra_rest_seconds: 800, extra_sets: 0.5, rest_explains: true };
+
+  it('says whether rest explains the slower sessions', () => {
+    expect(formatSlowSessions(slow)).toBe('Your 4 slowest sessions ran 16m 40s longer, 13m 20s of it resting: long rests explain most of it');
+    expect(formatSlowSessions({ ...slow, extra_rest_seconds: 100, extra_sets: 8, rest_explains: false }))
+      .toBe('Your 4 slowest sessions ran 16m 40s longer, 1m 40s of it resting: mostly extra work (8 more sets), not rest');
+  });
+
+  it('returns null without enough sessions', () => expect(formatSlowSessions(null)).toBeNull());
+});
+
+describe('formatSideImbalance', () => {
+  const exercise = {
+    sessions: [{}, {}, {}],
+    avg_imbalance_percent: 12.5,
+    weaker_side: 'right',
+    weaker_sessions: { left: 0, right: 2 },
+    is_imbalanced: true,
+  };
+
+  it('names the weaker side when the gap is an imbalance', () => {
+    expect(formatSideImbalance(exercise)).toBe('Right side 12.5% weaker on average over 3 sessions (weaker in 2)');
+    expect(formatSideImbalance({ ...exercise, avg_imbalance_percent: 4, is_imbalanced: false }))
+      .toBe('Sides within 4% on average over 3 sessions');
+  });
+
+  it('returns null without sessions', () => expect(formatSideImbalance(null)).toBeNull());
+});
+
 // ──── Date Functions ────
 
 describe('formatDate', () => {
@@ -242,6 +450,64 @@ describe('formatDate', () => {
   });
 });
 
+describe('formatISODate', () => {
+  it('formats local date as YYYY-MM-DD', () => {
+    expect(formatISODate(new Date(2026, 0, 7))).toBe('2026-01-07');
+  });
+});
+
+describe('getPresetDateRange', () => {
+  it('returns an inclusive range ending today', () => {
+    expect(getPresetDateRange(7, new Date(2026, 0, 17))).toEqual({ from: '2026-01-11', to: '2026-01-17' });
+  });
+});
+
+describe('formatBucketLabel', () => {
+  it('shows month and year for month buckets', () => {
+    expect(formatBucketLabel('2026-01-01', 'month')).toBe('Jan 2026');
+  });
+
+  it('shows month and day for day/week buckets', () => {
+    expect(formatBucketLabel('2026-01-05', 'week')).toBe('Jan 5');
+  });
+
+  it('returns dash for missing start', () => {
+    expect(formatBucketLabel(null, 'week')).toBe('-');
+  });
+});
+
+describe('formatTargetProjection', () => {
+  it('describes a projected date in days or weeks', () => {
+    expect(formatTargetProjection({ status: 'projected', date: '2026-03-04', days: 42 }, 225))
+      .toBe("At this rate you'll reach 225 lbs around Mar 4, 2026 (in 6 weeks)");
+    expect(formatTargetProjection({ status: 'projected', date: '2026-01-27', days: 5 }, 225))
+      .toBe("At this rate you'll reach 225 lbs around Jan 27, 2026 (in 5 days)");
+  });
+
+  it('describes targets without a date', () => {
+    expect(formatTargetProjection({ status: 'reached' }, 225)).toBe("You've already reached 225 lbs");
+    expect(formatTargetProjection({ status: 'out_of_reach' }, 405)).toBe('At this rate 405 lbs is more than 2 years away');
+  });
+});
+
+describe('formatGoal', () => {
+  it('describes each goal type', () => {
+    expect(formatGoal({ type: 'e1rm', exercise_name: 'Squat', target_value: 315 })).toBe('Squat e1RM 315 lbs');
+    expect(formatGoal({ type: 'rep_max', exercise_name: 'Bench Press', target_value: 5, target_weight: 225 }))
+      .toBe('Bench Press 5 reps at 225 lbs');
+    expect(formatGoal({ type: 'rep_max', exercise_name: 'Pull-up', target_value: 20, target_weight: null })).toBe('Pull-up 20 reps');
+    expect(formatGoal({ type: 'bodyweight', target_value: 180 })).toBe('Bodyweight 180 lbs');
+    expect(formatGoal({ type: 'weekly_workouts', target_value: 4 })).toBe('4 workouts a week');
+    expect(formatGoal({ type: 'muscle_volume', muscle: 'chest', target_value: 12 })).toBe('12 chest sets a week');
+  });
+
+  it('formats current values in the goal unit', () => {
+    expect(formatGoalValue('e1rm', 295.3)).toBe('295.5 lbs');
+    expect(formatGoalValue('muscle_volume', 9.5)).toBe('9.5 sets');
+    expect(formatGoalValue('rep_max', null)).toBe('-');
+  });
+});
+
 describe('formatDateTime', () => {
   it('includes time', () => {
     const result = formatDateTime('2026-01-17T14:30:00Z');
@@ -436,3 +702,21 @@ describe('formatPRAchievement', () => {
     expect(result).toContain('PR');
   });
 });
+
+describe('collectSyncedPRs', () => {
+  it('flattens PRs from every synced workout', () => {
+    const result = collectSyncedPRs({
+      syncedWorkouts: [
+        { serverId: 'w1', prs: [{ rep_range: '5RM' }] },
+        { serverId: 'w2', prs: [{ rep_range: '1RM' }, { rep_range: '3RM' }] },
+        { serverId: 'w3' },
+      ],
+    });
+    expect(result.map(pr => pr.rep_range)).toEqual(['5RM', '1RM', '3RM']);
+  });
+
+  it('returns empty array for offline or failed sync responses', () => {
+    expect(collectSyncedPRs(null)).toEqual([]);
+    expect(collectSyncedPRs({ success: false, error: 'Network Error' })).toEqual([]);
+  });
+});
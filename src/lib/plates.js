@@ -0,0 +1,237 @@
+/**
+ * Plate Utilities
+ *
+ * CLIENT-SIDE ONLY - Plate breakdowns for barbell loads and rounding of suggested weights to
+ * loads the active equipment profile can build: a bar plus plate pairs for barbells, the
+ * nearest dumbbell, and a step of the cable stack. Profiles come from GET /api/user/equipment
+ * ({ bar_weights, plates: [{ weight, pairs }], dumbbells, cable_increment, cable_max }, lbs).
+ */
+
+import { DEFAULT_EQUIPMENT_PROFILE } from './constants';
+
+/**
+ * Plate weights are whole quarter pounds, so loads are added up in quarter-pound units
+ */
+const UNITS_PER_LB = 4;
+
+/**
+ * Equipment whose loads come from the profile (machines and bodyweight keep any weight)
+ */
+const BUILDABLE_EQUIPMENT = ['barbell', 'dumbbell', 'cable'];
+
+const toUnits = (weight) => Math.round(weight * UNITS_PER_LB);
+
+/**
+ * Whether one plate combination beats another: fewer plates, then heavier plates first
+ * (45 + 25 over 35 + 35)
+ */
+const isBetterCombination = (combination, other) => {
+  if (combination.length !== other.length) return combination.length < other.length;
+  const index = combination.findIndex((plate, i) => plate !== other[i]);
+  return index !== -1 && combination[index] > other[index];
+};
+
+// Side loads per plate list, keyed by the plates JSON (profiles rarely change mid-workout)
+const sideLoadCache = new Map();
+
+/**
+ * Every load one side of the bar can hold, with the plates that make it
+ *
+ * @param {Array<Object>} plates - [{ weight, pairs }]; each pair puts one plate on each side
+ * @returns {Map<number, Array<number>>} Side load in units => plates heaviest first
+ */
+const getSideLoads = (plates) => {
+  const key = JSON.stringify(plates);
+  if (sideLoadCache.has(key)) return sideLoadCache.get(key);
+
+  let loads = new Map([[0, []]]);
+  for (const plate of [...plates].sort((a, b) => b.weight - a.weight)) {
+    const next = new Map(loads);
+    for (const [units, used] of loads) {
+      for (let count = 1; count <= plate.pairs; count++) {
+        const total = units + toUnits(plate.weight) * count;
+        const combination = [...used, ...Array(count).fill(plate.weight)];
+        if (!next.has(total) || isBetterCombination(combination, next.get(total))) {
+          next.set(total, combination);
+        }
+      }
+    }
+    loads = next;
+  }
+
+  sideLoadCache.set(key, loads);
+  return loads;
+};
+
+/**
+ * Nearest value to a target, ties going to the lighter one
+ *
+ * @param {Iterable<number>} values - Candidate values
+ * @param {number} target - Target value
+ * @returns {number|null} Nearest value, null without candidates
+ */
+const findNearest = (values, target) => {
+  let nearest = null;
+  for (const value of values) {
+    const distance = Math.abs(value - target);
+    const best = nearest === null ? Infinity : Math.abs(nearest - target);
+    if (distance < best || (distance === best && value < nearest)) {
+      nearest = value;
+    }
+  }
+  return nearest;
+};
+
+/**
+ * Plates to load for a barbell weight, or for the nearest weight the profile can build
+ * Each bar is tried, and the default (first) bar wins ties
+ *
+ * @param {number|string} weight - Target weight in lbs, bar included
+ * @param {Object} profile - Equipment profile
+ * @returns {Object|null} { weight, bar, plates, exact } where plates is one side, heaviest
+ *   first, and weight the load built; null without a positive weight
+ *
+ * @example
+ * getPlateBreakdown(227.5, homeGymWithout2s); // { weight: 225, bar: 45, plates: [45, 45], exact: false }
+ */
+export const getPlateBreakdown = (weight, profile = DEFAULT_EQUIPMENT_PROFILE) => {
+  const target = parseFloat(weight);
+  if (!(target > 0)) return null;
+
+  const sideLoads = getSideLoads(profile.plates || []);
+  let best = null;
+
+  for (const bar of profile.bar_weights || []) {
+    const sideUnits = findNearest(sideLoads.keys(), toUnits((target - bar) / 2));
+    const totalUnits = toUnits(bar) + sideUnits * 2;
+    if (!best || Math.abs(totalUnits - toUnits(target)) < Math.abs(best.units - toUnits(target))) {
+      best = { units: totalUnits, bar, plates: sideLoads.get(sideUnits) };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    weight: best.units / UNITS_PER_LB,
+    bar: best.bar,
+    plates: best.plates,
+    exact: best.units === toUnits(target),
+  };
+};
+
+/**
+ * Whether weights for the equipment are rounded to the profile
+ *
+ * @param {string} equipment - Exercise equipment
+ * @returns {boolean} True for barbells, dumbbells and cables
+ */
+export const roundsToEquipment = (equipment) => BUILDABLE_EQUIPMENT.includes(equipment);
+
+/**
+ * Round a suggested weight to one the profile can build for the exercise's equipment
+ * Barbells use the bar and plate pairs, dumbbells the nearest dumbbell and cables a step of the
+ * stack; other equipment (machines, bodyweight) keeps the weight
+ *
+ * @param {number|string} weight - Suggested weight in lbs
+ * @param {string} equipment - Exercise equipment ('barbell', 'dumbbell', 'cable', ...)
+ * @param {Object} profile - Equipment profile
+ * @returns {number|string} Buildable weight, or the weight unchanged when it cannot be rounded
+ */
+export const roundToEquipment = (weight, equipment, profile = DEFAULT_EQUIPMENT_PROFILE) => {
+  const value = parseFloat(weight);
+  if (!(value > 0)) return weight;
+
+  if (equipment === 'barbell') {
+    return getPlateBreakdown(value, profile)?.weight ?? weight;
+  }
+
+  if (equipment === 'dumbbell') {
+    return findNearest(profile.dumbbells || [], value) ?? weight;
+  }
+
+  if (equipment === 'cable' && profile.cable_increment > 0) {
+    const increment = profile.cable_increment;
+    const steps = Math.max(Math.round(value / increment), 1);
+    const rounded = Math.round(steps * increment * 100) / 100;
+    return profile.cable_max ? Math.min(rounded, Math.floor(profile.cable_max / increment) * increment) : rounded;
+  }
+
+  return weight;
+};
+
+/**
+ * One side of a breakdown: '2×45 + 25 + 2.5' ('Empty bar' without plates)
+ *
+ * @param {Object} breakdown - getPlateBreakdown result
+ * @returns {string} Plates per side, '' without a breakdown
+ */
+export const formatPlates = (breakdown) => {
+  if (!breakdown) return '';
+  if (breakdown.plates.length === 0) return 'Empty bar';
+
+  const counts = new Map();
+  breakdown.plates.forEach(plate => counts.set(plate, (counts.get(plate) || 0) + 1));
+
+  return [...counts]
+    .map(([plate, count]) => `${count > 1 ? `${count}×` : ''}${plate}`)
+    .join(' + ');
+};
+
+/**
+ * Format weights for a profile input (e.g., "45, 35, 15")
+ */
+export const formatWeightListInput = (weights) => (Array.isArray(weights) ? weights.join(', ') : '');
+
+/**
+ * Parse a weights input ("45, 35" or "5-50/5, 62.5" for every 5 lbs from 5 to 50) into numbers
+ * Returns null for malformed input; limits are checked by the server
+ */
+export const parseWeightListInput = (input) => {
+  const parts = String(input || '').split(',').map(part => part.trim()).filter(Boolean);
+
+  const weights = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?))?$/);
+    if (!match) return null;
+
+    const from = parseFloat(match[1]);
+    if (!match[2]) {
+      weights.push(from);
+      continue;
+    }
+
+    const to = parseFloat(match[2]);
+    const step = parseFloat(match[3]);
+    if (!(step > 0) || to < from || (to - from) / step > 100) return null;
+    for (let weight = from; weight <= to + 1e-9; weight += step) {
+      weights.push(Math.round(weight * 100) / 100);
+    }
+  }
+
+  return weights;
+};
+
+/**
+ * Format plates for a profile input (e.g., "45x4, 25x2, 2.5x1")
+ */
+export const formatPlatesInput = (plates) => (
+  Array.isArray(plates) ? plates.map(({ weight, pairs }) => `${weight}x${pairs}`).join(', ') : ''
+);
+
+/**
+ * Parse a plates input ("45x4, 25x2", pairs of each plate) into [{ weight, pairs }]
+ * A plate without a count is one pair. Returns null for malformed input.
+ */
+export const parsePlatesInput = (input) => {
+  const parts = String(input || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const plates = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d+(?:\.\d+)?)(?:\s*[x×]\s*(\d+))?$/i);
+    if (!match) return null;
+    plates.push({ weight: parseFloat(match[1]), pairs: match[2] ? parseInt(match[2], 10) : 1 });
+  }
+
+  return plates;
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPlateBreakdown,
+  roundsToEquipment,
+  roundToEquipment,
+  formatPlates,
+  formatWeightListInput,
+  parseWeightListInput,
+  formatPlatesInput,
+  parsePlatesInput,
+} from './plates';
+import { DEFAULT_EQUIPMENT_PROFILE } from './constants';
+
+// Home gym without 2.5s: a 45 lb and a 15 lb bar, two pairs of 45s, a pair of 25s, 10s and 5s
+const homeGym = {
+  bar_weights: [45, 15],
+  plates: [
+    { weight: 45, pairs: 2 },
+    { weight: 25, pairs: 1 },
+    { weight: 10, pairs: 1 },
+    { weight: 5, pairs: 1 },
+  ],
+  dumbbells: [10, 15, 20, 25, 30, 35, 40, 45, 50],
+  cable_increment: 7.5,
+  cable_max: 150,
+};
+
+describe('getPlateBreakdown', () => {
+  it('loads a standard gym heaviest plates first', () => {
+    expect(getPlateBreakdown(230)).toEqual({ weight: 230, bar: 45, plates: [45, 45, 2.5], exact: true });
+    expect(getPlateBreakdown('45')).toEqual({ weight: 45, bar: 45, plates: [], exact: true });
+  });
+
+  it('uses the fewest plates, heaviest first', () => {
+    expect(getPlateBreakdown(185).plates).toEqual([45, 25]);
+    expect(getPlateBreakdown(115, { ...DEFAULT_EQUIPMENT_PROFILE, plates: [{ weight: 25, pairs: 2 }, { weight: 10, pairs: 4 }] }).plates)
+      .toEqual([25, 10]);
+  });
+
+  it('falls back to the nearest load the plates can build', () => {
+    expect(getPlateBreakdown(227.5, homeGym)).toEqual({ weight: 225, bar: 45, plates: [45, 45], exact: false });
+    // Out of plates: the heaviest load available
+    expect(getPlateBreakdown(405, homeGym).weight).toBe(305);
+  });
+
+  it('switches to a lighter bar below the default bar', () => {
+    expect(getPlateBreakdown(35, homeGym)).toEqual({ weight: 35, bar: 15, plates: [10], exact: true });
+    expect(getPlateBreakdown(0, homeGym)).toBeNull();
+  });
+});
+
+describe('roundToEquipment', () => {
+  it('rounds barbell, dumbbell and cable weights to the profile', () => {
+    expect(roundToEquipment(227.5, 'barbell', homeGym)).toBe(225);
+    expect(roundToEquipment(52.5, 'dumbbell', homeGym)).toBe(50);
+    expect(roundToEquipment(17.5, 'dumbbell', homeGym)).toBe(15);
+    expect(roundToEquipment(40, 'cable', homeGym)).toBe(37.5);
+    expect(roundToEquipment(200, 'cable', homeGym)).toBe(150);
+  });
+
+  it('keeps weights it cannot round', () => {
+    expect(roundsToEquipment('machine')).toBe(false);
+    expect(roundToEquipment(92.5, 'machine', homeGym)).toBe(92.5);
+    expect(roundToEquipment('', 'barbell', homeGym)).toBe('');
+    expect(roundToEquipment(22, 'dumbbell', { ...homeGym, dumbbells: [] })).toBe(22);
+  });
+});
+
+describe('formatPlates', () => {
+  it('groups one side of the bar', () => {
+    expect(formatPlates(getPlateBreakdown(230))).toBe('2×45 + 2.5');
+    expect(formatPlates(getPlateBreakdown(45))).toBe('Empty bar');
+    expect(formatPlates(null)).toBe('');
+  });
+});
+
+describe('profile inputs', () => {
+  it('parses weights with ranges', () => {
+    expect(parseWeightListInput('45, 15')).toEqual([45, 15]);
+    expect(parseWeightListInput('5-20/5, 22.5')).toEqual([5, 10, 15, 20, 22.5]);
+    expect(parseWeightListInput('')).toEqual([]);
+    expect(parseWeightListInput('heavy')).toBeNull();
+    expect(formatWeightListInput([45, 15])).toBe('45, 15');
+  });
+
+  it('parses plate pairs', () => {
+    expect(parsePlatesInput('45x4, 25 × 2, 10')).toEqual([
+      { weight: 45, pairs: 4 },
+      { weight: 25, pairs: 2 },
+      { weight: 10, pairs: 1 },
+    ]);
+    expect(parsePlatesInput('')).toBeNull();
+    expect(parsePlatesInput('45 plates')).toBeNull();
+    expect(formatPlatesInput(homeGym.plates)).toBe('45x2, 25x1, 10x1, 5x1');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Recap Utilities
+ *
+ * CLIENT-SIDE ONLY - Titles, highlight tiles and the shareable image for monthly and yearly
+ * recaps (GET /api/stats/recap). The image is drawn on a canvas, no DOM capture needed.
+ */
+
+import { format, parseISO } from 'date-fns';
+import { formatDate, formatMuscleGroups, formatVolume, formatWeight } from './formatters';
+
+/**
+ * Share image size (4:5 portrait, fits social feeds and phone screens)
+ */
+export const RECAP_IMAGE_WIDTH = 1080;
+export const RECAP_IMAGE_HEIGHT = 1350;
+
+/**
+ * Recap title: 'June 2024' or '2024 in Review'
+ *
+ * @param {Object} recap - { period, key }
+ * @returns {string} Title
+ */
+export const getRecapTitle = (recap) => {
+  if (recap.period === 'month') {
+    return format(parseISO(`${recap.key}-01`), 'MMMM yyyy');
+  }
+  return `${recap.key} in Review`;
+};
+
+/**
+ * The month or year before or after a recap key
+ *
+ * @param {string} period - 'month' | 'year'
+ * @param {string} key - 'YYYY-MM' or 'YYYY'
+ * @param {number} delta - Periods to move (-1 = previous)
+ * @returns {string} Recap key
+ */
+export const shiftRecapKey = (period, key, delta) => {
+  if (period === 'year') {
+    return String(Number(key) + delta);
+  }
+
+  const [year, month] = key.split('-').map(Number);
+  const index = year * 12 + (month - 1) + delta;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Headline numbers shown on the recap screen and image
+ *
+ * @param {Object} recap - Recap from the API
+ * @returns {Array<Object>} [{ label, value }]
+ */
+export const getRecapHighlights = (recap) => {
+  const streakDays = recap.longest_streak.days;
+  const streakWeeks = recap.longest_streak.weeks;
+
+  return [
+    { label: 'Workouts', value: String(recap.total_workouts) },
+    { label: 'Hours trained', value: String(recap.hours_trained) },
+    { label: 'Tonnage', value: formatVolume(recap.total_volume) },
+    { label: 'PRs', value: String(recap.prs.count) },
+    {
+      label: 'Longest streak',
+      value: recap.period === 'year' && streakWeeks > 1
+        ? `${streakWeeks} weeks`
+        : `${streakDays} ${streakDays === 1 ? 'day' : 'days'}`,
+    },
+    {
+      label: 'Best week',
+      value: recap.best_week ? formatVolume(recap.best_week.total_volume) : '-',
+    },
+  ];
+};
+
+/**
+ * One line per PR jump: 'Bench Press 5RM: 200 lbs → 215 lbs (+15)'
+ *
+ * @param {Object} jump - { exercise_name, rep_range, from_weight, weight, jump }
+ * @returns {string} Description
+ */
+export const formatPRJump = (jump) =>
+  `${jump.exercise_name} ${jump.rep_range}: ${formatWeight(jump.from_weight)} → ${formatWeight(jump.weight)} (+${jump.jump})`;
+
+/**
+ * Read a theme color from the CSS variables, with a fallback outside the browser
+ */
+const getThemeColor = (name, fallback) => {
+  const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+  return value || fallback;
+};
+
+/**
+ * Draw a recap as a share image
+ *
+ * @param {Object} recap - Recap from the API
+ * @returns {Promise<Blob>} PNG image
+ */
+export const createRecapImage = (recap) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = RECAP_IMAGE_WIDTH;
+  canvas.height = RECAP_IMAGE_HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  const colors = {
+    bg: getThemeColor('--bg', '#F8F6F1'),
+    surface: getThemeColor('--surface', '#FFFEF9'),
+    text: getThemeColor('--text', '#3E2723'),
+    muted: getThemeColor('--text-muted', '#6D4C41'),
+    accent: getThemeColor('--accent', '#6B8E6B'),
+  };
+  const font = getThemeColor('--font-display', 'system-ui, sans-serif');
+  const padding = 80;
+
+  ctx.fillStyle = colors.bg;
+  ctx.fillRect(0, 0, RECAP_IMAGE_WIDTH, RECAP_IMAGE_HEIGHT);
+  ctx.fillStyle = colors.accent;
+  ctx.fillRect(0, 0, RECAP_IMAGE_WIDTH, 16);
+
+  // Title and dates
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = colors.text;
+  ctx.font = `700 72px ${font}`;
+  ctx.fillText(getRecapTitle(recap), padding, 90);
+  ctx.fillStyle = colors.muted;
+  ctx.font = `400 32px ${font}`;
+  ctx.fillText(`${formatDate(recap.start)} - ${formatDate(recap.end)}${recap.in_progress ? ' (so far)' : ''}`, padding, 180);
+
+  // Highlight tiles, 2 columns x 3 rows
+  const tileGap = 24;
+  const tileWidth = (RECAP_IMAGE_WIDTH - padding * 2 - tileGap) / 2;
+  const tileHeight = 140;
+  getRecapHighlights(recap).forEach(({ label, value }, i) => {
+    const x = padding + (i % 2) * (tileWidth + tileGap);
+    const y = 260 + Math.floor(i / 2) * (tileHeight + tileGap);
+
+    ctx.fillStyle = colors.surface;
+    ctx.beginPath();
+    ctx.roundRect(x, y, tileWidth, tileHeight, 20);
+    ctx.fill();
+
+    ctx.fillStyle = colors.muted;
+    ctx.font = `500 26px ${font}`;
+    ctx.fillText(label.toUpperCase(), x + 32, y + 30);
+    ctx.fillStyle = colors.text;
+    ctx.font = `700 54px ${font}`;
+    ctx.fillText(value, x + 32, y + 70, tileWidth - 64);
+  });
+
+  // Top lifts and muscles, then the biggest PR jumps
+  const lines = [];
+  if (recap.top_exercises.length > 0) {
+    lines.push(['Top lifts', recap.top_exercises.slice(0, 3).map(exercise => exercise.exercise_name).join(', ')]);
+  }
+  if (recap.top_muscles.length > 0) {
+    lines.push(['Most trained', formatMuscleGroups(recap.top_muscles.slice(0, 3).map(muscle => muscle.muscle))]);
+  }
+  recap.prs.biggest_jumps.forEach(jump => lines.push(['PR', formatPRJump(jump)]));
+
+  let y = 260 + 3 * (tileHeight + tileGap) + 30;
+  lines.forEach(([label, text]) => {
+    ctx.fillStyle = colors.accent;
+    ctx.font = `600 28px ${font}`;
+    ctx.fillText(label.toUpperCase(), padding, y);
+    ctx.fillStyle = colors.text;
+    ctx.font = `500 34px ${font}`;
+    ctx.fillText(text, padding, y + 36, RECAP_IMAGE_WIDTH - padding * 2);
+    y += 80;
+  });
+
+  ctx.fillStyle = colors.muted;
+  ctx.font = `600 30px ${font}`;
+  ctx.fillText('GymBrAIn', padding, RECAP_IMAGE_HEIGHT - padding - 30);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to create recap image'))), 'image/png');
+  });
+};
+
+/**
+ * Share a recap image with the system share sheet, or download it where files can't be shared
+ *
+ * @param {Blob} blob - PNG image
+ * @param {string} title - Recap title (also names the file)
+ * @returns {Promise<string>} 'shared' or 'downloaded'
+ */
+export const shareRecapImage = async (blob, title) => {
+  const filename = `gymbrain-recap-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.png`;
+  const file = new File([blob], filename, { type: 'image/png' });
+
+  if (navigator.canShare?.({ files: [file] })) {
+    await navigator.share({ files: [file], title: `My ${title} recap` });
+    return 'shared';
+  }
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  return 'downloaded';
+};
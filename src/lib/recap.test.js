@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getRecapTitle, shiftRecapKey, getRecapHighlights, formatPRJump } from './recap';
+
+const recap = (overrides = {}) => ({
+  period: 'month',
+  key: '2024-06',
+  total_workouts: 14,
+  hours_trained: 15.5,
+  total_volume: 182450,
+  prs: { count: 6, first_records: 2, biggest_jumps: [] },
+  longest_streak: { days: 3, weeks: 4, workouts_per_week: 3 },
+  best_week: { week_start: '2024-06-10', total_volume: 52000 },
+  ...overrides,
+});
+
+describe('getRecapTitle', () => {
+  it('names the month or year', () => {
+    expect(getRecapTitle(recap())).toBe('June 2024');
+    expect(getRecapTitle(recap({ period: 'year', key: '2024' }))).toBe('2024 in Review');
+  });
+});
+
+describe('shiftRecapKey', () => {
+  it('moves between months across year boundaries', () => {
+    expect(shiftRecapKey('month', '2024-01', -1)).toBe('2023-12');
+    expect(shiftRecapKey('month', '2024-12', 1)).toBe('2025-01');
+    expect(shiftRecapKey('month', '2024-06', 1)).toBe('2024-07');
+  });
+
+  it('moves between years', () => {
+    expect(shiftRecapKey('year', '2024', -1)).toBe('2023');
+  });
+});
+
+describe('getRecapHighlights', () => {
+  it('lists the headline numbers', () => {
+    expect(getRecapHighlights(recap())).toEqual([
+      { label: 'Workouts', value: '14' },
+      { label: 'Hours trained', value: '15.5' },
+      { label: 'Tonnage', value: '182,450 lbs' },
+      { label: 'PRs', value: '6' },
+      { label: 'Longest streak', value: '3 days' },
+      { label: 'Best week', value: '52,000 lbs' },
+    ]);
+  });
+
+  it('shows the week streak for a year and handles an empty period', () => {
+    const highlights = getRecapHighlights(recap({ period: 'year', key: '2024', best_week: null }));
+    expect(highlights[4].value).toBe('4 weeks');
+    expect(highlights[5].value).toBe('-');
+  });
+});
+
+describe('formatPRJump', () => {
+  it('describes the jump', () => {
+    expect(formatPRJump({ exercise_name: 'Bench Press', rep_range: '5RM', from_weight: 200, weight: 215, jump: 15 }))
+      .toBe('Bench Press 5RM: 200 lbs → 215 lbs (+15)');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Set Type Utilities
+ *
+ * CLIENT-SIDE ONLY - Drop sets, rest-pause, myo-reps, cluster sets, AMRAP and sets to failure.
+ * Mini sets of the first four live in set.sub_sets ({ weight, reps }) and are synced as sub-sets
+ * of the set: they add volume but are not sets of their own for set counts and PRs.
+ */
+
+import { SET_TYPES, DROP_SET_WEIGHT_RATIO } from './constants';
+
+/**
+ * Set type option for a value (standard for missing or unknown types)
+ *
+ * @param {string} setType - Set type value
+ * @returns {Object} { value, label, short, takesSubSets, subSetLabel }
+ */
+export const getSetTypeOption = (setType) =>
+  SET_TYPES.find(type => type.value === setType) || SET_TYPES[0];
+
+/**
+ * Whether a set type logs mini sets after the first set
+ */
+export const takesSubSets = (setType) => getSetTypeOption(setType).takesSubSets;
+
+/**
+ * Next mini set, prefilled from the previous one (or the set itself): drops are 20% lighter,
+ * rounded to 5 lbs or to a load the equipment can build, the other types keep the weight.
+ * Reps are left to log.
+ *
+ * @param {string} setType - Set type
+ * @param {number|null} weight - Weight of the set or previous mini set
+ * @param {Function} [roundLoad] - Rounds the drop weight (default: nearest 5 lbs)
+ * @returns {Object} { weight, reps }
+ */
+export const createSubSet = (setType, weight, roundLoad = (load) => Math.round(load / 5) * 5) => {
+  if (!weight) return { weight: null, reps: null };
+  if (setType !== 'drop') return { weight, reps: null };
+  return { weight: Math.max(roundLoad(weight * DROP_SET_WEIGHT_RATIO), 0), reps: null };
+};
+
+/**
+ * Reps of a set and its mini sets: '8' or '8 + 6 + 5'
+ *
+ * @param {Object} set - Set with reps and sub_sets
+ * @returns {string} Reps label
+ */
+export const formatSetReps = (set) =>
+  [set.reps, ...(set.sub_sets || []).map(subSet => subSet.reps)]
+    .map(reps => reps ?? '—')
+    .join(' + ');
+
+/**
+ * Mini sets in one line: '185 × 6, 135 × 8' ('× 5' without a weight)
+ *
+ * @param {Array<Object>} subSets - Mini sets { weight, reps }
+ * @returns {string} Summary
+ */
+export const formatSubSets = (subSets) =>
+  (subSets || [])
+    .map(subSet => `${subSet.weight ? `${subSet.weight} ` : ''}× ${subSet.reps ?? '—'}`)
+    .join(', ');
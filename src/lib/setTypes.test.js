@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getSetTypeOption,
+  takesSubSets,
+  createSubSet,
+  formatSetReps,
+  formatSubSets,
+} from './setTypes';
+
+describe('getSetTypeOption and takesSubSets', () => {
+  it('falls back to a standard set', () => {
+    expect(getSetTypeOption('rest_pause').short).toBe('RP');
+    expect(getSetTypeOption(undefined).value).toBe('standard');
+    expect(takesSubSets('cluster')).toBe(true);
+    expect(takesSubSets('amrap')).toBe(false);
+  });
+});
+
+describe('createSubSet', () => {
+  it('drops 20% to the nearest 5 lbs and keeps the weight otherwise', () => {
+    expect(createSubSet('drop', 225)).toEqual({ weight: 180, reps: null });
+    expect(createSubSet('drop', 32.5)).toEqual({ weight: 25, reps: null });
+    expect(createSubSet('myo_rep', 100)).toEqual({ weight: 100, reps: null });
+    expect(createSubSet('drop', null)).toEqual({ weight: null, reps: null });
+  });
+
+  it('rounds drops with the equipment when given', () => {
+    expect(createSubSet('drop', 50, (load) => Math.round(load / 2.5) * 2.5)).toEqual({ weight: 40, reps: null });
+    expect(createSubSet('drop', 45, (load) => Math.round(load / 7.5) * 7.5)).toEqual({ weight: 37.5, reps: null });
+  });
+});
+
+describe('formatSetReps and formatSubSets', () => {
+  it('lists the reps and weights of mini sets', () => {
+    const set = { weight: 225, reps: 8, sub_sets: [{ weight: 185, reps: 6 }, { weight: null, reps: 5 }] };
+    expect(formatSetReps(set)).toBe('8 + 6 + 5');
+    expect(formatSetReps({ reps: 10 })).toBe('10');
+    expect(formatSubSets(set.sub_sets)).toBe('185 × 6, × 5');
+  });
+});
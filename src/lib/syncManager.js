@@ -7,6 +7,7 @@
 import { syncQueueDB, workoutDB, draftDB } from './indexedDB';
 import { SYNC_CONFIG } from './constants';
 import apiClient from './api';
+import { collectSyncedPRs } from './formatters';
 
 /**
  * Process all items in the sync queue
@@ -17,7 +18,7 @@ export const processSyncQueue = async () => {
 
   if (!queue || queue.length === 0) {
     console.log('[SyncManager] Queue is empty');
-    return { success: 0, failed: 0, errors: [] };
+    return { success: 0, failed: 0, errors: [], prs: [] };
   }
 
   console.log(`[SyncManager] Processing ${queue.length} items`);
@@ -30,6 +31,7 @@ export const processSyncQueue = async () => {
   let successCount = 0;
   let failedCount = 0;
   const errors = [];
+  const prs = []; // PRs hit by workouts synced from the queue
 
   for (const item of sortedQueue) {
     console.log(`[SyncManager] Processing item ${item.id}: ${item.operation} for workout ${item.payload.id}`);
@@ -47,7 +49,8 @@ export const processSyncQueue = async () => {
     }
 
     try {
-      await processQueueItem(item);
+      const itemPRs = await processQueueItem(item);
+      if (itemPRs) prs.push(...itemPRs);
       console.log(`[SyncManager] Item ${item.id} synced successfully`);
       successCount++;
 
@@ -81,13 +84,16 @@ export const processSyncQueue = async () => {
   }
 
   console.log(`[SyncManager] Sync complete: ${successCount} success, ${failedCount} failed`);
-  return { success: successCount, failed: failedCount, errors };
+  return { success: successCount, failed: failedCount, errors, prs };
 };
 
 /**
  * Process a single queue item based on operation type
+ * Returns PRs hit for SYNC_WORKOUTS items (undefined otherwise)
  */
 const processQueueItem = async (item) => {
+  let prs;
+
   switch (item.operation) {
     case 'CREATE_WORKOUT':
       await syncCreateWorkout(item);
@@ -99,7 +105,7 @@ const processQueueItem = async (item) => {
       await syncDeleteWorkout(item);
       break;
     case 'SYNC_WORKOUTS':
-      await syncWorkoutsOperation(item);
+      prs = await syncWorkoutsOperation(item);
       break;
     default:
       throw new Error(`Unknown operation: ${item.operation}`);
@@ -107,6 +113,8 @@ const processQueueItem = async (item) => {
 
   // Remove from queue on success
   await syncQueueDB.delete(item.id);
+
+  return prs;
 };
 
 /**
@@ -227,6 +235,7 @@ const syncDeleteWorkout = async (item) => {
 
 /**
  * Sync completed workouts using the sync endpoint
+ * Returns PRs the server detected in the synced workouts
  */
 const syncWorkoutsOperation = async (item) => {
   const { payload } = item;
@@ -266,6 +275,8 @@ const syncWorkoutsOperation = async (item) => {
         console.log('[SyncManager] Deleted draft:', draftId);
       }
     }
+
+    return collectSyncedPRs(response.data);
   } catch (error) {
     console.error('[SyncManager] Sync workouts failed:', error);
     throw error;
@@ -56,7 +56,7 @@ beforeEach(() => {
 describe('processSyncQueue', () => {
   it('returns zeros for empty queue', async () => {
     const result = await processSyncQueue();
-    expect(result).toEqual({ success: 0, failed: 0, errors: [] });
+    expect(result).toEqual({ success: 0, failed: 0, errors: [], prs: [] });
   });
 
   it('processes items in FIFO order by timestamp', async () => {
@@ -188,6 +188,28 @@ describe('processSyncQueue', () => {
 
     expect(draftDB.delete).toHaveBeenCalledWith('draft-1');
   });
+
+  it('returns PRs reported by SYNC_WORKOUTS', async () => {
+    syncQueueDB.getAll.mockResolvedValue([
+      {
+        id: 1,
+        operation: 'SYNC_WORKOUTS',
+        payload: { completedWorkouts: [{ id: 'w1', name: 'Push Day' }], deleteDraftIds: ['w1'] },
+        timestamp: '2026-02-01',
+        retry_count: 0,
+      },
+    ]);
+
+    const benchPR = { exercise_name: 'Bench Press', rep_range: '5RM', previous_weight: 215, weight: 225, reps: 5 };
+    apiClient.post.mockResolvedValue({
+      data: { success: true, syncedWorkouts: [{ clientId: 'w1', serverId: 'w1', prs: [benchPR] }] },
+    });
+
+    const result = await processSyncQueue();
+
+    expect(result.success).toBe(1);
+    expect(result.prs).toEqual([benchPR]);
+  });
 });
 
 describe('queueOperation', () => {
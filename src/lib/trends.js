@@ -0,0 +1,131 @@
+/**
+ * Progress Trend Utilities
+ *
+ * CLIENT-SIDE ONLY - Moving averages, trendlines and goal projections for the
+ * Progress exercise charts (one point per training day: { date, max_weight, ... })
+ */
+
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { MOVING_AVERAGE_SESSIONS, MAX_PROJECTION_DAYS } from './constants';
+
+/**
+ * Fewest points a trendline is fitted to
+ */
+export const MIN_TREND_POINTS = 3;
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+/**
+ * Trailing moving average over the last `window` sessions with a value
+ * Points without a value stay null
+ */
+export const calculateMovingAverage = (values, window = MOVING_AVERAGE_SESSIONS) => {
+  const recent = [];
+
+  return values.map(value => {
+    if (!hasValue(value)) return null;
+
+    recent.push(value);
+    if (recent.length > window) recent.shift();
+
+    const average = recent.reduce((sum, v) => sum + v, 0) / recent.length;
+    return Math.round(average * 10) / 10;
+  });
+};
+
+/**
+ * Least-squares trendline of `key` over time (x = days since the first point)
+ * linear: y = a + b * x; logarithmic: y = a + b * ln(x + 1), flattening out over time
+ *
+ * @returns {Object|null} { model, intercept, slope, start, predict(date) }, or null with too few points
+ */
+export const fitTrendline = (points, key, model = 'linear') => {
+  if (points.length === 0) return null;
+
+  const start = parseISO(points[0].date);
+  const transform = model === 'logarithmic' ? (x) => Math.log(x + 1) : (x) => x;
+  const samples = points
+    .filter(point => hasValue(point[key]))
+    .map(point => ({ x: transform(differenceInCalendarDays(parseISO(point.date), start)), y: point[key] }));
+
+  if (samples.length < MIN_TREND_POINTS) return null;
+
+  const n = samples.length;
+  const meanX = samples.reduce((sum, s) => sum + s.x, 0) / n;
+  const meanY = samples.reduce((sum, s) => sum + s.y, 0) / n;
+  const sxx = samples.reduce((sum, s) => sum + (s.x - meanX) ** 2, 0);
+  if (sxx === 0) return null;
+
+  const slope = samples.reduce((sum, s) => sum + (s.x - meanX) * (s.y - meanY), 0) / sxx;
+  const intercept = meanY - slope * meanX;
+
+  return {
+    model,
+    intercept,
+    slope,
+    start: points[0].date,
+    predict: (date) => intercept + slope * transform(differenceInCalendarDays(parseISO(date), start))
+  };
+};
+
+/**
+ * Add moving average (`<key>_avg`) and trendline (`<key>_trend`) values to chart points
+ *
+ * @param {Array<Object>} points - Progress entries, oldest first
+ * @param {Array<string>} keys - Series to overlay (e.g. ['max_weight', 'estimated_1rm'])
+ * @param {Object} options - { average: boolean, trendModel: 'off' | 'linear' | 'logarithmic' }
+ * @returns {Array<Object>} New points with the overlay values
+ */
+export const addTrendOverlays = (points, keys, { average = false, trendModel = 'off' } = {}) => {
+  const data = points.map(point => ({ ...point }));
+
+  for (const key of keys) {
+    if (average) {
+      calculateMovingAverage(points.map(point => point[key])).forEach((value, i) => {
+        data[i][`${key}_avg`] = value;
+      });
+    }
+
+    const trendline = trendModel !== 'off' ? fitTrendline(points, key, trendModel) : null;
+    if (trendline) {
+      data.forEach(point => {
+        point[`${key}_trend`] = Math.round(trendline.predict(point.date) * 10) / 10;
+      });
+    }
+  }
+
+  return data;
+};
+
+/**
+ * When the trend of `key` reaches a target ("at this rate, when will I bench 225?")
+ *
+ * @returns {Object} { status, date?, days? }
+ *   status: 'reached' (best so far is at or above target), 'projected' (date, days from the last session),
+ *   'not_improving' (flat or falling trend), 'out_of_reach' (beyond MAX_PROJECTION_DAYS), 'insufficient_data'
+ */
+export const projectTargetDate = (points, key, target, model = 'linear') => {
+  const values = points.map(point => point[key]).filter(hasValue);
+  if (values.length > 0 && Math.max(...values) >= target) {
+    return { status: 'reached' };
+  }
+
+  const trendline = fitTrendline(points, key, model);
+  if (!trendline) return { status: 'insufficient_data' };
+  if (trendline.slope <= 0) return { status: 'not_improving' };
+
+  // Invert the trendline for the day the target is hit
+  const y = (target - trendline.intercept) / trendline.slope;
+  const dayIndex = Math.ceil(model === 'logarithmic' ? Math.exp(y) - 1 : y);
+
+  // A trend already past the target (with no session at it yet) is due now: 0 days out
+  const lastIndex = differenceInCalendarDays(parseISO(points[points.length - 1].date), parseISO(trendline.start));
+  const days = Math.max(dayIndex - lastIndex, 0);
+  if (days > MAX_PROJECTION_DAYS) return { status: 'out_of_reach' };
+
+  return {
+    status: 'projected',
+    date: format(addDays(parseISO(trendline.start), lastIndex + days), 'yyyy-MM-dd'),
+    days
+  };
+};
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateMovingAverage,
+  fitTrendline,
+  addTrendOverlays,
+  projectTargetDate,
+} from './trends';
+
+// One point per week, estimated 1RM climbing 5 lbs a week from 200
+const weekly = (count, step = 5) => Array.from({ length: count }, (_, i) => ({
+  date: `2024-01-${String(1 + i * 7).padStart(2, '0')}`,
+  estimated_1rm: 200 + i * step,
+}));
+
+describe('calculateMovingAverage', () => {
+  it('averages the trailing window of sessions', () => {
+    expect(calculateMovingAverage([100, 110, 120, 130], 3)).toEqual([100, 105, 110, 120]);
+  });
+
+  it('skips sessions without a value', () => {
+    expect(calculateMovingAverage([100, null, 110], 2)).toEqual([100, null, 105]);
+  });
+});
+
+describe('fitTrendline', () => {
+  it('fits a linear trend per day', () => {
+    const trendline = fitTrendline(weekly(4), 'estimated_1rm');
+    expect(trendline.slope).toBeCloseTo(5 / 7, 6);
+    expect(trendline.predict('2024-01-29')).toBeCloseTo(220, 6);
+  });
+
+  it('fits a logarithmic trend that flattens out', () => {
+    const points = [0, 1, 3, 7, 15].map(day => ({
+      date: `2024-01-${String(day + 1).padStart(2, '0')}`,
+      estimated_1rm: 200 + 10 * Math.log(day + 1),
+    }));
+    const trendline = fitTrendline(points, 'estimated_1rm', 'logarithmic');
+    expect(trendline.slope).toBeCloseTo(10, 6);
+    expect(trendline.intercept).toBeCloseTo(200, 6);
+  });
+
+  it('needs at least three points on different days', () => {
+    expect(fitTrendline(weekly(2), 'estimated_1rm')).toBeNull();
+    expect(fitTrendline([], 'estimated_1rm')).toBeNull();
+  });
+});
+
+describe('addTrendOverlays', () => {
+  it('adds average and trend values without changing the points', () => {
+    const points = weekly(3);
+    const data = addTrendOverlays(points, ['estimated_1rm'], { average: true, trendModel: 'linear' });
+
+    expect(data.map(point => point.estimated_1rm_avg)).toEqual([200, 202.5, 205]);
+    expect(data.map(point => point.estimated_1rm_trend)).toEqual([200, 205, 210]);
+    expect(points[0]).not.toHaveProperty('estimated_1rm_avg');
+  });
+
+  it('adds nothing when overlays are off', () => {
+    expect(addTrendOverlays(weekly(3), ['estimated_1rm'])).toEqual(weekly(3));
+  });
+});
+
+describe('projectTargetDate', () => {
+  it('projects when the trend reaches the target', () => {
+    // Last point 215 on Jan 22, +5 lbs/week: 225 two weeks later
+    expect(projectTargetDate(weekly(4), 'estimated_1rm', 225)).toEqual({
+      status: 'projected',
+      date: '2024-02-05',
+      days: 14,
+    });
+  });
+
+  it('reports targets already reached', () => {
+    expect(projectTargetDate(weekly(4), 'estimated_1rm', 215)).toEqual({ status: 'reached' });
+  });
+
+  it('reports flat trends and far-off targets', () => {
+    expect(projectTargetDate(weekly(4, 0), 'estimated_1rm', 225)).toEqual({ status: 'not_improving' });
+    expect(projectTargetDate(weekly(4, 0.05), 'estimated_1rm', 500)).toEqual({ status: 'out_of_reach' });
+    expect(projectTargetDate(weekly(2), 'estimated_1rm', 225)).toEqual({ status: 'insufficient_data' });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unilateral Set Utilities
+ *
+ * CLIENT-SIDE ONLY - Sets of unilateral exercises (one arm or leg at a time) log each side in
+ * set.left_weight/left_reps and set.right_weight/right_reps. The set's own weight and reps are
+ * the weaker side, the set both sides achieved (mirrors api/_lib/calculations/unilateralCalculator.js).
+ */
+
+import { SIDES } from './constants';
+
+/**
+ * Whether a set has both sides logged
+ *
+ * @param {Object} set - Set
+ * @returns {boolean} True for a unilateral set
+ */
+export const hasSides = (set) => set?.left_reps !== null && set?.left_reps !== undefined;
+
+/**
+ * Sides of a set, each { side, short, weight, reps }
+ *
+ * @param {Object} set - Set with left_/right_ weight and reps
+ * @returns {Array<Object>|null} [left, right], or null for a set without sides
+ */
+export const getSetSides = (set) => {
+  if (!hasSides(set)) return null;
+
+  return SIDES.map(side => ({
+    side: side.value,
+    short: side.short,
+    weight: set[`${side.value}_weight`] ?? null,
+    reps: set[`${side.value}_reps`] ?? null,
+  }));
+};
+
+/**
+ * Weaker side of a set: fewer reps, then the lighter weight
+ *
+ * @param {Object} left - { weight, reps }
+ * @param {Object} right - { weight, reps }
+ * @returns {string|null} 'left', 'right' or null when both sides match
+ */
+export const getWeakerSide = (left, right) => {
+  if (left.reps !== right.reps) return left.reps < right.reps ? 'left' : 'right';
+
+  const leftWeight = parseFloat(left.weight) || 0;
+  const rightWeight = parseFloat(right.weight) || 0;
+  if (leftWeight !== rightWeight) return leftWeight < rightWeight ? 'left' : 'right';
+
+  return null;
+};
+
+/**
+ * Build a set's fields from its two sides, with the weaker side as weight and reps
+ *
+ * @param {Object} left - { weight, reps }
+ * @param {Object} right - { weight, reps }
+ * @returns {Object} { weight, reps, left_weight, left_reps, right_weight, right_reps }
+ */
+export const combineSides = (left, right) => {
+  const weaker = getWeakerSide(left, right) === 'right' ? right : left;
+
+  return {
+    weight: weaker.weight,
+    reps: weaker.reps,
+    left_weight: left.weight,
+    left_reps: left.reps,
+    right_weight: right.weight,
+    right_reps: right.reps,
+  };
+};
+
+/**
+ * Both sides in one line: 'L 50 × 10 · R 50 × 8' ('L × 10' without a weight)
+ *
+ * @param {Object} set - Set with sides
+ * @returns {string} Summary, '' for a set without sides
+ */
+export const formatSides = (set) =>
+  (getSetSides(set) || [])
+    .map(side => `${side.short} ${side.weight ? `${side.weight} ` : ''}× ${side.reps ?? '—'}`)
+    .join(' · ');
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import {
+  hasSides,
+  getSetSides,
+  getWeakerSide,
+  combineSides,
+  formatSides,
+} from './unilateral';
+
+const set = { weight: 50, reps: 8, left_weight: 50, left_reps: 10, right_weight: 50, right_reps: 8 };
+
+describe('hasSides and getSetSides', () => {
+  it('reads the left and right of a unilateral set', () => {
+    expect(hasSides(set)).toBe(true);
+    expect(hasSides({ weight: 50, reps: 8, left_reps: null })).toBe(false);
+    expect(getSetSides(set)).toEqual([
+      { side: 'left', short: 'L', weight: 50, reps: 10 },
+      { side: 'right', short: 'R', weight: 50, reps: 8 },
+    ]);
+  });
+});
+
+describe('getWeakerSide and combineSides', () => {
+  it('takes the side with fewer reps, then the lighter weight, as the set', () => {
+    expect(getWeakerSide({ weight: 50, reps: 10 }, { weight: 50, reps: 8 })).toBe('right');
+    expect(getWeakerSide({ weight: 45, reps: 8 }, { weight: 50, reps: 8 })).toBe('left');
+    expect(getWeakerSide({ weight: 50, reps: 8 }, { weight: 50, reps: 8 })).toBeNull();
+    expect(combineSides({ weight: 50, reps: 10 }, { weight: 50, reps: 8 })).toEqual(set);
+  });
+});
+
+describe('formatSides', () => {
+  it('lists both sides', () => {
+    expect(formatSides(set)).toBe('L 50 × 10 · R 50 × 8');
+    expect(formatSides({ left_weight: null, left_reps: 6, right_weight: null, right_reps: 5 })).toBe('L × 6 · R × 5');
+    expect(formatSides({ reps: 8 })).toBe('');
+  });
+});
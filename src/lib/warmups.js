@@ -0,0 +1,141 @@
+/**
+ * Warm-up Utilities
+ *
+ * CLIENT-SIDE ONLY - Warm-up ramps to the first working set of an exercise, from the user's
+ * warm-up scheme (settings.warmupScheme: [{ percent, reps }], 0% = the empty bar). Loads are
+ * rounded to the active equipment profile, so each warm-up can be built with the plates at hand.
+ * Logged warm-ups that beat a working-set PR are flagged as suspected mislabelled PRs.
+ */
+
+import { DEFAULT_EQUIPMENT_PROFILE, DEFAULT_WARMUP_SCHEME } from './constants';
+import { roundToEquipment, roundsToEquipment } from './plates';
+
+/**
+ * Lightest load for the equipment: the default bar, the lightest dumbbell or one cable step
+ * (null for machines and bodyweight, which skip a 0% step)
+ */
+const getStartingLoad = (equipment, profile) => {
+  if (equipment === 'barbell') return profile.bar_weights?.[0] ?? null;
+  if (equipment === 'dumbbell') return profile.dumbbells?.[0] ?? null;
+  if (equipment === 'cable') return profile.cable_increment || null;
+  return null;
+};
+
+/**
+ * Warm-up sets ramping to a working weight
+ * Steps that round to the working weight or to the previous step's load are dropped
+ *
+ * @param {number|string} workingWeight - First working set weight in lbs
+ * @param {Object} options - { scheme, equipment, profile }
+ * @returns {Array<Object>} Warm-ups lightest first: { weight, reps }
+ *
+ * @example
+ * generateWarmupSets(225, { equipment: 'barbell' });
+ * // => [{ weight: 45, reps: 10 }, { weight: 90, reps: 5 }, { weight: 135, reps: 3 }, { weight: 180, reps: 1 }]
+ */
+export const generateWarmupSets = (
+  workingWeight,
+  { scheme = DEFAULT_WARMUP_SCHEME, equipment, profile = DEFAULT_EQUIPMENT_PROFILE } = {}
+) => {
+  const target = parseFloat(workingWeight);
+  if (!(target > 0)) return [];
+
+  // Machines and bodyweight loads have no profile to round to, so use 5 lb steps
+  const roundLoad = roundsToEquipment(equipment)
+    ? (load) => roundToEquipment(load, equipment, profile)
+    : (load) => Math.round(load / 5) * 5;
+  const startingLoad = getStartingLoad(equipment, profile);
+
+  const warmups = [];
+  for (const step of scheme) {
+    const load = step.percent === 0
+      ? startingLoad
+      : Math.max(roundLoad((target * step.percent) / 100), startingLoad ?? 0);
+
+    const previous = warmups[warmups.length - 1];
+    if (!(load > 0) || load >= target || (previous && load <= previous.weight)) continue;
+
+    warmups.push({ weight: load, reps: step.reps });
+  }
+
+  return warmups;
+};
+
+/**
+ * Weight of the first working set to warm up to: planned in this workout, else last session's
+ *
+ * @param {Array<Object>} sets - The exercise's sets in this workout
+ * @param {Array<Object>} previousSets - Working sets from the previous session
+ * @returns {number|null} Weight in lbs, null without one
+ */
+export const getFirstWorkingWeight = (sets = [], previousSets = []) => {
+  const planned = sets.find(set => !set.is_warmup && parseFloat(set.weight) > 0);
+  const previous = previousSets.find(set => parseFloat(set.weight) > 0);
+  return parseFloat((planned || previous)?.weight) || null;
+};
+
+/**
+ * Warm-up sets of this workout that beat a working-set PR (suspected mislabelled PRs)
+ * Mirrors the server's findWarmupPRCandidates: records start from the exercise's PRs and rise
+ * with the working sets logged before each warm-up
+ *
+ * @param {Array<Object>} sets - The exercise's sets in this workout, in order
+ * @param {Object} records - { prs, rep_ranges } from the stats PRs API (prs: { rep_range, max_weight })
+ * @param {Function} getLoad - Effective load of a set in lbs
+ * @returns {Object} Set index -> { rep_range, record_weight }
+ */
+export const findWarmupPRFlags = (sets = [], { prs = [], rep_ranges: repRanges = [] } = {}, getLoad) => {
+  const bestByRange = {};
+  for (const pr of prs) {
+    bestByRange[pr.rep_range] = Math.max(bestByRange[pr.rep_range] ?? 0, parseFloat(pr.max_weight) || 0);
+  }
+
+  const flags = {};
+  sets.forEach((set, index) => {
+    const range = repRanges.find(({ min, max }) => set.reps >= min && set.reps <= max);
+    const load = getLoad(set);
+    if (!set.is_completed || !range || !(load > 0)) return;
+
+    const record = bestByRange[range.name];
+    if (set.is_warmup) {
+      // Only flag when there is a working record to beat
+      if (record !== undefined && load > record) {
+        flags[index] = { rep_range: range.name, record_weight: record };
+      }
+    } else if (record === undefined || load > record) {
+      bestByRange[range.name] = load;
+    }
+  });
+
+  return flags;
+};
+
+/**
+ * Format a scheme for the settings input (e.g., "bar×10, 40%×5, 60%×3, 80%×1")
+ */
+export const formatWarmupSchemeInput = (scheme) => (
+  Array.isArray(scheme)
+    ? scheme.map(({ percent, reps }) => `${percent === 0 ? 'bar' : `${percent}%`}×${reps}`).join(', ')
+    : ''
+);
+
+/**
+ * Parse a scheme input ("bar x 10, 40% x 5") into [{ percent, reps }]
+ * Returns null for malformed input; limits are checked by the server
+ */
+export const parseWarmupSchemeInput = (input) => {
+  const parts = String(input || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const steps = [];
+  for (const part of parts) {
+    const match = part.match(/^(bar|\d+)\s*%?\s*[x×]\s*(\d+)$/i);
+    if (!match) return null;
+    steps.push({
+      percent: match[1].toLowerCase() === 'bar' ? 0 : parseInt(match[1], 10),
+      reps: parseInt(match[2], 10),
+    });
+  }
+
+  return steps;
+};
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateWarmupSets,
+  getFirstWorkingWeight,
+  findWarmupPRFlags,
+  formatWarmupSchemeInput,
+  parseWarmupSchemeInput,
+} from './warmups';
+import { DEFAULT_EQUIPMENT_PROFILE, DEFAULT_WARMUP_SCHEME } from './constants';
+
+// Home gym without 2.5s or 5s, and only two pairs of 10s
+const homeGym = {
+  ...DEFAULT_EQUIPMENT_PROFILE,
+  plates: [{ weight: 45, pairs: 4 }, { weight: 25, pairs: 2 }, { weight: 10, pairs: 2 }],
+  dumbbells: [10, 20, 30, 40, 50],
+};
+
+describe('generateWarmupSets', () => {
+  it('ramps from the empty bar with the default scheme', () => {
+    expect(generateWarmupSets(225, { equipment: 'barbell' })).toEqual([
+      { weight: 45, reps: 10 },
+      { weight: 90, reps: 5 },
+      { weight: 135, reps: 3 },
+      { weight: 180, reps: 1 },
+    ]);
+  });
+
+  it('rounds loads to the plates available', () => {
+    expect(generateWarmupSets(185, { equipment: 'barbell', profile: homeGym })).toEqual([
+      { weight: 45, reps: 10 },
+      { weight: 65, reps: 5 },
+      { weight: 115, reps: 3 },
+      { weight: 145, reps: 1 },
+    ]);
+  });
+
+  it('drops steps that reach the working weight or repeat a load', () => {
+    expect(generateWarmupSets(95, { equipment: 'barbell' })).toEqual([
+      { weight: 45, reps: 10 },
+      { weight: 55, reps: 3 },
+      { weight: 75, reps: 1 },
+    ]);
+    expect(generateWarmupSets(45, { equipment: 'barbell' })).toEqual([]);
+    expect(generateWarmupSets('', { equipment: 'barbell' })).toEqual([]);
+  });
+
+  it('uses the lightest dumbbell, and 5 lb steps without a profile to round to', () => {
+    expect(generateWarmupSets(50, { equipment: 'dumbbell', profile: homeGym })).toEqual([
+      { weight: 10, reps: 10 },
+      { weight: 20, reps: 5 },
+      { weight: 30, reps: 3 },
+      { weight: 40, reps: 1 },
+    ]);
+    expect(generateWarmupSets(180, { equipment: 'machine', scheme: DEFAULT_WARMUP_SCHEME })).toEqual([
+      { weight: 70, reps: 5 },
+      { weight: 110, reps: 3 },
+      { weight: 145, reps: 1 },
+    ]);
+  });
+});
+
+describe('getFirstWorkingWeight', () => {
+  it('prefers a planned working set over the previous session', () => {
+    const previous = [{ weight: '205', reps: 5 }];
+    expect(getFirstWorkingWeight([{ is_warmup: true, weight: 45 }, { weight: 225 }], previous)).toBe(225);
+    expect(getFirstWorkingWeight([{ weight: null }], previous)).toBe(205);
+    expect(getFirstWorkingWeight([], undefined)).toBeNull();
+  });
+});
+
+describe('findWarmupPRFlags', () => {
+  const records = {
+    prs: [{ rep_range: '5RM', max_weight: '225' }],
+    rep_ranges: [{ name: '5RM', min: 4, max: 7 }, { name: '10RM', min: 8, max: 12 }],
+  };
+  const getLoad = (set) => parseFloat(set.weight) || 0;
+
+  it('flags warm-ups heavier than the record for their rep range', () => {
+    const sets = [
+      { weight: 235, reps: 5, is_warmup: true, is_completed: true },
+      { weight: 135, reps: 10, is_warmup: true, is_completed: true },
+      { weight: 245, reps: 5, is_warmup: true, is_completed: false },
+    ];
+    expect(findWarmupPRFlags(sets, records, getLoad)).toEqual({
+      0: { rep_range: '5RM', record_weight: 225 },
+    });
+  });
+
+  it('raises the record with working sets logged earlier in the workout', () => {
+    const sets = [
+      { weight: 240, reps: 5, is_warmup: false, is_completed: true },
+      { weight: 235, reps: 5, is_warmup: true, is_completed: true },
+      { weight: 245, reps: 4, is_warmup: true, is_completed: true },
+    ];
+    expect(findWarmupPRFlags(sets, records, getLoad)).toEqual({
+      2: { rep_range: '5RM', record_weight: 240 },
+    });
+    expect(findWarmupPRFlags(sets, undefined, getLoad)).toEqual({});
+  });
+});
+
+describe('scheme inputs', () => {
+  it('round-trips the settings input', () => {
+    expect(formatWarmupSchemeInput(DEFAULT_WARMUP_SCHEME)).toBe('bar×10, 40%×5, 60%×3, 80%×1');
+    expect(parseWarmupSchemeInput('bar x 10, 40% x 5, 60%×3, 80x1')).toEqual(DEFAULT_WARMUP_SCHEME);
+    expect(parseWarmupSchemeInput('')).toBeNull();
+    expect(parseWarmupSchemeInput('40% for 5')).toBeNull();
+  });
+});
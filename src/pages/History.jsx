@@ -1,14 +1,19 @@
 /**
  * History Page - Workout history
  *
- * Features: Responsive design (cards for mobile, table for desktop), filters, workout details
+ * Features: Responsive design (cards for mobile, table for desktop), filters, workout details,
+ * warm-up PR fix flow (spec 4.5.1), consistency calendar and streaks
  */
 
 import { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
-import { workoutAPI } from '../lib/api';
-import { formatDate, formatDateTime, formatDuration, formatVolume, formatExerciseCount, formatSetCount } from '../lib/formatters';
+import { workoutAPI, progressAPI } from '../lib/api';
+import { formatDate, formatDateTime, formatDuration, formatVolume, formatWeight, formatExerciseCount, formatSetCount, formatDensity, formatRestTimer, formatRestComparison, formatGoal } from '../lib/formatters';
 import { useToast } from '../hooks/useToast';
+import { getExerciseSegments, getSetLabel, formatExerciseGroup } from '../lib/exerciseGroups';
+import { getSetTypeOption, formatSubSets } from '../lib/setTypes';
+import { hasSides, formatSides } from '../lib/unilateral';
+import { FEATURES } from '../lib/constants';
 
 // UI Components
 import Card from '../components/ui/Card';
@@ -17,7 +22,10 @@ import Badge from '../components/ui/Badge';
 import Modal from '../components/ui/Modal';
 import EmptyState from '../components/ui/EmptyState';
 import Input from '../components/ui/Input';
+import SegmentedControl from '../components/ui/SegmentedControl';
 import { SkeletonWorkoutCard } from '../components/ui/Skeleton';
+import TrainingCalendar from '../components/TrainingCalendar';
+import WorkoutComparison from '../components/WorkoutComparison';
 
 // Icons
 import DumbbellIcon from '../icons/DumbbellIcon';
@@ -32,6 +40,7 @@ const History = () => {
   const [loading, setLoading] = useState(true);
   const [selectedWorkout, setSelectedWorkout] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
+  const [detailsMode, setDetailsMode] = useState('details');
   const { success, error: showError } = useToast();
 
   // Reload workouts when navigating to this page
@@ -39,6 +48,14 @@ const History = () => {
     loadWorkouts();
   }, [location]);
 
+  // Finishing a template workout lands here comparing it with the previous session
+  useEffect(() => {
+    const compareWorkoutId = location.state?.compareWorkoutId;
+    if (compareWorkoutId) {
+      handleViewDetails(compareWorkoutId, 'compare');
+    }
+  }, [location]);
+
   const loadWorkouts = async () => {
     setLoading(true);
     try {
@@ -52,10 +69,11 @@ const History = () => {
     }
   };
 
-  const handleViewDetails = async (workoutId) => {
+  const handleViewDetails = async (workoutId, mode = 'details') => {
     try {
       const data = await workoutAPI.getById(workoutId);
       setSelectedWorkout(data.workout);
+      setDetailsMode(mode);
       setShowDetails(true);
     } catch (err) {
       console.error('Failed to load workout details:', err);
@@ -109,6 +127,13 @@ const History = () => {
           />
         )}
 
+        {/* Yearly consistency calendar and streaks */}
+        {FEATURES.frequencyCalendar && !loading && workouts.length > 0 && (
+          <div className="mb-6">
+            <TrainingCalendar />
+          </div>
+        )}
+
         {/* Mobile view - Cards */}
         {!loading && workouts.length > 0 && (
           <div className="lg:hidden space-y-4">
@@ -143,7 +168,13 @@ const History = () => {
         {showDetails && selectedWorkout && (
           <WorkoutDetailsModal
             workout={selectedWorkout}
+            workouts={workouts}
+            initialMode={detailsMode}
             onClose={() => setShowDetails(false)}
+            onWorkoutUpdated={(updated) => {
+              setSelectedWorkout(updated);
+              loadWorkouts();
+            }}
           />
         )}
       </div>
@@ -332,11 +363,78 @@ const WorkoutTableRow = ({ workout, onViewDetails, onDelete }) => {
 /**
  * Workout Details Modal Component
  */
-const WorkoutDetailsModal = ({ workout, onClose }) => {
+const WorkoutDetailsModal = ({ workout, workouts = [], initialMode = 'details', onClose, onWorkoutUpdated }) => {
+  const [mode, setMode] = useState(initialMode);
   const [isEditing, setIsEditing] = useState(false);
   const [editedName, setEditedName] = useState(workout.name || '');
+  const [warmupPRs, setWarmupPRs] = useState({}); // set_id -> suspected mislabelled PR
+  const [reclassifyingSetId, setReclassifyingSetId] = useState(null);
+  const [density, setDensity] = useState(null);
   const { success: showSuccess, error: showError } = useToast();
 
+  // Rest and density from set log times (absent for workouts logged before timestamps)
+  useEffect(() => {
+    const loadDensity = async () => {
+      try {
+        const data = await progressAPI.getWorkoutDensity(workout.id);
+        setDensity(data.density || null);
+      } catch (err) {
+        console.error('Failed to load workout density:', err);
+      }
+    };
+
+    loadDensity();
+  }, [workout.id]);
+
+  const exerciseDensity = Object.fromEntries(
+    (density?.exercises || []).map(exercise => [exercise.workout_exercise_id, exercise])
+  );
+
+  // Warm-up sets in this workout that beat a working-set PR (spec 4.5.1)
+  useEffect(() => {
+    const loadWarmupPRs = async () => {
+      try {
+        const data = await progressAPI.getWarmupPRCandidates(workout.id);
+        const bySetId = {};
+        (data.candidates || []).forEach(candidate => {
+          bySetId[candidate.set_id] = candidate;
+        });
+        setWarmupPRs(bySetId);
+      } catch (err) {
+        // Non-critical (e.g. offline) - details still render without the check
+        console.error('Failed to check warm-up PRs:', err);
+      }
+    };
+
+    loadWarmupPRs();
+  }, [workout.id]);
+
+  const handleConfirmWarmupPR = async (setId) => {
+    setReclassifyingSetId(setId);
+    try {
+      const data = await workoutAPI.updateSet(workout.id, setId, { isWarmup: false });
+      const candidate = warmupPRs[setId];
+
+      setWarmupPRs(prev => {
+        const next = { ...prev };
+        delete next[setId];
+        return next;
+      });
+      showSuccess(`Counted as working set: new ${candidate.rep_range} PR on ${candidate.exercise_name}`);
+      (data.completedGoals || []).forEach(goal => {
+        showSuccess(`Goal reached: ${formatGoal(goal)}`);
+      });
+      onWorkoutUpdated(data.workout);
+    } catch (err) {
+      console.error('Failed to reclassify set:', err);
+      showError('Failed to update set');
+    } finally {
+      setReclassifyingSetId(null);
+    }
+  };
+
+  const warmupPRCount = Object.keys(warmupPRs).length;
+
   const handleSave = async () => {
     if (!editedName.trim()) {
       showError('Workout name cannot be empty');
@@ -410,80 +508,195 @@ const WorkoutDetailsModal = ({ workout, onClose }) => {
           {formatDateTime(workout.completed_at || workout.started_at)}
         </p>
 
-        {/* Summary stats */}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-          <Card variant="standard" padding="sm">
-            <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
-              Duration
-            </div>
-            <div className="text-[18px] font-bold text-text font-display">
-              {formatDuration(workout.duration_seconds)}
-            </div>
-          </Card>
-          <Card variant="standard" padding="sm">
-            <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
-              Volume
-            </div>
-            <div className="text-[18px] font-bold text-text font-display">
-              {formatVolume(workout.total_volume)}
-            </div>
-          </Card>
-          <Card variant="standard" padding="sm">
-            <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
-              Exercises
-            </div>
-            <div className="text-[18px] font-bold text-text font-display">
-              {workout.exercises?.length || 0}
-            </div>
-          </Card>
-          <Card variant="standard" padding="sm">
-            <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
-              Total Sets
+        {/* Details or set-by-set comparison with an earlier session */}
+        <SegmentedControl
+          value={mode}
+          onChange={setMode}
+          size="sm"
+          options={[
+            { value: 'details', label: 'Details' },
+            { value: 'compare', label: 'Compare' }
+          ]}
+        />
+
+        {mode === 'compare' ? (
+          <WorkoutComparison workout={workout} workouts={workouts} />
+        ) : (
+          <>
+          {/* Summary stats */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <Card variant="standard" padding="sm">
+              <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
+                Duration
+              </div>
+              <div className="text-[18px] font-bold text-text font-display">
+                {formatDuration(workout.duration_seconds)}
+              </div>
+            </Card>
+            <Card variant="standard" padding="sm">
+              <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
+                Volume
+              </div>
+              <div className="text-[18px] font-bold text-text font-display">
+                {formatVolume(workout.total_volume)}
+              </div>
+            </Card>
+            <Card variant="standard" padding="sm">
+              <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
+                Exercises
+              </div>
+              <div className="text-[18px] font-bold text-text font-display">
+                {workout.exercises?.length || 0}
+              </div>
+            </Card>
+            <Card variant="standard" padding="sm">
+              <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
+                Total Sets
+              </div>
+              <div className="text-[18px] font-bold text-text font-display">
+                {workout.exercises?.reduce((sum, ex) => sum + (ex.sets?.length || 0), 0) || 0}
+              </div>
+            </Card>
+          </div>
+
+          {/* Pacing */}
+          {density?.has_timing && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {[
+                  { label: 'Avg Rest', value: density.avg_rest_seconds !== null ? formatRestTimer(density.avg_rest_seconds) : '-' },
+                  { label: 'Work : Rest', value: density.work_to_rest ? `1 : ${(1 / density.work_to_rest).toFixed(1)}` : '-' },
+                  { label: 'Density', value: formatDensity(density.density) },
+                  { label: 'Resting', value: density.rest_share !== null ? `${Math.round(density.rest_share * 100)}%` : '-' },
+                ].map(({ label, value }) => (
+                  <Card key={label} variant="standard" padding="sm">
+                    <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
+                      {label}
+                    </div>
+                    <div className="text-[18px] font-bold text-text font-display">
+                      {value}
+                    </div>
+                  </Card>
+                ))}
+              </div>
+              {density.timer && (
+                <p className="text-[13px] text-text-muted">{formatRestComparison(density.timer)}</p>
+              )}
             </div>
-            <div className="text-[18px] font-bold text-text font-display">
-              {workout.exercises?.reduce((sum, ex) => sum + (ex.sets?.length || 0), 0) || 0}
+          )}
+
+          {/* Suspected mislabelled PRs */}
+          {warmupPRCount > 0 && (
+            <div className="p-3 rounded-lg border border-warning/40 bg-warning/10 text-[13px] text-text">
+              {warmupPRCount === 1
+                ? 'A warm-up set beats your PR.'
+                : `${warmupPRCount} warm-up sets beat your PRs.`}{' '}
+              Mark as working set to count it toward volume and PRs.
             </div>
-          </Card>
-        </div>
+          )}
 
-        {/* Exercises */}
-        <div className="space-y-4">
-          <h3 className="text-[16px] font-semibold text-text font-display">Exercises</h3>
-          {workout.exercises?.map((exercise, idx) => (
-            <Card key={exercise.id || idx} variant="standard" padding="md">
-              <h4 className="text-[15px] font-semibold text-text mb-3">
-                {exercise.name || 'Unknown Exercise'}
-              </h4>
-              <div className="space-y-2">
-                {exercise.sets?.map((set, setIdx) => (
-                  <div
-                    key={set.id || setIdx}
-                    className="flex items-center justify-between text-[13px] py-1.5"
-                  >
-                    <div className="flex items-center gap-2.5">
-                      <span className="text-text-muted w-16">Set {set.set_number || setIdx + 1}</span>
-                      {set.is_warmup && (
-                        <Badge variant="warning" size="sm">
-                          Warm-up
-                        </Badge>
+          {/* Exercises */}
+          <div className="space-y-4">
+            <h3 className="text-[16px] font-semibold text-text font-display">Exercises</h3>
+            {getExerciseSegments(workout.exercises || []).map(segment => {
+              const cards = workout.exercises.slice(segment.start, segment.end + 1).map((exercise, offset) => {
+                const idx = segment.start + offset;
+                return (
+                  <Card key={exercise.id || idx} variant="standard" padding="md">
+                    <div className="flex items-baseline justify-between gap-3 mb-3">
+                      <h4 className="text-[15px] font-semibold text-text">
+                        {exercise.name || 'Unknown Exercise'}
+                      </h4>
+                      {exerciseDensity[exercise.id]?.time_seconds && (
+                        <span className="text-[12px] text-text-muted">
+                          {formatDuration(exerciseDensity[exercise.id].time_seconds)}
+                          {exerciseDensity[exercise.id].avg_rest_seconds !== null &&
+                            ` · ${formatRestTimer(exerciseDensity[exercise.id].avg_rest_seconds)} rest`}
+                          {exerciseDensity[exercise.id].density && ` · ${formatDensity(exerciseDensity[exercise.id].density)}`}
+                        </span>
                       )}
                     </div>
-                    <div className="flex items-center gap-3 text-text font-medium">
-                      {set.weight && (
-                        <span className="font-mono">{set.weight} lbs</span>
-                      )}
-                      <span className="text-text-light">×</span>
-                      <span className="font-mono">{set.reps} reps</span>
-                      {set.rir !== null && set.rir !== undefined && (
-                        <span className="text-text-muted">@ RIR <span className="font-mono">{set.rir}</span></span>
-                      )}
+                    <div className="space-y-2">
+                      {exercise.sets?.map((set, setIdx) => {
+                        const setType = getSetTypeOption(set.set_type);
+                        return (
+                          <div key={set.id || setIdx} className="py-1.5">
+                            <div className="flex items-center justify-between text-[13px]">
+                              <div className="flex items-center gap-2.5">
+                                <span className="text-text-muted w-16">Set {getSetLabel(workout.exercises, idx, set.set_number || setIdx + 1)}</span>
+                                {set.is_warmup && (
+                                  <Badge variant="warning" size="sm">
+                                    Warm-up
+                                  </Badge>
+                                )}
+                                {setType.short && (
+                                  <Badge variant="default" size="sm">
+                                    {setType.label}
+                                  </Badge>
+                                )}
+                                {warmupPRs[set.id] && (
+                                  <>
+                                    <Badge variant="success" size="sm">
+                                      Beats {warmupPRs[set.id].rep_range} PR ({formatWeight(warmupPRs[set.id].record_weight)})
+                                    </Badge>
+                                    <Button
+                                      variant="secondary"
+                                      size="sm"
+                                      onClick={() => handleConfirmWarmupPR(set.id)}
+                                      disabled={reclassifyingSetId === set.id}
+                                    >
+                                      {reclassifyingSetId === set.id ? 'Saving...' : 'Mark as working set'}
+                                    </Button>
+                                  </>
+                                )}
+                              </div>
+                              <div className="flex items-center gap-3 text-text font-medium">
+                                {set.weight && (
+                                  <span className="font-mono">{set.weight} lbs</span>
+                                )}
+                                <span className="text-text-light">×</span>
+                                <span className="font-mono">{set.reps} reps</span>
+                                {set.rir !== null && set.rir !== undefined && (
+                                  <span className="text-text-muted">@ RIR <span className="font-mono">{set.rir}</span></span>
+                                )}
+                              </div>
+                            </div>
+                            {hasSides(set) && (
+                              <p className="mt-0.5 text-right text-[12px] text-text-muted">
+                                <span className="font-mono">{formatSides(set)}</span>
+                              </p>
+                            )}
+                            {setType.takesSubSets && set.sub_sets?.length > 0 && (
+                              <p className="mt-0.5 text-right text-[12px] text-text-muted">
+                                then <span className="font-mono">{formatSubSets(set.sub_sets)}</span>
+                              </p>
+                            )}
+                          </div>
+                        );
+                      })}
                     </div>
-                  </div>
-                ))}
-              </div>
-            </Card>
-          ))}
-        </div>
+                  </Card>
+                );
+              });
+
+              if (!segment.groupId) {
+                return cards;
+              }
+
+              // Supersets, circuits and giant sets as logged
+              const groupLead = workout.exercises[segment.start];
+              return (
+                <div key={segment.groupId} className="border-l-4 border-accent pl-3 space-y-3">
+                  <p className="text-[13px] font-semibold text-text-muted">
+                    {formatExerciseGroup(groupLead.group_type, groupLead.group_rounds)}
+                  </p>
+                  {cards}
+                </div>
+              );
+            })}
+          </div>
+          </>
+        )}
 
         {/* Close button */}
         <Button variant="secondary" fullWidth onClick={onClose}>
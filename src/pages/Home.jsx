@@ -1,7 +1,7 @@
 /**
  * Home Dashboard Page
  *
- * Features: Greeting, Today's Plan card, weekly stats, muscle volume progress
+ * Features: Greeting, Today's Plan card, weekly stats, weekly sets vs per-muscle targets, goals
  */
 
 import { useState, useEffect } from 'react';
@@ -12,9 +12,11 @@ import { useToast } from '../hooks/useToast';
 import Card from '../components/ui/Card';
 import Button from '../components/ui/Button';
 import Modal from '../components/ui/Modal';
-import ProgressBar from '../components/ui/ProgressBar';
 import EmptyState from '../components/ui/EmptyState';
 import Skeleton from '../components/ui/Skeleton';
+import SetTargetsCard from '../components/SetTargetsCard';
+import PlateauAlertsCard from '../components/PlateauAlertsCard';
+import GoalsCard from '../components/GoalsCard';
 import { UserIcon, DumbbellIcon, PlusIcon } from '../icons';
 
 const Home = () => {
@@ -81,20 +83,6 @@ const Home = () => {
     exerciseCount: 5
   };
 
-  // Sample goals for muscle groups (will be configurable in future)
-  const sampleGoals = {
-    chest: 16,
-    back: 16,
-    legs: 20,
-    shoulders: 12,
-    arms: 12,
-    core: 12,
-    glutes: 12,
-    calves: 8,
-    forearms: 8,
-    abs: 12,
-  };
-
   return (
     <div className="min-h-screen bg-bg">
       <div className="container mx-auto px-4 py-6 max-w-4xl">
@@ -180,7 +168,7 @@ const Home = () => {
           </Card>
         </div>
 
-        {/* Weekly Volume by Muscle */}
+        {/* Weekly sets by muscle vs targets */}
         {loading ? (
           <Card>
             <Skeleton className="h-6 w-48 mb-4" />
@@ -191,34 +179,7 @@ const Home = () => {
             </div>
           </Card>
         ) : weeklyStats?.sets_by_muscle && Object.keys(weeklyStats.sets_by_muscle).length > 0 ? (
-          <Card>
-            <h3 className="text-lg font-display font-semibold text-text mb-4">
-              Weekly Volume by Muscle
-            </h3>
-            <div className="space-y-4">
-              {Object.entries(weeklyStats.sets_by_muscle)
-                .sort(([, a], [, b]) => b - a)
-                .map(([muscle, sets]) => {
-                  // Get goal for this muscle group (default to 12 if not specified)
-                  const goal = sampleGoals[muscle.toLowerCase()] || 12;
-                  const percentage = Math.min((sets / goal) * 100, 100);
-
-                  return (
-                    <div key={muscle}>
-                      <div className="flex items-center justify-between mb-1.5">
-                        <span className="text-text font-medium capitalize">
-                          {muscle}
-                        </span>
-                        <span className="text-sm text-text-muted">
-                          {Math.round(sets)}/{goal}
-                        </span>
-                      </div>
-                      <ProgressBar progress={percentage} />
-                    </div>
-                  );
-                })}
-            </div>
-          </Card>
+          <SetTargetsCard targets={weeklyStats.set_targets} title="Weekly Sets by Muscle" />
         ) : (
           <Card>
             <EmptyState
@@ -229,6 +190,16 @@ const Home = () => {
           </Card>
         )}
 
+        {/* Active goals */}
+        <div className="mt-6">
+          <GoalsCard />
+        </div>
+
+        {/* Stalled exercises */}
+        <div className="mt-6">
+          <PlateauAlertsCard />
+        </div>
+
         {/* Start Workout Modal */}
         {showStartModal && (
           <Modal isOpen={true} onClose={() => setShowStartModal(false)} title="Start Workout">
@@ -1,13 +1,15 @@
 /**
  * Library Page - Exercise library browser
  *
- * Features: Browse exercises, search, filter by muscle/equipment, create custom exercises
+ * Features: Browse exercises, search, filter by muscle/equipment, create custom exercises,
+ * edit templates (including supersets, circuits and giant sets, and automatic warm-ups)
  */
 
 import { useState, useEffect } from 'react';
 import { exerciseAPI, templateAPI } from '../lib/api';
 import { formatMuscleGroups, formatEquipment, formatExerciseType } from '../lib/formatters';
-import { MUSCLE_GROUPS, EQUIPMENT_TYPES, EXERCISE_TYPES } from '../lib/constants';
+import { getExerciseSegments, linkWithNext, unlinkFromNext, updateExerciseGroup } from '../lib/exerciseGroups';
+import { MUSCLE_GROUPS, EQUIPMENT_TYPES, EXERCISE_TYPES, FEATURES } from '../lib/constants';
 import { useToast } from '../hooks/useToast';
 
 // UI Components
@@ -19,6 +21,8 @@ import Modal from '../components/ui/Modal';
 import Input from '../components/ui/Input';
 import EmptyState from '../components/ui/EmptyState';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import ExerciseGroupHeader from '../components/ExerciseGroupHeader';
+import ExerciseLinkButton from '../components/ExerciseLinkButton';
 
 // Icons
 import PlusIcon from '../icons/PlusIcon';
@@ -44,6 +48,7 @@ const Library = () => {
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [editTemplateName, setEditTemplateName] = useState('');
   const [editTemplateDesc, setEditTemplateDesc] = useState('');
+  const [editTemplateExercises, setEditTemplateExercises] = useState(null); // null until loaded
   const [saving, setSaving] = useState(false);
   const { success, error: showError } = useToast();
 
@@ -142,11 +147,25 @@ const Library = () => {
     }
   };
 
-  const handleEditTemplate = (template) => {
+  const handleEditTemplate = async (template) => {
     setSelectedTemplate(template);
     setEditTemplateName(template.name);
     setEditTemplateDesc(template.description || '');
+    setEditTemplateExercises(null);
     setShowEditModal(true);
+
+    // Exercises are loaded to edit groups and warm-ups; the name and description save without them
+    try {
+      const data = await templateAPI.getExercises(template.id);
+      setEditTemplateExercises((data.exercises || []).map(exercise => ({
+        ...exercise,
+        group_id: exercise.groupId,
+        group_type: exercise.groupType,
+        group_rounds: exercise.groupRounds,
+      })));
+    } catch (err) {
+      console.error('Failed to load template exercises:', err);
+    }
   };
 
   const handleDeleteTemplate = (template) => {
@@ -165,6 +184,19 @@ const Library = () => {
       await templateAPI.update(selectedTemplate.id, {
         name: editTemplateName.trim(),
         description: editTemplateDesc.trim() || null,
+        ...(editTemplateExercises && {
+          exercises: editTemplateExercises.map(exercise => ({
+            exerciseId: exercise.exerciseId,
+            targetSets: exercise.targetSets ?? undefined,
+            targetRepsMin: exercise.targetRepsMin ?? undefined,
+            targetRepsMax: exercise.targetRepsMax ?? undefined,
+            notes: exercise.notes,
+            groupId: exercise.group_id,
+            groupType: exercise.group_type,
+            groupRounds: exercise.group_rounds,
+            autoWarmup: exercise.autoWarmup === true,
+          })),
+        }),
       });
       success('Template updated');
       setShowEditModal(false);
@@ -447,6 +479,64 @@ const Library = () => {
               />
             </div>
 
+            {/* Exercises, linked into supersets, circuits and giant sets, with optional automatic warm-ups */}
+            {editTemplateExercises && editTemplateExercises.length > 0 && (
+              <div>
+                <p className="block text-sm font-medium text-text mb-2">Exercises</p>
+                <div className="space-y-2">
+                  {getExerciseSegments(editTemplateExercises).map(segment => {
+                    const rows = editTemplateExercises.slice(segment.start, segment.end + 1).map((exercise, offset) => {
+                      const index = segment.start + offset;
+                      return (
+                        <div key={exercise.id} className="space-y-2">
+                          <div className="flex items-center justify-between gap-3 px-3 py-2 bg-bg-alt rounded-lg text-[14px] text-text">
+                            <span className="truncate">{exercise.exerciseName}</span>
+                            <label className="flex items-center cursor-pointer shrink-0" title="Add warm-up sets when a workout starts">
+                              <input
+                                type="checkbox"
+                                checked={exercise.autoWarmup === true}
+                                onChange={(e) => setEditTemplateExercises(prev => prev.map((item, i) => (
+                                  i === index ? { ...item, autoWarmup: e.target.checked } : item
+                                )))}
+                                disabled={saving}
+                                className="w-4 h-4 text-accent bg-bg border-border rounded focus:ring-accent focus:ring-2"
+                              />
+                              <span className="ml-2 text-[13px] text-text-muted">Warm-up</span>
+                            </label>
+                          </div>
+                          {FEATURES.supersets && index < editTemplateExercises.length - 1 && (
+                            <ExerciseLinkButton
+                              linked={index < segment.end}
+                              disabled={saving}
+                              onClick={() => setEditTemplateExercises(prev => (
+                                index < segment.end ? unlinkFromNext(prev, index) : linkWithNext(prev, index)
+                              ))}
+                            />
+                          )}
+                        </div>
+                      );
+                    });
+
+                    if (!segment.groupId) {
+                      return rows;
+                    }
+
+                    const groupLead = editTemplateExercises[segment.start];
+                    return (
+                      <div key={segment.groupId} className="border-l-4 border-accent pl-3 space-y-2">
+                        <ExerciseGroupHeader
+                          groupType={groupLead.group_type}
+                          groupRounds={groupLead.group_rounds}
+                          onChange={(changes) => setEditTemplateExercises(prev => updateExerciseGroup(prev, segment.groupId, changes))}
+                        />
+                        {rows}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
             <div className="flex gap-3 pt-4">
               <Button
                 variant="secondary"
@@ -598,6 +688,7 @@ const CreateExerciseModal = ({ onClose, onSuccess }) => {
     equipment: 'barbell',
     primary_muscles: [],
     secondary_muscles: [],
+    is_unilateral: false,
   });
 
   const handleChange = (field, value) => {
@@ -625,6 +716,7 @@ const CreateExerciseModal = ({ onClose, onSuccess }) => {
     try {
       const response = await exerciseAPI.create({
         ...formData,
+        isUnilateral: formData.is_unilateral,
         force: force,
       });
 
@@ -736,6 +828,19 @@ const CreateExerciseModal = ({ onClose, onSuccess }) => {
               </select>
             </div>
 
+            {/* Unilateral */}
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={formData.is_unilateral}
+                onChange={(e) => handleChange('is_unilateral', e.target.checked)}
+                className="w-4 h-4 text-accent bg-bg border-border rounded focus:ring-accent focus:ring-2"
+              />
+              <span className="ml-2 text-[13px] text-text">
+                One arm or leg at a time (log left and right side)
+              </span>
+            </label>
+
             {/* Primary Muscles */}
             <div>
               <label className="block text-[13px] font-semibold text-text mb-2">
@@ -1,19 +1,31 @@
 /**
  * Profile Page - Settings and data export
  *
- * Features: User info, settings, data export (JSON), logout
+ * Features: User info, settings, equipment profiles, data export (JSON), logout
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useTheme } from '../hooks/useTheme';
 import { userAPI } from '../lib/api';
 import { useToast } from '../hooks/useToast';
-import { formatDate } from '../lib/formatters';
+import { formatDate, getRepRangePreset, formatRepRangesInput, parseRepRangesInput } from '../lib/formatters';
+import { formatWarmupSchemeInput, parseWarmupSchemeInput } from '../lib/warmups';
+import {
+  E1RM_FORMULAS,
+  DEFAULT_E1RM_FORMULA,
+  PR_REP_RANGE_PRESETS,
+  MUSCLE_GROUPS,
+  MUSCLE_SET_TARGET_PRESETS,
+  MAX_WEEKLY_SET_TARGET,
+  MAX_STREAK_WORKOUTS_PER_WEEK,
+  DEFAULT_WARMUP_SCHEME,
+} from '../lib/constants';
 import Card from '../components/ui/Card';
 import Button from '../components/ui/Button';
 import Modal from '../components/ui/Modal';
 import Input from '../components/ui/Input';
+import EquipmentProfilesCard from '../components/EquipmentProfilesCard';
 import { UserIcon, LogoutIcon, TrashIcon } from '../icons';
 
 const Profile = () => {
@@ -24,8 +36,126 @@ const Profile = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deletePassword, setDeletePassword] = useState('');
   const [deleting, setDeleting] = useState(false);
+  const [settings, setSettings] = useState({ e1rmFormula: DEFAULT_E1RM_FORMULA });
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [editingCustomRanges, setEditingCustomRanges] = useState(false);
+  const [customRangesInput, setCustomRangesInput] = useState('');
+  const [editingCustomTargets, setEditingCustomTargets] = useState(false);
+  const [customTargets, setCustomTargets] = useState({});
+  const [warmupSchemeInput, setWarmupSchemeInput] = useState('');
   const { success, error: showError } = useToast();
 
+  const repRangePreset = editingCustomRanges ? 'custom' : getRepRangePreset(settings.prRepRanges);
+  const setTargetPreset = editingCustomTargets
+    ? 'custom'
+    : typeof settings.muscleSetTargets === 'string'
+      ? settings.muscleSetTargets
+      : settings.muscleSetTargetPreset || 'mev';
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const data = await userAPI.getSettings();
+        setSettings(data.settings);
+      } catch (err) {
+        console.error('Failed to load settings:', err);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  useEffect(() => {
+    setCustomRangesInput(formatRepRangesInput(settings.prRepRanges));
+  }, [settings.prRepRanges]);
+
+  useEffect(() => {
+    // 'default' while a reset is saving
+    setWarmupSchemeInput(formatWarmupSchemeInput(
+      Array.isArray(settings.warmupScheme) ? settings.warmupScheme : DEFAULT_WARMUP_SCHEME
+    ));
+  }, [settings.warmupScheme]);
+
+  useEffect(() => {
+    if (settings.muscleSetTargets && typeof settings.muscleSetTargets === 'object') {
+      setCustomTargets(settings.muscleSetTargets);
+    }
+  }, [settings.muscleSetTargets]);
+
+  const handleSettingChange = async (updates) => {
+    const previous = settings;
+    setSettings({ ...settings, ...updates });
+    setSavingSettings(true);
+    try {
+      const data = await userAPI.updateSettings(updates);
+      setSettings(data.settings);
+      success('Settings saved');
+    } catch (err) {
+      console.error('Failed to save settings:', err);
+      setSettings(previous);
+      showError(err.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleRepRangePresetChange = (preset) => {
+    if (preset === 'custom') {
+      setEditingCustomRanges(true);
+      return;
+    }
+    setEditingCustomRanges(false);
+    handleSettingChange({ prRepRanges: preset });
+  };
+
+  const handleSaveCustomRanges = async (e) => {
+    e.preventDefault();
+    const ranges = parseRepRangesInput(customRangesInput);
+    if (!ranges) {
+      showError('Enter rep counts or ranges, e.g. 1, 3, 5, 8-12, 15, 20');
+      return;
+    }
+    await handleSettingChange({ prRepRanges: ranges });
+  };
+
+  const handleSetTargetPresetChange = (preset) => {
+    if (preset === 'custom') {
+      setEditingCustomTargets(true);
+      return;
+    }
+    setEditingCustomTargets(false);
+    handleSettingChange({ muscleSetTargets: preset });
+  };
+
+  const handleCustomTargetChange = (muscle, bound, value) => {
+    setCustomTargets(prev => ({
+      ...prev,
+      [muscle]: { ...prev[muscle], [bound]: value },
+    }));
+  };
+
+  const handleSaveCustomTargets = async (e) => {
+    e.preventDefault();
+    // Muscles with both bounds blank have no target
+    const targets = {};
+    for (const muscle of MUSCLE_GROUPS) {
+      const { min = '', max = '' } = customTargets[muscle] || {};
+      if (min === '' && max === '') continue;
+      targets[muscle] = { min: Number(min || 0), max: Number(max === '' ? min : max) };
+    }
+    await handleSettingChange({ muscleSetTargets: targets });
+  };
+
+  const handleSaveWarmupScheme = async (e) => {
+    e.preventDefault();
+    const scheme = parseWarmupSchemeInput(warmupSchemeInput);
+    if (!scheme) {
+      showError('Enter steps as percent x reps, e.g. bar x 10, 40% x 5, 60% x 3, 80% x 1');
+      return;
+    }
+    await handleSettingChange({ warmupScheme: scheme });
+  };
+
   const handleExportData = async () => {
     setExporting(true);
     try {
@@ -145,7 +275,7 @@ const Profile = () => {
             </Button>
           </Card>
 
-          {/* Settings (Future) */}
+          {/* Settings */}
           <Card>
             <h2 className="text-lg font-display font-semibold text-text mb-5">Settings</h2>
             <div className="space-y-4">
@@ -156,6 +286,175 @@ const Profile = () => {
                 </div>
                 <div className="text-text-muted text-sm">Imperial (lbs)</div>
               </div>
+              <div className="flex items-center justify-between py-3 border-b border-border-light">
+                <div>
+                  <div className="font-medium text-text text-sm">1RM Formula</div>
+                  <div className="text-xs text-text-muted">Used for estimated 1RM in stats and PRs</div>
+                </div>
+                <select
+                  value={settings.e1rmFormula}
+                  onChange={(e) => handleSettingChange({ e1rmFormula: e.target.value })}
+                  disabled={savingSettings}
+                  className="px-3 py-1.5 bg-surface border border-border rounded-lg text-text text-sm focus:outline-none focus:ring-2 focus:ring-accent focus:border-accent transition-all"
+                  aria-label="1RM formula"
+                >
+                  {E1RM_FORMULAS.map(formula => (
+                    <option key={formula.value} value={formula.value}>
+                      {formula.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="py-3 border-b border-border-light">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium text-text text-sm">PR Rep Ranges</div>
+                    <div className="text-xs text-text-muted">Rep counts tracked as personal records</div>
+                  </div>
+                  <select
+                    value={repRangePreset}
+                    onChange={(e) => handleRepRangePresetChange(e.target.value)}
+                    disabled={savingSettings}
+                    className="px-3 py-1.5 bg-surface border border-border rounded-lg text-text text-sm focus:outline-none focus:ring-2 focus:ring-accent focus:border-accent transition-all"
+                    aria-label="PR rep ranges"
+                  >
+                    {PR_REP_RANGE_PRESETS.map(preset => (
+                      <option key={preset.value} value={preset.value}>
+                        {preset.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {repRangePreset === 'custom' && (
+                  <form onSubmit={handleSaveCustomRanges} className="flex items-end gap-3 mt-3">
+                    <Input
+                      label="Reps or ranges"
+                      value={customRangesInput}
+                      onChange={(e) => setCustomRangesInput(e.target.value)}
+                      placeholder="1, 3, 5, 8-12, 15, 20"
+                      fullWidth
+                    />
+                    <Button type="submit" variant="secondary" size="sm" disabled={savingSettings}>
+                      Save
+                    </Button>
+                  </form>
+                )}
+              </div>
+              <div className="py-3 border-b border-border-light">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium text-text text-sm">Weekly Set Targets</div>
+                    <div className="text-xs text-text-muted">Sets per muscle each week (Home and Progress)</div>
+                  </div>
+                  <select
+                    value={setTargetPreset}
+                    onChange={(e) => handleSetTargetPresetChange(e.target.value)}
+                    disabled={savingSettings}
+                    className="px-3 py-1.5 bg-surface border border-border rounded-lg text-text text-sm focus:outline-none focus:ring-2 focus:ring-accent focus:border-accent transition-all"
+                    aria-label="Weekly set targets"
+                  >
+                    {MUSCLE_SET_TARGET_PRESETS.map(preset => (
+                      <option key={preset.value} value={preset.value}>
+                        {preset.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {setTargetPreset === 'custom' && (
+                  <form onSubmit={handleSaveCustomTargets} className="mt-3">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">
+                      {MUSCLE_GROUPS.map(muscle => (
+                        <div key={muscle} className="flex items-center gap-2">
+                          <span className="flex-1 text-sm text-text capitalize">{muscle}</span>
+                          <Input
+                            type="number"
+                            inputMode="numeric"
+                            min={0}
+                            max={MAX_WEEKLY_SET_TARGET}
+                            size="sm"
+                            value={customTargets[muscle]?.min ?? ''}
+                            onChange={(e) => handleCustomTargetChange(muscle, 'min', e.target.value)}
+                            containerClassName="w-16"
+                            aria-label={`${muscle} minimum sets`}
+                          />
+                          <span className="text-text-muted text-sm">-</span>
+                          <Input
+                            type="number"
+                            inputMode="numeric"
+                            min={0}
+                            max={MAX_WEEKLY_SET_TARGET}
+                            size="sm"
+                            value={customTargets[muscle]?.max ?? ''}
+                            onChange={(e) => handleCustomTargetChange(muscle, 'max', e.target.value)}
+                            containerClassName="w-16"
+                            aria-label={`${muscle} maximum sets`}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex justify-end mt-3">
+                      <Button type="submit" variant="secondary" size="sm" disabled={savingSettings}>
+                        Save
+                      </Button>
+                    </div>
+                  </form>
+                )}
+              </div>
+              <div className="flex items-center justify-between py-3 border-b border-border-light">
+                <div>
+                  <div className="font-medium text-text text-sm">Weekly Streak</div>
+                  <div className="text-xs text-text-muted">Workouts a week needs to keep the weekly streak going</div>
+                </div>
+                <select
+                  value={settings.streakWorkoutsPerWeek || 1}
+                  onChange={(e) => handleSettingChange({ streakWorkoutsPerWeek: Number(e.target.value) })}
+                  disabled={savingSettings}
+                  className="px-3 py-1.5 bg-surface border border-border rounded-lg text-text text-sm focus:outline-none focus:ring-2 focus:ring-accent focus:border-accent transition-all"
+                  aria-label="Weekly streak rule"
+                >
+                  {Array.from({ length: MAX_STREAK_WORKOUTS_PER_WEEK }, (_, i) => i + 1).map(count => (
+                    <option key={count} value={count}>
+                      {count} {count === 1 ? 'workout' : 'workouts'} / week
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="py-3 border-b border-border-light">
+                <div>
+                  <div className="font-medium text-text text-sm">Warm-up Ramp</div>
+                  <div className="text-xs text-text-muted">
+                    Warm-up sets added up to the first working weight (% of it, bar = empty bar)
+                  </div>
+                </div>
+                <form onSubmit={handleSaveWarmupScheme} className="flex items-end gap-3 mt-3">
+                  <Input
+                    label="Steps (percent x reps)"
+                    value={warmupSchemeInput}
+                    onChange={(e) => setWarmupSchemeInput(e.target.value)}
+                    placeholder="bar x 10, 40% x 5, 60% x 3, 80% x 1"
+                    fullWidth
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleSettingChange({ warmupScheme: 'default' })}
+                    disabled={savingSettings}
+                  >
+                    Reset
+                  </Button>
+                  <Button type="submit" variant="secondary" size="sm" disabled={savingSettings}>
+                    Save
+                  </Button>
+                </form>
+              </div>
+              <div className="flex items-center justify-between py-3 border-b border-border-light">
+                <div>
+                  <div className="font-medium text-text text-sm">Timezone</div>
+                  <div className="text-xs text-text-muted">Day and week boundaries in stats (from this device)</div>
+                </div>
+                <div className="text-text-muted text-sm">{settings.timezone || 'UTC'}</div>
+              </div>
               <div className="flex items-center justify-between py-3 border-b border-border-light">
                 <div>
                   <div className="font-medium text-text text-sm">Theme</div>
@@ -182,6 +481,9 @@ const Profile = () => {
             </p>
           </Card>
 
+          {/* Equipment */}
+          <EquipmentProfilesCard />
+
           {/* Install App */}
           <Card>
             <h2 className="text-lg font-display font-semibold text-text mb-3">Install App</h2>
@@ -1,31 +1,143 @@
 /**
  * Progress Page - Charts and PR tracking
  *
- * Features: Exercise progression charts, PR table (1RM, 3RM, 5RM, 10RM), weekly stats
+ * Features: Exercise progression charts (load, or distance/pace/holds for cardio and timed,
+ * left/right imbalance for unilateral exercises),
+ * PR table (the user's rep ranges, fastest 5K, longest hold...), weekly stats, set targets, training load and
+ * consistency calendar,
+ * date-range trends (day/week/month buckets), bodyweight log, link to the monthly and yearly recap
  */
 
 import { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useNavigate } from 'react-router-dom';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { exerciseAPI, progressAPI } from '../lib/api';
-import { formatDate, formatWeight, calculateEstimated1RM, formatEstimated1RM } from '../lib/formatters';
-import { CHART_COLORS, REP_RANGES } from '../lib/constants';
+import { formatDate, formatWeight, formatE1RMFormula, getPresetDateRange, formatBucketLabel, formatEndurancePR, formatDistanceMeters, formatClockTime, toRepRangeOptions, formatTargetProjection } from '../lib/formatters';
+import { CHART_COLORS, REP_RANGES, STATS_RANGE_PRESETS, STATS_GRANULARITIES, TREND_MODELS, MOVING_AVERAGE_SESSIONS, ENDURANCE_EXERCISE_TYPES, FEATURES } from '../lib/constants';
+import { addTrendOverlays, projectTargetDate } from '../lib/trends';
 import { useToast } from '../hooks/useToast';
 import SegmentedControl from '../components/ui/SegmentedControl';
 import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
 import ProgressBar from '../components/ui/ProgressBar';
 import { SkeletonChart } from '../components/ui/Skeleton';
 import { TrophyIcon } from '../icons';
+import BodyweightCard from '../components/BodyweightCard';
+import SessionDensityCard from '../components/SessionDensityCard';
+import TrainingLoadCard from '../components/TrainingLoadCard';
+import TrainingCalendar from '../components/TrainingCalendar';
+import SetTargetsCard from '../components/SetTargetsCard';
+import PlateauAlertsCard from '../components/PlateauAlertsCard';
+import SideImbalanceCard from '../components/SideImbalanceCard';
+import EnduranceProgressCharts from '../components/EnduranceProgressCharts';
+
+/**
+ * Turn PR history entries into step-chart points (one per date)
+ * Each rep range carries its last record forward so lines step up over time
+ */
+const buildPRStepData = (history) => {
+  const current = {};
+  const points = [];
+
+  for (const entry of history) {
+    current[entry.rep_range] = entry.weight;
+    const last = points[points.length - 1];
+
+    if (last && last.date === entry.date) {
+      Object.assign(last, current);
+    } else {
+      points.push({ date: entry.date, ...current });
+    }
+  }
+
+  return points;
+};
+
+const CHART_TOOLTIP_STYLE = {
+  backgroundColor: 'var(--surface)',
+  border: '1px solid var(--border)',
+  borderRadius: '8px',
+  boxShadow: 'var(--shadow-md)',
+  fontFamily: 'var(--font-body)'
+};
+
+const CHART_AXIS_STYLE = { fontSize: '13px', fontFamily: 'var(--font-body)' };
+
+/**
+ * Volume/sets by muscle group bars (weekly and trends views)
+ */
+const MuscleBreakdownCard = ({ stats, mode, onModeChange }) => {
+  if (!stats.volume_by_muscle || Object.keys(stats.volume_by_muscle).length === 0) {
+    return null;
+  }
+
+  const muscleData = mode === 'volume'
+    ? stats.volume_by_muscle
+    : stats.sets_by_muscle || {};
+  const maxValue = Math.max(...Object.values(muscleData));
+  const sortedData = Object.entries(muscleData).sort(([, a], [, b]) => b - a);
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-display text-lg font-semibold text-text">
+          {mode === 'volume' ? 'Volume' : 'Sets'} by Muscle Group
+        </h3>
+        <SegmentedControl
+          value={mode}
+          onChange={onModeChange}
+          options={[
+            { value: 'volume', label: 'Volume' },
+            { value: 'sets', label: 'Sets' }
+          ]}
+        />
+      </div>
+      <div className="space-y-4">
+        {sortedData.map(([muscle, value]) => (
+          <div key={muscle}>
+            <div className="flex items-center justify-between mb-1.5">
+              <span className="text-text font-medium capitalize">{muscle}</span>
+              <span className="font-display text-text font-semibold">
+                {mode === 'volume'
+                  ? `${Math.round(value).toLocaleString()} lbs`
+                  : `${Math.round(value)} sets`
+                }
+              </span>
+            </div>
+            <ProgressBar progress={(value / maxValue) * 100} />
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+};
 
 const Progress = () => {
+  const navigate = useNavigate();
   const [exercises, setExercises] = useState([]);
   const [selectedExerciseId, setSelectedExerciseId] = useState(null);
   const [progressData, setProgressData] = useState([]);
+  const [progressType, setProgressType] = useState(null); // exercise_type reported by the progress API
   const [prs, setPRs] = useState([]);
+  const [endurancePRs, setEndurancePRs] = useState([]);
+  const [repRanges, setRepRanges] = useState(REP_RANGES); // User's PR buckets reported by the stats API
   const [weeklyStats, setWeeklyStats] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [view, setView] = useState('charts'); // 'charts' | 'prs' | 'weekly'
+  const [view, setView] = useState('charts'); // 'charts' | 'prs' | 'weekly' | 'trends'
   const [selectedPRExerciseId, setSelectedPRExerciseId] = useState(null);
   const [muscleChartMode, setMuscleChartMode] = useState('volume'); // 'volume' | 'sets'
+  const [e1rmFormula, setE1rmFormula] = useState(null); // Formula reported by the stats API
+  const [prHistory, setPRHistory] = useState([]);
+  const [rangePreset, setRangePreset] = useState('12w'); // STATS_RANGE_PRESETS value, or 'custom'
+  const [statsRange, setStatsRange] = useState(() => ({
+    ...getPresetDateRange(84),
+    granularity: 'week'
+  }));
+  const [rangeStats, setRangeStats] = useState(null);
+  const [trendModel, setTrendModel] = useState('off'); // TREND_MODELS value
+  const [showMovingAverage, setShowMovingAverage] = useState(false);
+  const [targetE1RM, setTargetE1RM] = useState('');
   const { error: showError } = useToast();
 
   useEffect(() => {
@@ -40,13 +152,27 @@ const Progress = () => {
     }
   }, [selectedExerciseId]);
 
+  useEffect(() => {
+    if (view === 'prs' && selectedPRExerciseId) {
+      loadPRHistory(selectedPRExerciseId);
+    } else {
+      setPRHistory([]);
+    }
+  }, [view, selectedPRExerciseId]);
+
+  useEffect(() => {
+    if (view === 'trends') {
+      loadRangeStats(statsRange);
+    }
+  }, [view, statsRange]);
+
   const loadExercises = async () => {
     try {
       const data = await exerciseAPI.getAll();
-      const weightedExercises = (data.exercises || []).filter(ex => ex.type === 'weighted');
-      setExercises(weightedExercises);
-      if (weightedExercises.length > 0 && !selectedExerciseId) {
-        setSelectedExerciseId(weightedExercises[0].id);
+      const allExercises = data.exercises || [];
+      setExercises(allExercises);
+      if (allExercises.length > 0 && !selectedExerciseId) {
+        setSelectedExerciseId(allExercises[0].id);
       }
     } catch (err) {
       console.error('Failed to load exercises:', err);
@@ -59,6 +185,8 @@ const Progress = () => {
     try {
       const result = await progressAPI.getExerciseProgress(exerciseId);
       setProgressData(result.progress || []);
+      setProgressType(result.exercise_type || null);
+      if (result.formula) setE1rmFormula(result.formula);
     } catch (err) {
       console.error('Failed to load progress data:', err);
       showError('Failed to load progress data');
@@ -71,12 +199,25 @@ const Progress = () => {
     try {
       const data = await progressAPI.getPRs();
       setPRs(data.prs || []);
+      setEndurancePRs(data.endurance_prs || []);
+      setRepRanges(toRepRangeOptions(data.rep_ranges));
+      if (data.formula) setE1rmFormula(data.formula);
     } catch (err) {
       console.error('Failed to load PRs:', err);
       showError('Failed to load PRs');
     }
   };
 
+  const loadPRHistory = async (exerciseId) => {
+    try {
+      const data = await progressAPI.getPRHistory(exerciseId);
+      setPRHistory(data.history || []);
+    } catch (err) {
+      console.error('Failed to load PR history:', err);
+      showError('Failed to load PR history');
+    }
+  };
+
   const loadWeeklyStats = async () => {
     try {
       const data = await progressAPI.getWeeklyStats();
@@ -87,15 +228,52 @@ const Progress = () => {
     }
   };
 
+  const loadRangeStats = async (range) => {
+    try {
+      const data = await progressAPI.getRangeStats(range);
+      setRangeStats(data.stats || null);
+    } catch (err) {
+      console.error('Failed to load range stats:', err);
+      showError(err.response?.data?.error || 'Failed to load range stats');
+    }
+  };
+
+  const handleRangePresetChange = (value) => {
+    const preset = STATS_RANGE_PRESETS.find(p => p.value === value);
+    setRangePreset(value);
+    setStatsRange({ ...getPresetDateRange(preset.days), granularity: preset.granularity });
+  };
+
+  const handleRangeDateChange = (field, value) => {
+    if (!value) return;
+    setRangePreset('custom');
+    setStatsRange(prev => ({ ...prev, [field]: value }));
+  };
+
   const selectedExercise = exercises.find(ex => ex.id === selectedExerciseId);
 
+  // Strength chart overlays and "when will I reach my target e1RM" (linear unless a trendline is picked)
+  const chartData = addTrendOverlays(progressData, ['max_weight', 'estimated_1rm', 'total_volume'], {
+    average: showMovingAverage,
+    trendModel
+  });
+  const targetValue = parseFloat(targetE1RM);
+  const projection = targetValue > 0
+    ? projectTargetDate(progressData, 'estimated_1rm', targetValue, trendModel === 'off' ? 'linear' : trendModel)
+    : null;
+
   return (
     <div className="min-h-screen bg-bg">
       <div className="container mx-auto px-4 py-6 max-w-6xl">
         {/* Header */}
-        <h1 className="font-display text-2xl md:text-3xl font-semibold text-text mb-6">
-          Progress Tracking
-        </h1>
+        <div className="flex items-center justify-between gap-4 mb-6">
+          <h1 className="font-display text-2xl md:text-3xl font-semibold text-text">
+            Progress Tracking
+          </h1>
+          <Button variant="secondary" size="sm" onClick={() => navigate('/recap')}>
+            Recap
+          </Button>
+        </div>
 
         {/* View tabs */}
         <div className="mb-6">
@@ -106,6 +284,7 @@ const Progress = () => {
               { value: 'charts', label: 'Exercise Charts' },
               { value: 'prs', label: 'Personal Records' },
               { value: 'weekly', label: 'Weekly Stats' },
+              { value: 'trends', label: 'Trends' },
             ]}
           />
         </div>
@@ -131,6 +310,22 @@ const Progress = () => {
               </select>
             </Card>
 
+            {/* Plateau alerts for the selected exercise */}
+            {selectedExerciseId && (
+              <PlateauAlertsCard
+                exerciseId={selectedExerciseId}
+                title={`${selectedExercise?.name || 'Exercise'} Alerts`}
+              />
+            )}
+
+            {/* Left/right imbalance for unilateral exercises */}
+            {selectedExercise?.isUnilateral && (
+              <SideImbalanceCard
+                exerciseId={selectedExerciseId}
+                title={`${selectedExercise.name}: Left vs Right`}
+              />
+            )}
+
             {/* Charts */}
             {loading ? (
               <div className="space-y-6">
@@ -147,15 +342,59 @@ const Progress = () => {
                   Complete workouts to see your progress charts
                 </p>
               </div>
+            ) : ENDURANCE_EXERCISE_TYPES.includes(progressType) ? (
+              <EnduranceProgressCharts type={progressType} data={progressData} />
             ) : (
               <>
+                {/* Trendline, moving average and target e1RM projection */}
+                <Card>
+                  <div className="flex flex-col md:flex-row md:items-end gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-text-muted mb-2">
+                        Trendline
+                      </label>
+                      <SegmentedControl
+                        value={trendModel}
+                        onChange={setTrendModel}
+                        options={TREND_MODELS}
+                        fullWidth={false}
+                        size="sm"
+                      />
+                    </div>
+                    <label className="flex items-center cursor-pointer md:pb-2">
+                      <input
+                        type="checkbox"
+                        checked={showMovingAverage}
+                        onChange={(e) => setShowMovingAverage(e.target.checked)}
+                        className="w-4 h-4 text-accent bg-bg border-border rounded focus:ring-accent focus:ring-2"
+                      />
+                      <span className="ml-2 text-sm text-text">{MOVING_AVERAGE_SESSIONS}-session average</span>
+                    </label>
+                    <Input
+                      label="Target e1RM (lbs)"
+                      type="number"
+                      min="0"
+                      inputMode="decimal"
+                      value={targetE1RM}
+                      onChange={(e) => setTargetE1RM(e.target.value)}
+                      placeholder="e.g. 225"
+                      size="sm"
+                    />
+                  </div>
+                  {projection && (
+                    <p className="text-sm text-text-muted mt-3">
+                      {formatTargetProjection(projection, targetValue)}
+                    </p>
+                  )}
+                </Card>
+
                 {/* Weight progression chart - Full width primary chart */}
                 <Card>
                   <h3 className="font-display text-lg font-semibold text-text mb-4">
                     Weight Progression
                   </h3>
                   <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={progressData}>
+                    <LineChart data={chartData}>
                       <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
                       <XAxis
                         dataKey="date"
@@ -194,6 +433,29 @@ const Progress = () => {
                         dot={{ fill: CHART_COLORS.weight, r: 4 }}
                         activeDot={{ r: 6 }}
                       />
+                      {showMovingAverage && (
+                        <Line
+                          type="monotone"
+                          dataKey="max_weight_avg"
+                          stroke={CHART_COLORS.average}
+                          name={`${MOVING_AVERAGE_SESSIONS}-Session Average`}
+                          strokeWidth={2}
+                          strokeDasharray="4 4"
+                          dot={false}
+                          connectNulls
+                        />
+                      )}
+                      {chartData[0]?.max_weight_trend !== undefined && (
+                        <Line
+                          type="monotone"
+                          dataKey="max_weight_trend"
+                          stroke={CHART_COLORS.trend}
+                          name="Trend"
+                          strokeWidth={2}
+                          strokeDasharray="6 3"
+                          dot={false}
+                        />
+                      )}
                     </LineChart>
                   </ResponsiveContainer>
                 </Card>
@@ -204,9 +466,12 @@ const Progress = () => {
                   <Card>
                     <h3 className="font-display text-lg font-semibold text-text mb-4">
                       Estimated 1RM Progression
+                      <span className="ml-2 text-xs font-body font-normal text-text-muted">
+                        ({formatE1RMFormula(e1rmFormula)})
+                      </span>
                     </h3>
                     <ResponsiveContainer width="100%" height={250}>
-                      <LineChart data={progressData}>
+                      <LineChart data={chartData}>
                         <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
                         <XAxis
                           dataKey="date"
@@ -240,11 +505,34 @@ const Progress = () => {
                           type="monotone"
                           dataKey="estimated_1rm"
                           stroke={CHART_COLORS.estimated1RM}
-                          name="Estimated 1RM (lbs)"
+                          name={`Estimated 1RM (lbs, ${formatE1RMFormula(e1rmFormula)})`}
                           strokeWidth={2}
                           dot={{ fill: CHART_COLORS.estimated1RM, r: 3 }}
                           activeDot={{ r: 5 }}
                         />
+                        {showMovingAverage && (
+                          <Line
+                            type="monotone"
+                            dataKey="estimated_1rm_avg"
+                            stroke={CHART_COLORS.average}
+                            name={`${MOVING_AVERAGE_SESSIONS}-Session Average`}
+                            strokeWidth={2}
+                            strokeDasharray="4 4"
+                            dot={false}
+                            connectNulls
+                          />
+                        )}
+                        {chartData[0]?.estimated_1rm_trend !== undefined && (
+                          <Line
+                            type="monotone"
+                            dataKey="estimated_1rm_trend"
+                            stroke={CHART_COLORS.trend}
+                            name="Trend"
+                            strokeWidth={2}
+                            strokeDasharray="6 3"
+                            dot={false}
+                          />
+                        )}
                       </LineChart>
                     </ResponsiveContainer>
                   </Card>
@@ -255,7 +543,7 @@ const Progress = () => {
                       Volume Progression
                     </h3>
                     <ResponsiveContainer width="100%" height={250}>
-                      <LineChart data={progressData}>
+                      <LineChart data={chartData}>
                         <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
                         <XAxis
                           dataKey="date"
@@ -294,6 +582,29 @@ const Progress = () => {
                           dot={{ fill: CHART_COLORS.volume, r: 3 }}
                           activeDot={{ r: 5 }}
                         />
+                        {showMovingAverage && (
+                          <Line
+                            type="monotone"
+                            dataKey="total_volume_avg"
+                            stroke={CHART_COLORS.average}
+                            name={`${MOVING_AVERAGE_SESSIONS}-Session Average`}
+                            strokeWidth={2}
+                            strokeDasharray="4 4"
+                            dot={false}
+                            connectNulls
+                          />
+                        )}
+                        {chartData[0]?.total_volume_trend !== undefined && (
+                          <Line
+                            type="monotone"
+                            dataKey="total_volume_trend"
+                            stroke={CHART_COLORS.trend}
+                            name="Trend"
+                            strokeWidth={2}
+                            strokeDasharray="6 3"
+                            dot={false}
+                          />
+                        )}
                       </LineChart>
                     </ResponsiveContainer>
                   </Card>
@@ -306,7 +617,7 @@ const Progress = () => {
         {/* PRs view */}
         {view === 'prs' && (
           <div className="space-y-6">
-            {prs.length === 0 ? (
+            {prs.length === 0 && endurancePRs.length === 0 ? (
               <div className="text-center py-12">
                 <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-accent-light mb-4">
                   <TrophyIcon size={32} color="var(--accent)" strokeWidth={1.5} />
@@ -339,6 +650,40 @@ const Progress = () => {
                 {exercises
                   .filter(exercise => !selectedPRExerciseId || exercise.id === selectedPRExerciseId)
                   .map(exercise => {
+                    if (ENDURANCE_EXERCISE_TYPES.includes(exercise.type)) {
+                      const exerciseEndurancePRs = endurancePRs.filter(pr => pr.exercise_id === exercise.id);
+                      if (exerciseEndurancePRs.length === 0) return null;
+
+                      return (
+                        <Card key={exercise.id}>
+                          <h3 className="font-display text-lg font-semibold text-text mb-4">
+                            {exercise.name}
+                          </h3>
+                          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                            {exerciseEndurancePRs.map(pr => (
+                              <div
+                                key={pr.category}
+                                className="bg-bg-alt rounded-lg p-4 border border-border-light"
+                              >
+                                <div className="text-sm font-medium text-text-muted mb-1">
+                                  {pr.label}
+                                </div>
+                                <div className="font-mono text-2xl font-bold text-text mb-1">
+                                  {formatEndurancePR(pr)}
+                                </div>
+                                <div className="text-xs text-text-muted">
+                                  {pr.distance_meters && pr.duration_seconds
+                                    ? `${formatDistanceMeters(pr.distance_meters)} in ${formatClockTime(pr.duration_seconds)} • `
+                                    : ''}
+                                  {formatDate(pr.date)}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        </Card>
+                      );
+                    }
+
                     const exercisePRs = prs.filter(pr => pr.exercise_id === exercise.id);
                     if (exercisePRs.length === 0) return null;
 
@@ -348,40 +693,103 @@ const Progress = () => {
                           {exercise.name}
                         </h3>
                         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                          {REP_RANGES.map(repRange => {
-                            const pr = exercisePRs.find(p => p.rep_range === repRange.value);
-                            return (
-                              <div
-                                key={repRange.value}
-                                className="bg-bg-alt rounded-lg p-4 border border-border-light"
-                              >
-                                <div className="text-sm font-medium text-text-muted mb-1">
-                                  {repRange.label}
-                                </div>
-                                {pr ? (
-                                  <>
-                                    <div className="font-mono text-2xl font-bold text-text mb-1">
-                                      {formatWeight(pr.max_weight)}
-                                    </div>
-                                    <div className="text-xs text-text-muted">
-                                      <span className="font-mono">{pr.reps}</span> reps • {formatDate(pr.date)}
-                                    </div>
-                                    {pr.estimated_1rm && (
-                                      <div className="text-xs text-text-light mt-1">
-                                        Est. 1RM: <span className="font-mono">{formatWeight(pr.estimated_1rm)}</span>
+                          {repRanges
+                            // Long bucket lists (e.g. every rep count) only show buckets with a record
+                            .filter(repRange => repRanges.length <= 6 || exercisePRs.some(p => p.rep_range === repRange.value))
+                            .map(repRange => {
+                              const pr = exercisePRs.find(p => p.rep_range === repRange.value);
+                              return (
+                                <div
+                                  key={repRange.value}
+                                  className="bg-bg-alt rounded-lg p-4 border border-border-light"
+                                >
+                                  <div className="text-sm font-medium text-text-muted mb-1">
+                                    {repRange.label}
+                                  </div>
+                                  {pr ? (
+                                    <>
+                                      <div className="font-mono text-2xl font-bold text-text mb-1">
+                                        {formatWeight(pr.max_weight)}
                                       </div>
-                                    )}
-                                  </>
-                                ) : (
-                                  <div className="text-text-light">No data</div>
-                                )}
-                              </div>
-                            );
-                          })}
+                                      <div className="text-xs text-text-muted">
+                                        <span className="font-mono">{pr.reps}</span> reps • {formatDate(pr.date)}
+                                      </div>
+                                      {pr.estimated_1rm && (
+                                        <div className="text-xs text-text-light mt-1">
+                                          Est. 1RM ({formatE1RMFormula(e1rmFormula)}): <span className="font-mono">{formatWeight(pr.estimated_1rm)}</span>
+                                        </div>
+                                      )}
+                                    </>
+                                  ) : (
+                                    <div className="text-text-light">No data</div>
+                                  )}
+                                </div>
+                              );
+                            })}
                         </div>
                       </Card>
                     );
                   })}
+
+                {/* PR history step chart (single exercise only) */}
+                {selectedPRExerciseId && prHistory.length > 0 && (
+                  <Card>
+                    <h3 className="font-display text-lg font-semibold text-text mb-4">
+                      PR History
+                    </h3>
+                    <ResponsiveContainer width="100%" height={300}>
+                      <LineChart data={buildPRStepData(prHistory)}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                        <XAxis
+                          dataKey="date"
+                          tickFormatter={(date) => formatDate(date)}
+                          stroke="var(--text-light)"
+                          style={{ fontSize: '12px', fontFamily: 'var(--font-body)' }}
+                        />
+                        <YAxis
+                          stroke="var(--text-light)"
+                          style={{ fontSize: '12px', fontFamily: 'var(--font-body)' }}
+                        />
+                        <Tooltip
+                          contentStyle={{
+                            backgroundColor: 'var(--surface)',
+                            border: '1px solid var(--border)',
+                            borderRadius: '8px',
+                            boxShadow: 'var(--shadow-md)',
+                            fontFamily: 'var(--font-body)'
+                          }}
+                          labelStyle={{ color: 'var(--text)', fontWeight: 500 }}
+                          labelFormatter={(date) => formatDate(date)}
+                          formatter={(value) => formatWeight(value)}
+                        />
+                        <Legend
+                          wrapperStyle={{
+                            fontFamily: 'var(--font-body)',
+                            fontSize: '12px',
+                            color: 'var(--text-muted)'
+                          }}
+                        />
+                        {repRanges
+                          .filter(repRange => prHistory.some(entry => entry.rep_range === repRange.value))
+                          .map((repRange, index) => (
+                            <Line
+                              key={repRange.value}
+                              type="stepAfter"
+                              dataKey={repRange.value}
+                              name={repRange.label}
+                              stroke={CHART_COLORS.series[index % CHART_COLORS.series.length]}
+                              strokeWidth={2}
+                              dot={{ r: 3 }}
+                              connectNulls
+                            />
+                          ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                    <p className="text-xs text-text-muted mt-3">
+                      Each step is a PR broken ({prHistory.length} total)
+                    </p>
+                  </Card>
+                )}
               </>
             )}
           </div>
@@ -425,53 +833,184 @@ const Progress = () => {
                   </Card>
                 </div>
 
+                {/* Sets by muscle vs weekly set targets */}
+                <SetTargetsCard targets={weeklyStats.set_targets} />
+
+                {/* Acute:chronic workload and muscle fatigue */}
+                <TrainingLoadCard />
+
+                {/* Yearly consistency calendar and streaks */}
+                {FEATURES.frequencyCalendar && <TrainingCalendar />}
+
                 {/* Volume/Sets by muscle group */}
-                {weeklyStats.volume_by_muscle && Object.keys(weeklyStats.volume_by_muscle).length > 0 && (
-                  <Card>
-                    <div className="flex items-center justify-between mb-4">
-                      <h3 className="font-display text-lg font-semibold text-text">
-                        {muscleChartMode === 'volume' ? 'Volume' : 'Sets'} by Muscle Group
-                      </h3>
-                      <SegmentedControl
-                        value={muscleChartMode}
-                        onChange={setMuscleChartMode}
-                        options={[
-                          { value: 'volume', label: 'Volume' },
-                          { value: 'sets', label: 'Sets' }
-                        ]}
-                      />
+                <MuscleBreakdownCard
+                  stats={weeklyStats}
+                  mode={muscleChartMode}
+                  onModeChange={setMuscleChartMode}
+                />
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Trends view - arbitrary date range */}
+        {view === 'trends' && (
+          <div className="space-y-6">
+            {/* Range picker */}
+            <Card>
+              <div className="flex flex-col gap-4">
+                <SegmentedControl
+                  value={rangePreset}
+                  onChange={handleRangePresetChange}
+                  options={STATS_RANGE_PRESETS.map(({ value, label }) => ({ value, label }))}
+                />
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                  <Input
+                    label="From"
+                    type="date"
+                    value={statsRange.from}
+                    max={statsRange.to}
+                    onChange={(e) => handleRangeDateChange('from', e.target.value)}
+                    fullWidth
+                  />
+                  <Input
+                    label="To"
+                    type="date"
+                    value={statsRange.to}
+                    min={statsRange.from}
+                    onChange={(e) => handleRangeDateChange('to', e.target.value)}
+                    fullWidth
+                  />
+                  <SegmentedControl
+                    value={statsRange.granularity}
+                    onChange={(granularity) => setStatsRange(prev => ({ ...prev, granularity }))}
+                    options={STATS_GRANULARITIES}
+                  />
+                </div>
+              </div>
+            </Card>
+
+            {!rangeStats ? (
+              <div className="text-center py-12 text-text-muted">Loading trends...</div>
+            ) : (
+              <>
+                {/* Range totals */}
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <Card className="text-center">
+                    <div className="text-sm font-medium text-text-muted mb-1">Total Workouts</div>
+                    <div className="font-display text-2xl font-bold text-text">
+                      {rangeStats.total_workouts || 0}
                     </div>
-                    <div className="space-y-4">
-                      {(() => {
-                        const muscleData = muscleChartMode === 'volume'
-                          ? weeklyStats.volume_by_muscle
-                          : weeklyStats.sets_by_muscle || {};
-                        const maxValue = Math.max(...Object.values(muscleData));
-                        const sortedData = Object.entries(muscleData).sort(([, a], [, b]) => b - a);
-
-                        return sortedData.map(([muscle, value]) => {
-                          const percentage = (value / maxValue) * 100;
-                          return (
-                            <div key={muscle}>
-                              <div className="flex items-center justify-between mb-1.5">
-                                <span className="text-text font-medium capitalize">{muscle}</span>
-                                <span className="font-display text-text font-semibold">
-                                  {muscleChartMode === 'volume'
-                                    ? `${Math.round(value).toLocaleString()} lbs`
-                                    : `${Math.round(value)} sets`
-                                  }
-                                </span>
-                              </div>
-                              <ProgressBar progress={percentage} />
-                            </div>
-                          );
-                        });
-                      })()}
+                  </Card>
+                  <Card className="text-center">
+                    <div className="text-sm font-medium text-text-muted mb-1">Total Volume</div>
+                    <div className="font-display text-2xl font-bold text-text">
+                      {Math.round(rangeStats.total_volume || 0).toLocaleString()}
                     </div>
+                    <div className="text-xs text-text-light mt-0.5">lbs</div>
                   </Card>
-                )}
+                  <Card className="text-center">
+                    <div className="text-sm font-medium text-text-muted mb-1">Total Sets</div>
+                    <div className="font-display text-2xl font-bold text-text">
+                      {rangeStats.total_sets || 0}
+                    </div>
+                  </Card>
+                  <Card className="text-center">
+                    <div className="text-sm font-medium text-text-muted mb-1">Avg Duration</div>
+                    <div className="font-display text-2xl font-bold text-text">
+                      {rangeStats.avg_duration_minutes
+                        ? `${Math.round(rangeStats.avg_duration_minutes)}m`
+                        : '-'}
+                    </div>
+                  </Card>
+                </div>
+
+                {/* Volume trend */}
+                <Card>
+                  <h3 className="font-display text-lg font-semibold text-text mb-4">
+                    Volume per {rangeStats.range.granularity}
+                  </h3>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={rangeStats.buckets}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                      <XAxis
+                        dataKey="start"
+                        tickFormatter={(start) => formatBucketLabel(start, rangeStats.range.granularity)}
+                        stroke="var(--text-light)"
+                        style={CHART_AXIS_STYLE}
+                      />
+                      <YAxis stroke="var(--text-light)" style={CHART_AXIS_STYLE} />
+                      <Tooltip
+                        contentStyle={CHART_TOOLTIP_STYLE}
+                        labelStyle={{ color: 'var(--text)', fontWeight: 500 }}
+                        labelFormatter={(start) => formatDate(start)}
+                      />
+                      <Bar dataKey="total_volume" fill={CHART_COLORS.volume} name="Volume (lbs)" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Card>
+
+                {/* Sets and workouts trend */}
+                <Card>
+                  <h3 className="font-display text-lg font-semibold text-text mb-4">
+                    Sets & Workouts per {rangeStats.range.granularity}
+                  </h3>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={rangeStats.buckets}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                      <XAxis
+                        dataKey="start"
+                        tickFormatter={(start) => formatBucketLabel(start, rangeStats.range.granularity)}
+                        stroke="var(--text-light)"
+                        style={CHART_AXIS_STYLE}
+                      />
+                      <YAxis yAxisId="sets" stroke="var(--text-light)" style={CHART_AXIS_STYLE} />
+                      <YAxis yAxisId="workouts" orientation="right" allowDecimals={false} stroke="var(--text-light)" style={CHART_AXIS_STYLE} />
+                      <Tooltip
+                        contentStyle={CHART_TOOLTIP_STYLE}
+                        labelStyle={{ color: 'var(--text)', fontWeight: 500 }}
+                        labelFormatter={(start) => formatDate(start)}
+                      />
+                      <Legend
+                        wrapperStyle={{
+                          fontFamily: 'var(--font-body)',
+                          fontSize: '13px',
+                          color: 'var(--text-muted)'
+                        }}
+                      />
+                      <Line
+                        yAxisId="sets"
+                        type="monotone"
+                        dataKey="total_sets"
+                        stroke={CHART_COLORS.primary}
+                        name="Sets"
+                        strokeWidth={2}
+                        dot={false}
+                      />
+                      <Line
+                        yAxisId="workouts"
+                        type="monotone"
+                        dataKey="total_workouts"
+                        stroke={CHART_COLORS.secondary}
+                        name="Workouts"
+                        strokeWidth={2}
+                        dot={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </Card>
+
+                <MuscleBreakdownCard
+                  stats={rangeStats}
+                  mode={muscleChartMode}
+                  onModeChange={setMuscleChartMode}
+                />
               </>
             )}
+
+            <SessionDensityCard from={statsRange.from} to={statsRange.to} />
+
+            <BodyweightCard from={statsRange.from} to={statsRange.to} />
           </div>
         )}
       </div>
@@ -0,0 +1,231 @@
+/**
+ * Recap Page - Monthly and yearly training recaps
+ *
+ * Features: workouts, hours trained, tonnage, longest streaks and best week for a month or year,
+ * most-trained muscles, top exercises and the biggest PR jumps, shared as a generated image
+ */
+
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { progressAPI } from '../lib/api';
+import { formatDate, formatSetCount, formatVolume, formatWeight } from '../lib/formatters';
+import { getRecapTitle, shiftRecapKey, getRecapHighlights, formatPRJump, createRecapImage, shareRecapImage } from '../lib/recap';
+import { useToast } from '../hooks/useToast';
+import SegmentedControl from '../components/ui/SegmentedControl';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import EmptyState from '../components/ui/EmptyState';
+import { SkeletonChart } from '../components/ui/Skeleton';
+import { ChevronLeftIcon, ChevronRightIcon, TrophyIcon } from '../icons';
+
+/**
+ * Key of the month or year containing today ('YYYY-MM' or 'YYYY')
+ */
+const getCurrentKey = (period) => format(new Date(), period === 'month' ? 'yyyy-MM' : 'yyyy');
+
+const Recap = () => {
+  const [period, setPeriod] = useState('month');
+  const [periodKey, setPeriodKey] = useState(getCurrentKey('month'));
+  const [recap, setRecap] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sharing, setSharing] = useState(false);
+  const { success, error: showError } = useToast();
+
+  useEffect(() => {
+    const loadRecap = async () => {
+      setLoading(true);
+      try {
+        const data = await progressAPI.getRecap({ period, date: periodKey });
+        setRecap(data.recap || null);
+      } catch (err) {
+        console.error('Failed to load recap:', err);
+        showError('Failed to load recap');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRecap();
+  }, [period, periodKey]);
+
+  const handlePeriodChange = (value) => {
+    setPeriod(value);
+    setPeriodKey(getCurrentKey(value));
+  };
+
+  const handleShare = async () => {
+    setSharing(true);
+    try {
+      const image = await createRecapImage(recap);
+      const result = await shareRecapImage(image, getRecapTitle(recap));
+      if (result === 'downloaded') {
+        success('Recap image saved');
+      }
+    } catch (err) {
+      // Closing the share sheet is not an error
+      if (err.name !== 'AbortError') {
+        console.error('Failed to share recap:', err);
+        showError('Failed to share recap');
+      }
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const isCurrent = periodKey >= getCurrentKey(period);
+  const title = getRecapTitle({ period, key: periodKey });
+
+  return (
+    <div className="min-h-screen bg-bg">
+      <div className="container mx-auto px-4 py-6 max-w-4xl">
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4 mb-6">
+          <h1 className="font-display text-2xl md:text-3xl font-semibold text-text">
+            Recap
+          </h1>
+          <Button
+            variant="primary"
+            size="sm"
+            onClick={handleShare}
+            disabled={!recap || recap.total_workouts === 0 || loading}
+            loading={sharing}
+          >
+            Share image
+          </Button>
+        </div>
+
+        <div className="mb-6">
+          <SegmentedControl
+            value={period}
+            onChange={handlePeriodChange}
+            options={[
+              { value: 'month', label: 'Month' },
+              { value: 'year', label: 'Year' },
+            ]}
+          />
+        </div>
+
+        {/* Period picker */}
+        <div className="flex items-center justify-between mb-6">
+          <button
+            onClick={() => setPeriodKey(shiftRecapKey(period, periodKey, -1))}
+            className="p-2 rounded-lg text-text-muted hover:text-text hover:bg-bg-alt transition-colors"
+            aria-label={`Previous ${period}`}
+          >
+            <ChevronLeftIcon size={20} />
+          </button>
+          <div className="text-center">
+            <h2 className="font-display text-xl font-semibold text-text">{title}</h2>
+            {recap && (
+              <p className="text-[13px] text-text-muted">
+                {formatDate(recap.start)} - {formatDate(recap.end)}{recap.in_progress ? ' (so far)' : ''}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={() => setPeriodKey(shiftRecapKey(period, periodKey, 1))}
+            disabled={isCurrent}
+            className="p-2 rounded-lg text-text-muted hover:text-text hover:bg-bg-alt transition-colors disabled:opacity-30 disabled:pointer-events-none"
+            aria-label={`Next ${period}`}
+          >
+            <ChevronRightIcon size={20} />
+          </button>
+        </div>
+
+        {loading && <SkeletonChart />}
+
+        {!loading && recap && recap.total_workouts === 0 && (
+          <EmptyState
+            icon={<TrophyIcon size={48} color="currentColor" />}
+            title="No workouts in this period"
+            description={`Log workouts and your ${period === 'month' ? 'monthly' : 'yearly'} recap shows up here`}
+          />
+        )}
+
+        {!loading && recap && recap.total_workouts > 0 && (
+          <div className="space-y-6">
+            {/* Headline numbers */}
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {getRecapHighlights(recap).map(({ label, value }) => (
+                <Card key={label} variant="standard" padding="sm">
+                  <div className="text-[11px] font-medium text-text-muted uppercase tracking-wide mb-1">
+                    {label}
+                  </div>
+                  <div className="text-[22px] font-bold text-text font-display">{value}</div>
+                </Card>
+              ))}
+            </div>
+            {recap.best_week && (
+              <p className="text-[13px] text-text-muted -mt-3">
+                Best week: {formatDate(recap.best_week.week_start)} - {formatDate(recap.best_week.week_end)},{' '}
+                {recap.best_week.workout_count} {recap.best_week.workout_count === 1 ? 'workout' : 'workouts'}
+              </p>
+            )}
+
+            <div className="grid md:grid-cols-2 gap-6">
+              {/* Top exercises */}
+              <Card>
+                <h3 className="font-display text-lg font-semibold text-text mb-4">Top Exercises</h3>
+                <ol className="space-y-3">
+                  {recap.top_exercises.map((exercise, index) => (
+                    <li key={exercise.exercise_id} className="flex items-baseline justify-between gap-3 text-sm">
+                      <span className="text-text">
+                        <span className="font-mono text-text-muted mr-2">{index + 1}</span>
+                        {exercise.exercise_name}
+                      </span>
+                      <span className="text-text-muted text-right">
+                        {formatSetCount(exercise.sets)}
+                        {exercise.top_weight !== null && ` · top ${formatWeight(exercise.top_weight)}`}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </Card>
+
+              {/* Most-trained muscles */}
+              <Card>
+                <h3 className="font-display text-lg font-semibold text-text mb-4">Most Trained</h3>
+                <ol className="space-y-3">
+                  {recap.top_muscles.map((muscle, index) => (
+                    <li key={muscle.muscle} className="flex items-baseline justify-between gap-3 text-sm">
+                      <span className="text-text capitalize">
+                        <span className="font-mono text-text-muted mr-2">{index + 1}</span>
+                        {muscle.muscle}
+                      </span>
+                      <span className="text-text-muted text-right">
+                        {formatSetCount(muscle.sets)} · {formatVolume(muscle.volume)}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </Card>
+            </div>
+
+            {/* Biggest PR jumps */}
+            {recap.prs.biggest_jumps.length > 0 && (
+              <Card>
+                <h3 className="font-display text-lg font-semibold text-text mb-1">Biggest PR Jumps</h3>
+                <p className="text-[13px] text-text-muted mb-4">
+                  From the record standing before this {period} to its best
+                  {recap.prs.first_records > 0 && `. ${recap.prs.first_records} first-time records not counted`}
+                </p>
+                <ul className="space-y-2 text-sm text-text">
+                  {recap.prs.biggest_jumps.map(jump => (
+                    <li key={`${jump.exercise_id}-${jump.rep_range}`} className="flex items-baseline justify-between gap-3">
+                      <span>{formatPRJump(jump)}</span>
+                      {jump.jump_percent !== null && (
+                        <span className="text-success font-medium">+{jump.jump_percent}%</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </Card>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Recap;
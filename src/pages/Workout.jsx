@@ -7,14 +7,19 @@
  * - Set logging with SetEntry component
  * - Previous performance display
  * - Draft auto-save (every 30s)
- * - Rest timer integration (manual start only)
+ * - Rest timer integration (manual start, automatic after a full superset/circuit round)
+ * - Supersets, circuits and giant sets (linked exercises logged in rotation)
+ * - Plate breakdowns and buildable loads from the active equipment profile
+ * - Warm-up ramps to the first working weight (one tap, or automatic for template exercises)
+ * - Warm-up sets that beat a PR are flagged, with a one-tap switch to a working set
  * - AI assistant integration
  * - Workout completion with atomic draft deletion
+ * - PR toasts and "PRs this session" summary (PRs detected server-side on sync)
  */
 
 import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { workoutAPI, exerciseAPI, templateAPI } from '../lib/api';
+import { workoutAPI, exerciseAPI, templateAPI, userAPI, progressAPI } from '../lib/api';
 import { useToastContext } from '../contexts/ToastContext';
 import { useDraftAutoSave } from '../hooks/useDraftAutoSave';
 import { useNetworkStatus } from '../hooks/useNetworkStatus';
@@ -22,8 +27,41 @@ import SetEntry from '../components/SetEntry';
 import SetRowInline from '../components/SetRowInline';
 import RestTimer from '../components/RestTimer';
 import AIChatPanel from '../components/AIChatPanel';
-import { generateUUID, formatDuration, calculateVolume } from '../lib/formatters';
-import { VALIDATION_LIMITS } from '../lib/constants';
+import ExerciseGroupHeader from '../components/ExerciseGroupHeader';
+import ExerciseLinkButton from '../components/ExerciseLinkButton';
+import {
+  generateUUID,
+  formatDuration,
+  calculateVolume,
+  getLoadProfile,
+  formatWeight,
+  formatPRAchievement,
+  collectSyncedPRs,
+  formatGoal,
+  formatEnduranceSet,
+  calculateEffectiveLoad
+} from '../lib/formatters';
+import {
+  getExerciseSegments,
+  getSetLabel,
+  getCompletedRounds,
+  getNextInRotation,
+  linkWithNext,
+  unlinkFromNext,
+  updateExerciseGroup,
+  cleanExerciseGroups
+} from '../lib/exerciseGroups';
+import { hasSides, formatSides } from '../lib/unilateral';
+import { generateWarmupSets, getFirstWorkingWeight, findWarmupPRFlags } from '../lib/warmups';
+import {
+  VALIDATION_LIMITS,
+  SESSION_RPE_OPTIONS,
+  DEFAULT_GROUP_REST_SECONDS,
+  DEFAULT_EQUIPMENT_PROFILE,
+  DEFAULT_WARMUP_SCHEME,
+  ENDURANCE_EXERCISE_TYPES,
+  FEATURES
+} from '../lib/constants';
 
 // UI Components
 import Button from '../components/ui/Button';
@@ -46,10 +84,52 @@ import {
   WifiOffIcon
 } from '../icons';
 
+/**
+ * Empty set to log
+ */
+const createSet = (setNumber) => ({
+  set_number: setNumber,
+  weight: null,
+  reps: null,
+  rir: null,
+  is_warmup: false,
+  notes: null,
+  is_completed: false,
+  set_type: 'standard',
+  sub_sets: [],
+  left_weight: null,
+  left_reps: null,
+  right_weight: null,
+  right_reps: null,
+  duration_seconds: null,
+  distance_meters: null,
+});
+
+/**
+ * Previous-session set from the workouts API (camelCase) in the shape the set entries read
+ */
+const toPreviousSet = (set) => ({
+  ...set,
+  left_weight: set.left_weight ?? set.leftWeight ?? null,
+  left_reps: set.left_reps ?? set.leftReps ?? null,
+  right_weight: set.right_weight ?? set.rightWeight ?? null,
+  right_reps: set.right_reps ?? set.rightReps ?? null,
+  duration_seconds: set.duration_seconds ?? set.durationSeconds ?? null,
+  distance_meters: set.distance_meters ?? set.distanceMeters ?? null,
+});
+
+/**
+ * Warm-up sets ({ weight, reps }) in front of an exercise's sets, renumbered
+ */
+const prependWarmupSets = (sets, warmups) => [
+  ...warmups.map(warmup => ({ ...createSet(0), weight: warmup.weight, reps: warmup.reps, is_warmup: true })),
+  ...sets,
+].map((set, i) => ({ ...set, set_number: i + 1 }));
+
 const Workout = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { success, error: showError, warning } = useToastContext();
+  const { success, error: showError, warning, pr: showPR } = useToastContext();
   const { isOnline } = useNetworkStatus();
 
   // Workout state
@@ -63,6 +143,11 @@ const Workout = () => {
   const [showStartModal, setShowStartModal] = useState(false);
   const [showExerciseModal, setShowExerciseModal] = useState(false);
   const [showAIChatPanel, setShowAIChatPanel] = useState(false);
+  const [sessionPRs, setSessionPRs] = useState(null); // PRs returned by sync after completion
+  const [bodyweight, setBodyweight] = useState(null); // Latest logged bodyweight (for volume)
+  const [equipmentProfile, setEquipmentProfile] = useState(DEFAULT_EQUIPMENT_PROFILE); // Plates, dumbbells, cable stack
+  const [warmupScheme, setWarmupScheme] = useState(DEFAULT_WARMUP_SCHEME);
+  const [exerciseRecords, setExerciseRecords] = useState({}); // exercise_id -> { prs, rep_ranges } (flags warm-up PRs)
 
   // Draft auto-save
   const { saveDraft, deleteDraft, loadDraft } = useDraftAutoSave(workout, !!workout);
@@ -70,6 +155,10 @@ const Workout = () => {
   // Current exercise index for AI context
   const [currentExerciseIndex, setCurrentExerciseIndex] = useState(0);
 
+  // Group rotation: exercise to log next, and the rest started after a full round
+  const [upNextIndex, setUpNextIndex] = useState(null);
+  const [roundRest, setRoundRest] = useState(null);
+
   /**
    * Load exercises and templates on mount
    */
@@ -90,6 +179,36 @@ const Workout = () => {
     loadData();
   }, [showError]);
 
+  /**
+   * Load latest bodyweight for bodyweight-exercise volume
+   * Non-critical: falls back to the default estimate (e.g. when offline)
+   */
+  useEffect(() => {
+    userAPI.getBodyweightEntries({ limit: 1 })
+      .then(data => setBodyweight(data.entries?.[0]?.weight ?? null))
+      .catch(err => console.error('Failed to load bodyweight:', err));
+  }, []);
+
+  /**
+   * Load the active equipment profile for plate breakdowns and buildable loads
+   * Non-critical: falls back to the standard gym (e.g. when offline)
+   */
+  useEffect(() => {
+    userAPI.getEquipmentProfiles()
+      .then(data => setEquipmentProfile(data.active || DEFAULT_EQUIPMENT_PROFILE))
+      .catch(err => console.error('Failed to load equipment profile:', err));
+  }, []);
+
+  /**
+   * Load the warm-up scheme for generated warm-up sets
+   * Non-critical: falls back to the default ramp (e.g. when offline)
+   */
+  useEffect(() => {
+    userAPI.getSettings()
+      .then(data => setWarmupScheme(data.settings?.warmupScheme || DEFAULT_WARMUP_SCHEME))
+      .catch(err => console.error('Failed to load warm-up scheme:', err));
+  }, []);
+
   /**
    * Check for navigation state to auto-start workout
    */
@@ -132,17 +251,44 @@ const Workout = () => {
     try {
       setLoading(true);
       const templateData = await templateAPI.getExercises(templateId);
+      const performance = await fetchPreviousPerformance(templateData.exercises.map(ex => ex.exerciseId));
+      fetchExerciseRecords(templateData.exercises.map(ex => ex.exerciseId));
+
+      // Auto warm-ups ramp to last session's first working weight
+      let warmupOptions = null;
+      if (templateData.exercises.some(ex => ex.autoWarmup)) {
+        // Loaded here, as a template started on arrival can run before the scheme and equipment load
+        const [settingsData, equipmentData] = await Promise.all([
+          userAPI.getSettings().catch(() => null),
+          userAPI.getEquipmentProfiles().catch(() => null),
+        ]);
+        warmupOptions = {
+          scheme: settingsData?.settings?.warmupScheme || warmupScheme,
+          profile: equipmentData?.active || equipmentProfile,
+        };
+      }
 
       const newWorkout = {
         id: generateUUID(),
         name: templateData.name || `Workout ${new Date().toLocaleDateString()}`,
         started_at: new Date().toISOString(),
+        template_id: templateId,
         exercises: templateData.exercises.map((ex, idx) => ({
-          exercise_id: ex.exercise_id,
-          name: ex.name,
-          type: ex.type,
+          exercise_id: ex.exerciseId,
+          name: ex.exerciseName,
+          type: ex.exerciseType,
+          equipment: ex.exerciseEquipment,
           order_index: idx,
-          sets: [],
+          group_id: ex.groupId || null,
+          group_type: ex.groupType || null,
+          group_rounds: ex.groupRounds || null,
+          auto_warmup: ex.autoWarmup === true,
+          sets: ex.autoWarmup
+            ? prependWarmupSets([], generateWarmupSets(
+              getFirstWorkingWeight([], performance[ex.exerciseId]),
+              { ...warmupOptions, equipment: ex.exerciseEquipment }
+            ))
+            : [],
         })),
       };
 
@@ -171,6 +317,7 @@ const Workout = () => {
 
       setWorkout(draftData);
       setShowStartModal(false);
+      fetchExerciseRecords(draftData.exercises?.map(ex => ex.exercise_id) || []);
       success('Draft resumed');
     } catch (err) {
       showError('Failed to load draft: ' + err.message);
@@ -189,6 +336,10 @@ const Workout = () => {
       exercise_id: exercise.id,
       name: exercise.name,
       type: exercise.type,
+      load_mode: exercise.loadMode,
+      bodyweight_fraction: exercise.bodyweightFraction,
+      is_unilateral: exercise.isUnilateral === true,
+      equipment: exercise.equipment,
       order_index: workout.exercises.length,
       sets: [],
     };
@@ -199,7 +350,8 @@ const Workout = () => {
     }));
 
     // Fetch previous performance for this exercise
-    await fetchPreviousPerformance(exercise.id);
+    fetchExerciseRecords([exercise.id]);
+    await fetchPreviousPerformance([exercise.id]);
 
     setShowExerciseModal(false);
     success(`Added ${exercise.name}`);
@@ -212,7 +364,8 @@ const Workout = () => {
     if (!workout) return;
     if (!window.confirm('Remove this exercise?')) return;
 
-    const updatedExercises = workout.exercises.filter((_, i) => i !== index);
+    // A group left with one exercise is dissolved
+    const updatedExercises = cleanExerciseGroups(workout.exercises.filter((_, i) => i !== index));
     // Reindex remaining exercises
     updatedExercises.forEach((ex, i) => {
       ex.order_index = i;
@@ -222,6 +375,7 @@ const Workout = () => {
       ...prev,
       exercises: updatedExercises,
     }));
+    setUpNextIndex(null);
   };
 
   /**
@@ -233,10 +387,13 @@ const Workout = () => {
     const newIndex = direction === 'up' ? index - 1 : index + 1;
     if (newIndex < 0 || newIndex >= workout.exercises.length) return;
 
-    const updatedExercises = [...workout.exercises];
+    let updatedExercises = [...workout.exercises];
     [updatedExercises[index], updatedExercises[newIndex]] =
       [updatedExercises[newIndex], updatedExercises[index]];
 
+    // Moving past the edge of a group takes the exercise out of it
+    updatedExercises = cleanExerciseGroups(updatedExercises);
+
     // Reindex
     updatedExercises.forEach((ex, i) => {
       ex.order_index = i;
@@ -246,37 +403,60 @@ const Workout = () => {
       ...prev,
       exercises: updatedExercises,
     }));
+    setUpNextIndex(null);
   };
 
   /**
-   * Fetch previous performance for exercise
+   * Fetch previous performance for exercises
+   * Returns the working sets found per exercise id (also kept in state)
    */
-  const fetchPreviousPerformance = async (exerciseId) => {
+  /**
+   * Fetch the PRs of exercises, to flag warm-up sets that beat them
+   * Non-critical: warm-ups go unflagged when the PRs can't be loaded (e.g. when offline)
+   */
+  const fetchExerciseRecords = async (exerciseIds) => {
+    const missing = [...new Set(exerciseIds)].filter(id => id && !(id in exerciseRecords));
+    try {
+      const results = await Promise.all(missing.map(exerciseId => progressAPI.getPRs(exerciseId)));
+      setExerciseRecords(prev => ({
+        ...prev,
+        ...Object.fromEntries(missing.map((exerciseId, i) => [exerciseId, results[i]])),
+      }));
+    } catch (err) {
+      console.error('Failed to fetch PRs:', err);
+    }
+  };
+
+  const fetchPreviousPerformance = async (exerciseIds) => {
     try {
       // Fetch recent workouts (server doesn't filter by exerciseId)
       const response = await workoutAPI.getAll({ limit: 20 });
+      const performance = {};
+
+      exerciseIds.forEach(exerciseId => {
+        // Find the most recent workout that contains this exercise
+        const workoutsWithExercise = response.workouts?.filter(w =>
+          w.exercises?.some(ex => ex.exercise_id === exerciseId || ex.exerciseId === exerciseId)
+        ) || [];
+
+        if (workoutsWithExercise.length > 0) {
+          // Get the most recent one
+          const lastWorkout = workoutsWithExercise[0];
+          const exerciseData = lastWorkout.exercises?.find(
+            ex => ex.exercise_id === exerciseId || ex.exerciseId === exerciseId
+          );
 
-      // Find the most recent workout that contains this exercise
-      const workoutsWithExercise = response.workouts?.filter(w =>
-        w.exercises?.some(ex => ex.exercise_id === exerciseId || ex.exerciseId === exerciseId)
-      ) || [];
-
-      if (workoutsWithExercise.length > 0) {
-        // Get the most recent one
-        const lastWorkout = workoutsWithExercise[0];
-        const exerciseData = lastWorkout.exercises?.find(
-          ex => ex.exercise_id === exerciseId || ex.exerciseId === exerciseId
-        );
-
-        if (exerciseData?.sets) {
-          setPreviousPerformance(prev => ({
-            ...prev,
-            [exerciseId]: exerciseData.sets.filter(s => !s.is_warmup && !s.isWarmup),
-          }));
+          if (exerciseData?.sets) {
+            performance[exerciseId] = exerciseData.sets.filter(s => !s.is_warmup && !s.isWarmup).map(toPreviousSet);
+          }
         }
-      }
+      });
+
+      setPreviousPerformance(prev => ({ ...prev, ...performance }));
+      return performance;
     } catch (err) {
       console.error('Failed to fetch previous performance:', err);
+      return {};
     }
   };
 
@@ -290,15 +470,40 @@ const Workout = () => {
     const setNumber = exercise.sets.length + 1;
 
     const updatedExercises = [...workout.exercises];
-    updatedExercises[exerciseIndex].sets.push({
-      set_number: setNumber,
-      weight: null,
-      reps: null,
-      rir: null,
-      is_warmup: false,
-      notes: null,
-      is_completed: false,
+    updatedExercises[exerciseIndex].sets.push(createSet(setNumber));
+
+    setWorkout(prev => ({
+      ...prev,
+      exercises: updatedExercises,
+    }));
+  };
+
+  /**
+   * Put the warm-up ramp in front of an exercise's sets
+   * Ramps to the first working weight planned in this workout, else last session's
+   */
+  const addWarmupSets = (exerciseIndex) => {
+    if (!workout) return;
+
+    const exercise = workout.exercises[exerciseIndex];
+    const workingWeight = getFirstWorkingWeight(exercise.sets, previousPerformance[exercise.exercise_id]);
+    if (!workingWeight) {
+      warning('Log a working weight first to warm up to');
+      return;
+    }
+
+    const warmups = generateWarmupSets(workingWeight, {
+      scheme: warmupScheme,
+      equipment: exercise.equipment || exercises.find(ex => ex.id === exercise.exercise_id)?.equipment,
+      profile: equipmentProfile,
     });
+    if (warmups.length === 0) {
+      warning(`No warm-up needed for ${formatWeight(workingWeight)}`);
+      return;
+    }
+
+    const updatedExercises = [...workout.exercises];
+    updatedExercises[exerciseIndex] = { ...exercise, sets: prependWarmupSets(exercise.sets, warmups) };
 
     setWorkout(prev => ({
       ...prev,
@@ -313,9 +518,118 @@ const Workout = () => {
     if (!workout) return;
 
     const updatedExercises = [...workout.exercises];
+    const existing = updatedExercises[exerciseIndex].sets[setIndex];
     updatedExercises[exerciseIndex].sets[setIndex] = {
-      ...updatedExercises[exerciseIndex].sets[setIndex],
+      ...existing,
       ...setData,
+      // Log time of the first save, gaps between sets are the actual rest
+      completed_at: existing.completed_at || (setData.is_completed ? new Date().toISOString() : null),
+    };
+
+    // Supersets, circuits and giant sets: move on to the next exercise, rest after the whole round
+    const rotation = !existing.is_completed && setData.is_completed
+      ? getNextInRotation(updatedExercises, exerciseIndex)
+      : null;
+    if (rotation) {
+      advanceRotation(updatedExercises, rotation, existing.set_number);
+    }
+
+    setWorkout(prev => ({
+      ...prev,
+      exercises: updatedExercises,
+    }));
+  };
+
+  /**
+   * After a set of a grouped exercise: give the next exercise a set for its round and point
+   * to it, or start the rest timer once the round is complete
+   * Open-ended groups only add sets within the current round
+   */
+  const advanceRotation = (updatedExercises, { nextIndex, roundComplete }, round) => {
+    const next = updatedExercises[nextIndex];
+    const nextRound = roundComplete ? round + 1 : round;
+    const groupContinues = nextRound <= (next.group_rounds || round);
+
+    if (groupContinues && next.sets.length === nextRound - 1) {
+      next.sets.push(createSet(nextRound));
+    }
+    setUpNextIndex(groupContinues ? nextIndex : null);
+
+    if (roundComplete) {
+      // Rest with the preset picked most recently in this workout
+      const lastPreset = updatedExercises
+        .flatMap(exercise => exercise.sets)
+        .filter(set => set.rest_timer_seconds && set.completed_at)
+        .sort((a, b) => a.completed_at.localeCompare(b.completed_at))
+        .pop()?.rest_timer_seconds;
+      setRoundRest({ id: Date.now(), seconds: lastPreset || DEFAULT_GROUP_REST_SECONDS });
+    } else {
+      document.getElementById(`workout-exercise-${nextIndex}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  };
+
+  /**
+   * Link an exercise with the next one, or split them apart
+   */
+  const toggleExerciseLink = (index) => {
+    if (!workout) return;
+
+    const linked = workout.exercises[index].group_id &&
+      workout.exercises[index].group_id === workout.exercises[index + 1]?.group_id;
+
+    setWorkout(prev => ({
+      ...prev,
+      exercises: linked ? unlinkFromNext(prev.exercises, index) : linkWithNext(prev.exercises, index),
+    }));
+  };
+
+  /**
+   * Change a group's type or planned rounds
+   */
+  const changeExerciseGroup = (groupId, changes) => {
+    setWorkout(prev => ({
+      ...prev,
+      exercises: updateExerciseGroup(prev.exercises, groupId, changes),
+    }));
+  };
+
+  /**
+   * Record the rest timer preset started after the most recently logged set
+   */
+  const recordRestTimer = (seconds) => {
+    if (!workout) return;
+
+    let latest = null;
+    workout.exercises.forEach(exercise => {
+      exercise.sets.forEach(set => {
+        if (set.completed_at && (!latest || set.completed_at > latest.completed_at)) {
+          latest = set;
+        }
+      });
+    });
+    if (!latest) return;
+
+    const updatedExercises = workout.exercises.map(exercise => ({
+      ...exercise,
+      sets: exercise.sets.map(set => (set === latest ? { ...set, rest_timer_seconds: seconds } : set)),
+    }));
+
+    setWorkout(prev => ({
+      ...prev,
+      exercises: updatedExercises,
+    }));
+  };
+
+  /**
+   * Reclassify a warm-up set as a working set (e.g. a warm-up that beat a PR)
+   */
+  const markWorkingSet = (exerciseIndex, setIndex) => {
+    if (!workout) return;
+
+    const updatedExercises = [...workout.exercises];
+    updatedExercises[exerciseIndex] = {
+      ...updatedExercises[exerciseIndex],
+      sets: updatedExercises[exerciseIndex].sets.map((set, i) => (i === setIndex ? { ...set, is_warmup: false } : set)),
     };
 
     setWorkout(prev => ({
@@ -346,6 +660,13 @@ const Workout = () => {
     }));
   };
 
+  /**
+   * Leave for History, opening a template workout compared with its previous session
+   */
+  const goToHistory = () => {
+    navigate('/history', workout?.template_id ? { state: { compareWorkoutId: workout.id } } : undefined);
+  };
+
   /**
    * Complete workout
    */
@@ -373,7 +694,7 @@ const Workout = () => {
       const durationSeconds = Math.floor((completed - started) / 1000);
 
       // Calculate total volume
-      const totalVolume = calculateVolume(workout.exercises);
+      const totalVolume = calculateVolume(workout.exercises, bodyweight);
 
       // Prepare workout data for sync endpoint (camelCase)
       const workoutData = {
@@ -382,22 +703,35 @@ const Workout = () => {
         startedAt: workout.started_at,
         completedAt,
         durationSeconds,
+        sessionRpe: workout.session_rpe ?? null,
+        templateId: workout.template_id || null,
         exercises: workout.exercises.map(ex => ({
           id: ex.id,
           exerciseId: ex.exercise_id,
           orderIndex: ex.order_index,
           isCompleted: ex.is_completed,
+          groupId: ex.group_id || null,
+          groupType: ex.group_type || null,
+          groupRounds: ex.group_rounds || null,
           sets: ex.sets.map(set => ({
             id: set.id,
             setNumber: set.set_number,
             weight: set.weight,
             reps: set.reps,
+            leftWeight: set.left_weight ?? null,
+            leftReps: set.left_reps ?? null,
+            rightWeight: set.right_weight ?? null,
+            rightReps: set.right_reps ?? null,
             rir: set.rir,
             durationSeconds: set.duration_seconds,
-            distance: set.distance,
+            distanceMeters: set.distance_meters,
             notes: set.notes,
             isWarmup: set.is_warmup,
             isCompleted: set.is_completed,
+            completedAt: set.completed_at || null,
+            restTimerSeconds: set.rest_timer_seconds || null,
+            setType: set.set_type || 'standard',
+            subSets: set.sub_sets || [],
           })),
         })),
       };
@@ -426,7 +760,7 @@ const Workout = () => {
       });
 
       // Sync to server with atomic draft deletion
-      await workoutAPI.sync({
+      const syncResult = await workoutAPI.sync({
         completedWorkouts: [workoutData],
         deleteDraftIds: [workout.id],
       });
@@ -435,7 +769,23 @@ const Workout = () => {
       await deleteDraft(workout.id);
 
       success('Workout completed!');
-      navigate('/history');
+
+      // Goals this workout reached (like PRs, only known once the server has the workout)
+      (syncResult?.completedGoals || []).forEach(goal => {
+        success(`Goal reached: ${formatGoal(goal)}`);
+      });
+
+      // PRs are only known once the server has the workout (offline syncs report them later)
+      const prsHit = collectSyncedPRs(syncResult);
+      if (prsHit.length === 0) {
+        goToHistory();
+        return;
+      }
+
+      prsHit.forEach(record => {
+        showPR(formatPRAchievement(record.exercise_name, record.weight, record.reps, record.rep_range));
+      });
+      setSessionPRs(prsHit);
     } catch (err) {
       showError('Failed to complete workout: ' + err.message);
     } finally {
@@ -561,23 +911,66 @@ const Workout = () => {
               </Card>
             ) : (
               <>
-                {workout.exercises.map((exercise, exerciseIndex) => (
-                  <ExerciseBlock
-                    key={`${exercise.exercise_id}-${exerciseIndex}`}
-                    exercise={exercise}
-                    exerciseIndex={exerciseIndex}
-                    previousPerformance={previousPerformance[exercise.exercise_id]}
-                    onAddSet={() => addSet(exerciseIndex)}
-                    onSaveSet={(setIndex, setData) => saveSet(exerciseIndex, setIndex, setData)}
-                    onDeleteSet={(setIndex) => deleteSet(exerciseIndex, setIndex)}
-                    onRemoveExercise={() => removeExercise(exerciseIndex)}
-                    onMoveUp={() => moveExercise(exerciseIndex, 'up')}
-                    onMoveDown={() => moveExercise(exerciseIndex, 'down')}
-                    canMoveUp={exerciseIndex > 0}
-                    canMoveDown={exerciseIndex < workout.exercises.length - 1}
-                    onFocus={() => setCurrentExerciseIndex(exerciseIndex)}
-                  />
-                ))}
+                {getExerciseSegments(workout.exercises).map(segment => {
+                  const blocks = workout.exercises.slice(segment.start, segment.end + 1).map((exercise, offset) => {
+                    const exerciseIndex = segment.start + offset;
+                    return (
+                      <div key={`${exercise.exercise_id}-${exerciseIndex}`} className="space-y-3">
+                        <ExerciseBlock
+                          exercise={exercise}
+                          exerciseIndex={exerciseIndex}
+                          previousPerformance={previousPerformance[exercise.exercise_id]}
+                          records={exerciseRecords[exercise.exercise_id]}
+                          loadProfile={getLoadProfile(
+                            // Template and draft exercises may predate load modes and unilateral flags; use the library entry
+                            exercise.load_mode && exercise.is_unilateral !== undefined
+                              ? exercise
+                              : exercises.find(ex => ex.id === exercise.exercise_id) || exercise
+                          )}
+                          bodyweight={bodyweight}
+                          equipment={exercise.equipment || exercises.find(ex => ex.id === exercise.exercise_id)?.equipment}
+                          equipmentProfile={equipmentProfile}
+                          getSetLabel={(setNumber) => getSetLabel(workout.exercises, exerciseIndex, setNumber)}
+                          isUpNext={upNextIndex === exerciseIndex}
+                          onAddSet={() => addSet(exerciseIndex)}
+                          onAddWarmups={() => addWarmupSets(exerciseIndex)}
+                          onSaveSet={(setIndex, setData) => saveSet(exerciseIndex, setIndex, setData)}
+                          onDeleteSet={(setIndex) => deleteSet(exerciseIndex, setIndex)}
+                          onMarkWorkingSet={(setIndex) => markWorkingSet(exerciseIndex, setIndex)}
+                          onRemoveExercise={() => removeExercise(exerciseIndex)}
+                          onMoveUp={() => moveExercise(exerciseIndex, 'up')}
+                          onMoveDown={() => moveExercise(exerciseIndex, 'down')}
+                          canMoveUp={exerciseIndex > 0}
+                          canMoveDown={exerciseIndex < workout.exercises.length - 1}
+                          onFocus={() => setCurrentExerciseIndex(exerciseIndex)}
+                        />
+                        {FEATURES.supersets && exerciseIndex < workout.exercises.length - 1 && (
+                          <ExerciseLinkButton
+                            linked={exerciseIndex < segment.end}
+                            onClick={() => toggleExerciseLink(exerciseIndex)}
+                          />
+                        )}
+                      </div>
+                    );
+                  });
+
+                  if (!segment.groupId) {
+                    return blocks;
+                  }
+
+                  const groupLead = workout.exercises[segment.start];
+                  return (
+                    <div key={segment.groupId} className="border-l-4 border-accent pl-3 space-y-3">
+                      <ExerciseGroupHeader
+                        groupType={groupLead.group_type}
+                        groupRounds={groupLead.group_rounds}
+                        completedRounds={getCompletedRounds(workout.exercises, segment.start)}
+                        onChange={(changes) => changeExerciseGroup(segment.groupId, changes)}
+                      />
+                      {blocks}
+                    </div>
+                  );
+                })}
 
                 <button
                   onClick={() => setShowExerciseModal(true)}
@@ -590,9 +983,30 @@ const Workout = () => {
             )}
           </div>
 
-          {/* Sidebar - Rest timer and AI */}
+          {/* Sidebar - Rest timer, session RPE and AI */}
           <div className="space-y-6">
-            <RestTimer />
+            <RestTimer onStart={recordRestTimer} startRequest={roundRest} />
+
+            {/* Optional whole-session effort, weights this workout's training load */}
+            <Card>
+              <label htmlFor="session-rpe" className="block text-sm font-semibold text-text mb-2">
+                Session RPE
+              </label>
+              <select
+                id="session-rpe"
+                value={workout.session_rpe ?? ''}
+                onChange={(e) => setWorkout(prev => ({
+                  ...prev,
+                  session_rpe: e.target.value ? parseInt(e.target.value, 10) : null,
+                }))}
+                className="w-full px-3 py-2 bg-surface border border-border rounded-lg text-sm text-text focus:outline-none focus:ring-2 focus:ring-accent/30"
+              >
+                <option value="">Not rated</option>
+                {SESSION_RPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </Card>
 
             <Button
               onClick={() => setShowAIChatPanel(!showAIChatPanel)}
@@ -624,10 +1038,55 @@ const Workout = () => {
           onClose={() => setShowExerciseModal(false)}
         />
       )}
+
+      {/* PRs this session (shown after completion) */}
+      {sessionPRs && (
+        <SessionPRsModal
+          prs={sessionPRs}
+          onClose={goToHistory}
+        />
+      )}
     </div>
   );
 };
 
+/**
+ * Session PRs Modal Component
+ * Lists the PRs the server detected when the workout was saved
+ */
+const SessionPRsModal = ({ prs, onClose }) => {
+  return (
+    <Modal isOpen={true} onClose={onClose} title="PRs this session">
+      <div className="space-y-3">
+        {prs.map(record => (
+          <div
+            key={`${record.exercise_id}-${record.rep_range}`}
+            className="flex items-center justify-between gap-3 p-3 bg-bg-alt rounded-lg border border-border-light"
+          >
+            <div className="min-w-0">
+              <div className="font-medium text-text truncate">{record.exercise_name}</div>
+              <div className="text-xs text-text-muted">
+                Previous best: {formatWeight(record.previous_weight)}
+                {record.estimated_1rm && ` • Est. 1RM ${formatWeight(record.estimated_1rm)}`}
+              </div>
+            </div>
+            <div className="text-right shrink-0">
+              <Badge variant="success">{record.rep_range}</Badge>
+              <div className="font-mono text-sm text-text mt-1">
+                {formatWeight(record.weight)} × {record.reps}
+              </div>
+            </div>
+          </div>
+        ))}
+
+        <Button onClick={onClose} fullWidth className="mt-2">
+          Done
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
 /**
  * Start Workout Modal Component
  */
@@ -713,9 +1172,18 @@ const ExerciseBlock = ({
   exercise,
   exerciseIndex,
   previousPerformance,
+  records,
+  loadProfile,
+  bodyweight,
+  equipment,
+  equipmentProfile,
+  getSetLabel,
+  isUpNext,
   onAddSet,
+  onAddWarmups,
   onSaveSet,
   onDeleteSet,
+  onMarkWorkingSet,
   onRemoveExercise,
   onMoveUp,
   onMoveDown,
@@ -739,12 +1207,36 @@ const ExerciseBlock = ({
     setEditingSetIndex(null);
   };
 
+  // Warm-up sets heavier than the working record for their rep range
+  const warmupPRs = findWarmupPRFlags(
+    exercise.sets,
+    records,
+    (set) => calculateEffectiveLoad(set.weight, loadProfile, bodyweight ?? undefined)
+  );
+
+  // Warm-ups are offered once, for exercises that log weight
+  const canAddWarmups = exercise.type === 'weighted' && !exercise.sets.some(set => set.is_warmup);
+
   return (
-    <Card onClick={onFocus} className="p-6">
+    <Card
+      id={`workout-exercise-${exerciseIndex}`}
+      onClick={onFocus}
+      className={`p-6 ${isUpNext ? 'ring-2 ring-accent' : ''}`}
+    >
       {/* Exercise header */}
       <div className="flex items-center justify-between mb-4">
         <h3 className="text-xl font-display font-semibold text-text">{exercise.name}</h3>
         <div className="flex gap-1.5">
+          {canAddWarmups && (
+            <Button
+              onClick={onAddWarmups}
+              variant="secondary"
+              size="sm"
+              title="Add warm-up sets up to the first working weight"
+            >
+              Warm-up
+            </Button>
+          )}
           <Button
             onClick={onMoveUp}
             disabled={!canMoveUp}
@@ -784,9 +1276,11 @@ const ExerciseBlock = ({
               <div key={idx} className="flex items-center gap-2">
                 <span className="font-medium text-text-muted">Set {idx + 1}:</span>
                 <span className="font-mono font-semibold">
-                  {set.weight ? `${set.weight} lbs` : 'BW'} × {set.reps} reps
+                  {ENDURANCE_EXERCISE_TYPES.includes(exercise.type)
+                    ? formatEnduranceSet(set)
+                    : hasSides(set) ? formatSides(set) : `${set.weight ? `${set.weight} lbs` : 'BW'} × ${set.reps} reps`}
                 </span>
-                {set.rir !== null && (
+                {set.rir !== null && set.rir !== undefined && (
                   <Badge variant="secondary" className="text-xs font-mono">
                     RIR {set.rir}
                   </Badge>
@@ -802,15 +1296,24 @@ const ExerciseBlock = ({
         {exercise.sets.map((set, setIndex) => {
           const isCompleted = set.is_completed;
           const isEditing = editingSetIndex === setIndex;
+          // Previous performance holds working sets only
+          const workingIndex = exercise.sets.slice(0, setIndex).filter(s => !s.is_warmup).length;
+          // Warm-ups put in front of the sets remount the entries after them
+          const setKey = `${exerciseIndex}-${set.is_warmup ? 'warmup' : 'set'}-${setIndex}`;
 
           // Show inline row for completed sets (unless being edited)
           if (isCompleted && !isEditing) {
             return (
               <SetRowInline
-                key={`${exerciseIndex}-${setIndex}`}
+                key={setKey}
                 set={set}
                 setNumber={set.set_number}
+                setLabel={getSetLabel(set.set_number)}
                 exerciseType={exercise.type}
+                loadProfile={loadProfile}
+                bodyweight={bodyweight ?? undefined}
+                warmupPR={warmupPRs[setIndex]}
+                onMarkWorking={() => onMarkWorkingSet(setIndex)}
                 onEdit={() => handleEditSet(setIndex)}
                 onDelete={() => onDeleteSet(setIndex)}
               />
@@ -820,13 +1323,19 @@ const ExerciseBlock = ({
           // Show full card for active/editing sets
           return (
             <SetEntry
-              key={`${exerciseIndex}-${setIndex}`}
+              key={setKey}
               setNumber={set.set_number}
-              previousSet={previousPerformance?.[setIndex]}
+              setLabel={getSetLabel(set.set_number)}
+              previousSet={set.is_warmup ? undefined : previousPerformance?.[workingIndex]}
+              plannedSet={set.is_warmup ? set : undefined}
               onSave={(setData) => handleSaveSet(setIndex, setData)}
               onDelete={() => onDeleteSet(setIndex)}
               initialData={isEditing ? set : null}
               exerciseType={exercise.type}
+              loadProfile={loadProfile}
+              bodyweight={bodyweight ?? undefined}
+              equipment={equipment}
+              equipmentProfile={equipmentProfile}
             />
           );
         })}
@@ -52,7 +52,7 @@ export const buildSet = (overrides = {}) => ({
   reps: 5,
   rir: 2,
   duration_seconds: null,
-  distance: null,
+  distance_meters: null,
   is_warmup: false,
   is_completed: true,
   notes: null,